@@ -17,6 +17,7 @@ import { findById, downloadCSV, getTodayISO, mergeHydratedCollections } from './
 import { openPrintWindow } from './lib/printUtil.js';
 import { escapeHtml } from './lib/escapeHtml.js';
 import { resolveScannedCode, truncateScannedCode } from './lib/qrData.js';
+import { clearOfflineCache } from './lib/offlineStore.js';
 import { useTheme } from './contexts/ThemeContext.js';
 import { PermissionsProvider } from './contexts/PermissionsContext.jsx';
 import { useAuth } from './contexts/AuthContext.js';
@@ -57,6 +58,7 @@ import Sidebar from './components/Sidebar.jsx';
 
 // Extracted sub-components
 import MobileHeader from './components/MobileHeader.jsx';
+import OfflineBanner from './components/OfflineBanner.jsx';
 import AppViews from './AppViews.jsx';
 import AppModals from './AppModals.jsx';
 
@@ -244,6 +246,7 @@ export default function App() {
     } catch {
       /* ignore storage errors */
     }
+    clearOfflineCache();
   }, [auth]);
 
   // ============================================================================
@@ -556,6 +559,7 @@ export default function App() {
               'reservations',
               'maintenanceHistory',
               'checkoutHistory',
+              'quantityCheckouts',
             ]) {
               if (itemWithDetails[key] !== undefined) collections[key] = itemWithDetails[key];
             }
@@ -767,10 +771,16 @@ export default function App() {
   const {
     checkoutItem,
     checkinItemData,
+    quantityReturn,
     openCheckoutModal,
     openCheckinModal,
+    openQuantityReturnModal,
     processCheckout,
     processCheckin,
+    processQuantityReturn,
+    processBatchCheckout,
+    processBatchCheckin,
+    printAgreement,
     maintenanceItem,
     setMaintenanceItem,
     editingMaintenanceRecord,
@@ -798,6 +808,7 @@ export default function App() {
     removeRequiredAccessory,
     updateItemValue,
     setLowStockAlert,
+    revertItemFields,
     selectImage,
   } = useKitHandlers({
     inventory,
@@ -808,28 +819,29 @@ export default function App() {
     addChangeLog,
   });
 
-  const { saveReservation, openEditReservation, deleteReservation } = useReservationHandlers({
-    inventory,
-    selectedItem,
-    setSelectedItem,
-    dataContext,
-    openModal,
-    closeModal,
-    addChangeLog,
-    addAuditLog,
-    currentUser,
-    reservationForm,
-    setReservationForm,
-    editingReservationId,
-    setEditingReservationId,
-    selectedReservationItem,
-    selectedReservation,
-    setSelectedReservation,
-    setCurrentView,
-    resetReservationForm,
-    navigateToReservation,
-    showConfirm,
-  });
+  const { saveReservation, openEditReservation, deleteReservation, changeReservationStage } =
+    useReservationHandlers({
+      inventory,
+      selectedItem,
+      setSelectedItem,
+      dataContext,
+      openModal,
+      closeModal,
+      addChangeLog,
+      addAuditLog,
+      currentUser,
+      reservationForm,
+      setReservationForm,
+      editingReservationId,
+      setEditingReservationId,
+      selectedReservationItem,
+      selectedReservation,
+      setSelectedReservation,
+      setCurrentView,
+      resetReservationForm,
+      navigateToReservation,
+      showConfirm,
+    });
 
   const { itemNoteHandlers, packageNoteHandlers, reservationNoteHandlers, clientNoteHandlers } =
     useNoteHandlers({
@@ -1073,6 +1085,10 @@ export default function App() {
       handleBulkAction,
       openCheckoutModal,
       openCheckinModal,
+      openQuantityReturnModal,
+      printAgreement,
+      processBatchCheckout,
+      processBatchCheckin,
       openMaintenanceModal,
       openMaintenanceEditModal,
       itemNoteHandlers,
@@ -1085,6 +1101,7 @@ export default function App() {
       deleteReminder,
       openEditReservation,
       deleteReservation,
+      changeReservationStage,
       saveReservation,
       reservePackage,
       setKitStatus,
@@ -1094,6 +1111,7 @@ export default function App() {
       removeRequiredAccessory,
       updateItemValue,
       setLowStockAlert,
+      revertItemFields,
       selectImage,
       addItemToPackage,
       updateMaintenanceStatus,
@@ -1123,6 +1141,10 @@ export default function App() {
       handleBulkAction,
       openCheckoutModal,
       openCheckinModal,
+      openQuantityReturnModal,
+      printAgreement,
+      processBatchCheckout,
+      processBatchCheckin,
       openMaintenanceModal,
       openMaintenanceEditModal,
       itemNoteHandlers,
@@ -1135,6 +1157,7 @@ export default function App() {
       deleteReminder,
       openEditReservation,
       deleteReservation,
+      changeReservationStage,
       saveReservation,
       reservePackage,
       setKitStatus,
@@ -1144,6 +1167,7 @@ export default function App() {
       removeRequiredAccessory,
       updateItemValue,
       setLowStockAlert,
+      revertItemFields,
       selectImage,
       addItemToPackage,
       updateMaintenanceStatus,
@@ -1172,10 +1196,14 @@ export default function App() {
       closeModal,
       checkoutItem,
       checkinItemData,
+      quantityReturn,
       openCheckoutModal,
       openCheckinModal,
       processCheckout,
       processCheckin,
+      processQuantityReturn,
+      processBatchCheckout,
+      processBatchCheckin,
       maintenanceItem,
       editingMaintenanceRecord,
       setEditingMaintenanceRecord,
@@ -1202,10 +1230,14 @@ export default function App() {
       closeModal,
       checkoutItem,
       checkinItemData,
+      quantityReturn,
       openCheckoutModal,
       openCheckinModal,
       processCheckout,
       processCheckin,
+      processQuantityReturn,
+      processBatchCheckout,
+      processBatchCheckin,
       maintenanceItem,
       editingMaintenanceRecord,
       setEditingMaintenanceRecord,
@@ -1314,6 +1346,8 @@ export default function App() {
             />
           )}
 
+          <OfflineBanner />
+
           <AppViews handlers={viewHandlers} currentUser={currentUser} changeLog={changeLog} />
         </main>
 
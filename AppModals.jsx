@@ -3,11 +3,12 @@
 // Renders the active modal based on activeModal from ModalContext.
 // ============================================================================
 
-import { lazy, Suspense, memo, useEffect, useRef } from 'react';
+import { lazy, Suspense, memo, useEffect, useMemo, useRef, useState } from 'react';
 import { VIEWS, MODALS } from './constants.js';
-import { generateItemCode } from './utils';
+import { generateItemCode, isQuantityTracked } from './utils';
 import { runImport } from './lib/importItems.js';
 import { error as logError } from './lib/logger.js';
+import { heldDepositFor, outstandingDeposits } from './lib/deposits.js';
 import { useNavigationContext } from './contexts/NavigationContext.js';
 import { useFilterContext } from './contexts/FilterContext.js';
 import { useModalContext } from './contexts/ModalContext.js';
@@ -45,12 +46,21 @@ const CSVImportModal = lazy(() =>
 const DatabaseExportModal = lazy(() =>
   import('./modals/DatabaseExportModal.jsx').then((m) => ({ default: m.DatabaseExportModal })),
 );
+const DatabaseRestoreModal = lazy(() =>
+  import('./modals/DatabaseRestoreModal.jsx').then((m) => ({ default: m.DatabaseRestoreModal })),
+);
+const PricingSettingsModal = lazy(() =>
+  import('./modals/PricingSettingsModal.jsx').then((m) => ({ default: m.PricingSettingsModal })),
+);
 const CheckOutModal = lazy(() =>
   import('./modals/CheckOutModal.jsx').then((m) => ({ default: m.CheckOutModal })),
 );
 const CheckInModal = lazy(() =>
   import('./modals/CheckInModal.jsx').then((m) => ({ default: m.CheckInModal })),
 );
+const QuantityReturnModal = lazy(() =>
+  import('./modals/QuantityReturnModal.jsx').then((m) => ({ default: m.QuantityReturnModal })),
+);
 const MaintenanceModal = lazy(() =>
   import('./modals/MaintenanceModal.jsx').then((m) => ({ default: m.MaintenanceModal })),
 );
@@ -69,6 +79,7 @@ const BulkDeleteModal = lazy(() =>
 const BulkCheckInModal = lazy(() =>
   import('./modals/BulkModals.jsx').then((m) => ({ default: m.BulkCheckInModal })),
 );
+const BatchCheckOutModal = lazy(() => import('./modals/BatchCheckOutModal.jsx'));
 const AddUserModal = lazy(() =>
   import('./modals/AddUserModal.jsx').then((m) => ({ default: m.AddUserModal })),
 );
@@ -108,12 +119,21 @@ export default memo(function AppModals({ handlers, currentUser }) {
     locations,
     categories,
     categorySettings,
+    equivalenceGroups,
     clients,
+    borrowers,
+    deposits,
     refreshData,
     addLocalUser,
     ensureClients,
+    ensureBorrowers,
+    ensureDeposits,
     createItem: createItemInDb,
+    updateItem: updateItemInDb,
     addItemNote: addItemNoteInDb,
+    pricingSettings,
+    updatePricingSettings,
+    getOpenDamageReports,
   } = useData();
 
   const auth = useAuth();
@@ -133,11 +153,24 @@ export default memo(function AppModals({ handlers, currentUser }) {
       ensureClients();
     }
   }, [activeModal, ensureClients, canSeeClients]);
+  // Borrower accounts carry the blocks and limits checkout enforces, so
+  // every role that checks gear out loads them
+  useEffect(() => {
+    if (activeModal === MODALS.CHECK_OUT || activeModal === MODALS.BATCH_CHECK_OUT) {
+      ensureBorrowers();
+    }
+  }, [activeModal, ensureBorrowers]);
+  // A returning item may be covered by a held deposit to settle
+  useEffect(() => {
+    if (activeModal === MODALS.CHECK_IN) ensureDeposits();
+  }, [activeModal, ensureDeposits]);
 
   // Persistent scan loop — flag lives here, but the effect that reads
   // openModal must sit below the handlers destructuring (TDZ otherwise)
   const returnToScannerRef = useRef(false);
   const prevModalRef = useRef(activeModal);
+  // Items handed over by a scanner session for batch checkout
+  const [scannedCheckoutItems, setScannedCheckoutItems] = useState([]);
 
   // Destructure handlers
   const {
@@ -155,11 +188,14 @@ export default memo(function AppModals({ handlers, currentUser }) {
     // Checkout/checkin
     checkoutItem,
     checkinItemData,
+    quantityReturn,
     openCheckoutModal,
     openCheckinModal,
     processCheckout,
     processCheckin,
+    processBatchCheckout,
     processBatchCheckin,
+    processQuantityReturn,
     // Maintenance
     maintenanceItem,
     editingMaintenanceRecord,
@@ -177,6 +213,18 @@ export default memo(function AppModals({ handlers, currentUser }) {
     applyBulkPhoto,
   } = handlers;
 
+  // The held deposit the returning item falls under, and how many other
+  // items on it are still out
+  const checkinDeposit = useMemo(() => {
+    const held = checkinItemData && heldDepositFor(deposits, checkinItemData.id);
+    if (!held) return null;
+    const [row] = outstandingDeposits([held], inventory).deposits;
+    return {
+      deposit: held,
+      stillOut: row.itemsOut.filter((i) => i.id !== checkinItemData.id).length,
+    };
+  }, [deposits, inventory, checkinItemData]);
+
   // Persistent scan loop: a checkout/check-in launched FROM the scanner
   // returns to the scanner when it closes (confirm or cancel alike), so a
   // 20-item load-out is scan→confirm→scan→confirm instead of re-opening the
@@ -253,6 +301,9 @@ export default memo(function AppModals({ handlers, currentUser }) {
             inventory={inventory}
             item={editingReservationId ? selectedItem || selectedReservationItem : null}
             editingReservationId={editingReservationId}
+            categorySettings={categorySettings}
+            specs={specs}
+            equivalenceGroups={equivalenceGroups}
           />
         )}
 
@@ -352,6 +403,22 @@ export default memo(function AppModals({ handlers, currentUser }) {
                   }
                 : undefined
             }
+            onSessionCheckout={
+              canEdit('gear_list')
+                ? (items) => {
+                    setScannedCheckoutItems(items);
+                    openModal(MODALS.BATCH_CHECK_OUT);
+                  }
+                : undefined
+            }
+            onSessionCheckin={
+              canEdit('gear_list')
+                ? (items) => {
+                    setBulkActionIds(items.map((i) => i.id));
+                    openModal(MODALS.BULK_CHECK_IN);
+                  }
+                : undefined
+            }
             onClose={closeModal}
           />
         )}
@@ -367,13 +434,16 @@ export default memo(function AppModals({ handlers, currentUser }) {
             categories={categories}
             specs={specs}
             existingSerials={inventory.map((i) => i.serialNumber).filter(Boolean)}
-            onImport={async (items, onProgress) => {
+            inventory={inventory}
+            onImport={async (items, onProgress, updates = []) => {
               // Sequential creates through the REAL persist path — the old
               // handler patched local state and imports vanished on reload
               const summary = await runImport({
                 items,
+                updates,
                 existingIds: inventory.map((i) => i.id),
                 createItem: createItemInDb,
+                updateItem: updateItemInDb,
                 addNote: addItemNoteInDb,
                 generateCode: generateItemCode,
                 onProgress,
@@ -385,9 +455,19 @@ export default memo(function AppModals({ handlers, currentUser }) {
                   user: currentUser?.name || 'Unknown',
                 });
               }
+              if (summary.updated.length > 0) {
+                addAuditLog({
+                  type: 'csv_update',
+                  description: `Updated ${summary.updated.length} items from CSV`,
+                  user: currentUser?.name || 'Unknown',
+                });
+              }
               if (summary.failed.length === 0 && summary.noteFailures === 0) {
+                const plural = (n) => `${n} item${n === 1 ? '' : 's'}`;
                 addToast(
-                  `Imported ${summary.created.length} item${summary.created.length === 1 ? '' : 's'}`,
+                  updates.length > 0
+                    ? `Updated ${plural(summary.updated.length)}, added ${summary.created.length}`
+                    : `Imported ${plural(summary.created.length)}`,
                   'success',
                 );
               }
@@ -401,11 +481,50 @@ export default memo(function AppModals({ handlers, currentUser }) {
           <DatabaseExportModal onClose={closeModal} />
         )}
 
+        {activeModal === MODALS.DATABASE_RESTORE && canEdit('admin_users') && (
+          <DatabaseRestoreModal
+            userName={currentUser?.name}
+            onRestored={async ({ summary }) => {
+              // The RPC already wrote the audit_log entry; reload so every
+              // view (and that entry) reflects the restored tables
+              await refreshData();
+              const deleted = summary.deleted ? `, ${summary.deleted} deleted` : '';
+              addToast(
+                `Backup restored: ${summary.added} added, ${summary.changed} updated${deleted}`,
+                'success',
+              );
+            }}
+            onClose={closeModal}
+          />
+        )}
+
+        {activeModal === MODALS.PRICING_SETTINGS && canEdit('admin_users') && (
+          <PricingSettingsModal
+            settings={pricingSettings}
+            onSave={async (updates) => {
+              await updatePricingSettings(updates);
+              addAuditLog({
+                type: 'pricing_updated',
+                description: `Updated pricing settings (${updates.daysPerWeek}-day week, ${updates.taxRate}% tax)`,
+                user: currentUser?.name || 'Unknown',
+              });
+              addToast('Pricing settings saved', 'success');
+            }}
+            onClose={closeModal}
+          />
+        )}
+
         {activeModal === MODALS.CHECK_OUT && checkoutItem && (
           <CheckOutModal
             item={checkoutItem}
+            trackQuantity={isQuantityTracked(checkoutItem, categorySettings)}
             clients={canSeeClients ? clients : []}
+            borrowers={borrowers}
             currentUser={currentUser}
+            settings={pricingSettings}
+            inventory={inventory}
+            categorySettings={categorySettings}
+            onLoadDamageReports={getOpenDamageReports}
             onCheckOut={processCheckout}
             onClose={closeModal}
           />
@@ -415,11 +534,23 @@ export default memo(function AppModals({ handlers, currentUser }) {
           <CheckInModal
             item={checkinItemData}
             currentUser={currentUser}
+            settings={pricingSettings}
+            deposit={checkinDeposit?.deposit}
+            depositStillOut={checkinDeposit?.stillOut}
             onCheckIn={processCheckin}
             onClose={closeModal}
           />
         )}
 
+        {activeModal === MODALS.QUANTITY_RETURN && quantityReturn && (
+          <QuantityReturnModal
+            item={quantityReturn.item}
+            checkout={quantityReturn.checkout}
+            onReturn={processQuantityReturn}
+            onClose={closeModal}
+          />
+        )}
+
         {activeModal === MODALS.MAINTENANCE && maintenanceItem && (
           <MaintenanceModal
             item={maintenanceItem}
@@ -521,6 +652,26 @@ export default memo(function AppModals({ handlers, currentUser }) {
           />
         )}
 
+        {activeModal === MODALS.BATCH_CHECK_OUT && canEdit('gear_list') && (
+          <BatchCheckOutModal
+            items={scannedCheckoutItems}
+            borrowers={borrowers}
+            currentUser={currentUser}
+            settings={pricingSettings}
+            inventory={inventory}
+            categorySettings={categorySettings}
+            onLoadDamageReports={getOpenDamageReports}
+            onConfirm={async (payload) => {
+              await processBatchCheckout(payload);
+              setScannedCheckoutItems([]);
+            }}
+            onClose={() => {
+              closeModal();
+              setScannedCheckoutItems([]);
+            }}
+          />
+        )}
+
         {activeModal === MODALS.BULK_CHECK_IN && (
           <BulkCheckInModal
             selectedIds={bulkActionIds}
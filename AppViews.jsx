@@ -7,7 +7,7 @@
 import { lazy, Suspense, memo, useState } from 'react';
 import { VIEWS, MODALS, STATUS } from './constants.js';
 import { error as logError } from './lib/logger.js';
-import { formatDate } from './utils';
+import { formatDate, reservationGroupStage } from './utils';
 import { useToast } from './contexts/ToastContext.js';
 import { locationsService } from './lib/services.js';
 import { useAdminHandlers } from './hooks/handlers/useAdminHandlers.js';
@@ -38,8 +38,11 @@ const LocationsManager = lazy(() => import('./views/LocationsManager.jsx'));
 const LayoutCustomize = lazy(() => import('./views/LayoutCustomize.jsx'));
 const ThemeSelector = lazy(() => import('./views/ThemeSelector.jsx'));
 const ClientsView = lazy(() => import('./views/ClientsView.jsx'));
+const BorrowersView = lazy(() => import('./views/BorrowersView.jsx'));
 const RolesManager = lazy(() => import('./views/RolesManager.jsx'));
 const ChangeLog = lazy(() => import('./views/ChangeLog.jsx'));
+const EquivalenceGroupsView = lazy(() => import('./views/EquivalenceGroupsView.jsx'));
+const PortalCatalogView = lazy(() => import('./views/PortalCatalogView.jsx'));
 const EmailLogView = lazy(() => import('./views/EmailLogView.jsx'));
 
 const AdminPanel = lazy(() =>
@@ -72,6 +75,14 @@ const InsuranceReportPanel = lazy(() =>
 const ClientReportPanel = lazy(() =>
   import('./views/ClientReportView.jsx').then((m) => ({ default: m.ClientReportPanel })),
 );
+const ReceivablesReportPanel = lazy(() =>
+  import('./views/ReceivablesReportView.jsx').then((m) => ({
+    default: m.ReceivablesReportPanel,
+  })),
+);
+const DepositsReportPanel = lazy(() =>
+  import('./views/DepositsReportView.jsx').then((m) => ({ default: m.DepositsReportPanel })),
+);
 
 const ItemFormPage = lazy(() =>
   import('./views/AdminPages.jsx').then((m) => ({ default: m.ItemFormPage })),
@@ -80,6 +91,7 @@ const SpecsPage = lazy(() =>
   import('./views/AdminPages.jsx').then((m) => ({ default: m.SpecsPage })),
 );
 const BatchCheckOutModal = lazy(() => import('./modals/BatchCheckOutModal.jsx'));
+const QuoteModal = lazy(() => import('./modals/QuoteModal.jsx'));
 const CategoriesPage = lazy(() =>
   import('./views/AdminPages.jsx').then((m) => ({ default: m.CategoriesPage })),
 );
@@ -137,10 +149,15 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
     categorySettings,
     auditLog,
     clients,
+    borrowers,
+    ensureBorrowers,
     packLists,
+    pricingSettings,
+    equivalenceGroups,
     updateCategories,
     updateSpecs,
     replaceLocations,
+    getOpenDamageReports,
   } = dataContext;
 
   // Destructure handlers
@@ -160,6 +177,8 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
     handleBulkAction,
     openCheckoutModal,
     openCheckinModal,
+    openQuantityReturnModal,
+    printAgreement,
     openMaintenanceModal,
     openMaintenanceEditModal,
     itemNoteHandlers,
@@ -172,6 +191,7 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
     deleteReminder,
     openEditReservation,
     deleteReservation,
+    changeReservationStage,
     addRequiredAccessories,
     removeRequiredAccessory,
     setKitStatus,
@@ -179,6 +199,7 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
     removeKitItem,
     updateItemValue,
     setLowStockAlert,
+    revertItemFields,
     addItemToPackage,
     reservePackage,
     updateMaintenanceStatus,
@@ -187,26 +208,55 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
     resetReservationForm,
     openModal,
     processBatchCheckout,
+    processBatchCheckin,
   } = handlers;
 
   // Batch checkout launched from a reservation detail — null means closed
   const [batchCheckoutItems, setBatchCheckoutItems] = useState(null);
+  // Quote for the open reservation: { items, quantities } or null when closed
+  const [quoteGroup, setQuoteGroup] = useState(null);
 
-  // All inventory items belonging to a reservation's group (shared group_id,
-  // with the legacy project+dates fallback)
+  // Whether a reservation row belongs to a reservation's group (shared
+  // group_id, with the legacy project+dates fallback)
+  const inReservationGroup = (r, reservation) =>
+    r.id === reservation.id ||
+    (reservation.groupId
+      ? r.groupId === reservation.groupId
+      : r.project === reservation.project &&
+        r.start === reservation.start &&
+        r.end === reservation.end);
+
+  // All inventory items belonging to a reservation's group
   const reservationGroupItems = (reservation) => {
     if (!reservation) return [];
     return inventory.filter((invItem) =>
-      (invItem.reservations || []).some(
-        (r) =>
-          r.id === reservation.id ||
-          (reservation.groupId
-            ? r.groupId === reservation.groupId
-            : r.project === reservation.project &&
-              r.start === reservation.start &&
-              r.end === reservation.end),
-      ),
+      (invItem.reservations || []).some((r) => inReservationGroup(r, reservation)),
+    );
+  };
+
+  // Each group row keyed by its item: the stage of the whole job, and which
+  // row a batch checkout picks up for each item
+  const reservationGroupRows = (reservation) => {
+    if (!reservation) return [];
+    return inventory.flatMap((invItem) =>
+      (invItem.reservations || [])
+        .filter((r) => inReservationGroup(r, reservation))
+        .map((row) => ({ itemId: invItem.id, row })),
+    );
+  };
+  const selectedReservationRows = reservationGroupRows(selectedReservation).map(({ row }) => row);
+
+  // The group's items plus the units each row books — pooled stock can
+  // reserve several of one item
+  const openQuoteForReservation = (reservation) => {
+    const items = reservationGroupItems(reservation);
+    const quantities = Object.fromEntries(
+      items.map((invItem) => [
+        invItem.id,
+        invItem.reservations.find((r) => inReservationGroup(r, reservation))?.quantity || 1,
+      ]),
     );
+    setQuoteGroup({ items, quantities });
   };
 
   // Reservation → pack list: same items, one click, no re-typing
@@ -362,6 +412,8 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
           backLabel={itemBackContext?.backLabel || 'Back to Gear List'}
           onCheckout={openCheckoutModal}
           onCheckin={openCheckinModal}
+          onReturnQuantity={openQuantityReturnModal}
+          onViewAgreement={printAgreement}
           onEdit={openEditItem}
           onShowQR={() => openModal(MODALS.QR_CODE)}
           onAddReservation={() => {
@@ -393,6 +445,8 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
           onCompleteMaintenance={updateMaintenanceStatus}
           onUpdateValue={(newValue) => updateItemValue(selectedItem.id, newValue)}
           onSetLowStockAlert={(enabled) => setLowStockAlert(selectedItem.id, enabled)}
+          onLoadRevisions={dataContext.getItemRevisions}
+          onRevertFields={(patch) => revertItemFields(selectedItem.id, patch)}
           onAddToPackage={addItemToPackage}
           onAddAccessory={addRequiredAccessories}
           onRemoveAccessory={removeRequiredAccessory}
@@ -463,9 +517,11 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
             setScheduleMode={setScheduleMode}
             onViewItem={navigateToItem}
             onViewReservation={navigateToReservation}
-            onAddReservation={() => {
+            onAddReservation={(prefill) => {
               resetReservationForm();
               setEditingReservationId(null);
+              // A drag on the timeline brings the item and days it covered
+              if (prefill) setReservationForm((prev) => ({ ...prev, ...prefill }));
               openModal(MODALS.ADD_RESERVATION);
             }}
           />
@@ -523,6 +579,19 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
         </Suspense>
       )}
 
+      {currentView === VIEWS.BORROWERS && (
+        <Suspense fallback={<ViewLoading message="Loading Borrowers..." />}>
+          <BorrowersView
+            borrowers={borrowers}
+            inventory={inventory}
+            dataContext={dataContext}
+            onViewItem={navigateToItem}
+            user={currentUser}
+            addAuditLog={addAuditLog}
+          />
+        </Suspense>
+      )}
+
       {currentView === VIEWS.RESERVATION_DETAIL && selectedReservation && (
         <Suspense fallback={<ViewLoading message="Loading Reservation..." />}>
           <ReservationDetail
@@ -560,25 +629,84 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
             onViewItem={navigateToItem}
             onCheckOutItems={
               canEdit('gear_list')
-                ? () => setBatchCheckoutItems(reservationGroupItems(selectedReservation))
+                ? () => {
+                    ensureBorrowers();
+                    setBatchCheckoutItems(reservationGroupItems(selectedReservation));
+                  }
                 : undefined
             }
             onCreatePackList={
               canEdit('pack_lists') ? handleCreatePackListFromReservation : undefined
             }
+            onCreateQuote={
+              canEdit('schedule') ? () => openQuoteForReservation(selectedReservation) : undefined
+            }
+            stage={
+              selectedReservationRows.length
+                ? reservationGroupStage(selectedReservationRows)
+                : undefined
+            }
+            holdExpiresAt={
+              selectedReservationRows
+                .map((r) => r.holdExpiresAt)
+                .filter(Boolean)
+                .sort()[0]
+            }
+            onChangeStage={
+              canEdit('schedule')
+                ? (stage) => changeReservationStage(selectedReservation, stage)
+                : undefined
+            }
+            groupRows={reservationGroupRows(selectedReservation)}
+            inventory={inventory}
+            dataContext={dataContext}
+            onCheckInReturned={
+              canEdit('gear_list')
+                ? (itemIds) =>
+                    processBatchCheckin({
+                      itemIds,
+                      returnNotes: `Returned from ${selectedReservation.project || 'reservation'}`,
+                    })
+                : undefined
+            }
           />
           {batchCheckoutItems && (
             <BatchCheckOutModal
               reservation={selectedReservation}
               items={batchCheckoutItems}
+              borrowers={borrowers}
               currentUser={currentUser}
+              settings={pricingSettings}
+              inventory={inventory}
+              categorySettings={categorySettings}
+              onLoadDamageReports={getOpenDamageReports}
               onConfirm={async (payload) => {
-                await processBatchCheckout(payload);
+                await processBatchCheckout({
+                  ...payload,
+                  reservationIds: Object.fromEntries(
+                    reservationGroupRows(selectedReservation).map(({ itemId, row }) => [
+                      itemId,
+                      row.id,
+                    ]),
+                  ),
+                });
                 setBatchCheckoutItems(null);
               }}
               onClose={() => setBatchCheckoutItems(null)}
             />
           )}
+          {quoteGroup && (
+            <QuoteModal
+              reservation={selectedReservation}
+              items={quoteGroup.items}
+              quantities={quoteGroup.quantities}
+              packages={packages}
+              settings={pricingSettings}
+              clientName={clients.find((c) => c.id === selectedReservation.clientId)?.name}
+              profile={currentUser?.profile}
+              onClose={() => setQuoteGroup(null)}
+            />
+          )}
         </Suspense>
       )}
 
@@ -593,6 +721,8 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
             onOpenImport={() => openModal(MODALS.CSV_IMPORT)}
             onOpenBulkPhotos={() => openModal(MODALS.BULK_PHOTOS)}
             onOpenExport={() => openModal(MODALS.DATABASE_EXPORT)}
+            onOpenRestore={() => openModal(MODALS.DATABASE_RESTORE)}
+            onOpenPricing={() => openModal(MODALS.PRICING_SETTINGS)}
           />
         </Suspense>
       )}
@@ -679,6 +809,108 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
         )}
       </PermissionGate>
 
+      <PermissionGate permission="admin_specs" requireEdit>
+        {currentView === VIEWS.EQUIVALENCE_GROUPS && (
+          <Suspense fallback={<ViewLoading message="Loading Equivalence Groups..." />}>
+            <EquivalenceGroupsView
+              groups={equivalenceGroups}
+              inventory={inventory}
+              showConfirm={showConfirm}
+              onCreate={async (name) => {
+                try {
+                  await dataContext.createEquivalenceGroup(name);
+                } catch (err) {
+                  addToast(
+                    'Failed to create group: ' + (err.message || 'Please try again.'),
+                    'error',
+                  );
+                  return;
+                }
+                addAuditLog({
+                  type: 'equivalence_group_created',
+                  description: `Equivalence group "${name}" created`,
+                  user: currentUser?.name || 'Unknown',
+                });
+              }}
+              onUpdate={async (id, changes) => {
+                try {
+                  await dataContext.updateEquivalenceGroup(id, changes);
+                } catch (err) {
+                  addToast(
+                    'Failed to save group: ' + (err.message || 'Please try again.'),
+                    'error',
+                  );
+                }
+              }}
+              onDelete={async (group) => {
+                try {
+                  await dataContext.deleteEquivalenceGroup(group.id);
+                } catch (err) {
+                  addToast(
+                    'Failed to delete group: ' + (err.message || 'Please try again.'),
+                    'error',
+                  );
+                  return;
+                }
+                addAuditLog({
+                  type: 'equivalence_group_deleted',
+                  description: `Equivalence group "${group.name}" deleted`,
+                  user: currentUser?.name || 'Unknown',
+                });
+              }}
+              onBack={() => setCurrentView(VIEWS.ADMIN)}
+            />
+          </Suspense>
+        )}
+      </PermissionGate>
+
+      <PermissionGate permission="gear_list" requireEdit>
+        {currentView === VIEWS.PORTAL_CATALOG && (
+          <Suspense fallback={<ViewLoading message="Loading Portal Catalog..." />}>
+            <PortalCatalogView
+              packages={packages}
+              inventory={inventory}
+              loadCatalog={dataContext.getPortalCatalog}
+              onAdd={async (target, name) => {
+                try {
+                  const entry = await dataContext.addToPortalCatalog(target);
+                  addAuditLog({
+                    type: 'portal_catalog_added',
+                    description: `"${name}" offered in the client portal`,
+                    user: currentUser?.name || 'Unknown',
+                  });
+                  return entry;
+                } catch (err) {
+                  addToast(
+                    'Failed to update the catalog: ' + (err.message || 'Please try again.'),
+                    'error',
+                  );
+                  return null;
+                }
+              }}
+              onRemove={async (entry, name) => {
+                try {
+                  await dataContext.removeFromPortalCatalog(entry.id);
+                } catch (err) {
+                  addToast(
+                    'Failed to update the catalog: ' + (err.message || 'Please try again.'),
+                    'error',
+                  );
+                  return false;
+                }
+                addAuditLog({
+                  type: 'portal_catalog_removed',
+                  description: `"${name}" withdrawn from the client portal`,
+                  user: currentUser?.name || 'Unknown',
+                });
+                return true;
+              }}
+              onBack={() => setCurrentView(VIEWS.ADMIN)}
+            />
+          </Suspense>
+        )}
+      </PermissionGate>
+
       <PermissionGate permission="admin_categories" requireEdit>
         {currentView === VIEWS.EDIT_CATEGORIES && (
           <Suspense fallback={<ViewLoading message="Loading Categories..." />}>
@@ -857,6 +1089,7 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
               inventory={inventory}
               currentUser={currentUser}
               onViewItem={navigateToItem}
+              onViewDeposits={() => setCurrentView(VIEWS.DEPOSITS_REPORT)}
               onBack={() => setCurrentView(VIEWS.REPORTS)}
             />
           </Suspense>
@@ -912,6 +1145,37 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
         )}
       </PermissionGate>
 
+      <PermissionGate permission="reports">
+        {currentView === VIEWS.RECEIVABLES_REPORT && (
+          <Suspense fallback={<ViewLoading message="Loading Receivables..." />}>
+            <ReceivablesReportPanel
+              currentUser={currentUser}
+              onViewClient={(row) => {
+                setReservationBackView({
+                  view: VIEWS.RECEIVABLES_REPORT,
+                  context: { clientId: row.clientId },
+                });
+                setCurrentView(VIEWS.CLIENTS);
+              }}
+              onBack={() => setCurrentView(VIEWS.REPORTS)}
+            />
+          </Suspense>
+        )}
+      </PermissionGate>
+
+      <PermissionGate permission="reports">
+        {currentView === VIEWS.DEPOSITS_REPORT && (
+          <Suspense fallback={<ViewLoading message="Loading Deposit Ledger..." />}>
+            <DepositsReportPanel
+              inventory={inventory}
+              currentUser={currentUser}
+              addAuditLog={addAuditLog}
+              onBack={() => setCurrentView(VIEWS.REPORTS)}
+            />
+          </Suspense>
+        )}
+      </PermissionGate>
+
       <PermissionGate permission="admin_locations" requireEdit>
         {currentView === VIEWS.LOCATIONS_MANAGE && (
           <Suspense fallback={<ViewLoading message="Loading Locations..." />}>
@@ -1009,6 +1273,8 @@ export default memo(function AppViews({ handlers, currentUser, changeLog }) {
             onSendTest={() =>
               dataContext.sendTestEmail({ user: currentUser, companyName: companyNameFor(currentUser) })
             }
+            user={currentUser}
+            dataContext={dataContext}
             onClose={() => setCurrentView(VIEWS.DASHBOARD)}
           />
         </Suspense>
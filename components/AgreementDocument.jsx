@@ -0,0 +1,152 @@
+// =============================================================================
+// AgreementDocument — a signed checkout or return agreement as a printable
+// page: letterhead, who signed for which job, every item with its serial
+// and replacement value, the terms as signed and the signature itself.
+// Renders the stored snapshot only, never live inventory.
+// =============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { colors, spacing, typography } from '../theme.js';
+import { formatDate, formatDateTime, formatMoney } from '../utils';
+import { AGREEMENT_KINDS, agreementTotal } from '../lib/agreements.js';
+import { ReportBranding } from './ReportBranding.jsx';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+const cell = {
+  padding: `${spacing[2]}px ${spacing[2]}px`,
+  borderBottom: `1px solid ${colors.borderLight}`,
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+const numCell = { ...cell, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+const mutedText = { color: colors.textMuted, fontSize: typography.fontSize.xs };
+
+export const AgreementDocument = memo(function AgreementDocument({ agreement, profile }) {
+  const lines = agreement.items || [];
+  const isReturn = agreement.kind === AGREEMENT_KINDS.CHECKIN;
+  const details = [
+    [isReturn ? 'Returned by' : 'Borrower', agreement.signerName],
+    ['Client', agreement.clientName],
+    ['Project', agreement.project],
+    ['Due back', agreement.dueBack && formatDate(agreement.dueBack)],
+  ].filter(([, value]) => value);
+
+  return (
+    <div style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
+      <ReportBranding profile={profile} />
+
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: spacing[4],
+          flexWrap: 'wrap',
+          marginBottom: spacing[4],
+        }}
+      >
+        <div>
+          <h2
+            style={{
+              margin: `0 0 ${spacing[2]}px`,
+              fontSize: typography.fontSize['2xl'],
+              fontWeight: typography.fontWeight.bold,
+            }}
+          >
+            {isReturn ? 'Equipment Return' : 'Equipment Checkout Agreement'}
+          </h2>
+          {details.map(([label, value]) => (
+            <div key={label}>
+              <span style={{ color: colors.textMuted }}>{label}:</span> {value}
+            </div>
+          ))}
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div>Signed {formatDateTime(agreement.signedAt)}</div>
+          {agreement.createdByName && (
+            <div style={mutedText}>Witnessed by {agreement.createdByName}</div>
+          )}
+        </div>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing[3] }}>
+        <thead>
+          <tr style={{ color: colors.textMuted }}>
+            <th style={cell}>Item</th>
+            <th style={cell}>Serial</th>
+            <th style={cell}>Condition</th>
+            <th style={numCell}>Qty</th>
+            <th style={numCell}>Replacement value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line) => (
+            <tr key={line.id}>
+              <td style={cell}>
+                <div>{line.name}</div>
+                <div style={mutedText}>{line.id}</div>
+              </td>
+              <td style={cell}>{line.serialNumber || '—'}</td>
+              <td style={{ ...cell, textTransform: 'capitalize' }}>{line.condition || '—'}</td>
+              <td style={numCell}>{line.quantity}</td>
+              <td style={numCell}>
+                {line.value == null ? (
+                  <span style={mutedText}>Not recorded</span>
+                ) : (
+                  money(line.value * line.quantity)
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4} style={{ ...cell, fontWeight: typography.fontWeight.bold }}>
+              Total replacement value
+            </td>
+            <td style={{ ...numCell, fontWeight: typography.fontWeight.bold }}>
+              {money(agreementTotal(lines))}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <p style={{ marginTop: spacing[5], whiteSpace: 'pre-wrap' }}>{agreement.terms}</p>
+
+      <div style={{ marginTop: spacing[5], maxWidth: 320 }}>
+        <img
+          src={agreement.signature}
+          alt={`Signature of ${agreement.signerName}`}
+          style={{ display: 'block', width: '100%', height: 'auto' }}
+        />
+        <div
+          style={{
+            borderTop: `1px solid ${colors.textPrimary}`,
+            paddingTop: spacing[1],
+          }}
+        >
+          {agreement.signerName}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+AgreementDocument.propTypes = {
+  /** checkoutAgreementsService row */
+  agreement: PropTypes.shape({
+    kind: PropTypes.string.isRequired,
+    signerName: PropTypes.string.isRequired,
+    clientName: PropTypes.string,
+    project: PropTypes.string,
+    dueBack: PropTypes.string,
+    items: PropTypes.array,
+    terms: PropTypes.string.isRequired,
+    signature: PropTypes.string.isRequired,
+    signedAt: PropTypes.string,
+    createdByName: PropTypes.string,
+  }).isRequired,
+  /** currentUser.profile — drives the letterhead */
+  profile: PropTypes.object,
+};
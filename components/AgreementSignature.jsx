@@ -0,0 +1,99 @@
+// ============================================================================
+// AgreementSignature - the terms and signature block of the checkout,
+// batch checkout and check-in modals. Shows the terms exactly as they will
+// be stored and printed; the modal owns the signature and decides whether
+// one is required.
+// ============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import SignaturePad from './SignaturePad.jsx';
+
+function AgreementSignature({
+  terms,
+  required = false,
+  error = null,
+  onSignatureChange,
+  attach,
+  onAttachChange,
+}) {
+  return (
+    <div style={{ marginBottom: spacing[4] }}>
+      <h4
+        style={{
+          margin: `0 0 ${spacing[2]}px`,
+          color: colors.textPrimary,
+          fontSize: typography.fontSize.base,
+        }}
+      >
+        Agreement
+        {required ? (
+          <span style={{ color: colors.danger }}> *</span>
+        ) : (
+          <span style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+            {' '}
+            (optional)
+          </span>
+        )}
+      </h4>
+      <p
+        style={{
+          margin: `0 0 ${spacing[2]}px`,
+          padding: spacing[3],
+          maxHeight: 140,
+          overflowY: 'auto',
+          background: colors.bgLight,
+          borderRadius: borderRadius.md,
+          color: colors.textSecondary,
+          fontSize: typography.fontSize.sm,
+          whiteSpace: 'pre-wrap',
+        }}
+      >
+        {terms}
+      </p>
+      <SignaturePad
+        label="Borrower signature"
+        onChange={onSignatureChange}
+        error={Boolean(error)}
+      />
+      {error && (
+        <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>{error}</span>
+      )}
+      {onAttachChange && (
+        <label
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: spacing[2],
+            marginTop: spacing[2],
+            cursor: 'pointer',
+            fontSize: typography.fontSize.sm,
+            color: colors.textPrimary,
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={attach}
+            onChange={(e) => onAttachChange(e.target.checked)}
+            style={{ accentColor: colors.primary }}
+          />
+          Attach the signed agreement to the confirmation email
+        </label>
+      )}
+    </div>
+  );
+}
+
+AgreementSignature.propTypes = {
+  /** Filled terms (lib/agreements agreementTermsFor) */
+  terms: PropTypes.string.isRequired,
+  required: PropTypes.bool,
+  error: PropTypes.string,
+  onSignatureChange: PropTypes.func.isRequired,
+  attach: PropTypes.bool,
+  /** Omit to hide the email checkbox */
+  onAttachChange: PropTypes.func,
+};
+
+export default memo(AgreementSignature);
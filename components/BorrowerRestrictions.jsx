@@ -0,0 +1,47 @@
+// ============================================================================
+// BorrowerRestrictions - why a borrower account can't take this checkout
+// (blocked, over its item or value limit — lib/borrowers.js). Renders
+// nothing when it may go ahead; the deposit it leaves is DepositFields'.
+// ============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { Ban } from 'lucide-react';
+import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+
+function BorrowerRestrictions({ restrictions }) {
+  if (restrictions.length === 0) return null;
+  return (
+    <div
+      role="alert"
+      style={{
+        background: withOpacity(colors.danger, 12),
+        border: `1px solid ${withOpacity(colors.danger, 50)}`,
+        borderRadius: borderRadius.md,
+        padding: spacing[3],
+        marginTop: spacing[3],
+        fontSize: typography.fontSize.sm,
+        color: colors.textPrimary,
+      }}
+    >
+      {restrictions.map((message) => (
+        <div key={message} style={{ display: 'flex', gap: spacing[2] }}>
+          <Ban
+            size={14}
+            color={colors.danger}
+            style={{ flexShrink: 0, marginTop: 3 }}
+            aria-label="Blocks checkout"
+          />
+          <span>{message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+BorrowerRestrictions.propTypes = {
+  /** checkoutRestrictions() messages */
+  restrictions: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default memo(BorrowerRestrictions);
@@ -0,0 +1,260 @@
+// =============================================================================
+// CalendarFeedSection — subscribe Google / Outlook / Apple Calendar to SIMS.
+//
+// Without a client it is the signed-in user's own feed (reservations they
+// booked, gear due back from them); with one it is that client's. The link
+// is a secret URL served by the calendar-feed edge function — resetting it
+// makes a new one and kills the old. "Download .ics" is a one-off snapshot
+// for calendars that can't subscribe.
+// =============================================================================
+
+import { memo, useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { CalendarDays, Copy, Download, Link2, RefreshCw, Trash2 } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import { formatDateTime } from '../utils';
+import { Button, Card, CardHeader } from './ui.jsx';
+import LoadErrorBanner from './LoadErrorBanner.jsx';
+import { useToast } from '../contexts/ToastContext.js';
+
+function downloadIcs(text, filename) {
+  const blob = new Blob([text], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export const CalendarFeedSection = memo(function CalendarFeedSection({
+  user,
+  client = null,
+  dataContext,
+  canIncludeMaintenance = false,
+}) {
+  const { addToast } = useToast();
+  const [feed, setFeed] = useState(undefined);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [includeMaintenance, setIncludeMaintenance] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const { getCalendarFeeds, createCalendarFeed, deleteCalendarFeed, exportCalendar } = dataContext;
+  const clientId = client?.id || null;
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId || !getCalendarFeeds) return undefined;
+    let cancelled = false;
+    setLoadError(null);
+    getCalendarFeeds(userId)
+      .then((feeds) => {
+        if (!cancelled) setFeed(feeds.find((f) => (f.clientId || null) === clientId) || null);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || 'unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [getCalendarFeeds, userId, clientId, reloadKey]);
+
+  const withMaintenance = canIncludeMaintenance && includeMaintenance;
+
+  const create = useCallback(
+    async (maintenance) => {
+      const created = await createCalendarFeed({
+        ownerId: userId,
+        clientId,
+        includeMaintenance: maintenance,
+      });
+      setFeed(created);
+    },
+    [createCalendarFeed, userId, clientId],
+  );
+
+  // Wraps a feed change so a failure becomes a toast and the buttons unlock
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      addToast(`${failure}: ${err.message || 'Please try again.'}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = () => run(() => create(withMaintenance), 'Could not create the link');
+
+  // A new token under the same settings; the old URL stops working
+  const handleReset = () =>
+    run(async () => {
+      await deleteCalendarFeed(feed.id);
+      setFeed(null);
+      await create(feed.includeMaintenance);
+      addToast('New link created — resubscribe with it', 'success');
+    }, 'Could not reset the link');
+
+  const handleRemove = () =>
+    run(async () => {
+      await deleteCalendarFeed(feed.id);
+      setFeed(null);
+    }, 'Could not remove the link');
+
+  const handleCopy = () =>
+    navigator.clipboard.writeText(feed.url).then(
+      () => addToast('Link copied', 'success'),
+      () => addToast('Could not copy to clipboard — try again', 'error'),
+    );
+
+  const handleDownload = () =>
+    run(async () => {
+      const text = await exportCalendar({ clientId, includeMaintenance: withMaintenance });
+      downloadIcs(text, clientId ? `sims-${clientId}.ics` : 'sims.ics');
+    }, 'Could not download the calendar');
+
+  const whose = client ? `${client.name}'s reservations and gear` : 'your reservations and gear';
+
+  return (
+    <Card padding={false} style={{ marginBottom: spacing[5] }}>
+      <CardHeader
+        title="Calendar Feed"
+        icon={CalendarDays}
+        action={
+          exportCalendar && (
+            <Button
+              size="sm"
+              variant="secondary"
+              icon={Download}
+              onClick={handleDownload}
+              disabled={busy}
+            >
+              Download .ics
+            </Button>
+          )
+        }
+      />
+      <div style={{ padding: spacing[4] }}>
+        <p
+          style={{
+            margin: `0 0 ${spacing[3]}px`,
+            fontSize: typography.fontSize.sm,
+            color: colors.textMuted,
+          }}
+        >
+          Subscribe your calendar app to {whose}: reservations, due-back dates
+          {canIncludeMaintenance ? ' and, if you choose, scheduled maintenance' : ''}. Moved
+          reservations update and cancelled ones drop off when the calendar next refreshes.
+        </p>
+        {loadError ? (
+          <LoadErrorBanner
+            message={`Couldn't load the calendar link: ${loadError}`}
+            onRetry={() => setReloadKey((k) => k + 1)}
+          />
+        ) : feed === undefined ? (
+          <div role="status" style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+            Loading...
+          </div>
+        ) : feed ? (
+          <>
+            <div style={{ display: 'flex', gap: spacing[2], alignItems: 'center' }}>
+              <input
+                readOnly
+                value={feed.url}
+                aria-label="Calendar subscription link"
+                onFocus={(e) => e.target.select()}
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: spacing[2],
+                  fontFamily: 'monospace',
+                  fontSize: typography.fontSize.xs,
+                  color: colors.textSecondary,
+                  background: colors.bgLight,
+                  border: `1px solid ${colors.border}`,
+                  borderRadius: borderRadius.md,
+                }}
+              />
+              <Button size="sm" icon={Copy} onClick={handleCopy}>
+                Copy
+              </Button>
+            </div>
+            <div
+              style={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                gap: spacing[2],
+                marginTop: spacing[3],
+              }}
+            >
+              <span style={{ flex: 1, fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                {feed.lastFetchedAt
+                  ? `Last fetched ${formatDateTime(feed.lastFetchedAt)}`
+                  : 'Not fetched by a calendar yet'}
+                {feed.includeMaintenance ? ' · includes maintenance' : ''}
+              </span>
+              <Button
+                size="sm"
+                variant="secondary"
+                icon={RefreshCw}
+                onClick={handleReset}
+                disabled={busy}
+              >
+                Reset Link
+              </Button>
+              <Button
+                size="sm"
+                variant="secondary"
+                icon={Trash2}
+                onClick={handleRemove}
+                disabled={busy}
+              >
+                Remove
+              </Button>
+            </div>
+          </>
+        ) : (
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: spacing[3] }}>
+            <Button size="sm" icon={Link2} onClick={handleCreate} disabled={busy || !userId}>
+              Create Subscription Link
+            </Button>
+            {canIncludeMaintenance && (
+              <label
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: spacing[2],
+                  fontSize: typography.fontSize.sm,
+                  color: colors.textSecondary,
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={includeMaintenance}
+                  onChange={(e) => setIncludeMaintenance(e.target.checked)}
+                />
+                Include scheduled maintenance
+              </label>
+            )}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+});
+
+CalendarFeedSection.propTypes = {
+  /** The signed-in user — feeds belong to them */
+  user: PropTypes.shape({ id: PropTypes.string }),
+  /** Scope the feed to one client instead of the user's own work */
+  client: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string }),
+  /** DataContext — the calendar feed operations */
+  dataContext: PropTypes.object.isRequired,
+  /** Offer scheduled maintenance (gear_list edit) */
+  canIncludeMaintenance: PropTypes.bool,
+};
+
+export default CalendarFeedSection;
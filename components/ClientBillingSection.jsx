@@ -0,0 +1,433 @@
+// =============================================================================
+// ClientBillingSection — the Billing panel on the client detail page: what
+// the client owes, their invoices, and invoicing a finished job.
+//
+// A job is a reservation that has ended or a day's checkouts for a project
+// (lib/invoicing.js). Jobs already on a live invoice drop out of the picker;
+// the database enforces the same rule, so two people billing the same job
+// at once get a clear error rather than a double invoice.
+// =============================================================================
+
+import { memo, useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Calendar, ChevronRight, FileText, Package, Plus, Receipt } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import {
+  formatDate,
+  formatMoney,
+  getTodayISO,
+  getInvoiceStatusColor,
+  parseLocalDate,
+  groupReservationsForSchedule,
+} from '../utils';
+import { Badge, Button, CollapsibleSection } from './ui.jsx';
+import LoadErrorBanner from './LoadErrorBanner.jsx';
+import { Modal, ModalHeader } from '../modals/ModalBase.jsx';
+import { InvoiceModal } from '../modals/InvoiceModal.jsx';
+import { InvoiceDetailModal } from '../modals/InvoiceDetailModal.jsx';
+import {
+  buildInvoiceDraft,
+  clientBalance,
+  collectCheckoutJobs,
+  completedReservationJobs,
+  invoiceBalance,
+  uninvoicedJobs,
+  withReservationReturns,
+} from '../lib/invoicing.js';
+import { INVOICE_STATUS, INVOICE_STATUS_LABELS } from '../constants.js';
+import { useToast } from '../contexts/ToastContext.js';
+import { error as logError } from '../lib/logger.js';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+// source_key is unique per live invoice — the loser of a race sees this
+const UNIQUE_VIOLATION = '23505';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: spacing[3],
+  padding: spacing[3],
+  background: colors.bgLight,
+  borderRadius: borderRadius.md,
+  cursor: 'pointer',
+  border: 'none',
+  width: '100%',
+  textAlign: 'left',
+  font: 'inherit',
+  color: 'inherit',
+};
+
+function StatTile({ value, label, color }) {
+  return (
+    <div
+      style={{
+        textAlign: 'center',
+        padding: spacing[3],
+        background: colors.bgLight,
+        borderRadius: borderRadius.md,
+      }}
+    >
+      <div style={{ fontSize: typography.fontSize.xl, fontWeight: 'bold', color }}>{value}</div>
+      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>{label}</div>
+    </div>
+  );
+}
+
+StatTile.propTypes = {
+  value: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  color: PropTypes.string,
+};
+
+export const ClientBillingSection = memo(function ClientBillingSection({
+  client,
+  dataContext,
+  inventory = [],
+  user,
+  canEdit = false,
+  addAuditLog,
+}) {
+  const { addToast } = useToast();
+  const [collapsed, setCollapsed] = useState(false);
+  const [jobs, setJobs] = useState(null);
+  const [jobsError, setJobsError] = useState(null);
+  const [picking, setPicking] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [openInvoiceId, setOpenInvoiceId] = useState(null);
+
+  const {
+    invoices = [],
+    invoicesLoaded,
+    lazyErrors,
+    ensureInvoices,
+    packages,
+    pricingSettings,
+  } = dataContext;
+
+  useEffect(() => {
+    ensureInvoices?.();
+  }, [ensureInvoices]);
+
+  const today = getTodayISO();
+  const clientInvoices = useMemo(
+    () => invoices.filter((inv) => inv.clientId === client.id),
+    [invoices, client.id],
+  );
+  const balance = useMemo(
+    () => clientBalance(invoices, client.id, today),
+    [invoices, client.id, today],
+  );
+
+  const audit = useCallback(
+    (type, description, invoiceId) =>
+      addAuditLog?.({
+        type,
+        description,
+        user: user?.name || 'Unknown',
+        clientId: client.id,
+        invoiceId,
+      }),
+    [addAuditLog, user, client.id],
+  );
+
+  const openPicker = async () => {
+    setPicking(true);
+    setJobs(null);
+    setJobsError(null);
+    try {
+      const history = await dataContext.getClientCheckoutHistory(client.id);
+      setJobs(
+        uninvoicedJobs({
+          reservationJobs: completedReservationJobs(
+            groupReservationsForSchedule(inventory),
+            client.id,
+            today,
+          ),
+          checkoutJobs: collectCheckoutJobs(history, client.id),
+          invoices,
+        }),
+      );
+    } catch (err) {
+      setJobsError(err.message || 'unknown error');
+    }
+  };
+
+  const chooseJob = async (job) => {
+    try {
+      let billed = job;
+      if (job.sourceType === 'reservation') {
+        const returns = await dataContext.getItemReturnsSince(
+          job.items.map((i) => i.itemId),
+          parseLocalDate(job.start).toISOString(),
+        );
+        billed = withReservationReturns(job, returns, inventory);
+      }
+      setDraft({
+        outstanding: billed.outstanding,
+        ...buildInvoiceDraft({
+          job: billed,
+          inventory,
+          packages,
+          settings: pricingSettings,
+          issueDate: today,
+          clientName: client.name,
+        }),
+      });
+      setPicking(false);
+    } catch (err) {
+      logError('Preparing invoice failed:', err);
+      setJobsError(err.message || 'unknown error');
+    }
+  };
+
+  const handleCreate = async (invoice, lines) => {
+    let saved;
+    try {
+      saved = await dataContext.createInvoice(
+        { ...invoice, createdByName: user?.name || null },
+        lines,
+      );
+    } catch (err) {
+      if (err?.code === UNIQUE_VIOLATION) {
+        throw new Error('This job has already been invoiced', { cause: err });
+      }
+      throw err;
+    }
+    audit(
+      'invoice_created',
+      `Invoice ${saved.id} (${money(saved.total)}) created for "${client.name}"`,
+      saved.id,
+    );
+    addToast(`Invoice ${saved.id} saved`, 'success');
+    setOpenInvoiceId(saved.id);
+  };
+
+  const invoiceHandlers = {
+    onMarkSent: async (invoice) => {
+      await dataContext.updateInvoiceStatus(invoice.id, INVOICE_STATUS.SENT);
+      audit('invoice_sent', `Invoice ${invoice.id} marked sent`, invoice.id);
+    },
+    onVoid: async (invoice) => {
+      await dataContext.updateInvoiceStatus(invoice.id, INVOICE_STATUS.VOID);
+      audit('invoice_voided', `Invoice ${invoice.id} voided`, invoice.id);
+    },
+    onDelete: async (invoice) => {
+      await dataContext.deleteInvoice(invoice.id);
+      audit('invoice_deleted', `Draft invoice ${invoice.id} deleted`, invoice.id);
+      addToast(`Draft ${invoice.id} deleted`, 'success');
+    },
+    onRecordPayment: async (payment) => {
+      await dataContext.recordInvoicePayment({
+        ...payment,
+        recordedBy: user?.id || null,
+        recordedByName: user?.name || null,
+      });
+      audit(
+        'invoice_payment',
+        `Payment of ${money(payment.amount)} recorded on invoice ${payment.invoiceId}`,
+        payment.invoiceId,
+      );
+    },
+    onDeletePayment: async (payment, invoice) => {
+      await dataContext.deleteInvoicePayment(payment.id, invoice.id);
+      audit(
+        'invoice_payment_deleted',
+        `Payment of ${money(payment.amount)} removed from invoice ${invoice.id}`,
+        invoice.id,
+      );
+    },
+  };
+
+  const loadFailed = Boolean(lazyErrors?.invoices);
+
+  return (
+    <CollapsibleSection
+      title="Billing"
+      icon={Receipt}
+      badge={balance.openCount || null}
+      badgeColor={balance.overdueCount ? colors.danger : colors.primary}
+      collapsed={collapsed}
+      onToggleCollapse={() => setCollapsed(!collapsed)}
+      style={{ marginBottom: spacing[4] }}
+    >
+      {loadFailed && !invoicesLoaded ? (
+        <LoadErrorBanner
+          message="Couldn't load invoices. Check your connection and try again."
+          onRetry={() => ensureInvoices?.()}
+        />
+      ) : !invoicesLoaded ? (
+        <div role="status" style={{ padding: spacing[4], color: colors.textMuted }}>
+          Loading invoices...
+        </div>
+      ) : (
+        <>
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+              gap: spacing[3],
+              marginBottom: spacing[3],
+            }}
+          >
+            <StatTile value={money(balance.balance)} label="Balance Due" color={colors.primary} />
+            <StatTile
+              value={money(balance.overdue)}
+              label="Overdue"
+              color={balance.overdue > 0 ? colors.danger : colors.textMuted}
+            />
+          </div>
+
+          {clientInvoices.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: spacing[4], color: colors.textMuted }}>
+              No invoices yet
+            </div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[2] }}>
+              {clientInvoices.map((inv) => {
+                const owed = invoiceBalance(inv);
+                const late = owed > 0 && inv.dueDate < today;
+                return (
+                  <button
+                    key={inv.id}
+                    type="button"
+                    onClick={() => setOpenInvoiceId(inv.id)}
+                    style={rowStyle}
+                  >
+                    <FileText size={16} color={colors.textMuted} />
+                    <div style={{ flex: 1 }}>
+                      <div
+                        style={{
+                          fontWeight: typography.fontWeight.medium,
+                          color: colors.textPrimary,
+                        }}
+                      >
+                        {inv.id}
+                        {inv.project ? ` · ${inv.project}` : ''}
+                      </div>
+                      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                        Issued {formatDate(inv.issueDate)} • Due {formatDate(inv.dueDate)}
+                        {late && <span style={{ color: colors.danger }}> • Overdue</span>}
+                      </div>
+                    </div>
+                    <div style={{ textAlign: 'right' }}>
+                      <div style={{ color: colors.textPrimary }}>{money(inv.total)}</div>
+                      {owed > 0 && owed < inv.total && (
+                        <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                          {money(owed)} left
+                        </div>
+                      )}
+                    </div>
+                    <Badge color={getInvoiceStatusColor(inv.status)}>
+                      {INVOICE_STATUS_LABELS[inv.status]}
+                    </Badge>
+                    <ChevronRight size={16} color={colors.textMuted} />
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {canEdit && (
+            <div style={{ marginTop: spacing[3] }}>
+              <Button variant="secondary" size="sm" icon={Plus} onClick={openPicker}>
+                New Invoice
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+
+      {picking && (
+        <Modal onClose={() => setPicking(false)} maxWidth={560}>
+          <ModalHeader title="Invoice a Job" onClose={() => setPicking(false)} />
+          <div
+            className="modal-body"
+            style={{ padding: spacing[4], maxHeight: '60vh', overflowY: 'auto' }}
+          >
+            {jobsError ? (
+              <p role="alert" style={{ color: colors.danger }}>
+                Couldn&rsquo;t load this client&rsquo;s jobs: {jobsError}
+              </p>
+            ) : !jobs ? (
+              <p role="status" style={{ color: colors.textMuted }}>
+                Loading jobs...
+              </p>
+            ) : jobs.length === 0 ? (
+              <p style={{ color: colors.textMuted }}>
+                Nothing left to invoice — every finished reservation and checkout for {client.name}{' '}
+                is already on an invoice.
+              </p>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[2] }}>
+                {jobs.map((job) => {
+                  const Icon = job.sourceType === 'reservation' ? Calendar : Package;
+                  const units = job.items.reduce((sum, i) => sum + i.quantity, 0);
+                  return (
+                    <button
+                      key={job.sourceKey}
+                      type="button"
+                      onClick={() => chooseJob(job)}
+                      style={rowStyle}
+                    >
+                      <Icon size={16} color={colors.textMuted} />
+                      <div style={{ flex: 1 }}>
+                        <div style={{ color: colors.textPrimary }}>
+                          {job.project || 'Untitled job'}
+                        </div>
+                        <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                          {job.sourceType === 'reservation' ? 'Reservation' : 'Checkout'} •{' '}
+                          {formatDate(job.start)} – {formatDate(job.end)} • {units} unit
+                          {units === 1 ? '' : 's'}
+                          {job.outstanding > 0 && ` • ${job.outstanding} still out`}
+                        </div>
+                      </div>
+                      <ChevronRight size={16} color={colors.textMuted} />
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {draft && (
+        <InvoiceModal
+          draft={draft}
+          outstanding={draft.outstanding}
+          profile={user?.profile}
+          onSave={handleCreate}
+          onClose={() => setDraft(null)}
+        />
+      )}
+
+      {openInvoiceId && (
+        <InvoiceDetailModal
+          invoiceId={openInvoiceId}
+          loadInvoice={dataContext.getInvoiceDetails}
+          profile={user?.profile}
+          canEdit={canEdit}
+          {...invoiceHandlers}
+          onClose={() => setOpenInvoiceId(null)}
+        />
+      )}
+    </CollapsibleSection>
+  );
+});
+
+ClientBillingSection.propTypes = {
+  client: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+  }).isRequired,
+  /** DataContext — invoices, pricing and the invoice operations */
+  dataContext: PropTypes.object.isRequired,
+  /** For reservation jobs, rates and what is still checked out */
+  inventory: PropTypes.array,
+  user: PropTypes.object,
+  canEdit: PropTypes.bool,
+  addAuditLog: PropTypes.func,
+};
+
+export default ClientBillingSection;
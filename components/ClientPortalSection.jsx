@@ -0,0 +1,247 @@
+// =============================================================================
+// ClientPortalSection — request links for one client, on the client page.
+//
+// Each link opens the public /portal/<token> page, where the client picks
+// dates and gear from the curated portal catalog and sends a request that
+// lands as a hold. Links expire after the chosen number of days; revoking
+// one deletes it, so the page refuses the token from then on.
+// =============================================================================
+
+import { memo, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Copy, Link2, Send, Trash2 } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import { formatDate, formatDateTime } from '../utils';
+import { Button, Card, CardHeader, Badge } from './ui.jsx';
+import { Select } from './Select.jsx';
+import LoadErrorBanner from './LoadErrorBanner.jsx';
+import { useToast } from '../contexts/ToastContext.js';
+
+// How long a new link stays usable, in days
+const EXPIRY_OPTIONS = [7, 30, 90];
+
+const isExpired = (link) => Boolean(link.expiresAt) && new Date(link.expiresAt) <= new Date();
+
+export const ClientPortalSection = memo(function ClientPortalSection({
+  client,
+  user,
+  dataContext,
+  canEdit = true,
+  addAuditLog,
+}) {
+  const { addToast } = useToast();
+  const [links, setLinks] = useState(undefined);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [expiryDays, setExpiryDays] = useState(30);
+  const [busy, setBusy] = useState(false);
+
+  const { getPortalLinks, createPortalLink, deletePortalLink } = dataContext;
+  const clientId = client.id;
+
+  useEffect(() => {
+    if (!getPortalLinks) return undefined;
+    let cancelled = false;
+    setLoadError(null);
+    getPortalLinks(clientId)
+      .then((rows) => {
+        if (!cancelled) setLinks(rows);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || 'unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [getPortalLinks, clientId, reloadKey]);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      const expiresAt = new Date(Date.now() + expiryDays * 86400000).toISOString();
+      const created = await createPortalLink({
+        clientId,
+        createdBy: user?.id || null,
+        createdByName: user?.name || null,
+        expiresAt,
+      });
+      setLinks((prev) => [created, ...(prev || [])]);
+      addAuditLog?.({
+        type: 'client_portal_link_created',
+        description: `Request portal link created for ${client.name} (${expiryDays} days)`,
+        user: user?.name || 'Unknown',
+        clientId,
+      });
+    } catch (err) {
+      addToast(`Could not create the link: ${err.message || 'Please try again.'}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    setBusy(true);
+    try {
+      await deletePortalLink(link.id);
+      setLinks((prev) => prev.filter((l) => l.id !== link.id));
+      addAuditLog?.({
+        type: 'client_portal_link_revoked',
+        description: `Request portal link revoked for ${client.name}`,
+        user: user?.name || 'Unknown',
+        clientId,
+      });
+    } catch (err) {
+      addToast(`Could not revoke the link: ${err.message || 'Please try again.'}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = (link) =>
+    navigator.clipboard.writeText(link.url).then(
+      () => addToast('Link copied', 'success'),
+      () => addToast('Could not copy to clipboard — try again', 'error'),
+    );
+
+  return (
+    <Card padding={false} style={{ marginBottom: spacing[5] }}>
+      <CardHeader title="Request Portal" icon={Send} />
+      <div style={{ padding: spacing[4] }}>
+        <p
+          style={{
+            margin: `0 0 ${spacing[3]}px`,
+            fontSize: typography.fontSize.sm,
+            color: colors.textMuted,
+          }}
+        >
+          Send {client.name} a link where they pick dates and gear from the portal catalog. Their
+          request arrives as a hold on this client for you to confirm.
+        </p>
+        {loadError ? (
+          <LoadErrorBanner
+            message={`Couldn't load the portal links: ${loadError}`}
+            onRetry={() => setReloadKey((k) => k + 1)}
+          />
+        ) : links === undefined ? (
+          <div role="status" style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+            Loading...
+          </div>
+        ) : (
+          <>
+            {links.length === 0 && (
+              <div
+                style={{
+                  marginBottom: spacing[3],
+                  color: colors.textMuted,
+                  fontSize: typography.fontSize.sm,
+                }}
+              >
+                No links yet.
+              </div>
+            )}
+            {links.map((link) => (
+              <div key={link.id} style={{ marginBottom: spacing[3] }}>
+                <div style={{ display: 'flex', gap: spacing[2], alignItems: 'center' }}>
+                  <input
+                    readOnly
+                    value={link.url}
+                    aria-label="Request portal link"
+                    onFocus={(e) => e.target.select()}
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      padding: spacing[2],
+                      fontFamily: 'monospace',
+                      fontSize: typography.fontSize.xs,
+                      color: colors.textSecondary,
+                      background: colors.bgLight,
+                      border: `1px solid ${colors.border}`,
+                      borderRadius: borderRadius.md,
+                    }}
+                  />
+                  <Button size="sm" icon={Copy} onClick={() => handleCopy(link)}>
+                    Copy
+                  </Button>
+                  {canEdit && (
+                    <Button
+                      size="sm"
+                      variant="secondary"
+                      icon={Trash2}
+                      onClick={() => handleRevoke(link)}
+                      disabled={busy}
+                    >
+                      Revoke
+                    </Button>
+                  )}
+                </div>
+                <div
+                  style={{
+                    display: 'flex',
+                    flexWrap: 'wrap',
+                    alignItems: 'center',
+                    gap: spacing[2],
+                    marginTop: spacing[1],
+                    fontSize: typography.fontSize.xs,
+                    color: colors.textMuted,
+                  }}
+                >
+                  {isExpired(link) && <Badge text="Expired" color={colors.danger} size="xs" />}
+                  <span>
+                    {link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : 'Never expires'}
+                    {' · '}
+                    {link.lastUsedAt
+                      ? `Last request ${formatDateTime(link.lastUsedAt)}`
+                      : 'No requests yet'}
+                  </span>
+                </div>
+              </div>
+            ))}
+            {canEdit && (
+              <div
+                style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: spacing[3] }}
+              >
+                <Button size="sm" icon={Link2} onClick={handleCreate} disabled={busy}>
+                  Create Request Link
+                </Button>
+                <label
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: spacing[2],
+                    fontSize: typography.fontSize.sm,
+                    color: colors.textSecondary,
+                  }}
+                >
+                  Valid for
+                  <Select
+                    compact
+                    value={expiryDays}
+                    onChange={(e) => setExpiryDays(Number(e.target.value))}
+                    options={EXPIRY_OPTIONS.map((days) => ({ value: days, label: `${days} days` }))}
+                    aria-label="Link valid for"
+                    style={{ width: 110 }}
+                  />
+                </label>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Card>
+  );
+});
+
+ClientPortalSection.propTypes = {
+  /** The client the links are for */
+  client: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string }).isRequired,
+  /** The signed-in user — recorded as the link's creator */
+  user: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string }),
+  /** DataContext — the portal link operations */
+  dataContext: PropTypes.object.isRequired,
+  /** Create and revoke links (clients edit) */
+  canEdit: PropTypes.bool,
+  /** Records link changes in the audit log */
+  addAuditLog: PropTypes.func,
+};
+
+export default ClientPortalSection;
@@ -0,0 +1,120 @@
+// ============================================================================
+// DepositFields - the deposit a checkout takes: amount, how it was paid and
+// a receipt or transaction reference. Blank means no deposit unless the
+// borrower account requires one (lib/deposits.js checkoutDeposit). A note
+// under the heading says what the deposit covers when that is not everything.
+// ============================================================================
+
+import { memo, useId } from 'react';
+import PropTypes from 'prop-types';
+import { colors, styles, spacing, typography } from '../theme.js';
+import { Select } from './Select.jsx';
+import { DEPOSIT_METHODS, depositMoney } from '../lib/deposits.js';
+
+function DepositFields({ value, onChange, borrower, error, note }) {
+  const id = useId();
+  const required = Number(borrower?.depositRequired) || 0;
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div style={{ marginBottom: spacing[4] }}>
+      <h4
+        style={{
+          margin: `0 0 ${spacing[3]}px`,
+          color: colors.textPrimary,
+          fontSize: typography.fontSize.base,
+        }}
+      >
+        Deposit
+      </h4>
+      {note && (
+        <p
+          style={{
+            margin: `0 0 ${spacing[3]}px`,
+            fontSize: typography.fontSize.xs,
+            color: colors.textMuted,
+          }}
+        >
+          {note}
+        </p>
+      )}
+      <div className="responsive-form-grid">
+        <div>
+          <label htmlFor={`${id}-amount`} style={styles.label}>
+            Amount ($){required > 0 && <span style={{ color: colors.danger }}> *</span>}
+          </label>
+          <input
+            id={`${id}-amount`}
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            value={value.amount}
+            onChange={set('amount')}
+            placeholder={required > 0 ? String(required) : 'No deposit'}
+            style={{ ...styles.input, borderColor: error ? colors.danger : colors.border }}
+          />
+        </div>
+        <div>
+          <label style={styles.label}>Method</label>
+          <Select
+            value={value.method}
+            onChange={set('method')}
+            options={DEPOSIT_METHODS}
+            aria-label="Deposit method"
+          />
+        </div>
+      </div>
+      <div style={{ marginTop: spacing[3] }}>
+        <label htmlFor={`${id}-reference`} style={styles.label}>
+          Reference
+        </label>
+        <input
+          id={`${id}-reference`}
+          value={value.reference}
+          onChange={set('reference')}
+          placeholder="Receipt or transaction number"
+          style={styles.input}
+        />
+      </div>
+      {error ? (
+        <span role="alert" style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
+          {error}
+        </span>
+      ) : (
+        required > 0 && (
+          <div
+            style={{
+              marginTop: spacing[1],
+              fontSize: typography.fontSize.xs,
+              color: colors.textMuted,
+            }}
+          >
+            {borrower.name} leaves {depositMoney(required)} with each checkout
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+DepositFields.propTypes = {
+  /** {amount, method, reference} as typed */
+  value: PropTypes.shape({
+    amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    method: PropTypes.string,
+    reference: PropTypes.string,
+  }).isRequired,
+  /** Receives the whole next value */
+  onChange: PropTypes.func.isRequired,
+  /** The borrower account the checkout is for — its required deposit */
+  borrower: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    depositRequired: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  }),
+  error: PropTypes.string,
+  /** What the deposit covers, when it is not the whole checkout */
+  note: PropTypes.string,
+};
+
+export default memo(DepositFields);
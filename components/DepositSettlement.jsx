@@ -0,0 +1,157 @@
+// ============================================================================
+// DepositSettlement - what happens to a held deposit: refunded in full,
+// part kept back for damage, forfeited, or (at check-in) left for later.
+// lib/deposits.js depositSettlement turns the choice into ledger fields.
+// ============================================================================
+
+import { memo, useId } from 'react';
+import PropTypes from 'prop-types';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { DEPOSIT_METHODS, SETTLEMENT_OUTCOMES, depositMoney } from '../lib/deposits.js';
+
+const OUTCOME_LABELS = {
+  [SETTLEMENT_OUTCOMES.REFUND]: 'Refund in full',
+  [SETTLEMENT_OUTCOMES.DEDUCT]: 'Keep part back for damage',
+  [SETTLEMENT_OUTCOMES.FORFEIT]: 'Forfeit the deposit',
+  [SETTLEMENT_OUTCOMES.LATER]: 'Settle later',
+};
+
+function DepositSettlement({ deposit, value, onChange, error, allowLater = false, stillOut = 0 }) {
+  const id = useId();
+  const set = (field, next) => onChange({ ...value, [field]: next });
+  const outcomes = Object.values(SETTLEMENT_OUTCOMES).filter(
+    (o) => allowLater || o !== SETTLEMENT_OUTCOMES.LATER,
+  );
+  const method = DEPOSIT_METHODS.find((m) => m.value === deposit.method)?.label;
+
+  return (
+    <fieldset
+      style={{
+        margin: 0,
+        padding: spacing[3],
+        border: `1px solid ${withOpacity(colors.primary, 30)}`,
+        borderRadius: borderRadius.md,
+        background: withOpacity(colors.primary, 6),
+      }}
+    >
+      <legend
+        style={{
+          padding: `0 ${spacing[1]}px`,
+          color: colors.textPrimary,
+          fontWeight: typography.fontWeight.medium,
+        }}
+      >
+        Deposit held: {depositMoney(deposit.amount)}
+      </legend>
+      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+        {deposit.borrowerName}
+        {method ? ` · ${method}` : ''}
+        {deposit.reference ? ` · ${deposit.reference}` : ''}
+      </div>
+      {stillOut > 0 && (
+        <div
+          style={{
+            marginTop: spacing[1],
+            fontSize: typography.fontSize.xs,
+            color: colors.warning,
+          }}
+        >
+          {stillOut} other item{stillOut === 1 ? '' : 's'} on this deposit{' '}
+          {stillOut === 1 ? 'is' : 'are'} still out
+        </div>
+      )}
+
+      <div
+        role="radiogroup"
+        aria-label="Deposit settlement"
+        style={{ display: 'grid', gap: spacing[1], marginTop: spacing[2] }}
+      >
+        {outcomes.map((outcome) => (
+          <label
+            key={outcome}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: spacing[2],
+              cursor: 'pointer',
+              fontSize: typography.fontSize.sm,
+              color: colors.textPrimary,
+            }}
+          >
+            <input
+              type="radio"
+              name={`${id}-outcome`}
+              checked={value.outcome === outcome}
+              onChange={() => set('outcome', outcome)}
+              style={{ accentColor: colors.primary }}
+            />
+            {OUTCOME_LABELS[outcome]}
+          </label>
+        ))}
+      </div>
+
+      {value.outcome === SETTLEMENT_OUTCOMES.DEDUCT && (
+        <div style={{ marginTop: spacing[3] }}>
+          <label htmlFor={`${id}-deduction`} style={styles.label}>
+            Keep back ($)
+          </label>
+          <input
+            id={`${id}-deduction`}
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            value={value.deduction}
+            onChange={(e) => set('deduction', e.target.value)}
+            style={styles.input}
+          />
+        </div>
+      )}
+      {(value.outcome === SETTLEMENT_OUTCOMES.DEDUCT ||
+        value.outcome === SETTLEMENT_OUTCOMES.FORFEIT) && (
+        <div style={{ marginTop: spacing[3] }}>
+          <label htmlFor={`${id}-reason`} style={styles.label}>
+            Reason
+          </label>
+          <input
+            id={`${id}-reason`}
+            value={value.reason}
+            onChange={(e) => set('reason', e.target.value)}
+            placeholder="What the deposit covers"
+            style={styles.input}
+          />
+        </div>
+      )}
+      {error && (
+        <span role="alert" style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
+          {error}
+        </span>
+      )}
+    </fieldset>
+  );
+}
+
+DepositSettlement.propTypes = {
+  /** The held deposit */
+  deposit: PropTypes.shape({
+    amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    borrowerName: PropTypes.string,
+    method: PropTypes.string,
+    reference: PropTypes.string,
+  }).isRequired,
+  /** {outcome, deduction, reason} — see SETTLEMENT_OUTCOMES */
+  value: PropTypes.shape({
+    outcome: PropTypes.string.isRequired,
+    deduction: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    reason: PropTypes.string,
+  }).isRequired,
+  /** Receives the whole next value */
+  onChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+  /** Offer "Settle later" — at check-in, not on the ledger */
+  allowLater: PropTypes.bool,
+  /** Other items on the deposit not back yet */
+  stillOut: PropTypes.number,
+};
+
+export default memo(DepositSettlement);
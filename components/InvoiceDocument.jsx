@@ -0,0 +1,218 @@
+// =============================================================================
+// InvoiceDocument — an invoice as a printable page: letterhead, bill-to and
+// dates, line items, totals and what has been paid. Like QuoteDocument, the
+// same markup is the on-screen preview and (via invoiceRender.jsx) the print
+// window.
+// =============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { colors, spacing, typography } from '../theme.js';
+import { formatDate, formatMoney } from '../utils';
+import { INVOICE_STATUS, INVOICE_STATUS_LABELS } from '../constants.js';
+import { ReportBranding } from './ReportBranding.jsx';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+const cell = {
+  padding: `${spacing[2]}px ${spacing[2]}px`,
+  borderBottom: `1px solid ${colors.borderLight}`,
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+const numCell = { ...cell, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+const mutedText = { color: colors.textMuted, fontSize: typography.fontSize.xs };
+
+function TotalRow({ label, value, strong = false }) {
+  const weight = strong ? typography.fontWeight.bold : typography.fontWeight.normal;
+  return (
+    <tr>
+      <td
+        style={{
+          padding: `${spacing[1]}px ${spacing[2]}px`,
+          color: strong ? colors.textPrimary : colors.textSecondary,
+          fontWeight: weight,
+        }}
+      >
+        {label}
+      </td>
+      <td
+        style={{
+          padding: `${spacing[1]}px ${spacing[2]}px`,
+          textAlign: 'right',
+          fontVariantNumeric: 'tabular-nums',
+          color: colors.textPrimary,
+          fontWeight: weight,
+        }}
+      >
+        {value}
+      </td>
+    </tr>
+  );
+}
+
+TotalRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  strong: PropTypes.bool,
+};
+
+export const InvoiceDocument = memo(function InvoiceDocument({
+  invoice,
+  lines,
+  payments = [],
+  profile,
+}) {
+  const paid = Number(invoice.amountPaid) || 0;
+  const showPayments = invoice.status !== INVOICE_STATUS.DRAFT && paid > 0;
+  const details = [
+    ['Bill to', invoice.clientName],
+    ['Project', invoice.project],
+    [
+      'Period',
+      invoice.periodStart &&
+        `${formatDate(invoice.periodStart)} – ${formatDate(invoice.periodEnd || invoice.periodStart)}`,
+    ],
+  ].filter(([, value]) => value);
+
+  return (
+    <div style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
+      <ReportBranding profile={profile} />
+
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: spacing[4],
+          flexWrap: 'wrap',
+          marginBottom: spacing[4],
+        }}
+      >
+        <div>
+          <h2
+            style={{
+              margin: `0 0 ${spacing[2]}px`,
+              fontSize: typography.fontSize['2xl'],
+              fontWeight: typography.fontWeight.bold,
+            }}
+          >
+            Invoice{invoice.id ? ` ${invoice.id}` : ''}
+          </h2>
+          {details.map(([label, value]) => (
+            <div key={label}>
+              <span style={{ color: colors.textMuted }}>{label}:</span> {value}
+            </div>
+          ))}
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div>Issued {formatDate(invoice.issueDate)}</div>
+          <div>Due {formatDate(invoice.dueDate)}</div>
+          {invoice.status && invoice.status !== INVOICE_STATUS.SENT && (
+            <div style={{ ...mutedText, textTransform: 'uppercase' }}>
+              {INVOICE_STATUS_LABELS[invoice.status]}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing[3] }}>
+        <thead>
+          <tr style={{ color: colors.textMuted }}>
+            <th style={cell}>Description</th>
+            <th style={numCell}>Qty</th>
+            <th style={numCell}>Rate</th>
+            <th style={numCell}>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line, index) => (
+            <tr key={line.id || index}>
+              <td style={cell}>{line.description}</td>
+              <td style={numCell}>{line.quantity}</td>
+              <td style={numCell}>{line.unitPrice == null ? '' : money(line.unitPrice)}</td>
+              <td style={numCell}>{money(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table style={{ marginLeft: 'auto', borderCollapse: 'collapse', minWidth: 240 }}>
+        <tbody>
+          <TotalRow label="Subtotal" value={money(invoice.subtotal)} />
+          {invoice.discount > 0 && (
+            <TotalRow
+              label={`Discount (${invoice.discountPercent}%)`}
+              value={`−${money(invoice.discount)}`}
+            />
+          )}
+          {invoice.taxRate > 0 && (
+            <TotalRow label={`Tax (${invoice.taxRate}%)`} value={money(invoice.tax)} />
+          )}
+          <TotalRow label="Total" value={money(invoice.total)} strong={!showPayments} />
+          {showPayments && (
+            <>
+              <TotalRow label="Paid" value={`−${money(paid)}`} />
+              <TotalRow
+                label="Balance Due"
+                value={money(Math.max(0, invoice.total - paid))}
+                strong
+              />
+            </>
+          )}
+        </tbody>
+      </table>
+
+      {showPayments && payments.length > 0 && (
+        <div style={{ marginTop: spacing[4] }}>
+          <div style={{ color: colors.textMuted, marginBottom: spacing[1] }}>Payments received</div>
+          {payments.map((p) => (
+            <div key={p.id} style={mutedText}>
+              {formatDate(p.paidOn)} — {money(p.amount)}
+              {p.method ? ` (${p.method})` : ''}
+              {p.reference ? ` ref ${p.reference}` : ''}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {invoice.notes && (
+        <p style={{ ...mutedText, marginTop: spacing[5], whiteSpace: 'pre-wrap' }}>
+          {invoice.notes}
+        </p>
+      )}
+    </div>
+  );
+});
+
+InvoiceDocument.propTypes = {
+  /** Invoice header — a saved one, or a draft with totals from priceTotals() */
+  invoice: PropTypes.shape({
+    id: PropTypes.string,
+    status: PropTypes.string,
+    clientName: PropTypes.string,
+    project: PropTypes.string,
+    periodStart: PropTypes.string,
+    periodEnd: PropTypes.string,
+    issueDate: PropTypes.string,
+    dueDate: PropTypes.string,
+    subtotal: PropTypes.number.isRequired,
+    discountPercent: PropTypes.number,
+    discount: PropTypes.number,
+    taxRate: PropTypes.number,
+    tax: PropTypes.number,
+    total: PropTypes.number.isRequired,
+    amountPaid: PropTypes.number,
+    notes: PropTypes.string,
+  }).isRequired,
+  lines: PropTypes.arrayOf(
+    PropTypes.shape({
+      description: PropTypes.string.isRequired,
+      quantity: PropTypes.number,
+      unitPrice: PropTypes.number,
+      amount: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+  payments: PropTypes.array,
+  /** currentUser.profile — drives the letterhead */
+  profile: PropTypes.object,
+};
@@ -14,11 +14,18 @@ import {
   Bell,
   ChevronDown,
   ChevronUp,
+  Edit,
 } from 'lucide-react';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import { formatDate, formatDateTime, formatMoney, parseLocalDate } from '../utils';
 import { MAINTENANCE_STATUS } from '../constants.js';
 import { Badge } from './ui.jsx';
+import {
+  visibleChanges,
+  diffSpecs,
+  revisionFieldLabel,
+  formatRevisionValue,
+} from '../lib/itemRevisions.js';
 
 // Drop empty detail rows — rendering String(undefined) printed literal
 // "undefined" next to every absent field. Returns null when nothing survives
@@ -44,6 +51,9 @@ const eventTime = (d) => {
 // Date-only events have no meaningful time — showing ", 12:00 AM" implied one
 const formatEventDate = (d) => (DATE_ONLY.test(d || '') ? formatDate(d) : formatDateTime(d));
 
+const describeEdit = (field, from, to) =>
+  `${formatRevisionValue(field, from)} → ${formatRevisionValue(field, to)}`;
+
 // Event type configuration
 const EVENT_TYPES = {
   checkout: {
@@ -100,6 +110,12 @@ const EVENT_TYPES = {
     label: 'Reminder Completed',
     category: 'reminders',
   },
+  item_edited: {
+    icon: Edit,
+    color: colors.textSecondary,
+    label: 'Item Edited',
+    category: 'edits',
+  },
   // maintenance_started / condition_changed / value_updated were defined here
   // for years but no code path ever emitted them — removed 2026-08-15. The
   // unknown-type fallback below covers any stray stored value.
@@ -249,7 +265,9 @@ const TimelineEvent = memo(function TimelineEvent({ event, isLast }) {
                       textTransform: 'capitalize',
                     }}
                   >
-                    {key.replace(/([A-Z])/g, ' $1').trim()}
+                    {/* camelCase keys split into words; edit rows carry real
+                        labels and spec names ("Location ID", "ISO") */}
+                    {key.replace(/([a-z])([A-Z])/g, '$1 $2')}
                   </span>
                   <span style={{ fontSize: typography.fontSize.xs, color: colors.textSecondary }}>
                     {key.toLowerCase().includes('cost') && Number.isFinite(Number(value))
@@ -267,7 +285,7 @@ const TimelineEvent = memo(function TimelineEvent({ event, isLast }) {
 });
 
 // Main Timeline component
-function ItemTimeline({ item }) {
+function ItemTimeline({ item, revisions }) {
   const [showAll, setShowAll] = useState(false);
 
   // Build unified timeline from all item data
@@ -280,12 +298,14 @@ function ItemTimeline({ item }) {
     // was dead.
     if (item.checkoutHistory) {
       item.checkoutHistory.forEach((entry) => {
+        // Quantity-tracked events carry how many units moved
+        const units = entry.quantity ? ` (${entry.quantity} units)` : '';
         if (entry.type === 'checkout') {
           events.push({
             id: `checkout-${entry.id}`,
             type: 'checkout',
             date: entry.checkedOutDate,
-            summary: `Checked out to ${entry.borrowerName}${entry.project ? ` for ${entry.project}` : ''}`,
+            summary: `Checked out to ${entry.borrowerName}${entry.project ? ` for ${entry.project}` : ''}${units}`,
             user: entry.borrowerName,
             details: pruneDetails({
               project: entry.project,
@@ -298,13 +318,22 @@ function ItemTimeline({ item }) {
             id: `return-${entry.id}`,
             type: 'checkin',
             date: entry.returnDate,
-            summary: `Returned by ${entry.returnedBy}`,
+            summary: `Returned by ${entry.returnedBy}${units}`,
             user: entry.returnedBy,
             details: pruneDetails({
               condition: entry.conditionAtAction,
               notes: entry.notes,
             }),
           });
+        } else if (entry.type === 'consume') {
+          events.push({
+            id: `consume-${entry.id}`,
+            type: 'checkin',
+            date: entry.consumedDate,
+            summary: `Consumed by ${entry.consumedBy}${units}`,
+            user: entry.consumedBy,
+            details: pruneDetails({ project: entry.project, notes: entry.notes }),
+          });
         }
       });
     }
@@ -416,12 +445,33 @@ function ItemTimeline({ item }) {
       });
     }
 
+    // Field edits to the item itself (item_revisions), loaded by ItemDetail
+    (revisions || []).forEach((revision) => {
+      const changes = visibleChanges(revision);
+      if (changes.length === 0) return;
+      events.push({
+        id: `rev-${revision.id}`,
+        type: 'item_edited',
+        date: revision.changedAt,
+        summary: `Changed ${changes.map((c) => revisionFieldLabel(c.field)).join(', ')}`,
+        user: revision.changedByName,
+        // Spec edits list per spec rather than as two JSON blobs
+        details: Object.fromEntries(
+          changes.flatMap((c) =>
+            c.field === 'specs'
+              ? diffSpecs(c.from, c.to).map((d) => [d.key, describeEdit(c.field, d.from, d.to)])
+              : [[revisionFieldLabel(c.field), describeEdit(c.field, c.from, c.to)]],
+          ),
+        ),
+      });
+    });
+
     // Sort by date descending (newest first) — via eventTime so date-only
     // strings compare in local time like the real timestamps around them
     events.sort((a, b) => eventTime(b.date) - eventTime(a.date));
 
     return events;
-  }, [item]);
+  }, [item, revisions]);
 
   // Limit display unless "show all" is clicked
   const displayedEvents = showAll ? allEvents : allEvents.slice(0, 5);
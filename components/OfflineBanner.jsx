@@ -0,0 +1,94 @@
+// ============================================================================
+// Offline Banner
+// Tells the operator when the app is working from the device snapshot, how
+// many checkouts/check-ins/pack ticks are waiting in the outbox, and — after
+// a reconnect — which of them the server refused because someone else got
+// to the item first.
+// ============================================================================
+
+import { CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import { Button } from './ui.jsx';
+import { useData } from '../contexts/DataContext.js';
+import { usePWAContext } from '../contexts/PWAContext.js';
+import { formatDateTime } from '../utils';
+
+const bannerStyle = (accent) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: spacing[3],
+  padding: `${spacing[2]}px ${spacing[4]}px`,
+  margin: `${spacing[2]}px ${spacing[4]}px 0`,
+  borderRadius: borderRadius.md,
+  border: `1px solid ${accent}`,
+  fontSize: typography.fontSize.sm,
+  color: colors.textPrimary,
+});
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+export function OfflineBanner() {
+  const { isOnline } = usePWAContext();
+  const {
+    offlineSnapshotAt,
+    outbox = [],
+    outboxSyncing,
+    outboxConflicts = [],
+    syncOutbox,
+    dismissOutboxConflicts,
+  } = useData();
+
+  const pending = outbox.length;
+  const showStatus = !isOnline || offlineSnapshotAt || pending > 0;
+
+  if (!showStatus && outboxConflicts.length === 0) return null;
+
+  let status = null;
+  if (!isOnline) {
+    status = `Offline${offlineSnapshotAt ? ` — showing data saved ${formatDateTime(offlineSnapshotAt)}` : ''}. Checkouts, check-ins and packing are saved on this device${pending ? ` (${plural(pending, 'change')} waiting)` : ''} and sync when you reconnect.`;
+  } else if (outboxSyncing) {
+    status = `Syncing ${plural(pending, 'offline change')}…`;
+  } else if (pending) {
+    status = `${plural(pending, 'offline change')} not synced yet.`;
+  } else if (offlineSnapshotAt) {
+    status = 'Back online — reloading inventory…';
+  }
+
+  return (
+    <>
+      {status && (
+        <div role="status" style={bannerStyle(colors.warning)}>
+          <CloudOff size={18} color={colors.warning} aria-hidden="true" />
+          <div style={{ flex: 1 }}>{status}</div>
+          {isOnline && pending > 0 && !outboxSyncing && (
+            <Button variant="secondary" size="sm" onClick={syncOutbox} icon={RefreshCw}>
+              Sync now
+            </Button>
+          )}
+        </div>
+      )}
+      {outboxConflicts.length > 0 && (
+        <div role="alert" style={{ ...bannerStyle(colors.danger), alignItems: 'flex-start' }}>
+          <AlertTriangle size={18} color={colors.danger} aria-hidden="true" />
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: typography.fontWeight.semibold }}>
+              {plural(outboxConflicts.length, 'offline change')} could not be applied
+            </div>
+            <ul style={{ margin: `${spacing[1]}px 0 0`, paddingLeft: spacing[5] }}>
+              {outboxConflicts.map((c) => (
+                <li key={c.id}>
+                  {c.description}: {c.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+          <Button variant="secondary" size="sm" onClick={dismissOutboxConflicts}>
+            Dismiss
+          </Button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default OfflineBanner;
@@ -0,0 +1,191 @@
+// =============================================================================
+// QuoteDocument — a reservation quote as a printable page: letterhead,
+// job details, line items and totals. The same markup is the modal preview
+// and (via quoteRender.jsx) the print window, so what the operator checks is
+// what the client gets.
+// =============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { colors, spacing, typography } from '../theme.js';
+import { formatDate, formatMoney } from '../utils';
+import { ReportBranding } from './ReportBranding.jsx';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+const cell = {
+  padding: `${spacing[2]}px ${spacing[2]}px`,
+  borderBottom: `1px solid ${colors.borderLight}`,
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+const numCell = { ...cell, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+const mutedText = { color: colors.textMuted, fontSize: typography.fontSize.xs };
+
+function TotalRow({ label, value, strong = false }) {
+  return (
+    <tr>
+      <td
+        style={{
+          padding: `${spacing[1]}px ${spacing[2]}px`,
+          color: strong ? colors.textPrimary : colors.textSecondary,
+          fontWeight: strong ? typography.fontWeight.bold : typography.fontWeight.normal,
+        }}
+      >
+        {label}
+      </td>
+      <td
+        style={{
+          padding: `${spacing[1]}px ${spacing[2]}px`,
+          textAlign: 'right',
+          fontVariantNumeric: 'tabular-nums',
+          color: colors.textPrimary,
+          fontWeight: strong ? typography.fontWeight.bold : typography.fontWeight.normal,
+        }}
+      >
+        {value}
+      </td>
+    </tr>
+  );
+}
+
+TotalRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  strong: PropTypes.bool,
+};
+
+export const QuoteDocument = memo(function QuoteDocument({
+  quote,
+  reservation,
+  clientName,
+  profile,
+  terms,
+  preparedOn,
+}) {
+  const details = [
+    ['Project', reservation?.project],
+    ['Client', clientName],
+    ['Contact', reservation?.contactName],
+    ['Location', reservation?.location],
+  ].filter(([, value]) => value);
+
+  return (
+    <div style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
+      <ReportBranding profile={profile} />
+
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: spacing[4],
+          flexWrap: 'wrap',
+          marginBottom: spacing[4],
+        }}
+      >
+        <div>
+          <h2
+            style={{
+              margin: `0 0 ${spacing[2]}px`,
+              fontSize: typography.fontSize['2xl'],
+              fontWeight: typography.fontWeight.bold,
+            }}
+          >
+            Rental Quote
+          </h2>
+          {details.map(([label, value]) => (
+            <div key={label}>
+              <span style={{ color: colors.textMuted }}>{label}:</span> {value}
+            </div>
+          ))}
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div>
+            {formatDate(reservation?.start)} – {formatDate(reservation?.end)}
+          </div>
+          <div style={{ color: colors.textMuted }}>
+            {quote.days} rental day{quote.days === 1 ? '' : 's'}
+          </div>
+          {preparedOn && <div style={mutedText}>Prepared {formatDate(preparedOn)}</div>}
+        </div>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing[3] }}>
+        <thead>
+          <tr style={{ color: colors.textMuted }}>
+            <th style={cell}>Item</th>
+            <th style={numCell}>Qty</th>
+            <th style={numCell}>Rate</th>
+            <th style={numCell}>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quote.lines.map((line) => (
+            <tr key={`${line.kind}:${line.id}`}>
+              <td style={cell}>
+                <div>{line.name}</div>
+                {line.kind === 'package' && (
+                  <div style={mutedText}>Package of {line.itemIds.length} items</div>
+                )}
+              </td>
+              <td style={numCell}>{line.quantity}</td>
+              <td style={numCell}>
+                {line.unitPrice == null ? (
+                  <span style={mutedText}>Not priced</span>
+                ) : (
+                  <>
+                    <div>{money(line.unitPrice)}</div>
+                    <div style={mutedText}>{line.period}</div>
+                  </>
+                )}
+              </td>
+              <td style={numCell}>{line.amount == null ? '—' : money(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table style={{ marginLeft: 'auto', borderCollapse: 'collapse', minWidth: 240 }}>
+        <tbody>
+          <TotalRow label="Subtotal" value={money(quote.subtotal)} />
+          {quote.discount > 0 && (
+            <TotalRow
+              label={`Discount (${quote.discountPercent}%)`}
+              value={`−${money(quote.discount)}`}
+            />
+          )}
+          {quote.taxRate > 0 && (
+            <TotalRow label={`Tax (${quote.taxRate}%)`} value={money(quote.tax)} />
+          )}
+          <TotalRow label="Total" value={money(quote.total)} strong />
+        </tbody>
+      </table>
+
+      {terms && (
+        <p style={{ ...mutedText, marginTop: spacing[5], whiteSpace: 'pre-wrap' }}>{terms}</p>
+      )}
+    </div>
+  );
+});
+
+QuoteDocument.propTypes = {
+  /** buildQuote() result */
+  quote: PropTypes.shape({
+    days: PropTypes.number.isRequired,
+    lines: PropTypes.array.isRequired,
+    subtotal: PropTypes.number.isRequired,
+    discountPercent: PropTypes.number,
+    discount: PropTypes.number,
+    taxRate: PropTypes.number,
+    tax: PropTypes.number,
+    total: PropTypes.number.isRequired,
+  }).isRequired,
+  reservation: PropTypes.object,
+  clientName: PropTypes.string,
+  /** currentUser.profile — drives the letterhead */
+  profile: PropTypes.object,
+  /** Pricing settings quote terms, printed at the foot */
+  terms: PropTypes.string,
+  /** YYYY-MM-DD */
+  preparedOn: PropTypes.string,
+};
@@ -0,0 +1,106 @@
+// ============================================================================
+// ReadinessChecks - the readiness issues of a checkout (lib/readiness.js)
+// and, when any of them blocks, the override reason the operator must give.
+// Renders nothing when the checkout is clear.
+// ============================================================================
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, Ban } from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { READINESS_LEVELS } from '../lib/readiness.js';
+
+function ReadinessChecks({
+  issues,
+  blocked,
+  showItemNames = false,
+  overrideReason,
+  onOverrideReasonChange,
+  error = null,
+}) {
+  if (issues.length === 0) return null;
+  const tone = blocked ? colors.danger : colors.warning;
+
+  return (
+    <div
+      role={blocked ? 'alert' : 'status'}
+      style={{
+        background: withOpacity(tone, 12),
+        border: `1px solid ${withOpacity(tone, 50)}`,
+        borderRadius: borderRadius.md,
+        padding: spacing[3],
+        marginBottom: spacing[4],
+        fontSize: typography.fontSize.sm,
+        color: colors.textPrimary,
+      }}
+    >
+      <strong>{blocked ? 'Not ready to check out' : 'Check before handing over'}</strong>
+      <ul style={{ listStyle: 'none', margin: `${spacing[2]}px 0 0`, padding: 0 }}>
+        {issues.map((issue, index) => {
+          const blocks = issue.level === READINESS_LEVELS.BLOCK;
+          const Icon = blocks ? Ban : AlertTriangle;
+          return (
+            <li
+              key={`${issue.itemId}-${issue.rule}-${index}`}
+              style={{ display: 'flex', gap: spacing[2], marginTop: spacing[1] }}
+            >
+              <Icon
+                size={14}
+                color={blocks ? colors.danger : colors.warning}
+                style={{ flexShrink: 0, marginTop: 3 }}
+                aria-label={blocks ? 'Blocks checkout' : 'Warning'}
+              />
+              <span>
+                {showItemNames && issue.itemName && <strong>{issue.itemName}: </strong>}
+                {issue.message}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      {blocked && (
+        <div style={{ marginTop: spacing[3] }}>
+          <label htmlFor="readiness-override-reason" style={styles.label}>
+            Override reason <span style={{ color: colors.danger }}>*</span>
+          </label>
+          <textarea
+            id="readiness-override-reason"
+            value={overrideReason}
+            onChange={(e) => onOverrideReasonChange(e.target.value)}
+            rows={2}
+            placeholder="Why is it going out anyway? Recorded in the audit log."
+            style={{
+              ...styles.input,
+              resize: 'vertical',
+              borderColor: error ? colors.danger : undefined,
+            }}
+          />
+          {error && (
+            <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>{error}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ReadinessChecks.propTypes = {
+  /** evaluateReadiness() issues */
+  issues: PropTypes.arrayOf(
+    PropTypes.shape({
+      rule: PropTypes.string.isRequired,
+      level: PropTypes.string.isRequired,
+      itemId: PropTypes.string,
+      itemName: PropTypes.string,
+      message: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  blocked: PropTypes.bool.isRequired,
+  /** Prefix each item's issues with its name (batch checkout) */
+  showItemNames: PropTypes.bool,
+  overrideReason: PropTypes.string.isRequired,
+  onOverrideReasonChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+};
+
+export default memo(ReadinessChecks);
@@ -0,0 +1,307 @@
+// =============================================================================
+// ReservationManifest — the reservation detail's live reconciliation: for
+// every item the job touched, the units booked, whether its pack list has it
+// packed, what was checked out and what came back (lib/reservationManifest.js).
+//
+// Gear still out is ticked as back by default; untick whatever did not make
+// it and one click checks the rest in through the bulk check-in.
+// =============================================================================
+
+import { memo, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ClipboardCheck, LogIn } from 'lucide-react';
+import { colors, spacing, typography, withOpacity } from '../theme.js';
+import { getTodayISO, parseLocalDate } from '../utils';
+import { buildReservationManifest } from '../lib/reservationManifest.js';
+import { Badge, Button, Card, CardHeader } from './ui.jsx';
+import LoadErrorBanner from './LoadErrorBanner.jsx';
+
+const FLAGS = {
+  'not-taken': { label: 'Never taken', color: colors.warning },
+  unreserved: { label: 'Not reserved', color: colors.accent2 },
+  'not-returned': { label: 'Not returned', color: colors.danger },
+};
+
+const thStyle = {
+  padding: spacing[2],
+  textAlign: 'right',
+  fontSize: typography.fontSize.xs,
+  color: colors.textMuted,
+  fontWeight: typography.fontWeight.medium,
+  whiteSpace: 'nowrap',
+};
+const tdStyle = {
+  padding: spacing[2],
+  textAlign: 'right',
+  fontVariantNumeric: 'tabular-nums',
+  fontSize: typography.fontSize.sm,
+  color: colors.textSecondary,
+};
+
+const count = (n) => (n ? n : '—');
+
+export const ReservationManifest = memo(function ReservationManifest({
+  reservation,
+  rows = [],
+  inventory = [],
+  dataContext,
+  onCheckIn,
+  onViewItem,
+}) {
+  const [history, setHistory] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Items still out that the operator says did NOT come back
+  const [missing, setMissing] = useState(() => new Set());
+  const [checkingIn, setCheckingIn] = useState(false);
+
+  const {
+    packLists = [],
+    packages = [],
+    categorySettings,
+    ensurePackLists,
+    getReservationHistory,
+  } = dataContext;
+
+  useEffect(() => {
+    ensurePackLists?.();
+  }, [ensurePackLists]);
+
+  const { project = '', start, end } = reservation;
+  // Strings, so a re-render with equal rows doesn't refetch
+  const rowKey = rows.map(({ row }) => row.id).join(',');
+  const itemKey = [...new Set(rows.map(({ itemId }) => itemId))].join(',');
+
+  useEffect(() => {
+    if (!getReservationHistory || !start) return undefined;
+    let cancelled = false;
+    setLoadError(null);
+    getReservationHistory({
+      reservationIds: rowKey ? rowKey.split(',') : [],
+      itemIds: itemKey ? itemKey.split(',') : [],
+      project,
+      sinceISO: parseLocalDate(start).toISOString(),
+    })
+      .then((rowsOfHistory) => {
+        if (!cancelled) setHistory(rowsOfHistory);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || 'unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [getReservationHistory, rowKey, itemKey, project, start, reloadKey]);
+
+  const today = getTodayISO();
+  const manifest = useMemo(
+    () =>
+      buildReservationManifest({
+        rows,
+        inventory,
+        packLists,
+        packages,
+        history: history || [],
+        project,
+        start,
+        end,
+        today,
+        categorySettings,
+      }),
+    [rows, inventory, packLists, packages, history, project, start, end, today, categorySettings],
+  );
+
+  const cameBack = manifest.returnable.filter((id) => !missing.has(id));
+  const canCheckIn = !!onCheckIn && history !== null;
+
+  const toggleMissing = (itemId) =>
+    setMissing((prev) => {
+      const next = new Set(prev);
+      if (next.has(itemId)) next.delete(itemId);
+      else next.add(itemId);
+      return next;
+    });
+
+  const handleCheckIn = async () => {
+    if (!cameBack.length || checkingIn) return;
+    setCheckingIn(true);
+    try {
+      await onCheckIn(cameBack);
+    } finally {
+      setCheckingIn(false);
+      setMissing(new Set());
+      setReloadKey((k) => k + 1);
+    }
+  };
+
+  const flagged = [
+    ['not-taken', manifest.counts.notTaken],
+    ['unreserved', manifest.counts.unreserved],
+    ['not-returned', manifest.counts.notReturned],
+  ].filter(([, n]) => n > 0);
+
+  return (
+    <Card padding={false} style={{ marginBottom: spacing[5] }}>
+      <CardHeader
+        title="Manifest"
+        icon={ClipboardCheck}
+        action={
+          canCheckIn &&
+          manifest.returnable.length > 0 && (
+            <Button
+              size="sm"
+              icon={LogIn}
+              onClick={handleCheckIn}
+              disabled={!cameBack.length || checkingIn}
+            >
+              {checkingIn ? 'Checking In...' : `Check In What Came Back (${cameBack.length})`}
+            </Button>
+          )
+        }
+      />
+      <div style={{ padding: spacing[4] }}>
+        {loadError ? (
+          <LoadErrorBanner
+            message={`Couldn't load checkouts for this reservation: ${loadError}`}
+            onRetry={() => setReloadKey((k) => k + 1)}
+          />
+        ) : history === null ? (
+          <div role="status" style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+            Loading manifest...
+          </div>
+        ) : (
+          <>
+            <div
+              style={{
+                display: 'flex',
+                gap: spacing[2],
+                flexWrap: 'wrap',
+                marginBottom: spacing[3],
+              }}
+            >
+              {flagged.length ? (
+                flagged.map(([flag, n]) => (
+                  <Badge
+                    key={flag}
+                    text={`${n} ${FLAGS[flag].label.toLowerCase()}`}
+                    color={FLAGS[flag].color}
+                  />
+                ))
+              ) : (
+                <span style={{ fontSize: typography.fontSize.sm, color: colors.textMuted }}>
+                  Nothing flagged — everything booked is accounted for so far.
+                </span>
+              )}
+            </div>
+            <div style={{ overflowX: 'auto', WebkitOverflowScrolling: 'touch' }}>
+              <table
+                aria-label="Reservation manifest"
+                style={{ width: '100%', minWidth: 480, borderCollapse: 'collapse' }}
+              >
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${colors.border}` }}>
+                    <th style={{ ...thStyle, textAlign: 'left' }}>Item</th>
+                    <th style={thStyle}>Reserved</th>
+                    <th style={thStyle}>Packed</th>
+                    <th style={thStyle}>Out</th>
+                    <th style={thStyle}>Returned</th>
+                    {canCheckIn && <th style={thStyle}>Back</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {manifest.lines.map((line, idx) => {
+                    const returnable = manifest.returnable.includes(line.itemId);
+                    return (
+                      <tr
+                        key={line.itemId}
+                        style={{
+                          borderBottom: `1px solid ${colors.borderLight}`,
+                          background:
+                            idx % 2 === 0 ? 'transparent' : withOpacity(colors.bgLight, 50),
+                        }}
+                      >
+                        <td style={{ ...tdStyle, textAlign: 'left', color: colors.textPrimary }}>
+                          <button
+                            type="button"
+                            onClick={() => onViewItem?.(line.itemId)}
+                            disabled={!onViewItem}
+                            style={{
+                              background: 'none',
+                              border: 'none',
+                              padding: 0,
+                              font: 'inherit',
+                              color: 'inherit',
+                              textAlign: 'left',
+                              cursor: onViewItem ? 'pointer' : 'default',
+                            }}
+                          >
+                            {line.item.name}
+                          </button>
+                          {line.flags.length > 0 && (
+                            <div
+                              style={{ display: 'flex', gap: spacing[1], marginTop: spacing[1] }}
+                            >
+                              {line.flags.map((flag) => (
+                                <Badge
+                                  key={flag}
+                                  text={FLAGS[flag].label}
+                                  color={FLAGS[flag].color}
+                                  size="xs"
+                                />
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td style={tdStyle}>{count(line.reserved)}</td>
+                        <td style={tdStyle}>
+                          {line.packed ? 'Yes' : line.onPackList ? 'Not yet' : '—'}
+                        </td>
+                        <td style={tdStyle}>{count(line.out)}</td>
+                        <td style={tdStyle}>{count(line.returned)}</td>
+                        {canCheckIn && (
+                          <td style={tdStyle}>
+                            {returnable && (
+                              <input
+                                type="checkbox"
+                                checked={!missing.has(line.itemId)}
+                                onChange={() => toggleMissing(line.itemId)}
+                                aria-label={`${line.item.name} came back`}
+                              />
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+});
+
+ReservationManifest.propTypes = {
+  reservation: PropTypes.shape({
+    project: PropTypes.string,
+    start: PropTypes.string,
+    end: PropTypes.string,
+  }).isRequired,
+  /** The group's reservation rows, keyed by item */
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      itemId: PropTypes.string.isRequired,
+      row: PropTypes.object.isRequired,
+    }),
+  ),
+  inventory: PropTypes.array,
+  /** DataContext — pack lists, packages and the history query */
+  dataContext: PropTypes.object.isRequired,
+  /** Checks in the given item ids; omitted for roles that can't */
+  onCheckIn: PropTypes.func,
+  onViewItem: PropTypes.func,
+};
+
+export default ReservationManifest;
@@ -0,0 +1,220 @@
+// ============================================================================
+// Revision History Section
+// Field-level edit history of an item (item_revisions): each edit as a
+// before → after list with a per-field Revert, and a "View as of" date that
+// reconstructs the item at that day and offers to restore what differs.
+// ============================================================================
+
+import { memo, useMemo, useState } from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { formatDate, formatDateTime, getTodayISO, toLocalYMD } from '../utils';
+import {
+  itemAsOf,
+  diffItemAsOf,
+  diffSpecs,
+  visibleChanges,
+  revisionValues,
+  buildRevertPatch,
+  revisionFieldLabel,
+  formatRevisionValue,
+} from '../lib/itemRevisions.js';
+import { Button } from './ui.jsx';
+import { DatePicker } from './DatePicker.jsx';
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const mutedText = { fontSize: typography.fontSize.xs, color: colors.textMuted };
+
+// One "Label: before → after" row with an optional action button
+function ChangeRow({ label, from, to, verb, onAction, disabled }) {
+  return (
+    <div
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: spacing[2],
+        fontSize: typography.fontSize.sm,
+        padding: `${spacing[1]}px 0`,
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0, color: colors.textPrimary }}>
+        <span style={{ fontWeight: typography.fontWeight.medium }}>{label}:</span>{' '}
+        <span style={{ color: colors.danger, textDecoration: 'line-through' }}>{from}</span>
+        {' → '}
+        <span style={{ color: colors.available }}>{to}</span>
+      </div>
+      {onAction && (
+        <Button
+          variant="secondary"
+          size="sm"
+          icon={RotateCcw}
+          onClick={onAction}
+          disabled={disabled}
+          aria-label={`${verb} ${label}`}
+        >
+          {verb}
+        </Button>
+      )}
+    </div>
+  );
+}
+
+function RevisionHistorySection({ item, revisions, error, onRevert, panelColor }) {
+  const [asOf, setAsOf] = useState('');
+  const [busy, setBusy] = useState(false);
+  const accent = panelColor || colors.primary;
+  // A revision that only moved checkout state has nothing left to show
+  const list = useMemo(
+    () => (revisions || []).filter((r) => visibleChanges(r).length > 0),
+    [revisions],
+  );
+
+  const asOfDiff = useMemo(() => {
+    if (!asOf || !item) return null;
+    const snapshot = itemAsOf(item, list, asOf);
+    return { snapshot, fields: diffItemAsOf(item, snapshot, list) };
+  }, [asOf, item, list]);
+
+  // Day of the oldest recorded edit — earlier history was never captured
+  const oldest = list.length ? toLocalYMD(new Date(list[list.length - 1].changedAt)) : null;
+
+  const revert = async (patch) => {
+    if (!onRevert || busy) return;
+    setBusy(true);
+    try {
+      await onRevert(patch);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Spec edits revert per key; everything else reverts the whole field
+  const renderChanges = (changes, values, { then, now, verb }) =>
+    changes.flatMap((change) => {
+      const { field } = change;
+      const from = change[then];
+      const to = change[now];
+      if (field === 'specs' && from && to && typeof from === 'object') {
+        return diffSpecs(from, to).map((spec) => (
+          <ChangeRow
+            key={`specs-${spec.key}`}
+            label={spec.key}
+            from={formatRevisionValue(field, spec.from)}
+            to={formatRevisionValue(field, spec.to)}
+            verb={verb}
+            onAction={
+              onRevert ? () => revert(buildRevertPatch(item, field, values, spec.key)) : undefined
+            }
+            disabled={busy || sameValue(item.specs?.[spec.key], spec.from)}
+          />
+        ));
+      }
+      const label = revisionFieldLabel(field);
+      return (
+        <ChangeRow
+          key={field}
+          label={label}
+          from={formatRevisionValue(field, from)}
+          to={formatRevisionValue(field, to)}
+          verb={verb}
+          onAction={onRevert ? () => revert(buildRevertPatch(item, field, values)) : undefined}
+          disabled={busy || sameValue(item[field], from)}
+        />
+      );
+    });
+
+  return (
+    <div style={{ padding: spacing[3] }}>
+      {/* Point-in-time view */}
+      <div style={{ marginBottom: spacing[3] }}>
+        <label style={{ ...mutedText, display: 'block', marginBottom: spacing[1] }}>
+          View this item as of
+        </label>
+        <DatePicker
+          value={asOf}
+          onChange={(e) => setAsOf(e.target.value)}
+          max={getTodayISO()}
+          clearable
+          placeholder="Pick a date"
+          aria-label="View as of date"
+        />
+      </div>
+
+      {asOfDiff && (
+        <div
+          role="region"
+          aria-label={`Item as of ${formatDate(asOf)}`}
+          style={{
+            background: withOpacity(accent, 10),
+            border: `1px solid ${withOpacity(accent, 22)}`,
+            borderRadius: borderRadius.md,
+            padding: `${spacing[2]}px ${spacing[3]}px`,
+            marginBottom: spacing[3],
+          }}
+        >
+          {asOfDiff.fields.length === 0 ? (
+            <div style={{ fontSize: typography.fontSize.sm, color: colors.textSecondary }}>
+              Same as now on {formatDate(asOf)}.
+            </div>
+          ) : (
+            <>
+              <div style={{ ...mutedText, marginBottom: spacing[1] }}>
+                On {formatDate(asOf)} → now
+              </div>
+              {renderChanges(asOfDiff.fields, asOfDiff.snapshot, {
+                then: 'then',
+                now: 'now',
+                verb: 'Restore',
+              })}
+            </>
+          )}
+          {oldest && asOf < oldest && (
+            <div style={{ ...mutedText, marginTop: spacing[1] }}>
+              Edits are recorded from {formatDate(oldest)}; anything earlier is not shown.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Edit list */}
+      {error ? (
+        <div role="alert" style={{ fontSize: typography.fontSize.sm, color: colors.danger }}>
+          {error}
+        </div>
+      ) : revisions === null ? (
+        <div style={mutedText}>Loading revisions…</div>
+      ) : list.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: spacing[4], color: colors.textMuted }}>
+          <History size={28} style={{ marginBottom: spacing[2], opacity: 0.3 }} />
+          <p style={{ margin: 0, fontSize: typography.fontSize.sm }}>No edits recorded yet</p>
+        </div>
+      ) : (
+        <ol aria-label="Revisions" style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {list.map((revision) => (
+            <li
+              key={revision.id}
+              style={{
+                borderLeft: `3px solid ${withOpacity(accent, 50)}`,
+                padding: `${spacing[1]}px ${spacing[3]}px`,
+                marginBottom: spacing[2],
+              }}
+            >
+              <div style={mutedText}>
+                {formatDateTime(revision.changedAt)}
+                {revision.changedByName ? ` · ${revision.changedByName}` : ''}
+              </div>
+              {renderChanges(visibleChanges(revision), revisionValues(revision), {
+                then: 'from',
+                now: 'to',
+                verb: 'Revert',
+              })}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default memo(RevisionHistorySection);
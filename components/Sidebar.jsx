@@ -14,6 +14,7 @@ import {
   Layers,
   ClipboardList,
   User,
+  UserCheck,
   ChevronDown,
   ScanLine,
   Bell,
@@ -139,6 +140,13 @@ const mainNavItems = [
     colorVar: '--sidebar-item1',
     permissionId: 'clients',
   },
+  {
+    icon: UserCheck,
+    label: 'Borrowers',
+    viewId: VIEWS.BORROWERS,
+    colorVar: '--sidebar-item4',
+    permissionId: 'clients',
+  },
   {
     icon: BarChart3,
     label: 'Reports',
@@ -184,17 +192,22 @@ const VIEW_LABELS = {
   [VIEWS.LABELS]: 'Labels',
   [VIEWS.CLIENTS]: 'Clients',
   [VIEWS.CLIENT_DETAIL]: 'Client Details',
+  [VIEWS.BORROWERS]: 'Borrowers',
   [VIEWS.SEARCH]: 'Search',
   [VIEWS.ADMIN]: 'Admin Panel',
   [VIEWS.REPORTS]: 'Reports',
   [VIEWS.ADD_ITEM]: 'Add Item',
   [VIEWS.EDIT_SPECS]: 'Edit Specifications',
+  [VIEWS.EQUIVALENCE_GROUPS]: 'Equivalence Groups',
+  [VIEWS.PORTAL_CATALOG]: 'Portal Catalog',
   [VIEWS.EDIT_CATEGORIES]: 'Edit Categories',
   [VIEWS.THEME_SELECTOR]: 'Theme Selector',
   [VIEWS.USERS]: 'User Management',
   [VIEWS.AUDIT_LOG]: 'Audit Log',
   [VIEWS.MAINTENANCE_REPORT]: 'Maintenance Report',
   [VIEWS.INSURANCE_REPORT]: 'Insurance Report',
+  [VIEWS.RECEIVABLES_REPORT]: 'Receivables Report',
+  [VIEWS.DEPOSITS_REPORT]: 'Deposit Ledger',
   [VIEWS.LOCATIONS_MANAGE]: 'Location Management',
   [VIEWS.CUSTOMIZE_DASHBOARD]: 'Customize Dashboard',
   [VIEWS.CUSTOMIZE_ITEM_DETAIL]: 'Customize Item Detail',
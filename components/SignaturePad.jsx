@@ -0,0 +1,139 @@
+// ============================================================================
+// SignaturePad - finger, stylus or mouse signature on a canvas
+// Pointer events cover all three; touch-action: none stops the page from
+// scrolling under a finger on a tablet. The drawing is reported as a PNG
+// data URL when each stroke ends, and as null once cleared. The canvas is
+// always white with dark ink, whatever the theme, so the stored image prints.
+// ============================================================================
+
+import { memo, useRef, useEffect, useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Eraser } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import { Button } from './ui.jsx';
+
+// Drawing resolution; the canvas is scaled to the modal's width in CSS
+const WIDTH = 600;
+const HEIGHT = 200;
+const INK = '#111';
+
+function SignaturePad({ onChange, label = 'Signature', error = false }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [signed, setSigned] = useState(false);
+
+  const context = useCallback(() => canvasRef.current?.getContext?.('2d') || null, []);
+
+  const blank = useCallback(() => {
+    const ctx = context();
+    if (!ctx) return;
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+  }, [context]);
+
+  useEffect(() => blank(), [blank]);
+
+  const pointAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / (rect.width || WIDTH)) * WIDTH,
+      y: ((e.clientY - rect.top) / (rect.height || HEIGHT)) * HEIGHT,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    const ctx = context();
+    if (!ctx) return;
+    e.preventDefault();
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    drawingRef.current = true;
+    const { x, y } = pointAt(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    // A tap leaves a dot rather than nothing
+    ctx.lineTo(x + 0.1, y + 0.1);
+    ctx.stroke();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = context();
+    const { x, y } = pointAt(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setSigned(true);
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const handleClear = () => {
+    blank();
+    setSigned(false);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginBottom: spacing[1],
+        }}
+      >
+        <span
+          style={{
+            fontSize: typography.fontSize.sm,
+            color: error ? colors.danger : colors.textSecondary,
+          }}
+        >
+          {label}
+        </span>
+        <Button variant="secondary" size="sm" icon={Eraser} onClick={handleClear} disabled={!signed}>
+          Clear
+        </Button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        role="img"
+        aria-label={signed ? `${label} (signed)` : `${label} pad, sign here`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{
+          display: 'block',
+          width: '100%',
+          height: 'auto',
+          aspectRatio: `${WIDTH} / ${HEIGHT}`,
+          background: '#fff',
+          border: `1px ${signed ? 'solid' : 'dashed'} ${error ? colors.danger : colors.border}`,
+          borderRadius: borderRadius.md,
+          touchAction: 'none',
+          cursor: 'crosshair',
+        }}
+      />
+    </div>
+  );
+}
+
+SignaturePad.propTypes = {
+  /** (pngDataUrl|null) — after every stroke, and null when cleared */
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string,
+  /** Outline in the danger color (a required signature is missing) */
+  error: PropTypes.bool,
+};
+
+export default memo(SignaturePad);
@@ -0,0 +1,17 @@
+// ============================================================================
+// Agreement print HTML rendering. Kept out of AgreementDocument.jsx so that
+// file exports only the component (React fast refresh requirement).
+// Agreements print with QUOTE_PRINT_STYLES.
+// ============================================================================
+
+import { AgreementDocument } from './AgreementDocument.jsx';
+
+/**
+ * Render print HTML for a signed agreement.
+ * @param {Object} props - AgreementDocument props
+ * @returns {Promise<string>}
+ */
+export async function renderAgreementHTML(props) {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  return renderToStaticMarkup(<AgreementDocument {...props} />);
+}
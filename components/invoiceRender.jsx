@@ -0,0 +1,17 @@
+// ============================================================================
+// Invoice print HTML rendering. Kept out of InvoiceDocument.jsx so that file
+// exports only the component (React fast refresh requirement). Invoices
+// print with QUOTE_PRINT_STYLES.
+// ============================================================================
+
+import { InvoiceDocument } from './InvoiceDocument.jsx';
+
+/**
+ * Render print HTML for an invoice.
+ * @param {Object} props - InvoiceDocument props
+ * @returns {Promise<string>}
+ */
+export async function renderInvoiceHTML(props) {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  return renderToStaticMarkup(<InvoiceDocument {...props} />);
+}
@@ -0,0 +1,40 @@
+// ============================================================================
+// Quote print HTML rendering. Kept out of QuoteDocument.jsx so that file
+// exports only the component (React fast refresh requirement).
+// ============================================================================
+
+import { QuoteDocument } from './QuoteDocument.jsx';
+
+// The document styles itself with theme CSS variables; the print window has
+// no theme loaded, so give them paper colors
+export const QUOTE_PRINT_STYLES = `
+  :root {
+    --text-primary: #111;
+    --text-secondary: #333;
+    --text-muted: #666;
+    --border-light: #ddd;
+  }
+  * { box-sizing: border-box; }
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    margin: 0;
+    padding: 32px;
+    background: white;
+  }
+  @media print {
+    body { padding: 0; }
+    @page { margin: 16mm; }
+  }
+`;
+
+/**
+ * Render print HTML for a quote. React escapes the reservation and item
+ * text, as it does for labels; the server renderer is imported lazily so it
+ * only loads when someone prints.
+ * @param {Object} props - QuoteDocument props
+ * @returns {Promise<string>}
+ */
+export async function renderQuoteHTML(props) {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  return renderToStaticMarkup(<QuoteDocument {...props} />);
+}
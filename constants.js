@@ -29,7 +29,7 @@ export const APP_FUNCTIONS = {
     description: 'Calendar and reservation management',
   },
   PACK_LISTS: { id: 'pack_lists', name: 'Pack Lists', description: 'Create and manage pack lists' },
-  CLIENTS: { id: 'clients', name: 'Clients', description: 'Client management' },
+  CLIENTS: { id: 'clients', name: 'Clients', description: 'Client and borrower management' },
   SEARCH: { id: 'search', name: 'Search', description: 'Global search functionality' },
   LABELS: { id: 'labels', name: 'Labels', description: 'Print labels for items' },
   REPORTS: { id: 'reports', name: 'Reports', description: 'View reports and analytics' },
@@ -181,6 +181,7 @@ export const VIEWS = {
   RESERVATION_DETAIL: 'reservation-detail',
   CLIENTS: 'clients',
   CLIENT_DETAIL: 'client-detail',
+  BORROWERS: 'borrowers',
   CLIENT_REPORT: 'client-report',
   ADMIN: 'admin',
   USERS: 'users',
@@ -194,10 +195,14 @@ export const VIEWS = {
   ALERTS_REPORT: 'alerts-report',
   MAINTENANCE_REPORT: 'maintenance-report',
   INSURANCE_REPORT: 'insurance-report',
+  RECEIVABLES_REPORT: 'receivables-report',
+  DEPOSITS_REPORT: 'deposits-report',
   LOCATIONS_MANAGE: 'locations-manage',
   ROLES_MANAGE: 'roles-manage',
   ADD_ITEM: 'add-item',
   EDIT_SPECS: 'edit-specs',
+  EQUIVALENCE_GROUPS: 'equivalence-groups',
+  PORTAL_CATALOG: 'portal-catalog',
   EDIT_CATEGORIES: 'edit-categories',
   CUSTOMIZE_DASHBOARD: 'customize-dashboard',
   CUSTOMIZE_ITEM_DETAIL: 'customize-item-detail',
@@ -218,8 +223,11 @@ export const MODALS = {
   CSV_IMPORT: 'csv-import',
   BULK_PHOTOS: 'bulk-photos',
   DATABASE_EXPORT: 'database-export',
+  DATABASE_RESTORE: 'database-restore',
+  PRICING_SETTINGS: 'pricing-settings',
   CHECK_OUT: 'check-out',
   CHECK_IN: 'check-in',
+  QUANTITY_RETURN: 'quantity-return',
   BATCH_CHECK_OUT: 'batch-check-out',
   MAINTENANCE: 'maintenance',
   BULK_STATUS: 'bulk-status',
@@ -300,6 +308,7 @@ export const ITEM_DETAIL_SECTIONS = {
   CHECKOUT_HISTORY: { id: 'checkoutHistory', label: 'Checkout History', order: 9 },
   VALUE: { id: 'value', label: 'Value & Purchase', order: 10 },
   DEPRECIATION: { id: 'depreciation', label: 'Depreciation', order: 11 },
+  REVISIONS: { id: 'revisions', label: 'Revision History', order: 12 },
 };
 
 // Helper to create default section prefs (visible, not collapsed, default order)
@@ -388,9 +397,15 @@ export const CATEGORY_PREFIXES = {
 //   opt-in (lowStockAlert + reorderPoint) that is only offered in these
 //   categories — there is no category-level threshold.
 // trackSerialNumbers: whether items require serial numbers
+// turnaroundMinutes: prep time gear needs after a timed return before it can
+//   go out on another timed booking the same day
+// readinessRules: per pre-checkout check, off / warn / block (lib/readiness.js);
+//   missing checks warn
 export const DEFAULT_NEW_CATEGORY_SETTINGS = {
   trackQuantity: false,
   trackSerialNumbers: true,
+  turnaroundMinutes: 0,
+  readinessRules: {},
 };
 
 // Project types for reservations
@@ -410,6 +425,8 @@ export const PROJECT_TYPES = [
 export const SCHEDULE_MODES = {
   LIST: 'list',
   CALENDAR: 'calendar',
+  // One row per item across the period — who has what, and what is free
+  TIMELINE: 'timeline',
 };
 
 // Schedule time periods
@@ -793,6 +810,75 @@ export const MAINTENANCE_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Reservation lifecycle. 'out' and 'returned' are set by the database when
+// the gear is checked out against the reservation and back in again; only
+// confirmed (and out) reservations block the dates for anyone else.
+export const RESERVATION_STATUS = {
+  QUOTE: 'quote',
+  HOLD: 'hold',
+  CONFIRMED: 'confirmed',
+  OUT: 'out',
+  RETURNED: 'returned',
+  CANCELLED: 'cancelled',
+};
+
+export const RESERVATION_STATUS_LABELS = {
+  [RESERVATION_STATUS.QUOTE]: 'Quote',
+  [RESERVATION_STATUS.HOLD]: 'Hold',
+  [RESERVATION_STATUS.CONFIRMED]: 'Confirmed',
+  [RESERVATION_STATUS.OUT]: 'Out',
+  [RESERVATION_STATUS.RETURNED]: 'Returned',
+  [RESERVATION_STATUS.CANCELLED]: 'Cancelled',
+};
+
+// Stages a user may move a reservation to by hand, keyed by where it is now
+export const RESERVATION_STATUS_TRANSITIONS = {
+  [RESERVATION_STATUS.QUOTE]: [RESERVATION_STATUS.HOLD, RESERVATION_STATUS.CONFIRMED],
+  [RESERVATION_STATUS.HOLD]: [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.QUOTE],
+  [RESERVATION_STATUS.CONFIRMED]: [RESERVATION_STATUS.HOLD],
+};
+
+// A new hold lapses this long after it is placed unless someone confirms it
+export const HOLD_DEFAULT_HOURS = 48;
+
+// Repeat rules for standing bookings. Every occurrence is a reservation
+// group of its own; the occurrences share a series id.
+export const RECURRENCE_FREQUENCY = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly',
+};
+
+export const RECURRENCE_FREQUENCY_LABELS = {
+  [RECURRENCE_FREQUENCY.WEEKLY]: 'Weekly',
+  [RECURRENCE_FREQUENCY.BIWEEKLY]: 'Every 2 weeks',
+  [RECURRENCE_FREQUENCY.MONTHLY]: 'Monthly',
+};
+
+// A year of weekly dates; longer runs can be extended later
+export const RECURRENCE_MAX_OCCURRENCES = 52;
+
+// Whether an edit to one occurrence of a series reaches the others
+export const SERIES_EDIT_SCOPE = {
+  ONE: 'one',
+  SERIES: 'series',
+};
+
+// Invoice status — 'paid' is set by the database as payments come in
+export const INVOICE_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PAID: 'paid',
+  VOID: 'void',
+};
+
+export const INVOICE_STATUS_LABELS = {
+  [INVOICE_STATUS.DRAFT]: 'Draft',
+  [INVOICE_STATUS.SENT]: 'Sent',
+  [INVOICE_STATUS.PAID]: 'Paid',
+  [INVOICE_STATUS.VOID]: 'Void',
+};
+
 // Default empty states for forms
 export const EMPTY_ITEM_FORM = {
   name: '',
@@ -802,6 +888,9 @@ export const EMPTY_ITEM_FORM = {
   purchaseDate: '',
   purchasePrice: '',
   currentValue: '',
+  // Rental rates — blank means not priced
+  dayRate: '',
+  weekRate: '',
   serialNumber: '',
   condition: CONDITION.EXCELLENT,
   image: null,
@@ -819,6 +908,9 @@ export const EMPTY_ITEM_FORM = {
 export const EMPTY_RESERVATION_FORM = {
   start: '',
   end: '',
+  // Optional 'HH:MM' pickup and return times; blank books whole days
+  startTime: '',
+  endTime: '',
   project: '',
   projectType: 'Other',
   user: '',
@@ -829,6 +921,11 @@ export const EMPTY_RESERVATION_FORM = {
   itemId: '',
   itemIds: [],
   clientId: '',
+  // Lifecycle stage a new reservation starts in; holdHours applies to holds
+  status: RESERVATION_STATUS.CONFIRMED,
+  holdHours: HOLD_DEFAULT_HOURS,
+  // { frequency, count } or { frequency, until } for a repeating booking
+  recurrence: null,
 };
 
 // ============================================================================
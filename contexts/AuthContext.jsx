@@ -7,6 +7,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import { getSupabase, auth } from '../lib/supabase.js';
 import { usersService } from '../lib/services.js';
 import { log, error as logError } from '../lib/logger.js';
+import { saveOfflineProfile, loadOfflineProfile } from '../lib/offlineStore.js';
 import AuthContext from './AuthContext.js';
 
 // =============================================================================
@@ -43,8 +44,13 @@ export function AuthProvider({ children }) {
           try {
             const profile = await usersService.getById(currentSession.user.id);
             setUserProfile(profile);
+            saveOfflineProfile(profile);
           } catch (profileErr) {
             logError('Failed to fetch user profile:', profileErr);
+            // Opened with no signal: the cached profile lets the app start
+            // on the offline snapshot instead of stalling at sign-in
+            const cached = loadOfflineProfile(currentSession.user.id);
+            if (cached) setUserProfile(cached);
           }
         }
 
@@ -118,6 +124,7 @@ export function AuthProvider({ children }) {
         try {
           profile = await usersService.getById(authUser.id);
           setUserProfile(profile);
+          saveOfflineProfile(profile);
         } catch (profileErr) {
           logError('Failed to fetch profile after login:', profileErr);
         }
@@ -19,6 +19,7 @@ import {
   packListsService,
   categoriesService,
   specsService,
+  equivalenceGroupsService,
   locationsService,
   usersService,
   rolesService,
@@ -26,9 +27,18 @@ import {
   notificationPreferencesService,
   emailService,
   notificationLogService,
+  calendarFeedsService,
+  clientPortalService,
+  checkoutAgreementsService,
+  borrowersService,
+  checkoutDepositsService,
+  pricingService,
+  invoicesService,
+  realtimeService,
+  itemRevisionsService,
 } from '../lib/services.js';
 
-import { DEFAULT_ROLES } from '../constants.js';
+import { DEFAULT_ROLES, STATUS } from '../constants.js';
 import { log, error as logError } from '../lib/logger.js';
 import {
   validateReservation,
@@ -37,8 +47,82 @@ import {
 } from '../lib/validators.js';
 import { updateById, removeById, getTodayISO } from '../utils';
 import { reconcileReservedStatuses } from '../lib/reconcileReservedStatuses.js';
+import { CheckoutConflictError, describeCheckoutConflict } from '../lib/errors.js';
+import {
+  OUTBOX_OPS,
+  isOffline,
+  isNetworkError,
+  loadSnapshot,
+  saveSnapshot,
+  loadOutbox,
+  saveOutbox,
+  createOutboxOp,
+  detectCheckinConflict,
+  describeOutboxOp,
+} from '../lib/offlineStore.js';
+import { DEFAULT_PRICING } from '../lib/pricing.js';
 import DataContext from './DataContext.js';
 
+// Quiet period after the last package/pack-list change before refetching
+const REALTIME_REFETCH_DELAY = 400;
+
+// Batch bursts of inventory edits into one offline snapshot write
+const SNAPSHOT_SAVE_DELAY = 2000;
+
+// Local copy of a checkout — applied after the RPC succeeds, or straight away
+// when the checkout is queued offline
+const checkedOutFields = (item, checkoutData) => ({
+  status: 'checked-out',
+  checkedOutTo: checkoutData.userName,
+  checkedOutToUserId: checkoutData.userId,
+  checkedOutToBorrowerId: checkoutData.borrowerId || null,
+  checkedOutDate: getTodayISO(),
+  dueBack: checkoutData.dueBack,
+  checkoutProject: checkoutData.project,
+  checkoutClientId: checkoutData.clientId,
+  // Mirror the server-side increment_checkout_count RPC — the
+  // list copy used to lag the detail copy until the next poll
+  checkoutCount: (item.checkoutCount || 0) + 1,
+});
+
+const checkedInFields = (status, condition) => ({
+  status,
+  condition,
+  checkedOutTo: null,
+  checkedOutToUserId: null,
+  checkedOutToBorrowerId: null,
+  checkedOutDate: null,
+  dueBack: null,
+  checkoutProject: null,
+  checkoutClientId: null,
+});
+
+// The check-in form's fields as inventoryService.checkIn takes them
+const toCheckInArgs = ({
+  returnedBy,
+  userId,
+  condition,
+  conditionNotes,
+  returnNotes,
+  damageReported,
+  damageDescription,
+  returnStatus,
+}) => ({
+  userId,
+  userName: returnedBy,
+  notes: returnNotes || conditionNotes,
+  condition,
+  damageReported: !!damageReported,
+  damageDescription,
+  returnStatus,
+});
+
+// Quantity units are counted by the server against live stock, so there is
+// no honest way to queue them — say so instead of failing on the fetch
+const requireConnection = (what) => {
+  if (isOffline()) throw new Error(`${what} need a connection — try again once back online`);
+};
+
 // =============================================================================
 // PROVIDER
 // =============================================================================
@@ -54,22 +138,47 @@ export function DataProvider({ children }) {
   const [packages, setPackages] = useState([]);
   const [packLists, setPackLists] = useState([]);
   const [clients, setClients] = useState([]);
+  const [borrowers, setBorrowers] = useState([]);
+  const [deposits, setDeposits] = useState([]);
   const [users, setUsers] = useState([]);
   const [roles, setRoles] = useState([]);
   const [locations, setLocations] = useState([]);
   const [categories, setCategories] = useState([]);
   const [categorySettings, setCategorySettings] = useState({});
   const [specs, setSpecs] = useState({});
+  const [equivalenceGroups, setEquivalenceGroups] = useState([]);
   const [auditLog, setAuditLog] = useState([]);
+  const [pricingSettings, setPricingSettings] = useState(DEFAULT_PRICING);
+  const [invoices, setInvoices] = useState([]);
+  const [itemRevenue, setItemRevenue] = useState({});
 
   // Staleness tracking
   const [lastLoadedAt, setLastLoadedAt] = useState(null);
   const [tier2Loaded, setTier2Loaded] = useState(false);
+  // True while the realtime channel is subscribed — polling stands down
+  const [realtimeConnected, setRealtimeConnected] = useState(false);
+  // Offline mode: when the snapshot is being served instead of server data,
+  // the time it was saved; the outbox of ops queued while offline; and what
+  // the last replay couldn't apply
+  const [offlineSnapshotAt, setOfflineSnapshotAt] = useState(null);
+  const [outbox, setOutbox] = useState(loadOutbox);
+  const [outboxSyncing, setOutboxSyncing] = useState(false);
+  const [outboxConflicts, setOutboxConflicts] = useState([]);
+  const outboxRef = useRef(outbox);
+  // Offline ops check the item as last seen, outside any setState updater
+  const inventoryRef = useRef(inventory);
+  useEffect(() => {
+    inventoryRef.current = inventory;
+  }, [inventory]);
 
   // Lazy-load tracking — these tables are fetched on-demand, not at startup
   const [clientsLoaded, setClientsLoaded] = useState(false);
+  const [borrowersLoaded, setBorrowersLoaded] = useState(false);
+  const [depositsLoaded, setDepositsLoaded] = useState(false);
   const [auditLogLoaded, setAuditLogLoaded] = useState(false);
   const [packListsLoaded, setPackListsLoaded] = useState(false);
+  const [invoicesLoaded, setInvoicesLoaded] = useState(false);
+  const [itemRevenueLoaded, setItemRevenueLoaded] = useState(false);
   // Full maintenance history (Tier 2 carries pending-only) and the trailing
   // year of checkout events — both loaded on demand by the Reports views
   const [maintenanceLoaded, setMaintenanceLoaded] = useState(false);
@@ -99,9 +208,10 @@ export function DataProvider({ children }) {
   //
   // Tier 1 (blocking): inventory, categories, roles, locations, specs
   //   → UI renders as soon as these arrive
-  // Tier 2 (background): reservations, packages, users
+  // Tier 2 (background): reservations, packages, users, pricing settings,
+  //   equivalence groups
   //   → Loaded after first paint, merged into state progressively
-  // Lazy (on-demand): clients, packLists, auditLog
+  // Lazy (on-demand): clients, packLists, auditLog, invoices
   //   → Loaded when the consuming view mounts
   // =============================================================================
 
@@ -167,6 +277,8 @@ export function DataProvider({ children }) {
         catSettings[c.name] = {
           trackQuantity: c.track_quantity || false,
           trackSerialNumbers: c.track_serial_numbers !== false,
+          turnaroundMinutes: c.turnaround_minutes || 0,
+          readinessRules: c.readiness_rules || {},
         };
       });
       setCategories(catNames);
@@ -176,9 +288,26 @@ export function DataProvider({ children }) {
       setSpecs(specsData || {});
       setDataLoaded(true);
       setLastLoadedAt(freshnessData?.server_time || new Date().toISOString());
+      setOfflineSnapshotAt(null);
     } catch (err) {
       logError('[DataContext] Tier 1 load failed:', err);
       setError(err);
+      // No server (typically no signal): serve the last snapshot so gear can
+      // still be looked up, scanned, and checked in/out into the outbox.
+      // dataLoaded stays false — the reconnect handler reloads for real.
+      const snapshot = loadSnapshot();
+      if (snapshot) {
+        log('[DataContext] Serving offline snapshot from', snapshot.savedAt);
+        setInventory(snapshot.inventory);
+        setPackages(snapshot.packages || []);
+        setCategories(snapshot.categories || []);
+        setCategorySettings(snapshot.categorySettings || {});
+        if (snapshot.packLists) {
+          setPackLists(snapshot.packLists);
+          setPackListsLoaded(true);
+        }
+        setOfflineSnapshotAt(snapshot.savedAt);
+      }
     } finally {
       setLoading(false);
     }
@@ -189,14 +318,32 @@ export function DataProvider({ children }) {
     // Due Reminders / Upcoming Maintenance panels need them inventory-wide —
     // the Tier 1 list load intentionally omits those tables.
     try {
-      const [reservationsData, packagesData, usersData, remindersData, maintenanceData] =
-        await Promise.all([
-          reservationsService.getAll(),
-          packagesService.getAll(),
-          usersService.getAll(),
-          itemRemindersService.getAllActive(),
-          maintenanceService.getAllPending(),
-        ]);
+      // Pricing settings fall back to the defaults rather than failing the
+      // tier — quotes still work, just without the house discount and tax
+      const [
+        reservationsData,
+        packagesData,
+        usersData,
+        remindersData,
+        maintenanceData,
+        pricingData,
+        equivalenceData,
+      ] = await Promise.all([
+        reservationsService.getAll(),
+        packagesService.getAll(),
+        usersService.getAll(),
+        itemRemindersService.getAllActive(),
+        maintenanceService.getAllPending(),
+        pricingService.get().catch((err) => {
+          logError('[DataContext] Pricing settings load failed:', err);
+          return null;
+        }),
+        // Without them substitutes fall back to spec matching alone
+        equivalenceGroupsService.getAll().catch((err) => {
+          logError('[DataContext] Equivalence groups load failed:', err);
+          return [];
+        }),
+      ]);
 
       log('[DataContext] Tier 2 loaded:', {
         reservations: reservationsData?.length || 0,
@@ -232,6 +379,8 @@ export function DataProvider({ children }) {
 
       setPackages(packagesData || []);
       setUsers(usersData || []);
+      if (pricingData) setPricingSettings(pricingData);
+      setEquivalenceGroups(equivalenceData || []);
       setTier2Loaded(true);
     } catch (err) {
       logError('[DataContext] Tier 2 load failed (non-critical):', err);
@@ -326,6 +475,25 @@ export function DataProvider({ children }) {
     }
   }, []);
 
+  // Borrower accounts: the Borrowers view, and the checkout modals that
+  // enforce their blocks and limits
+  const ensureBorrowers = useCallback(async () => {
+    if (borrowersLoaded) return;
+    return lazyLoad('borrowers', () => borrowersService.getAll(), setBorrowers, setBorrowersLoaded);
+  }, [borrowersLoaded, lazyLoad]);
+
+  // The deposit ledger: check-in (to settle what the item was covered by),
+  // the Deposits report and the Alerts report
+  const ensureDeposits = useCallback(async () => {
+    if (depositsLoaded) return;
+    return lazyLoad(
+      'deposits',
+      () => checkoutDepositsService.getAll(),
+      setDeposits,
+      setDepositsLoaded,
+    );
+  }, [depositsLoaded, lazyLoad]);
+
   const ensureAuditLog = useCallback(async () => {
     if (auditLogLoaded) return;
     return lazyLoad(
@@ -341,6 +509,24 @@ export function DataProvider({ children }) {
     return lazyLoad('packLists', () => packListsService.getAll(), setPackLists, setPackListsLoaded);
   }, [packListsLoaded, lazyLoad]);
 
+  // Invoice headers (no lines/payments) — enough for client balances and
+  // the receivables report; getInvoiceDetails fetches one in full
+  const ensureInvoices = useCallback(async () => {
+    if (invoicesLoaded) return;
+    return lazyLoad('invoices', () => invoicesService.getAll(), setInvoices, setInvoicesLoaded);
+  }, [invoicesLoaded, lazyLoad]);
+
+  // Rental revenue billed per item — the Activity report's ROI
+  const ensureItemRevenue = useCallback(async () => {
+    if (itemRevenueLoaded) return;
+    return lazyLoad(
+      'itemRevenue',
+      () => invoicesService.getItemRevenue(),
+      setItemRevenue,
+      setItemRevenueLoaded,
+    );
+  }, [itemRevenueLoaded, lazyLoad]);
+
   // Full maintenance history for the Reports views. Tier 2 merges only
   // PENDING records (dashboard needs), so cost/vendor stats computed from
   // items would be blind to completed work — and would mutate as ItemDetail
@@ -494,8 +680,10 @@ export function DataProvider({ children }) {
 
   // =============================================================================
   // AUTOMATIC STALENESS POLLING
-  // Check for stale data every 5 minutes while the tab is visible,
-  // and immediately when the tab regains focus.
+  // The fallback for when the realtime channel is down: check for stale data
+  // every 5 minutes while the tab is visible. The check on regaining focus
+  // always runs — a sleeping laptop can miss events without the channel
+  // ever reporting an error.
   // =============================================================================
 
   useEffect(() => {
@@ -503,11 +691,13 @@ export function DataProvider({ children }) {
 
     const STALE_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
-    const intervalId = setInterval(() => {
-      if (document.visibilityState === 'visible') {
-        refreshStaleData();
-      }
-    }, STALE_CHECK_INTERVAL);
+    const intervalId = realtimeConnected
+      ? null
+      : setInterval(() => {
+          if (document.visibilityState === 'visible') {
+            refreshStaleData();
+          }
+        }, STALE_CHECK_INTERVAL);
 
     const handleVisibilityChange = () => {
       if (document.visibilityState === 'visible') {
@@ -517,10 +707,10 @@ export function DataProvider({ children }) {
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
     return () => {
-      clearInterval(intervalId);
+      if (intervalId) clearInterval(intervalId);
       document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-  }, [dataLoaded, refreshStaleData]);
+  }, [dataLoaded, realtimeConnected, refreshStaleData]);
 
   // =============================================================================
   // AUDIT LOG HELPER
@@ -631,6 +821,17 @@ export function DataProvider({ children }) {
     [inventory],
   );
 
+  // Fetched on demand by ItemDetail rather than hydrated with the item: every
+  // edit path writes a revision, so the history is refetched as the item changes
+  const getItemRevisions = useCallback(async (itemId) => {
+    try {
+      return await itemRevisionsService.getByItemId(itemId);
+    } catch (err) {
+      logError('Failed to load item revisions:', err);
+      throw err;
+    }
+  }, []);
+
   // =============================================================================
   // ITEM NOTES OPERATIONS
   // =============================================================================
@@ -786,13 +987,20 @@ export function DataProvider({ children }) {
         item_id: itemId,
         client_id: reservation.clientId || null,
         group_id: reservation.groupId || null,
+        series_id: reservation.seriesId || null,
+        recurrence: reservation.seriesId ? reservation.recurrence || null : null,
         created_by_id: reservation.createdById || null,
         created_by_name: reservation.createdByName || null,
         project: reservation.project,
         project_type: reservation.projectType || 'Other',
         start_date: reservation.start,
         end_date: reservation.end,
+        // '' from the form means no time — the booking holds whole days
+        start_time: reservation.startTime || null,
+        end_time: reservation.endTime || null,
+        quantity: Number(reservation.quantity) || 1,
         status: reservation.status || 'confirmed',
+        hold_expires_at: reservation.status === 'hold' ? reservation.holdExpiresAt || null : null,
         contact_name: reservation.user,
         contact_phone: reservation.contactPhone || '',
         contact_email: reservation.contactEmail || '',
@@ -815,12 +1023,18 @@ export function DataProvider({ children }) {
     if (updates.projectType !== undefined) dbUpdates.project_type = updates.projectType;
     if (updates.start !== undefined) dbUpdates.start_date = updates.start;
     if (updates.end !== undefined) dbUpdates.end_date = updates.end;
+    if (updates.startTime !== undefined) dbUpdates.start_time = updates.startTime || null;
+    if (updates.endTime !== undefined) dbUpdates.end_time = updates.endTime || null;
     if (updates.status !== undefined) dbUpdates.status = updates.status;
+    if (updates.holdExpiresAt !== undefined) {
+      dbUpdates.hold_expires_at = updates.holdExpiresAt || null;
+    }
     if (updates.user !== undefined) dbUpdates.contact_name = updates.user;
     if (updates.contactPhone !== undefined) dbUpdates.contact_phone = updates.contactPhone;
     if (updates.contactEmail !== undefined) dbUpdates.contact_email = updates.contactEmail;
     if (updates.location !== undefined) dbUpdates.location = updates.location;
     if (updates.clientId !== undefined) dbUpdates.client_id = updates.clientId || null;
+    if (updates.quantity !== undefined) dbUpdates.quantity = Number(updates.quantity) || 1;
     // Notes are JSONB on the reservation row. This mapping was missing, so
     // the note handlers' claim that reservation notes "persist through the
     // reservation update path" was false — every note vanished on reload.
@@ -871,142 +1085,304 @@ export function DataProvider({ children }) {
   // CHECK IN/OUT OPERATIONS
   // =============================================================================
 
-  const checkOutItem = useCallback(async (itemId, checkoutData) => {
-    try {
-      const { item: serverItem, historyEvent } = await inventoryService.checkOut(
-        itemId,
-        checkoutData,
-      );
+  // A conflict means our copy of the item is stale — adopt the server's row
+  // (or drop the item if it was deleted) so the UI shows who actually has it
+  const adoptConflictState = useCallback((err) => {
+    if (!(err instanceof CheckoutConflictError)) return;
+    if (err.item) {
+      setInventory((prev) => updateById(prev, err.itemId, err.item));
+    } else {
+      setInventory((prev) => prev.filter((item) => item.id !== err.itemId));
+    }
+  }, []);
 
-      // Update local state
-      setInventory((prev) =>
-        prev.map((item) =>
-          item.id === itemId
-            ? {
-                ...item,
-                status: 'checked-out',
-                checkedOutTo: checkoutData.userName,
-                checkedOutToUserId: checkoutData.userId,
-                checkedOutDate: getTodayISO(),
-                dueBack: checkoutData.dueBack,
-                checkoutProject: checkoutData.project,
-                checkoutClientId: checkoutData.clientId,
-                // Mirror the server-side increment_checkout_count RPC — the
-                // list copy used to lag the detail copy until the next poll
-                checkoutCount: (item.checkoutCount || 0) + 1,
-              }
-            : item,
-        ),
-      );
+  // checkout_item / checkin_item move the reservation they picked up to
+  // 'out' / 'returned' server-side; mirror that onto the local row so the
+  // schedule shows the new stage without waiting for the next refresh
+  const applyReservationStage = useCallback((itemId, historyEvent, stage) => {
+    const reservationId = historyEvent?.reservationId;
+    if (!reservationId) return;
+    setInventory((prev) =>
+      prev.map((item) =>
+        item.id === itemId && item.reservations
+          ? {
+              ...item,
+              reservations: item.reservations.map((r) =>
+                r.id === reservationId ? { ...r, status: stage, holdExpiresAt: null } : r,
+              ),
+            }
+          : item,
+      ),
+    );
+  }, []);
 
-      // Mirror the real history row into the cached activity window so the
-      // Activity report reflects this session's events without a reload.
-      // Safe pre-load too: ensureCheckoutActivity merges by id.
-      if (historyEvent) {
-        setCheckoutEvents((prev) => [...prev, historyEvent]);
-      }
+  // Offline: the op goes to the outbox and local state shows it as done;
+  // syncOutbox replays it once the connection is back. The ref is the source
+  // of truth for the queue; state only drives the banner.
+  const queueOfflineOp = useCallback((type, payload, entity) => {
+    const op = createOutboxOp(type, payload, entity);
+    // A return queued on top of a queued checkout can't know the date the
+    // server will stamp on that checkout — match on the borrower alone
+    if (
+      type === OUTBOX_OPS.CHECKIN &&
+      op.baseline &&
+      outboxRef.current.some(
+        (o) => o.type === OUTBOX_OPS.CHECKOUT && o.payload.itemId === payload.itemId,
+      )
+    ) {
+      op.baseline.checkedOutDate = null;
+    }
+    outboxRef.current = [...outboxRef.current, op];
+    saveOutbox(outboxRef.current);
+    setOutbox(outboxRef.current);
+    log('[DataContext] Queued offline:', describeOutboxOp(op));
+    return op;
+  }, []);
 
-      return serverItem;
+  // The ref moves with state at once, so an op queued right behind this one
+  // (a return scanned straight after a checkout) sees the change
+  const applyOfflinePatch = useCallback((itemId, fields) => {
+    inventoryRef.current = updateById(inventoryRef.current, itemId, fields);
+    setInventory((prev) => updateById(prev, itemId, fields));
+  }, []);
+
+  // A signed agreement is stored before the checkout it covers; once the
+  // history row exists, point it at the agreement. The gear has already
+  // moved by then, so a failed link is logged rather than failing the op.
+  const linkAgreement = useCallback(async (agreementId, historyEvent) => {
+    if (!agreementId || !historyEvent?.id) return;
+    try {
+      await checkoutAgreementsService.link(agreementId, [historyEvent.id]);
     } catch (err) {
-      logError('Failed to check out item:', err);
-      throw err;
+      logError('Failed to link checkout agreement:', err);
     }
   }, []);
 
-  const checkInItem = useCallback(async (itemId, checkinData) => {
-    try {
-      const {
-        returnedBy,
-        userId,
-        condition,
-        conditionNotes,
-        returnNotes,
-        damageReported,
-        damageDescription,
-        returnStatus,
-      } = checkinData;
-
-      // Use the dedicated checkIn service method. returnStatus lets the
-      // caller return the item to 'reserved' when a confirmed reservation
-      // covers today (damage still wins).
-      const { item: serverItem, historyEvent } = await inventoryService.checkIn(itemId, {
-        userId: userId,
-        userName: returnedBy,
-        notes: returnNotes || conditionNotes,
-        condition: condition,
-        damageReported: !!damageReported,
-        returnStatus,
+  // Same after-the-fact link for the borrower account; a failure leaves the
+  // checkout matched by name only
+  const linkBorrower = useCallback(async (borrowerId, historyEvent) => {
+    if (!borrowerId || !historyEvent?.id) return;
+    try {
+      await borrowersService.link(borrowerId, [historyEvent.id]);
+    } catch (err) {
+      logError('Failed to link borrower:', err);
+    }
+  }, []);
+
+  const checkOutItem = useCallback(
+    async (itemId, checkoutData) => {
+      if (isOffline()) {
+        const item = inventoryRef.current.find((i) => i.id === itemId);
+        // checkout_item only takes available or reserved gear — refuse here
+        // rather than queue a checkout the server is certain to reject
+        if (!item || (item.status !== STATUS.AVAILABLE && item.status !== STATUS.RESERVED)) {
+          throw new CheckoutConflictError('Item is not available', {
+            itemId,
+            item: item || null,
+            action: 'checkout',
+          });
+        }
+        queueOfflineOp(OUTBOX_OPS.CHECKOUT, { itemId, checkoutData }, item);
+        applyOfflinePatch(itemId, checkedOutFields(item, checkoutData));
+        return null;
+      }
+
+      try {
+        const { item: serverItem, historyEvent } = await inventoryService.checkOut(
+          itemId,
+          checkoutData,
+        );
+
+        // Update local state
+        setInventory((prev) =>
+          prev.map((item) =>
+            item.id === itemId ? { ...item, ...checkedOutFields(item, checkoutData) } : item,
+          ),
+        );
+
+        // Mirror the real history row into the cached activity window so the
+        // Activity report reflects this session's events without a reload.
+        // Safe pre-load too: ensureCheckoutActivity merges by id.
+        if (historyEvent) {
+          setCheckoutEvents((prev) => [...prev, historyEvent]);
+        }
+        applyReservationStage(itemId, historyEvent, 'out');
+        await linkAgreement(checkoutData.agreementId, historyEvent);
+        await linkBorrower(checkoutData.borrowerId, historyEvent);
+
+        return serverItem;
+      } catch (err) {
+        logError('Failed to check out item:', err);
+        adoptConflictState(err);
+        throw err;
+      }
+    },
+    [
+      adoptConflictState,
+      queueOfflineOp,
+      applyOfflinePatch,
+      applyReservationStage,
+      linkAgreement,
+      linkBorrower,
+    ],
+  );
+
+  // Damage on return is also written up as a note — and mirrored into state
+  // so the "⚠️ Damage reported" entry (and the notes badge) shows without a
+  // re-navigation. Only when the item's notes are already hydrated: an
+  // undefined list means the next detail visit fetches the complete set,
+  // damage note included.
+  const addDamageNote = useCallback(async (itemId, returnedBy, damageDescription) => {
+    try {
+      const row = await itemNotesService.create({
+        item_id: itemId,
+        user_name: returnedBy || 'System',
+        text: `⚠️ Damage reported: ${damageDescription}`,
       });
+      const uiNote = {
+        id: row?.id,
+        user: returnedBy || 'System',
+        date: getTodayISO(),
+        text: `⚠️ Damage reported: ${damageDescription}`,
+        replies: [],
+        deleted: false,
+      };
+      if (uiNote.id) {
+        setInventory((prev) =>
+          prev.map((item) =>
+            item.id === itemId && item.notes !== undefined
+              ? { ...item, notes: [...item.notes, uiNote] }
+              : item,
+          ),
+        );
+      }
+    } catch (noteErr) {
+      logError('Failed to add damage note:', noteErr);
+    }
+  }, []);
 
+  const checkInItem = useCallback(
+    async (itemId, checkinData) => {
+      const { returnedBy, condition, damageReported, damageDescription, returnStatus } =
+        checkinData;
       // Determine new status based on damage
       const newStatus = damageReported ? 'needs-attention' : returnStatus || 'available';
 
-      // Update local state
-      setInventory((prev) =>
-        prev.map((item) =>
-          item.id === itemId
-            ? {
-                ...item,
-                status: newStatus,
-                condition: condition,
-                checkedOutTo: null,
-                checkedOutToUserId: null,
-                checkedOutDate: null,
-                dueBack: null,
-                checkoutProject: null,
-                checkoutClientId: null,
-              }
-            : item,
-        ),
-      );
-
-      // Mirror the real history row into the cached activity window (see
-      // checkOutItem — same contract).
-      if (historyEvent) {
-        setCheckoutEvents((prev) => [...prev, historyEvent]);
+      if (isOffline()) {
+        const item = inventoryRef.current.find((i) => i.id === itemId);
+        if (!item || item.status !== 'checked-out') {
+          throw new CheckoutConflictError('Item is not checked out', {
+            itemId,
+            item: item || null,
+            action: 'checkin',
+          });
+        }
+        queueOfflineOp(OUTBOX_OPS.CHECKIN, { itemId, checkinData }, item);
+        applyOfflinePatch(itemId, checkedInFields(newStatus, condition));
+        return null;
       }
 
-      // If damage reported, add a note — and mirror it into state so the
-      // "⚠️ Damage reported" entry (and the notes badge) shows without a
-      // re-navigation. Only when the item's notes are already hydrated:
-      // an undefined list means the next detail visit fetches the complete
-      // set, damage note included.
-      if (damageReported && damageDescription) {
-        try {
-          const row = await itemNotesService.create({
-            item_id: itemId,
-            user_name: returnedBy || 'System',
-            text: `⚠️ Damage reported: ${damageDescription}`,
-          });
-          const uiNote = {
-            id: row?.id,
-            user: returnedBy || 'System',
-            date: getTodayISO(),
-            text: `⚠️ Damage reported: ${damageDescription}`,
-            replies: [],
-            deleted: false,
-          };
-          if (uiNote.id) {
-            setInventory((prev) =>
-              prev.map((item) =>
-                item.id === itemId && item.notes !== undefined
-                  ? { ...item, notes: [...item.notes, uiNote] }
-                  : item,
-              ),
-            );
-          }
-        } catch (noteErr) {
-          logError('Failed to add damage note:', noteErr);
+      try {
+        // Use the dedicated checkIn service method. returnStatus lets the
+        // caller return the item to 'reserved' when a confirmed reservation
+        // covers today (damage still wins).
+        const { item: serverItem, historyEvent } = await inventoryService.checkIn(
+          itemId,
+          toCheckInArgs(checkinData),
+        );
+
+        // Update local state
+        setInventory((prev) =>
+          prev.map((item) =>
+            item.id === itemId ? { ...item, ...checkedInFields(newStatus, condition) } : item,
+          ),
+        );
+
+        // Mirror the real history row into the cached activity window (see
+        // checkOutItem — same contract).
+        if (historyEvent) {
+          setCheckoutEvents((prev) => [...prev, historyEvent]);
         }
+        applyReservationStage(itemId, historyEvent, 'returned');
+        await linkAgreement(checkinData.agreementId, historyEvent);
+
+        if (damageReported && damageDescription) {
+          await addDamageNote(itemId, returnedBy, damageDescription);
+        }
+
+        return serverItem;
+      } catch (err) {
+        logError('Failed to check in item:', err);
+        adoptConflictState(err);
+        throw err;
       }
+    },
+    [
+      adoptConflictState,
+      queueOfflineOp,
+      applyOfflinePatch,
+      addDamageNote,
+      applyReservationStage,
+      linkAgreement,
+    ],
+  );
 
-      return serverItem;
-    } catch (err) {
-      logError('Failed to check in item:', err);
-      throw err;
-    }
+  // Quantity-tracked items: the server decides the resulting stock and
+  // status (on hand hits 0 → checked-out), so local state takes its row
+  // rather than re-deriving it. The per-borrower rows live on the detail
+  // copy only; the caller patches selectedItem from the returned checkout.
+  const adoptQuantityState = useCallback((itemId, serverItem) => {
+    if (!serverItem) return;
+    setInventory((prev) =>
+      updateById(prev, itemId, {
+        status: serverItem.status,
+        quantity: serverItem.quantity,
+        quantityOut: serverItem.quantityOut,
+        checkoutCount: serverItem.checkoutCount,
+      }),
+    );
   }, []);
 
+  const checkOutItemQuantity = useCallback(
+    async (itemId, checkoutData) => {
+      requireConnection('Quantity checkouts');
+      try {
+        const result = await inventoryService.checkOutQuantity(itemId, checkoutData);
+        adoptQuantityState(itemId, result.item);
+        if (result.historyEvent) {
+          setCheckoutEvents((prev) => [...prev, result.historyEvent]);
+        }
+        await linkAgreement(checkoutData.agreementId, result.historyEvent);
+        await linkBorrower(checkoutData.borrowerId, result.historyEvent);
+        return result;
+      } catch (err) {
+        logError('Failed to check out item quantity:', err);
+        adoptConflictState(err);
+        throw err;
+      }
+    },
+    [adoptQuantityState, adoptConflictState, linkAgreement, linkBorrower],
+  );
+
+  const returnItemQuantity = useCallback(
+    async (checkoutId, returnData) => {
+      requireConnection('Quantity returns');
+      try {
+        const result = await inventoryService.returnQuantity(checkoutId, returnData);
+        adoptQuantityState(returnData.itemId, result.item);
+        if (result.historyEvents.length) {
+          setCheckoutEvents((prev) => [...prev, ...result.historyEvents]);
+        }
+        return result;
+      } catch (err) {
+        logError('Failed to return item quantity:', err);
+        adoptConflictState(err);
+        throw err;
+      }
+    },
+    [adoptQuantityState, adoptConflictState],
+  );
+
   // =============================================================================
   // PACKAGES OPERATIONS
   // =============================================================================
@@ -1151,25 +1527,42 @@ export function DataProvider({ children }) {
 
   // Toggle a single item's packed state — updates one row instead of
   // rewriting the whole child table, so rapid consecutive scans can't
-  // clobber each other
-  const togglePackListItemPacked = useCallback(async (listId, itemId, isPacked) => {
-    try {
-      await packListsService.toggleItemPacked(listId, itemId, isPacked);
-    } catch (err) {
-      logError('Failed to toggle packed state:', err);
-      throw err;
-    }
-  }, []);
+  // clobber each other. Offline, the tick is queued (the view has already
+  // applied it locally) and replayed with the rest of the outbox.
+  const togglePackListItemPacked = useCallback(
+    async (listId, itemId, isPacked) => {
+      if (isOffline()) {
+        const item = inventoryRef.current.find((i) => i.id === itemId);
+        queueOfflineOp(OUTBOX_OPS.PACK_ITEM, { listId, itemId, isPacked }, item);
+        return;
+      }
+      try {
+        await packListsService.toggleItemPacked(listId, itemId, isPacked);
+      } catch (err) {
+        logError('Failed to toggle packed state:', err);
+        throw err;
+      }
+    },
+    [queueOfflineOp],
+  );
 
   // Same single-row semantics for packages on the list
-  const togglePackListPackagePacked = useCallback(async (listId, packageId, isPacked) => {
-    try {
-      await packListsService.togglePackagePacked(listId, packageId, isPacked);
-    } catch (err) {
-      logError('Failed to toggle package packed state:', err);
-      throw err;
-    }
-  }, []);
+  const togglePackListPackagePacked = useCallback(
+    async (listId, packageId, isPacked) => {
+      if (isOffline()) {
+        const pkg = packages.find((p) => p.id === packageId);
+        queueOfflineOp(OUTBOX_OPS.PACK_PACKAGE, { listId, packageId, isPacked }, pkg);
+        return;
+      }
+      try {
+        await packListsService.togglePackagePacked(listId, packageId, isPacked);
+      } catch (err) {
+        logError('Failed to toggle package packed state:', err);
+        throw err;
+      }
+    },
+    [queueOfflineOp, packages],
+  );
 
   // =============================================================================
   // CLIENTS OPERATIONS
@@ -1219,6 +1612,83 @@ export function DataProvider({ children }) {
     setClients((prev) => prev.filter((client) => client.id !== id));
   }, []);
 
+  // =============================================================================
+  // BORROWER OPERATIONS
+  // =============================================================================
+
+  const createBorrower = useCallback(async (borrower) => {
+    try {
+      const created = await borrowersService.create(borrower);
+      setBorrowers((prev) => [...prev, created]);
+      return created;
+    } catch (err) {
+      logError('Failed to create borrower:', err);
+      throw err;
+    }
+  }, []);
+
+  const updateBorrower = useCallback(async (id, updates) => {
+    try {
+      const updated = await borrowersService.update(id, updates);
+      setBorrowers((prev) => prev.map((b) => (b.id === id ? updated : b)));
+      return updated;
+    } catch (err) {
+      logError('Failed to update borrower:', err);
+      throw err;
+    }
+  }, []);
+
+  const deleteBorrower = useCallback(async (id) => {
+    try {
+      await borrowersService.delete(id);
+    } catch (err) {
+      logError('Failed to delete borrower:', err);
+      throw err;
+    }
+    setBorrowers((prev) => prev.filter((b) => b.id !== id));
+    // The FK nulls the link server-side; mirror it so limits stop counting
+    setInventory((prev) =>
+      prev.map((item) =>
+        item.checkedOutToBorrowerId === id ? { ...item, checkedOutToBorrowerId: null } : item,
+      ),
+    );
+  }, []);
+
+  const getBorrowerHistory = useCallback(async (id) => {
+    try {
+      return await borrowersService.getHistory(id);
+    } catch (err) {
+      logError('Failed to load borrower history:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // DEPOSIT OPERATIONS
+  // =============================================================================
+
+  const recordDeposit = useCallback(async (deposit) => {
+    try {
+      const created = await checkoutDepositsService.create(deposit);
+      setDeposits((prev) => [created, ...prev]);
+      return created;
+    } catch (err) {
+      logError('Failed to record deposit:', err);
+      throw err;
+    }
+  }, []);
+
+  const settleDeposit = useCallback(async (id, settlement) => {
+    try {
+      const settled = await checkoutDepositsService.settle(id, settlement);
+      setDeposits((prev) => prev.map((d) => (d.id === id ? settled : d)));
+      return settled;
+    } catch (err) {
+      logError('Failed to settle deposit:', err);
+      throw err;
+    }
+  }, []);
+
   // =============================================================================
   // CLIENT NOTES OPERATIONS
   // =============================================================================
@@ -1298,6 +1768,205 @@ export function DataProvider({ children }) {
     [categories, categorySettings],
   );
 
+  // =============================================================================
+  // PRICING OPERATIONS
+  // =============================================================================
+
+  const updatePricingSettings = useCallback(async (updates) => {
+    try {
+      const saved = await pricingService.update(updates);
+      setPricingSettings(saved);
+      return saved;
+    } catch (err) {
+      logError('Failed to save pricing settings:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // EQUIVALENCE GROUP OPERATIONS
+  // Persist-first. An item is in one group at most, so saving a group's
+  // members takes them out of any other group locally, as the server does.
+  // =============================================================================
+
+  const placeEquivalenceGroup = useCallback((group) => {
+    setEquivalenceGroups((prev) => {
+      const others = prev
+        .filter((g) => g.id !== group.id)
+        .map((g) => ({ ...g, itemIds: g.itemIds.filter((id) => !group.itemIds.includes(id)) }));
+      return [...others, group].sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }, []);
+
+  const createEquivalenceGroup = useCallback(
+    async (name, itemIds = []) => {
+      try {
+        const group = await equivalenceGroupsService.create(name, itemIds);
+        placeEquivalenceGroup(group);
+        return group;
+      } catch (err) {
+        logError('Failed to create equivalence group:', err);
+        throw err;
+      }
+    },
+    [placeEquivalenceGroup],
+  );
+
+  const updateEquivalenceGroup = useCallback(
+    async (id, { name, itemIds }) => {
+      const existing = equivalenceGroups.find((g) => g.id === id);
+      if (!existing) return null;
+      try {
+        if (name !== undefined && name !== existing.name) {
+          await equivalenceGroupsService.rename(id, name);
+        }
+        if (itemIds !== undefined) await equivalenceGroupsService.setMembers(id, itemIds);
+        const group = {
+          ...existing,
+          name: name ?? existing.name,
+          itemIds: itemIds ?? existing.itemIds,
+        };
+        placeEquivalenceGroup(group);
+        return group;
+      } catch (err) {
+        logError('Failed to update equivalence group:', err);
+        throw err;
+      }
+    },
+    [equivalenceGroups, placeEquivalenceGroup],
+  );
+
+  const deleteEquivalenceGroup = useCallback(async (id) => {
+    try {
+      await equivalenceGroupsService.delete(id);
+      setEquivalenceGroups((prev) => prev.filter((g) => g.id !== id));
+    } catch (err) {
+      logError('Failed to delete equivalence group:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // INVOICE OPERATIONS
+  // Persist-first: the server numbers and totals invoices and derives paid
+  // status from payments, so local state only ever takes what it returned.
+  // =============================================================================
+
+  const replaceInvoice = useCallback((invoice) => {
+    setInvoices((prev) => {
+      const { lines: _lines, payments: _payments, ...header } = invoice;
+      const exists = prev.some((inv) => inv.id === header.id);
+      return exists ? prev.map((inv) => (inv.id === header.id ? header : inv)) : [header, ...prev];
+    });
+    // Issuing or voiding moves the per-item totals; refetch on next use
+    setItemRevenueLoaded(false);
+  }, []);
+
+  const getInvoiceDetails = useCallback(async (id) => {
+    try {
+      return await invoicesService.getById(id);
+    } catch (err) {
+      logError('Failed to load invoice:', err);
+      throw err;
+    }
+  }, []);
+
+  const createInvoice = useCallback(
+    async (invoice, lines) => {
+      try {
+        const saved = await invoicesService.create(invoice, lines);
+        replaceInvoice(saved);
+        return saved;
+      } catch (err) {
+        logError('Failed to create invoice:', err);
+        throw err;
+      }
+    },
+    [replaceInvoice],
+  );
+
+  const updateInvoiceStatus = useCallback(
+    async (id, status) => {
+      try {
+        const saved = await invoicesService.updateStatus(id, status);
+        replaceInvoice(saved);
+        return saved;
+      } catch (err) {
+        logError('Failed to update invoice status:', err);
+        throw err;
+      }
+    },
+    [replaceInvoice],
+  );
+
+  const deleteInvoice = useCallback(async (id) => {
+    try {
+      await invoicesService.delete(id);
+    } catch (err) {
+      logError('Failed to delete invoice:', err);
+      throw err;
+    }
+    setInvoices((prev) => prev.filter((inv) => inv.id !== id));
+  }, []);
+
+  const recordInvoicePayment = useCallback(
+    async (payment) => {
+      try {
+        const result = await invoicesService.addPayment(payment);
+        replaceInvoice(result.invoice);
+        return result;
+      } catch (err) {
+        logError('Failed to record payment:', err);
+        throw err;
+      }
+    },
+    [replaceInvoice],
+  );
+
+  const deleteInvoicePayment = useCallback(
+    async (paymentId, invoiceId) => {
+      try {
+        const invoice = await invoicesService.deletePayment(paymentId, invoiceId);
+        replaceInvoice(invoice);
+        return invoice;
+      } catch (err) {
+        logError('Failed to delete payment:', err);
+        throw err;
+      }
+    },
+    [replaceInvoice],
+  );
+
+  // Billing reads history the activity window doesn't cover: a client's
+  // whole checkout record, and the returns of a reservation's items
+  const getClientCheckoutHistory = useCallback(async (clientId) => {
+    try {
+      return await checkoutHistoryService.getByClientId(clientId);
+    } catch (err) {
+      logError('Failed to load client checkout history:', err);
+      throw err;
+    }
+  }, []);
+
+  const getItemReturnsSince = useCallback(async (itemIds, sinceISO) => {
+    try {
+      return await checkoutHistoryService.getReturnsForItems(itemIds, sinceISO);
+    } catch (err) {
+      logError('Failed to load item returns:', err);
+      throw err;
+    }
+  }, []);
+
+  // The reservation detail's manifest: what the job took and brought back
+  const getReservationHistory = useCallback(async (query) => {
+    try {
+      return await checkoutHistoryService.getForReservation(query);
+    } catch (err) {
+      logError('Failed to load reservation history:', err);
+      throw err;
+    }
+  }, []);
+
   // =============================================================================
   // SPECS OPERATIONS
   // =============================================================================
@@ -1346,7 +2015,16 @@ export function DataProvider({ children }) {
   }, []);
 
   const sendCheckoutEmail = useCallback(
-    async ({ borrowerEmail, borrowerName, item, checkoutDate, dueDate, project, companyName }) => {
+    async ({
+      borrowerEmail,
+      borrowerName,
+      item,
+      checkoutDate,
+      dueDate,
+      project,
+      companyName,
+      agreementId,
+    }) => {
       try {
         return await emailService.sendCheckoutConfirmation({
           borrowerEmail,
@@ -1356,6 +2034,7 @@ export function DataProvider({ children }) {
           dueDate,
           project,
           companyName,
+          agreementId,
         });
       } catch (err) {
         logError('Failed to send checkout email:', err);
@@ -1423,6 +2102,152 @@ export function DataProvider({ children }) {
 
   const getNotificationLog = useCallback(async (opts) => notificationLogService.list(opts), []);
 
+  // =============================================================================
+  // CALENDAR FEED OPERATIONS
+  // Loaded on demand by the settings screens — nothing here is cached
+  // =============================================================================
+
+  const getCalendarFeeds = useCallback(async (ownerId) => {
+    try {
+      return await calendarFeedsService.getMine(ownerId);
+    } catch (err) {
+      logError('Failed to load calendar feeds:', err);
+      throw err;
+    }
+  }, []);
+
+  const createCalendarFeed = useCallback(async (feed) => {
+    try {
+      return await calendarFeedsService.create(feed);
+    } catch (err) {
+      logError('Failed to create calendar feed:', err);
+      throw err;
+    }
+  }, []);
+
+  const deleteCalendarFeed = useCallback(async (id) => {
+    try {
+      await calendarFeedsService.delete(id);
+    } catch (err) {
+      logError('Failed to delete calendar feed:', err);
+      throw err;
+    }
+  }, []);
+
+  const exportCalendar = useCallback(async (options) => {
+    try {
+      return await calendarFeedsService.exportIcs(options);
+    } catch (err) {
+      logError('Failed to export calendar:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // CHECKOUT AGREEMENT OPERATIONS
+  // Signed agreements are read on demand (printing one from item history)
+  // =============================================================================
+
+  const createCheckoutAgreement = useCallback(async (agreement) => {
+    try {
+      return await checkoutAgreementsService.create(agreement);
+    } catch (err) {
+      logError('Failed to save checkout agreement:', err);
+      throw err;
+    }
+  }, []);
+
+  const getCheckoutAgreement = useCallback(async (id) => {
+    try {
+      return await checkoutAgreementsService.getById(id);
+    } catch (err) {
+      logError('Failed to load checkout agreement:', err);
+      throw err;
+    }
+  }, []);
+
+  const deleteCheckoutAgreement = useCallback(async (id) => {
+    try {
+      await checkoutAgreementsService.delete(id);
+    } catch (err) {
+      logError('Failed to delete checkout agreement:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // CHECKOUT READINESS
+  // Damage reports are the one readiness check not answered by loaded state
+  // =============================================================================
+
+  const getOpenDamageReports = useCallback(async (itemIds) => {
+    try {
+      return await checkoutHistoryService.getOpenDamageReports(itemIds);
+    } catch (err) {
+      logError('Failed to load open damage reports:', err);
+      throw err;
+    }
+  }, []);
+
+  // =============================================================================
+  // CLIENT PORTAL OPERATIONS
+  // Request links on the client page and the catalog admin page; on demand
+  // =============================================================================
+
+  const getPortalLinks = useCallback(async (clientId) => {
+    try {
+      return await clientPortalService.getLinks(clientId);
+    } catch (err) {
+      logError('Failed to load portal links:', err);
+      throw err;
+    }
+  }, []);
+
+  const createPortalLink = useCallback(async (link) => {
+    try {
+      return await clientPortalService.createLink(link);
+    } catch (err) {
+      logError('Failed to create portal link:', err);
+      throw err;
+    }
+  }, []);
+
+  const deletePortalLink = useCallback(async (id) => {
+    try {
+      await clientPortalService.deleteLink(id);
+    } catch (err) {
+      logError('Failed to revoke portal link:', err);
+      throw err;
+    }
+  }, []);
+
+  const getPortalCatalog = useCallback(async () => {
+    try {
+      return await clientPortalService.getCatalog();
+    } catch (err) {
+      logError('Failed to load portal catalog:', err);
+      throw err;
+    }
+  }, []);
+
+  const addToPortalCatalog = useCallback(async (target) => {
+    try {
+      return await clientPortalService.addToCatalog(target);
+    } catch (err) {
+      logError('Failed to add to portal catalog:', err);
+      throw err;
+    }
+  }, []);
+
+  const removeFromPortalCatalog = useCallback(async (id) => {
+    try {
+      await clientPortalService.removeFromCatalog(id);
+    } catch (err) {
+      logError('Failed to remove from portal catalog:', err);
+      throw err;
+    }
+  }, []);
+
   // =============================================================================
   // LOCAL STATE PATCH OPERATIONS
   // Controlled API for optimistic UI updates. These only update local state —
@@ -1510,6 +2335,307 @@ export function DataProvider({ children }) {
     setLocations(newLocations);
   }, []);
 
+  // =============================================================================
+  // REALTIME SYNC
+  // Other sessions' writes arrive over a postgres_changes channel and are
+  // patched into local state as they commit. Our own writes echo back too;
+  // applying the server row again is harmless. Every (re)subscribe runs one
+  // incremental refresh to cover whatever happened while the channel was
+  // down, and polling takes over whenever it is.
+  // =============================================================================
+
+  // Child-table edits come in bursts (a package save rewrites its
+  // package_items rows) — refetch a collection once per burst
+  const refetchTimersRef = useRef({});
+
+  const refetchCollection = useCallback((key, fetcher, setter) => {
+    clearTimeout(refetchTimersRef.current[key]);
+    refetchTimersRef.current[key] = setTimeout(async () => {
+      try {
+        setter(await fetcher());
+      } catch (err) {
+        logError(`[DataContext] Realtime refetch of ${key} failed:`, err);
+      }
+    }, REALTIME_REFETCH_DELAY);
+  }, []);
+
+  useEffect(() => {
+    const timers = refetchTimersRef.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  const applyRealtimeChange = useCallback(
+    ({ table, eventType, record, oldId }) => {
+      switch (table) {
+        case 'inventory':
+          if (eventType === 'DELETE') {
+            removeInventoryItems(oldId);
+          } else if (eventType === 'INSERT') {
+            // Our own create already added it locally
+            setInventory((prev) =>
+              prev.some((i) => i.id === record.id)
+                ? updateById(prev, record.id, record)
+                : [...prev, record],
+            );
+          } else {
+            patchInventoryItem(record.id, record);
+          }
+          break;
+
+        case 'reservations': {
+          const id = record?.id ?? oldId;
+          // Cancelled rows leave local state exactly like deleted ones; an
+          // edit can also move a reservation to another item
+          const live = record && record.status !== 'cancelled' ? record : null;
+          mapInventory((item) => {
+            const current = item.reservations || [];
+            const existing = current.find((r) => r.id === id);
+            const belongsHere = live?.itemId === item.id;
+            if (!existing && !belongsHere) return item;
+            const reservations = belongsHere
+              ? existing
+                ? current.map((r) => (r.id === id ? { ...r, ...live } : r))
+                : [...current, live]
+              : current.filter((r) => r.id !== id);
+            return reconcileReservedStatuses([{ ...item, reservations }])[0];
+          });
+          break;
+        }
+
+        case 'packages':
+        case 'package_items':
+          refetchCollection('packages', () => packagesService.getAll(), setPackages);
+          break;
+
+        case 'pack_lists':
+        case 'pack_list_items':
+        case 'pack_list_packages':
+          // Not loaded yet — the first ensurePackLists() fetches fresh anyway
+          if (packListsLoaded) {
+            refetchCollection('packLists', () => packListsService.getAll(), setPackLists);
+          }
+          break;
+
+        default:
+          break;
+      }
+    },
+    [patchInventoryItem, removeInventoryItems, mapInventory, refetchCollection, packListsLoaded],
+  );
+
+  // The channel is opened once; these refs hand it the current closures
+  const applyRealtimeChangeRef = useRef(applyRealtimeChange);
+  const refreshStaleDataRef = useRef(refreshStaleData);
+  useEffect(() => {
+    applyRealtimeChangeRef.current = applyRealtimeChange;
+    refreshStaleDataRef.current = refreshStaleData;
+  }, [applyRealtimeChange, refreshStaleData]);
+
+  useEffect(() => {
+    if (!dataLoaded) return;
+
+    let unsubscribe = null;
+    let cancelled = false;
+
+    realtimeService
+      .subscribe({
+        onChange: (change) => applyRealtimeChangeRef.current(change),
+        onStatus: (status, err) => {
+          const connected = status === 'SUBSCRIBED';
+          setRealtimeConnected(connected);
+          if (connected) {
+            log('[DataContext] Realtime connected');
+            refreshStaleDataRef.current();
+          } else {
+            log(`[DataContext] Realtime ${status} — polling for changes`, err || '');
+          }
+        },
+      })
+      .then((stop) => {
+        if (cancelled) stop();
+        else unsubscribe = stop;
+      })
+      .catch((err) => {
+        logError('[DataContext] Realtime unavailable — polling for changes:', err);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+      setRealtimeConnected(false);
+    };
+  }, [dataLoaded]);
+
+  // =============================================================================
+  // OFFLINE — snapshot persistence and outbox replay
+  // =============================================================================
+
+  // Keep the snapshot in step with what this session shows (server loads,
+  // realtime patches and offline ops alike) so a reload with no signal opens
+  // on the latest state. Not before Tier 2 has merged — an earlier save would
+  // drop every reservation. While serving the snapshot, its original time is
+  // kept: the data is no newer for having been re-saved.
+  useEffect(() => {
+    if (!(dataLoaded && tier2Loaded) && !offlineSnapshotAt) return undefined;
+    const timer = setTimeout(() => {
+      saveSnapshot({
+        inventory,
+        packages,
+        packLists: packListsLoaded ? packLists : null,
+        categories,
+        categorySettings,
+        savedAt: offlineSnapshotAt || undefined,
+      });
+    }, SNAPSHOT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [
+    dataLoaded,
+    tier2Loaded,
+    offlineSnapshotAt,
+    inventory,
+    packages,
+    packLists,
+    packListsLoaded,
+    categories,
+    categorySettings,
+  ]);
+
+  // Apply one queued op. Resolves to an operator-facing reason when the
+  // server's state no longer allows it (reported, then dropped); throws when
+  // the request never got through, so the op stays queued. On success local
+  // state already shows the op — the catch-up refresh reconciles the rest.
+  const replayOutboxOp = useCallback(
+    async (op) => {
+      const { payload } = op;
+      try {
+        switch (op.type) {
+          case OUTBOX_OPS.CHECKOUT: {
+            const { historyEvent } = await inventoryService.checkOut(
+              payload.itemId,
+              payload.checkoutData,
+            );
+            await linkBorrower(payload.checkoutData.borrowerId, historyEvent);
+            return null;
+          }
+
+          case OUTBOX_OPS.CHECKIN: {
+            const current = await inventoryService.getById(payload.itemId).catch((err) => {
+              if (err?.code === 'PGRST116') return null; // no row: deleted meanwhile
+              throw err;
+            });
+            const conflict = detectCheckinConflict(op, current);
+            if (conflict) {
+              setInventory((prev) =>
+                current
+                  ? updateById(prev, payload.itemId, current)
+                  : removeById(prev, payload.itemId),
+              );
+              return conflict;
+            }
+            await inventoryService.checkIn(payload.itemId, toCheckInArgs(payload.checkinData));
+            const { damageReported, damageDescription, returnedBy } = payload.checkinData;
+            if (damageReported && damageDescription) {
+              await addDamageNote(payload.itemId, returnedBy, damageDescription);
+            }
+            return null;
+          }
+
+          case OUTBOX_OPS.PACK_ITEM:
+            await packListsService.toggleItemPacked(
+              payload.listId,
+              payload.itemId,
+              payload.isPacked,
+            );
+            return null;
+
+          case OUTBOX_OPS.PACK_PACKAGE:
+            await packListsService.togglePackagePacked(
+              payload.listId,
+              payload.packageId,
+              payload.isPacked,
+            );
+            return null;
+
+          default:
+            return `Unknown queued change "${op.type}"`;
+        }
+      } catch (err) {
+        if (err instanceof CheckoutConflictError) {
+          adoptConflictState(err);
+          return describeCheckoutConflict(err, op.itemName);
+        }
+        if (isNetworkError(err)) throw err;
+        return err?.message || 'Could not be saved';
+      }
+    },
+    [adoptConflictState, addDamageNote, linkBorrower],
+  );
+
+  // Replay the outbox in the order it was queued. Returns how many ops were
+  // taken off it (applied or reported as conflicts).
+  const syncingRef = useRef(false);
+  const syncOutbox = useCallback(async () => {
+    if (syncingRef.current || isOffline() || !outboxRef.current.length) return 0;
+    syncingRef.current = true;
+    setOutboxSyncing(true);
+    const conflicts = [];
+    let settled = 0;
+    try {
+      while (outboxRef.current.length) {
+        const op = outboxRef.current[0];
+        let reason;
+        try {
+          reason = await replayOutboxOp(op);
+        } catch (err) {
+          logError('[DataContext] Outbox replay interrupted — will retry:', err);
+          break;
+        }
+        if (reason) conflicts.push({ id: op.id, description: describeOutboxOp(op), reason });
+        outboxRef.current = outboxRef.current.filter((o) => o.id !== op.id);
+        saveOutbox(outboxRef.current);
+        setOutbox(outboxRef.current);
+        settled++;
+      }
+    } finally {
+      syncingRef.current = false;
+      setOutboxSyncing(false);
+    }
+    log('[DataContext] Outbox replayed:', { settled, conflicts: conflicts.length });
+    if (conflicts.length) setOutboxConflicts((prev) => [...prev, ...conflicts]);
+    return settled;
+  }, [replayOutboxOp]);
+
+  const dismissOutboxConflicts = useCallback(() => setOutboxConflicts([]), []);
+
+  // Back online: replay first (the ops were made against what the operator
+  // saw), then catch up — a full load when this session only ever had the
+  // snapshot
+  const handleReconnect = useCallback(async () => {
+    const settled = await syncOutbox();
+    if (offlineSnapshotAt) loadData();
+    else if (settled) refreshStaleDataRef.current();
+  }, [syncOutbox, offlineSnapshotAt, loadData]);
+
+  const handleReconnectRef = useRef(handleReconnect);
+  useEffect(() => {
+    handleReconnectRef.current = handleReconnect;
+  }, [handleReconnect]);
+
+  useEffect(() => {
+    const handleOnline = () => handleReconnectRef.current();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
+
+  // Ops left over from a session that closed before reconnecting go out as
+  // soon as this one has loaded
+  useEffect(() => {
+    if (!dataLoaded || !outboxRef.current.length) return;
+    syncOutbox().then((settled) => {
+      if (settled) refreshStaleDataRef.current();
+    });
+  }, [dataLoaded, syncOutbox]);
+
   // =============================================================================
   // CONTEXT VALUE
   // =============================================================================
@@ -1521,22 +2647,41 @@ export function DataProvider({ children }) {
       error,
       dataLoaded,
       tier2Loaded,
+      realtimeConnected,
+
+      // Offline mode
+      offlineSnapshotAt,
+      outbox,
+      outboxSyncing,
+      outboxConflicts,
+      syncOutbox,
+      dismissOutboxConflicts,
 
       // Data
       inventory,
       packages,
       packLists,
       clients,
+      borrowers,
+      deposits,
       users,
       roles,
       locations,
       categories,
       categorySettings,
       specs,
+      equivalenceGroups,
+      pricingSettings,
+      invoices,
+      invoicesLoaded,
+      itemRevenue,
+      itemRevenueLoaded,
       auditLog,
       auditLogLoaded,
       packListsLoaded,
       clientsLoaded,
+      borrowersLoaded,
+      depositsLoaded,
       maintenanceLoaded,
       checkoutEvents,
       checkoutEventsLoaded,
@@ -1548,8 +2693,12 @@ export function DataProvider({ children }) {
       // Lazy-load functions — call these before accessing the data
       ensureClients,
       getClientById,
+      ensureBorrowers,
+      ensureDeposits,
       ensureAuditLog,
       ensurePackLists,
+      ensureInvoices,
+      ensureItemRevenue,
       ensureMaintenance,
       ensureCheckoutActivity,
 
@@ -1578,6 +2727,7 @@ export function DataProvider({ children }) {
       createItem,
       deleteItem,
       getItemWithDetails,
+      getItemRevisions,
 
       // Item Notes Operations
       addItemNote,
@@ -1603,6 +2753,8 @@ export function DataProvider({ children }) {
       // Check In/Out Operations
       checkOutItem,
       checkInItem,
+      checkOutItemQuantity,
+      returnItemQuantity,
 
       // Package Operations
       createPackage,
@@ -1623,10 +2775,27 @@ export function DataProvider({ children }) {
       createClient,
       updateClient,
       deleteClient,
+      createBorrower,
+      updateBorrower,
+      deleteBorrower,
+      getBorrowerHistory,
+      recordDeposit,
+      settleDeposit,
       loadClientNotes,
       addClientNote,
       deleteClientNote,
 
+      // Invoice Operations
+      getInvoiceDetails,
+      createInvoice,
+      updateInvoiceStatus,
+      deleteInvoice,
+      recordInvoicePayment,
+      deleteInvoicePayment,
+      getClientCheckoutHistory,
+      getItemReturnsSince,
+      getReservationHistory,
+
       // Notification Operations
       saveNotificationPreferences,
       getNotificationPreferences,
@@ -1636,10 +2805,28 @@ export function DataProvider({ children }) {
       sendDamageReportEmail,
       sendTestEmail,
       getNotificationLog,
+      getCalendarFeeds,
+      createCalendarFeed,
+      deleteCalendarFeed,
+      exportCalendar,
+      createCheckoutAgreement,
+      getCheckoutAgreement,
+      deleteCheckoutAgreement,
+      getOpenDamageReports,
+      getPortalLinks,
+      createPortalLink,
+      deletePortalLink,
+      getPortalCatalog,
+      addToPortalCatalog,
+      removeFromPortalCatalog,
 
       // Other Operations
       updateCategories,
       updateSpecs,
+      updatePricingSettings,
+      createEquivalenceGroup,
+      updateEquivalenceGroup,
+      deleteEquivalenceGroup,
       addAuditLog,
     }),
     [
@@ -1647,20 +2834,37 @@ export function DataProvider({ children }) {
       error,
       dataLoaded,
       tier2Loaded,
+      realtimeConnected,
+      offlineSnapshotAt,
+      outbox,
+      outboxSyncing,
+      outboxConflicts,
+      syncOutbox,
+      dismissOutboxConflicts,
       inventory,
       packages,
       packLists,
       clients,
+      borrowers,
+      deposits,
       users,
       roles,
       locations,
       categories,
       categorySettings,
       specs,
+      equivalenceGroups,
+      pricingSettings,
+      invoices,
+      invoicesLoaded,
+      itemRevenue,
+      itemRevenueLoaded,
       auditLog,
       auditLogLoaded,
       packListsLoaded,
       clientsLoaded,
+      borrowersLoaded,
+      depositsLoaded,
       maintenanceLoaded,
       checkoutEvents,
       checkoutEventsLoaded,
@@ -1668,14 +2872,19 @@ export function DataProvider({ children }) {
       loadData,
       ensureClients,
       getClientById,
+      ensureBorrowers,
+      ensureDeposits,
       ensureAuditLog,
       ensurePackLists,
+      ensureInvoices,
+      ensureItemRevenue,
       ensureMaintenance,
       ensureCheckoutActivity,
       updateItem,
       createItem,
       deleteItem,
       getItemWithDetails,
+      getItemRevisions,
       addItemNote,
       deleteItemNote,
       addItemReminder,
@@ -1691,6 +2900,8 @@ export function DataProvider({ children }) {
       cancelReservations,
       checkOutItem,
       checkInItem,
+      checkOutItemQuantity,
+      returnItemQuantity,
       createPackage,
       updatePackage,
       deletePackage,
@@ -1705,9 +2916,24 @@ export function DataProvider({ children }) {
       createClient,
       updateClient,
       deleteClient,
+      createBorrower,
+      updateBorrower,
+      deleteBorrower,
+      getBorrowerHistory,
+      recordDeposit,
+      settleDeposit,
       loadClientNotes,
       addClientNote,
       deleteClientNote,
+      getInvoiceDetails,
+      createInvoice,
+      updateInvoiceStatus,
+      deleteInvoice,
+      recordInvoicePayment,
+      deleteInvoicePayment,
+      getClientCheckoutHistory,
+      getItemReturnsSince,
+      getReservationHistory,
       saveNotificationPreferences,
       getNotificationPreferences,
       sendCheckoutEmail,
@@ -1716,8 +2942,26 @@ export function DataProvider({ children }) {
       sendDamageReportEmail,
       sendTestEmail,
       getNotificationLog,
+      getCalendarFeeds,
+      createCalendarFeed,
+      deleteCalendarFeed,
+      exportCalendar,
+      createCheckoutAgreement,
+      getCheckoutAgreement,
+      deleteCheckoutAgreement,
+      getOpenDamageReports,
+      getPortalLinks,
+      createPortalLink,
+      deletePortalLink,
+      getPortalCatalog,
+      addToPortalCatalog,
+      removeFromPortalCatalog,
       updateCategories,
       updateSpecs,
+      updatePricingSettings,
+      createEquivalenceGroup,
+      updateEquivalenceGroup,
+      deleteEquivalenceGroup,
       addAuditLog,
       patchInventoryItem,
       addInventoryItems,
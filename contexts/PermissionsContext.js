@@ -25,6 +25,7 @@ export const VIEW_PERMISSIONS = {
   [VIEWS.LABELS]: 'labels',
   [VIEWS.CLIENTS]: 'clients',
   [VIEWS.CLIENT_DETAIL]: 'clients',
+  [VIEWS.BORROWERS]: 'clients',
   [VIEWS.REPORTS]: 'reports',
   [VIEWS.ADMIN]: 'admin_users', // Special-cased: ANY admin permission (see canAccessView)
   [VIEWS.USERS]: 'admin_users',
@@ -35,8 +36,10 @@ export const VIEW_PERMISSIONS = {
   // view renders the page (with only the caller's own rows) for anyone.
   [VIEWS.EMAIL_LOG]: 'admin_notifications',
   [VIEWS.EDIT_SPECS]: 'admin_specs',
+  [VIEWS.EQUIVALENCE_GROUPS]: 'admin_specs',
   [VIEWS.EDIT_CATEGORIES]: 'admin_categories',
   [VIEWS.ADD_ITEM]: 'gear_list', // Requires edit permission
+  [VIEWS.PORTAL_CATALOG]: 'gear_list', // Requires edit permission
   [VIEWS.LOCATIONS_MANAGE]: 'admin_locations',
   [VIEWS.ROLES_MANAGE]: 'admin_roles',
   [VIEWS.MAINTENANCE_REPORT]: 'reports',
@@ -45,6 +48,8 @@ export const VIEW_PERMISSIONS = {
   [VIEWS.INVENTORY_REPORT]: 'reports',
   [VIEWS.ACTIVITY_REPORT]: 'reports',
   [VIEWS.ALERTS_REPORT]: 'reports',
+  [VIEWS.RECEIVABLES_REPORT]: 'reports',
+  [VIEWS.DEPOSITS_REPORT]: 'reports',
   // THEME_SELECTOR, NOTIFICATIONS, and the CUSTOMIZE_* views intentionally
   // unmapped: theme, notification preferences, and layout customization are
   // per-user personalization since the profile round (their stale
@@ -75,6 +80,8 @@ const EDIT_REQUIRED_VIEWS = new Set([
   VIEWS.ADD_ITEM,
   VIEWS.ROLES_MANAGE,
   VIEWS.EDIT_SPECS,
+  VIEWS.EQUIVALENCE_GROUPS,
+  VIEWS.PORTAL_CATALOG,
   VIEWS.EDIT_CATEGORIES,
   VIEWS.LOCATIONS_MANAGE,
 ]);
@@ -7,13 +7,21 @@
 //     newlines, currency) parse
 //   - database export downloads a COMPLETE backup: lazy tables (clients) and
 //     never-in-memory tables (item_notes, checkout_history) included
+//   - restoring rows that already exist in the append-only tables
+//     (checkout_history, settled checkout_deposits) goes through
 //   - the inventory export modal downloads and closes
 //   - Export Data is admin-gated: the standard user doesn't see it
 // Only ZZZ E2E data is created; scoped afterAll cleans exactly our rows.
 // =============================================================================
 import { readFile } from 'fs/promises';
 import { test, expect, STORAGE_STATE } from './fixtures.js';
-import { adminDb, deleteItemsByExactName, E2E_PREFIX } from './db.js';
+import {
+  adminDb,
+  createTestItem,
+  deleteTestItem,
+  deleteItemsByExactName,
+  E2E_PREFIX,
+} from './db.js';
 
 const STAMP = Date.now();
 const NAME_A = `${E2E_PREFIX} Import A ${STAMP}`;
@@ -123,6 +131,66 @@ test.describe('database export', () => {
   });
 });
 
+test.describe('backup restore', () => {
+  let itemId;
+  let depositId;
+
+  test.afterAll(async () => {
+    const db = await adminDb();
+    if (depositId) {
+      // checkout_deposits has no DELETE policy; a replace restore of the
+      // ledger minus our row is the one way to take it out again
+      const { data } = await db.from('checkout_deposits').select('*').neq('id', depositId);
+      await db.rpc('restore_backup', {
+        p_tables: { checkout_deposits: data || [] },
+        p_mode: 'replace',
+        p_user_name: `${E2E_PREFIX} cleanup`,
+      });
+    }
+    await deleteTestItem(itemId);
+  });
+
+  test('merges rows that already exist in tables without an UPDATE policy', async () => {
+    const db = await adminDb();
+    itemId = await createTestItem({ name: `${E2E_PREFIX} Restore ${STAMP}` });
+
+    const { data: history, error: historyError } = await db
+      .from('checkout_history')
+      .insert({ item_id: itemId, user_name: `${E2E_PREFIX} Admin`, action: 'checkout' })
+      .select()
+      .single();
+    expect(historyError).toBeNull();
+
+    const { data: held, error: depositError } = await db
+      .from('checkout_deposits')
+      .insert({ borrower_name: `${E2E_PREFIX} Holder`, item_ids: [itemId], amount: 50 })
+      .select()
+      .single();
+    expect(depositError).toBeNull();
+    depositId = held.id;
+    // Settled: the UPDATE policy no longer matches it
+    const { data: deposit } = await db
+      .from('checkout_deposits')
+      .update({ status: 'refunded', settled_at: new Date().toISOString() })
+      .eq('id', depositId)
+      .select()
+      .single();
+
+    const { data: item } = await db.from('inventory').select('*').eq('id', itemId).single();
+    const { data: result, error } = await db.rpc('restore_backup', {
+      p_tables: { inventory: [item], checkout_history: [history], checkout_deposits: [deposit] },
+      p_mode: 'merge',
+      p_user_name: `${E2E_PREFIX} Admin`,
+    });
+    expect(error).toBeNull();
+    expect(result.upserted).toMatchObject({
+      inventory: 1,
+      checkout_history: 1,
+      checkout_deposits: 1,
+    });
+  });
+});
+
 test.describe('inventory export modal', () => {
   test('exports labeled CSV and closes the modal', async ({ page, pages }) => {
     await page.goto('/');
@@ -4,10 +4,38 @@
 // ============================================================================
 import { useState, useCallback } from 'react';
 import { STATUS, MODALS } from '../../constants.js';
-import { getTodayISO, hasActiveReservation } from '../../utils';
+import { getTodayISO, hasActiveReservation, isQuantityTracked } from '../../utils';
 import { error as logError } from '../../lib/logger.js';
 import { resolveBorrowerUserId, companyNameFor } from '../../lib/emailTemplates.js';
 import { useToast } from '../../contexts/ToastContext.js';
+import { CheckoutConflictError, describeCheckoutConflict } from '../../lib/errors.js';
+import { isOffline } from '../../lib/offlineStore.js';
+import { AGREEMENT_KINDS, agreementLine, buildAgreement } from '../../lib/agreements.js';
+import { blockingIssuesFor } from '../../lib/readiness.js';
+import { DEPOSIT_METHODS, depositMoney, settlementDescription } from '../../lib/deposits.js';
+import { openPrintWindow } from '../../lib/printUtil.js';
+import { renderAgreementHTML } from '../../components/agreementRender.jsx';
+import { QUOTE_PRINT_STYLES } from '../../components/quoteRender.jsx';
+
+// The stock fields the quantity RPCs own — adopted from the server row as-is
+const quantityFields = (serverItem) =>
+  serverItem
+    ? {
+        status: serverItem.status,
+        quantity: serverItem.quantity,
+        quantityOut: serverItem.quantityOut,
+        checkoutCount: serverItem.checkoutCount,
+      }
+    : {};
+
+// Offline, DataContext queues the op and shows it as done locally. The toast
+// says it still has to reach the server, and no confirmation emails go out —
+// the send would fail, and the replay may yet be refused.
+const queuedNote = (queued) => (queued ? ' — will sync when back online' : '');
+
+// A borrower account tied to a SIMS user names the borrower outright
+const accountUserId = (borrowers, borrowerId) =>
+  (borrowerId && borrowers?.find((b) => b.id === borrowerId)?.userId) || null;
 
 export function useCheckoutHandlers({
   inventory,
@@ -32,9 +60,198 @@ export function useCheckoutHandlers({
     },
     [addToast],
   );
+  // Another operator got there first. DataContext has already adopted the
+  // server's row into inventory; mirror it into the open detail view so the
+  // screen stops offering an action that can no longer succeed.
+  const adoptConflictSelection = useCallback(
+    (err) => {
+      if (selectedItem?.id !== err.itemId) return;
+      setSelectedItem((prev) => (err.item ? { ...prev, ...err.item } : prev));
+    },
+    [selectedItem, setSelectedItem],
+  );
+
+  // A signature from the modal becomes an agreement BEFORE the gear moves,
+  // so each checkout links its history row to it. Resolves to the stored
+  // agreement, null when there is nothing to store (unsigned, or offline —
+  // with a warning), or false when storing failed and the caller should
+  // stop: the borrower signed expecting a record.
+  const saveAgreement = useCallback(
+    async ({ signature, ...details }) => {
+      if (!signature || !dataContext?.createCheckoutAgreement) return null;
+      if (isOffline()) {
+        addToast('Offline — the signature cannot be saved with this checkout', 'warning');
+        return null;
+      }
+      try {
+        return await dataContext.createCheckoutAgreement(
+          buildAgreement({
+            ...details,
+            signature,
+            settings: dataContext.pricingSettings,
+            company: companyNameFor(currentUser),
+            user: currentUser,
+          }),
+        );
+      } catch (err) {
+        logError('Saving the signed agreement failed:', err);
+        addToast(
+          'Could not save the signed agreement: ' + (err.message || 'Please try again.'),
+          'error',
+        );
+        return false;
+      }
+    },
+    [dataContext, currentUser, addToast],
+  );
+
+  // The checkout it was signed for never happened
+  const discardAgreement = useCallback(
+    (agreement) => {
+      if (!agreement) return;
+      dataContext
+        .deleteCheckoutAgreement(agreement.id)
+        .catch((err) => logError('Failed to discard unused agreement:', err));
+    },
+    [dataContext],
+  );
+
+  // Gear that went out despite a blocking readiness check: one audit entry
+  // per item, naming what was overridden and the operator's reason
+  const recordReadinessOverride = useCallback(
+    (override, items, borrowerName) => {
+      if (!override) return;
+      items.forEach((item) => {
+        const overridden = blockingIssuesFor(override.issues || [], item.id);
+        if (overridden.length === 0) return;
+        addAuditLog({
+          type: 'checkout_override',
+          description: `${item.name || item.id} checked out to ${borrowerName} despite: ${overridden.map((i) => i.message).join('; ')} (reason: ${override.reason})`,
+          user: currentUser?.name || 'Unknown',
+          itemId: item.id,
+          reason: override.reason,
+          rules: overridden.map((i) => i.rule),
+        });
+      });
+    },
+    [addAuditLog, currentUser],
+  );
+
+  // The deposit goes on the ledger once its gear is out, covering just the
+  // serialized items that went: units handed out by count have no single
+  // return to settle it against. The checkout stands if this fails; the
+  // operator is told, and told too when nothing went out for it to cover.
+  const saveDeposit = useCallback(
+    async (deposit, { items, borrowerName, borrowerId, clientId, project }) => {
+      if (!deposit || !dataContext?.recordDeposit) return null;
+      const amount = depositMoney(deposit.amount);
+      const covered = items.filter(
+        (item) => !isQuantityTracked(item, dataContext.categorySettings),
+      );
+      if (covered.length === 0) {
+        addToast(
+          `The ${amount} deposit was not recorded: it covers serialized items and none went out`,
+          'warning',
+        );
+        return null;
+      }
+      if (isOffline()) {
+        addToast(
+          `Offline — the ${amount} deposit cannot be recorded with this checkout`,
+          'warning',
+        );
+        return null;
+      }
+      try {
+        const recorded = await dataContext.recordDeposit({
+          ...deposit,
+          borrowerId: borrowerId || null,
+          borrowerName,
+          clientId: clientId || null,
+          project: project || null,
+          itemIds: covered.map((item) => item.id),
+          receivedByName: currentUser?.name || null,
+        });
+        const method = DEPOSIT_METHODS.find((m) => m.value === deposit.method)?.label;
+        addAuditLog({
+          type: 'deposit_received',
+          description: `${amount} deposit (${method || deposit.method}) from ${borrowerName} for ${covered.map((item) => item.name || item.id).join(', ')}`,
+          user: currentUser?.name || 'Unknown',
+          depositId: recorded.id,
+        });
+        return recorded;
+      } catch (err) {
+        logError('Recording the deposit failed:', err);
+        addToast(
+          `Checked out, but the ${amount} deposit was not recorded: ${err.message || 'unknown error'}`,
+          'warning',
+        );
+        return null;
+      }
+    },
+    [dataContext, currentUser, addAuditLog, addToast],
+  );
+
+  // Settled once the return has gone through; if that fails the deposit
+  // stays held and the Deposits report settles it later
+  const settleHeldDeposit = useCallback(
+    async (deposit, settlement) => {
+      if (!deposit || !settlement || !dataContext?.settleDeposit) return;
+      if (isOffline()) {
+        addToast(
+          'Offline — settle the deposit from the Deposit Ledger once back online',
+          'warning',
+        );
+        return;
+      }
+      try {
+        await dataContext.settleDeposit(deposit.id, {
+          ...settlement,
+          settledByName: currentUser?.name || null,
+        });
+        addAuditLog({
+          type: `deposit_${settlement.status}`,
+          description: settlementDescription(deposit, settlement),
+          user: currentUser?.name || 'Unknown',
+          depositId: deposit.id,
+        });
+      } catch (err) {
+        logError('Settling the deposit failed:', err);
+        addToast(
+          `Returned, but the deposit was not settled: ${err.message || 'unknown error'}`,
+          'warning',
+        );
+      }
+    },
+    [dataContext, currentUser, addAuditLog, addToast],
+  );
+
+  // Item history → the signed agreement as a printable page
+  const printAgreement = useCallback(
+    async (agreementId) => {
+      try {
+        const agreement = await dataContext.getCheckoutAgreement(agreementId);
+        const body = await renderAgreementHTML({ agreement, profile: currentUser?.profile });
+        openPrintWindow({
+          title: `Agreement — ${agreement.signerName}`,
+          styles: QUOTE_PRINT_STYLES,
+          body,
+          onBlocked: () =>
+            addToast('Print pop-up blocked — allow pop-ups for this site.', 'warning'),
+        });
+      } catch (err) {
+        logError('Agreement print failed:', err);
+        addToast(`Could not open the agreement: ${err.message || 'unknown error'}`, 'error');
+      }
+    },
+    [dataContext, currentUser, addToast],
+  );
+
   // Local state
   const [checkoutItem, setCheckoutItem] = useState(null);
   const [checkinItemData, setCheckinItemData] = useState(null);
+  // { item, checkout } — one borrower's outstanding units being settled
+  const [quantityReturn, setQuantityReturn] = useState(null);
   const [maintenanceItem, setMaintenanceItem] = useState(null);
   const [editingMaintenanceRecord, setEditingMaintenanceRecord] = useState(null);
   // Seed values for a NEW maintenance record (damage→repair handoff)
@@ -56,7 +273,8 @@ export function useCheckoutHandlers({
   // Batch checkout: one borrower/due date applied to many items at once
   // (reservation load-outs, bulk check-out). Persist-per-item so a single
   // failure doesn't block the rest; dataContext.checkOutItem patches local
-  // inventory state itself.
+  // inventory state itself. reservationIds maps item id → the reservation
+  // row a load-out picks up, which moves that row to 'out'.
   const processBatchCheckout = useCallback(
     async ({
       items,
@@ -65,39 +283,78 @@ export function useCheckoutHandlers({
       clientName = null,
       project = '',
       dueDate,
+      reservationIds = null,
+      borrowerId = null,
+      signature = null,
+      readinessOverride = null,
+      deposit = null,
     }) => {
+      const agreement = await saveAgreement({
+        kind: AGREEMENT_KINDS.CHECKOUT,
+        signature,
+        signerName: borrowerName,
+        clientId,
+        clientName,
+        project,
+        dueBack: dueDate,
+        lines: items.map((item) => agreementLine(item)),
+      });
+      if (agreement === false) return { done: 0, failed: [], conflicts: [] };
       let done = 0;
       const failed = [];
+      // Lost races are reported apart from errors: nothing is broken, the
+      // item is simply no longer available
+      const conflicts = [];
+      const checkedOut = [];
       // The borrower as a SIMS user — never the operator (that sent reminders
       // to whoever clicked Check Out)
-      const borrowerUserId = resolveBorrowerUserId({
-        borrowerName,
-        clientId,
-        users: dataContext?.users,
-        currentUser,
-      });
+      const borrowerUserId =
+        accountUserId(dataContext?.borrowers, borrowerId) ||
+        resolveBorrowerUserId({
+          borrowerName,
+          clientId,
+          users: dataContext?.users,
+          currentUser,
+        });
       for (const target of items) {
+        const checkoutData = {
+          userId: borrowerUserId,
+          userName: borrowerName,
+          clientId,
+          clientName,
+          project,
+          dueBack: dueDate,
+          reservationId: reservationIds?.[target.id] || null,
+          ...(borrowerId && { borrowerId }),
+          ...(agreement && { agreementId: agreement.id }),
+        };
         try {
-          await dataContext.checkOutItem(target.id, {
-            userId: borrowerUserId,
-            userName: borrowerName,
-            clientId,
-            clientName,
-            project,
-            dueBack: dueDate,
-          });
+          // A batch line is one unit: quantity-tracked items hand out a
+          // single unit rather than flipping the whole stock row
+          if (isQuantityTracked(target, dataContext?.categorySettings)) {
+            await dataContext.checkOutItemQuantity(target.id, { ...checkoutData, quantity: 1 });
+          } else {
+            await dataContext.checkOutItem(target.id, checkoutData);
+          }
         } catch (err) {
+          if (err instanceof CheckoutConflictError) {
+            adoptConflictSelection(err);
+            conflicts.push(describeCheckoutConflict(err, target.name));
+            continue;
+          }
           logError('Batch checkout failed for', target.id, err);
           failed.push(target.name || target.id);
           continue;
         }
         done++;
+        checkedOut.push(target);
         addAuditLog({
           type: 'item_checkout',
           description: `${target.name || target.id} checked out to ${borrowerName}`,
           user: currentUser?.name || 'Unknown',
           itemId: target.id,
         });
+        recordReadinessOverride(readinessOverride, [target], borrowerName);
         addChangeLog({
           type: 'checkout',
           itemId: target.id,
@@ -110,7 +367,10 @@ export function useCheckoutHandlers({
             { field: 'dueBack', newValue: dueDate },
           ],
         });
-        if (selectedItem?.id === target.id) {
+        if (
+          selectedItem?.id === target.id &&
+          !isQuantityTracked(target, dataContext?.categorySettings)
+        ) {
           setSelectedItem((prev) => ({
             ...prev,
             status: STATUS.CHECKED_OUT,
@@ -123,18 +383,38 @@ export function useCheckoutHandlers({
         }
       }
       if (done) {
-        addToast(`${done} item${done === 1 ? '' : 's'} checked out to ${borrowerName}`, 'success');
+        addToast(
+          `${done} item${done === 1 ? '' : 's'} checked out to ${borrowerName}${queuedNote(isOffline())}`,
+          'success',
+        );
+        await saveDeposit(deposit, {
+          items: checkedOut,
+          borrowerName,
+          borrowerId,
+          clientId,
+          project,
+        });
+      } else {
+        discardAgreement(agreement);
+      }
+      if (conflicts.length) {
+        addToast(`Not checked out: ${conflicts.join('; ')}`, 'warning');
       }
       if (failed.length) {
         addToast(`Failed to check out: ${failed.join(', ')}`, 'error');
       }
       closeModal();
-      return { done, failed };
+      return { done, failed, conflicts };
     },
     [
       currentUser,
       selectedItem,
       setSelectedItem,
+      adoptConflictSelection,
+      saveAgreement,
+      discardAgreement,
+      saveDeposit,
+      recordReadinessOverride,
       closeModal,
       addAuditLog,
       addChangeLog,
@@ -146,37 +426,341 @@ export function useCheckoutHandlers({
   const openCheckinModal = useCallback(
     (id) => {
       const item = inventory.find((i) => i.id === id);
-      if (item) {
-        setCheckinItemData(item);
-        openModal(MODALS.CHECK_IN);
+      if (!item) return;
+      // Units come back per borrower; a whole-row check-in would wipe out
+      // every other borrower's outstanding count
+      if (isQuantityTracked(item, dataContext?.categorySettings)) {
+        addToast(`Return ${item.name} units from its Outstanding list`, 'info');
+        return;
       }
+      setCheckinItemData(item);
+      openModal(MODALS.CHECK_IN);
+    },
+    [inventory, openModal, dataContext, addToast],
+  );
+
+  const openQuantityReturnModal = useCallback(
+    (checkout) => {
+      const item = inventory.find((i) => i.id === checkout?.itemId);
+      if (!item) return;
+      setQuantityReturn({ item, checkout });
+      openModal(MODALS.QUANTITY_RETURN);
     },
     [inventory, openModal],
   );
 
+  // Quantity-tracked checkout: units leave the shelf for one borrower, or
+  // (consume) are used up outright. Unlike a serialized item, a conflict
+  // here is usually "fewer on hand than asked" — the modal stays open on
+  // the fresh stock so the operator can lower the count.
+  const processQuantityCheckout = useCallback(
+    async (checkoutData) => {
+      const {
+        itemId,
+        quantity,
+        consume,
+        borrowerName,
+        borrowerEmail,
+        borrowerId,
+        clientId,
+        clientName,
+        project,
+        dueDate,
+        checkedOutDate,
+        signature,
+        attachAgreement,
+        readinessOverride,
+        deposit,
+      } = checkoutData;
+      const name = checkoutItem?.name || itemId;
+
+      const agreement = await saveAgreement({
+        kind: AGREEMENT_KINDS.CHECKOUT,
+        signature,
+        signerName: borrowerName,
+        clientId: clientId || null,
+        clientName: clientName || null,
+        project,
+        dueBack: dueDate,
+        lines: [agreementLine(checkoutItem || { id: itemId }, { quantity })],
+      });
+      if (agreement === false) return;
+
+      const borrowerUserId =
+        accountUserId(dataContext?.borrowers, borrowerId) ||
+        resolveBorrowerUserId({
+          borrowerName,
+          borrowerEmail,
+          clientId: clientId || null,
+          users: dataContext?.users,
+          currentUser,
+        });
+      let result;
+      try {
+        result = await dataContext.checkOutItemQuantity(itemId, {
+          quantity,
+          consume,
+          userId: borrowerUserId,
+          userName: borrowerName,
+          clientId: clientId || null,
+          clientName: clientName || null,
+          project,
+          dueBack: dueDate,
+          ...(borrowerId && { borrowerId }),
+          ...(agreement && { agreementId: agreement.id }),
+        });
+      } catch (err) {
+        discardAgreement(agreement);
+        if (err instanceof CheckoutConflictError) {
+          adoptConflictSelection(err);
+          addToast(describeCheckoutConflict(err, name), 'warning');
+          if (err.item) {
+            setCheckoutItem((prev) => (prev ? { ...prev, ...err.item } : prev));
+          } else {
+            closeModal();
+            setCheckoutItem(null);
+          }
+          return;
+        }
+        logError('Quantity checkout failed:', err);
+        addToast('Checkout failed: ' + (err.message || 'Please try again.'), 'error');
+        return;
+      }
+
+      if (selectedItem?.id === itemId) {
+        setSelectedItem((prev) => ({
+          ...prev,
+          ...quantityFields(result.item),
+          quantityCheckouts: result.checkout
+            ? [...(prev.quantityCheckouts || []), result.checkout]
+            : prev.quantityCheckouts,
+        }));
+      }
+
+      const verb = consume ? 'consumed by' : 'checked out to';
+      addAuditLog({
+        type: 'item_checkout',
+        description: `${quantity} × ${name} ${verb} ${borrowerName}`,
+        user: currentUser?.name || 'Unknown',
+        itemId,
+      });
+      recordReadinessOverride(readinessOverride, [{ id: itemId, name }], borrowerName);
+      addChangeLog({
+        type: 'checkout',
+        itemId,
+        itemType: 'item',
+        itemName: name,
+        description: `${quantity} ${verb} ${borrowerName}${project ? ` for ${project}` : ''}`,
+        changes: consume
+          ? [
+              {
+                field: 'quantity',
+                oldValue: checkoutItem?.quantity,
+                newValue: result.item?.quantity,
+              },
+            ]
+          : [
+              {
+                field: 'quantityOut',
+                oldValue: checkoutItem?.quantityOut || 0,
+                newValue: result.item?.quantityOut,
+              },
+              { field: 'checkedOutTo', newValue: borrowerName },
+              { field: 'dueBack', newValue: dueDate },
+            ],
+      });
+
+      if (!consume && borrowerEmail && dataContext?.sendCheckoutEmail) {
+        dataContext
+          .sendCheckoutEmail({
+            borrowerEmail,
+            borrowerName,
+            item: checkoutItem || { id: itemId, name: itemId },
+            checkoutDate: checkedOutDate,
+            dueDate,
+            project,
+            companyName: companyNameFor(currentUser),
+            ...(attachAgreement && agreement && { agreementId: agreement.id }),
+          })
+          .then((result) => reportEmailResult('Checkout confirmation', result))
+          .catch((err) => logError('Email send failed:', err));
+      }
+
+      addToast(`${quantity} × ${name} ${verb} ${borrowerName}`, 'success');
+      // Units by count leave a deposit nothing to cover; saveDeposit warns
+      await saveDeposit(deposit, { items: [], borrowerName });
+      closeModal();
+      setCheckoutItem(null);
+    },
+    [
+      currentUser,
+      selectedItem,
+      setSelectedItem,
+      checkoutItem,
+      adoptConflictSelection,
+      saveAgreement,
+      discardAgreement,
+      saveDeposit,
+      recordReadinessOverride,
+      reportEmailResult,
+      closeModal,
+      addAuditLog,
+      addChangeLog,
+      addToast,
+      dataContext,
+    ],
+  );
+
+  // Settle one borrower's units: some back on the shelf, some used up
+  const processQuantityReturn = useCallback(
+    async ({ checkoutId, itemId, returned, consumed, notes }) => {
+      const name = quantityReturn?.item?.name || itemId;
+      const borrowerName = quantityReturn?.checkout?.borrowerName || 'borrower';
+      const returnedBy = currentUser?.name || currentUser?.email?.split('@')[0] || borrowerName;
+      let result;
+      try {
+        result = await dataContext.returnItemQuantity(checkoutId, {
+          itemId,
+          returned,
+          consumed,
+          userId: currentUser?.id,
+          userName: returnedBy,
+          notes,
+        });
+      } catch (err) {
+        if (err instanceof CheckoutConflictError) {
+          // The outstanding count moved under us — re-read who holds what
+          adoptConflictSelection(err);
+          addToast(describeCheckoutConflict(err, name), 'warning');
+          closeModal();
+          setQuantityReturn(null);
+          dataContext
+            .getItemWithDetails(itemId)
+            .then((fresh) => {
+              if (!fresh) return;
+              setSelectedItem((prev) =>
+                prev?.id === itemId
+                  ? { ...prev, quantityCheckouts: fresh.quantityCheckouts || [] }
+                  : prev,
+              );
+            })
+            .catch((e) => logError('Failed to refresh outstanding units:', e));
+          return;
+        }
+        logError('Quantity return failed:', err);
+        addToast('Return failed: ' + (err.message || 'Please try again.'), 'error');
+        return;
+      }
+
+      if (selectedItem?.id === itemId) {
+        setSelectedItem((prev) => ({
+          ...prev,
+          ...quantityFields(result.item),
+          quantityCheckouts: result.checkout
+            ? (prev.quantityCheckouts || []).map((c) => (c.id === checkoutId ? result.checkout : c))
+            : (prev.quantityCheckouts || []).filter((c) => c.id !== checkoutId),
+        }));
+      }
+
+      const parts = [];
+      if (returned > 0) parts.push(`${returned} returned`);
+      if (consumed > 0) parts.push(`${consumed} consumed`);
+      const summary = `${name}: ${parts.join(', ')} (${borrowerName})`;
+      addAuditLog({
+        type: 'item_checkin',
+        description: summary,
+        user: currentUser?.name || 'Unknown',
+        itemId,
+      });
+      addChangeLog({
+        type: 'checkin',
+        itemId,
+        itemType: 'item',
+        itemName: name,
+        description: `${parts.join(', ')} from ${borrowerName}`,
+        changes: [
+          {
+            field: 'quantityOut',
+            oldValue: quantityReturn?.item?.quantityOut,
+            newValue: result.item?.quantityOut,
+          },
+          ...(consumed > 0
+            ? [
+                {
+                  field: 'quantity',
+                  oldValue: quantityReturn?.item?.quantity,
+                  newValue: result.item?.quantity,
+                },
+              ]
+            : []),
+        ],
+      });
+
+      addToast(summary, 'success');
+      closeModal();
+      setQuantityReturn(null);
+    },
+    [
+      currentUser,
+      selectedItem,
+      setSelectedItem,
+      quantityReturn,
+      adoptConflictSelection,
+      closeModal,
+      addAuditLog,
+      addChangeLog,
+      addToast,
+      dataContext,
+    ],
+  );
+
   const processCheckout = useCallback(
     async (checkoutData) => {
       const {
         itemId,
         borrowerName,
         borrowerEmail,
+        borrowerId,
         clientId,
         clientName,
         project,
         projectType,
         dueDate,
         checkedOutDate,
+        signature,
+        attachAgreement,
+        readinessOverride,
+        deposit,
       } = checkoutData;
 
+      // The modal only sends a quantity for quantity-tracked items
+      if (checkoutData.quantity) {
+        await processQuantityCheckout(checkoutData);
+        return;
+      }
+
       // The borrower as a SIMS user (typed name/email matches a user) — never
       // the operator, which sent due-date reminders to whoever clicked Check Out
-      const borrowerUserId = resolveBorrowerUserId({
-        borrowerName,
-        borrowerEmail,
+      const borrowerUserId =
+        accountUserId(dataContext?.borrowers, borrowerId) ||
+        resolveBorrowerUserId({
+          borrowerName,
+          borrowerEmail,
+          clientId: clientId || null,
+          users: dataContext?.users,
+          currentUser,
+        });
+      const agreement = await saveAgreement({
+        kind: AGREEMENT_KINDS.CHECKOUT,
+        signature,
+        signerName: borrowerName,
         clientId: clientId || null,
-        users: dataContext?.users,
-        currentUser,
+        clientName: clientName || null,
+        project,
+        dueBack: dueDate,
+        lines: [agreementLine(checkoutItem || { id: itemId })],
       });
+      if (agreement === false) return;
       try {
         await dataContext.checkOutItem(itemId, {
           userId: borrowerUserId,
@@ -185,8 +769,20 @@ export function useCheckoutHandlers({
           clientName: clientName || null,
           project: project,
           dueBack: dueDate,
+          ...(borrowerId && { borrowerId }),
+          ...(agreement && { agreementId: agreement.id }),
         });
       } catch (err) {
+        discardAgreement(agreement);
+        // A lost race is final — retrying the same form cannot succeed, so
+        // explain who has the item and close instead of leaving a dead form
+        if (err instanceof CheckoutConflictError) {
+          adoptConflictSelection(err);
+          addToast(describeCheckoutConflict(err, checkoutItem?.name), 'warning');
+          closeModal();
+          setCheckoutItem(null);
+          return;
+        }
         // Keep the modal open with the form intact — closing it here made a
         // failed checkout look like a dead button with the item unchanged
         logError('Checkout process failed:', err);
@@ -200,6 +796,7 @@ export function useCheckoutHandlers({
           status: STATUS.CHECKED_OUT,
           checkedOutTo: borrowerName,
           checkedOutToUserId: currentUser?.id || null,
+          checkedOutToBorrowerId: borrowerId || null,
           checkedOutDate: checkedOutDate,
           dueBack: dueDate,
           checkoutProject: project,
@@ -215,6 +812,11 @@ export function useCheckoutHandlers({
         user: currentUser?.name || 'Unknown',
         itemId: itemId,
       });
+      recordReadinessOverride(
+        readinessOverride,
+        [{ id: itemId, name: checkoutItem?.name }],
+        borrowerName,
+      );
 
       addChangeLog({
         type: 'checkout',
@@ -229,7 +831,8 @@ export function useCheckoutHandlers({
         ],
       });
 
-      if (borrowerEmail && dataContext?.sendCheckoutEmail) {
+      const queued = isOffline();
+      if (borrowerEmail && !queued && dataContext?.sendCheckoutEmail) {
         dataContext
           .sendCheckoutEmail({
             borrowerEmail,
@@ -239,12 +842,23 @@ export function useCheckoutHandlers({
             dueDate,
             project,
             companyName: companyNameFor(currentUser),
+            ...(attachAgreement && agreement && { agreementId: agreement.id }),
           })
           .then((result) => reportEmailResult('Checkout confirmation', result))
           .catch((err) => logError('Email send failed:', err));
       }
 
-      addToast(`${checkoutItem?.name || 'Item'} checked out to ${borrowerName}`, 'success');
+      addToast(
+        `${checkoutItem?.name || 'Item'} checked out to ${borrowerName}${queuedNote(queued)}`,
+        'success',
+      );
+      await saveDeposit(deposit, {
+        items: [checkoutItem || { id: itemId }],
+        borrowerName,
+        borrowerId,
+        clientId,
+        project,
+      });
 
       closeModal();
       setCheckoutItem(null);
@@ -254,6 +868,12 @@ export function useCheckoutHandlers({
       selectedItem,
       setSelectedItem,
       checkoutItem,
+      processQuantityCheckout,
+      adoptConflictSelection,
+      saveAgreement,
+      discardAgreement,
+      saveDeposit,
+      recordReadinessOverride,
       reportEmailResult,
       closeModal,
       addAuditLog,
@@ -276,6 +896,10 @@ export function useCheckoutHandlers({
         damageReported,
         damageDescription,
         returnDate,
+        signature,
+        signerName,
+        deposit,
+        depositSettlement,
       } = checkinData;
 
       const currentItem = inventory.find((i) => i.id === itemId);
@@ -291,6 +915,16 @@ export function useCheckoutHandlers({
       const borrowerName = currentItem?.checkedOutTo;
       const checkoutClientId = currentItem?.checkoutClientId;
 
+      const agreement = await saveAgreement({
+        kind: AGREEMENT_KINDS.CHECKIN,
+        signature,
+        signerName: signerName || borrowerName || returnedBy,
+        clientId: checkoutClientId || null,
+        project: currentItem?.checkoutProject || '',
+        lines: [agreementLine(currentItem || { id: itemId }, { condition })],
+      });
+      if (agreement === false) return;
+
       try {
         await dataContext.checkInItem(itemId, {
           returnedBy,
@@ -301,8 +935,17 @@ export function useCheckoutHandlers({
           damageReported,
           damageDescription,
           returnStatus: hasReservationToday ? STATUS.RESERVED : undefined,
+          ...(agreement && { agreementId: agreement.id }),
         });
       } catch (err) {
+        discardAgreement(agreement);
+        if (err instanceof CheckoutConflictError) {
+          adoptConflictSelection(err);
+          addToast(describeCheckoutConflict(err, checkinItemData?.name), 'warning');
+          closeModal();
+          setCheckinItemData(null);
+          return;
+        }
         // Keep the modal open with the notes/damage description intact —
         // closing it here made a failed check-in look like a dead button
         // and threw away everything the user typed
@@ -356,15 +999,16 @@ export function useCheckoutHandlers({
       // and the email silently never sent. Resolve the recipient the way
       // checkout derived it: the linked client first, then a user record
       // matching the borrower's name.
+      const queued = isOffline();
       let borrowerEmail = null;
-      if (checkoutClientId && dataContext?.getClientById) {
+      if (!queued && checkoutClientId && dataContext?.getClientById) {
         borrowerEmail = (await dataContext.getClientById(checkoutClientId))?.email || null;
       }
       if (!borrowerEmail && borrowerName) {
         borrowerEmail =
           (dataContext?.users || []).find((u) => u.name === borrowerName)?.email || null;
       }
-      if (borrowerEmail && dataContext?.sendCheckinEmail) {
+      if (borrowerEmail && !queued && dataContext?.sendCheckinEmail) {
         dataContext
           .sendCheckinEmail({
             borrowerEmail,
@@ -379,7 +1023,7 @@ export function useCheckoutHandlers({
 
       // Damage reports go to every admin (each admin's own "Damage reports"
       // toggle is applied server-side)
-      if (damageReported && dataContext?.sendDamageReportEmail) {
+      if (damageReported && !queued && dataContext?.sendDamageReportEmail) {
         const admins = (dataContext.users || []).filter((u) => u.roleId === 'role_admin' && u.email);
         if (admins.length) {
           dataContext
@@ -397,7 +1041,11 @@ export function useCheckoutHandlers({
         }
       }
 
-      addToast(`${checkinItemData?.name || 'Item'} checked in successfully`, 'success');
+      addToast(
+        `${checkinItemData?.name || 'Item'} checked in successfully${queuedNote(queued)}`,
+        'success',
+      );
+      await settleHeldDeposit(deposit, depositSettlement);
       closeModal();
       setCheckinItemData(null);
 
@@ -422,6 +1070,10 @@ export function useCheckoutHandlers({
       selectedItem,
       setSelectedItem,
       checkinItemData,
+      adoptConflictSelection,
+      saveAgreement,
+      discardAgreement,
+      settleHeldDeposit,
       reportEmailResult,
       closeModal,
       openModal,
@@ -441,11 +1093,16 @@ export function useCheckoutHandlers({
     async ({ itemIds, returnNotes = '' }) => {
       const returnedBy =
         currentUser?.name || currentUser?.email?.split('@')[0] || 'Unknown';
+      // Quantity-tracked items are settled per borrower, not by row
       const targets = inventory.filter(
-        (i) => itemIds.includes(i.id) && i.status === STATUS.CHECKED_OUT,
+        (i) =>
+          itemIds.includes(i.id) &&
+          i.status === STATUS.CHECKED_OUT &&
+          !isQuantityTracked(i, dataContext?.categorySettings),
       );
       let done = 0;
       const failed = [];
+      const conflicts = [];
       for (const target of targets) {
         const hasReservationToday = hasActiveReservation(target, getTodayISO());
         try {
@@ -460,6 +1117,11 @@ export function useCheckoutHandlers({
             returnStatus: hasReservationToday ? STATUS.RESERVED : undefined,
           });
         } catch (err) {
+          if (err instanceof CheckoutConflictError) {
+            adoptConflictSelection(err);
+            conflicts.push(describeCheckoutConflict(err, target.name));
+            continue;
+          }
           logError('Bulk check-in failed for', target.id, err);
           failed.push(target.name || target.id);
           continue;
@@ -496,15 +1158,22 @@ export function useCheckoutHandlers({
           }));
         }
       }
-      if (done) addToast(`${done} item${done === 1 ? '' : 's'} checked in`, 'success');
+      if (done) {
+        addToast(
+          `${done} item${done === 1 ? '' : 's'} checked in${queuedNote(isOffline())}`,
+          'success',
+        );
+      }
+      if (conflicts.length) addToast(`Not checked in: ${conflicts.join('; ')}`, 'warning');
       if (failed.length) addToast(`Failed to check in: ${failed.join(', ')}`, 'error');
       closeModal();
-      return { done, failed };
+      return { done, failed, conflicts };
     },
     [
       currentUser,
       selectedItem,
       setSelectedItem,
+      adoptConflictSelection,
       closeModal,
       addAuditLog,
       addChangeLog,
@@ -719,13 +1388,17 @@ export function useCheckoutHandlers({
     // Checkout state
     checkoutItem,
     checkinItemData,
+    quantityReturn,
     // Checkout handlers
     openCheckoutModal,
     openCheckinModal,
+    openQuantityReturnModal,
     processCheckout,
     processBatchCheckout,
     processCheckin,
     processBatchCheckin,
+    processQuantityReturn,
+    printAgreement,
     // Maintenance state
     maintenanceItem,
     setMaintenanceItem,
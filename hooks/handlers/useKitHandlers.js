@@ -8,6 +8,7 @@
 import { useCallback } from 'react';
 import { error as logError } from '../../lib/logger.js';
 import { useToast } from '../../contexts/ToastContext.js';
+import { revisionFieldLabel } from '../../lib/itemRevisions.js';
 
 export function useKitHandlers({
   inventory,
@@ -303,6 +304,47 @@ export function useKitHandlers({
     [inventory, selectedItem, setSelectedItem, addChangeLog, dataContext, addToast],
   );
 
+  // ---- Revision history ----
+  // Puts fields back to an earlier value from ItemDetail's Revision History.
+  // The patch comes from buildRevertPatch (one field, plus the paired
+  // location column); the write itself files a new revision, so a revert is
+  // as visible — and as revertible — as the edit it undoes.
+
+  const revertItemFields = useCallback(
+    async (itemId, patch) => {
+      const targetItem = inventory.find((i) => i.id === itemId);
+      const fields = Object.keys(patch || {});
+      if (!targetItem || fields.length === 0) return false;
+
+      try {
+        await dataContext.updateItem(itemId, patch);
+      } catch (err) {
+        logError('Failed to revert item field:', err);
+        addToast('Could not revert the change. Please try again.', 'error');
+        return false;
+      }
+
+      if (selectedItem?.id === itemId) {
+        setSelectedItem((prev) => ({ ...prev, ...patch }));
+      }
+
+      addChangeLog({
+        type: 'updated',
+        itemId,
+        itemType: 'item',
+        itemName: targetItem.name,
+        description: `Reverted ${fields.map(revisionFieldLabel).join(', ')} from revision history`,
+        changes: fields.map((field) => ({
+          field,
+          oldValue: targetItem[field] ?? null,
+          newValue: patch[field],
+        })),
+      });
+      return true;
+    },
+    [inventory, selectedItem, setSelectedItem, addChangeLog, dataContext, addToast],
+  );
+
   // ---- Image ----
 
   const selectImage = useCallback(
@@ -352,6 +394,7 @@ export function useKitHandlers({
     removeRequiredAccessory,
     updateItemValue,
     setLowStockAlert,
+    revertItemFields,
     selectImage,
   };
 }
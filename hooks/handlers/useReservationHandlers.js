@@ -3,8 +3,27 @@
 // Extracted from App.jsx — manages reservation CRUD flows
 // ============================================================================
 import { useCallback } from 'react';
-import { VIEWS, MODALS } from '../../constants.js';
-import { generateId, formatPhoneNumber, getTodayISO, hasActiveReservation } from '../../utils';
+import {
+  VIEWS,
+  MODALS,
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_LABELS,
+  RESERVATION_STATUS_TRANSITIONS,
+  HOLD_DEFAULT_HOURS,
+  SERIES_EDIT_SCOPE,
+} from '../../constants.js';
+import {
+  generateId,
+  formatPhoneNumber,
+  getTodayISO,
+  hasActiveReservation,
+  holdExpiryFrom,
+  reservationStage,
+  getAllReservationConflicts,
+  recurrenceOccurrences,
+  seriesOccurrences,
+  shiftSeriesOccurrences,
+} from '../../utils';
 import { error as logError } from '../../lib/logger.js';
 import { companyNameFor } from '../../lib/emailTemplates.js';
 import { useToast } from '../../contexts/ToastContext.js';
@@ -56,19 +75,22 @@ export function useReservationHandlers({
     [inventory, dataContext],
   );
 
-  const saveReservation = useCallback(async () => {
-    if (editingReservationId) {
+  // Apply an edit form to one reservation group: one UPDATE for every row,
+  // per-row unit counts, then added items get rows and removed items have
+  // theirs cancelled. Returns the group's item count, or null when the update
+  // failed and nothing changed.
+  const editReservationGroup = useCallback(
+    async (original, reservationId, form) => {
       // Collect every row of this reservation group. Rows created together
       // share group_id; legacy rows (NULL group_id) fall back to matching the
-      // ORIGINAL project+dates — from selectedReservation, never the edited
+      // ORIGINAL project+dates — from the row as loaded, never the edited
       // form values. Editing must update the whole group: updating only the
       // first row silently split multi-item reservations.
-      const original = selectedReservation || {};
       const relatedByItem = new Map(); // itemId -> reservations of that item in this group
       inventory.forEach((invItem) => {
         (invItem.reservations || []).forEach((r) => {
           const inGroup =
-            r.id === editingReservationId ||
+            r.id === reservationId ||
             (original.groupId
               ? r.groupId === original.groupId
               : r.project === original.project &&
@@ -81,23 +103,45 @@ export function useReservationHandlers({
         });
       });
       const rowIds = [...new Set([...relatedByItem.values()].flat())];
-      if (rowIds.length === 0) rowIds.push(editingReservationId);
+      if (rowIds.length === 0) rowIds.push(reservationId);
+
+      // Unit counts differ per row (pooled items), so they can't ride the
+      // group-wide UPDATE — collect the rows whose count actually changed
+      const quantityByRow = new Map();
+      relatedByItem.forEach((ids, itemId) => {
+        const desired = form.quantities?.[itemId];
+        if (!desired) return;
+        const rows = inventory.find((i) => i.id === itemId)?.reservations || [];
+        rows
+          .filter((r) => ids.includes(r.id) && (r.quantity || 1) !== desired)
+          .forEach((r) => quantityByRow.set(r.id, desired));
+      });
 
       try {
         // Single UPDATE ... IN (ids) — the whole group changes or none of it
-        await dataContext.updateReservationRows(rowIds, reservationForm);
+        await dataContext.updateReservationRows(rowIds, form);
+        for (const [rowId, quantity] of quantityByRow) {
+          await dataContext.updateReservation(rowId, { quantity });
+        }
       } catch (err) {
         // Leave local state untouched — patching it would show an update
         // that never landed
         logError('Failed to update reservation:', err);
         addToast('Failed to update reservation: ' + (err.message || 'Please try again.'), 'error');
-        return;
+        return null;
       }
 
       // Merge the form over each affected row so non-form fields (notes,
       // groupId, clientId) survive locally
       const applyForm = (r) =>
-        rowIds.includes(r.id) ? { ...r, ...reservationForm, dueBack: reservationForm.end } : r;
+        rowIds.includes(r.id)
+          ? {
+              ...r,
+              ...form,
+              quantity: quantityByRow.get(r.id) || r.quantity,
+              dueBack: form.end,
+            }
+          : r;
       dataContext.mapInventory((invItem) =>
         relatedByItem.has(invItem.id)
           ? { ...invItem, reservations: (invItem.reservations || []).map(applyForm) }
@@ -109,9 +153,6 @@ export function useReservationHandlers({
           reservations: (prev.reservations || []).map(applyForm),
         }));
       }
-      setSelectedReservation((prev) =>
-        prev ? { ...prev, ...reservationForm, dueBack: reservationForm.end } : prev,
-      );
 
       // Date moves can start or stop covering today
       for (const affectedItemId of relatedByItem.keys()) {
@@ -126,24 +167,42 @@ export function useReservationHandlers({
       // rows in the same group; removed items get their rows CANCELLED (not
       // hard-deleted) so history survives.
       const currentIds = [...relatedByItem.keys()];
-      const desiredIds = reservationForm.itemIds?.length ? reservationForm.itemIds : currentIds;
+      const desiredIds = form.itemIds?.length ? form.itemIds : currentIds;
       const toAdd = desiredIds.filter((id) => !currentIds.includes(id));
       const toRemove = currentIds.filter((id) => !desiredIds.includes(id));
 
+      // Added items join at the stage the rest of the group is still in —
+      // a held job stays a hold, and nothing new starts out 'out'
+      const openRow = inventory
+        .flatMap((invItem) => invItem.reservations || [])
+        .find((r) => rowIds.includes(r.id) && RESERVATION_STATUS_TRANSITIONS[reservationStage(r)]);
+      const addedStage = openRow
+        ? { status: reservationStage(openRow), holdExpiresAt: openRow.holdExpiresAt || null }
+        : { status: RESERVATION_STATUS.CONFIRMED, holdExpiresAt: null };
+
       for (const targetItemId of toAdd) {
         const targetItem = inventory.find((i) => i.id === targetItemId);
         if (!targetItem) continue;
+        const quantity = form.quantities?.[targetItemId] || 1;
         const newRow = {
           id: generateId(),
-          ...reservationForm,
+          ...form,
+          ...addedStage,
+          quantity,
           groupId: original.groupId || null,
+          seriesId: original.seriesId || null,
+          recurrence: original.recurrence || null,
           notes: [],
-          dueBack: reservationForm.end,
+          dueBack: form.end,
         };
         try {
           const dbResult = await dataContext.createReservation(targetItemId, {
-            ...reservationForm,
+            ...form,
+            ...addedStage,
+            quantity,
             groupId: original.groupId || null,
+            seriesId: original.seriesId || null,
+            recurrence: original.recurrence || null,
             createdById: currentUser?.id || null,
             createdByName: currentUser?.name || null,
           });
@@ -196,8 +255,51 @@ export function useReservationHandlers({
         await reconcileItemReservedStatus(removeItemId, remaining);
       }
 
-      const groupSize = relatedByItem.size || 1;
-      const groupSuffix = groupSize > 1 ? ` (${groupSize} items)` : '';
+      return relatedByItem.size || 1;
+    },
+    [
+      inventory,
+      dataContext,
+      addToast,
+      currentUser,
+      selectedItem,
+      setSelectedItem,
+      reconcileItemReservedStatus,
+    ],
+  );
+
+  const saveReservation = useCallback(async () => {
+    if (editingReservationId) {
+      const { seriesScope = SERIES_EDIT_SCOPE.ONE, ...form } = reservationForm;
+      const original = selectedReservation || {};
+      const groupSize = await editReservationGroup(original, editingReservationId, form);
+      if (groupSize === null) return;
+      setSelectedReservation((prev) => (prev ? { ...prev, ...form, dueBack: form.end } : prev));
+
+      // A series edit moves the other occurrences by the same number of days
+      // and applies the same details and items. Occurrences that are out or
+      // back already are history and stay as they were.
+      let seriesUpdated = 0;
+      if (seriesScope === SERIES_EDIT_SCOPE.SERIES && original.seriesId) {
+        const others = seriesOccurrences(inventory, original.seriesId).filter(
+          (occurrence) =>
+            occurrence.groupId !== (original.groupId || original.id) &&
+            occurrence.rows.some((r) => RESERVATION_STATUS_TRANSITIONS[reservationStage(r)]),
+        );
+        for (const occurrence of shiftSeriesOccurrences(original, form, others)) {
+          const [row] = occurrence.rows;
+          const updated = await editReservationGroup(row, row.id, {
+            ...form,
+            start: occurrence.start,
+            end: occurrence.end,
+          });
+          if (updated !== null) seriesUpdated++;
+        }
+      }
+
+      const groupSuffix =
+        (groupSize > 1 ? ` (${groupSize} items)` : '') +
+        (seriesUpdated > 0 ? ` and ${seriesUpdated} more dates in the series` : '');
       addChangeLog({
         type: 'updated',
         itemId: selectedReservationItem?.id,
@@ -232,93 +334,120 @@ export function useReservationHandlers({
         return;
       }
 
-      // One shared group id for every row created by this save — this is
-      // what lets edit/cancel treat them as a single reservation later
-      const groupId =
+      // A repeating booking saves one reservation group per date; the groups
+      // share a series id so a later edit can reach all of them
+      const occurrences = recurrenceOccurrences(
+        reservationForm.start,
+        reservationForm.end,
+        reservationForm.recurrence,
+      );
+      const newUuid = () =>
         typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : null;
+      const seriesId = occurrences.length > 1 ? newUuid() : null;
 
-      const rowPayload = {
-        ...reservationForm,
-        groupId,
-        createdById: currentUser?.id || null,
-        createdByName: currentUser?.name || null,
-      };
+      // A hold's clock starts when it is saved
+      const status = reservationForm.status || RESERVATION_STATUS.CONFIRMED;
+      const holdExpiresAt =
+        status === RESERVATION_STATUS.HOLD ? holdExpiryFrom(reservationForm.holdHours) : null;
 
       let firstCreatedReservation = null;
       let createdCount = 0;
       const createdItems = [];
       const createdReservationIds = [];
-      for (const targetItemId of itemIds) {
-        const targetItem = inventory.find((i) => i.id === targetItemId);
-        if (!targetItem) {
-          logError('Item not found:', targetItemId);
-          continue;
-        }
-
-        const reservation = {
-          id: generateId(),
+      for (const [index, occurrence] of occurrences.entries()) {
+        // One shared group id for every row of a date — this is what lets
+        // edit/cancel treat them as a single reservation later
+        const rowPayload = {
           ...reservationForm,
-          groupId,
-          notes: [],
-          dueBack: reservationForm.end,
+          ...occurrence,
+          status,
+          holdExpiresAt,
+          groupId: newUuid(),
+          seriesId,
+          recurrence: seriesId ? reservationForm.recurrence : null,
+          createdById: currentUser?.id || null,
+          createdByName: currentUser?.name || null,
         };
 
-        try {
-          const dbResult = await dataContext.createReservation(targetItemId, rowPayload);
-          if (dbResult?.id) {
-            reservation.id = dbResult.id;
+        for (const targetItemId of itemIds) {
+          const targetItem = inventory.find((i) => i.id === targetItemId);
+          if (!targetItem) {
+            logError('Item not found:', targetItemId);
+            continue;
           }
-        } catch (err) {
-          // Skip local injection entirely — a ghost reservation here would
-          // block real bookings until reload while not existing server-side
-          logError('Failed to create reservation for', targetItemId, err);
-          addToast(
-            `Failed to reserve ${targetItem.name}: ` + (err.message || 'Please try again.'),
-            'error',
-          );
-          continue;
-        }
 
-        createdCount++;
-        createdItems.push(targetItem);
-        createdReservationIds.push(reservation.id);
-        if (!firstCreatedReservation) {
-          firstCreatedReservation = { reservation, item: targetItem };
-        }
+          // Pooled items book a unit count; everything else holds its one row
+          const quantity = reservationForm.quantities?.[targetItemId] || 1;
+          const reservation = {
+            id: generateId(),
+            ...rowPayload,
+            quantity,
+            notes: [],
+            dueBack: occurrence.end,
+          };
 
-        dataContext.patchInventoryItem(targetItemId, (item) => ({
-          reservations: [...(item.reservations || []), reservation],
-        }));
+          try {
+            const dbResult = await dataContext.createReservation(targetItemId, {
+              ...rowPayload,
+              quantity,
+            });
+            if (dbResult?.id) {
+              reservation.id = dbResult.id;
+            }
+          } catch (err) {
+            // Skip local injection entirely — a ghost reservation here would
+            // block real bookings until reload while not existing server-side
+            logError('Failed to create reservation for', targetItemId, err);
+            addToast(
+              `Failed to reserve ${targetItem.name}: ` + (err.message || 'Please try again.'),
+              'error',
+            );
+            continue;
+          }
 
-        if (selectedItem?.id === targetItemId) {
-          setSelectedItem((prev) => ({
-            ...prev,
-            reservations: [...(prev.reservations || []), reservation],
+          createdCount++;
+          if (index === 0) {
+            createdItems.push(targetItem);
+            createdReservationIds.push(reservation.id);
+          }
+          if (!firstCreatedReservation) {
+            firstCreatedReservation = { reservation, item: targetItem };
+          }
+
+          dataContext.patchInventoryItem(targetItemId, (item) => ({
+            reservations: [...(item.reservations || []), reservation],
           }));
-        }
 
-        // A reservation starting today makes an available item 'reserved'
-        // (the service no longer does this blindly — it used to clobber
-        // checked-out items too)
-        await reconcileItemReservedStatus(targetItemId, [
-          ...(targetItem.reservations || []),
-          reservation,
-        ]);
+          if (selectedItem?.id === targetItemId) {
+            setSelectedItem((prev) => ({
+              ...prev,
+              reservations: [...(prev.reservations || []), reservation],
+            }));
+          }
 
-        addChangeLog({
-          type: 'reservation_added',
-          itemId: targetItemId,
-          itemType: 'item',
-          itemName: targetItem.name,
-          description: `New reservation: ${reservationForm.project} (${reservationForm.start} - ${reservationForm.end})`,
-          changes: [{ field: 'reservation', newValue: reservationForm.project }],
-        });
-        addAuditLog?.({
-          type: 'reservation_created',
-          description: `Created reservation: ${reservationForm.project} for ${targetItem.name}`,
-          itemId: targetItemId,
-          user: currentUser?.name || 'Unknown',
-        });
+          // A reservation starting today makes an available item 'reserved'
+          // (the service no longer does this blindly — it used to clobber
+          // checked-out items too)
+          await reconcileItemReservedStatus(targetItemId, [
+            ...(targetItem.reservations || []),
+            reservation,
+          ]);
+
+          addChangeLog({
+            type: 'reservation_added',
+            itemId: targetItemId,
+            itemType: 'item',
+            itemName: targetItem.name,
+            description: `New reservation: ${reservationForm.project} (${occurrence.start} - ${occurrence.end})`,
+            changes: [{ field: 'reservation', newValue: reservationForm.project }],
+          });
+          addAuditLog?.({
+            type: 'reservation_created',
+            description: `Created reservation: ${reservationForm.project} for ${quantity > 1 ? `${quantity} × ${targetItem.name}` : targetItem.name}`,
+            itemId: targetItemId,
+            user: currentUser?.name || 'Unknown',
+          });
+        }
       }
 
       // Every insert failed: keep the modal open with the user's selections
@@ -392,6 +521,7 @@ export function useReservationHandlers({
     inventory,
     selectedReservation,
     reconcileItemReservedStatus,
+    editReservationGroup,
   ]);
 
   const openEditReservation = useCallback(
@@ -400,8 +530,9 @@ export function useReservationHandlers({
       // Seed the full group's items so edit mode can add/remove items —
       // same group matching as saveReservation (group_id, legacy fallback)
       const groupItemIds = [];
+      const quantities = {};
       inventory.forEach((invItem) => {
-        const inGroup = (invItem.reservations || []).some(
+        const groupRow = (invItem.reservations || []).find(
           (r) =>
             r.id === reservation.id ||
             (reservation.groupId
@@ -410,13 +541,19 @@ export function useReservationHandlers({
                 r.start === reservation.start &&
                 r.end === reservation.end),
         );
-        if (inGroup) groupItemIds.push(invItem.id);
+        if (groupRow) {
+          groupItemIds.push(invItem.id);
+          quantities[invItem.id] = groupRow.quantity || 1;
+        }
       });
       setReservationForm({
         project: reservation.project,
         projectType: reservation.projectType || 'Other',
         start: reservation.start,
         end: reservation.end,
+        // The time inputs take 'HH:MM'; Postgres hands back seconds too
+        startTime: (reservation.startTime || '').slice(0, 5),
+        endTime: (reservation.endTime || '').slice(0, 5),
         user: reservation.user,
         // Carry the client link — omitting it made the edit form show "no
         // client" for reservations that have one
@@ -426,6 +563,10 @@ export function useReservationHandlers({
         location: reservation.location || '',
         itemIds: groupItemIds,
         itemId: groupItemIds[0] || '',
+        quantities,
+        // Lets the modal ask whether the edit reaches the rest of the series
+        seriesId: reservation.seriesId || null,
+        seriesScope: SERIES_EDIT_SCOPE.ONE,
       });
       openModal(MODALS.ADD_RESERVATION);
     },
@@ -580,9 +721,139 @@ export function useReservationHandlers({
     ],
   );
 
+  // Move a reservation group along its lifecycle by hand: quote ↔ hold →
+  // confirmed (and back to hold). Rows already out or returned are left
+  // alone — checkout and check-in own those. Confirming re-checks the dates,
+  // since quotes and holds were never counted against other bookings.
+  const changeReservationStage = useCallback(
+    async (reservation, stage) => {
+      if (!reservation) return false;
+      const groupRows = [];
+      inventory.forEach((invItem) => {
+        (invItem.reservations || []).forEach((r) => {
+          const inGroup =
+            r.id === reservation.id ||
+            (reservation.groupId
+              ? r.groupId === reservation.groupId
+              : r.project === reservation.project &&
+                r.start === reservation.start &&
+                r.end === reservation.end);
+          if (inGroup && RESERVATION_STATUS_TRANSITIONS[reservationStage(r)]?.includes(stage)) {
+            groupRows.push({ item: invItem, row: r });
+          }
+        });
+      });
+      if (groupRows.length === 0) return false;
+      const rowIds = groupRows.map(({ row }) => row.id);
+      const label = RESERVATION_STATUS_LABELS[stage];
+
+      const apply = async () => {
+        const updates = {
+          status: stage,
+          holdExpiresAt:
+            stage === RESERVATION_STATUS.HOLD ? holdExpiryFrom(HOLD_DEFAULT_HOURS) : null,
+        };
+        try {
+          await dataContext.updateReservationRows(rowIds, updates);
+        } catch (err) {
+          logError('Failed to change reservation stage:', err);
+          addToast(`Could not move the reservation to ${label}. Please try again.`, 'error');
+          return false;
+        }
+
+        const applyStage = (r) => (rowIds.includes(r.id) ? { ...r, ...updates } : r);
+        const affectedItemIds = new Set(groupRows.map(({ item }) => item.id));
+        dataContext.mapInventory((invItem) =>
+          affectedItemIds.has(invItem.id)
+            ? { ...invItem, reservations: (invItem.reservations || []).map(applyStage) }
+            : invItem,
+        );
+        if (selectedItem && affectedItemIds.has(selectedItem.id)) {
+          setSelectedItem((prev) => ({
+            ...prev,
+            reservations: (prev.reservations || []).map(applyStage),
+          }));
+        }
+        setSelectedReservation((prev) =>
+          prev && (rowIds.includes(prev.id) || prev.groupId === reservation.groupId)
+            ? { ...prev, ...updates }
+            : prev,
+        );
+
+        // Confirming today's job reserves its gear; un-confirming frees it
+        for (const itemId of affectedItemIds) {
+          const invItem = inventory.find((i) => i.id === itemId);
+          await reconcileItemReservedStatus(itemId, (invItem?.reservations || []).map(applyStage));
+        }
+
+        const description = `Moved reservation to ${label}: ${reservation.project || 'Reservation'}`;
+        addChangeLog({
+          type: 'updated',
+          itemId: groupRows[0].item.id,
+          itemType: 'item',
+          itemName: groupRows.length > 1 ? `${groupRows.length} items` : groupRows[0].item.name,
+          description,
+          changes: [
+            { field: 'status', oldValue: reservationStage(groupRows[0].row), newValue: stage },
+          ],
+        });
+        addAuditLog?.({
+          type: 'reservation_updated',
+          description,
+          itemId: groupRows[0].item.id,
+          user: currentUser?.name || 'Unknown',
+        });
+        addToast(`Reservation moved to ${label}`, 'success');
+        return true;
+      };
+
+      if (stage === RESERVATION_STATUS.CONFIRMED) {
+        const clashing = groupRows
+          .filter(
+            ({ item, row }) =>
+              getAllReservationConflicts(item, row.start, row.end, row.id, {
+                quantity: row.quantity || 1,
+                startTime: row.startTime,
+                endTime: row.endTime,
+                categorySettings: dataContext.categorySettings,
+              }).hasConflicts,
+          )
+          .map(({ item }) => item.name || item.id);
+        if (clashing.length) {
+          return new Promise((resolve) => {
+            showConfirm({
+              title: 'Confirm Reservation',
+              message: `Already booked for these dates: ${clashing.join(', ')}. Confirm anyway?`,
+              confirmText: 'Confirm Anyway',
+              cancelText: 'Keep as is',
+              variant: 'warning',
+              onConfirm: async () => resolve(await apply()),
+              onCancel: () => resolve(false),
+            });
+          });
+        }
+      }
+      return apply();
+    },
+    [
+      inventory,
+      selectedItem,
+      setSelectedItem,
+      setSelectedReservation,
+      dataContext,
+      addChangeLog,
+      addAuditLog,
+      addToast,
+      currentUser,
+      showConfirm,
+      reconcileItemReservedStatus,
+    ],
+  );
+
   return {
     saveReservation,
     openEditReservation,
     deleteReservation,
+    changeReservationStage,
   };
 }
@@ -0,0 +1,50 @@
+// =============================================================================
+// useCheckoutReadiness — the readiness checks for the items in a checkout
+// modal. Everything but damage reports comes from loaded state; those are
+// fetched once per item set. A failed fetch (offline included) just leaves
+// the damage check out rather than holding the checkout.
+// =============================================================================
+
+import { useState, useEffect, useMemo } from 'react';
+import { evaluateReadiness } from '../lib/readiness.js';
+import { error as logError } from '../lib/logger.js';
+
+export function useCheckoutReadiness({
+  items,
+  inventory,
+  categorySettings,
+  borrowerName,
+  borrower = null,
+  loadDamageReports,
+}) {
+  const [damageReports, setDamageReports] = useState({});
+  const itemKey = items.map((i) => i.id).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!loadDamageReports || !itemKey) {
+      setDamageReports({});
+      return undefined;
+    }
+    loadDamageReports(itemKey.split(','))
+      .then((reports) => {
+        if (!cancelled) setDamageReports(reports || {});
+      })
+      .catch((err) => logError('Readiness: damage reports unavailable:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [itemKey, loadDamageReports]);
+
+  return useMemo(
+    () =>
+      evaluateReadiness({
+        items,
+        inventory,
+        categorySettings,
+        borrower: { name: borrowerName, id: borrower?.id, userId: borrower?.userId },
+        damageReports,
+      }),
+    [items, inventory, categorySettings, borrowerName, borrower, damageReports],
+  );
+}
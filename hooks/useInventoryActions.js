@@ -9,6 +9,7 @@ import { VIEWS, STATUS, MODALS, CATEGORY_PREFIXES } from '../constants.js';
 import { useToast } from '../contexts/ToastContext.js';
 import { error as logError } from '../lib/logger.js';
 import { inventoryService } from '../lib/services.js';
+import { parseRate } from '../lib/pricing.js';
 
 /**
  * Custom hook for inventory CRUD operations
@@ -129,6 +130,8 @@ export function useInventoryActions({
         status: STATUS.AVAILABLE,
         purchasePrice: Number(itemForm.purchasePrice) || 0,
         currentValue: Number(itemForm.currentValue) || Number(itemForm.purchasePrice) || 0,
+        dayRate: parseRate(itemForm.dayRate),
+        weekRate: parseRate(itemForm.weekRate),
         quantity: Number(itemForm.quantity) || 1,
         reorderPoint: Number(itemForm.reorderPoint) || 0,
         lowStockAlert: Boolean(itemForm.lowStockAlert),
@@ -225,6 +228,8 @@ export function useInventoryActions({
         specs: itemSpecs,
         purchasePrice: Number(itemForm.purchasePrice) || 0,
         currentValue: Number(itemForm.currentValue) || 0,
+        dayRate: parseRate(itemForm.dayRate),
+        weekRate: parseRate(itemForm.weekRate),
         quantity: Number(itemForm.quantity) || 1,
         reorderPoint: Number(itemForm.reorderPoint) || 0,
         lowStockAlert: Boolean(itemForm.lowStockAlert),
@@ -251,6 +256,8 @@ export function useInventoryActions({
           { key: 'serialNumber', label: 'serialNumber' },
           { key: 'purchasePrice', label: 'purchasePrice' },
           { key: 'currentValue', label: 'currentValue' },
+          { key: 'dayRate', label: 'dayRate' },
+          { key: 'weekRate', label: 'weekRate' },
           { key: 'purchaseDate', label: 'purchaseDate' },
           { key: 'quantity', label: 'quantity' },
           { key: 'reorderPoint', label: 'reorderPoint' },
@@ -659,6 +666,8 @@ export function useInventoryActions({
         purchaseDate: item.purchaseDate || '',
         purchasePrice: item.purchasePrice || '',
         currentValue: item.currentValue || '',
+        dayRate: item.dayRate ?? '',
+        weekRate: item.weekRate ?? '',
         serialNumber: item.serialNumber || '',
         condition: item.condition || 'Excellent',
         image: item.image || null,
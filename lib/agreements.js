@@ -0,0 +1,156 @@
+// =============================================================================
+// Checkout agreements — the terms a borrower signs and what they cover
+//
+// The terms template lives in Rates & Tax settings with {borrower},
+// {company}, {due_date} and {total_value} placeholders. They are filled in
+// at signing and stored filled, together with a snapshot of every item
+// (serial and replacement value as they stood that day), so the printed
+// agreement never drifts from what was signed. Check-in signs fixed return
+// wording instead of the template.
+//
+// Pure — the checkout handlers build the record, the service stores it.
+// =============================================================================
+
+import { formatDate, formatMoney } from '../utils';
+
+export const DEFAULT_AGREEMENT_TERMS =
+  'I, {borrower}, have received the equipment listed below from {company} in the ' +
+  'condition noted, and accept responsibility for it until it is returned by ' +
+  '{due_date}. I will return it in the same condition, allowing for normal wear, ' +
+  'and will pay for the repair or replacement of anything lost, stolen or damaged ' +
+  'while in my care, up to the replacement values listed (total {total_value}).';
+
+export const RETURN_AGREEMENT_TERMS =
+  'I, {borrower}, returned the equipment listed below to {company} in the condition noted.';
+
+export const AGREEMENT_KINDS = {
+  CHECKOUT: 'checkout',
+  CHECKIN: 'checkin',
+};
+
+/**
+ * What replacing one unit would cost: the current value where one has been
+ * recorded, else the purchase price.
+ * @param {Object} item
+ * @returns {number|null}
+ */
+export function replacementValue(item) {
+  const value = item?.currentValue ?? item?.purchasePrice;
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * One item as the agreement records it.
+ * @param {Object} item - Inventory item
+ * @param {Object} [options]
+ * @param {number} [options.quantity=1] - Units, for quantity-tracked items
+ * @param {string} [options.condition] - Condition at signing; defaults to the item's
+ * @returns {{id: string, name: string, serialNumber: string|null, value: number|null,
+ *   quantity: number, condition: string|null}}
+ */
+export function agreementLine(item, { quantity = 1, condition } = {}) {
+  return {
+    id: item.id,
+    name: item.name || item.id,
+    serialNumber: item.serialNumber || null,
+    value: replacementValue(item),
+    quantity: Number(quantity) || 1,
+    condition: condition || item.condition || null,
+  };
+}
+
+/**
+ * Total replacement value of the lines; unvalued items count as nothing.
+ * @param {Object[]} lines - agreementLine() results
+ * @returns {number}
+ */
+export function agreementTotal(lines) {
+  return lines.reduce((sum, line) => sum + (line.value || 0) * line.quantity, 0);
+}
+
+/**
+ * Fill the placeholders of a terms template. Unknown placeholders are left
+ * as typed so a misspelt one shows up in the preview.
+ * @param {string} template
+ * @param {Object} values
+ * @param {string} values.borrower
+ * @param {string} values.company
+ * @param {string} [values.dueDate] - YYYY-MM-DD
+ * @param {number} [values.totalValue]
+ * @returns {string}
+ */
+export function fillAgreementTerms(template, { borrower, company, dueDate, totalValue = 0 }) {
+  const values = {
+    borrower: borrower || 'the borrower',
+    company: company || 'the company',
+    due_date: dueDate ? formatDate(dueDate) : 'the agreed date',
+    total_value: formatMoney(totalValue, { cents: true }),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * The filled terms for a checkout or check-in.
+ * @param {string} kind - AGREEMENT_KINDS value
+ * @param {Object} settings - Pricing settings ({ agreementTerms })
+ * @param {Object} values - fillAgreementTerms() values
+ * @returns {string}
+ */
+export function agreementTermsFor(kind, settings, values) {
+  const template =
+    kind === AGREEMENT_KINDS.CHECKIN
+      ? RETURN_AGREEMENT_TERMS
+      : settings?.agreementTerms?.trim() || DEFAULT_AGREEMENT_TERMS;
+  return fillAgreementTerms(template, values);
+}
+
+/**
+ * The agreement record for checkoutAgreementsService.create.
+ * @param {Object} options
+ * @param {string} options.kind - AGREEMENT_KINDS value
+ * @param {string} options.signerName
+ * @param {Object[]} options.lines - agreementLine() results
+ * @param {string} options.signature - PNG data URL from the signature pad
+ * @param {Object} options.settings - Pricing settings
+ * @param {string} options.company
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientName]
+ * @param {string} [options.project]
+ * @param {string} [options.dueBack] - YYYY-MM-DD
+ * @param {Object} [options.user] - Operator taking the signature
+ * @returns {Object}
+ */
+export function buildAgreement({
+  kind,
+  signerName,
+  lines,
+  signature,
+  settings,
+  company,
+  clientId = null,
+  clientName = null,
+  project = '',
+  dueBack = null,
+  user = null,
+}) {
+  return {
+    kind,
+    signerName,
+    clientId,
+    clientName,
+    project: project || null,
+    dueBack: dueBack || null,
+    items: lines,
+    terms: agreementTermsFor(kind, settings, {
+      borrower: signerName,
+      company,
+      dueDate: dueBack,
+      totalValue: agreementTotal(lines),
+    }),
+    signature,
+    createdBy: user?.id || null,
+    createdByName: user?.name || null,
+  };
+}
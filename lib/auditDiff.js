@@ -0,0 +1,45 @@
+// =============================================================================
+// Audit Diff
+// Turns the old/new row JSON on trigger-written audit entries into the field
+// list the Audit Log diff panel renders. Keys are database column names — the
+// trigger snapshots rows as stored, not in app shape.
+// =============================================================================
+
+// Bumped on every write by the update_*_updated_at triggers; never the news
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between an entry's old and new row.
+ * Inserts list every populated column of the new row, deletes every
+ * populated column of the removed one.
+ * @param {Object} entry - Audit entry with oldData/newData (either may be null)
+ * @returns {Array<{field: string, before: *, after: *}>} Sorted by field name
+ */
+export function diffAuditEntry(entry) {
+  const before = entry?.oldData || null;
+  const after = entry?.newData || null;
+  if (!before && !after) return [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .filter((field) =>
+      before && after
+        ? !sameValue(before[field], after[field])
+        : (before || after)[field] !== null && (before || after)[field] !== undefined,
+    )
+    .sort()
+    .map((field) => ({
+      field,
+      before: before ? (before[field] ?? null) : undefined,
+      after: after ? (after[field] ?? null) : undefined,
+    }));
+}
+
+/** Display form of one column value in the diff table. */
+export function formatAuditValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -12,18 +12,36 @@ export const BACKUP_SECTIONS = [
   {
     key: 'inventory',
     label: 'Inventory + item history',
-    tables: ['inventory', 'item_notes', 'item_reminders', 'maintenance_records', 'checkout_history'],
+    tables: [
+      'inventory',
+      'item_notes',
+      'item_reminders',
+      'maintenance_records',
+      'checkout_agreements',
+      'checkout_history',
+      'quantity_checkouts',
+    ],
   },
   { key: 'packages', label: 'Kits & Packages', tables: ['packages', 'package_items', 'package_notes'] },
   { key: 'categories', label: 'Categories & Locations', tables: ['categories', 'locations'] },
   { key: 'specs', label: 'Specifications', tables: ['specs'] },
+  { key: 'pricing', label: 'Rates & Tax Settings', tables: ['pricing_settings'] },
   {
     key: 'packLists',
     label: 'Pack Lists',
     tables: ['pack_lists', 'pack_list_items', 'pack_list_packages'],
   },
-  { key: 'clients', label: 'Clients', tables: ['clients', 'client_notes'] },
+  {
+    key: 'clients',
+    label: 'Clients & Borrowers',
+    tables: ['clients', 'client_notes', 'borrowers'],
+  },
   { key: 'reservations', label: 'Reservations (incl. cancelled)', tables: ['reservations'] },
+  {
+    key: 'invoices',
+    label: 'Invoices, Payments & Deposits',
+    tables: ['invoices', 'invoice_lines', 'invoice_payments', 'checkout_deposits'],
+  },
   { key: 'users', label: 'Users & Roles', tables: ['users', 'roles'] },
   { key: 'auditLog', label: 'Audit Log', tables: ['audit_log'] },
 ];
@@ -0,0 +1,196 @@
+// =============================================================================
+// Database backup restore
+// Reads back the v3.0 snapshot lib/backupExport.js writes. Validation and
+// the dry-run diff happen here, against complete tables fetched at restore
+// time; the writes themselves go through the restore_backup RPC so the whole
+// restore lands in one transaction or not at all.
+// =============================================================================
+
+import { BACKUP_SECTIONS } from './backupExport.js';
+
+export const BACKUP_VERSION = '3.0';
+
+/**
+ * Restorable tables, parents before children — the same order restore_backup
+ * applies them in (replace-mode deletes walk it backwards). Keep in step with
+ * restorable_tables() in the database.
+ */
+export const RESTORE_ORDER = [
+  'pricing_settings',
+  'locations',
+  'categories',
+  'specs',
+  'clients',
+  'client_notes',
+  'borrowers',
+  'checkout_deposits',
+  'inventory',
+  'item_notes',
+  'item_reminders',
+  'maintenance_records',
+  'checkout_agreements',
+  'checkout_history',
+  'quantity_checkouts',
+  'packages',
+  'package_items',
+  'package_notes',
+  'pack_lists',
+  'pack_list_items',
+  'pack_list_packages',
+  'reservations',
+  'invoices',
+  'invoice_lines',
+  'invoice_payments',
+];
+
+// Exported, never restored: accounts live in Supabase Auth and the audit log
+// is append-only
+export const NON_RESTORABLE_TABLES = ['users', 'roles', 'audit_log'];
+
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+const KNOWN_TABLES = new Set(BACKUP_SECTIONS.flatMap((s) => s.tables));
+
+/**
+ * Check a parsed backup file before anything touches the database.
+ * @param {Object} data - Parsed JSON
+ * @returns {{isValid: boolean, errors: string[], tables: string[], skipped: string[]}}
+ *   tables — restorable tables present, in restore order; skipped — tables in
+ *   the file that will not be restored
+ */
+export function validateBackup(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { isValid: false, errors: ['Not a SIMS backup file'], tables: [], skipped: [] };
+  }
+  if (data.version !== BACKUP_VERSION || data.format !== 'tables') {
+    errors.push(
+      `Unsupported backup version ${data.version || 'unknown'} — only v${BACKUP_VERSION} table backups can be restored`,
+    );
+  }
+  if (!data.tables || typeof data.tables !== 'object' || Array.isArray(data.tables)) {
+    errors.push('Backup has no tables section');
+    return { isValid: false, errors, tables: [], skipped: [] };
+  }
+
+  const present = Object.keys(data.tables);
+  const skipped = present.filter((t) => !RESTORE_ORDER.includes(t));
+  present.forEach((table) => {
+    if (!KNOWN_TABLES.has(table)) {
+      errors.push(`Unknown table "${table}"`);
+      return;
+    }
+    const rows = data.tables[table];
+    if (!Array.isArray(rows)) {
+      errors.push(`${table}: rows must be a list`);
+      return;
+    }
+    const missingId = rows.findIndex((r) => !r || typeof r !== 'object' || r.id == null);
+    if (missingId !== -1) {
+      errors.push(`${table}: row ${missingId + 1} has no id`);
+    }
+    // The export stamps a count per table — a mismatch means a cut-off file
+    const expected = data.counts?.[table];
+    if (expected !== undefined && expected !== rows.length) {
+      errors.push(`${table}: expected ${expected} rows, found ${rows.length} (file truncated?)`);
+    }
+  });
+
+  const tables = RESTORE_ORDER.filter((t) => present.includes(t));
+  if (errors.length === 0 && tables.length === 0) {
+    errors.push('Backup contains no restorable tables');
+  }
+
+  return { isValid: errors.length === 0, errors, tables, skipped };
+}
+
+// Structural equality for JSON values — jsonb columns may come back with
+// their keys in a different order than the file has them
+const sameValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((k) => sameValue(a[k], b[k]));
+};
+
+// updated_at is trigger-stamped — a restored row gets a fresh one anyway
+const IGNORED_COLUMNS = new Set(['updated_at']);
+
+const rowChanged = (backupRow, currentRow) =>
+  Object.keys(backupRow).some(
+    (col) =>
+      !IGNORED_COLUMNS.has(col) && col in currentRow && !sameValue(backupRow[col], currentRow[col]),
+  );
+
+/**
+ * Per-table dry-run diff by primary key.
+ * @param {Object[]} backupRows
+ * @param {Object[]} currentRows
+ * @returns {{added: string[], changed: string[], deleted: string[], unchanged: number}}
+ *   deleted — ids a REPLACE restore would remove (merge keeps them)
+ */
+export function diffTable(backupRows, currentRows) {
+  const current = new Map(currentRows.map((r) => [String(r.id), r]));
+  const inBackup = new Set();
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  backupRows.forEach((row) => {
+    const id = String(row.id);
+    inBackup.add(id);
+    const existing = current.get(id);
+    if (!existing) added.push(id);
+    else if (rowChanged(row, existing)) changed.push(id);
+    else unchanged++;
+  });
+
+  const deleted = [...current.keys()].filter((id) => !inBackup.has(id));
+  return { added, changed, deleted, unchanged };
+}
+
+/**
+ * Dry run: diff every restorable table in the backup against the database.
+ * @param {Object} backup - Validated backup object
+ * @param {Function} fetchAllRows - async (table) => rows (backupService.fetchAllRows)
+ * @param {Object} [opts]
+ * @param {Function} [opts.onProgress] - (table, done, total) called before each fetch
+ * @returns {Promise<Array<{table: string} & ReturnType<typeof diffTable>>>} in restore order
+ */
+export async function planRestore(backup, fetchAllRows, { onProgress } = {}) {
+  const tables = RESTORE_ORDER.filter((t) => Array.isArray(backup.tables?.[t]));
+  const plan = [];
+  for (let i = 0; i < tables.length; i++) {
+    const table = tables[i];
+    onProgress?.(table, i, tables.length);
+    const currentRows = await fetchAllRows(table);
+    plan.push({ table, ...diffTable(backup.tables[table], currentRows) });
+  }
+  return plan;
+}
+
+/** Plan totals for the confirmation line; deletes only count in replace mode */
+export function summarizePlan(plan, mode) {
+  return plan.reduce(
+    (sum, t) => ({
+      added: sum.added + t.added.length,
+      changed: sum.changed + t.changed.length,
+      deleted: sum.deleted + (mode === RESTORE_MODES.REPLACE ? t.deleted.length : 0),
+    }),
+    { added: 0, changed: 0, deleted: 0 },
+  );
+}
+
+/** The slice of the backup restore_backup receives — restorable tables only */
+export const restorableTables = (backup) =>
+  Object.fromEntries(
+    RESTORE_ORDER.filter((t) => Array.isArray(backup.tables?.[t])).map((t) => [
+      t,
+      backup.tables[t],
+    ]),
+  );
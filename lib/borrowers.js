@@ -0,0 +1,137 @@
+// =============================================================================
+// Borrower accounts
+//
+// Matching a checkout to its borrower account, the gear an account holds
+// right now, what its limits and block allow, and how reliably it brings
+// gear back (from borrowersService.getHistory rows).
+//
+// Pure — the checkout modals enforce, BorrowersView reports.
+// =============================================================================
+
+import { STATUS } from '../constants.js';
+import { formatMoney, getTodayISO, toLocalYMD } from '../utils';
+import { replacementValue } from './agreements.js';
+import { daysBetween } from './invoicing.js';
+
+export const BORROWER_TYPES = [
+  { value: 'crew', label: 'Crew' },
+  { value: 'freelancer', label: 'Freelancer' },
+  { value: 'student', label: 'Student' },
+  { value: 'other', label: 'Other' },
+];
+
+const sameName = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * The account a checkout is for: the one picked by id, else the one whose
+ * name was typed. Typing a blocked borrower's name still finds them.
+ * @param {Object[]} borrowers
+ * @param {{borrowerId?: string, name?: string}} selection
+ * @returns {Object|null}
+ */
+export function findBorrower(borrowers, { borrowerId, name }) {
+  if (borrowerId) return borrowers.find((b) => b.id === borrowerId) || null;
+  return borrowers.find((b) => sameName(b.name, name)) || null;
+}
+
+/**
+ * Serialized items the borrower has out now. Checkouts from before the
+ * account existed carry no borrower id and match on the name.
+ * @param {Object} borrower
+ * @param {Object[]} inventory
+ * @returns {{items: Object[], count: number, value: number}}
+ */
+export function borrowerHoldings(borrower, inventory) {
+  const items = inventory.filter(
+    (i) =>
+      i.status === STATUS.CHECKED_OUT &&
+      (i.checkedOutToBorrowerId
+        ? i.checkedOutToBorrowerId === borrower.id
+        : sameName(i.checkedOutTo, borrower.name)),
+  );
+  return {
+    items,
+    count: items.length,
+    value: items.reduce((sum, i) => sum + (replacementValue(i) || 0), 0),
+  };
+}
+
+/**
+ * Why this checkout can't go to the borrower: blocked, or over the item or
+ * value limit once the new items are added. Empty when it may go ahead.
+ * @param {Object|null} borrower
+ * @param {Object} options
+ * @param {Object[]} options.inventory
+ * @param {Object[]} options.items - Serialized items being checked out
+ * @returns {string[]}
+ */
+export function checkoutRestrictions(borrower, { inventory, items }) {
+  if (!borrower) return [];
+  if (borrower.blocked) {
+    return [
+      `${borrower.name} is blocked from borrowing${borrower.blockedReason ? `: ${borrower.blockedReason}` : ''}`,
+    ];
+  }
+
+  const problems = [];
+  const holding = borrowerHoldings(borrower, inventory);
+  const adding = items.filter((i) => !holding.items.some((h) => h.id === i.id));
+  const maxItems = Number(borrower.maxItems) || null;
+  const maxValue = Number(borrower.maxValue) || null;
+
+  if (maxItems && holding.count + adding.length > maxItems) {
+    problems.push(
+      `${borrower.name} may hold ${maxItems} item${maxItems === 1 ? '' : 's'} at once — ${holding.count} out already, this adds ${adding.length}`,
+    );
+  }
+  const addedValue = adding.reduce((sum, i) => sum + (replacementValue(i) || 0), 0);
+  if (maxValue && holding.value + addedValue > maxValue) {
+    problems.push(
+      `${borrower.name} may hold ${formatMoney(maxValue)} of gear at once — ${formatMoney(holding.value)} out already, this adds ${formatMoney(addedValue)}`,
+    );
+  }
+  return problems;
+}
+
+/**
+ * Return record over borrowersService.getHistory rows. Only serialized
+ * checkouts count: quantity hand-offs have no single return to measure.
+ * @param {Object[]} history
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{loans: number, returned: number, late: number, lateRate: number|null,
+ *   averageDaysLate: number|null, out: number, overdue: number}}
+ */
+export function borrowerReturnStats(history, today = getTodayISO()) {
+  const loans = history.filter((h) => h.action === 'checkout' && h.quantity == null);
+  let returned = 0;
+  let late = 0;
+  let daysLate = 0;
+  let out = 0;
+  let overdue = 0;
+
+  loans.forEach((loan) => {
+    if (loan.returnedAt) {
+      returned += 1;
+      const lateBy = loan.dueBack
+        ? daysBetween(loan.dueBack, toLocalYMD(new Date(loan.returnedAt)))
+        : 0;
+      if (lateBy > 0) {
+        late += 1;
+        daysLate += lateBy;
+      }
+    } else {
+      out += 1;
+      if (loan.dueBack && loan.dueBack < today) overdue += 1;
+    }
+  });
+
+  return {
+    loans: loans.length,
+    returned,
+    late,
+    lateRate: returned ? late / returned : null,
+    averageDaysLate: late ? daysLate / late : null,
+    out,
+    overdue,
+  };
+}
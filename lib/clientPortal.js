@@ -0,0 +1,57 @@
+// =============================================================================
+// Client request portal — the public page's side of the client-portal
+// Edge Function. No session and no supabase-js: the page is opened by
+// clients without an account, and the token in the URL is all it sends.
+// =============================================================================
+
+import { env } from './env.js';
+import { PortalUnavailableError } from './errors.js';
+
+const PORTAL_PATH_RE = /^\/portal\/([0-9a-f]{64})\/?$/;
+
+/** The link token when the page was opened at /portal/<token>, else null */
+export function portalTokenFromPath(pathname) {
+  return PORTAL_PATH_RE.exec(pathname || '')?.[1] || null;
+}
+
+const endpoint = () => `${env.SUPABASE_URL}/functions/v1/client-portal`;
+
+async function call(url, init = {}) {
+  const response = await fetch(url, {
+    ...init,
+    headers: { apikey: env.SUPABASE_ANON_KEY, ...(init.headers || {}) },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (response.status === 409 && body.unavailable) {
+    throw new PortalUnavailableError(body.error, body.unavailable);
+  }
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`);
+  }
+  return body;
+}
+
+/**
+ * The client's name and the gear on offer; with both dates, each item and
+ * package also says how much of it is free.
+ */
+export function fetchPortalCatalog(token, { start, end } = {}) {
+  const params = new URLSearchParams({ token });
+  if (start && end) {
+    params.set('start', start);
+    params.set('end', end);
+  }
+  return call(`${endpoint()}?${params}`);
+}
+
+/**
+ * Send the request. Resolves to { groupId, items }; rejects with
+ * PortalUnavailableError when some of the gear was taken in the meantime.
+ */
+export function submitPortalRequest(token, request) {
+  return call(endpoint(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, ...request }),
+  });
+}
@@ -0,0 +1,219 @@
+// =============================================================================
+// Checkout deposits
+//
+// The deposit a checkout takes (checked against the borrower account's
+// required amount), how a settlement turns into ledger fields, the held
+// deposit an item being returned falls under, and which held deposits are
+// still outstanding.
+//
+// Pure — the checkout and check-in modals validate, the ledger and the
+// Alerts report list.
+// =============================================================================
+
+import { STATUS } from '../constants.js';
+import { formatMoney } from '../utils';
+
+export const DEPOSIT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'transfer', label: 'Bank transfer' },
+  { value: 'check', label: 'Check' },
+  { value: 'other', label: 'Other' },
+];
+
+export const DEPOSIT_STATUS = {
+  HELD: 'held',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  FORFEITED: 'forfeited',
+};
+
+export const DEPOSIT_STATUS_LABELS = {
+  [DEPOSIT_STATUS.HELD]: 'Held',
+  [DEPOSIT_STATUS.REFUNDED]: 'Refunded',
+  [DEPOSIT_STATUS.PARTIALLY_REFUNDED]: 'Partly refunded',
+  [DEPOSIT_STATUS.FORFEITED]: 'Forfeited',
+};
+
+/** What the operator chose to do with a held deposit */
+export const SETTLEMENT_OUTCOMES = {
+  REFUND: 'refund',
+  DEDUCT: 'deduct',
+  FORFEIT: 'forfeit',
+  LATER: 'later',
+};
+
+export const EMPTY_DEPOSIT_FIELDS = { amount: '', method: 'cash', reference: '' };
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const depositMoney = (amount) =>
+  formatMoney(Number(amount) || 0, { cents: Number(amount) % 1 !== 0 });
+
+/** What the borrower gets back once the deposit is settled */
+export const refundedAmount = (deposit) =>
+  roundCents((Number(deposit.amount) || 0) - (Number(deposit.deductedAmount) || 0));
+
+/**
+ * The deposit a checkout form records. Blank means no deposit, unless the
+ * borrower account requires one; then it must be at least the required
+ * amount.
+ * @param {{amount: string|number, method?: string, reference?: string}} fields
+ * @param {Object|null} borrower - Account the checkout is for
+ * @returns {{deposit: {amount: number, method: string, reference: string|null}|null,
+ *   error: string|null}}
+ */
+export function checkoutDeposit(fields, borrower) {
+  const required = Number(borrower?.depositRequired) || 0;
+  const blank = fields.amount === '' || fields.amount == null;
+
+  if (blank) {
+    return required > 0
+      ? {
+          deposit: null,
+          error: `${borrower.name} leaves a deposit of ${depositMoney(required)} with each checkout`,
+        }
+      : { deposit: null, error: null };
+  }
+
+  const amount = Number(fields.amount);
+  if (!(amount > 0)) return { deposit: null, error: 'Enter the deposit amount' };
+  if (amount < required) {
+    return {
+      deposit: null,
+      error: `${borrower.name} leaves at least ${depositMoney(required)}`,
+    };
+  }
+  return {
+    deposit: {
+      amount: roundCents(amount),
+      method: fields.method || 'cash',
+      reference: fields.reference?.trim() || null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Ledger fields for settling a held deposit. Keeping it all back is a
+ * forfeit, whichever way it was entered; anything kept needs a reason.
+ * @param {Object} deposit - The held deposit
+ * @param {{outcome: string, deduction?: string|number, reason?: string}} form
+ * @returns {{settlement: {status: string, deductedAmount: number,
+ *   deductionReason: string|null}|null, error: string|null}}
+ *   settlement is null when the outcome is LATER
+ */
+export function depositSettlement(deposit, { outcome, deduction, reason }) {
+  const amount = Number(deposit.amount) || 0;
+  const why = reason?.trim() || null;
+
+  if (outcome === SETTLEMENT_OUTCOMES.LATER) return { settlement: null, error: null };
+  if (outcome === SETTLEMENT_OUTCOMES.REFUND) {
+    return {
+      settlement: { status: DEPOSIT_STATUS.REFUNDED, deductedAmount: 0, deductionReason: null },
+      error: null,
+    };
+  }
+
+  const kept = outcome === SETTLEMENT_OUTCOMES.FORFEIT ? amount : roundCents(Number(deduction));
+  if (!(kept > 0)) return { settlement: null, error: 'Enter the amount to keep back' };
+  if (kept > amount) {
+    return {
+      settlement: null,
+      error: `Only ${depositMoney(amount)} is held`,
+    };
+  }
+  if (!why) return { settlement: null, error: 'Say why the deposit is kept' };
+
+  return {
+    settlement: {
+      status: kept === amount ? DEPOSIT_STATUS.FORFEITED : DEPOSIT_STATUS.PARTIALLY_REFUNDED,
+      deductedAmount: kept,
+      deductionReason: why,
+    },
+    error: null,
+  };
+}
+
+/**
+ * One line for the audit log: what happened to whose deposit, and why
+ * anything was kept
+ * @param {Object} deposit
+ * @param {{status: string, deductedAmount: number, deductionReason?: string}} settlement
+ * @returns {string}
+ */
+export function settlementDescription(deposit, { status, deductedAmount, deductionReason }) {
+  const whose = `${deposit.borrowerName}'s ${depositMoney(deposit.amount)} deposit`;
+  if (status === DEPOSIT_STATUS.REFUNDED) return `Refunded ${whose}`;
+  if (status === DEPOSIT_STATUS.FORFEITED) return `Forfeited ${whose}: ${deductionReason}`;
+  const refund = refundedAmount({ amount: deposit.amount, deductedAmount });
+  return `Kept ${depositMoney(deductedAmount)} of ${whose} (${deductionReason}), refunded ${depositMoney(refund)}`;
+}
+
+/**
+ * The held deposit covering an item, if any
+ * @param {Object[]} deposits
+ * @param {string} itemId
+ * @returns {Object|null}
+ */
+export function heldDepositFor(deposits, itemId) {
+  return (
+    deposits.find((d) => d.status === DEPOSIT_STATUS.HELD && (d.itemIds || []).includes(itemId)) ||
+    null
+  );
+}
+
+const sameName = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Out under this deposit's checkout, not out again to someone else since
+const outUnder = (deposit, item) =>
+  item.status === STATUS.CHECKED_OUT &&
+  (deposit.borrowerId && item.checkedOutToBorrowerId
+    ? item.checkedOutToBorrowerId === deposit.borrowerId
+    : sameName(item.checkedOutTo, deposit.borrowerName));
+
+/**
+ * Held deposits, oldest first, with the covered gear still out. A deposit
+ * whose gear is all back is waiting to be settled.
+ * @param {Object[]} deposits
+ * @param {Object[]} inventory
+ * @returns {{deposits: Object[], total: number, awaitingSettlement: number}}
+ */
+export function outstandingDeposits(deposits, inventory) {
+  const byId = new Map(inventory.map((i) => [i.id, i]));
+  const rows = deposits
+    .filter((d) => d.status === DEPOSIT_STATUS.HELD)
+    .sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)))
+    .map((deposit) => {
+      const itemsOut = (deposit.itemIds || [])
+        .map((id) => byId.get(id))
+        .filter((item) => item && outUnder(deposit, item));
+      return { ...deposit, itemsOut, allReturned: itemsOut.length === 0 };
+    });
+
+  return {
+    deposits: rows,
+    total: roundCents(rows.reduce((sum, d) => sum + (Number(d.amount) || 0), 0)),
+    awaitingSettlement: rows.filter((d) => d.allReturned).length,
+  };
+}
+
+/**
+ * Ledger totals: what is held now, what went back, and what was kept
+ * @param {Object[]} deposits
+ * @returns {{held: number, refunded: number, kept: number}}
+ */
+export function depositTotals(deposits) {
+  let held = 0;
+  let refunded = 0;
+  let kept = 0;
+  deposits.forEach((d) => {
+    if (d.status === DEPOSIT_STATUS.HELD) {
+      held += Number(d.amount) || 0;
+    } else {
+      refunded += refundedAmount(d);
+      kept += Number(d.deductedAmount) || 0;
+    }
+  });
+  return { held: roundCents(held), refunded: roundCents(refunded), kept: roundCents(kept) };
+}
@@ -0,0 +1,68 @@
+// =============================================================================
+// Typed service errors
+// Most service failures are plain Errors surfaced as "X failed: <message>".
+// The ones below carry state the caller acts on, so they get a class the
+// handlers can test with instanceof. Kept out of services.js so callers (and
+// tests that mock the service layer) can import them without pulling it in.
+// =============================================================================
+
+// PostgREST turns RAISE … USING ERRCODE = 'PT409' into HTTP 409 and hands the
+// SQLSTATE back as error.code
+export const CONFLICT_SQLSTATE = 'PT409';
+
+// Units on the shelf, as getOnHandQuantity in utils counts them; repeated so
+// this module imports nothing
+const onHand = (item) =>
+  Math.max(0, (Number(item?.quantity) || 0) - (Number(item?.quantityOut) || 0));
+
+/**
+ * A check-out or check-in lost a race: the item changed state on the server
+ * (someone else took it, returned it, or deleted it) after this client last
+ * saw it. `item` is the server's CURRENT row in frontend shape, or null when
+ * the item no longer exists. `quantity` is the unit count a quantity-tracked
+ * request asked for (null for serialized items).
+ */
+export class CheckoutConflictError extends Error {
+  constructor(message, { itemId = null, item = null, action = null, quantity = null } = {}) {
+    super(message);
+    this.name = 'CheckoutConflictError';
+    this.itemId = itemId;
+    this.item = item;
+    this.action = action;
+    this.quantity = quantity;
+  }
+}
+
+/** One-line operator explanation of a conflict, naming the current holder */
+export function describeCheckoutConflict(err, itemName) {
+  const name = itemName || err?.item?.name || err?.itemId || 'Item';
+  const current = err?.item;
+  if (!current) return `${name} no longer exists`;
+  if (err.quantity != null) {
+    if (err.action === 'checkin') return `${name} return no longer matches what is still out`;
+    if (current.status !== 'needs-attention' && current.status !== 'missing') {
+      return `Only ${onHand(current)} ${name} on hand`;
+    }
+  }
+  if (current.status === 'checked-out') {
+    return current.checkedOutTo
+      ? `${name} was already checked out to ${current.checkedOutTo}`
+      : `${name} is already checked out`;
+  }
+  if (err.action === 'checkin') return `${name} was already checked in`;
+  return `${name} is ${current.status} and cannot be checked out`;
+}
+
+/**
+ * A client-portal request asked for more of some gear than is free for its
+ * dates (someone confirmed a booking while the client was choosing).
+ * `unavailable` lists { itemId, name, wanted, free } so the page can fix the
+ * cart instead of just failing.
+ */
+export class PortalUnavailableError extends Error {
+  constructor(message, unavailable = []) {
+    super(message);
+    this.name = 'PortalUnavailableError';
+    this.unavailable = unavailable;
+  }
+}
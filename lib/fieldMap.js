@@ -18,12 +18,18 @@ export const INVENTORY_FIELD_MAP = {
   purchaseDate: 'purchase_date',
   purchasePrice: 'purchase_price',
   currentValue: 'current_value',
+  // Rental rates per unit (nullable: unpriced items quote without a charge)
+  dayRate: 'day_rate',
+  weekRate: 'week_rate',
   serialNumber: 'serial_number',
   reorderPoint: 'reorder_point',
   lowStockAlert: 'low_stock_alert',
+  // Units out with borrowers (quantity-tracked categories; server-maintained)
+  quantityOut: 'quantity_out',
   // Checkout state
   checkedOutTo: 'checked_out_to_name',
   checkedOutToUserId: 'checked_out_to_user_id',
+  checkedOutToBorrowerId: 'checked_out_to_borrower_id',
   checkedOutDate: 'checked_out_date',
   dueBack: 'due_back',
   checkoutProject: 'checkout_project',
@@ -56,6 +62,9 @@ export const RESERVATION_FIELD_MAP = {
   // Short aliases last (these win in reverseMap → fromDb)
   start: 'start_date',
   end: 'end_date',
+  // Optional pickup/return times of day; null means the whole day
+  startTime: 'start_time',
+  endTime: 'end_time',
   contactName: 'contact_name',
   contactPhone: 'contact_phone',
   contactEmail: 'contact_email',
@@ -64,7 +73,12 @@ export const RESERVATION_FIELD_MAP = {
   createdById: 'created_by_id',
   createdByName: 'created_by_name',
   groupId: 'group_id',
+  // Occurrences of a repeating booking share a series id
+  seriesId: 'series_id',
   projectType: 'project_type',
+  holdExpiresAt: 'hold_expires_at',
+  // Filed by the client through the request portal
+  requestedViaPortal: 'requested_via_portal',
   createdAt: 'created_at',
   updatedAt: 'updated_at',
 };
@@ -113,6 +127,185 @@ export const CHECKOUT_HISTORY_FIELD_MAP = {
   clientId: 'client_id',
   clientName: 'client_name',
   conditionAtAction: 'condition_at_action',
+  dueBack: 'due_back',
+  damageReported: 'damage_reported',
+  damageDescription: 'damage_description',
+  reservationId: 'reservation_id',
+  agreementId: 'agreement_id',
+  borrowerId: 'borrower_id',
+};
+
+// =============================================================================
+// QUANTITY CHECKOUT FIELDS
+// One borrower's outstanding units of a quantity-tracked item
+// =============================================================================
+
+export const QUANTITY_CHECKOUT_FIELD_MAP = {
+  itemId: 'item_id',
+  userId: 'user_id',
+  borrowerName: 'borrower_name',
+  clientId: 'client_id',
+  checkedOutDate: 'checked_out_date',
+  dueBack: 'due_back',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+// =============================================================================
+// PRICING SETTINGS FIELDS
+// The single 'default' row of rates-wide settings used when quoting
+// =============================================================================
+
+export const PRICING_SETTINGS_FIELD_MAP = {
+  daysPerWeek: 'days_per_week',
+  taxRate: 'tax_rate',
+  quoteTerms: 'quote_terms',
+  invoiceDueDays: 'invoice_due_days',
+  lateFeePercent: 'late_fee_percent',
+  agreementTerms: 'agreement_terms',
+  requireAgreement: 'require_agreement',
+  updatedAt: 'updated_at',
+};
+
+// =============================================================================
+// INVOICE FIELDS
+// Invoice headers, their lines and the payments received against them
+// =============================================================================
+
+export const INVOICE_FIELD_MAP = {
+  clientId: 'client_id',
+  clientName: 'client_name',
+  sourceType: 'source_type',
+  sourceKey: 'source_key',
+  periodStart: 'period_start',
+  periodEnd: 'period_end',
+  issueDate: 'issue_date',
+  dueDate: 'due_date',
+  discountPercent: 'discount_percent',
+  taxRate: 'tax_rate',
+  amountPaid: 'amount_paid',
+  createdBy: 'created_by',
+  createdByName: 'created_by_name',
+  sentAt: 'sent_at',
+  voidedAt: 'voided_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+export const INVOICE_LINE_FIELD_MAP = {
+  invoiceId: 'invoice_id',
+  sortOrder: 'sort_order',
+  itemId: 'item_id',
+  unitPrice: 'unit_price',
+  createdAt: 'created_at',
+};
+
+export const INVOICE_PAYMENT_FIELD_MAP = {
+  invoiceId: 'invoice_id',
+  paidOn: 'paid_on',
+  recordedBy: 'recorded_by',
+  recordedByName: 'recorded_by_name',
+  createdAt: 'created_at',
+};
+
+// =============================================================================
+// CALENDAR FEED FIELDS
+// Tokenized iCalendar subscriptions (a user's own, or one per client)
+// =============================================================================
+
+export const CALENDAR_FEED_FIELD_MAP = {
+  ownerId: 'owner_id',
+  clientId: 'client_id',
+  includeMaintenance: 'include_maintenance',
+  lastFetchedAt: 'last_fetched_at',
+  createdAt: 'created_at',
+};
+
+// =============================================================================
+// CLIENT PORTAL FIELDS
+// Request-portal links handed to clients, and the catalog they browse
+// =============================================================================
+
+export const CLIENT_PORTAL_LINK_FIELD_MAP = {
+  clientId: 'client_id',
+  createdBy: 'created_by',
+  createdByName: 'created_by_name',
+  expiresAt: 'expires_at',
+  lastUsedAt: 'last_used_at',
+  createdAt: 'created_at',
+};
+
+export const PORTAL_CATALOG_FIELD_MAP = {
+  itemId: 'item_id',
+  packageId: 'package_id',
+  createdAt: 'created_at',
+};
+
+// =============================================================================
+// CHECKOUT AGREEMENT FIELDS
+// What a borrower signed at checkout or check-in; items is a JSON snapshot
+// =============================================================================
+
+export const CHECKOUT_AGREEMENT_FIELD_MAP = {
+  kind: 'kind',
+  signerName: 'signer_name',
+  clientId: 'client_id',
+  clientName: 'client_name',
+  project: 'project',
+  dueBack: 'due_back',
+  items: 'items',
+  terms: 'terms',
+  signature: 'signature',
+  signedAt: 'signed_at',
+  createdBy: 'created_by',
+  createdByName: 'created_by_name',
+};
+
+// =============================================================================
+// BORROWER FIELDS
+// Borrower accounts, and the rows borrower_history() returns for one
+// =============================================================================
+
+export const BORROWER_FIELD_MAP = {
+  userId: 'user_id',
+  idVerification: 'id_verification',
+  idVerifiedAt: 'id_verified_at',
+  maxItems: 'max_items',
+  maxValue: 'max_value',
+  depositRequired: 'deposit_required',
+  blockedReason: 'blocked_reason',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+export const BORROWER_HISTORY_FIELD_MAP = {
+  historyId: 'history_id',
+  itemId: 'item_id',
+  itemName: 'item_name',
+  clientName: 'client_name',
+  checkedOutAt: 'checked_out_at',
+  dueBack: 'due_back',
+  returnedAt: 'returned_at',
+};
+
+// =============================================================================
+// CHECKOUT DEPOSIT FIELDS
+// =============================================================================
+
+export const CHECKOUT_DEPOSIT_FIELD_MAP = {
+  borrowerId: 'borrower_id',
+  borrowerName: 'borrower_name',
+  clientId: 'client_id',
+  itemIds: 'item_ids',
+  receivedAt: 'received_at',
+  receivedByName: 'received_by_name',
+  deductedAmount: 'deducted_amount',
+  deductionReason: 'deduction_reason',
+  settledAt: 'settled_at',
+  settledByName: 'settled_by_name',
+  settlementNote: 'settlement_note',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
 };
 
 // =============================================================================
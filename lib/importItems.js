@@ -4,9 +4,21 @@
 // item payloads with row-level errors and non-blocking warnings; runImport
 // persists them SEQUENTIALLY through the real create path — the old handler
 // patched local React state and imported items vanished on reload.
+//
+// Upsert mode matches rows to existing items (by id, then serial number) so
+// an exported sheet can be corrected and imported back: planUpsert works out
+// field-level changes and only changed fields are written.
 // =============================================================================
 
 import { parseMoney, stripFormulaGuard } from './csv.js';
+import { diffSpecs } from './smartPaste/diffEngine.js';
+
+export const IMPORT_MODES = {
+  // Every row becomes a new item with a fresh id
+  CREATE: 'create',
+  // Rows matching an existing item update it; the rest are created
+  UPSERT: 'upsert',
+};
 
 // Storable stored-status values — 'overdue' and 'low-stock' are derived
 // states and must never be written into inventory.status
@@ -34,6 +46,10 @@ const HEADER_ALIASES = {
   currentvalue: 'currentValue',
   'current value': 'currentValue',
   value: 'currentValue',
+  dayrate: 'dayRate',
+  'day rate': 'dayRate',
+  weekrate: 'weekRate',
+  'week rate': 'weekRate',
   serialnumber: 'serialNumber',
   'serial number': 'serialNumber',
   'serial #': 'serialNumber',
@@ -69,6 +85,15 @@ export function canonicalizeHeaders(headers) {
   return { fields, unknown };
 }
 
+// Blank rate cells mean "not priced" (null), where the other money columns
+// default to 0
+const RATE_FIELDS = [
+  ['dayRate', 'Day rate'],
+  ['weekRate', 'Week rate'],
+];
+const parseRateCell = (cell) =>
+  String(cell ?? '').trim() === '' ? { value: null, ok: true } : parseMoney(cell);
+
 const normalizeToken = (value) => value.trim().toLowerCase().replace(/[\s_]+/g, '-');
 
 /**
@@ -78,33 +103,47 @@ const normalizeToken = (value) => value.trim().toLowerCase().replace(/[\s_]+/g,
  * would corrupt filters); warnings don't (normalized dates, unparseable
  * prices, duplicate serials, ignored columns).
  *
+ * In UPSERT mode name/category may be blank (a matched row keeps its own),
+ * and each item also carries `id` (the id cell), `importRow` and
+ * `importFields` — the fields the row actually filled in, which are the only
+ * ones planUpsert compares. Blank and ignored cells never overwrite.
+ *
  * @returns {{ items, errors, warnings }}
  */
 export function buildImportItems(
   { headers, rows },
-  { categories = [], existingSerials = [] } = {},
+  { categories = [], existingSerials = [], mode = IMPORT_MODES.CREATE } = {},
 ) {
+  const upsert = mode === IMPORT_MODES.UPSERT;
   const { fields, unknown } = canonicalizeHeaders(headers);
   const errors = [];
   const warnings = [];
   if (unknown.length > 0) {
     warnings.push(`Ignored unrecognized column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
   }
-  if (!fields.includes('name') || !fields.includes('category')) {
+  if (upsert) {
+    if (!fields.includes('id') && !fields.includes('serialNumber')) {
+      throw new Error('Missing a column to match on: add an id or serial number column');
+    }
+  } else if (!fields.includes('name') || !fields.includes('category')) {
     const missing = ['name', 'category'].filter((f) => !fields.includes(f));
     throw new Error(`Missing required columns: ${missing.join(', ')}`);
   }
 
-  // The id column is intentionally ignored: imported items always get
-  // fresh ids, so re-importing a backup CSV DUPLICATES rows rather than
-  // restoring them — say so instead of silently dropping the column
-  if (fields.includes('id')) {
-    warnings.push('Ignored id column — imported items are created with new ids');
+  // CREATE mode ignores the id column: imported items always get fresh ids,
+  // so re-importing an export DUPLICATES rows — say so (and point at upsert)
+  // instead of silently dropping the column
+  if (fields.includes('id') && !upsert) {
+    warnings.push(
+      'Ignored id column — imported items are created with new ids (use Update existing to match on it)',
+    );
   }
 
   const categoryMap = Object.fromEntries(categories.map((cat) => [cat.toLowerCase(), cat]));
+  // Upsert rows are EXPECTED to repeat inventory serials — that's how they
+  // match — so only duplicates within the file are worth a warning
   const seenSerials = new Set(
-    existingSerials.filter(Boolean).map((s) => String(s).trim().toLowerCase()),
+    upsert ? [] : existingSerials.filter(Boolean).map((s) => String(s).trim().toLowerCase()),
   );
 
   const items = [];
@@ -114,25 +153,26 @@ export function buildImportItems(
     fields.forEach((field, i) => {
       if (field) row[field] = stripFormulaGuard(values[i] ?? '');
     });
+    const provided = new Set(Object.keys(row).filter((field) => row[field].trim()));
 
     const name = (row.name || '').trim();
-    if (!name) {
+    if (!name && !upsert) {
       errors.push(`Row ${rowNum}: Missing name`);
       return;
     }
     // Mirror the persist-time rule (validateItem): a row that passes preflight
     // but throws mid-batch strands a partial import behind it
-    if (name.length < 2 || name.length > 100) {
+    if (name && (name.length < 2 || name.length > 100)) {
       errors.push(`Row ${rowNum}: Name must be between 2 and 100 characters`);
       return;
     }
     const rawCategory = (row.category || '').trim();
-    if (!rawCategory) {
+    if (!rawCategory && !upsert) {
       errors.push(`Row ${rowNum}: Missing category`);
       return;
     }
-    const category = categoryMap[rawCategory.toLowerCase()];
-    if (!category) {
+    const category = rawCategory ? categoryMap[rawCategory.toLowerCase()] : '';
+    if (category === undefined) {
       errors.push(`Row ${rowNum}: Unknown category "${rawCategory}"`);
       return;
     }
@@ -166,6 +206,7 @@ export function buildImportItems(
       if (Number.isNaN(parsed.getTime())) {
         warnings.push(`Row ${rowNum}: Ignored unreadable purchase date "${purchaseDate}"`);
         purchaseDate = '';
+        provided.delete('purchaseDate');
       } else {
         const normalized = [
           parsed.getFullYear(),
@@ -178,7 +219,10 @@ export function buildImportItems(
     }
 
     const price = parseMoney(row.purchasePrice);
-    if (!price.ok) warnings.push(`Row ${rowNum}: Unreadable purchase price "${row.purchasePrice}"`);
+    if (!price.ok) {
+      warnings.push(`Row ${rowNum}: Unreadable purchase price "${row.purchasePrice}"`);
+      provided.delete('purchasePrice');
+    }
     // Negative money is a persist-time rejection (validateItem) — block it
     // here so it can't strand a partial batch
     if (price.ok && price.value < 0) {
@@ -186,7 +230,10 @@ export function buildImportItems(
       return;
     }
     const value = parseMoney(row.currentValue);
-    if (!value.ok) warnings.push(`Row ${rowNum}: Unreadable current value "${row.currentValue}"`);
+    if (!value.ok) {
+      warnings.push(`Row ${rowNum}: Unreadable current value "${row.currentValue}"`);
+      provided.delete('currentValue');
+    }
     if (value.ok && (value.value < 0 || value.value > 10000000)) {
       errors.push(
         `Row ${rowNum}: Current value ${value.value < 0 ? 'cannot be negative' : 'exceeds maximum allowed'}`,
@@ -194,11 +241,29 @@ export function buildImportItems(
       return;
     }
 
+    const rates = {};
+    let rateError = null;
+    RATE_FIELDS.forEach(([field, label]) => {
+      const rate = parseRateCell(row[field]);
+      if (!rate.ok) {
+        warnings.push(`Row ${rowNum}: Unreadable ${label.toLowerCase()} "${row[field]}"`);
+        provided.delete(field);
+      } else if (rate.value < 0) {
+        rateError = `Row ${rowNum}: ${label} cannot be negative`;
+      }
+      rates[field] = rate.ok ? rate.value : null;
+    });
+    if (rateError) {
+      errors.push(rateError);
+      return;
+    }
+
     let reorderPoint = 0;
     if ((row.reorderPoint || '').trim()) {
       const parsedRp = parseInt(row.reorderPoint, 10);
       if (Number.isNaN(parsedRp) || parsedRp < 0) {
         warnings.push(`Row ${rowNum}: Ignored invalid reorder point "${row.reorderPoint.trim()}"`);
+        provided.delete('reorderPoint');
       } else {
         reorderPoint = parsedRp;
       }
@@ -209,6 +274,7 @@ export function buildImportItems(
       const parsedQty = parseInt(row.quantity, 10);
       if (Number.isNaN(parsedQty) || parsedQty < 1) {
         warnings.push(`Row ${rowNum}: Ignored invalid quantity "${row.quantity.trim()}"`);
+        provided.delete('quantity');
       } else {
         quantity = parsedQty;
       }
@@ -234,7 +300,7 @@ export function buildImportItems(
       }
     });
 
-    items.push({
+    const item = {
       name,
       brand: (row.brand || '').trim(),
       category,
@@ -244,6 +310,7 @@ export function buildImportItems(
       purchaseDate,
       purchasePrice: price.value,
       currentValue: value.value,
+      ...rates,
       serialNumber,
       quantity,
       reorderPoint,
@@ -256,41 +323,196 @@ export function buildImportItems(
       // Consumed by runImport (written to item_notes AFTER the item exists —
       // notes live in their own table, not on the inventory row)
       importNote: (row.notes || '').trim(),
-    });
+    };
+    if (upsert) {
+      item.id = (row.id || '').trim();
+      item.importRow = rowNum;
+      item.importFields = [...provided].filter((field) => field !== 'id' && field !== 'notes');
+    }
+    items.push(item);
   });
 
   return { items, errors, warnings };
 }
 
+// Cell vs stored value: numbers and booleans compare by value ("2800" from a
+// sheet equals 2800.00 in the database), everything else as trimmed text
+const sameFieldValue = (stored, incoming) => {
+  if (typeof incoming === 'boolean') return Boolean(stored) === incoming;
+  if (typeof incoming === 'number' && stored != null && stored !== '') {
+    return Number(stored) === incoming;
+  }
+  return String(stored ?? '').trim() === String(incoming ?? '').trim();
+};
+
+/**
+ * Match UPSERT-mode items to existing inventory and work out what changes.
+ * A row matches by id first, then by serial number (case-insensitive);
+ * unmatched rows become creates and need a name and category. Only the
+ * fields a row filled in are compared — specs through Smart Paste's
+ * diffSpecs, merged over the item's other specs.
+ *
+ * Status moves into or out of checked-out are skipped (with a warning):
+ * checkout state belongs to the check-out/check-in flow.
+ *
+ * @param {Array} items - buildImportItems output (UPSERT mode)
+ * @param {Array} inventory - Current items
+ * @returns {{creates: Array, updates: Array<{id, name, changes, diff, importRow}>,
+ *   unchanged: number, errors: string[], warnings: string[]}}
+ *   diff — [{field, oldValue, newValue}] per changed field, spec fields as 'spec:<Name>'
+ */
+export function planUpsert(items, inventory) {
+  const byId = new Map(inventory.map((i) => [String(i.id).toLowerCase(), i]));
+  // A serial shared by several items can't pick one — mapped to null
+  const bySerial = new Map();
+  inventory.forEach((i) => {
+    const key = String(i.serialNumber || '')
+      .trim()
+      .toLowerCase();
+    if (key) bySerial.set(key, bySerial.has(key) ? null : i);
+  });
+
+  const creates = [];
+  const updates = [];
+  const errors = [];
+  const warnings = [];
+  const matchedBy = new Map(); // item id → row that matched it
+  let unchanged = 0;
+  let skippedNotes = 0;
+
+  items.forEach((entry) => {
+    const { id, importRow, importFields, ...values } = entry;
+    const serialKey = values.serialNumber.toLowerCase();
+    if (serialKey && !byId.has(id.toLowerCase()) && bySerial.get(serialKey) === null) {
+      errors.push(
+        `Row ${importRow}: Serial number "${values.serialNumber}" matches more than one item — add an id column`,
+      );
+      return;
+    }
+    const existing = byId.get(id.toLowerCase()) || (serialKey && bySerial.get(serialKey));
+
+    if (!existing) {
+      if (!values.name || !values.category) {
+        errors.push(
+          `Row ${importRow}: No existing item matches — name and category are needed to add it`,
+        );
+        return;
+      }
+      creates.push(values);
+      return;
+    }
+
+    if (matchedBy.has(existing.id)) {
+      errors.push(
+        `Row ${importRow}: Matches ${existing.id}, which row ${matchedBy.get(existing.id)} already updates`,
+      );
+      return;
+    }
+    matchedBy.set(existing.id, importRow);
+
+    const changes = {};
+    const diff = [];
+    importFields.forEach((field) => {
+      if (field.startsWith('spec:') || sameFieldValue(existing[field], values[field])) return;
+      if (field === 'status' && [existing.status, values.status].includes('checked-out')) {
+        warnings.push(
+          `Row ${importRow}: Skipped status change ${existing.status} → ${values.status} — use check-out/check-in`,
+        );
+        return;
+      }
+      changes[field] = values[field];
+      diff.push({ field, oldValue: existing[field] ?? '', newValue: values[field] });
+    });
+
+    if (changes.quantity !== undefined && changes.quantity < (existing.quantityOut || 0)) {
+      errors.push(
+        `Row ${importRow}: Quantity ${changes.quantity} is below the ${existing.quantityOut} units checked out`,
+      );
+      return;
+    }
+
+    const specFields = new Map(
+      importFields
+        .filter((field) => field.startsWith('spec:'))
+        .map((field) => [field.slice(5), { value: values.specs[field.slice(5)] }]),
+    );
+    const specChanges = diffSpecs(existing.specs, specFields).filter(
+      (d) => d.status === 'added' || d.status === 'changed',
+    );
+    if (specChanges.length > 0) {
+      changes.specs = {
+        ...existing.specs,
+        ...Object.fromEntries(specChanges.map((d) => [d.specName, d.newValue])),
+      };
+      specChanges.forEach((d) =>
+        diff.push({ field: `spec:${d.specName}`, oldValue: d.oldValue, newValue: d.newValue }),
+      );
+    }
+
+    if (values.importNote) skippedNotes++;
+    if (diff.length === 0) {
+      unchanged++;
+      return;
+    }
+    updates.push({ id: existing.id, name: existing.name, changes, diff, importRow });
+  });
+
+  if (skippedNotes > 0) {
+    warnings.push(
+      `Ignored notes on ${skippedNotes} existing item${skippedNotes === 1 ? '' : 's'} — notes are only added to new items`,
+    );
+  }
+
+  return { creates, updates, unchanged, errors, warnings };
+}
+
 /**
  * Persist built items through the REAL create path, sequentially.
  * - ids accumulate across the batch, so two rows can't collide the way the
  *   old handler's shared pre-import snapshot allowed
  * - per-row failures are collected, not thrown — the summary is honest
  * - notes are written via addNote after each create
+ * - upsert updates (planUpsert) run first and write only their changes
  *
  * @param {Object} deps
- * @param {Array}  deps.items - Output of buildImportItems
+ * @param {Array}  deps.items - Output of buildImportItems (or planUpsert creates)
+ * @param {Array}  [deps.updates] - planUpsert updates
  * @param {string[]} deps.existingIds - Current inventory ids
  * @param {Function} deps.createItem - async (item) => created row (throws on failure)
+ * @param {Function} [deps.updateItem] - async (id, changes) => void (throws on failure)
  * @param {Function} deps.addNote - async (itemId, {user, text}) => row | null
  * @param {Function} deps.generateCode - (category, usedIds) => new id
  * @param {Function} [deps.onProgress] - (done, total) => void
- * @returns {{created: Array, failed: Array<{name, error}>, noteFailures: number}}
+ * @returns {{created: Array, updated: Array, failed: Array<{name, error}>, noteFailures: number}}
  */
 export async function runImport({
   items,
+  updates = [],
   existingIds,
   createItem,
+  updateItem,
   addNote,
   generateCode,
   onProgress,
 }) {
   const usedIds = [...existingIds];
   const created = [];
+  const updated = [];
   const failed = [];
+  const total = updates.length + items.length;
   let noteFailures = 0;
 
+  for (let i = 0; i < updates.length; i++) {
+    const update = updates[i];
+    try {
+      await updateItem(update.id, update.changes);
+      updated.push(update);
+    } catch (err) {
+      failed.push({ name: update.name, error: err?.message || 'Update failed' });
+    }
+    onProgress?.(i + 1, total);
+  }
+
   for (let i = 0; i < items.length; i++) {
     const { importNote, ...item } = items[i];
     const id = generateCode(item.category, usedIds);
@@ -305,8 +527,8 @@ export async function runImport({
     } catch (err) {
       failed.push({ name: item.name, error: err?.message || 'Create failed' });
     }
-    onProgress?.(i + 1, items.length);
+    onProgress?.(updates.length + i + 1, total);
   }
 
-  return { created, failed, noteFailures };
+  return { created, updated, failed, noteFailures };
 }
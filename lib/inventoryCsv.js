@@ -57,6 +57,14 @@ export const INVENTORY_COLUMNS = [
     value: (i) => i.currentValue ?? '',
     dbValue: (r) => r.current_value,
   },
+  // Blank = not priced; kept blank so a re-import doesn't price it at $0
+  { id: 'dayRate', label: 'Day Rate', value: (i) => i.dayRate ?? '', dbValue: (r) => r.day_rate },
+  {
+    id: 'weekRate',
+    label: 'Week Rate',
+    value: (i) => i.weekRate ?? '',
+    dbValue: (r) => r.week_rate,
+  },
   {
     id: 'serialNumber',
     label: 'Serial #',
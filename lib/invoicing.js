@@ -0,0 +1,381 @@
+// =============================================================================
+// Invoicing — turning finished jobs into invoice drafts, and what is owed
+//
+// A job is either a reservation group (billed for its booked dates) or a run
+// of checkouts to a client for one project on one day (billed from checkout
+// to the due date). Returns come from checkout_history: each check-in row
+// carries the due date that was in force and any damage report, so late
+// fees and damage charges are read straight off the returns.
+//
+// Pure — the client detail page fetches history and feeds it in; the
+// invoice modal edits the draft and DataContext saves it.
+// =============================================================================
+
+import { INVOICE_STATUS, RESERVATION_STATUS } from '../constants.js';
+import { parseLocalDate, reservationStage, toLocalYMD } from '../utils';
+import { DEFAULT_PRICING, buildQuote, round2 } from './pricing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reservations that were booked for the client: quotes and holds never were
+const BILLABLE_STAGES = new Set([
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.OUT,
+  RESERVATION_STATUS.RETURNED,
+]);
+
+const eventDate = (event) => (event.timestamp ? toLocalYMD(new Date(event.timestamp)) : null);
+
+/** Whole calendar days from one YYYY-MM-DD to another (negative when earlier) */
+export function daysBetween(from, to) {
+  if (!from || !to) return 0;
+  // Math.round absorbs the 23/25-hour days around DST changes
+  return Math.round((parseLocalDate(to) - parseLocalDate(from)) / DAY_MS);
+}
+
+/** YYYY-MM-DD plus n days */
+export function addDaysISO(date, n) {
+  const d = parseLocalDate(date);
+  d.setDate(d.getDate() + n);
+  return toLocalYMD(d);
+}
+
+/**
+ * The day rate late fees are charged against — the item's own, else its week
+ * rate spread over the billable days per week. null when the item is unpriced.
+ */
+export function lateDayRate(rates, daysPerWeek = DEFAULT_PRICING.daysPerWeek) {
+  if (rates?.dayRate != null) return Number(rates.dayRate);
+  if (rates?.weekRate != null) return round2(Number(rates.weekRate) / (daysPerWeek || 7));
+  return null;
+}
+
+// =============================================================================
+// Jobs
+// =============================================================================
+
+/**
+ * Reservation groups of one client that have ended (their last day is
+ * before today) and were booked — confirmed, out or returned — newest first.
+ * @param {Object[]} groups - groupReservationsForSchedule() output
+ */
+export function completedReservationJobs(groups, clientId, todayISO) {
+  return (groups || [])
+    .filter(
+      (g) =>
+        g.clientId === clientId &&
+        (g.end || g.start) < todayISO &&
+        BILLABLE_STAGES.has(reservationStage(g)),
+    )
+    .map((g) => ({
+      sourceType: 'reservation',
+      sourceKey: `reservation:${g.groupKey}`,
+      clientId,
+      project: g.project || '',
+      start: g.start,
+      end: g.end || g.start,
+      items: g.items.map((item) => ({ itemId: item.id, quantity: g.quantities?.[item.id] || 1 })),
+      returns: [],
+      outstanding: 0,
+    }))
+    .sort((a, b) => (a.start < b.start ? 1 : -1));
+}
+
+/**
+ * Attach the returns belonging to a reservation job: the first return of
+ * each booked item on or after the pickup day. The reservation's last day is
+ * the due date whatever the checkout said. Booked units with no return that
+ * are still checked out to the client count as outstanding.
+ * @param {Object} job - From completedReservationJobs()
+ * @param {Object[]} returns - checkin/consume history rows for the job's
+ *   items since its start, oldest first
+ * @param {Object[]} [inventory] - Current items, for what is still out
+ */
+export function withReservationReturns(job, returns, inventory = []) {
+  const remaining = new Map(job.items.map((i) => [i.itemId, i.quantity]));
+  const matched = [];
+  (returns || []).forEach((event) => {
+    const left = remaining.get(event.itemId);
+    const returnedOn = eventDate(event);
+    if (!left || !returnedOn || returnedOn < job.start) return;
+    const quantity = Math.min(left, Number(event.quantity) || 1);
+    remaining.set(event.itemId, left - quantity);
+    matched.push(toReturn(event, quantity, job.end));
+  });
+
+  const stillOut = new Set(
+    inventory.filter((i) => i.checkoutClientId === job.clientId).map((i) => i.id),
+  );
+  let outstanding = 0;
+  remaining.forEach((left, itemId) => {
+    if (left > 0 && stillOut.has(itemId)) outstanding += left;
+  });
+
+  return { ...job, returns: matched, outstanding };
+}
+
+function toReturn(event, quantity, dueBack) {
+  return {
+    itemId: event.itemId,
+    quantity,
+    returnedOn: eventDate(event),
+    dueBack: dueBack || null,
+    consumed: event.action === 'consume',
+    damageReported: !!event.damageReported,
+    damageDescription: event.damageDescription || '',
+    eventId: event.id,
+  };
+}
+
+/**
+ * Group a client's checkout history into jobs — checkouts for the same
+ * project on the same day — and pair each unit with the return that closed
+ * it, first out first back per item. A job is complete when nothing in it is
+ * still out.
+ * @param {Object[]} events - The client's history rows, oldest first
+ * @returns {Object[]} Jobs, newest first
+ */
+export function collectCheckoutJobs(events, clientId) {
+  const jobs = new Map();
+  // Per item: open checkout units waiting for a return, oldest first
+  const open = new Map();
+
+  (events || []).forEach((event) => {
+    const day = eventDate(event);
+    if (!day) return;
+
+    if (event.action === 'checkout') {
+      const key = `checkout:${clientId}:${event.project || ''}:${day}`;
+      if (!jobs.has(key)) {
+        jobs.set(key, {
+          sourceType: 'checkout',
+          sourceKey: key,
+          clientId,
+          project: event.project || '',
+          start: day,
+          end: day,
+          items: [],
+          returns: [],
+          outstanding: 0,
+        });
+      }
+      const job = jobs.get(key);
+      const quantity = Number(event.quantity) || 1;
+      const line = job.items.find((i) => i.itemId === event.itemId);
+      if (line) line.quantity += quantity;
+      else job.items.push({ itemId: event.itemId, quantity });
+      job.outstanding += quantity;
+      if (!open.has(event.itemId)) open.set(event.itemId, []);
+      open.get(event.itemId).push({ job, left: quantity });
+      return;
+    }
+
+    if (event.action !== 'checkin' && event.action !== 'consume') return;
+    const queue = open.get(event.itemId) || [];
+    let units = Number(event.quantity) || 1;
+    while (units > 0 && queue.length) {
+      const head = queue[0];
+      const quantity = Math.min(units, head.left);
+      head.left -= quantity;
+      units -= quantity;
+      head.job.outstanding -= quantity;
+      head.job.returns.push(toReturn(event, quantity, event.dueBack));
+      if (head.left === 0) queue.shift();
+    }
+  });
+
+  // The agreed period runs to the latest due date; with none recorded, to
+  // the last return
+  jobs.forEach((job) => {
+    const ends = job.returns.map((r) => r.dueBack || r.returnedOn).filter(Boolean);
+    job.end = ends.reduce((latest, d) => (d > latest ? d : latest), job.start);
+  });
+
+  return [...jobs.values()].sort((a, b) => (a.start < b.start ? 1 : -1));
+}
+
+// =============================================================================
+// Drafts
+// =============================================================================
+
+/**
+ * Late-fee lines, one per returned batch that came back after its due date.
+ * Consumed units were never coming back and are not late.
+ */
+export function lateFeeLines(returns, itemsById, settings = DEFAULT_PRICING) {
+  const percent = Number(settings.lateFeePercent ?? DEFAULT_PRICING.lateFeePercent);
+  if (!(percent > 0)) return [];
+  const daysPerWeek = Number(settings.daysPerWeek) || DEFAULT_PRICING.daysPerWeek;
+
+  return (returns || [])
+    .filter((r) => !r.consumed && r.dueBack && r.returnedOn > r.dueBack)
+    .map((r) => {
+      const item = itemsById.get(r.itemId);
+      const days = daysBetween(r.dueBack, r.returnedOn);
+      const rate = lateDayRate(item, daysPerWeek);
+      const unitPrice = rate == null ? 0 : round2((rate * percent * days) / 100);
+      return {
+        kind: 'late_fee',
+        description: `Late return — ${item?.name || r.itemId} (${days} day${days === 1 ? '' : 's'} late)`,
+        itemId: r.itemId,
+        quantity: r.quantity,
+        unitPrice,
+        amount: round2(unitPrice * r.quantity),
+        needsReview: rate == null,
+      };
+    });
+}
+
+/**
+ * One line per damage report. The repair cost isn't known from the report,
+ * so the amount starts at zero for the operator to fill in.
+ */
+export function damageLines(returns, itemsById) {
+  return (returns || [])
+    .filter((r) => r.damageReported)
+    .map((r) => {
+      const name = itemsById.get(r.itemId)?.name || r.itemId;
+      return {
+        kind: 'damage',
+        description: r.damageDescription
+          ? `Damage — ${name}: ${r.damageDescription}`
+          : `Damage — ${name}`,
+        itemId: r.itemId,
+        quantity: 1,
+        unitPrice: null,
+        amount: 0,
+        needsReview: true,
+      };
+    });
+}
+
+/**
+ * A complete invoice draft for a job: rental lines priced from the rate
+ * cards (packages bundle as on quotes), then late fees and damage.
+ * @param {Object} params
+ * @param {Object} params.job - A reservation or checkout job
+ * @param {Object[]} params.inventory - For rates and names
+ * @param {Object[]} [params.packages]
+ * @param {Object} [params.settings] - Pricing settings
+ * @param {string} params.issueDate - YYYY-MM-DD
+ * @param {string} [params.clientName]
+ * @returns {{invoice: Object, lines: Object[], unpriced: string[]}}
+ */
+export function buildInvoiceDraft({
+  job,
+  inventory,
+  packages = [],
+  settings = DEFAULT_PRICING,
+  issueDate,
+  clientName = '',
+}) {
+  const itemsById = new Map((inventory || []).map((item) => [item.id, item]));
+  const booked = job.items.map((i) => itemsById.get(i.itemId) || { id: i.itemId, name: i.itemId });
+  const quantities = Object.fromEntries(job.items.map((i) => [i.itemId, i.quantity]));
+
+  const quote = buildQuote({
+    items: booked,
+    quantities,
+    packages,
+    start: job.start,
+    end: job.end,
+    settings,
+  });
+
+  const rentalLines = quote.lines.map((line) => ({
+    kind: line.kind === 'package' ? 'package' : 'rental',
+    description: line.period ? `${line.name} — ${line.period}` : line.name,
+    itemId: line.kind === 'item' ? line.id : null,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    amount: line.amount ?? 0,
+    needsReview: line.unitPrice == null,
+  }));
+
+  const dueDays = Number(settings.invoiceDueDays ?? DEFAULT_PRICING.invoiceDueDays);
+
+  return {
+    invoice: {
+      clientId: job.clientId,
+      clientName,
+      sourceType: job.sourceType,
+      sourceKey: job.sourceKey,
+      project: job.project,
+      periodStart: job.start,
+      periodEnd: job.end,
+      issueDate,
+      dueDate: addDaysISO(issueDate, dueDays),
+      discountPercent: 0,
+      taxRate: Number(settings.taxRate) || 0,
+    },
+    lines: [
+      ...rentalLines,
+      ...lateFeeLines(job.returns, itemsById, settings),
+      ...damageLines(job.returns, itemsById),
+    ],
+    unpriced: quote.unpriced,
+  };
+}
+
+// =============================================================================
+// Balances
+// =============================================================================
+
+/** What is still owed on an invoice. Drafts and void invoices owe nothing. */
+export function invoiceBalance(invoice) {
+  if (invoice?.status !== INVOICE_STATUS.SENT && invoice?.status !== INVOICE_STATUS.PAID) {
+    return 0;
+  }
+  return Math.max(0, round2((Number(invoice.total) || 0) - (Number(invoice.amountPaid) || 0)));
+}
+
+/** Days past the due date (0 when not yet due or nothing is owed) */
+export function daysPastDue(invoice, todayISO) {
+  if (invoiceBalance(invoice) <= 0) return 0;
+  return Math.max(0, daysBetween(invoice.dueDate, todayISO));
+}
+
+/**
+ * A client's open position across their invoices.
+ * @returns {{balance: number, overdue: number, openCount: number, overdueCount: number}}
+ */
+export function clientBalance(invoices, clientId, todayISO) {
+  return (invoices || [])
+    .filter((inv) => inv.clientId === clientId)
+    .reduce(
+      (acc, inv) => {
+        const owed = invoiceBalance(inv);
+        if (owed <= 0) return acc;
+        const late = daysPastDue(inv, todayISO) > 0;
+        return {
+          balance: round2(acc.balance + owed),
+          overdue: late ? round2(acc.overdue + owed) : acc.overdue,
+          openCount: acc.openCount + 1,
+          overdueCount: acc.overdueCount + (late ? 1 : 0),
+        };
+      },
+      { balance: 0, overdue: 0, openCount: 0, overdueCount: 0 },
+    );
+}
+
+/**
+ * The jobs a client can still be invoiced for. Skips jobs already on a live
+ * (non-void) invoice, and checkouts made against one of the client's
+ * reservations — same project, picked up within its dates — since the
+ * reservation bills that work.
+ */
+export function uninvoicedJobs({ reservationJobs = [], checkoutJobs = [], invoices = [] }) {
+  const billed = new Set(
+    invoices
+      .filter((inv) => inv.sourceKey && inv.status !== INVOICE_STATUS.VOID)
+      .map((inv) => inv.sourceKey),
+  );
+  const coveredByReservation = (job) =>
+    reservationJobs.some(
+      (r) => r.project === job.project && job.start >= r.start && job.start <= r.end,
+    );
+
+  return [...reservationJobs, ...checkoutJobs.filter((job) => !coveredByReservation(job))].filter(
+    (job) => !billed.has(job.sourceKey),
+  );
+}
@@ -0,0 +1,182 @@
+// =============================================================================
+// Item Revisions
+// Replays an item's field-level edit history (item_revisions, newest first)
+// to answer "what did this item look like on date X", and builds the update
+// that puts a single field back. Pure functions over frontend-shaped items —
+// the service has already mapped DB columns to app keys.
+// =============================================================================
+
+import { formatMoney, parseLocalDate } from '../utils/index.js';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  brand: 'Brand',
+  category: 'Category',
+  condition: 'Condition',
+  location: 'Location',
+  locationId: 'Location ID',
+  purchaseDate: 'Purchase date',
+  purchasePrice: 'Purchase price',
+  currentValue: 'Current value',
+  dayRate: 'Day rate',
+  weekRate: 'Week rate',
+  serialNumber: 'Serial number',
+  quantity: 'Quantity',
+  reorderPoint: 'Reorder point',
+  lowStockAlert: 'Low stock alert',
+  isKit: 'Kit',
+  kitType: 'Kit type',
+  kitItems: 'Kit contents',
+  requiredAccessories: 'Required accessories',
+  specs: 'Specifications',
+};
+
+/** Item fields the revision trigger records — an edit to any of them files a revision. */
+export const REVISION_FIELDS = Object.keys(FIELD_LABELS);
+
+const MONEY_FIELDS = new Set(['purchasePrice', 'currentValue', 'dayRate', 'weekRate']);
+
+// The location text is denormalised from location_id — putting one back
+// without the other would leave the item pointing at two places
+const LINKED_FIELDS = { location: 'locationId', locationId: 'location' };
+
+// Checkout state: only checkout and check-in move it. record_item_revision
+// skips these columns, and they are dropped here too, so a revision that
+// carries one is never shown, replayed or put back.
+const CHECKOUT_STATE_FIELDS = new Set([
+  'status',
+  'checkedOutTo',
+  'checkedOutToUserId',
+  'checkedOutToBorrowerId',
+  'checkedOutDate',
+  'dueBack',
+  'checkoutProject',
+  'checkoutClientId',
+  'quantityOut',
+]);
+
+const changesOf = (revision) =>
+  (revision?.changes || []).filter((c) => !CHECKOUT_STATE_FIELDS.has(c.field));
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Display label for a revision field; unknown columns fall back to the key. */
+export function revisionFieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
+
+/** Display form of one field value in the revision list. */
+export function formatRevisionValue(field, value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (MONEY_FIELDS.has(field) && Number.isFinite(Number(value))) {
+    return formatMoney(Number(value), { cents: true });
+  }
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * The changes of one revision worth showing. locationId is dropped when the
+ * location text changed with it — it says the same thing less readably.
+ * @param {Object} revision
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function visibleChanges(revision) {
+  const changes = changesOf(revision);
+  const hasLocation = changes.some((c) => c.field === 'location');
+  return changes.filter((c) => !(hasLocation && c.field === 'locationId'));
+}
+
+/**
+ * Per-key differences inside a specs change, so a spec edit reads as
+ * "Sensor: S35 → FF" instead of two JSON blobs.
+ * @returns {Array<{key: string, from: *, to: *}>} Sorted by key
+ */
+export function diffSpecs(from, to) {
+  const before = from || {};
+  const after = to || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => !sameValue(before[key], after[key]))
+    .sort()
+    .map((key) => ({ key, from: before[key] ?? null, to: after[key] ?? null }));
+}
+
+// End of the chosen local day: "as of Oct 3" includes everything done on Oct 3
+const endOfDay = (asOf) => {
+  const d = new Date(parseLocalDate(asOf));
+  if (typeof asOf === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(asOf)) d.setHours(23, 59, 59, 999);
+  return d.getTime();
+};
+
+/**
+ * Reconstruct the item as it stood at a point in time by undoing every
+ * revision made after it, newest first.
+ * @param {Object} item - Current item
+ * @param {Array} revisions - The item's revisions (any order)
+ * @param {string|Date} asOf - Date-only strings mean the end of that local day
+ * @returns {Object} The item's fields as of that moment
+ */
+export function itemAsOf(item, revisions, asOf) {
+  const cutoff = endOfDay(asOf);
+  const snapshot = { ...item };
+  [...(revisions || [])]
+    .filter((r) => new Date(r.changedAt).getTime() > cutoff)
+    .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt))
+    .forEach((revision) => {
+      changesOf(revision).forEach(({ field, from }) => {
+        snapshot[field] = from;
+      });
+    });
+  return snapshot;
+}
+
+/**
+ * Fields whose value at the snapshot differs from the item now.
+ * @returns {Array<{field: string, then: *, now: *}>} In revision-field order
+ */
+export function diffItemAsOf(item, snapshot, revisions) {
+  const fields = [];
+  (revisions || []).forEach((r) =>
+    changesOf(r).forEach(({ field }) => {
+      if (!fields.includes(field)) fields.push(field);
+    }),
+  );
+  return fields
+    .filter((field) => !sameValue(snapshot[field], item[field]))
+    .filter((field) => !(field === 'locationId' && fields.includes('location')))
+    .map((field) => ({ field, then: snapshot[field] ?? null, now: item[field] ?? null }));
+}
+
+/** The old values a revision replaced, keyed by field. */
+export function revisionValues(revision) {
+  return Object.fromEntries(changesOf(revision).map((c) => [c.field, c.from]));
+}
+
+/**
+ * The update that puts one field back to an earlier value.
+ * @param {Object} item - Current item
+ * @param {string} field
+ * @param {Object} values - Earlier values by field: revisionValues(revision)
+ *   for an undo, or an itemAsOf snapshot for a restore
+ * @param {string} [specKey] - Restore only this key of specs
+ * @returns {Object} Partial item for dataContext.updateItem; empty for
+ *   checkout state, which is never put back by hand
+ */
+export function buildRevertPatch(item, field, values, specKey = null) {
+  if (CHECKOUT_STATE_FIELDS.has(field)) return {};
+  if (field === 'specs' && specKey) {
+    const specs = { ...(item.specs || {}) };
+    const earlier = values.specs?.[specKey];
+    if (earlier === undefined || earlier === null) delete specs[specKey];
+    else specs[specKey] = earlier;
+    return { specs };
+  }
+  const patch = { [field]: values[field] ?? null };
+  const partner = LINKED_FIELDS[field];
+  if (partner && partner in values && !sameValue(values[partner], item[partner])) {
+    patch[partner] = values[partner] ?? null;
+  }
+  return patch;
+}
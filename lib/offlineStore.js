@@ -0,0 +1,241 @@
+// =============================================================================
+// Offline snapshot + outbox
+// The service worker never caches Supabase responses, so a device that loses
+// signal has no data at all. This module keeps two device-local stores:
+//   snapshot — the last good inventory (plus packages, pack lists and the
+//              category settings), enough to look gear up and resolve QR
+//              scans with no connection
+//   outbox   — checkouts, check-ins and pack-list ticks made while offline,
+//              replayed in order by DataContext once the connection is back
+// Each queued op records the item state it was made against, so replay can
+// tell "the server moved on meanwhile" apart from a plain failure. Pure
+// functions over localStorage — unit-testable without React or a DB.
+// =============================================================================
+
+import { error as logError } from './logger.js';
+
+export const OFFLINE_KEYS = {
+  snapshot: 'sims-offline-snapshot',
+  outbox: 'sims-offline-outbox',
+  // The signed-in user's profile, so a cold start with no signal still gets
+  // past the profile fetch. Only honoured for the same auth user id.
+  profile: 'sims-offline-profile',
+};
+
+export const OUTBOX_OPS = {
+  CHECKOUT: 'checkout',
+  CHECKIN: 'checkin',
+  PACK_ITEM: 'pack-item',
+  PACK_PACKAGE: 'pack-package',
+};
+
+// Per-item detail the list view never needs — hydrated on demand online, and
+// the bulk of the bytes against the ~5 MB localStorage budget
+const SNAPSHOT_OMIT_FIELDS = [
+  'image',
+  'notes',
+  'reminders',
+  'maintenanceHistory',
+  'checkoutHistory',
+  'quantityCheckouts',
+];
+
+const readJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Quota errors are reported, not thrown: losing the snapshot must never break
+// the online flow that triggered the save
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    logError(`[offline] Could not save ${key}:`, err);
+    return false;
+  }
+};
+
+/** True when the browser reports no network at all. */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Whether a failed request never reached the server (connection dropped
+ * mid-replay, captive wifi) rather than being refused by it. Replay stops and
+ * keeps the op for next time instead of reporting it as a conflict.
+ */
+export function isNetworkError(err) {
+  if (isOffline()) return true;
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(
+    err?.message || '',
+  );
+}
+
+// =============================================================================
+// Snapshot
+// =============================================================================
+
+const slimItem = (item) => {
+  const slim = { ...item };
+  SNAPSHOT_OMIT_FIELDS.forEach((field) => delete slim[field]);
+  return slim;
+};
+
+/**
+ * Persist the data an offline session needs.
+ * @param {Object} data
+ * @param {Array} data.inventory
+ * @param {Array} [data.packages]
+ * @param {Array|null} [data.packLists] - null when never loaded this session
+ * @param {Array} [data.categories]
+ * @param {Object} [data.categorySettings]
+ * @param {string} [data.savedAt] - When the data was current; defaults to now
+ * @returns {boolean} Whether it was written
+ */
+export function saveSnapshot({
+  inventory,
+  packages = [],
+  packLists = null,
+  categories = [],
+  categorySettings = {},
+  savedAt = new Date().toISOString(),
+}) {
+  // Keep pack lists from an earlier snapshot when this session hasn't
+  // loaded them — otherwise visiting only the gear list would drop them
+  const lists = packLists ?? readJSON(OFFLINE_KEYS.snapshot, null)?.packLists ?? null;
+  return writeJSON(OFFLINE_KEYS.snapshot, {
+    savedAt,
+    inventory: (inventory || []).map(slimItem),
+    packages,
+    packLists: lists,
+    categories,
+    categorySettings,
+  });
+}
+
+/** @returns {Object|null} The last saved snapshot, or null when none/unreadable */
+export function loadSnapshot() {
+  const snapshot = readJSON(OFFLINE_KEYS.snapshot, null);
+  return Array.isArray(snapshot?.inventory) ? snapshot : null;
+}
+
+export function saveOfflineProfile(profile) {
+  if (profile?.id) writeJSON(OFFLINE_KEYS.profile, profile);
+}
+
+/** @param {string} userId - auth user id; another account's profile is never returned */
+export function loadOfflineProfile(userId) {
+  const profile = readJSON(OFFLINE_KEYS.profile, null);
+  return profile && profile.id === userId ? profile : null;
+}
+
+/**
+ * Sign-out: drop the cached inventory and profile. The outbox stays — it is
+ * work not yet on the server, and each op carries its own attribution.
+ */
+export function clearOfflineCache() {
+  try {
+    localStorage.removeItem(OFFLINE_KEYS.snapshot);
+    localStorage.removeItem(OFFLINE_KEYS.profile);
+  } catch {
+    /* ignore storage errors */
+  }
+}
+
+// =============================================================================
+// Outbox
+// =============================================================================
+
+export function loadOutbox() {
+  const ops = readJSON(OFFLINE_KEYS.outbox, []);
+  return Array.isArray(ops) ? ops : [];
+}
+
+export function saveOutbox(ops) {
+  if (!ops.length) {
+    try {
+      localStorage.removeItem(OFFLINE_KEYS.outbox);
+    } catch {
+      /* ignore storage errors */
+    }
+    return true;
+  }
+  return writeJSON(OFFLINE_KEYS.outbox, ops);
+}
+
+// What a check-in must still find on the server for the replay to be the
+// same return the operator made: the same borrower's checkout
+const checkoutBaseline = (item) =>
+  item
+    ? {
+        status: item.status,
+        checkedOutTo: item.checkedOutTo ?? null,
+        checkedOutDate: item.checkedOutDate ?? null,
+      }
+    : null;
+
+/**
+ * Build an outbox entry.
+ * @param {string} type - One of OUTBOX_OPS
+ * @param {Object} payload - The arguments the online call would have taken
+ * @param {Object} [item] - The local item (or package) the op was made against
+ */
+export function createOutboxOp(type, payload, item = null) {
+  return {
+    id: `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    queuedAt: new Date().toISOString(),
+    itemName: item?.name || null,
+    baseline: type === OUTBOX_OPS.CHECKIN ? checkoutBaseline(item) : null,
+    payload,
+  };
+}
+
+/**
+ * Whether a queued check-in no longer matches the server's row — the item
+ * was returned and handed out again (or deleted) while this device was
+ * offline. Replaying it would close someone else's checkout. Checkouts need
+ * no pre-check: checkout_item itself refuses an item that is already out.
+ * @param {Object} op - Outbox entry
+ * @param {Object|null} serverItem - Current row in frontend shape
+ * @returns {string|null} Operator explanation, or null when safe to replay
+ */
+export function detectCheckinConflict(op, serverItem) {
+  const name = op.itemName || op.payload?.itemId || 'Item';
+  if (!serverItem) return `${name} no longer exists`;
+  if (serverItem.status !== 'checked-out') return `${name} was already checked in`;
+  const base = op.baseline;
+  // A null date means the checkout was itself queued offline — the server
+  // stamps its own date on replay, so only the borrower can be compared
+  if (
+    base &&
+    (serverItem.checkedOutTo !== base.checkedOutTo ||
+      (base.checkedOutDate && serverItem.checkedOutDate !== base.checkedOutDate))
+  ) {
+    return `${name} was checked out again to ${serverItem.checkedOutTo || 'someone else'} — return not applied`;
+  }
+  return null;
+}
+
+/** One-line description of a queued op for the sync banner. */
+export function describeOutboxOp(op) {
+  const name = op.itemName || op.payload?.itemId || op.payload?.packageId || 'item';
+  switch (op.type) {
+    case OUTBOX_OPS.CHECKOUT:
+      return `Check out ${name} to ${op.payload?.checkoutData?.userName || 'borrower'}`;
+    case OUTBOX_OPS.CHECKIN:
+      return `Check in ${name}`;
+    case OUTBOX_OPS.PACK_ITEM:
+    case OUTBOX_OPS.PACK_PACKAGE:
+      return `${op.payload?.isPacked ? 'Pack' : 'Unpack'} ${name}`;
+    default:
+      return op.type;
+  }
+}
@@ -0,0 +1,215 @@
+// =============================================================================
+// Rental pricing — rate math and quote assembly
+// Rates live on inventory rows (per unit) and packages (per bundle); the
+// house-wide multi-day discount and tax rate come from pricing_settings.
+// A NULL rate means "not priced": the quote still lists the line, without a
+// charge, and reports it as unpriced instead of quietly billing $0.
+//
+// Pure — QuoteModal feeds it the reservation group, QuoteDocument renders it.
+// =============================================================================
+
+import { parseLocalDate } from '../utils';
+
+export const DEFAULT_PRICING = {
+  // Billable days per 7-day week: 7 = no multi-day discount, 3 = "3-day week"
+  daysPerWeek: 7,
+  // Percent
+  taxRate: 0,
+  quoteTerms: '',
+  // Invoices fall due this many days after issue
+  invoiceDueDays: 30,
+  // Late fee per overdue day, as a percent of the day rate
+  lateFeePercent: 100,
+  // Checkout agreement wording; empty uses DEFAULT_AGREEMENT_TERMS
+  agreementTerms: '',
+  // Checkout and check-in need the borrower's signature
+  requireAgreement: false,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+const hasRate = (rates) => rates?.dayRate != null || rates?.weekRate != null;
+
+/**
+ * Read a rate out of a form field or CSV cell.
+ * @returns {number|null} null for blank (unpriced); NaN when unreadable so
+ *   validators can reject it
+ */
+export function parseRate(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/[$,\s]/g, '');
+  if (text === '') return null;
+  return Number(text);
+}
+
+/**
+ * Billable days for a booking, counting both the pickup and return day
+ * (a same-day rental is one day).
+ */
+export function rentalDays(start, end) {
+  if (!start) return 0;
+  const from = parseLocalDate(start);
+  const to = parseLocalDate(end || start);
+  // Math.round absorbs the 23/25-hour days around DST changes
+  return Math.max(1, Math.round((to - from) / DAY_MS) + 1);
+}
+
+/**
+ * The week rate in effect — an explicit one, else day rate × billable days
+ * per week.
+ */
+export function effectiveWeekRate(rates, daysPerWeek = DEFAULT_PRICING.daysPerWeek) {
+  if (rates?.weekRate != null) return Number(rates.weekRate);
+  if (rates?.dayRate != null) return round2(Number(rates.dayRate) * daysPerWeek);
+  return null;
+}
+
+/**
+ * Charge for one unit over a number of days: whole weeks at the week rate,
+ * leftover days at the day rate but never more than another week costs.
+ * @param {{dayRate?: number|null, weekRate?: number|null}} rates
+ * @param {number} days
+ * @param {Object} [opts]
+ * @param {number} [opts.daysPerWeek]
+ * @returns {{amount: number, weeks: number, days: number}|null} null when unpriced;
+ *   weeks/days describe how the amount was reached
+ */
+export function rentalCharge(rates, days, { daysPerWeek = DEFAULT_PRICING.daysPerWeek } = {}) {
+  if (!hasRate(rates)) return null;
+  const weekRate = effectiveWeekRate(rates, daysPerWeek);
+  const dayRate = rates.dayRate != null ? Number(rates.dayRate) : null;
+
+  const weeks = Math.floor(days / 7);
+  const extraDays = days % 7;
+  // Only a week rate: a partial week bills as a full one
+  const extra =
+    extraDays === 0 ? 0 : dayRate == null ? weekRate : Math.min(extraDays * dayRate, weekRate);
+
+  return { amount: round2(weeks * weekRate + extra), weeks, days: extraDays };
+}
+
+/** "1 wk + 2 days" — how a line's period was billed */
+export function describePeriod({ weeks, days }) {
+  const parts = [];
+  if (weeks) parts.push(`${weeks} wk`);
+  if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+  return parts.join(' + ');
+}
+
+/**
+ * Take whole priced packages out of the booked units, largest first. A
+ * package is only billed as a bundle when every unit it needs is booked.
+ */
+function takePackages(packages, remaining) {
+  const bundles = [];
+  const candidates = (packages || [])
+    .filter((pkg) => hasRate(pkg) && pkg.items?.length > 0)
+    .sort((a, b) => b.items.length - a.items.length);
+
+  candidates.forEach((pkg) => {
+    const need = (id) => pkg.itemQuantities?.[id] || 1;
+    const count = Math.min(
+      ...pkg.items.map((id) => Math.floor((remaining.get(id) || 0) / need(id))),
+    );
+    if (count < 1) return;
+    pkg.items.forEach((id) => remaining.set(id, remaining.get(id) - need(id) * count));
+    bundles.push({ pkg, count });
+  });
+  return bundles;
+}
+
+/**
+ * Build a quote for a reservation group.
+ * @param {Object} params
+ * @param {Object[]} params.items - Inventory items booked
+ * @param {Object<string, number>} [params.quantities] - Units booked per item id (default 1)
+ * @param {Object[]} [params.packages] - Packages to bundle-price where fully booked
+ * @param {string} params.start - YYYY-MM-DD
+ * @param {string} params.end - YYYY-MM-DD
+ * @param {Object} [params.settings] - Pricing settings (daysPerWeek)
+ * @param {number} [params.discountPercent=0]
+ * @param {number} [params.taxRate] - Percent; defaults to settings.taxRate
+ * @returns {{
+ *   days: number,
+ *   lines: Array<{kind: 'package'|'item', id: string, name: string, quantity: number,
+ *     unitPrice: number|null, amount: number|null, period: string, itemIds?: string[]}>,
+ *   subtotal: number, discountPercent: number, discount: number,
+ *   taxRate: number, tax: number, total: number, unpriced: string[]
+ * }}
+ */
+export function buildQuote({
+  items,
+  quantities = {},
+  packages = [],
+  start,
+  end,
+  settings = DEFAULT_PRICING,
+  discountPercent = 0,
+  taxRate = settings.taxRate ?? 0,
+}) {
+  const days = rentalDays(start, end);
+  const opts = { daysPerWeek: Number(settings.daysPerWeek) || DEFAULT_PRICING.daysPerWeek };
+  const remaining = new Map((items || []).map((item) => [item.id, quantities[item.id] || 1]));
+
+  const lines = [];
+  takePackages(packages, remaining).forEach(({ pkg, count }) => {
+    const charge = rentalCharge(pkg, days, opts);
+    lines.push({
+      kind: 'package',
+      id: pkg.id,
+      name: pkg.name,
+      quantity: count,
+      unitPrice: charge.amount,
+      amount: round2(charge.amount * count),
+      period: describePeriod(charge),
+      itemIds: pkg.items,
+    });
+  });
+
+  const unpriced = [];
+  (items || []).forEach((item) => {
+    const quantity = remaining.get(item.id);
+    if (!quantity) return;
+    const charge = rentalCharge(item, days, opts);
+    if (!charge) unpriced.push(item.name);
+    lines.push({
+      kind: 'item',
+      id: item.id,
+      name: item.name,
+      quantity,
+      unitPrice: charge ? charge.amount : null,
+      amount: charge ? round2(charge.amount * quantity) : null,
+      period: charge ? describePeriod(charge) : '',
+    });
+  });
+
+  return { days, lines, ...priceTotals(lines, { discountPercent, taxRate }), unpriced };
+}
+
+/**
+ * Subtotal, discount, tax and total for a set of lines. The discount comes
+ * off first and tax applies to what is left; unpriced (null) lines add
+ * nothing. create_invoice repeats this in SQL for the stored totals.
+ * @param {Array<{amount: number|null}>} lines
+ * @param {Object} [opts]
+ * @param {number|string} [opts.discountPercent=0] - Clamped to 0–100
+ * @param {number|string} [opts.taxRate=0] - Percent
+ */
+export function priceTotals(lines, { discountPercent = 0, taxRate = 0 } = {}) {
+  const subtotal = round2(lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+  const discountPct = Math.min(100, Math.max(0, Number(discountPercent) || 0));
+  const discount = round2((subtotal * discountPct) / 100);
+  const taxPct = Math.max(0, Number(taxRate) || 0);
+  const tax = round2(((subtotal - discount) * taxPct) / 100);
+
+  return {
+    subtotal,
+    discountPercent: discountPct,
+    discount,
+    taxRate: taxPct,
+    tax,
+    total: round2(subtotal - discount + tax),
+  };
+}
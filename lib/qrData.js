@@ -106,3 +106,33 @@ export function truncateScannedCode(code, max = 40) {
   const text = String(code ?? '');
   return text.length > max ? `${text.slice(0, max)}…` : text;
 }
+
+/**
+ * Add a resolved scan to a continuous scan session. Package labels expand to
+ * their member items so a kit case scans as everything inside it; items
+ * already in the session are reported back rather than listed twice.
+ * @param {string[]} sessionIds - Item ids already scanned, in scan order.
+ * @param {{type: 'item'|'package', entity: Object}} target - resolveScannedCode output.
+ * @param {Array} inventory - Items, to look up package members.
+ * @returns {{ids: string[], added: Object[], duplicates: Object[], missing: string[]}}
+ *   The new id list, items newly added, items that were already listed, and
+ *   package member ids with no inventory row.
+ */
+export function addScanToSession(sessionIds, target, inventory) {
+  const seen = new Set(sessionIds);
+  const byId = new Map((inventory || []).map((i) => [i.id, i]));
+  const memberIds = target.type === 'package' ? target.entity.items || [] : [target.entity.id];
+  const added = [];
+  const duplicates = [];
+  const missing = [];
+  memberIds.forEach((id) => {
+    const item = target.type === 'item' ? target.entity : byId.get(id);
+    if (!item) missing.push(id);
+    else if (seen.has(item.id)) duplicates.push(item);
+    else {
+      seen.add(item.id);
+      added.push(item);
+    }
+  });
+  return { ids: [...sessionIds, ...added.map((i) => i.id)], added, duplicates, missing };
+}
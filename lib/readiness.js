@@ -0,0 +1,196 @@
+// =============================================================================
+// Pre-checkout readiness checks
+//
+// Before gear goes out, each item is checked for overdue maintenance, an
+// open damage report, required accessories left out of the checkout and a
+// poor condition, and the borrower for gear already overdue. Each category
+// sets every check to off, warn or block (categories.readiness_rules);
+// a block holds the checkout until the operator overrides it with a reason.
+//
+// Pure — the modals evaluate, the checkout handlers record overrides.
+// =============================================================================
+
+import { STATUS, CONDITION, MAINTENANCE_STATUS } from '../constants.js';
+import { formatDate, getTodayISO, isReminderDue } from '../utils';
+
+export const READINESS_LEVELS = {
+  OFF: 'off',
+  WARN: 'warn',
+  BLOCK: 'block',
+};
+
+export const READINESS_RULES = {
+  MAINTENANCE: 'maintenance',
+  DAMAGE: 'damage',
+  ACCESSORIES: 'accessories',
+  BORROWER_OVERDUE: 'borrowerOverdue',
+  CONDITION: 'condition',
+};
+
+// Admin labels, in display order
+export const READINESS_RULE_OPTIONS = [
+  { id: READINESS_RULES.MAINTENANCE, label: 'Overdue maintenance' },
+  { id: READINESS_RULES.DAMAGE, label: 'Open damage report' },
+  { id: READINESS_RULES.ACCESSORIES, label: 'Missing accessories' },
+  { id: READINESS_RULES.BORROWER_OVERDUE, label: 'Borrower has overdue gear' },
+  { id: READINESS_RULES.CONDITION, label: 'Poor condition' },
+];
+
+export const DEFAULT_READINESS_RULES = Object.fromEntries(
+  READINESS_RULE_OPTIONS.map(({ id }) => [id, READINESS_LEVELS.WARN]),
+);
+
+const LEVEL_RANK = { off: 0, warn: 1, block: 2 };
+
+/**
+ * A category's rule levels, defaults filled in. Unknown values read as warn.
+ * @param {Object} categorySettings - { [category]: { readinessRules } }
+ * @param {string} category
+ * @returns {Object} { [rule]: 'off'|'warn'|'block' }
+ */
+export function readinessRulesFor(categorySettings, category) {
+  const saved = categorySettings?.[category]?.readinessRules || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_READINESS_RULES).map(([rule, fallback]) => [
+      rule,
+      saved[rule] in LEVEL_RANK ? saved[rule] : fallback,
+    ]),
+  );
+}
+
+// Maintenance the item should have had by now: a due reminder, work in
+// progress, or scheduled work whose date has passed
+function maintenanceProblems(item, today) {
+  const problems = (item.reminders || [])
+    .filter(isReminderDue)
+    .map((r) => `${r.title || 'Reminder'} was due ${formatDate(r.dueDate)}`);
+  (item.maintenanceHistory || []).forEach((m) => {
+    if (m.status === MAINTENANCE_STATUS.IN_PROGRESS) {
+      problems.push(`${m.type || 'Maintenance'} in progress`);
+    } else if (
+      m.status === MAINTENANCE_STATUS.SCHEDULED &&
+      m.scheduledDate &&
+      m.scheduledDate <= today
+    ) {
+      problems.push(`${m.type || 'Maintenance'} was scheduled for ${formatDate(m.scheduledDate)}`);
+    }
+  });
+  return problems;
+}
+
+const sameBorrower = (item, borrower) =>
+  (borrower.id && item.checkedOutToBorrowerId === borrower.id) ||
+  (borrower.userId && item.checkedOutToUserId === borrower.userId) ||
+  (!!borrower.name &&
+    (item.checkedOutTo || '').trim().toLowerCase() === borrower.name.trim().toLowerCase());
+
+/**
+ * Evaluate the readiness checks for a checkout.
+ * @param {Object} options
+ * @param {Object[]} options.items - Items being checked out together
+ * @param {Object[]} options.inventory - Full inventory (accessories, borrower's gear)
+ * @param {Object} options.categorySettings
+ * @param {{name: string, id?: string, userId?: string}} [options.borrower] - id is the borrower account
+ * @param {Object} [options.damageReports] - { [itemId]: { reportedAt, description } }
+ * @param {string} [options.today] - YYYY-MM-DD
+ * @returns {{issues: Object[], blocked: boolean}} issues are
+ *   { rule, level, itemId, itemName, message }; itemId is null for the
+ *   borrower check, which covers the whole checkout
+ */
+export function evaluateReadiness({
+  items,
+  inventory = [],
+  categorySettings = {},
+  borrower = { name: '' },
+  damageReports = {},
+  today = getTodayISO(),
+}) {
+  const issues = [];
+  const checkoutIds = new Set(items.map((i) => i.id));
+  const byId = new Map(inventory.map((i) => [i.id, i]));
+  let borrowerLevel = READINESS_LEVELS.OFF;
+
+  const add = (level, rule, item, message) => {
+    if (level === READINESS_LEVELS.OFF) return;
+    issues.push({ rule, level, itemId: item.id, itemName: item.name || item.id, message });
+  };
+
+  items.forEach((item) => {
+    const rules = readinessRulesFor(categorySettings, item.category);
+
+    maintenanceProblems(item, today).forEach((problem) =>
+      add(rules.maintenance, READINESS_RULES.MAINTENANCE, item, problem),
+    );
+
+    const damage = damageReports[item.id];
+    if (damage) {
+      const when = damage.reportedAt ? ` on ${formatDate(damage.reportedAt.slice(0, 10))}` : '';
+      add(
+        rules.damage,
+        READINESS_RULES.DAMAGE,
+        item,
+        `Damage reported${when}${damage.description ? `: ${damage.description}` : ''}`,
+      );
+    }
+
+    (item.requiredAccessories || []).forEach((accessoryId) => {
+      if (checkoutIds.has(accessoryId)) return;
+      const accessory = byId.get(accessoryId);
+      // Deleted accessories, and ones the borrower already has, aren't missing
+      if (!accessory) return;
+      if (accessory.status === STATUS.CHECKED_OUT && sameBorrower(accessory, borrower)) return;
+      add(
+        rules.accessories,
+        READINESS_RULES.ACCESSORIES,
+        item,
+        `Required accessory not included: ${accessory.name || accessoryId}`,
+      );
+    });
+
+    if (item.condition === CONDITION.POOR) {
+      add(rules.condition, READINESS_RULES.CONDITION, item, 'Condition is poor');
+    }
+
+    if (LEVEL_RANK[rules.borrowerOverdue] > LEVEL_RANK[borrowerLevel]) {
+      borrowerLevel = rules.borrowerOverdue;
+    }
+  });
+
+  // One borrower check for the whole checkout, at the strictest level any
+  // of its categories asks for
+  if (borrowerLevel !== READINESS_LEVELS.OFF && (borrower.name || borrower.id || borrower.userId)) {
+    const overdue = inventory.filter(
+      (i) =>
+        i.status === STATUS.CHECKED_OUT &&
+        !checkoutIds.has(i.id) &&
+        i.dueBack &&
+        i.dueBack < today &&
+        sameBorrower(i, borrower),
+    );
+    if (overdue.length > 0) {
+      const names = overdue.map((i) => i.name || i.id);
+      issues.push({
+        rule: READINESS_RULES.BORROWER_OVERDUE,
+        level: borrowerLevel,
+        itemId: null,
+        itemName: null,
+        message: `${borrower.name || 'The borrower'} has ${overdue.length} overdue item${overdue.length === 1 ? '' : 's'}: ${names.slice(0, 3).join(', ')}${names.length > 3 ? ` and ${names.length - 3} more` : ''}`,
+      });
+    }
+  }
+
+  return { issues, blocked: issues.some((i) => i.level === READINESS_LEVELS.BLOCK) };
+}
+
+/**
+ * The blocking issues an override of this item's checkout covers: its own,
+ * plus the borrower check.
+ * @param {Object[]} issues - evaluateReadiness() issues
+ * @param {string} itemId
+ * @returns {Object[]}
+ */
+export function blockingIssuesFor(issues, itemId) {
+  return issues.filter(
+    (i) => i.level === READINESS_LEVELS.BLOCK && (i.itemId === itemId || i.itemId === null),
+  );
+}
@@ -14,6 +14,13 @@
 
 import { isLowStock, isItemOverdue, getTodayISO, toLocalYMD, groupReservationsForSchedule } from '../utils';
 import { INVENTORY_COLUMNS } from './inventoryCsv.js';
+import { invoiceBalance, daysPastDue } from './invoicing.js';
+import {
+  DEPOSIT_METHODS,
+  DEPOSIT_STATUS,
+  DEPOSIT_STATUS_LABELS,
+  refundedAmount,
+} from './deposits.js';
 
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 const DAYS_MON_FIRST = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -327,6 +334,11 @@ export const valueDistribution = (inventory) =>
 // ACTIVITY
 // =============================================================================
 
+/**
+ * Lifetime checkout counters. How much of the time items spend out is
+ * lib/utilization.js's job: a count of items ever checked out said nothing
+ * about whether a camera went out once or lived on set.
+ */
 export const computeActivityStats = (inventory, todayISO = getTodayISO()) => {
   const totalCheckouts = inventory.reduce((sum, i) => sum + (i.checkoutCount || 0), 0);
   const currentlyOut = inventory.filter((i) => i.status === 'checked-out');
@@ -370,10 +382,6 @@ export const computeActivityStats = (inventory, todayISO = getTodayISO()) => {
       isOverdue: isItemOverdue(item, todayISO),
     }));
 
-  const utilizedCount = inventory.filter((i) => (i.checkoutCount || 0) > 0).length;
-  const utilizationRate =
-    inventory.length > 0 ? Math.round((utilizedCount / inventory.length) * 100) : 0;
-
   return {
     totalCheckouts,
     currentlyOut: currentlyOut.length,
@@ -382,7 +390,6 @@ export const computeActivityStats = (inventory, todayISO = getTodayISO()) => {
     frequencyBuckets,
     byCategory,
     checkedOutDetails,
-    utilizationRate,
   };
 };
 
@@ -483,6 +490,64 @@ export const dayOfWeekCounts = (events) => {
   return DAYS_MON_FIRST.map((label, i) => ({ label, value: counts[i] }));
 };
 
+// =============================================================================
+// RECEIVABLES
+// =============================================================================
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1–30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31–60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61–90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity },
+];
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+const cents = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Accounts-receivable aging: every unpaid sent invoice, bucketed by days
+ * past its due date, rolled up per client (largest balance first). Drafts
+ * aren't owed yet and void invoices never will be.
+ */
+export const computeReceivablesAging = (invoices, todayISO = getTodayISO()) => {
+  const byClient = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+  const open = [];
+
+  invoices.forEach((invoice) => {
+    const balance = invoiceBalance(invoice);
+    if (balance <= 0) return;
+    const late = daysPastDue(invoice, todayISO);
+    const bucket = AGING_BUCKETS.find((b) => late <= b.maxDays).key;
+
+    const key = invoice.clientId || invoice.clientName;
+    if (!byClient.has(key)) {
+      byClient.set(key, {
+        clientId: invoice.clientId,
+        clientName: invoice.clientName,
+        ...emptyBuckets(),
+        total: 0,
+        invoiceCount: 0,
+      });
+    }
+    const row = byClient.get(key);
+    row[bucket] = cents(row[bucket] + balance);
+    row.total = cents(row.total + balance);
+    row.invoiceCount += 1;
+    totals[bucket] = cents(totals[bucket] + balance);
+    totals.total = cents(totals.total + balance);
+    open.push({ ...invoice, balance, daysPastDue: late, bucket });
+  });
+
+  return {
+    clients: [...byClient.values()].sort((a, b) => b.total - a.total),
+    invoices: open.sort((a, b) => b.daysPastDue - a.daysPastDue),
+    totals,
+    overdue: cents(totals.total - totals.current),
+  };
+};
+
 // =============================================================================
 // CSV BUILDERS — {headers, rows, filename}; views hand these to downloadCSV
 // =============================================================================
@@ -526,6 +591,50 @@ export const csvForActivity = (inventory, now = new Date()) => ({
   filename: `activity-report-${csvDate(now)}.csv`,
 });
 
+const percentCell = (fraction) => (fraction == null ? '' : Math.round(fraction * 100));
+const moneyCell = (amount) => (amount == null ? '' : Math.round(amount * 100) / 100);
+
+/** Per-item utilization and ROI over the report window (lib/utilization.js). */
+export const csvForUtilization = (utilization, now = new Date()) => ({
+  headers: [
+    'Item ID',
+    'Name',
+    'Category',
+    'Days Owned',
+    'Days Out',
+    'Days Reserved',
+    'Utilization %',
+    'Longest Idle (days)',
+    'Idle Now (days)',
+    'Last Out',
+    'Purchase Price',
+    'Maintenance Cost',
+    'Rental Revenue',
+    'ROI %',
+    'Sell Candidate',
+  ],
+  rows: [...utilization.items]
+    .sort((a, b) => b.utilization - a.utilization || a.name.localeCompare(b.name))
+    .map((row) => [
+      row.id,
+      row.name,
+      row.category,
+      row.daysOwned,
+      row.daysOut,
+      row.daysReserved,
+      percentCell(row.utilization),
+      row.longestIdle,
+      row.currentIdle,
+      row.lastOutDate || '',
+      moneyCell(row.purchasePrice),
+      moneyCell(row.maintenance),
+      moneyCell(row.revenue),
+      percentCell(row.roi),
+      utilization.sellCandidates.some((c) => c.id === row.id) ? 'Yes' : '',
+    ]),
+  filename: `utilization-report-${csvDate(now)}.csv`,
+});
+
 export const csvForAlerts = (allAlerts, now = new Date()) => ({
   headers: [
     'Item ID',
@@ -632,3 +741,70 @@ export const csvForClients = (clientsWithStats, now = new Date()) => ({
   ]),
   filename: `client-report-${csvDate(now)}.csv`,
 });
+
+export const csvForReceivables = (openInvoices, now = new Date()) => ({
+  headers: [
+    'Invoice',
+    'Client',
+    'Project',
+    'Issued',
+    'Due',
+    'Total',
+    'Paid',
+    'Balance',
+    'Days Past Due',
+    'Aging',
+  ],
+  rows: openInvoices.map((inv) => [
+    inv.id,
+    inv.clientName || '',
+    inv.project || '',
+    inv.issueDate || '',
+    inv.dueDate || '',
+    inv.total,
+    inv.amountPaid,
+    inv.balance,
+    inv.daysPastDue,
+    AGING_BUCKETS.find((b) => b.key === inv.bucket)?.label || '',
+  ]),
+  filename: `receivables-aging-${csvDate(now)}.csv`,
+});
+
+/** Deposit ledger CSV — one row per deposit, item names where still known */
+export const csvForDeposits = (deposits, inventory = [], now = new Date()) => {
+  const names = new Map(inventory.map((i) => [i.id, i.name]));
+  return {
+    headers: [
+      'Received',
+      'Borrower',
+      'Project',
+      'Items',
+      'Amount',
+      'Method',
+      'Reference',
+      'Status',
+      'Kept',
+      'Refunded',
+      'Reason',
+      'Settled',
+    ],
+    rows: deposits.map((d) => {
+      const settled = d.status !== DEPOSIT_STATUS.HELD;
+      return [
+        d.receivedAt ? toLocalYMD(new Date(d.receivedAt)) : '',
+        d.borrowerName,
+        d.project || '',
+        (d.itemIds || []).map((id) => names.get(id) || id).join('; '),
+        Number(d.amount) || 0,
+        DEPOSIT_METHODS.find((m) => m.value === d.method)?.label || d.method || '',
+        d.reference || '',
+        DEPOSIT_STATUS_LABELS[d.status] || d.status,
+        settled ? Number(d.deductedAmount) || 0 : '',
+        settled ? refundedAmount(d) : '',
+        d.deductionReason || '',
+        d.settledAt ? toLocalYMD(new Date(d.settledAt)) : '',
+      ];
+    }),
+    filename: `deposit-ledger-${csvDate(now)}.csv`,
+  };
+};
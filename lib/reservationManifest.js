@@ -0,0 +1,164 @@
+// =============================================================================
+// Reservation manifest — what a job booked, packed, took and brought back
+//
+// One line per item touched by a reservation group: the units its rows book,
+// whether a pack list made from the group has it (and ticked it), and the
+// checkouts of the job with the returns that closed them. A checkout belongs
+// to the job when it picked up one of the group's rows (checkout_history
+// .reservation_id), or — for a plain check-out at the cage — when it carries
+// the job's project name inside the reservation's dates.
+//
+// Three things get flagged: booked but never taken once the load-out has
+// happened (or the start date has passed), taken without being booked, and
+// still out after the end date.
+//
+// Pure — the reservation detail page fetches the history and feeds it in.
+// =============================================================================
+
+import { STATUS } from '../constants.js';
+import { isQuantityTracked, toLocalYMD } from '../utils';
+
+const eventDate = (event) => (event.timestamp ? toLocalYMD(new Date(event.timestamp)) : null);
+const units = (event) => Number(event.quantity) || 1;
+const byTime = (a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+
+/**
+ * The item ids a pack list holds — listed directly or through a package.
+ * @param {Object} list - Pack list ({ items, packages, packedItems, packedPackages })
+ * @param {Object[]} packages
+ * @param {boolean} [packedOnly] - Only what has been ticked off
+ * @returns {Set<string>}
+ */
+function packListItemIds(list, packages, packedOnly = false) {
+  const ids = new Set(packedOnly ? list.packedItems || [] : (list.items || []).map((i) => i.id));
+  (packedOnly ? list.packedPackages : list.packages)?.forEach((packageId) =>
+    (packages.find((p) => p.id === packageId)?.items || []).forEach((id) => ids.add(id)),
+  );
+  return ids;
+}
+
+/**
+ * Build the manifest for a reservation group.
+ * @param {Object} options
+ * @param {{itemId: string, row: Object}[]} options.rows - The group's reservation rows
+ * @param {Object[]} options.inventory
+ * @param {Object[]} [options.packLists] - Every pack list; those made from the group are used
+ * @param {Object[]} [options.packages]
+ * @param {Object[]} [options.history] - checkout_history rows: the job's checkouts and the
+ *   returns of its items since it started
+ * @param {string} [options.project]
+ * @param {string} options.start
+ * @param {string} options.end
+ * @param {string} options.today - YYYY-MM-DD
+ * @param {Object} [options.categorySettings]
+ * @returns {{
+ *   lines: {itemId: string, item: Object, reserved: number, onPackList: boolean,
+ *     packed: boolean, out: number, returned: number, outstanding: number,
+ *     flags: ('not-taken'|'unreserved'|'not-returned')[]}[],
+ *   counts: {notTaken: number, unreserved: number, notReturned: number},
+ *   returnable: string[]
+ * }}
+ */
+export function buildReservationManifest({
+  rows = [],
+  inventory = [],
+  packLists = [],
+  packages = [],
+  history = [],
+  project = '',
+  start,
+  end,
+  today,
+  categorySettings = null,
+}) {
+  const rowIds = new Set(rows.map(({ row }) => row.id));
+  const groupKeys = new Set([...rowIds, ...rows.map(({ row }) => row.groupId).filter(Boolean)]);
+  const last = end || start;
+
+  const reserved = new Map();
+  rows.forEach(({ itemId, row }) =>
+    reserved.set(itemId, (reserved.get(itemId) || 0) + (Number(row.quantity) || 1)),
+  );
+
+  // Pack lists remember the group they came from (reservation_group_id)
+  const lists = packLists.filter((pl) => groupKeys.has(pl.reservation_group_id));
+  const listed = new Set();
+  const packed = new Set();
+  lists.forEach((list) => {
+    packListItemIds(list, packages).forEach((id) => listed.add(id));
+    packListItemIds(list, packages, true).forEach((id) => packed.add(id));
+  });
+
+  const isJobCheckout = (event) => {
+    if (event.action !== 'checkout') return false;
+    if (event.reservationId) return rowIds.has(event.reservationId);
+    const day = eventDate(event);
+    return !!project && event.project === project && !!day && day >= start && day <= last;
+  };
+  const checkouts = history.filter(isJobCheckout).sort(byTime);
+  const returns = history
+    .filter((e) => e.action === 'checkin' || e.action === 'consume')
+    .sort(byTime);
+
+  // Each checkout is closed by the first later return of the same item
+  const out = new Map();
+  const returned = new Map();
+  const used = new Set();
+  checkouts.forEach((checkout) => {
+    out.set(checkout.itemId, (out.get(checkout.itemId) || 0) + units(checkout));
+    const match = returns.find(
+      (r) => !used.has(r) && r.itemId === checkout.itemId && byTime(r, checkout) >= 0,
+    );
+    if (!match) return;
+    used.add(match);
+    returned.set(
+      checkout.itemId,
+      (returned.get(checkout.itemId) || 0) + Math.min(units(match), units(checkout)),
+    );
+  });
+
+  const anyTaken = checkouts.length > 0;
+  const itemIds = [
+    ...reserved.keys(),
+    ...[...new Set([...out.keys(), ...packed, ...listed])].filter((id) => !reserved.has(id)),
+  ];
+
+  const lines = itemIds.map((itemId) => {
+    const item = inventory.find((i) => i.id === itemId) || { id: itemId, name: itemId };
+    const taken = out.get(itemId) || 0;
+    const back = returned.get(itemId) || 0;
+    // The live row wins for serialized gear: a check-in still queued
+    // offline has no history row yet, but the item is already back
+    const serialized = !isQuantityTracked(item, categorySettings);
+    const outstanding =
+      serialized && item.status !== STATUS.CHECKED_OUT ? 0 : Math.max(taken - back, 0);
+    const flags = [];
+    if (reserved.has(itemId) && !taken && (anyTaken || today > start)) flags.push('not-taken');
+    if (taken && !reserved.has(itemId)) flags.push('unreserved');
+    if (outstanding && today > last) flags.push('not-returned');
+    return {
+      itemId,
+      item,
+      reserved: reserved.get(itemId) || 0,
+      onPackList: listed.has(itemId),
+      packed: packed.has(itemId),
+      out: taken,
+      returned: taken - outstanding,
+      outstanding,
+      flags,
+      serialized,
+    };
+  });
+
+  const count = (flag) => lines.filter((l) => l.flags.includes(flag)).length;
+  return {
+    lines: lines.map(({ serialized: _serialized, ...line }) => line),
+    counts: {
+      notTaken: count('not-taken'),
+      unreserved: count('unreserved'),
+      notReturned: count('not-returned'),
+    },
+    // Quantity-tracked units are settled per borrower, not from here
+    returnable: lines.filter((l) => l.outstanding && l.serialized).map((l) => l.itemId),
+  };
+}
@@ -0,0 +1,74 @@
+// =============================================================================
+// Scan Feedback
+// Beep + vibrate for the continuous scan session, so an operator working
+// through a cart can keep their eyes on the labels instead of the screen.
+// Best-effort: browsers without Web Audio or the Vibration API (iOS Safari
+// has no vibrate) simply stay silent.
+// =============================================================================
+
+// tone: [frequency Hz, duration ms]; vibrate: navigator.vibrate pattern
+const FEEDBACK = {
+  added: { tones: [[1320, 90]], vibrate: 60 },
+  duplicate: {
+    tones: [
+      [660, 70],
+      [660, 70],
+    ],
+    vibrate: [40, 60, 40],
+  },
+  error: { tones: [[220, 250]], vibrate: [120, 80, 120] },
+};
+
+let audioContext = null;
+
+// One shared context — browsers cap how many a page may open, and a 60-item
+// load-out would otherwise create one per beep
+function getAudioContext() {
+  if (audioContext) return audioContext;
+  const Ctor = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!Ctor) return null;
+  try {
+    audioContext = new Ctor();
+  } catch {
+    return null;
+  }
+  return audioContext;
+}
+
+function playTones(tones) {
+  const ctx = getAudioContext();
+  if (!ctx) return;
+  try {
+    if (ctx.state === 'suspended') ctx.resume();
+    let at = ctx.currentTime;
+    tones.forEach(([frequency, ms]) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = frequency;
+      gain.gain.value = 0.08;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(at);
+      osc.stop(at + ms / 1000);
+      at += (ms + 50) / 1000;
+    });
+  } catch {
+    /* audio is a nicety — never break a scan over it */
+  }
+}
+
+/**
+ * Signal a scan outcome.
+ * @param {'added'|'duplicate'|'error'} kind
+ */
+export function scanFeedback(kind) {
+  const feedback = FEEDBACK[kind];
+  if (!feedback) return;
+  playTones(feedback.tones);
+  try {
+    navigator.vibrate?.(feedback.vibrate);
+  } catch {
+    /* unsupported */
+  }
+}
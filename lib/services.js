@@ -4,9 +4,12 @@
 // =============================================================================
 
 import { getSupabase } from './supabase.js';
+import { env } from './env.js';
 import { warn } from './logger.js';
 import { liftUserRow } from './userSettings.js';
 import { toLocalYMD } from '../utils/index.js';
+import { CheckoutConflictError, CONFLICT_SQLSTATE } from './errors.js';
+import { DEFAULT_PRICING } from './pricing.js';
 import {
   buildCheckoutConfirmationData,
   buildCheckinConfirmationData,
@@ -21,6 +24,18 @@ import {
   REMINDER_FIELD_MAP,
   MAINTENANCE_FIELD_MAP,
   CHECKOUT_HISTORY_FIELD_MAP,
+  QUANTITY_CHECKOUT_FIELD_MAP,
+  PRICING_SETTINGS_FIELD_MAP,
+  INVOICE_FIELD_MAP,
+  INVOICE_LINE_FIELD_MAP,
+  INVOICE_PAYMENT_FIELD_MAP,
+  CALENDAR_FEED_FIELD_MAP,
+  CLIENT_PORTAL_LINK_FIELD_MAP,
+  PORTAL_CATALOG_FIELD_MAP,
+  CHECKOUT_AGREEMENT_FIELD_MAP,
+  BORROWER_FIELD_MAP,
+  BORROWER_HISTORY_FIELD_MAP,
+  CHECKOUT_DEPOSIT_FIELD_MAP,
   fromDb,
   toDb,
 } from './fieldMap.js';
@@ -48,6 +63,69 @@ export const freshnessService = {
   },
 };
 
+// =============================================================================
+// REALTIME SERVICE — postgres_changes feed for the shared tables
+// =============================================================================
+
+// Rows transformed into app shape before they reach DataContext; changes on
+// the other tables only say "this collection moved" and are refetched
+const REALTIME_ROW_TABLES = ['inventory', 'reservations'];
+
+// The feed sends every column; keep the ones getAll() loads so a patched
+// item looks like a freshly listed one
+function pickListColumns(row) {
+  const picked = {};
+  inventoryService.LIST_COLUMNS.split(',').forEach((col) => {
+    if (row[col] !== undefined) picked[col] = row[col];
+  });
+  return picked;
+}
+
+function transformRealtimeChange({ table, eventType, new: row, old }) {
+  const hasRow = row && Object.keys(row).length > 0;
+  let record = hasRow ? row : null;
+  if (record && table === 'inventory') record = transformInventoryItem(pickListColumns(record));
+  if (record && table === 'reservations') record = transformReservation(record);
+  return { table, eventType, record, oldId: old?.id ?? null };
+}
+
+export const realtimeService = {
+  TABLES: [
+    ...REALTIME_ROW_TABLES,
+    'packages',
+    'package_items',
+    'pack_lists',
+    'pack_list_items',
+    'pack_list_packages',
+  ],
+
+  /**
+   * Listen for inserts, updates and deletes on the shared tables.
+   * @param {Object} handlers
+   * @param {Function} handlers.onChange - ({table, eventType, record, oldId});
+   *   record is in app shape for inventory and reservations, raw otherwise,
+   *   and null on DELETE
+   * @param {Function} [handlers.onStatus] - (status, err) with the channel
+   *   state: SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+   * @returns {Promise<Function>} Unsubscribe
+   */
+  async subscribe({ onChange, onStatus }) {
+    const supabase = await db();
+
+    const channel = supabase.channel('sims-data-changes');
+    this.TABLES.forEach((table) => {
+      channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) =>
+        onChange(transformRealtimeChange(payload)),
+      );
+    });
+    channel.subscribe((status, err) => onStatus?.(status, err));
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+};
+
 // =============================================================================
 // INVENTORY SERVICE
 // =============================================================================
@@ -58,6 +136,7 @@ const INVENTORY_DEFAULTS = {
   kitItems: [],
   viewCount: 0,
   checkoutCount: 0,
+  quantityOut: 0,
   location: '',
 };
 
@@ -100,6 +179,24 @@ function transformItemForDb(item) {
   return dbItem;
 }
 
+// Map a checkout/check-in RPC failure to the error the caller acts on.
+// PT409 carries the item's current row (or JSON null) in details.
+function toCheckoutError(error, id, action, quantity = null) {
+  if (error?.code !== CONFLICT_SQLSTATE) return error;
+  let current = null;
+  try {
+    current = error.details ? JSON.parse(error.details) : null;
+  } catch (_e) {
+    current = null;
+  }
+  return new CheckoutConflictError(error.message, {
+    itemId: id,
+    item: current ? transformInventoryItem(current) : null,
+    action,
+    quantity,
+  });
+}
+
 export const inventoryService = {
   // Columns needed for list views (GearList, Dashboard, Search, PackLists, Labels, etc.)
   // This is everything except notes, checkout_history, and maintenance which come from separate tables
@@ -117,8 +214,11 @@ export const inventoryService = {
     'purchase_date',
     'purchase_price',
     'current_value',
+    'day_rate',
+    'week_rate',
     'reorder_point',
     'low_stock_alert',
+    'quantity_out',
     'is_kit',
     'kit_type',
     'kit_contents',
@@ -168,13 +268,15 @@ export const inventoryService = {
     if (!item) return null;
 
     // Get related data in parallel
-    const [notes, reminders, reservations, maintenance, checkoutHistory] = await Promise.all([
-      itemNotesService.getByItemId(id),
-      itemRemindersService.getByItemId(id),
-      reservationsService.getByItemId(id),
-      maintenanceService.getByItemId(id),
-      checkoutHistoryService.getByItemId(id),
-    ]);
+    const [notes, reminders, reservations, maintenance, checkoutHistory, quantityCheckouts] =
+      await Promise.all([
+        itemNotesService.getByItemId(id),
+        itemRemindersService.getByItemId(id),
+        reservationsService.getByItemId(id),
+        maintenanceService.getByItemId(id),
+        checkoutHistoryService.getByItemId(id),
+        quantityCheckoutsService.getByItemId(id),
+      ]);
 
     return {
       ...item,
@@ -183,6 +285,7 @@ export const inventoryService = {
       reservations: reservations || [],
       maintenanceHistory: maintenance || [],
       checkoutHistory: checkoutHistory || [],
+      quantityCheckouts: quantityCheckouts || [],
     };
   },
 
@@ -212,7 +315,8 @@ export const inventoryService = {
     return transformInventoryItem(data);
   },
 
-  // Update item
+  // Update item. The record_item_revision trigger files the field-level
+  // diff in item_revisions, so there is nothing to log from here.
   async update(id, updates) {
     const supabase = await db();
 
@@ -249,107 +353,121 @@ export const inventoryService = {
     return { id };
   },
 
-  // Check out item
-  async checkOut(id, { userId, userName, clientId, clientName, project, dueBack }) {
-    const supabase = await db();
+  // Check out item — one transaction server-side: the status guard, the
+  // inventory row, the history row and checkout_count all commit together.
+  // A stale checkout (item no longer available) throws CheckoutConflictError.
+  // reservationId names the reservation row being picked up; without it the
+  // server links the confirmed or held row covering today, if any, and the
+  // history row comes back with the reservation it moved to 'out'.
+  async checkOut(id, { userId, userName, clientId, clientName, project, dueBack, reservationId }) {
+    const supabase = await db();
+
+    const { data, error } = await supabase.rpc('checkout_item', {
+      p_item_id: id,
+      p_user_id: userId || null,
+      p_user_name: userName,
+      p_client_id: clientId || null,
+      p_client_name: clientName || null,
+      p_project: project || null,
+      p_due_back: dueBack || null,
+      p_checked_out_date: toLocalYMD(new Date()),
+      p_reservation_id: reservationId || null,
+    });
 
-    const { data, error } = await supabase
-      .from('inventory')
-      .update({
-        status: 'checked-out',
-        checked_out_to_user_id: userId,
-        checked_out_to_name: userName,
-        checkout_client_id: clientId,
-        checked_out_date: toLocalYMD(new Date()),
-        due_back: dueBack,
-        checkout_project: project,
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    if (error) throw toCheckoutError(error, id, 'checkout');
 
-    if (error) throw error;
+    return {
+      item: transformInventoryItem(data?.item),
+      historyEvent: data?.history ? transformCheckoutHistory(data.history) : null,
+    };
+  },
 
-    // Increment checkout count (non-blocking, may not exist yet)
-    supabase.rpc('increment_checkout_count', { item_id: id }).then(({ error: rpcErr }) => {
-      if (rpcErr) warn('increment_checkout_count RPC not available:', rpcErr.message);
+  // Check in item — same single-transaction contract as checkOut; checking
+  // in an item that is no longer checked out throws CheckoutConflictError.
+  // returnStatus lets the caller return the item to 'reserved' when a
+  // confirmed reservation covers today; damage always wins (server-side).
+  // damageDescription is kept on the history row so invoices can bill it.
+  async checkIn(
+    id,
+    { userId, userName, notes, condition, damageReported, damageDescription, returnStatus },
+  ) {
+    const supabase = await db();
+
+    const { data, error } = await supabase.rpc('checkin_item', {
+      p_item_id: id,
+      p_user_id: userId || null,
+      p_user_name: userName,
+      p_notes: notes || null,
+      p_condition: condition || null,
+      p_damage_reported: !!damageReported,
+      p_return_status: returnStatus || null,
+      p_damage_description: damageReported ? damageDescription || null : null,
     });
 
-    // Record checkout history. Non-fatal — the checkout itself already
-    // committed — but awaited so the caller can mirror the real row into the
-    // cached activity feed (a fire-and-forget insert left the Activity report
-    // blind to every event created this session).
-    let historyRow = null;
-    try {
-      historyRow = await checkoutHistoryService.create({
-        item_id: id,
-        user_id: userId,
-        user_name: userName,
-        client_id: clientId,
-        client_name: clientName,
-        action: 'checkout',
-        project,
-      });
-    } catch (err) {
-      warn('Checkout history not saved:', err.message);
-    }
+    if (error) throw toCheckoutError(error, id, 'checkin');
 
     return {
-      item: transformInventoryItem(data),
-      historyEvent: historyRow ? transformCheckoutHistory(historyRow) : null,
+      item: transformInventoryItem(data?.item),
+      historyEvent: data?.history ? transformCheckoutHistory(data.history) : null,
     };
   },
 
-  // Check in item
-  async checkIn(id, { userId, userName, notes, condition, damageReported, returnStatus }) {
-    const supabase = await db();
+  // Quantity-tracked items: take `quantity` units off the shelf for one
+  // borrower. consume=true records units used up on the job — stock drops
+  // and nothing stays outstanding. Asking for more than is on hand throws
+  // CheckoutConflictError carrying the current stock.
+  async checkOutQuantity(
+    id,
+    { quantity, consume, userId, userName, clientId, clientName, project, dueBack },
+  ) {
+    const supabase = await db();
+
+    const { data, error } = await supabase.rpc('checkout_quantity', {
+      p_item_id: id,
+      p_quantity: quantity,
+      p_user_id: userId || null,
+      p_user_name: userName,
+      p_client_id: clientId || null,
+      p_client_name: clientName || null,
+      p_project: project || null,
+      p_due_back: consume ? null : dueBack || null,
+      p_consume: !!consume,
+      p_checked_out_date: toLocalYMD(new Date()),
+    });
 
-    // Get current item state for history
-    const item = await this.getById(id);
+    if (error) throw toCheckoutError(error, id, 'checkout', quantity);
 
-    // returnStatus lets the caller return the item to 'reserved' when a
-    // confirmed reservation covers today; damage always wins
-    const updates = {
-      status: damageReported ? 'needs-attention' : returnStatus || 'available',
-      checked_out_to_user_id: null,
-      checked_out_to_name: null,
-      checkout_client_id: null,
-      checked_out_date: null,
-      due_back: null,
-      checkout_project: null,
+    return {
+      item: transformInventoryItem(data?.item),
+      checkout: transformQuantityCheckout(data?.checkout),
+      historyEvent: data?.history ? transformCheckoutHistory(data.history) : null,
     };
+  },
 
-    if (condition) updates.condition = condition;
-
-    const { data, error } = await supabase
-      .from('inventory')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
+  // Settle one borrower's units: `returned` go back on the shelf, `consumed`
+  // leave stock. A partial settlement keeps the checkout with the remainder;
+  // `checkout` comes back null once nothing is outstanding.
+  async returnQuantity(checkoutId, { itemId, returned, consumed, userId, userName, notes }) {
+    const supabase = await db();
+    const back = Number(returned) || 0;
+    const used = Number(consumed) || 0;
 
-    if (error) throw error;
+    const { data, error } = await supabase.rpc('return_quantity', {
+      p_item_id: itemId,
+      p_checkout_id: checkoutId,
+      p_returned: back,
+      p_consumed: used,
+      p_user_id: userId || null,
+      p_user_name: userName,
+      p_notes: notes || null,
+    });
 
-    // Record checkin history — awaited-but-non-fatal, same contract as checkOut.
-    // NOTE: item is the TRANSFORMED (camelCase) row from getById
-    let historyRow = null;
-    try {
-      historyRow = await checkoutHistoryService.create({
-        item_id: id,
-        user_id: userId,
-        user_name: userName,
-        client_id: item?.checkoutClientId,
-        action: 'checkin',
-        notes,
-        condition_at_action: condition,
-      });
-    } catch (err) {
-      warn('Checkin history not saved:', err.message);
-    }
+    if (error) throw toCheckoutError(error, itemId, 'checkin', back + used);
 
     return {
-      item: transformInventoryItem(data),
-      historyEvent: historyRow ? transformCheckoutHistory(historyRow) : null,
+      item: transformInventoryItem(data?.item),
+      checkout: transformQuantityCheckout(data?.checkout),
+      historyEvents: (data?.history || []).map(transformCheckoutHistory),
     };
   },
 
@@ -886,6 +1004,10 @@ function transformCheckoutHistory(record) {
   } else if (result.action === 'checkin') {
     result.returnedBy = result.userName || 'Unknown';
     result.returnDate = result.timestamp;
+  } else if (result.action === 'consume') {
+    // Quantity-tracked units used up rather than returned
+    result.consumedBy = result.userName || 'Unknown';
+    result.consumedDate = result.timestamp;
   }
   return result;
 }
@@ -921,6 +1043,102 @@ export const checkoutHistoryService = {
     return (data || []).map(transformCheckoutHistory);
   },
 
+  // A client's checkout/return events, oldest first — the raw material for
+  // billing checkout jobs (see lib/invoicing.js).
+  async getByClientId(clientId) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('checkout_history')
+      .select('*')
+      .eq('client_id', clientId)
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(transformCheckoutHistory);
+  },
+
+  // Returns of the given items since a date — late fees and damage for a
+  // reservation come from the check-ins after it started, whoever made them.
+  async getReturnsForItems(itemIds, sinceISO) {
+    if (!itemIds?.length) return [];
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('checkout_history')
+      .select('*')
+      .in('item_id', itemIds)
+      .in('action', ['checkin', 'consume'])
+      .gte('timestamp', sinceISO)
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(transformCheckoutHistory);
+  },
+
+  // Items whose last return reported damage that no completed maintenance
+  // has dealt with since — the readiness check before checkout.
+  // Resolves to { [itemId]: { reportedAt, description } }.
+  async getOpenDamageReports(itemIds) {
+    if (!itemIds?.length) return {};
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('open_damage_reports', { p_item_ids: itemIds });
+    if (error) throw error;
+    return Object.fromEntries(
+      (data || []).map((row) => [
+        row.item_id,
+        { reportedAt: row.reported_at, description: row.description || '' },
+      ]),
+    );
+  },
+
+  // A reservation group's manifest: the checkouts that picked up its rows,
+  // unlinked checkouts for its project since it started, and the returns of
+  // every item involved since the earliest of those. Oldest first.
+  async getForReservation({ reservationIds = [], project = '', itemIds = [], sinceISO }) {
+    const supabase = await db();
+    const none = { data: [], error: null };
+
+    const [linked, sameProject] = await Promise.all([
+      reservationIds.length
+        ? supabase
+            .from('checkout_history')
+            .select('*')
+            .eq('action', 'checkout')
+            .in('reservation_id', reservationIds)
+        : none,
+      project
+        ? supabase
+            .from('checkout_history')
+            .select('*')
+            .eq('action', 'checkout')
+            .eq('project', project)
+            .gte('timestamp', sinceISO)
+        : none,
+    ]);
+    if (linked.error) throw linked.error;
+    if (sameProject.error) throw sameProject.error;
+
+    const checkouts = new Map();
+    [...(linked.data || []), ...(sameProject.data || [])].forEach((row) =>
+      checkouts.set(row.id, transformCheckoutHistory(row)),
+    );
+    // A load-out on the prep day still counts — returns are read from the
+    // earliest checkout on
+    const since = [...checkouts.values()].reduce(
+      (earliest, c) => (c.timestamp && c.timestamp < earliest ? c.timestamp : earliest),
+      sinceISO,
+    );
+    const returns = await this.getReturnsForItems(
+      [...new Set([...itemIds, ...[...checkouts.values()].map((c) => c.itemId)])],
+      since,
+    );
+
+    return [...checkouts.values(), ...returns].sort((a, b) =>
+      String(a.timestamp || '').localeCompare(String(b.timestamp || '')),
+    );
+  },
+
   async create(record) {
     const supabase = await db();
 
@@ -938,11 +1156,78 @@ export const checkoutHistoryService = {
   },
 };
 
+// =============================================================================
+// QUANTITY CHECKOUTS SERVICE
+// Per-borrower outstanding units of quantity-tracked items. Written only by
+// the checkout_quantity/return_quantity RPCs (inventoryService).
+// =============================================================================
+function transformQuantityCheckout(record) {
+  return fromDb(record, QUANTITY_CHECKOUT_FIELD_MAP);
+}
+
+export const quantityCheckoutsService = {
+  async getByItemId(itemId) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('quantity_checkouts')
+      .select('*')
+      .eq('item_id', itemId)
+      .order('checked_out_date', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(transformQuantityCheckout);
+  },
+};
+
+// =============================================================================
+// ITEM REVISIONS SERVICE
+// Field-level edit history of one item, written by the record_item_revision
+// trigger on every inventory UPDATE. Read-only from the app.
+// =============================================================================
+
+// Revision rows name DB columns; the UI speaks frontend keys
+const INVENTORY_COLUMN_TO_FIELD = Object.fromEntries(
+  Object.entries(INVENTORY_FIELD_MAP).map(([field, column]) => [column, field]),
+);
+
+function transformItemRevision(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    changedAt: row.changed_at,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name,
+    changes: Object.entries(row.changes || {}).map(([column, change]) => ({
+      field: INVENTORY_COLUMN_TO_FIELD[column] || column,
+      from: change?.from ?? null,
+      to: change?.to ?? null,
+    })),
+  };
+}
+
+export const itemRevisionsService = {
+  // Newest first — the order lib/itemRevisions.js replays them in
+  async getByItemId(itemId, limit = 200) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('item_revisions')
+      .select('*')
+      .eq('item_id', itemId)
+      .order('changed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(transformItemRevision);
+  },
+};
+
 // =============================================================================
 // BACKUP SERVICE
-// Complete-table reads for the database export. The old backup serialized
-// whatever happened to be in React memory — lazy tables came out empty and
-// notes/checkout history never came out at all.
+// Complete-table reads for the database export (and the restore's dry run).
+// The old backup serialized whatever happened to be in React memory — lazy
+// tables came out empty and notes/checkout history never came out at all.
 // =============================================================================
 
 export const backupService = {
@@ -979,6 +1264,20 @@ export const backupService = {
     );
     return Object.fromEntries(entries);
   },
+
+  // Load backup tables back in one transaction (restore_backup RPC). The
+  // RPC applies them in FK order and writes the audit_log entry itself.
+  async restore(tables, { mode, userName = null, exportedAt = null }) {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('restore_backup', {
+      p_tables: tables,
+      p_mode: mode,
+      p_user_name: userName,
+      p_exported_at: exportedAt,
+    });
+    if (error) throw error;
+    return data;
+  },
 };
 
 // =============================================================================
@@ -1150,7 +1449,7 @@ export const packagesService = {
 
     // Transform to expected format
     return data.map((pkg) => {
-      const { package_items, category_name, item_quantities, ...rest } = pkg;
+      const { package_items, category_name, item_quantities, day_rate, week_rate, ...rest } = pkg;
       return {
         ...rest,
         category: category_name || '',
@@ -1158,6 +1457,8 @@ export const packagesService = {
           .sort((a, b) => a.sort_order - b.sort_order)
           .map((pi) => pi.item_id),
         itemQuantities: item_quantities || {},
+        dayRate: day_rate ?? null,
+        weekRate: week_rate ?? null,
       };
     });
   },
@@ -1179,7 +1480,15 @@ export const packagesService = {
 
     if (error) throw error;
 
-    const { package_items, package_notes, category_name, item_quantities, ...rest } = data;
+    const {
+      package_items,
+      package_notes,
+      category_name,
+      item_quantities,
+      day_rate,
+      week_rate,
+      ...rest
+    } = data;
     return {
       ...rest,
       category: category_name || '',
@@ -1187,6 +1496,8 @@ export const packagesService = {
         .sort((a, b) => a.sort_order - b.sort_order)
         .map((pi) => pi.item_id),
       itemQuantities: item_quantities || {},
+      dayRate: day_rate ?? null,
+      weekRate: week_rate ?? null,
       notes: buildThreadedNotes(package_notes || []),
     };
   },
@@ -1195,12 +1506,22 @@ export const packagesService = {
     const supabase = await db();
 
     // Extract fields that aren't in DB columns directly
-    const { items, notes: _notes, category, itemQuantities, ...packageData } = pkg;
+    const {
+      items,
+      notes: _notes,
+      category,
+      itemQuantities,
+      dayRate,
+      weekRate,
+      ...packageData
+    } = pkg;
 
     // Map frontend field to DB column
     if (category) {
       packageData.category_name = category;
     }
+    if (dayRate !== undefined) packageData.day_rate = dayRate;
+    if (weekRate !== undefined) packageData.week_rate = weekRate;
 
     // Generate short human-readable ID (PKG-001, PKG-002, etc.) server-side —
     // the RPC is race-safe and orders numerically (PKG-999 → PKG-1000 works)
@@ -1254,11 +1575,14 @@ export const packagesService = {
       }
     }
 
+    const { day_rate, week_rate, ...created } = data;
     return {
-      ...data,
+      ...created,
       category: data.category_name || category || '',
       items: items || [],
       itemQuantities: data.item_quantities || itemQuantities || {},
+      dayRate: day_rate ?? dayRate ?? null,
+      weekRate: week_rate ?? weekRate ?? null,
       notes: [],
     };
   },
@@ -1267,12 +1591,22 @@ export const packagesService = {
     const supabase = await db();
 
     // Extract fields that aren't direct DB columns
-    const { items, notes: _notes, category, itemQuantities, ...packageData } = updates;
+    const {
+      items,
+      notes: _notes,
+      category,
+      itemQuantities,
+      dayRate,
+      weekRate,
+      ...packageData
+    } = updates;
 
     // Map frontend field to DB column
     if (category !== undefined) {
       packageData.category_name = category;
     }
+    if (dayRate !== undefined) packageData.day_rate = dayRate;
+    if (weekRate !== undefined) packageData.week_rate = weekRate;
 
     // Include itemQuantities if provided
     if (itemQuantities !== undefined) {
@@ -1321,11 +1655,14 @@ export const packagesService = {
       if (itemsError) throw itemsError;
     }
 
+    const { day_rate, week_rate, ...updated } = data;
     return {
-      ...data,
+      ...updated,
       category: data.category_name || category || '',
       items: items || [],
       itemQuantities: data.item_quantities || itemQuantities || {},
+      // Only a row read back carries the rates; an items-only update returns { id }
+      ...(day_rate !== undefined && { dayRate: day_rate, weekRate: week_rate }),
     };
   },
 
@@ -1685,7 +2022,8 @@ export const categoriesService = {
    * Sync the full categories list + settings to the DB.
    * Compares current DB state with the new list and applies creates, updates, deletes.
    * @param {string[]} newNames - Ordered list of category names
-   * @param {Object} settings - { categoryName: { trackQuantity, trackSerialNumbers } }
+   * @param {Object} settings - { categoryName: { trackQuantity, trackSerialNumbers,
+   *   turnaroundMinutes, readinessRules } }
    * @param {Object} renames - { oldName: newName } — applied as row UPDATEs so
    *   the category keeps its id and ID prefix, and its spec rows follow.
    *   Without this, a rename diffed as delete+recreate: the category got a
@@ -1750,6 +2088,11 @@ export const categoriesService = {
       const row = {
         track_quantity: catSettings.trackQuantity || false,
         track_serial_numbers: catSettings.trackSerialNumbers !== false,
+        turnaround_minutes: Math.min(
+          1440,
+          Math.max(0, Math.round(Number(catSettings.turnaroundMinutes) || 0)),
+        ),
+        readiness_rules: catSettings.readinessRules || {},
         sort_order: i,
       };
 
@@ -1816,6 +2159,8 @@ export const specsService = {
         type: spec.field_type || 'text',
         unit: spec.unit || null,
         options: Array.isArray(spec.options) ? spec.options : null,
+        // Must match for an item to stand in for another (substitutes)
+        substituteKey: spec.substitute_key || false,
       });
     });
 
@@ -1836,6 +2181,7 @@ export const specsService = {
         type: spec.type || 'text',
         unit: spec.unit || null,
         options: Array.isArray(spec.options) && spec.options.length > 0 ? spec.options : null,
+        substituteKey: spec.substituteKey || false,
       })),
     });
 
@@ -1845,140 +2191,472 @@ export const specsService = {
 };
 
 // =============================================================================
-// LOCATIONS SERVICE
+// EQUIVALENCE GROUPS SERVICE
+// Admin-declared sets of interchangeable units. Membership lives in
+// equivalence_group_items keyed by item_id, so an item is in one group at
+// most and upserting it into another moves it.
 // =============================================================================
-export const locationsService = {
-  async getAll() {
-    const supabase = await db();
-
-    const { data, error } = await supabase.from('locations').select('*').order('path');
-
-    if (error) throw error;
-
-    // Build tree structure
-    return buildLocationTree(data);
-  },
 
+function transformEquivalenceGroup(row) {
+  const { equivalence_group_items, created_at, updated_at, ...rest } = row;
+  return {
+    ...rest,
+    itemIds: (equivalence_group_items || []).map((m) => m.item_id),
+    createdAt: created_at,
+    updatedAt: updated_at,
+  };
+}
 
-  async create(location) {
+export const equivalenceGroupsService = {
+  async getAll() {
     const supabase = await db();
 
-    const { data, error } = await supabase.from('locations').insert(location).select().single();
+    const { data, error } = await supabase
+      .from('equivalence_groups')
+      .select('*, equivalence_group_items(item_id)')
+      .order('name');
 
     if (error) throw error;
-    return data;
+    return (data || []).map(transformEquivalenceGroup);
   },
 
-  async update(id, updates) {
+  async create(name, itemIds = []) {
     const supabase = await db();
 
     const { data, error } = await supabase
-      .from('locations')
-      .update(updates)
-      .eq('id', id)
+      .from('equivalence_groups')
+      .insert({ name })
       .select()
       .single();
 
     if (error) throw error;
-    return data;
+    await this.setMembers(data.id, itemIds);
+    return { ...transformEquivalenceGroup(data), itemIds };
   },
 
-  async delete(id) {
+  async rename(id, name) {
     const supabase = await db();
 
-    const { error } = await supabase.from('locations').delete().eq('id', id);
+    const { error } = await supabase.from('equivalence_groups').update({ name }).eq('id', id);
 
     if (error) throw error;
-    return { id };
   },
 
-  /**
-   * Sync the full locations tree to the DB.
-   * Flattens the tree, diffs against current DB state, and applies changes.
-   * @param {Array} tree - Nested location tree from LocationsManager
-   */
-  async syncAll(tree) {
+  // Members not in itemIds leave the group; the rest are upserted in, which
+  // takes them out of whatever group they were in before
+  async setMembers(id, itemIds) {
     const supabase = await db();
 
-    // Flatten tree to rows
-    const flatRows = [];
-    const flatten = (nodes, parentId = null, path = '', depth = 0) => {
-      nodes.forEach((node, i) => {
-        const nodePath = path ? `${path}/${node.name}` : node.name;
-        flatRows.push({
-          id: node.id,
-          name: node.name,
-          type: node.type || 'room',
-          parent_id: parentId,
-          path: nodePath,
-          depth,
-          sort_order: i,
-        });
-        if (node.children?.length) {
-          flatten(node.children, node.id, nodePath, depth + 1);
-        }
-      });
-    };
-    flatten(tree);
-
-    // Fetch current DB state
-    const { data: existing, error: fetchErr } = await supabase.from('locations').select('id');
-    if (fetchErr) throw fetchErr;
-
-    const existingIds = new Set((existing || []).map((l) => l.id));
-    const newIds = new Set(flatRows.map((r) => r.id));
+    const { data: current, error: readError } = await supabase
+      .from('equivalence_group_items')
+      .select('item_id')
+      .eq('group_id', id);
+    if (readError) throw readError;
 
-    // Delete removed locations
-    const toDelete = [...existingIds].filter((id) => !newIds.has(id));
-    if (toDelete.length > 0) {
-      // Delete leaf nodes first (deepest first) to avoid FK issues
-      for (const id of toDelete) {
-        await supabase.from('locations').delete().eq('id', id);
-      }
+    const removed = (current || []).map((m) => m.item_id).filter((i) => !itemIds.includes(i));
+    if (removed.length > 0) {
+      const { error } = await supabase
+        .from('equivalence_group_items')
+        .delete()
+        .eq('group_id', id)
+        .in('item_id', removed);
+      if (error) throw error;
     }
 
-    // Upsert all current locations
-    if (flatRows.length > 0) {
-      const { error: upsertErr } = await supabase
-        .from('locations')
-        .upsert(flatRows, { onConflict: 'id' });
-      if (upsertErr) throw upsertErr;
+    if (itemIds.length > 0) {
+      const rows = itemIds.map((itemId) => ({ item_id: itemId, group_id: id }));
+      const { error } = await supabase
+        .from('equivalence_group_items')
+        .upsert(rows, { onConflict: 'item_id' });
+      if (error) throw error;
     }
   },
+
+  async delete(id) {
+    const supabase = await db();
+
+    const { error } = await supabase.from('equivalence_groups').delete().eq('id', id);
+
+    if (error) throw error;
+  },
 };
 
 // =============================================================================
-// USERS SERVICE
+// PRICING SETTINGS SERVICE
 // =============================================================================
-export const usersService = {
-  async getAll() {
+
+// Postgres numerics can arrive as strings; quoting math needs numbers
+function transformPricingSettings(row) {
+  const settings = fromDb(row, PRICING_SETTINGS_FIELD_MAP, DEFAULT_PRICING);
+  return {
+    daysPerWeek: Number(settings.daysPerWeek) || DEFAULT_PRICING.daysPerWeek,
+    taxRate: Number(settings.taxRate) || 0,
+    quoteTerms: settings.quoteTerms || '',
+    invoiceDueDays: Number(settings.invoiceDueDays ?? DEFAULT_PRICING.invoiceDueDays),
+    lateFeePercent: Number(settings.lateFeePercent ?? DEFAULT_PRICING.lateFeePercent),
+    agreementTerms: settings.agreementTerms || '',
+    requireAgreement: Boolean(settings.requireAgreement),
+    updatedAt: settings.updatedAt || null,
+  };
+}
+
+export const pricingService = {
+  async get() {
     const supabase = await db();
 
     const { data, error } = await supabase
-      .from('users')
-      .select(
-        `
-        *,
-        role:roles(id, name, permissions)
-      `,
-      )
-      .order('name');
+      .from('pricing_settings')
+      .select('*')
+      .eq('id', 'default')
+      .maybeSingle();
 
     if (error) throw error;
-    // Lift profile-JSON settings (layoutPrefs, savedFilterViews, uiPrefs) and
-    // roleId to top-level camelCase — raw fields are kept. Without this the
-    // app read user.layoutPrefs (never present on the raw row) and reset
-    // every user's customizations to defaults at login.
-    return (data || []).map(liftUserRow);
+    return transformPricingSettings(data || {});
   },
 
-  async getById(id) {
+  async update(updates) {
     const supabase = await db();
 
     const { data, error } = await supabase
-      .from('users')
-      .select(
-        `
+      .from('pricing_settings')
+      .update(toDb(updates, PRICING_SETTINGS_FIELD_MAP, { partial: true }))
+      .eq('id', 'default')
+      .select()
+      .single();
+
+    if (error) throw error;
+    return transformPricingSettings(data);
+  },
+};
+
+// =============================================================================
+// INVOICES SERVICE
+// Headers, lines and payments. Invoices are numbered and totalled by the
+// create_invoice RPC; amount_paid and paid/sent status follow the payments
+// via a trigger, so the client never writes them.
+// =============================================================================
+
+// Postgres numerics can arrive as strings; balances need numbers
+const INVOICE_NUMERIC = [
+  'discountPercent',
+  'taxRate',
+  'subtotal',
+  'discount',
+  'tax',
+  'total',
+  'amountPaid',
+];
+
+function transformInvoice(row) {
+  if (!row) return null;
+  const invoice = fromDb(row, INVOICE_FIELD_MAP);
+  for (const key of INVOICE_NUMERIC) invoice[key] = Number(invoice[key]) || 0;
+  return invoice;
+}
+
+function transformInvoiceLine(row) {
+  const line = fromDb(row, INVOICE_LINE_FIELD_MAP);
+  line.quantity = Number(line.quantity) || 0;
+  line.unitPrice = line.unitPrice == null ? null : Number(line.unitPrice);
+  line.amount = Number(line.amount) || 0;
+  return line;
+}
+
+function transformInvoicePayment(row) {
+  const payment = fromDb(row, INVOICE_PAYMENT_FIELD_MAP);
+  payment.amount = Number(payment.amount) || 0;
+  return payment;
+}
+
+export const invoicesService = {
+  // Headers only — enough for balances, lists and the aging report
+  async getAll() {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('invoices')
+      .select('*')
+      .order('issue_date', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(transformInvoice);
+  },
+
+  async getById(id) {
+    const supabase = await db();
+
+    const [invoiceRes, linesRes, paymentsRes] = await Promise.all([
+      supabase.from('invoices').select('*').eq('id', id).single(),
+      supabase
+        .from('invoice_lines')
+        .select('*')
+        .eq('invoice_id', id)
+        .order('sort_order', { ascending: true }),
+      supabase
+        .from('invoice_payments')
+        .select('*')
+        .eq('invoice_id', id)
+        .order('paid_on', { ascending: true }),
+    ]);
+
+    const error = invoiceRes.error || linesRes.error || paymentsRes.error;
+    if (error) throw error;
+    return {
+      ...transformInvoice(invoiceRes.data),
+      lines: (linesRes.data || []).map(transformInvoiceLine),
+      payments: (paymentsRes.data || []).map(transformInvoicePayment),
+    };
+  },
+
+  async create(invoice, lines) {
+    const supabase = await db();
+
+    const { data, error } = await supabase.rpc('create_invoice', {
+      p_invoice: {
+        ...toDb(invoice, INVOICE_FIELD_MAP, { partial: true }),
+        status: invoice.status || 'draft',
+      },
+      p_lines: lines.map((line) => ({
+        kind: line.kind,
+        description: line.description,
+        item_id: line.itemId || null,
+        quantity: line.quantity ?? 1,
+        unit_price: line.unitPrice ?? null,
+        amount: line.amount,
+      })),
+    });
+
+    if (error) throw error;
+    return {
+      ...transformInvoice(data?.invoice),
+      lines: (data?.lines || []).map(transformInvoiceLine),
+      payments: [],
+    };
+  },
+
+  // draft → sent → (paid by payments) and anything unpaid → void
+  async updateStatus(id, status) {
+    const supabase = await db();
+
+    const row = { status };
+    if (status === 'sent') row.sent_at = new Date().toISOString();
+    if (status === 'void') row.voided_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('invoices')
+      .update(row)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return transformInvoice(data);
+  },
+
+  // Drafts only — RLS refuses anything that has been sent
+  async delete(id) {
+    const supabase = await db();
+
+    const { error } = await supabase.from('invoices').delete().eq('id', id);
+
+    if (error) throw error;
+    return { id };
+  },
+
+  // Returns the payment and the invoice as the trigger left it
+  async addPayment(payment) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('invoice_payments')
+      .insert(toDb(payment, INVOICE_PAYMENT_FIELD_MAP, { partial: true }))
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: invoice, error: invoiceError } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', data.invoice_id)
+      .single();
+
+    if (invoiceError) throw invoiceError;
+    return { payment: transformInvoicePayment(data), invoice: transformInvoice(invoice) };
+  },
+
+  async deletePayment(paymentId, invoiceId) {
+    const supabase = await db();
+
+    const { error } = await supabase.from('invoice_payments').delete().eq('id', paymentId);
+
+    if (error) throw error;
+
+    const { data: invoice, error: invoiceError } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .single();
+
+    if (invoiceError) throw invoiceError;
+    return transformInvoice(invoice);
+  },
+
+  // Rental revenue billed per item on issued invoices, for the ROI report.
+  // Resolves to { [itemId]: { revenue, invoiceCount, lastBilled } }.
+  async getItemRevenue() {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('item_rental_revenue');
+    if (error) throw error;
+    return Object.fromEntries(
+      (data || []).map((row) => [
+        row.item_id,
+        {
+          revenue: Number(row.revenue) || 0,
+          invoiceCount: row.invoice_count,
+          lastBilled: row.last_billed,
+        },
+      ]),
+    );
+  },
+};
+
+// =============================================================================
+// LOCATIONS SERVICE
+// =============================================================================
+export const locationsService = {
+  async getAll() {
+    const supabase = await db();
+
+    const { data, error } = await supabase.from('locations').select('*').order('path');
+
+    if (error) throw error;
+
+    // Build tree structure
+    return buildLocationTree(data);
+  },
+
+
+  async create(location) {
+    const supabase = await db();
+
+    const { data, error } = await supabase.from('locations').insert(location).select().single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updates) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('locations')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const supabase = await db();
+
+    const { error } = await supabase.from('locations').delete().eq('id', id);
+
+    if (error) throw error;
+    return { id };
+  },
+
+  /**
+   * Sync the full locations tree to the DB.
+   * Flattens the tree, diffs against current DB state, and applies changes.
+   * @param {Array} tree - Nested location tree from LocationsManager
+   */
+  async syncAll(tree) {
+    const supabase = await db();
+
+    // Flatten tree to rows
+    const flatRows = [];
+    const flatten = (nodes, parentId = null, path = '', depth = 0) => {
+      nodes.forEach((node, i) => {
+        const nodePath = path ? `${path}/${node.name}` : node.name;
+        flatRows.push({
+          id: node.id,
+          name: node.name,
+          type: node.type || 'room',
+          parent_id: parentId,
+          path: nodePath,
+          depth,
+          sort_order: i,
+        });
+        if (node.children?.length) {
+          flatten(node.children, node.id, nodePath, depth + 1);
+        }
+      });
+    };
+    flatten(tree);
+
+    // Fetch current DB state
+    const { data: existing, error: fetchErr } = await supabase.from('locations').select('id');
+    if (fetchErr) throw fetchErr;
+
+    const existingIds = new Set((existing || []).map((l) => l.id));
+    const newIds = new Set(flatRows.map((r) => r.id));
+
+    // Delete removed locations
+    const toDelete = [...existingIds].filter((id) => !newIds.has(id));
+    if (toDelete.length > 0) {
+      // Delete leaf nodes first (deepest first) to avoid FK issues
+      for (const id of toDelete) {
+        await supabase.from('locations').delete().eq('id', id);
+      }
+    }
+
+    // Upsert all current locations
+    if (flatRows.length > 0) {
+      const { error: upsertErr } = await supabase
+        .from('locations')
+        .upsert(flatRows, { onConflict: 'id' });
+      if (upsertErr) throw upsertErr;
+    }
+  },
+};
+
+// =============================================================================
+// USERS SERVICE
+// =============================================================================
+export const usersService = {
+  async getAll() {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('users')
+      .select(
+        `
+        *,
+        role:roles(id, name, permissions)
+      `,
+      )
+      .order('name');
+
+    if (error) throw error;
+    // Lift profile-JSON settings (layoutPrefs, savedFilterViews, uiPrefs) and
+    // roleId to top-level camelCase — raw fields are kept. Without this the
+    // app read user.layoutPrefs (never present on the raw row) and reset
+    // every user's customizations to defaults at login.
+    return (data || []).map(liftUserRow);
+  },
+
+  async getById(id) {
+    const supabase = await db();
+
+    const { data, error } = await supabase
+      .from('users')
+      .select(
+        `
         *,
         role:roles(id, name, permissions)
       `,
@@ -2104,9 +2782,30 @@ export const auditLogService = {
       reservationId: row.reservation_id,
       timestamp: row.timestamp,
       ...(row.metadata || {}),
+      // Row-change entries written by the record_audit_change trigger
+      seq: row.seq,
+      tableName: row.table_name || null,
+      operation: row.operation || null,
+      recordId: row.record_id || null,
+      oldData: row.old_data || null,
+      newData: row.new_data || null,
     }));
   },
 
+  // Walk the hash chain server-side (verify_audit_chain). brokenSeq is the
+  // first entry whose link no longer holds, or null when the chain is intact.
+  async verifyChain() {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('verify_audit_chain');
+    if (error) throw error;
+    const result = Array.isArray(data) ? data[0] : data;
+    return {
+      checked: Number(result?.checked) || 0,
+      brokenSeq: result?.broken_seq ?? null,
+      reason: result?.reason || null,
+    };
+  },
+
   async create(entry) {
     const supabase = await db();
 
@@ -2322,12 +3021,13 @@ export const emailService = {
     }
   },
 
-  async sendCheckoutConfirmation({ borrowerEmail, borrowerName, item, checkoutDate, dueDate, project, companyName }) {
+  // agreementId: the signed agreement, which send-email attaches
+  async sendCheckoutConfirmation({ borrowerEmail, borrowerName, item, checkoutDate, dueDate, project, companyName, agreementId = null }) {
     return this.send({
       to: borrowerEmail,
       templateKey: 'checkout_confirmation',
       templateData: buildCheckoutConfirmationData({ borrowerName, item, checkoutDate, dueDate, project, companyName }),
-      meta: { itemId: item?.id },
+      meta: { itemId: item?.id, ...(agreementId && { agreementId }) },
     });
   },
 
@@ -2380,6 +3080,354 @@ export const emailService = {
   },
 };
 
+// =============================================================================
+// CALENDAR FEEDS SERVICE (calendar_feeds + the calendar-feed Edge Function)
+// RLS: a user sees and manages only their own feeds
+// =============================================================================
+export const calendarFeedsService = {
+  async getMine(ownerId) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .order('created_at');
+    if (error) throw error;
+    return (data || []).map((row) => this.withUrl(row));
+  },
+
+  async create({ ownerId, clientId = null, includeMaintenance = false }) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .insert(toDb({ ownerId, clientId, includeMaintenance }, CALENDAR_FEED_FIELD_MAP))
+      .select()
+      .single();
+    if (error) throw error;
+    return this.withUrl(data);
+  },
+
+  // Revoking is deleting: the token dies with the row
+  async delete(id) {
+    const supabase = await db();
+    const { error } = await supabase.from('calendar_feeds').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  /** The subscription URL calendar apps poll */
+  feedUrl(token) {
+    return `${env.SUPABASE_URL}/functions/v1/calendar-feed?token=${token}`;
+  },
+
+  withUrl(row) {
+    return { ...fromDb(row, CALENDAR_FEED_FIELD_MAP), url: this.feedUrl(row.token) };
+  },
+
+  /** One-off .ics of the caller's (or a client's) calendar, as text */
+  async exportIcs({ clientId = null, includeMaintenance = false } = {}) {
+    const supabase = await db();
+    const { data, error } = await supabase.functions.invoke('calendar-feed', {
+      body: { clientId, includeMaintenance },
+    });
+    if (error) {
+      const { message } = await describeInvokeError(error);
+      throw new Error(message);
+    }
+    return data;
+  },
+};
+
+// =============================================================================
+// CLIENT PORTAL SERVICE (client_portal_links + portal_catalog)
+// Staff side of the request portal. The public page never comes through
+// here — it talks to the client-portal Edge Function (lib/clientPortal.js).
+// =============================================================================
+export const clientPortalService = {
+  async getLinks(clientId) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('client_portal_links')
+      .select('*')
+      .eq('client_id', clientId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return (data || []).map((row) => this.withUrl(row));
+  },
+
+  async createLink({ clientId, createdBy, createdByName, expiresAt = null }) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('client_portal_links')
+      .insert(toDb({ clientId, createdBy, createdByName, expiresAt }, CLIENT_PORTAL_LINK_FIELD_MAP))
+      .select()
+      .single();
+    if (error) throw error;
+    return this.withUrl(data);
+  },
+
+  // Revoking is deleting: the page refuses the token from then on
+  async deleteLink(id) {
+    const supabase = await db();
+    const { error } = await supabase.from('client_portal_links').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  /** The page a client opens — served by this app, not by Supabase */
+  portalUrl(token) {
+    return `${window.location.origin}/portal/${token}`;
+  },
+
+  withUrl(row) {
+    return { ...fromDb(row, CLIENT_PORTAL_LINK_FIELD_MAP), url: this.portalUrl(row.token) };
+  },
+
+  async getCatalog() {
+    const supabase = await db();
+    const { data, error } = await supabase.from('portal_catalog').select('*');
+    if (error) throw error;
+    return (data || []).map((row) => fromDb(row, PORTAL_CATALOG_FIELD_MAP));
+  },
+
+  /** Offer one item or package: pass { itemId } or { packageId } */
+  async addToCatalog(target) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('portal_catalog')
+      .insert(toDb(target, PORTAL_CATALOG_FIELD_MAP))
+      .select()
+      .single();
+    if (error) throw error;
+    return fromDb(data, PORTAL_CATALOG_FIELD_MAP);
+  },
+
+  async removeFromCatalog(id) {
+    const supabase = await db();
+    const { error } = await supabase.from('portal_catalog').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+// =============================================================================
+// CHECKOUT AGREEMENTS SERVICE (checkout_agreements)
+// Signed once, never edited. The agreement is stored before the checkout it
+// covers, then linked to the checkout_history rows that checkout wrote.
+// =============================================================================
+export const checkoutAgreementsService = {
+  async create(agreement) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('checkout_agreements')
+      .insert(toDb(agreement, CHECKOUT_AGREEMENT_FIELD_MAP))
+      .select()
+      .single();
+    if (error) throw error;
+    return fromDb(data, CHECKOUT_AGREEMENT_FIELD_MAP);
+  },
+
+  async getById(id) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('checkout_agreements')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error) throw error;
+    return fromDb(data, CHECKOUT_AGREEMENT_FIELD_MAP);
+  },
+
+  /** Point history rows at the agreement; rows already linked are left alone */
+  async link(agreementId, historyIds) {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('link_checkout_agreement', {
+      p_agreement_id: agreementId,
+      p_history_ids: historyIds,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  // Only succeeds while nothing links to it — for a checkout that never happened
+  async delete(id) {
+    const supabase = await db();
+    const { error } = await supabase.from('checkout_agreements').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+// =============================================================================
+// BORROWERS SERVICE (borrowers)
+// Accounts for the people gear goes out to. A checkout names the account by
+// id; link() stamps it on the history rows the checkout wrote.
+// =============================================================================
+
+// Form fields only — local state adds derived counts PostgREST would reject
+const BORROWER_FIELDS = [
+  'name',
+  'type',
+  'organization',
+  'email',
+  'phone',
+  'userId',
+  'idVerification',
+  'idVerifiedAt',
+  'maxItems',
+  'maxValue',
+  'depositRequired',
+  'blocked',
+  'blockedReason',
+  'notes',
+];
+
+function toBorrowerRow(borrower) {
+  const picked = Object.fromEntries(
+    BORROWER_FIELDS.filter((f) => borrower[f] !== undefined).map((f) => [f, borrower[f]]),
+  );
+  return toDb(picked, BORROWER_FIELD_MAP, { partial: true });
+}
+
+export const borrowersService = {
+  async getAll() {
+    const supabase = await db();
+    const { data, error } = await supabase.from('borrowers').select('*').order('name');
+    if (error) throw error;
+    return (data || []).map((row) => fromDb(row, BORROWER_FIELD_MAP));
+  },
+
+  async create(borrower) {
+    const { validateBorrower } = await import('./validators.js');
+    const validation = validateBorrower(borrower);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(', '));
+    }
+
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('borrowers')
+      .insert(toBorrowerRow(borrower))
+      .select()
+      .single();
+    if (error) throw error;
+    return fromDb(data, BORROWER_FIELD_MAP);
+  },
+
+  async update(id, updates) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('borrowers')
+      .update(toBorrowerRow(updates))
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    return fromDb(data, BORROWER_FIELD_MAP);
+  },
+
+  // History rows keep their copy of the name; their borrower_id goes NULL
+  async delete(id) {
+    const supabase = await db();
+    const { error } = await supabase.from('borrowers').delete().eq('id', id);
+    if (error) throw error;
+    return { id };
+  },
+
+  /** Point a checkout's history rows (and the items still out) at the borrower */
+  async link(borrowerId, historyIds) {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('link_checkout_borrower', {
+      p_borrower_id: borrowerId,
+      p_history_ids: historyIds,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  /** Everything the borrower has taken, newest first (borrower_history) */
+  async getHistory(borrowerId) {
+    const supabase = await db();
+    const { data, error } = await supabase.rpc('borrower_history', {
+      p_borrower_id: borrowerId,
+    });
+    if (error) throw error;
+    return (data || []).map((row) => fromDb(row, BORROWER_HISTORY_FIELD_MAP));
+  },
+};
+
+// =============================================================================
+// CHECKOUT DEPOSIT SERVICE
+// The deposit ledger. A deposit is recorded once its checkout has gone
+// through and settled exactly once; there is no delete (RLS has no policy).
+// =============================================================================
+
+const DEPOSIT_FIELDS = [
+  'borrowerId',
+  'borrowerName',
+  'clientId',
+  'project',
+  'itemIds',
+  'amount',
+  'method',
+  'reference',
+  'receivedByName',
+];
+
+export const checkoutDepositsService = {
+  async getAll() {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('checkout_deposits')
+      .select('*')
+      .order('received_at', { ascending: false });
+    if (error) throw error;
+    return (data || []).map((row) => fromDb(row, CHECKOUT_DEPOSIT_FIELD_MAP));
+  },
+
+  async create(deposit) {
+    const { validateCheckoutDeposit } = await import('./validators.js');
+    const validation = validateCheckoutDeposit(deposit);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(', '));
+    }
+
+    const picked = Object.fromEntries(
+      DEPOSIT_FIELDS.filter((f) => deposit[f] !== undefined).map((f) => [f, deposit[f]]),
+    );
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('checkout_deposits')
+      .insert(toDb(picked, CHECKOUT_DEPOSIT_FIELD_MAP, { partial: true }))
+      .select()
+      .single();
+    if (error) throw error;
+    return fromDb(data, CHECKOUT_DEPOSIT_FIELD_MAP);
+  },
+
+  /**
+   * Settle a held deposit — {status, deductedAmount, deductionReason} from
+   * depositSettlement(), plus who settled it. A row someone else already
+   * settled matches nothing and is reported as such.
+   */
+  async settle(id, { status, deductedAmount, deductionReason, settledByName, settlementNote }) {
+    const supabase = await db();
+    const { data, error } = await supabase
+      .from('checkout_deposits')
+      .update({
+        status,
+        deducted_amount: deductedAmount,
+        deduction_reason: deductionReason || null,
+        settled_by_name: settledByName || null,
+        settlement_note: settlementNote || null,
+        settled_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('status', 'held')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error('This deposit has already been settled');
+    return fromDb(data, CHECKOUT_DEPOSIT_FIELD_MAP);
+  },
+};
+
 // =============================================================================
 // NOTIFICATION LOG SERVICE (admin Email Log page; RLS: admin_notifications view)
 // =============================================================================
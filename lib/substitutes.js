@@ -0,0 +1,114 @@
+// =============================================================================
+// Substitute suggestions — free gear that can stand in for a booked item
+// An item qualifies two ways. An admin put it in the same equivalence group
+// (identical units; these come first). Or it is in the same category and
+// matches every key spec (specs[category][n].substituteKey) the booked item
+// has a value for: same mount, same sensor size, same output. A category
+// with no key specs, or an item with none of them filled in, gets group
+// members only — "another light" is not a substitute.
+//
+// Pure — ReservationModal feeds it the selection and the dates.
+// =============================================================================
+
+import { STATUS } from '../constants.js';
+import { getAllReservationConflicts } from '../utils';
+
+const normalize = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Names of the spec fields a substitute must match for a category.
+ * @param {string} category
+ * @param {Object} specs - Spec definitions keyed by category
+ * @returns {string[]}
+ */
+export const substituteKeySpecs = (category, specs) =>
+  (specs?.[category] || []).filter((s) => s.substituteKey).map((s) => s.name);
+
+/**
+ * The equivalence group an item belongs to.
+ * @param {string} itemId
+ * @param {Object[]} groups - { id, name, itemIds }
+ * @returns {Object|null}
+ */
+export const equivalenceGroupOf = (itemId, groups) =>
+  (groups || []).find((g) => (g.itemIds || []).includes(itemId)) || null;
+
+/**
+ * Free items that could replace one on a reservation for the given dates.
+ * @param {Object} item - The booked item
+ * @param {Object[]} inventory
+ * @param {Object} options
+ * @param {string} options.start
+ * @param {string} options.end
+ * @param {string} [options.startTime]
+ * @param {string} [options.endTime]
+ * @param {number} [options.quantity] - Units wanted, for pooled stand-ins
+ * @param {string} [options.excludeReservationId] - The reservation being edited
+ * @param {string[]} [options.excludeIds] - Items already on the reservation
+ * @param {Object} [options.specs] - Spec definitions keyed by category
+ * @param {Object[]} [options.equivalenceGroups]
+ * @param {Object} [options.categorySettings]
+ * @param {number} [options.limit]
+ * @returns {{item: Object, reason: 'equivalent'|'specs', matched: string[]}[]}
+ */
+export function findSubstitutes(
+  item,
+  inventory,
+  {
+    start,
+    end,
+    startTime = null,
+    endTime = null,
+    quantity = 1,
+    excludeReservationId = null,
+    excludeIds = [],
+    specs = {},
+    equivalenceGroups = [],
+    categorySettings = null,
+    limit = 5,
+  } = {},
+) {
+  if (!item || !start || !end) return [];
+  const group = equivalenceGroupOf(item.id, equivalenceGroups);
+  const groupIds = new Set(group?.itemIds || []);
+  const keys = substituteKeySpecs(item.category, specs).filter(
+    (name) => normalize(item.specs?.[name]) !== '',
+  );
+  const skip = new Set([item.id, ...excludeIds]);
+
+  const found = [];
+  (inventory || []).forEach((candidate) => {
+    if (skip.has(candidate.id) || candidate.status === STATUS.MISSING) return;
+    const equivalent = groupIds.has(candidate.id);
+    const specMatch =
+      !equivalent &&
+      keys.length > 0 &&
+      candidate.category === item.category &&
+      keys.every((name) => normalize(candidate.specs?.[name]) === normalize(item.specs?.[name]));
+    if (!equivalent && !specMatch) return;
+    const { hasConflicts } = getAllReservationConflicts(
+      candidate,
+      start,
+      end,
+      excludeReservationId,
+      { quantity, categorySettings, startTime, endTime },
+    );
+    if (hasConflicts) return;
+    found.push({
+      item: candidate,
+      reason: equivalent ? 'equivalent' : 'specs',
+      matched: equivalent ? [] : keys,
+    });
+  });
+
+  return found
+    .sort(
+      (a, b) =>
+        (a.reason === 'equivalent' ? 0 : 1) - (b.reason === 'equivalent' ? 0 : 1) ||
+        (a.item.name || '').localeCompare(b.item.name || ''),
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,263 @@
+// =============================================================================
+// Time-based utilization and ROI
+//
+// How many days each item actually spent out over a window, against the days
+// it was owned in it, rebuilt from checkout_history pairs (a checkout and the
+// check-in that closed it). Reservations add the days an item was booked but
+// not out. Item days roll up by category and package, idle streaks fall out
+// of the same day map, and lifetime purchase price, maintenance cost and
+// billed rental revenue give a per-item ROI and the list of items worth
+// selling.
+//
+// Days are local calendar days, counted the way rentals are: an item out for
+// any part of a day was out that day. Quantity-tracked categories are left
+// out: units of tape have no single checkout to measure.
+//
+// Pure and clock-injectable — the Activity report and its CSV use it.
+// =============================================================================
+
+import { STATUS, RESERVATION_STATUS } from '../constants.js';
+import { isQuantityTracked, reservationStage, toLocalYMD, getTodayISO } from '../utils';
+import { daysBetween, addDaysISO } from './invoicing.js';
+
+/**
+ * When an item is worth selling: owned a while, barely used, idle now and
+ * with nothing booked ahead
+ */
+export const SELL_CANDIDATE_RULES = {
+  // Out on at most one owned day in twenty
+  maxUtilization: 0.05,
+  // Idle at least this long (or the whole owned stretch, in a short window)
+  minIdleDays: 60,
+  minDaysOwned: 30,
+};
+
+// Reservations that held the item: quotes and holds were never committed
+const BOOKED_STAGES = new Set([
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.OUT,
+  RESERVATION_STATUS.RETURNED,
+]);
+
+const OUT = 1;
+const RESERVED = 2;
+
+const rate = (out, owned) => (owned > 0 ? out / owned : 0);
+
+/**
+ * Window ending today (inclusive) and reaching back the given number of days
+ * @param {number} days
+ * @param {string} [todayISO]
+ * @returns {{start: string, end: string}}
+ */
+export const trailingWindow = (days, todayISO = getTodayISO()) => ({
+  start: addDaysISO(todayISO, -(days - 1)),
+  end: todayISO,
+});
+
+/** First day the item counts as owned: its purchase date, else when it was added */
+const ownedSince = (item) =>
+  item.purchaseDate || (item.createdAt ? toLocalYMD(new Date(item.createdAt)) : null);
+
+/** Completed, non-warranty maintenance spend over the item's life */
+export const maintenanceCost = (item) =>
+  (item.maintenanceHistory || [])
+    .filter((r) => r.status === 'completed' && !r.warrantyWork)
+    .reduce((sum, r) => sum + (Number(r.cost) || 0), 0);
+
+/**
+ * Lifetime return on the purchase price: what the item billed, less its
+ * maintenance and what it cost, as a fraction of what it cost
+ * @returns {number|null} null without a purchase price or known revenue
+ */
+export const itemROI = ({ purchasePrice, revenue, maintenance }) => {
+  const price = Number(purchasePrice) || 0;
+  if (price <= 0 || revenue == null) return null;
+  return (revenue - maintenance - price) / price;
+};
+
+/**
+ * Mark each window day the item was out. A checkout opens a stretch and the
+ * next check-in closes it; a check-in with no checkout before it in the
+ * events was out from before the window. A stretch still open at the end
+ * runs to the window's end while the item is out, and counts its own day
+ * only when the return was never logged.
+ */
+function markOutDays(days, events, item, { start, length, from }) {
+  const index = (timestamp) => daysBetween(start, toLocalYMD(new Date(timestamp)));
+  const mark = (a, b) => {
+    for (let d = Math.max(a, from); d <= Math.min(b, length - 1); d++) days[d] = OUT;
+  };
+
+  let openAt = null;
+  let seenAny = false;
+  events.forEach((event) => {
+    if (event.action === 'checkout') {
+      if (openAt === null) openAt = index(event.timestamp);
+    } else if (event.action === 'checkin') {
+      mark(openAt ?? (seenAny ? index(event.timestamp) : -Infinity), index(event.timestamp));
+      openAt = null;
+    }
+    seenAny = true;
+  });
+
+  const outNow = item.status === STATUS.CHECKED_OUT;
+  if (openAt !== null) {
+    mark(openAt, outNow ? length - 1 : openAt);
+  } else if (outNow) {
+    // Out since before the events reach back
+    mark(item.checkedOutDate ? daysBetween(start, item.checkedOutDate) : -Infinity, length - 1);
+  }
+}
+
+/** Longest run of days not out, and the run still going at the window's end */
+function idleStreaks(days, from) {
+  let longest = 0;
+  let run = 0;
+  for (let d = from; d < days.length; d++) {
+    run = days[d] === OUT ? 0 : run + 1;
+    longest = Math.max(longest, run);
+  }
+  return { longestIdle: longest, currentIdle: run };
+}
+
+const rollUp = (rows) => {
+  const daysOut = rows.reduce((sum, r) => sum + r.daysOut, 0);
+  const daysOwned = rows.reduce((sum, r) => sum + r.daysOwned, 0);
+  return { items: rows.length, daysOut, daysOwned, utilization: rate(daysOut, daysOwned) };
+};
+
+/**
+ * Utilization over a window for every serialized item owned in it, with the
+ * category, package and overall roll-ups, ROI and sell candidates.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.inventory - Items with reservations and, for
+ *   maintenance cost, their full maintenanceHistory
+ * @param {Object[]} params.events - checkout_history events covering the window
+ * @param {{start: string, end: string}} params.window - Inclusive YYYY-MM-DD days
+ * @param {Object[]} [params.packages] - {id, name, items: itemIds}
+ * @param {Object} [params.categorySettings] - Skips quantity-tracked categories
+ * @param {Object|null} [params.revenueByItem] - {itemId: {revenue}}; null
+ *   when billing isn't known, which leaves revenue and ROI null
+ * @returns {{items: Object[], overall: Object, byCategory: Object[],
+ *   byPackage: Object[], sellCandidates: Object[], days: number}}
+ */
+export function computeUtilization({
+  inventory,
+  events,
+  window,
+  packages = [],
+  categorySettings = {},
+  revenueByItem = null,
+}) {
+  const { start, end } = window;
+  const length = daysBetween(start, end) + 1;
+
+  const eventsByItem = new Map();
+  [...events]
+    .filter((e) => e.itemId && e.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach((e) => {
+      if (!eventsByItem.has(e.itemId)) eventsByItem.set(e.itemId, []);
+      eventsByItem.get(e.itemId).push(e);
+    });
+
+  const items = [];
+  inventory.forEach((item) => {
+    if (isQuantityTracked(item, categorySettings)) return;
+    const since = ownedSince(item);
+    const from = since ? Math.max(0, daysBetween(start, since)) : 0;
+    if (from >= length) return;
+
+    const days = new Uint8Array(length);
+    markOutDays(days, eventsByItem.get(item.id) || [], item, { start, length, from });
+
+    let bookedAhead = false;
+    (item.reservations || []).forEach((r) => {
+      const rStart = r.start || r.startDate;
+      const rEnd = r.end || r.endDate;
+      const stage = reservationStage(r);
+      if (!rStart || !rEnd || !BOOKED_STAGES.has(stage)) return;
+      if (rEnd > end && stage !== RESERVATION_STATUS.RETURNED) bookedAhead = true;
+      const a = Math.max(from, daysBetween(start, rStart));
+      const b = Math.min(length - 1, daysBetween(start, rEnd));
+      for (let d = a; d <= b; d++) if (!days[d]) days[d] = RESERVED;
+    });
+
+    let daysOut = 0;
+    let daysReserved = 0;
+    let lastOut = -1;
+    for (let d = from; d < length; d++) {
+      if (days[d] === OUT) {
+        daysOut++;
+        lastOut = d;
+      } else if (days[d] === RESERVED) {
+        daysReserved++;
+      }
+    }
+    const daysOwned = length - from;
+    const revenue = revenueByItem ? Number(revenueByItem[item.id]?.revenue) || 0 : null;
+    const maintenance = maintenanceCost(item);
+
+    items.push({
+      id: item.id,
+      name: item.name,
+      brand: item.brand,
+      category: item.category || 'Uncategorized',
+      status: item.status,
+      daysOwned,
+      daysOut,
+      daysReserved,
+      utilization: rate(daysOut, daysOwned),
+      bookedRate: rate(daysOut + daysReserved, daysOwned),
+      ...idleStreaks(days, from),
+      lastOutDate: lastOut >= 0 ? addDaysISO(start, lastOut) : null,
+      bookedAhead,
+      purchasePrice: Number(item.purchasePrice) || null,
+      value: Number(item.currentValue) || Number(item.purchasePrice) || 0,
+      revenue,
+      maintenance,
+      roi: itemROI({ purchasePrice: item.purchasePrice, revenue, maintenance }),
+    });
+  });
+
+  const byCategoryMap = new Map();
+  items.forEach((row) => {
+    if (!byCategoryMap.has(row.category)) byCategoryMap.set(row.category, []);
+    byCategoryMap.get(row.category).push(row);
+  });
+  const byCategory = [...byCategoryMap]
+    .map(([category, rows]) => ({ category, ...rollUp(rows) }))
+    .sort((a, b) => b.utilization - a.utilization || a.category.localeCompare(b.category));
+
+  const rowsById = new Map(items.map((row) => [row.id, row]));
+  const byPackage = packages
+    .map((pkg) => {
+      const rows = (pkg.items || []).map((id) => rowsById.get(id)).filter(Boolean);
+      return { id: pkg.id, name: pkg.name, ...rollUp(rows) };
+    })
+    .filter((pkg) => pkg.items > 0)
+    .sort((a, b) => b.utilization - a.utilization || a.name.localeCompare(b.name));
+
+  const rules = SELL_CANDIDATE_RULES;
+  const sellCandidates = items
+    .filter(
+      (row) =>
+        row.daysOwned >= rules.minDaysOwned &&
+        row.utilization <= rules.maxUtilization &&
+        row.currentIdle >= Math.min(rules.minIdleDays, row.daysOwned) &&
+        !row.bookedAhead &&
+        row.status !== STATUS.CHECKED_OUT,
+    )
+    .sort((a, b) => b.value - a.value || b.currentIdle - a.currentIdle);
+
+  return {
+    days: length,
+    items,
+    overall: rollUp(items),
+    byCategory,
+    byPackage,
+    sellCandidates,
+  };
+}
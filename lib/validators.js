@@ -4,6 +4,7 @@
 // =============================================================================
 
 import { STATUS, CONDITION, CATEGORIES } from '../constants.js';
+import { timeToMinutes, reservationsOverlap } from '../utils';
 
 // =============================================================================
 // Validation Result Type
@@ -171,6 +172,18 @@ export function validateItem(data, options = {}) {
     }
   }
 
+  // Rental rates are optional (blank = not priced), never negative
+  [
+    ['dayRate', 'Day rate'],
+    ['weekRate', 'Week rate'],
+  ].forEach(([field, label]) => {
+    const rate = data[field];
+    if (rate === undefined || rate === null || rate === '') return;
+    if (parseCurrency(rate) < 0) {
+      errors[field] = `${label} cannot be negative`;
+    }
+  });
+
   // Serial number validation
   if (data.serialNumber && !isValidLength(data.serialNumber, 0, 50)) {
     errors.serialNumber = 'Serial number must be 50 characters or less';
@@ -217,10 +230,11 @@ export function validateItem(data, options = {}) {
  * @param {Object} options - Validation options
  * @param {Array} options.existingReservations - Existing reservations for conflict check
  * @param {string} options.editingId - ID of reservation being edited
+ * @param {number} options.bufferMinutes - Turnaround after a timed return
  * @returns {ValidationResult}
  */
 export function validateReservation(data, options = {}) {
-  const { existingReservations = [], editingId = null } = options;
+  const { existingReservations = [], editingId = null, bufferMinutes = 0 } = options;
   const errors = {};
 
   // Start date validation
@@ -242,6 +256,24 @@ export function validateReservation(data, options = {}) {
     errors.end = 'End date must be after start date';
   }
 
+  // Times are optional; a same-day booking must end after it starts
+  const startMinutes = timeToMinutes(data.startTime);
+  const endMinutes = timeToMinutes(data.endTime);
+  if (data.startTime && startMinutes === null) {
+    errors.startTime = 'Invalid start time';
+  }
+  if (data.endTime && endMinutes === null) {
+    errors.endTime = 'Invalid end time';
+  } else if (
+    data.start &&
+    data.start === data.end &&
+    startMinutes !== null &&
+    endMinutes !== null &&
+    endMinutes <= startMinutes
+  ) {
+    errors.endTime = 'End time must be after start time';
+  }
+
   // Project name validation
   if (!data.project || !isNonEmptyString(data.project)) {
     errors.project = 'Project name is required';
@@ -264,11 +296,20 @@ export function validateReservation(data, options = {}) {
     errors.contactPhone = 'Phone number too long';
   }
 
+  // Units held — only pooled items book more than one
+  if (
+    data.quantity !== undefined &&
+    data.quantity !== null &&
+    !(Number.isInteger(Number(data.quantity)) && Number(data.quantity) >= 1)
+  ) {
+    errors.quantity = 'Quantity must be a whole number of at least 1';
+  }
+
   // Conflict check
   if (data.start && data.end && existingReservations.length > 0) {
     const hasConflict = existingReservations.some((r) => {
       if (r.id === editingId) return false;
-      return datesOverlap(data.start, data.end, r.start, r.end);
+      return reservationsOverlap(data, r, bufferMinutes);
     });
 
     if (hasConflict) {
@@ -330,6 +371,73 @@ export function validateClient(data) {
   };
 }
 
+// =============================================================================
+// Borrower Validator
+// =============================================================================
+
+const isPositiveOrEmpty = (value) =>
+  value === null || value === undefined || value === '' || Number(value) > 0;
+
+export function validateBorrower(data) {
+  const errors = {};
+
+  if (!data.name || !isNonEmptyString(data.name)) {
+    errors.name = 'Borrower name is required';
+  } else if (!isValidLength(data.name, 2, 100)) {
+    errors.name = 'Name must be between 2 and 100 characters';
+  }
+
+  if (data.email && !isValidEmail(data.email)) {
+    errors.email = 'Invalid email address';
+  }
+
+  if (data.phone && !isValidLength(data.phone, 0, 20)) {
+    errors.phone = 'Phone number too long';
+  }
+
+  if (!isPositiveOrEmpty(data.maxItems) || !Number.isInteger(Number(data.maxItems || 1))) {
+    errors.maxItems = 'Item limit must be a whole number above zero';
+  }
+
+  if (!isPositiveOrEmpty(data.maxValue)) {
+    errors.maxValue = 'Value limit must be above zero';
+  }
+
+  if (data.depositRequired && !(Number(data.depositRequired) >= 0)) {
+    errors.depositRequired = 'Deposit cannot be negative';
+  }
+
+  if (data.blocked && !isNonEmptyString(data.blockedReason)) {
+    errors.blockedReason = 'Say why the borrower is blocked';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+}
+
+// =============================================================================
+// Checkout Deposit Validator
+// =============================================================================
+
+const DEPOSIT_METHOD_VALUES = ['cash', 'card', 'transfer', 'check', 'other'];
+
+export function validateCheckoutDeposit(data) {
+  const errors = {};
+
+  if (!data.borrowerName || !isNonEmptyString(data.borrowerName)) {
+    errors.borrowerName = 'Say who left the deposit';
+  }
+
+  if (!(Number(data.amount) > 0)) {
+    errors.amount = 'Deposit amount must be above zero';
+  }
+
+  if (data.method && !DEPOSIT_METHOD_VALUES.includes(data.method)) {
+    errors.method = 'Unknown payment method';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+}
+
 // =============================================================================
 // Maintenance Record Validator
 // =============================================================================
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { lazy, Suspense } from 'react';
 import ReactDOM from 'react-dom/client';
 import { SpeedInsights } from '@vercel/speed-insights/react';
 import App from './App.jsx';
@@ -14,8 +14,11 @@ import { ModalProvider } from './contexts/ModalContext.jsx';
 import { FilterProvider } from './contexts/FilterContext.jsx';
 import { NavigationProviderWithData } from './contexts/NavigationContext.jsx';
 import { initErrorTracking } from './lib/errorTracking.js';
+import { portalTokenFromPath } from './lib/clientPortal.js';
 import './index.css';
 
+const ClientPortal = lazy(() => import('./views/ClientPortal.jsx'));
+
 // Error tracking boots with the app. Without VITE_SENTRY_DSN this is a
 // silent no-op — the module shipped fully built but was never initialized,
 // so the app had NO error reporting despite the README claiming Sentry.
@@ -41,30 +44,48 @@ sessionStorage.removeItem('chunk-reload');
 const isDev = import.meta.env.DEV;
 const Wrapper = isDev ? React.StrictMode : React.Fragment;
 
+// /portal/<token> is the public client request page: no sign-in, no app
+// shell, none of the data providers — just the page and what it needs.
+const portalToken = portalTokenFromPath(window.location.pathname);
+
 ReactDOM.createRoot(document.getElementById('root')).render(
-  <Wrapper>
-    <ErrorBoundary>
-      <ToastProvider>
-        <ThemeProvider>
-          <PWAProvider>
-            <UpdateBanner />
-            <AuthProvider>
-              <DataProvider>
-                <SidebarProvider>
-                  <ModalProvider>
-                    <FilterProvider>
-                      <NavigationProviderWithData>
-                        <App />
-                        <SpeedInsights />
-                      </NavigationProviderWithData>
-                    </FilterProvider>
-                  </ModalProvider>
-                </SidebarProvider>
-              </DataProvider>
-            </AuthProvider>
-          </PWAProvider>
-        </ThemeProvider>
-      </ToastProvider>
-    </ErrorBoundary>
-  </Wrapper>,
+  portalToken ? (
+    <Wrapper>
+      <ErrorBoundary>
+        <ToastProvider>
+          <ThemeProvider>
+            <Suspense fallback={null}>
+              <ClientPortal token={portalToken} />
+            </Suspense>
+          </ThemeProvider>
+        </ToastProvider>
+      </ErrorBoundary>
+    </Wrapper>
+  ) : (
+    <Wrapper>
+      <ErrorBoundary>
+        <ToastProvider>
+          <ThemeProvider>
+            <PWAProvider>
+              <UpdateBanner />
+              <AuthProvider>
+                <DataProvider>
+                  <SidebarProvider>
+                    <ModalProvider>
+                      <FilterProvider>
+                        <NavigationProviderWithData>
+                          <App />
+                          <SpeedInsights />
+                        </NavigationProviderWithData>
+                      </FilterProvider>
+                    </ModalProvider>
+                  </SidebarProvider>
+                </DataProvider>
+              </AuthProvider>
+            </PWAProvider>
+          </ThemeProvider>
+        </ToastProvider>
+      </ErrorBoundary>
+    </Wrapper>
+  ),
 );
@@ -2,6 +2,7 @@
 // Batch Check Out Modal
 // One borrower + due date applied to a whole reservation's items — the
 // load-out flow. Items that aren't available are listed but skipped.
+// Also takes a scanner session's list, with no reservation behind it.
 // ============================================================================
 
 import { memo, useMemo, useState } from 'react';
@@ -9,24 +10,49 @@ import PropTypes from 'prop-types';
 import { AlertTriangle, LogOut } from 'lucide-react';
 import { STATUS } from '../constants.js';
 import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
-import { getTodayISO, getStatusColor, getStatusLabel } from '../utils';
+import { getTodayISO, getStatusColor, getStatusLabel, isQuantityTracked } from '../utils';
 import { Badge, Button, Input } from '../components/ui.jsx';
+import { Select } from '../components/Select.jsx';
 import { DatePicker } from '../components/DatePicker.jsx';
+import AgreementSignature from '../components/AgreementSignature.jsx';
+import ReadinessChecks from '../components/ReadinessChecks.jsx';
+import BorrowerRestrictions from '../components/BorrowerRestrictions.jsx';
+import DepositFields from '../components/DepositFields.jsx';
 import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { DEFAULT_PRICING } from '../lib/pricing.js';
+import { useCheckoutReadiness } from '../hooks/useCheckoutReadiness.js';
+import {
+  AGREEMENT_KINDS,
+  agreementLine,
+  agreementTermsFor,
+  agreementTotal,
+} from '../lib/agreements.js';
+import { companyNameFor } from '../lib/emailTemplates.js';
+import { findBorrower, checkoutRestrictions } from '../lib/borrowers.js';
+import { EMPTY_DEPOSIT_FIELDS, checkoutDeposit } from '../lib/deposits.js';
 
 export const BatchCheckOutModal = memo(function BatchCheckOutModal({
   reservation,
   items,
+  borrowers = [],
   currentUser,
+  settings = DEFAULT_PRICING,
+  inventory = [],
+  categorySettings = {},
+  onLoadDamageReports,
   onConfirm,
   onClose,
 }) {
   const [borrowerName, setBorrowerName] = useState(
     reservation?.user || currentUser?.name || '',
   );
+  const [borrowerId, setBorrowerId] = useState('');
   const [dueDate, setDueDate] = useState(reservation?.end || getTodayISO());
   const [acknowledged, setAcknowledged] = useState(false);
   const [submitting, setSubmitting] = useState(false);
+  const [signature, setSignature] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [depositFields, setDepositFields] = useState(EMPTY_DEPOSIT_FIELDS);
 
   const { checkoutable, skipped } = useMemo(() => {
     const ok = [];
@@ -38,26 +64,103 @@ export const BatchCheckOutModal = memo(function BatchCheckOutModal({
     return { checkoutable: ok, skipped: skip };
   }, [items]);
 
+  const borrower = useMemo(
+    () => findBorrower(borrowers, { borrowerId, name: borrowerName }),
+    [borrowers, borrowerId, borrowerName],
+  );
+  // Quantity lines go out a unit at a time, outside the item and value
+  // limits, and a deposit covers only the serialized items
+  const serialized = useMemo(
+    () => checkoutable.filter((item) => !isQuantityTracked(item, categorySettings)),
+    [checkoutable, categorySettings],
+  );
+  const restrictions = useMemo(
+    () => checkoutRestrictions(borrower, { inventory, items: serialized }),
+    [borrower, inventory, serialized],
+  );
+  const depositCheck = useMemo(
+    () =>
+      serialized.length > 0
+        ? checkoutDeposit(depositFields, borrower)
+        : { deposit: null, error: null },
+    [serialized, depositFields, borrower],
+  );
+
+  const pickBorrower = (id) => {
+    setBorrowerId(id);
+    const account = borrowers.find((b) => b.id === id);
+    if (account) setBorrowerName(account.name);
+    if (Number(account?.depositRequired) > 0) {
+      setDepositFields((prev) =>
+        prev.amount ? prev : { ...prev, amount: String(account.depositRequired) },
+      );
+    }
+  };
+
+  // Checked together: an accessory in the same batch isn't missing
+  const readiness = useCheckoutReadiness({
+    items: checkoutable,
+    inventory,
+    categorySettings,
+    borrowerName,
+    borrower,
+    loadDamageReports: onLoadDamageReports,
+  });
+
+  // One agreement covers every item going out
+  const terms = useMemo(
+    () =>
+      agreementTermsFor(AGREEMENT_KINDS.CHECKOUT, settings, {
+        borrower: borrowerName.trim(),
+        company: companyNameFor(currentUser),
+        dueDate,
+        totalValue: agreementTotal(checkoutable.map((item) => agreementLine(item))),
+      }),
+    [settings, borrowerName, currentUser, dueDate, checkoutable],
+  );
+
   const canConfirm =
-    borrowerName.trim() && dueDate && acknowledged && checkoutable.length > 0 && !submitting;
+    borrowerName.trim() &&
+    restrictions.length === 0 &&
+    !depositCheck.error &&
+    dueDate &&
+    acknowledged &&
+    (signature || !settings.requireAgreement) &&
+    (!readiness.blocked || overrideReason.trim()) &&
+    checkoutable.length > 0 &&
+    !submitting;
 
   const handleConfirm = async () => {
     if (!canConfirm) return;
     setSubmitting(true);
-    await onConfirm({
-      items: checkoutable,
-      borrowerName: borrowerName.trim(),
-      clientId: reservation?.clientId || null,
-      clientName: reservation?.clientName || null,
-      project: reservation?.project || '',
-      dueDate,
-    });
-    // onConfirm closes the modal on completion
+    try {
+      await onConfirm({
+        items: checkoutable,
+        borrowerName: borrowerName.trim(),
+        borrowerId: borrower?.id || null,
+        clientId: reservation?.clientId || null,
+        clientName: reservation?.clientName || null,
+        project: reservation?.project || '',
+        dueDate,
+        signature,
+        readinessOverride: readiness.blocked
+          ? { reason: overrideReason.trim(), issues: readiness.issues }
+          : null,
+        deposit: depositCheck.deposit,
+      });
+    } finally {
+      // onConfirm closes the modal on completion; this only matters when it
+      // stopped early (the signed agreement could not be saved)
+      setSubmitting(false);
+    }
   };
 
   return (
     <Modal onClose={onClose} maxWidth={520}>
-      <ModalHeader title="Check Out Reservation" onClose={onClose} />
+      <ModalHeader
+        title={reservation ? 'Check Out Reservation' : 'Check Out Scanned Items'}
+        onClose={onClose}
+      />
       <div className="modal-body" style={{ padding: spacing[4], maxHeight: '70vh', overflowY: 'auto' }}>
         <p
           style={{
@@ -70,12 +173,34 @@ export const BatchCheckOutModal = memo(function BatchCheckOutModal({
           one borrower and due date applied to every item below.
         </p>
 
+        {borrowers.length > 0 && (
+          <div style={{ marginBottom: spacing[3] }}>
+            <label className="label">Borrower Account</label>
+            <Select
+              value={borrowerId}
+              onChange={(e) => pickBorrower(e.target.value)}
+              options={[
+                { value: '', label: '-- No account --' },
+                ...borrowers.map((b) => ({
+                  value: b.id,
+                  label: b.name + (b.blocked ? ' (blocked)' : ''),
+                })),
+              ]}
+              aria-label="Borrower account"
+            />
+          </div>
+        )}
+
         <div className="responsive-form-grid" style={{ marginBottom: spacing[4] }}>
           <Input
             label="Borrower"
             required
             value={borrowerName}
-            onChange={(e) => setBorrowerName(e.target.value)}
+            onChange={(e) => {
+              // A different name is a different borrower — drop the picked account
+              setBorrowerName(e.target.value);
+              setBorrowerId('');
+            }}
             placeholder="Who is taking the gear"
           />
           <div>
@@ -92,6 +217,7 @@ export const BatchCheckOutModal = memo(function BatchCheckOutModal({
             />
           </div>
         </div>
+        <BorrowerRestrictions restrictions={restrictions} />
 
         {/* Items */}
         <div style={{ marginBottom: spacing[4] }}>
@@ -139,11 +265,43 @@ export const BatchCheckOutModal = memo(function BatchCheckOutModal({
           ))}
           {checkoutable.length === 0 && (
             <p style={{ color: colors.textMuted, fontSize: typography.fontSize.sm, margin: 0 }}>
-              None of this reservation&apos;s items can be checked out right now.
+              None of {reservation ? "this reservation's" : 'these'} items can be checked out right
+              now.
             </p>
           )}
         </div>
 
+        {/* Quantity lines alone leave a deposit nothing to cover */}
+        {serialized.length > 0 && (
+          <DepositFields
+            value={depositFields}
+            onChange={setDepositFields}
+            borrower={borrower}
+            error={depositCheck.error}
+            note={
+              serialized.length < checkoutable.length
+                ? `Covers the ${serialized.length} serialized item${serialized.length === 1 ? '' : 's'} only — units handed out by count go without one`
+                : undefined
+            }
+          />
+        )}
+
+        <ReadinessChecks
+          issues={readiness.issues}
+          blocked={readiness.blocked}
+          showItemNames
+          overrideReason={overrideReason}
+          onOverrideReasonChange={setOverrideReason}
+        />
+
+        {checkoutable.length > 0 && (
+          <AgreementSignature
+            terms={terms}
+            required={settings.requireAgreement}
+            onSignatureChange={setSignature}
+          />
+        )}
+
         {/* Single acknowledgment for the batch */}
         <label
           style={{
@@ -181,7 +339,17 @@ export const BatchCheckOutModal = memo(function BatchCheckOutModal({
 BatchCheckOutModal.propTypes = {
   reservation: PropTypes.object,
   items: PropTypes.array,
+  /** Borrower accounts — contact details, limits and blocks */
+  borrowers: PropTypes.array,
   currentUser: PropTypes.object,
+  /** Pricing settings — the agreement terms and whether a signature is required */
+  settings: PropTypes.object,
+  /** Full inventory — required accessories and the borrower's overdue gear */
+  inventory: PropTypes.array,
+  /** Per-category readiness rule levels */
+  categorySettings: PropTypes.object,
+  /** (itemIds) => Promise<{ [itemId]: report }> — open damage reports */
+  onLoadDamageReports: PropTypes.func,
   onConfirm: PropTypes.func.isRequired,
   onClose: PropTypes.func.isRequired,
 };
@@ -4,18 +4,20 @@
 // Parsing/validation live in lib/csv.js + lib/importItems.js (RFC 4180,
 // BOM-tolerant, header aliases for every SIMS export flavor). Import runs
 // through the REAL create path — results are reported honestly, including
-// per-row failures.
+// per-row failures. "Update existing" mode matches rows to current items and
+// previews field-level changes before writing only those.
 // ============================================================================
 
 import { memo, useState, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { Upload, Download } from 'lucide-react';
-import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import { Button } from '../components/ui.jsx';
 import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
 import { downloadCSV, formatMoney } from '../utils';
 import { parseCSV } from '../lib/csv.js';
-import { buildImportItems } from '../lib/importItems.js';
+import { IMPORT_MODES, buildImportItems, planUpsert } from '../lib/importItems.js';
+import { inventoryColumnById } from '../lib/inventoryCsv.js';
 
 const TEMPLATE_HEADERS = [
   'name',
@@ -27,15 +29,17 @@ const TEMPLATE_HEADERS = [
   'purchaseDate',
   'purchasePrice',
   'currentValue',
+  'dayRate',
+  'weekRate',
   'serialNumber',
   'quantity',
   'notes',
 ];
 
 const TEMPLATE_ROWS = [
-  ['Sony A7S III', 'Sony', 'Cameras', 'available', 'excellent', 'Studio A - Shelf 1', '2023-06-15', '3498', '2800', 'SN-A7S3-001', '1', 'Great condition'],
-  ['Canon RF 24-70mm f/2.8', 'Canon', 'Lenses', 'available', 'good', 'Lens Cabinet', '2023-03-20', '2399', '2100', 'SN-RF2470-002', '1', ''],
-  ['Aputure 600d Pro', 'Aputure', 'Lighting', 'checked-out', 'excellent', 'Lighting Storage', '2023-01-10', '1699', '1400', 'SN-600D-003', '1', ''],
+  ['Sony A7S III', 'Sony', 'Cameras', 'available', 'excellent', 'Studio A - Shelf 1', '2023-06-15', '3498', '2800', '150', '450', 'SN-A7S3-001', '1', 'Great condition'],
+  ['Canon RF 24-70mm f/2.8', 'Canon', 'Lenses', 'available', 'good', 'Lens Cabinet', '2023-03-20', '2399', '2100', '75', '', 'SN-RF2470-002', '1', ''],
+  ['Aputure 600d Pro', 'Aputure', 'Lighting', 'checked-out', 'excellent', 'Lighting Storage', '2023-01-10', '1699', '1400', '', '', 'SN-600D-003', '1', ''],
 ];
 
 const noticeBoxStyle = (color) => ({
@@ -51,6 +55,27 @@ const noticeBoxStyle = (color) => ({
   overflowY: 'auto',
 });
 
+const MODE_OPTIONS = [
+  {
+    value: IMPORT_MODES.CREATE,
+    label: 'Add new items',
+    hint: 'Every row becomes a new item with a new ID.',
+  },
+  {
+    value: IMPORT_MODES.UPSERT,
+    label: 'Update existing',
+    hint: 'Rows are matched to items by ID, then serial number, and only changed fields are saved. Blank cells are left alone; unmatched rows are added as new items.',
+  },
+];
+
+const fieldLabel = (field) =>
+  field.startsWith('spec:') ? field.slice(5) : inventoryColumnById[field]?.label || field;
+
+const displayValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return value === '' || value == null ? '—' : String(value);
+};
+
 const capList = (list, max = 6) =>
   list.slice(0, max).join('\n') + (list.length > max ? `\n… and ${list.length - max} more` : '');
 
@@ -58,11 +83,14 @@ export const CSVImportModal = memo(function CSVImportModal({
   categories,
   specs,
   existingSerials = [],
+  inventory = [],
   onImport,
   onClose,
 }) {
   const [file, setFile] = useState(null);
-  const [prepared, setPrepared] = useState(null); // {items, errors, warnings}
+  const [mode, setMode] = useState(IMPORT_MODES.CREATE);
+  const [parsed, setParsed] = useState(null);
+  const [prepared, setPrepared] = useState(null); // {items, updates, unchanged, errors, warnings}
   const [parseError, setParseError] = useState(null);
   const [importing, setImporting] = useState(false);
   const [progress, setProgress] = useState(null); // {done, total}
@@ -70,20 +98,48 @@ export const CSVImportModal = memo(function CSVImportModal({
   const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
 
-  const prepareFile = async (selectedFile) => {
-    setFile(selectedFile);
+  const prepare = (parsedCsv, importMode) => {
     setParseError(null);
     setPrepared(null);
+    try {
+      const built = buildImportItems(parsedCsv, { categories, existingSerials, mode: importMode });
+      if (importMode !== IMPORT_MODES.UPSERT) {
+        setPrepared({ ...built, updates: [], unchanged: 0 });
+        return;
+      }
+      const plan = planUpsert(built.items, inventory);
+      setPrepared({
+        items: plan.creates,
+        updates: plan.updates,
+        unchanged: plan.unchanged,
+        errors: [...built.errors, ...plan.errors],
+        warnings: [...built.warnings, ...plan.warnings],
+      });
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  const prepareFile = async (selectedFile) => {
+    setFile(selectedFile);
+    setParsed(null);
     setResult(null);
     try {
       const text = await selectedFile.text();
-      const parsed = parseCSV(text);
-      setPrepared(buildImportItems(parsed, { categories, existingSerials }));
+      const parsedCsv = parseCSV(text);
+      setParsed(parsedCsv);
+      prepare(parsedCsv, mode);
     } catch (err) {
+      setPrepared(null);
       setParseError(err.message);
     }
   };
 
+  const handleModeChange = (nextMode) => {
+    setMode(nextMode);
+    if (parsed) prepare(parsed, nextMode);
+  };
+
   // Drag-and-drop handlers
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -134,14 +190,19 @@ export const CSVImportModal = memo(function CSVImportModal({
     downloadCSV(headers, rows, 'sims-import-template.csv');
   };
 
+  const isUpsert = mode === IMPORT_MODES.UPSERT;
+  const rowCount = prepared ? prepared.items.length + prepared.updates.length : 0;
+
   const handleImport = async () => {
-    if (!prepared || prepared.errors.length > 0 || prepared.items.length === 0) return;
+    if (!prepared || prepared.errors.length > 0 || rowCount === 0) return;
 
     setImporting(true);
-    setProgress({ done: 0, total: prepared.items.length });
+    setProgress({ done: 0, total: rowCount });
     try {
-      const summary = await onImport(prepared.items, (done, total) =>
-        setProgress({ done, total }),
+      const summary = await onImport(
+        prepared.items,
+        (done, total) => setProgress({ done, total }),
+        prepared.updates,
       );
       if (summary && (summary.failed.length > 0 || summary.noteFailures > 0)) {
         // Partial failure: stay open and say exactly what happened. Import is
@@ -159,7 +220,7 @@ export const CSVImportModal = memo(function CSVImportModal({
   };
 
   const canImport =
-    prepared && prepared.errors.length === 0 && prepared.items.length > 0 && !importing && !result;
+    prepared && prepared.errors.length === 0 && rowCount > 0 && !importing && !result;
 
   return (
     <Modal onClose={onClose} maxWidth={600}>
@@ -198,6 +259,40 @@ export const CSVImportModal = memo(function CSVImportModal({
           </Button>
         </div>
 
+        {/* Import mode */}
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label}>Import Mode</label>
+          <div style={{ display: 'flex', gap: spacing[2] }}>
+            {MODE_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                onClick={() => handleModeChange(opt.value)}
+                disabled={importing || !!result}
+                aria-pressed={mode === opt.value}
+                style={{
+                  ...styles.btnSec,
+                  flex: 1,
+                  justifyContent: 'center',
+                  background:
+                    mode === opt.value ? `${withOpacity(colors.primary, 30)}` : 'transparent',
+                  borderColor: mode === opt.value ? colors.primary : colors.border,
+                }}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <p
+            style={{
+              color: colors.textMuted,
+              fontSize: typography.fontSize.sm,
+              margin: `${spacing[2]}px 0 0`,
+            }}
+          >
+            {MODE_OPTIONS.find((o) => o.value === mode).hint}
+          </p>
+        </div>
+
         {/* File upload */}
         <div
           onClick={() => fileInputRef.current?.click()}
@@ -262,7 +357,9 @@ export const CSVImportModal = memo(function CSVImportModal({
         {result && (
           <div style={noticeBoxStyle(result.failed.length ? colors.danger : colors.warning)} role="alert">
             {[
-              `Imported ${result.created.length} of ${result.created.length + result.failed.length} items.`,
+              isUpsert
+                ? `Updated ${result.updated.length} and added ${result.created.length} of ${result.updated.length + result.created.length + result.failed.length} items.`
+                : `Imported ${result.created.length} of ${result.created.length + result.failed.length} items.`,
               result.failed.length
                 ? `Failed:\n${capList(result.failed.map((f) => `${f.name}: ${f.error}`))}`
                 : '',
@@ -273,11 +370,70 @@ export const CSVImportModal = memo(function CSVImportModal({
           </div>
         )}
 
+        {/* Field-level changes to existing items */}
+        {isUpsert && prepared && !result && (
+          <div style={{ marginBottom: spacing[4] }}>
+            <h4 style={{ margin: `0 0 ${spacing[2]}px`, color: colors.textPrimary }}>
+              Changes ({prepared.updates.length} to update, {prepared.unchanged} unchanged)
+            </h4>
+            {prepared.updates.length > 0 && (
+              <div
+                style={{
+                  background: colors.bgLight,
+                  borderRadius: borderRadius.md,
+                  padding: spacing[2],
+                  maxHeight: 200,
+                  overflowY: 'auto',
+                  fontSize: typography.fontSize.sm,
+                }}
+              >
+                {prepared.updates.slice(0, 5).map((update) => (
+                  <div key={update.id} style={{ marginBottom: spacing[2] }}>
+                    <div
+                      style={{
+                        color: colors.textPrimary,
+                        fontWeight: typography.fontWeight.medium,
+                      }}
+                    >
+                      {update.name}{' '}
+                      <span style={{ color: colors.textMuted, fontWeight: 'normal' }}>
+                        {update.id}
+                      </span>
+                    </div>
+                    <ul style={{ margin: 0, paddingLeft: spacing[5], color: colors.textSecondary }}>
+                      {update.diff.map((d) => (
+                        <li key={d.field}>
+                          {fieldLabel(d.field)}: {displayValue(d.oldValue)} →{' '}
+                          <span style={{ color: colors.warning }}>{displayValue(d.newValue)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+                {prepared.updates.length > 5 && (
+                  <p
+                    style={{
+                      color: colors.textMuted,
+                      fontSize: typography.fontSize.xs,
+                      textAlign: 'center',
+                      margin: 0,
+                    }}
+                  >
+                    ... and {prepared.updates.length - 5} more items
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Preview */}
-        {prepared && !result && (
+        {prepared && !result && (!isUpsert || prepared.items.length > 0) && (
           <div style={{ marginBottom: spacing[4] }}>
             <h4 style={{ margin: `0 0 ${spacing[2]}px`, color: colors.textPrimary }}>
-              Preview ({prepared.items.length} importable items)
+              {isUpsert
+                ? `New items (${prepared.items.length})`
+                : `Preview (${prepared.items.length} importable items)`}
             </h4>
             <div
               style={{
@@ -361,7 +517,7 @@ export const CSVImportModal = memo(function CSVImportModal({
               marginBottom: spacing[3],
             }}
           >
-            Importing {progress.done} of {progress.total}…
+            {isUpsert ? 'Saving' : 'Importing'} {progress.done} of {progress.total}…
           </p>
         )}
 
@@ -377,7 +533,9 @@ export const CSVImportModal = memo(function CSVImportModal({
         >
           {importing
             ? 'Importing...'
-            : `Import ${prepared?.items.length || 0} Items`}
+            : isUpsert
+              ? `Apply ${rowCount} Change${rowCount === 1 ? '' : 's'}`
+              : `Import ${prepared?.items.length || 0} Items`}
         </Button>
       </ModalFooter>
     </Modal>
@@ -401,7 +559,15 @@ CSVImportModal.propTypes = {
   ),
   /** Serial numbers already in inventory — duplicates warn before import */
   existingSerials: PropTypes.arrayOf(PropTypes.string),
-  /** async (items, onProgress) => {created, failed, noteFailures} */
+  /** Current items — update mode matches rows against them */
+  inventory: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      serialNumber: PropTypes.string,
+    }),
+  ),
+  /** async (items, onProgress, updates) => {created, updated, failed, noteFailures} */
   onImport: PropTypes.func.isRequired,
   /** Callback to close modal */
   onClose: PropTypes.func.isRequired,
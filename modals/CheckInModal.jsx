@@ -1,16 +1,31 @@
 // ============================================================================
 // Check In Modal
-// Handle item return with condition verification and damage reporting
+// Handle item return with condition verification, damage reporting and
+// settling the deposit the item was covered by
 // ============================================================================
 
-import { memo, useState } from 'react';
+import { memo, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { getTodayISO } from '../utils';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import { Badge, Button } from '../components/ui.jsx';
+import AgreementSignature from '../components/AgreementSignature.jsx';
+import DepositSettlement from '../components/DepositSettlement.jsx';
 import { Modal, ModalHeader } from './ModalBase.jsx';
+import { DEFAULT_PRICING } from '../lib/pricing.js';
+import { AGREEMENT_KINDS, agreementTermsFor } from '../lib/agreements.js';
+import { companyNameFor } from '../lib/emailTemplates.js';
+import { SETTLEMENT_OUTCOMES, depositSettlement } from '../lib/deposits.js';
 
-export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCheckIn, onClose }) {
+export const CheckInModal = memo(function CheckInModal({
+  item,
+  currentUser,
+  settings = DEFAULT_PRICING,
+  deposit = null,
+  depositStillOut = 0,
+  onCheckIn,
+  onClose,
+}) {
   const [formData, setFormData] = useState({
     condition: item?.condition || 'excellent',
     conditionChanged: false,
@@ -21,6 +36,34 @@ export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCh
   });
 
   const [errors, setErrors] = useState({});
+  // The borrower signs for the return, not the operator taking it in
+  const [signature, setSignature] = useState(null);
+  const signerName = item?.checkedOutTo || currentUser?.name || 'Unknown';
+  const terms = useMemo(
+    () =>
+      agreementTermsFor(AGREEMENT_KINDS.CHECKIN, settings, {
+        borrower: signerName,
+        company: companyNameFor(currentUser),
+      }),
+    [settings, signerName, currentUser],
+  );
+
+  // Until the operator picks, the settlement follows the form: wait while
+  // other gear on the deposit is out, otherwise refund, or keep part back
+  // with the damage description as the reason
+  const [settlementDraft, setSettlementDraft] = useState(null);
+  const settlementForm = {
+    outcome:
+      settlementDraft?.outcome ??
+      (depositStillOut > 0
+        ? SETTLEMENT_OUTCOMES.LATER
+        : formData.damageReported
+          ? SETTLEMENT_OUTCOMES.DEDUCT
+          : SETTLEMENT_OUTCOMES.REFUND),
+    deduction: settlementDraft?.deduction ?? '',
+    reason:
+      settlementDraft?.reason ?? (formData.damageReported ? formData.damageDescription.trim() : ''),
+  };
 
   const conditions = [
     { value: 'excellent', label: 'Excellent', description: 'Like new, no visible wear' },
@@ -47,6 +90,13 @@ export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCh
     if (formData.damageReported && !formData.damageDescription.trim()) {
       newErrors.damageDescription = 'Please describe the damage';
     }
+    if (settings.requireAgreement && !signature) {
+      newErrors.signature = 'The borrower must sign for the return';
+    }
+    if (deposit) {
+      const { error } = depositSettlement(deposit, settlementForm);
+      if (error) newErrors.deposit = error;
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -68,6 +118,10 @@ export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCh
       returnDate: getTodayISO(),
       // ISO, not toLocaleTimeString(): persisted values must be locale-independent
       returnTime: new Date().toISOString(),
+      signature,
+      signerName,
+      deposit,
+      depositSettlement: deposit ? depositSettlement(deposit, settlementForm).settlement : null,
     });
   };
 
@@ -325,6 +379,22 @@ export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCh
           )}
         </div>
 
+        {deposit && (
+          <div style={{ marginBottom: spacing[4] }}>
+            <DepositSettlement
+              deposit={deposit}
+              value={settlementForm}
+              onChange={(next) => {
+                setSettlementDraft(next);
+                if (errors.deposit) setErrors((prev) => ({ ...prev, deposit: null }));
+              }}
+              error={errors.deposit}
+              allowLater
+              stillOut={depositStillOut}
+            />
+          </div>
+        )}
+
         {/* Return Notes */}
         <div>
           <label style={styles.label}>Return Notes (optional)</label>
@@ -336,6 +406,18 @@ export const CheckInModal = memo(function CheckInModal({ item, currentUser, onCh
             style={{ ...styles.input, resize: 'vertical' }}
           />
         </div>
+
+        <div style={{ marginTop: spacing[4] }}>
+          <AgreementSignature
+            terms={terms}
+            required={settings.requireAgreement}
+            error={errors.signature}
+            onSignatureChange={(value) => {
+              setSignature(value);
+              if (errors.signature) setErrors((prev) => ({ ...prev, signature: null }));
+            }}
+          />
+        </div>
       </div>
 
       {/* Action Buttons - fixed outside scrollable area */}
@@ -383,6 +465,18 @@ CheckInModal.propTypes = {
     name: PropTypes.string,
     email: PropTypes.string,
   }),
+  /** Pricing settings — whether the return must be signed */
+  settings: PropTypes.shape({
+    requireAgreement: PropTypes.bool,
+  }),
+  /** Held deposit covering the item — settled along with the return */
+  deposit: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    borrowerName: PropTypes.string,
+  }),
+  /** Other items on that deposit not back yet */
+  depositStillOut: PropTypes.number,
   /** Callback when check-in is confirmed */
   onCheckIn: PropTypes.func.isRequired,
   /** Callback to close modal */
@@ -7,21 +7,50 @@ import { memo, useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { AlertTriangle } from 'lucide-react';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
-import { formatPhoneNumber, handlePhoneInput, formatDate, getTodayISO, toLocalYMD } from '../utils';
+import {
+  formatPhoneNumber,
+  handlePhoneInput,
+  formatDate,
+  getTodayISO,
+  toLocalYMD,
+  getOnHandQuantity,
+} from '../utils';
 import { Badge, Button } from '../components/ui.jsx';
 import { Select } from '../components/Select.jsx';
 import { DatePicker } from '../components/DatePicker.jsx';
+import AgreementSignature from '../components/AgreementSignature.jsx';
+import ReadinessChecks from '../components/ReadinessChecks.jsx';
+import BorrowerRestrictions from '../components/BorrowerRestrictions.jsx';
+import DepositFields from '../components/DepositFields.jsx';
 import { Modal, ModalHeader } from './ModalBase.jsx';
 import { useMediaQuery } from '../hooks/useMediaQuery.js';
+import { useCheckoutReadiness } from '../hooks/useCheckoutReadiness.js';
+import { DEFAULT_PRICING } from '../lib/pricing.js';
+import {
+  AGREEMENT_KINDS,
+  agreementLine,
+  agreementTermsFor,
+  agreementTotal,
+} from '../lib/agreements.js';
+import { companyNameFor } from '../lib/emailTemplates.js';
+import { findBorrower, checkoutRestrictions } from '../lib/borrowers.js';
+import { EMPTY_DEPOSIT_FIELDS, checkoutDeposit } from '../lib/deposits.js';
 
 export const CheckOutModal = memo(function CheckOutModal({
   item,
+  trackQuantity = false,
   clients = [],
+  borrowers = [],
   currentUser,
+  settings = DEFAULT_PRICING,
+  inventory = [],
+  categorySettings = {},
+  onLoadDamageReports,
   onCheckOut,
   onClose,
 }) {
   const [formData, setFormData] = useState({
+    borrowerId: '',
     borrowerName: currentUser?.name || '',
     borrowerEmail: currentUser?.email || '',
     borrowerPhone: '',
@@ -33,9 +62,22 @@ export const CheckOutModal = memo(function CheckOutModal({
     notes: '',
     condition: item?.condition || 'excellent',
     acknowledgeCondition: false,
+    // Quantity-tracked items only
+    quantity: '1',
+    consume: false,
   });
 
+  // Re-read on every render: a lost race swaps in the server's fresh stock
+  const onHand = trackQuantity ? getOnHandQuantity(item) : 0;
+  const consuming = trackQuantity && formData.consume;
+
   const [errors, setErrors] = useState({});
+  // PNG data URL once the borrower has signed
+  const [signature, setSignature] = useState(null);
+  const [attachAgreement, setAttachAgreement] = useState(true);
+  const [overrideReason, setOverrideReason] = useState('');
+  // Units handed out by count have no single return to hold a deposit against
+  const [depositFields, setDepositFields] = useState(EMPTY_DEPOSIT_FIELDS);
 
   // The 2fr/1fr project row keeps its ratio on desktop but must stack on
   // phones — same breakpoint as the .responsive-form-grid collapse
@@ -55,6 +97,56 @@ export const CheckOutModal = memo(function CheckOutModal({
     });
   }, [item, formData.dueDate]);
 
+  // Consumed units are not a loan — nothing to get ready or bring back
+  const readinessItems = useMemo(() => (item && !consuming ? [item] : []), [item, consuming]);
+
+  // The picked account, or the one whose name was typed. A blocked borrower
+  // can't be got past by typing the name instead of picking it.
+  const borrower = useMemo(
+    () => findBorrower(borrowers, { borrowerId: formData.borrowerId, name: formData.borrowerName }),
+    [borrowers, formData.borrowerId, formData.borrowerName],
+  );
+  // Units handed out by count sit outside the item and value limits
+  const restrictions = useMemo(
+    () =>
+      checkoutRestrictions(borrower, {
+        inventory,
+        items: trackQuantity ? [] : readinessItems,
+      }),
+    [borrower, inventory, trackQuantity, readinessItems],
+  );
+
+  const readiness = useCheckoutReadiness({
+    items: readinessItems,
+    inventory,
+    categorySettings,
+    borrowerName: formData.borrowerName,
+    borrower,
+    loadDamageReports: onLoadDamageReports,
+  });
+
+  // Consumed units never come back, so there is nothing to be responsible for
+  const terms = useMemo(
+    () =>
+      consuming
+        ? null
+        : agreementTermsFor(AGREEMENT_KINDS.CHECKOUT, settings, {
+            borrower: formData.borrowerName.trim(),
+            company: companyNameFor(currentUser),
+            dueDate: formData.dueDate,
+            totalValue: agreementTotal([agreementLine(item, { quantity: formData.quantity })]),
+          }),
+    [
+      consuming,
+      settings,
+      formData.borrowerName,
+      formData.dueDate,
+      formData.quantity,
+      currentUser,
+      item,
+    ],
+  );
+
   // Project types
   const projectTypes = [
     'General',
@@ -85,7 +177,27 @@ export const CheckOutModal = memo(function CheckOutModal({
   };
 
   const handleChange = (field, value) => {
-    if (field === 'clientId' && value) {
+    if (field === 'borrowerId') {
+      // Fill the contact fields from the account; "no account" leaves them
+      const account = borrowers.find((b) => b.id === value);
+      setFormData((prev) => ({
+        ...prev,
+        borrowerId: value,
+        ...(account && {
+          borrowerName: account.name,
+          borrowerEmail: account.email || '',
+          borrowerPhone: formatPhoneNumber(account.phone) || '',
+        }),
+      }));
+      if (Number(account?.depositRequired) > 0) {
+        setDepositFields((prev) =>
+          prev.amount ? prev : { ...prev, amount: String(account.depositRequired) },
+        );
+      }
+    } else if (field === 'borrowerName') {
+      // A different name is a different borrower — drop the picked account
+      setFormData((prev) => ({ ...prev, borrowerName: value, borrowerId: '' }));
+    } else if (field === 'clientId' && value) {
       // Auto-populate contact info from selected client
       const client = clients.find((c) => c.id === value);
       if (client) {
@@ -109,9 +221,26 @@ export const CheckOutModal = memo(function CheckOutModal({
   const validate = () => {
     const newErrors = {};
     if (!formData.borrowerName.trim()) newErrors.borrowerName = 'Borrower name is required';
-    if (!formData.dueDate) newErrors.dueDate = 'Due date is required';
-    if (!formData.acknowledgeCondition)
+    if (restrictions.length > 0) newErrors.borrower = restrictions.join('. ');
+    // Consumed units never come back, so there is nothing to be due
+    if (!formData.dueDate && !consuming) newErrors.dueDate = 'Due date is required';
+    if (trackQuantity) {
+      const qty = Number(formData.quantity);
+      if (!Number.isInteger(qty) || qty < 1) newErrors.quantity = 'Enter at least 1';
+      else if (qty > onHand) newErrors.quantity = `Only ${onHand} on hand`;
+    } else if (!formData.acknowledgeCondition) {
       newErrors.acknowledgeCondition = 'Please acknowledge the item condition';
+    }
+    if (terms && settings.requireAgreement && !signature) {
+      newErrors.signature = 'The borrower must sign the agreement';
+    }
+    if (readiness.blocked && !overrideReason.trim()) {
+      newErrors.overrideReason = 'Give a reason to check out despite the blocking checks';
+    }
+    if (!trackQuantity) {
+      const { error } = checkoutDeposit(depositFields, borrower);
+      if (error) newErrors.deposit = error;
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -127,6 +256,7 @@ export const CheckOutModal = memo(function CheckOutModal({
       borrowerName: formData.borrowerName.trim(),
       borrowerEmail: formData.borrowerEmail.trim(),
       borrowerPhone: formData.borrowerPhone.trim(),
+      borrowerId: borrower?.id || null,
       clientId: formData.clientId || null,
       clientName: selectedClient?.name || null,
       project: formData.project.trim(),
@@ -138,6 +268,13 @@ export const CheckOutModal = memo(function CheckOutModal({
       checkedOutDate: getTodayISO(),
       // ISO, not toLocaleTimeString(): persisted values must be locale-independent
       checkedOutTime: new Date().toISOString(),
+      ...(trackQuantity && { quantity: Number(formData.quantity), consume: formData.consume }),
+      signature: terms ? signature : null,
+      attachAgreement: Boolean(terms && signature && attachAgreement),
+      readinessOverride: readiness.blocked
+        ? { reason: overrideReason.trim(), issues: readiness.issues }
+        : null,
+      deposit: trackQuantity ? null : checkoutDeposit(depositFields, borrower).deposit,
     });
   };
 
@@ -196,6 +333,71 @@ export const CheckOutModal = memo(function CheckOutModal({
           </div>
         </div>
 
+        {/* Quantity (quantity-tracked categories) */}
+        {trackQuantity && (
+          <div style={{ marginBottom: spacing[4] }}>
+            <label
+              htmlFor="checkout-quantity"
+              style={{ ...styles.label, color: errors.quantity ? colors.danger : undefined }}
+            >
+              Quantity <span style={{ color: colors.danger }}>*</span>
+            </label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: spacing[3] }}>
+              <input
+                id="checkout-quantity"
+                type="number"
+                min={1}
+                max={onHand}
+                value={formData.quantity}
+                onChange={(e) => handleChange('quantity', e.target.value)}
+                style={{
+                  ...styles.input,
+                  width: 110,
+                  borderColor: errors.quantity ? colors.danger : colors.border,
+                }}
+              />
+              <span style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+                of {onHand} on hand
+              </span>
+            </div>
+            {errors.quantity && (
+              <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
+                {errors.quantity}
+              </span>
+            )}
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: spacing[2],
+                marginTop: spacing[2],
+                cursor: 'pointer',
+                fontSize: typography.fontSize.sm,
+                color: colors.textPrimary,
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={formData.consume}
+                onChange={(e) => handleChange('consume', e.target.checked)}
+                style={{ accentColor: colors.primary }}
+              />
+              Consumed — not coming back (removes from stock)
+            </label>
+          </div>
+        )}
+
+        <ReadinessChecks
+          issues={readiness.issues}
+          blocked={readiness.blocked}
+          overrideReason={overrideReason}
+          onOverrideReasonChange={(value) => {
+            setOverrideReason(value);
+            if (errors.overrideReason) setErrors((prev) => ({ ...prev, overrideReason: null }));
+          }}
+          error={errors.overrideReason}
+        />
+
         {/* Reservation warning */}
         {overlappingReservations.length > 0 && (
           <div
@@ -242,6 +444,24 @@ export const CheckOutModal = memo(function CheckOutModal({
             Borrower Information
           </h4>
 
+          {borrowers.length > 0 && (
+            <div style={{ marginBottom: spacing[3] }}>
+              <label style={styles.label}>Borrower Account</label>
+              <Select
+                value={formData.borrowerId}
+                onChange={(e) => handleChange('borrowerId', e.target.value)}
+                options={[
+                  { value: '', label: '-- No account --' },
+                  ...borrowers.map((b) => ({
+                    value: b.id,
+                    label: b.name + (b.blocked ? ' (blocked)' : ''),
+                  })),
+                ]}
+                aria-label="Borrower account"
+              />
+            </div>
+          )}
+
           <div style={{ marginBottom: spacing[3] }}>
             <label
               style={{
@@ -291,6 +511,8 @@ export const CheckOutModal = memo(function CheckOutModal({
               />
             </div>
           </div>
+
+          <BorrowerRestrictions restrictions={restrictions} />
         </div>
 
         {/* Client Selection (optional) */}
@@ -365,60 +587,74 @@ export const CheckOutModal = memo(function CheckOutModal({
         </div>
 
         {/* Due Date Section */}
-        <div style={{ marginBottom: spacing[4] }}>
-          <h4
-            style={{
-              margin: `0 0 ${spacing[3]}px`,
-              color: colors.textPrimary,
-              fontSize: typography.fontSize.base,
-            }}
-          >
-            Return Schedule
-          </h4>
-
-          <div style={{ marginBottom: spacing[3] }}>
-            <label style={styles.label}>Quick Select</label>
-            <div style={{ display: 'flex', gap: spacing[2], flexWrap: 'wrap' }}>
-              {dueDateOptions.map((opt) => (
-                <button
-                  key={opt.days}
-                  onClick={() => setQuickDueDate(opt.days)}
-                  style={{
-                    ...styles.btnSec,
-                    padding: `${spacing[1]}px ${spacing[3]}px`,
-                    fontSize: typography.fontSize.sm,
-                  }}
-                >
-                  {opt.label}
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div>
-            <label
+        {!consuming && (
+          <div style={{ marginBottom: spacing[4] }}>
+            <h4
               style={{
-                ...styles.label,
-                color: !formData.dueDate || errors.dueDate ? colors.danger : undefined,
+                margin: `0 0 ${spacing[3]}px`,
+                color: colors.textPrimary,
+                fontSize: typography.fontSize.base,
               }}
             >
-              Due Date <span style={{ color: colors.danger }}>*</span>
-            </label>
-            <DatePicker
-              value={formData.dueDate}
-              onChange={(e) => handleChange('dueDate', e.target.value)}
-              min={getTodayISO()}
-              error={!formData.dueDate || errors.dueDate}
-              placeholder="Select due date"
-              aria-label="Due date"
-            />
-            {errors.dueDate && (
-              <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
-                {errors.dueDate}
-              </span>
-            )}
+              Return Schedule
+            </h4>
+
+            <div style={{ marginBottom: spacing[3] }}>
+              <label style={styles.label}>Quick Select</label>
+              <div style={{ display: 'flex', gap: spacing[2], flexWrap: 'wrap' }}>
+                {dueDateOptions.map((opt) => (
+                  <button
+                    key={opt.days}
+                    onClick={() => setQuickDueDate(opt.days)}
+                    style={{
+                      ...styles.btnSec,
+                      padding: `${spacing[1]}px ${spacing[3]}px`,
+                      fontSize: typography.fontSize.sm,
+                    }}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label
+                style={{
+                  ...styles.label,
+                  color: !formData.dueDate || errors.dueDate ? colors.danger : undefined,
+                }}
+              >
+                Due Date <span style={{ color: colors.danger }}>*</span>
+              </label>
+              <DatePicker
+                value={formData.dueDate}
+                onChange={(e) => handleChange('dueDate', e.target.value)}
+                min={getTodayISO()}
+                error={!formData.dueDate || errors.dueDate}
+                placeholder="Select due date"
+                aria-label="Due date"
+              />
+              {errors.dueDate && (
+                <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
+                  {errors.dueDate}
+                </span>
+              )}
+            </div>
           </div>
-        </div>
+        )}
+
+        {!trackQuantity && (
+          <DepositFields
+            value={depositFields}
+            onChange={(next) => {
+              setDepositFields(next);
+              if (errors.deposit) setErrors((prev) => ({ ...prev, deposit: null }));
+            }}
+            borrower={borrower}
+            error={errors.deposit}
+          />
+        )}
 
         {/* Notes */}
         <div style={{ marginBottom: spacing[4] }}>
@@ -432,64 +668,82 @@ export const CheckOutModal = memo(function CheckOutModal({
           />
         </div>
 
-        {/* Condition Acknowledgment */}
-        <div
-          style={{
-            padding: spacing[3],
-            background: `${withOpacity(colors.accent1, 15)}`,
-            borderRadius: borderRadius.md,
-            marginBottom: spacing[4],
-          }}
-        >
-          <label
+        {/* Condition Acknowledgment — per-unit stock has no single condition */}
+        {!trackQuantity && (
+          <div
             style={{
-              display: 'flex',
-              alignItems: 'flex-start',
-              gap: spacing[2],
-              cursor: 'pointer',
+              padding: spacing[3],
+              background: `${withOpacity(colors.accent1, 15)}`,
+              borderRadius: borderRadius.md,
+              marginBottom: spacing[4],
             }}
           >
-            <input
-              type="checkbox"
-              checked={formData.acknowledgeCondition}
-              onChange={(e) => handleChange('acknowledgeCondition', e.target.checked)}
-              style={{ marginTop: 4, accentColor: colors.primary }}
-            />
-            <div>
-              <span style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
-                I confirm the item is in <strong>{item.condition}</strong> condition at checkout
-              </span>
-              <p
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: spacing[2],
+                cursor: 'pointer',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={formData.acknowledgeCondition}
+                onChange={(e) => handleChange('acknowledgeCondition', e.target.checked)}
+                style={{ marginTop: 4, accentColor: colors.primary }}
+              />
+              <div>
+                <span style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
+                  I confirm the item is in <strong>{item.condition}</strong> condition at checkout
+                </span>
+                <p
+                  style={{
+                    color: colors.textMuted,
+                    fontSize: typography.fontSize.xs,
+                    margin: `${spacing[1]}px 0 0`,
+                  }}
+                >
+                  You&apos;ll be asked to verify the condition again at check-in
+                </p>
+              </div>
+            </label>
+            {errors.acknowledgeCondition && (
+              <span
                 style={{
-                  color: colors.textMuted,
+                  color: colors.danger,
                   fontSize: typography.fontSize.xs,
-                  margin: `${spacing[1]}px 0 0`,
+                  display: 'block',
+                  marginTop: spacing[1],
                 }}
               >
-                You&apos;ll be asked to verify the condition again at check-in
-              </p>
-            </div>
-          </label>
-          {errors.acknowledgeCondition && (
-            <span
-              style={{
-                color: colors.danger,
-                fontSize: typography.fontSize.xs,
-                display: 'block',
-                marginTop: spacing[1],
-              }}
-            >
-              {errors.acknowledgeCondition}
-            </span>
-          )}
-        </div>
+                {errors.acknowledgeCondition}
+              </span>
+            )}
+          </div>
+        )}
+
+        {terms && (
+          <AgreementSignature
+            terms={terms}
+            required={settings.requireAgreement}
+            error={errors.signature}
+            onSignatureChange={(value) => {
+              setSignature(value);
+              if (errors.signature) setErrors((prev) => ({ ...prev, signature: null }));
+            }}
+            attach={attachAgreement}
+            onAttachChange={formData.borrowerEmail.trim() ? setAttachAgreement : undefined}
+          />
+        )}
 
         {/* Action Buttons */}
         <div style={{ display: 'flex', gap: spacing[3], justifyContent: 'flex-end' }}>
           <Button variant="secondary" onClick={onClose}>
             Cancel
           </Button>
-          <Button onClick={handleSubmit}>Confirm Check Out</Button>
+          <Button onClick={handleSubmit}>
+            {consuming ? 'Confirm Consumed' : 'Confirm Check Out'}
+          </Button>
         </div>
       </div>
     </Modal>
@@ -508,7 +762,11 @@ CheckOutModal.propTypes = {
     condition: PropTypes.string,
     image: PropTypes.string,
     status: PropTypes.string,
+    quantity: PropTypes.number,
+    quantityOut: PropTypes.number,
   }).isRequired,
+  /** Quantity-tracked category: check out N units instead of the whole row */
+  trackQuantity: PropTypes.bool,
   /** Available users for borrower selection */
   users: PropTypes.arrayOf(
     PropTypes.shape({
@@ -517,12 +775,37 @@ CheckOutModal.propTypes = {
       email: PropTypes.string,
     }),
   ),
+  /** Borrower accounts — contact details, limits and blocks */
+  borrowers: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      email: PropTypes.string,
+      phone: PropTypes.string,
+      maxItems: PropTypes.number,
+      maxValue: PropTypes.number,
+      depositRequired: PropTypes.number,
+      blocked: PropTypes.bool,
+      blockedReason: PropTypes.string,
+    }),
+  ),
   /** Currently logged in user */
   currentUser: PropTypes.shape({
     id: PropTypes.string,
     name: PropTypes.string,
     email: PropTypes.string,
   }),
+  /** Pricing settings — the agreement terms and whether a signature is required */
+  settings: PropTypes.shape({
+    agreementTerms: PropTypes.string,
+    requireAgreement: PropTypes.bool,
+  }),
+  /** Full inventory — required accessories and the borrower's overdue gear */
+  inventory: PropTypes.array,
+  /** Per-category readiness rule levels */
+  categorySettings: PropTypes.object,
+  /** (itemIds) => Promise<{ [itemId]: report }> — open damage reports */
+  onLoadDamageReports: PropTypes.func,
   /** Callback when checkout is confirmed */
   onCheckOut: PropTypes.func.isRequired,
   /** Callback to close modal */
@@ -0,0 +1,376 @@
+// ============================================================================
+// Database Restore Modal
+// Loads a v3.0 JSON backup back into the database. The file is validated and
+// diffed against the live tables first (new / changed / would-delete per
+// table), and nothing is written until the admin confirms; the restore then
+// runs as a single transaction, so a failure leaves the database untouched.
+// ============================================================================
+
+import { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ArchiveRestore, AlertTriangle } from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { Button } from '../components/ui.jsx';
+import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { formatDateTime } from '../utils';
+import { backupService } from '../lib/services.js';
+import {
+  RESTORE_MODES,
+  validateBackup,
+  planRestore,
+  summarizePlan,
+  restorableTables,
+} from '../lib/backupRestore.js';
+import { error as logError } from '../lib/logger.js';
+
+const MODE_OPTIONS = [
+  {
+    value: RESTORE_MODES.MERGE,
+    label: 'Merge',
+    hint: 'Adds and updates rows from the backup. Nothing is deleted.',
+  },
+  {
+    value: RESTORE_MODES.REPLACE,
+    label: 'Replace',
+    hint: 'Also deletes rows the backup does not have, in every table it includes.',
+  },
+];
+
+const cellStyle = {
+  padding: `${spacing[1]}px ${spacing[2]}px`,
+  textAlign: 'right',
+  fontVariantNumeric: 'tabular-nums',
+};
+
+export const DatabaseRestoreModal = memo(function DatabaseRestoreModal({
+  userName,
+  onRestored,
+  onClose,
+}) {
+  const [fileName, setFileName] = useState(null);
+  const [backup, setBackup] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [progressLabel, setProgressLabel] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setBackup(null);
+    setValidation(null);
+    setPlan(null);
+    setError(null);
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (_err) {
+      setError('This file is not valid JSON.');
+      return;
+    }
+
+    const result = validateBackup(data);
+    setValidation(result);
+    if (!result.isValid) return;
+
+    setBusy(true);
+    try {
+      const diff = await planRestore(data, backupService.fetchAllRows, {
+        onProgress: (table, done, total) =>
+          setProgressLabel(`Comparing ${table}… (${done + 1}/${total})`),
+      });
+      setBackup(data);
+      setPlan(diff);
+    } catch (err) {
+      logError('Restore dry run failed:', err);
+      setError(`Could not compare with the database: ${err.message || 'unknown error'}`);
+    } finally {
+      setBusy(false);
+      setProgressLabel(null);
+    }
+  };
+
+  const isReplace = mode === RESTORE_MODES.REPLACE;
+  const summary = plan ? summarizePlan(plan, mode) : null;
+  const nothingToDo =
+    summary && summary.added === 0 && summary.changed === 0 && summary.deleted === 0;
+  const canRestore =
+    plan && !busy && !nothingToDo && (!isReplace || summary.deleted === 0 || confirmReplace);
+
+  const handleRestore = async () => {
+    if (!canRestore) return;
+    setError(null);
+    setBusy(true);
+    setProgressLabel('Restoring…');
+    try {
+      const result = await backupService.restore(restorableTables(backup), {
+        mode,
+        userName,
+        exportedAt: backup.exportedAt || null,
+      });
+      await onRestored({ mode, summary, result });
+      onClose();
+    } catch (err) {
+      logError('Database restore failed:', err);
+      setError(`Restore failed — nothing was changed: ${err.message || 'unknown error'}`);
+    } finally {
+      setBusy(false);
+      setProgressLabel(null);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} maxWidth={560}>
+      <ModalHeader title="Restore Backup" onClose={onClose} />
+      <div style={{ padding: spacing[4] }}>
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label} htmlFor="restore-file">
+            Backup File (JSON)
+          </label>
+          <input
+            id="restore-file"
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            disabled={busy}
+            style={styles.input}
+          />
+          {backup?.exportedAt && (
+            <p
+              style={{
+                color: colors.textMuted,
+                fontSize: typography.fontSize.sm,
+                margin: `${spacing[2]}px 0 0`,
+              }}
+            >
+              {fileName} — exported {formatDateTime(backup.exportedAt)}
+            </p>
+          )}
+        </div>
+
+        {validation && !validation.isValid && (
+          <div
+            role="alert"
+            style={{
+              background: `${withOpacity(colors.danger, 15)}`,
+              border: `1px solid ${withOpacity(colors.danger, 40)}`,
+              borderRadius: borderRadius.md,
+              padding: spacing[3],
+              marginBottom: spacing[4],
+              color: colors.danger,
+              fontSize: typography.fontSize.sm,
+            }}
+          >
+            <strong>This backup can&apos;t be restored:</strong>
+            <ul style={{ margin: `${spacing[1]}px 0 0`, paddingLeft: spacing[5] }}>
+              {validation.errors.map((msg) => (
+                <li key={msg}>{msg}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {plan && (
+          <>
+            <div style={{ marginBottom: spacing[4] }}>
+              <label style={styles.label}>Restore Mode</label>
+              <div style={{ display: 'flex', gap: spacing[2] }}>
+                {MODE_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    onClick={() => {
+                      setMode(opt.value);
+                      setConfirmReplace(false);
+                    }}
+                    aria-pressed={mode === opt.value}
+                    style={{
+                      ...styles.btnSec,
+                      flex: 1,
+                      justifyContent: 'center',
+                      background:
+                        mode === opt.value ? `${withOpacity(colors.primary, 30)}` : 'transparent',
+                      borderColor: mode === opt.value ? colors.primary : colors.border,
+                    }}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <p
+                style={{
+                  color: colors.textMuted,
+                  fontSize: typography.fontSize.sm,
+                  margin: `${spacing[2]}px 0 0`,
+                }}
+              >
+                {MODE_OPTIONS.find((o) => o.value === mode).hint}
+              </p>
+            </div>
+
+            <table
+              style={{
+                width: '100%',
+                borderCollapse: 'collapse',
+                fontSize: typography.fontSize.sm,
+                color: colors.textPrimary,
+                marginBottom: spacing[3],
+              }}
+            >
+              <thead>
+                <tr style={{ color: colors.textMuted, borderBottom: `1px solid ${colors.border}` }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Table</th>
+                  <th style={cellStyle}>New</th>
+                  <th style={cellStyle}>Changed</th>
+                  {isReplace && <th style={cellStyle}>Would delete</th>}
+                  <th style={cellStyle}>Same</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.map((t) => (
+                  <tr key={t.table} style={{ borderBottom: `1px solid ${colors.borderLight}` }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{t.table}</td>
+                    <td
+                      style={{ ...cellStyle, color: t.added.length ? colors.success : undefined }}
+                    >
+                      {t.added.length}
+                    </td>
+                    <td
+                      style={{ ...cellStyle, color: t.changed.length ? colors.warning : undefined }}
+                    >
+                      {t.changed.length}
+                    </td>
+                    {isReplace && (
+                      <td
+                        style={{
+                          ...cellStyle,
+                          color: t.deleted.length ? colors.danger : undefined,
+                        }}
+                      >
+                        {t.deleted.length}
+                      </td>
+                    )}
+                    <td style={{ ...cellStyle, color: colors.textMuted }}>{t.unchanged}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {validation?.skipped.length > 0 && (
+              <p
+                style={{
+                  color: colors.textMuted,
+                  fontSize: typography.fontSize.xs,
+                  marginBottom: spacing[3],
+                }}
+              >
+                Not restored: {validation.skipped.join(', ')} — user accounts live in authentication
+                and the audit log is append-only.
+              </p>
+            )}
+
+            {nothingToDo && (
+              <p
+                role="status"
+                style={{
+                  color: colors.textSecondary,
+                  fontSize: typography.fontSize.sm,
+                  marginBottom: spacing[3],
+                }}
+              >
+                The database already matches this backup.
+              </p>
+            )}
+
+            {isReplace && summary.deleted > 0 && (
+              <label
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: spacing[2],
+                  padding: spacing[3],
+                  marginBottom: spacing[3],
+                  background: withOpacity(colors.danger, 10),
+                  border: `1px solid ${withOpacity(colors.danger, 40)}`,
+                  borderRadius: borderRadius.md,
+                  color: colors.textPrimary,
+                  fontSize: typography.fontSize.sm,
+                  cursor: 'pointer',
+                }}
+              >
+                <AlertTriangle size={16} color={colors.danger} style={{ flexShrink: 0 }} />
+                <input
+                  type="checkbox"
+                  checked={confirmReplace}
+                  onChange={(e) => setConfirmReplace(e.target.checked)}
+                  style={{ accentColor: colors.danger }}
+                />
+                Permanently delete {summary.deleted} row{summary.deleted === 1 ? '' : 's'} not in
+                this backup
+              </label>
+            )}
+          </>
+        )}
+
+        {error && (
+          <div
+            role="alert"
+            style={{
+              background: `${withOpacity(colors.danger, 15)}`,
+              border: `1px solid ${withOpacity(colors.danger, 40)}`,
+              borderRadius: borderRadius.md,
+              padding: spacing[3],
+              marginBottom: spacing[4],
+              color: colors.danger,
+              fontSize: typography.fontSize.sm,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {busy && progressLabel && (
+          <p
+            role="status"
+            style={{
+              color: colors.textSecondary,
+              fontSize: typography.fontSize.sm,
+              marginBottom: spacing[3],
+            }}
+          >
+            {progressLabel}
+          </p>
+        )}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose} disabled={busy}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleRestore}
+          icon={ArchiveRestore}
+          disabled={!canRestore}
+          style={isReplace ? { background: colors.danger } : undefined}
+        >
+          {busy && plan ? 'Restoring…' : isReplace ? 'Replace Data' : 'Merge Backup'}
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+});
+
+// ============================================================================
+// PropTypes
+// ============================================================================
+DatabaseRestoreModal.propTypes = {
+  /** Recorded on the restore's audit log entry */
+  userName: PropTypes.string,
+  /** Called with { mode, summary, result } after the restore commits */
+  onRestored: PropTypes.func.isRequired,
+  /** Callback to close modal */
+  onClose: PropTypes.func.isRequired,
+};
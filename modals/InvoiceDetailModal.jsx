@@ -0,0 +1,399 @@
+// ============================================================================
+// Invoice Detail Modal
+// One saved invoice: the printable document, its payments, and the moves
+// its status allows — a draft can be sent or deleted, an unpaid invoice
+// voided, and payments recorded until it is settled. Paid status is worked
+// out by the database from the payments, never set here.
+// ============================================================================
+
+import { memo, useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Ban, CreditCard, Printer, Send, Trash2 } from 'lucide-react';
+import { colors, spacing, borderRadius, typography } from '../theme.js';
+import { formatDate, formatMoney, getTodayISO, getInvoiceStatusColor } from '../utils';
+import { Button, Input, Badge, ConfirmDialog } from '../components/ui.jsx';
+import { Select } from '../components/Select.jsx';
+import { InvoiceDocument } from '../components/InvoiceDocument.jsx';
+import { renderInvoiceHTML } from '../components/invoiceRender.jsx';
+import { QUOTE_PRINT_STYLES } from '../components/quoteRender.jsx';
+import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { invoiceBalance } from '../lib/invoicing.js';
+import { openPrintWindow } from '../lib/printUtil.js';
+import { INVOICE_STATUS, INVOICE_STATUS_LABELS } from '../constants.js';
+import { error as logError } from '../lib/logger.js';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+const PAYMENT_METHODS = ['Bank transfer', 'Card', 'Check', 'Cash', 'Other'];
+
+export const InvoiceDetailModal = memo(function InvoiceDetailModal({
+  invoiceId,
+  loadInvoice,
+  profile,
+  canEdit = false,
+  onMarkSent,
+  onVoid,
+  onDelete,
+  onRecordPayment,
+  onDeletePayment,
+  onClose,
+}) {
+  const [invoice, setInvoice] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [confirm, setConfirm] = useState(null);
+  const [payment, setPayment] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setInvoice(await loadInvoice(invoiceId));
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(err.message || 'unknown error');
+    }
+  }, [invoiceId, loadInvoice]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Every action refetches so the document shows what the server now holds
+  const run = async (action, { close = false } = {}) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+      if (close) {
+        onClose();
+        return;
+      }
+      await reload();
+    } catch (err) {
+      logError('Invoice action failed:', err);
+      setActionError(err.message || 'unknown error');
+    }
+    setBusy(false);
+  };
+
+  const handlePrint = async () => {
+    setActionError(null);
+    try {
+      const body = await renderInvoiceHTML({
+        invoice,
+        lines: invoice.lines,
+        payments: invoice.payments,
+        profile,
+      });
+      openPrintWindow({
+        title: `Invoice ${invoice.id}`,
+        styles: QUOTE_PRINT_STYLES,
+        body,
+        onBlocked: () => setActionError('Print pop-up blocked — allow pop-ups for this site.'),
+      });
+    } catch (err) {
+      logError('Invoice print failed:', err);
+      setActionError(`Could not prepare the invoice: ${err.message || 'unknown error'}`);
+    }
+  };
+
+  const balance = invoice ? invoiceBalance(invoice) : 0;
+  const status = invoice?.status;
+  const paymentAmount = Number(payment?.amount);
+  const paymentError = !payment
+    ? null
+    : !(paymentAmount > 0)
+      ? 'Enter an amount above zero'
+      : paymentAmount > balance
+        ? `That is more than the ${money(balance)} still owed`
+        : !payment.paidOn
+          ? 'Enter the date it was paid'
+          : null;
+
+  const submitPayment = () =>
+    run(async () => {
+      await onRecordPayment({
+        invoiceId,
+        amount: paymentAmount,
+        paidOn: payment.paidOn,
+        method: payment.method || null,
+        reference: payment.reference.trim() || null,
+      });
+      setPayment(null);
+    });
+
+  return (
+    <Modal onClose={onClose} maxWidth={760}>
+      <ModalHeader title={`Invoice ${invoiceId}`} onClose={onClose} />
+      <div
+        className="modal-body"
+        style={{ padding: spacing[4], maxHeight: '70vh', overflowY: 'auto' }}
+      >
+        {loadError ? (
+          <p role="alert" style={{ color: colors.danger }}>
+            Couldn&rsquo;t load this invoice: {loadError}
+          </p>
+        ) : !invoice ? (
+          <p role="status" style={{ color: colors.textMuted }}>
+            Loading invoice…
+          </p>
+        ) : (
+          <>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: spacing[3],
+                marginBottom: spacing[3],
+                flexWrap: 'wrap',
+              }}
+            >
+              <Badge color={getInvoiceStatusColor(status)} size="md">
+                {INVOICE_STATUS_LABELS[status]}
+              </Badge>
+              {balance > 0 && (
+                <span style={{ color: colors.textSecondary, fontSize: typography.fontSize.sm }}>
+                  {money(balance)} outstanding · due {formatDate(invoice.dueDate)}
+                </span>
+              )}
+            </div>
+
+            <div
+              style={{
+                padding: spacing[4],
+                border: `1px solid ${colors.borderLight}`,
+                borderRadius: borderRadius.md,
+                marginBottom: spacing[4],
+              }}
+            >
+              <InvoiceDocument
+                invoice={invoice}
+                lines={invoice.lines}
+                payments={invoice.payments}
+                profile={profile}
+              />
+            </div>
+
+            {invoice.payments.length > 0 && (
+              <div style={{ marginBottom: spacing[4] }}>
+                <h4 style={{ margin: `0 0 ${spacing[2]}px`, color: colors.textPrimary }}>
+                  Payments
+                </h4>
+                {invoice.payments.map((p) => (
+                  <div
+                    key={p.id}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[3],
+                      padding: `${spacing[2]}px 0`,
+                      borderBottom: `1px solid ${colors.borderLight}`,
+                      fontSize: typography.fontSize.sm,
+                    }}
+                  >
+                    <span style={{ flex: 1, color: colors.textPrimary }}>
+                      {formatDate(p.paidOn)} — {money(p.amount)}
+                      {p.method ? ` · ${p.method}` : ''}
+                      {p.reference ? ` · ${p.reference}` : ''}
+                    </span>
+                    {p.recordedByName && (
+                      <span style={{ color: colors.textMuted, fontSize: typography.fontSize.xs }}>
+                        {p.recordedByName}
+                      </span>
+                    )}
+                    {canEdit && status !== INVOICE_STATUS.VOID && (
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        danger
+                        icon={Trash2}
+                        disabled={busy}
+                        onClick={() =>
+                          setConfirm({
+                            title: 'Delete Payment',
+                            message: `Remove the ${money(p.amount)} payment of ${formatDate(p.paidOn)}? The balance goes back up.`,
+                            confirmText: 'Delete',
+                            action: () => run(() => onDeletePayment(p, invoice)),
+                          })
+                        }
+                        aria-label={`Delete payment of ${money(p.amount)}`}
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {payment && (
+              <div
+                style={{
+                  padding: spacing[3],
+                  background: colors.bgLight,
+                  borderRadius: borderRadius.md,
+                  marginBottom: spacing[3],
+                }}
+              >
+                <div className="responsive-form-grid">
+                  <Input
+                    label="Amount"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    aria-label="Payment amount"
+                  />
+                  <Input
+                    label="Paid On"
+                    type="date"
+                    value={payment.paidOn}
+                    onChange={(e) => setPayment({ ...payment, paidOn: e.target.value })}
+                    aria-label="Paid on"
+                  />
+                  <div>
+                    <label className="label">Method</label>
+                    <Select
+                      value={payment.method}
+                      onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                      options={PAYMENT_METHODS.map((m) => ({ value: m, label: m }))}
+                      aria-label="Payment method"
+                    />
+                  </div>
+                  <Input
+                    label="Reference"
+                    value={payment.reference}
+                    onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                    placeholder="Check no., transaction id…"
+                    maxLength={100}
+                    aria-label="Payment reference"
+                  />
+                </div>
+                {paymentError && (
+                  <p
+                    role="alert"
+                    style={{ color: colors.danger, fontSize: typography.fontSize.sm }}
+                  >
+                    {paymentError}
+                  </p>
+                )}
+                <div style={{ display: 'flex', gap: spacing[2], marginTop: spacing[3] }}>
+                  <Button size="sm" onClick={submitPayment} disabled={busy || !!paymentError}>
+                    Save Payment
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => setPayment(null)}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {actionError && (
+              <p role="alert" style={{ color: colors.danger, fontSize: typography.fontSize.sm }}>
+                {actionError}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+      <ModalFooter>
+        {invoice && canEdit && status === INVOICE_STATUS.DRAFT && (
+          <Button
+            variant="secondary"
+            danger
+            icon={Trash2}
+            disabled={busy}
+            onClick={() =>
+              setConfirm({
+                title: 'Delete Draft',
+                message: `Delete draft invoice ${invoice.id}? Its job can be invoiced again.`,
+                confirmText: 'Delete',
+                action: () => run(() => onDelete(invoice), { close: true }),
+              })
+            }
+          >
+            Delete Draft
+          </Button>
+        )}
+        {invoice && canEdit && status === INVOICE_STATUS.SENT && !(invoice.amountPaid > 0) && (
+          <Button
+            variant="secondary"
+            danger
+            icon={Ban}
+            disabled={busy}
+            onClick={() =>
+              setConfirm({
+                title: 'Void Invoice',
+                message: `Void invoice ${invoice.id}? It stays on record but is no longer owed, and its job can be invoiced again.`,
+                confirmText: 'Void',
+                action: () => run(() => onVoid(invoice)),
+              })
+            }
+          >
+            Void
+          </Button>
+        )}
+        <Button variant="secondary" icon={Printer} onClick={handlePrint} disabled={!invoice}>
+          Print
+        </Button>
+        {invoice && canEdit && status === INVOICE_STATUS.DRAFT && (
+          <Button icon={Send} disabled={busy} onClick={() => run(() => onMarkSent(invoice))}>
+            Mark Sent
+          </Button>
+        )}
+        {invoice && canEdit && status === INVOICE_STATUS.SENT && balance > 0 && !payment && (
+          <Button
+            icon={CreditCard}
+            disabled={busy}
+            onClick={() =>
+              setPayment({
+                amount: String(balance),
+                paidOn: getTodayISO(),
+                method: PAYMENT_METHODS[0],
+                reference: '',
+              })
+            }
+          >
+            Record Payment
+          </Button>
+        )}
+      </ModalFooter>
+
+      {confirm && (
+        <ConfirmDialog
+          isOpen
+          title={confirm.title}
+          message={confirm.message}
+          confirmText={confirm.confirmText}
+          onConfirm={() => {
+            const { action } = confirm;
+            setConfirm(null);
+            action();
+          }}
+          onCancel={() => setConfirm(null)}
+        />
+      )}
+    </Modal>
+  );
+});
+
+InvoiceDetailModal.propTypes = {
+  invoiceId: PropTypes.string.isRequired,
+  /** async (id) → invoice with lines and payments */
+  loadInvoice: PropTypes.func.isRequired,
+  /** currentUser.profile — letterhead */
+  profile: PropTypes.object,
+  canEdit: PropTypes.bool,
+  /** async (invoice) */
+  onMarkSent: PropTypes.func,
+  /** async (invoice) */
+  onVoid: PropTypes.func,
+  /** async (invoice) — drafts only */
+  onDelete: PropTypes.func,
+  /** async ({invoiceId, amount, paidOn, method, reference}) */
+  onRecordPayment: PropTypes.func,
+  /** async (payment, invoice) */
+  onDeletePayment: PropTypes.func,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default InvoiceDetailModal;
@@ -0,0 +1,351 @@
+// ============================================================================
+// Invoice Modal
+// Reviews a draft built from a finished job (lib/invoicing.js): rental lines
+// from the rate cards, late fees from overdue returns and a line per damage
+// report. Every amount is editable — damage lines start at $0 because the
+// repair cost isn't known from the report — and extra lines can be added.
+// Saves as a draft or straight to sent.
+// ============================================================================
+
+import { memo, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, Plus, Save, Send, X } from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { Button, Input } from '../components/ui.jsx';
+import { InvoiceDocument } from '../components/InvoiceDocument.jsx';
+import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { priceTotals, round2 } from '../lib/pricing.js';
+import { INVOICE_STATUS } from '../constants.js';
+import { error as logError } from '../lib/logger.js';
+
+const noticeStyle = {
+  display: 'flex',
+  gap: spacing[2],
+  alignItems: 'flex-start',
+  padding: spacing[3],
+  marginBottom: spacing[3],
+  background: withOpacity(colors.warning, 12),
+  border: `1px solid ${withOpacity(colors.warning, 40)}`,
+  borderRadius: borderRadius.md,
+  color: colors.textPrimary,
+  fontSize: typography.fontSize.sm,
+};
+
+const KIND_LABELS = {
+  rental: 'Rental',
+  package: 'Package',
+  late_fee: 'Late fee',
+  damage: 'Damage',
+  other: 'Other',
+};
+
+// Editable copy of a line: amount as typed text so a half-typed value
+// doesn't snap back while the operator is editing it
+const toRow = (line, index) => ({
+  ...line,
+  key: `${line.kind}:${index}`,
+  amountText: String(line.amount ?? 0),
+});
+
+export const InvoiceModal = memo(function InvoiceModal({
+  draft,
+  outstanding = 0,
+  profile,
+  onSave,
+  onClose,
+}) {
+  const [rows, setRows] = useState(() => draft.lines.map(toRow));
+  const [issueDate, setIssueDate] = useState(draft.invoice.issueDate);
+  const [dueDate, setDueDate] = useState(draft.invoice.dueDate);
+  const [discountPercent, setDiscountPercent] = useState('');
+  const [taxRate, setTaxRate] = useState(String(draft.invoice.taxRate ?? 0));
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const lines = useMemo(
+    () =>
+      rows.map(({ key: _key, amountText, needsReview: _review, ...line }) => {
+        const amount = round2(Number(amountText));
+        const unitPrice =
+          line.unitPrice != null && round2(line.unitPrice * line.quantity) === amount
+            ? line.unitPrice
+            : line.quantity
+              ? round2(amount / line.quantity)
+              : null;
+        return { ...line, amount, unitPrice };
+      }),
+    [rows],
+  );
+
+  const totals = useMemo(
+    () => priceTotals(lines, { discountPercent, taxRate }),
+    [lines, discountPercent, taxRate],
+  );
+
+  const amountsValid = lines.every((l) => Number.isFinite(l.amount) && l.amount >= 0);
+  const describedValid = lines.every((l) => l.description.trim());
+  const validationError =
+    lines.length === 0
+      ? 'An invoice needs at least one line'
+      : !amountsValid
+        ? 'Every amount must be zero or more'
+        : !describedValid
+          ? 'Every line needs a description'
+          : !dueDate || dueDate < issueDate
+            ? 'The due date cannot be before the issue date'
+            : null;
+
+  const unreviewed = rows.filter((r) => r.needsReview && Number(r.amountText) === 0);
+
+  const updateRow = (key, patch) =>
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  const removeRow = (key) => setRows((prev) => prev.filter((r) => r.key !== key));
+  const addRow = () =>
+    setRows((prev) => [
+      ...prev,
+      {
+        key: `other:${Date.now()}`,
+        kind: 'other',
+        description: '',
+        itemId: null,
+        quantity: 1,
+        unitPrice: null,
+        amountText: '0',
+      },
+    ]);
+
+  const handleSave = async (status) => {
+    if (validationError) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(
+        {
+          ...draft.invoice,
+          status,
+          issueDate,
+          dueDate,
+          discountPercent: totals.discountPercent,
+          taxRate: totals.taxRate,
+          notes: notes.trim() || null,
+        },
+        lines.map((l) => ({ ...l, description: l.description.trim() })),
+      );
+      onClose();
+    } catch (err) {
+      logError('Saving invoice failed:', err);
+      setError(`Could not save: ${err.message || 'unknown error'}`);
+      setSaving(false);
+    }
+  };
+
+  const preview = { ...draft.invoice, issueDate, dueDate, ...totals, notes };
+
+  return (
+    <Modal onClose={onClose} maxWidth={820}>
+      <ModalHeader title="New Invoice" onClose={onClose} />
+      <div
+        className="modal-body"
+        style={{ padding: spacing[4], maxHeight: '70vh', overflowY: 'auto' }}
+      >
+        {outstanding > 0 && (
+          <div role="status" style={noticeStyle}>
+            <AlertTriangle size={16} color={colors.warning} style={{ flexShrink: 0 }} />
+            <span>
+              {outstanding} unit{outstanding === 1 ? ' is' : 's are'} still out — late fees for them
+              aren&rsquo;t included yet.
+            </span>
+          </div>
+        )}
+        {unreviewed.length > 0 && (
+          <div role="status" style={noticeStyle}>
+            <AlertTriangle size={16} color={colors.warning} style={{ flexShrink: 0 }} />
+            <span>
+              {unreviewed.length} line{unreviewed.length === 1 ? ' needs' : 's need'} an amount —
+              unpriced rentals and damage are left at $0 for you to fill in.
+            </span>
+          </div>
+        )}
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing[3] }}>
+          <thead>
+            <tr style={{ color: colors.textMuted, fontSize: typography.fontSize.xs }}>
+              <th style={{ textAlign: 'left', padding: spacing[1] }}>Type</th>
+              <th style={{ textAlign: 'left', padding: spacing[1] }}>Description</th>
+              <th style={{ textAlign: 'right', padding: spacing[1] }}>Qty</th>
+              <th style={{ textAlign: 'right', padding: spacing[1], width: 120 }}>Amount</th>
+              <th aria-hidden="true" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={row.key}>
+                <td
+                  style={{
+                    padding: spacing[1],
+                    color: colors.textMuted,
+                    fontSize: typography.fontSize.xs,
+                    whiteSpace: 'nowrap',
+                  }}
+                >
+                  {KIND_LABELS[row.kind]}
+                </td>
+                <td style={{ padding: spacing[1] }}>
+                  <input
+                    value={row.description}
+                    onChange={(e) => updateRow(row.key, { description: e.target.value })}
+                    aria-label={`Line ${index + 1} description`}
+                    style={styles.input}
+                  />
+                </td>
+                <td
+                  style={{
+                    padding: spacing[1],
+                    textAlign: 'right',
+                    fontVariantNumeric: 'tabular-nums',
+                  }}
+                >
+                  {row.quantity}
+                </td>
+                <td style={{ padding: spacing[1] }}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={row.amountText}
+                    onChange={(e) => updateRow(row.key, { amountText: e.target.value })}
+                    aria-label={`Line ${index + 1} amount`}
+                    style={{ ...styles.input, textAlign: 'right' }}
+                  />
+                </td>
+                <td style={{ padding: spacing[1] }}>
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    icon={X}
+                    onClick={() => removeRow(row.key)}
+                    aria-label={`Remove line ${index + 1}`}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Button variant="secondary" size="sm" icon={Plus} onClick={addRow}>
+          Add Line
+        </Button>
+
+        <div className="responsive-form-grid" style={{ margin: `${spacing[4]}px 0` }}>
+          <Input
+            label="Issue Date"
+            type="date"
+            value={issueDate}
+            onChange={(e) => setIssueDate(e.target.value)}
+            aria-label="Issue date"
+          />
+          <Input
+            label="Due Date"
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            aria-label="Due date"
+          />
+          <Input
+            label="Discount (%)"
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={discountPercent}
+            onChange={(e) => setDiscountPercent(e.target.value)}
+            placeholder="0"
+            aria-label="Discount percent"
+          />
+          <Input
+            label="Tax (%)"
+            type="number"
+            min="0"
+            step="0.001"
+            value={taxRate}
+            onChange={(e) => setTaxRate(e.target.value)}
+            aria-label="Tax percent"
+          />
+        </div>
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label} htmlFor="invoice-notes">
+            Notes
+          </label>
+          <textarea
+            id="invoice-notes"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Payment instructions, PO number…"
+            rows={2}
+            style={{ ...styles.input, resize: 'vertical' }}
+          />
+        </div>
+
+        <div
+          style={{
+            padding: spacing[4],
+            border: `1px solid ${colors.borderLight}`,
+            borderRadius: borderRadius.md,
+          }}
+        >
+          <InvoiceDocument invoice={preview} lines={amountsValid ? lines : []} profile={profile} />
+        </div>
+
+        {(validationError || error) && (
+          <p
+            role="alert"
+            style={{
+              marginTop: spacing[3],
+              color: colors.danger,
+              fontSize: typography.fontSize.sm,
+            }}
+          >
+            {error || validationError}
+          </p>
+        )}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          variant="secondary"
+          icon={Save}
+          onClick={() => handleSave(INVOICE_STATUS.DRAFT)}
+          disabled={saving || !!validationError}
+        >
+          Save Draft
+        </Button>
+        <Button
+          icon={Send}
+          onClick={() => handleSave(INVOICE_STATUS.SENT)}
+          disabled={saving || !!validationError}
+        >
+          {saving ? 'Saving…' : 'Save & Mark Sent'}
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+});
+
+InvoiceModal.propTypes = {
+  /** buildInvoiceDraft() result */
+  draft: PropTypes.shape({
+    invoice: PropTypes.object.isRequired,
+    lines: PropTypes.array.isRequired,
+  }).isRequired,
+  /** Units of the job not yet returned */
+  outstanding: PropTypes.number,
+  /** currentUser.profile — letterhead on the preview */
+  profile: PropTypes.object,
+  /** async (invoice, lines) — persists; a rejection keeps the modal open */
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default InvoiceModal;
@@ -288,6 +288,32 @@ export const ItemModal = memo(function ItemModal({
             </div>
           </div>
 
+          {/* Rental rates — blank week rate falls back to the day rate × billable days */}
+          <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+            <div>
+              <label style={styles.label}>Day Rate</label>
+              <input
+                type="number"
+                min="0"
+                value={itemForm.dayRate ?? ''}
+                onChange={(e) => handleChange('dayRate', e.target.value)}
+                placeholder="Not priced"
+                style={styles.input}
+              />
+            </div>
+            <div>
+              <label style={styles.label}>Week Rate</label>
+              <input
+                type="number"
+                min="0"
+                value={itemForm.weekRate ?? ''}
+                onChange={(e) => handleChange('weekRate', e.target.value)}
+                placeholder="From day rate"
+                style={styles.input}
+              />
+            </div>
+          </div>
+
           {/* Location and Serial Number */}
           <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
             <div>
@@ -531,6 +557,8 @@ const itemFormShape = PropTypes.shape({
   condition: PropTypes.string,
   purchasePrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   currentValue: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  dayRate: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  weekRate: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   location: PropTypes.string,
   serialNumber: PropTypes.string,
   purchaseDate: PropTypes.string,
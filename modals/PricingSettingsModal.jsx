@@ -0,0 +1,264 @@
+// ============================================================================
+// Pricing Settings Modal
+// House-wide quoting and billing rules: how many billable days a rental week
+// costs (the multi-day discount), the default tax rate, the terms printed on
+// quotes, invoice payment terms and the late fee, and the agreement
+// borrowers sign at checkout. Per-item and per-package rates are edited on
+// the items and packages.
+// ============================================================================
+
+import { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Save } from 'lucide-react';
+import { colors, styles, spacing, typography } from '../theme.js';
+import { Button, Switch } from '../components/ui.jsx';
+import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { DEFAULT_PRICING } from '../lib/pricing.js';
+import { DEFAULT_AGREEMENT_TERMS } from '../lib/agreements.js';
+import { error as logError } from '../lib/logger.js';
+
+const hintStyle = {
+  color: colors.textMuted,
+  fontSize: typography.fontSize.xs,
+  margin: `${spacing[1]}px 0 0`,
+};
+
+export const PricingSettingsModal = memo(function PricingSettingsModal({
+  settings = DEFAULT_PRICING,
+  onSave,
+  onClose,
+}) {
+  const [daysPerWeek, setDaysPerWeek] = useState(String(settings.daysPerWeek));
+  const [taxRate, setTaxRate] = useState(String(settings.taxRate ?? 0));
+  const [quoteTerms, setQuoteTerms] = useState(settings.quoteTerms || '');
+  const [dueDays, setDueDays] = useState(
+    String(settings.invoiceDueDays ?? DEFAULT_PRICING.invoiceDueDays),
+  );
+  const [lateFee, setLateFee] = useState(
+    String(settings.lateFeePercent ?? DEFAULT_PRICING.lateFeePercent),
+  );
+  const [agreementTerms, setAgreementTerms] = useState(settings.agreementTerms || '');
+  const [requireAgreement, setRequireAgreement] = useState(Boolean(settings.requireAgreement));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const days = Number(daysPerWeek);
+  const tax = Number(taxRate || 0);
+  const daysError =
+    !daysPerWeek || !(days > 0 && days <= 7) ? 'Billable days must be above 0 and at most 7' : null;
+  const taxError = !(tax >= 0 && tax < 100) ? 'Tax must be between 0 and 100%' : null;
+  const terms = Number(dueDays || 0);
+  const termsError =
+    !Number.isInteger(terms) || terms < 0 || terms > 365
+      ? 'Payment terms must be a whole number of days, 0–365'
+      : null;
+  const fee = Number(lateFee || 0);
+  const feeError = !(fee >= 0 && fee <= 1000) ? 'Late fee must be between 0 and 1000%' : null;
+  const invalid = Boolean(daysError || taxError || termsError || feeError);
+
+  const handleSave = async () => {
+    if (invalid) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({
+        daysPerWeek: days,
+        taxRate: tax,
+        quoteTerms: quoteTerms.trim() || null,
+        invoiceDueDays: terms,
+        lateFeePercent: fee,
+        agreementTerms: agreementTerms.trim() || null,
+        requireAgreement,
+      });
+      onClose();
+    } catch (err) {
+      logError('Saving pricing settings failed:', err);
+      setError(`Could not save: ${err.message || 'unknown error'}`);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} maxWidth={480}>
+      <ModalHeader title="Rates & Tax" onClose={onClose} />
+      <div
+        className="modal-body"
+        style={{ padding: spacing[4], maxHeight: '70vh', overflowY: 'auto' }}
+      >
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label} htmlFor="pricing-days-per-week">
+            Billable Days per Week
+          </label>
+          <input
+            id="pricing-days-per-week"
+            type="number"
+            min="0.5"
+            max="7"
+            step="0.5"
+            value={daysPerWeek}
+            onChange={(e) => setDaysPerWeek(e.target.value)}
+            style={styles.input}
+          />
+          <p style={hintStyle}>
+            A week without its own rate costs this many day rates — 7 means no multi-day discount, 3
+            is a &ldquo;3-day week&rdquo;.
+          </p>
+          {daysError && (
+            <p style={{ ...hintStyle, color: colors.danger }} role="alert">
+              {daysError}
+            </p>
+          )}
+        </div>
+
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label} htmlFor="pricing-tax-rate">
+            Default Tax (%)
+          </label>
+          <input
+            id="pricing-tax-rate"
+            type="number"
+            min="0"
+            step="0.001"
+            value={taxRate}
+            onChange={(e) => setTaxRate(e.target.value)}
+            style={styles.input}
+          />
+          {taxError && (
+            <p style={{ ...hintStyle, color: colors.danger }} role="alert">
+              {taxError}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label style={styles.label} htmlFor="pricing-quote-terms">
+            Quote Terms
+          </label>
+          <textarea
+            id="pricing-quote-terms"
+            value={quoteTerms}
+            onChange={(e) => setQuoteTerms(e.target.value)}
+            placeholder="Payment terms, damage waiver, validity…"
+            rows={4}
+            style={{ ...styles.input, resize: 'vertical' }}
+          />
+          <p style={hintStyle}>Printed at the foot of every quote.</p>
+        </div>
+
+        <div className="responsive-form-grid" style={{ marginTop: spacing[4] }}>
+          <div>
+            <label style={styles.label} htmlFor="pricing-invoice-due-days">
+              Invoice Terms (days)
+            </label>
+            <input
+              id="pricing-invoice-due-days"
+              type="number"
+              min="0"
+              max="365"
+              step="1"
+              value={dueDays}
+              onChange={(e) => setDueDays(e.target.value)}
+              style={styles.input}
+            />
+            <p style={hintStyle}>Invoices fall due this long after they are issued.</p>
+            {termsError && (
+              <p style={{ ...hintStyle, color: colors.danger }} role="alert">
+                {termsError}
+              </p>
+            )}
+          </div>
+          <div>
+            <label style={styles.label} htmlFor="pricing-late-fee">
+              Late Fee (% of day rate)
+            </label>
+            <input
+              id="pricing-late-fee"
+              type="number"
+              min="0"
+              step="5"
+              value={lateFee}
+              onChange={(e) => setLateFee(e.target.value)}
+              style={styles.input}
+            />
+            <p style={hintStyle}>Charged per unit for each day past due; 0 turns late fees off.</p>
+            {feeError && (
+              <p style={{ ...hintStyle, color: colors.danger }} role="alert">
+                {feeError}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div style={{ marginTop: spacing[4] }}>
+          <label style={styles.label} htmlFor="pricing-agreement-terms">
+            Checkout Agreement
+          </label>
+          <textarea
+            id="pricing-agreement-terms"
+            value={agreementTerms}
+            onChange={(e) => setAgreementTerms(e.target.value)}
+            placeholder={DEFAULT_AGREEMENT_TERMS}
+            rows={5}
+            style={{ ...styles.input, resize: 'vertical' }}
+          />
+          <p style={hintStyle}>
+            Signed by the borrower at checkout. {'{borrower}'}, {'{company}'}, {'{due_date}'} and{' '}
+            {'{total_value}'} are filled in; leave empty for the wording shown.
+          </p>
+          <div
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: spacing[3],
+              marginTop: spacing[3],
+            }}
+          >
+            <span style={{ color: colors.textPrimary, fontSize: typography.fontSize.sm }}>
+              Require a signature to check out and check in
+            </span>
+            <Switch
+              checked={requireAgreement}
+              onChange={setRequireAgreement}
+              label="Require a signature to check out and check in"
+            />
+          </div>
+        </div>
+
+        {error && (
+          <p role="alert" style={{ color: colors.danger, fontSize: typography.fontSize.sm }}>
+            {error}
+          </p>
+        )}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave} icon={Save} disabled={saving || invalid}>
+          {saving ? 'Saving…' : 'Save'}
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+});
+
+// ============================================================================
+// PropTypes
+// ============================================================================
+PricingSettingsModal.propTypes = {
+  /** Current pricing settings from DataContext */
+  settings: PropTypes.shape({
+    daysPerWeek: PropTypes.number,
+    taxRate: PropTypes.number,
+    quoteTerms: PropTypes.string,
+    invoiceDueDays: PropTypes.number,
+    lateFeePercent: PropTypes.number,
+    agreementTerms: PropTypes.string,
+    requireAgreement: PropTypes.bool,
+  }),
+  /** async (updates) — persists; a rejection keeps the modal open */
+  onSave: PropTypes.func.isRequired,
+  /** Callback to close modal */
+  onClose: PropTypes.func.isRequired,
+};
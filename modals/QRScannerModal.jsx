@@ -3,17 +3,29 @@
 // Camera-based QR code scanning with quick checkout/checkin actions.
 // Resolves item AND package labels — both encode the same /?item=<id> deep
 // link (see lib/qrData.js).
+// Session mode keeps the camera running and builds a list instead: every
+// label scanned is added (packages expand to their items), then the whole
+// list goes to batch checkout or bulk check-in in one step.
 // ============================================================================
 
 import { memo, useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Flashlight } from 'lucide-react';
+import { Flashlight, LogIn, LogOut, X } from 'lucide-react';
+import { STATUS } from '../constants.js';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import { getStatusColor } from '../utils';
 import { Badge, Button } from '../components/ui.jsx';
 import { Modal, ModalHeader } from './ModalBase.jsx';
 import { useQRScanner } from '../hooks/useQRScanner.js';
-import { parseScannedCode, resolveScannedCode, truncateScannedCode } from '../lib/qrData.js';
+import {
+  addScanToSession,
+  parseScannedCode,
+  resolveScannedCode,
+  truncateScannedCode,
+} from '../lib/qrData.js';
+import { scanFeedback } from '../lib/scanFeedback.js';
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
 
 export const QRScannerModal = memo(function QRScannerModal({
   inventory,
@@ -22,6 +34,8 @@ export const QRScannerModal = memo(function QRScannerModal({
   onPackageFound,
   onQuickCheckout,
   onQuickCheckin,
+  onSessionCheckout,
+  onSessionCheckin,
   onClose,
 }) {
   const [lookupError, setLookupError] = useState(null);
@@ -33,6 +47,40 @@ export const QRScannerModal = memo(function QRScannerModal({
   // the camera for camera finds, but must not surprise a manual-entry user
   // with a permission prompt
   const foundViaCameraRef = useRef(false);
+  // Continuous scan session — ids in scan order; rows re-read inventory so a
+  // status change from another session shows up before the handoff
+  const canRunSession = !!(onSessionCheckout || onSessionCheckin);
+  const [sessionMode, setSessionMode] = useState(false);
+  const [sessionIds, setSessionIds] = useState([]);
+  // { tone: 'added' | 'duplicate' | 'error', message } — last session scan
+  const [sessionFeedback, setSessionFeedback] = useState(null);
+
+  const addToSession = (code) => {
+    const target = resolveScannedCode(code, inventory, packages);
+    if (!target) {
+      scanFeedback('error');
+      setSessionFeedback({
+        tone: 'error',
+        message: `No item found for code "${truncateScannedCode(code)}"`,
+      });
+      return;
+    }
+    const { ids, added, duplicates, missing } = addScanToSession(sessionIds, target, inventory);
+    setSessionIds(ids);
+    const tone = added.length ? 'added' : duplicates.length ? 'duplicate' : 'error';
+    scanFeedback(tone);
+    let message;
+    if (target.type === 'package') {
+      message = `${target.entity.name}: ${plural(added.length, 'item')} added`;
+      if (duplicates.length) message += `, ${duplicates.length} already listed`;
+      if (missing.length) message += `, ${missing.length} not in inventory`;
+    } else {
+      message = added.length
+        ? `Added ${target.entity.name}`
+        : `${target.entity.name} is already in the list`;
+    }
+    setSessionFeedback({ tone, message });
+  };
 
   // Camera lifecycle, throttled decode, dedupe, and torch live in the shared
   // hook; the onCode callback always sees current props/state.
@@ -50,6 +98,12 @@ export const QRScannerModal = memo(function QRScannerModal({
     onCode: (raw) => {
       const code = parseScannedCode(raw);
       setLastScanned(code);
+      if (sessionMode) {
+        // The camera stays on; the hook's dedupe window stops one label held
+        // in frame from re-firing every frame
+        addToSession(code);
+        return;
+      }
       const target = resolveScannedCode(code, inventory, packages);
       if (target) {
         stopScanning();
@@ -84,6 +138,11 @@ export const QRScannerModal = memo(function QRScannerModal({
   // Handle manual code entry (accepts bare IDs, serials, or pasted deep links)
   const handleManualLookup = () => {
     if (!manualCode.trim()) return;
+    if (sessionMode) {
+      addToSession(parseScannedCode(manualCode));
+      setManualCode('');
+      return;
+    }
 
     const target = resolveScannedCode(parseScannedCode(manualCode), inventory, packages);
     if (target) {
@@ -111,6 +170,34 @@ export const QRScannerModal = memo(function QRScannerModal({
   // mask the actionable "no item found" feedback from manual entry
   const error = lookupError || cameraError;
 
+  const inventoryById = new Map(inventory.map((i) => [i.id, i]));
+  const sessionItems = sessionIds.map((id) => inventoryById.get(id)).filter(Boolean);
+  const sessionCheckoutItems = sessionItems.filter(
+    (i) => i.status === STATUS.AVAILABLE || i.status === STATUS.RESERVED,
+  );
+  const sessionCheckinItems = sessionItems.filter((i) => i.status === STATUS.CHECKED_OUT);
+  const feedbackAccent = {
+    added: colors.available,
+    duplicate: colors.warning,
+    error: colors.danger,
+  }[sessionFeedback?.tone];
+
+  const handleModeChange = (next) => {
+    if (next === sessionMode) return;
+    setSessionMode(next);
+    setLookupError(null);
+    setSessionFeedback(null);
+  };
+
+  const removeFromSession = (id) => {
+    setSessionIds((prev) => prev.filter((x) => x !== id));
+  };
+
+  const handOff = (callback, items) => {
+    stopScanning();
+    callback(items);
+  };
+
   const foundItem = found?.type === 'item' ? found.entity : null;
   const foundPackage = found?.type === 'package' ? found.entity : null;
   const isCheckedOut = foundItem?.status === 'checked-out';
@@ -352,6 +439,40 @@ export const QRScannerModal = memo(function QRScannerModal({
           </div>
         ) : (
           <>
+            {/* Mode toggle — only when the list can be handed off somewhere */}
+            {canRunSession && (
+              <div
+                role="group"
+                aria-label="Scan mode"
+                style={{ display: 'flex', gap: spacing[1], marginBottom: spacing[3] }}
+              >
+                {[
+                  [false, 'Single item'],
+                  [true, 'Scan session'],
+                ].map(([mode, label]) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => handleModeChange(mode)}
+                    aria-pressed={sessionMode === mode}
+                    style={{
+                      flex: 1,
+                      padding: `${spacing[1]}px ${spacing[3]}px`,
+                      borderRadius: borderRadius.md,
+                      border: `1px solid ${sessionMode === mode ? colors.primary : colors.border}`,
+                      background:
+                        sessionMode === mode ? `${withOpacity(colors.primary, 20)}` : 'transparent',
+                      color: sessionMode === mode ? colors.primary : colors.textSecondary,
+                      fontSize: typography.fontSize.sm,
+                      cursor: 'pointer',
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Camera view */}
             <div
               style={{
@@ -533,13 +654,13 @@ export const QRScannerModal = memo(function QRScannerModal({
                   style={{ ...styles.input, flex: 1 }}
                 />
                 <Button onClick={handleManualLookup} disabled={!manualCode.trim()}>
-                  Lookup
+                  {sessionMode ? 'Add' : 'Lookup'}
                 </Button>
               </div>
             </div>
 
             {/* Last scanned indicator */}
-            {lastScanned && (
+            {lastScanned && !sessionMode && (
               <div
                 style={{
                   marginTop: spacing[3],
@@ -553,6 +674,122 @@ export const QRScannerModal = memo(function QRScannerModal({
                 Last scanned: <strong>{lastScanned}</strong>
               </div>
             )}
+
+            {/* Scan session — running list and handoff */}
+            {sessionMode && (
+              <div style={{ marginTop: spacing[4] }}>
+                {sessionFeedback && (
+                  <div
+                    role="status"
+                    style={{
+                      padding: spacing[2],
+                      marginBottom: spacing[3],
+                      borderRadius: borderRadius.md,
+                      fontSize: typography.fontSize.sm,
+                      background: `${withOpacity(feedbackAccent, 15)}`,
+                      border: `1px solid ${withOpacity(feedbackAccent, 40)}`,
+                      color: colors.textPrimary,
+                    }}
+                  >
+                    {sessionFeedback.message}
+                  </div>
+                )}
+
+                <div
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: spacing[2],
+                    fontSize: typography.fontSize.sm,
+                    color: colors.textSecondary,
+                  }}
+                >
+                  <span>{plural(sessionItems.length, 'item')} scanned</span>
+                  {sessionItems.length > 0 && (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => {
+                        setSessionIds([]);
+                        setSessionFeedback(null);
+                      }}
+                    >
+                      Clear
+                    </Button>
+                  )}
+                </div>
+
+                <ul
+                  aria-label="Scanned items"
+                  style={{
+                    listStyle: 'none',
+                    margin: `0 0 ${spacing[3]}px`,
+                    padding: 0,
+                    maxHeight: 220,
+                    overflowY: 'auto',
+                  }}
+                >
+                  {sessionItems.map((item) => (
+                    <li
+                      key={item.id}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: spacing[2],
+                        padding: `${spacing[1]}px ${spacing[2]}px`,
+                        borderBottom: `1px solid ${colors.borderLight}`,
+                        fontSize: typography.fontSize.sm,
+                      }}
+                    >
+                      <span style={{ flex: 1, color: colors.textPrimary }}>{item.name}</span>
+                      <Badge text={item.status} color={getStatusColor(item.status)} size="xs" />
+                      <button
+                        type="button"
+                        onClick={() => removeFromSession(item.id)}
+                        aria-label={`Remove ${item.name}`}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: colors.textMuted,
+                          cursor: 'pointer',
+                          display: 'flex',
+                          padding: 0,
+                        }}
+                      >
+                        <X size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                <div style={{ display: 'flex', gap: spacing[2] }}>
+                  {onSessionCheckout && (
+                    <Button
+                      fullWidth
+                      icon={LogOut}
+                      disabled={!sessionCheckoutItems.length}
+                      onClick={() => handOff(onSessionCheckout, sessionCheckoutItems)}
+                      style={{ justifyContent: 'center' }}
+                    >
+                      Check Out {sessionCheckoutItems.length}
+                    </Button>
+                  )}
+                  {onSessionCheckin && (
+                    <Button
+                      fullWidth
+                      variant="secondary"
+                      icon={LogIn}
+                      disabled={!sessionCheckinItems.length}
+                      onClick={() => handOff(onSessionCheckin, sessionCheckinItems)}
+                      style={{ justifyContent: 'center' }}
+                    >
+                      Check In {sessionCheckinItems.length}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -592,6 +829,10 @@ QRScannerModal.propTypes = {
   onQuickCheckout: PropTypes.func,
   /** Callback for quick check-in action (omit to hide — permission-gated) */
   onQuickCheckin: PropTypes.func,
+  /** Hand the session's available/reserved items to batch checkout (omit to hide) */
+  onSessionCheckout: PropTypes.func,
+  /** Hand the session's checked-out items to bulk check-in (omit to hide) */
+  onSessionCheckin: PropTypes.func,
   /** Callback to close modal */
   onClose: PropTypes.func.isRequired,
 };
@@ -0,0 +1,167 @@
+// ============================================================================
+// Quantity Return Modal
+// Settle one borrower's units of a quantity-tracked item: some come back to
+// the shelf, some were used up on the job. Partial returns keep the rest
+// outstanding against the same borrower.
+// ============================================================================
+
+import { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { colors, styles, spacing, borderRadius, typography } from '../theme.js';
+import { formatDate } from '../utils';
+import { Button } from '../components/ui.jsx';
+import { Modal, ModalHeader } from './ModalBase.jsx';
+
+export const QuantityReturnModal = memo(function QuantityReturnModal({
+  item,
+  checkout,
+  onReturn,
+  onClose,
+}) {
+  const outstanding = checkout?.quantity || 0;
+  const [returned, setReturned] = useState(String(outstanding));
+  const [consumed, setConsumed] = useState('0');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const back = Math.max(0, parseInt(returned, 10) || 0);
+  const used = Math.max(0, parseInt(consumed, 10) || 0);
+  const settled = back + used;
+  const error =
+    settled === 0
+      ? 'Enter at least one unit'
+      : settled > outstanding
+        ? `Only ${outstanding} still out with ${checkout.borrowerName}`
+        : null;
+
+  const handleSubmit = async () => {
+    if (error || submitting) return;
+    setSubmitting(true);
+    try {
+      await onReturn({
+        checkoutId: checkout.id,
+        itemId: item.id,
+        returned: back,
+        consumed: used,
+        notes: notes.trim(),
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!item || !checkout) return null;
+
+  return (
+    <Modal onClose={onClose} maxWidth={450}>
+      <ModalHeader title={`Return ${item.name}`} onClose={onClose} />
+      <div style={{ padding: spacing[4] }}>
+        <div
+          style={{
+            padding: spacing[3],
+            background: colors.bgLight,
+            borderRadius: borderRadius.md,
+            marginBottom: spacing[4],
+            fontSize: typography.fontSize.sm,
+            color: colors.textPrimary,
+          }}
+        >
+          <strong>{outstanding}</strong> out with <strong>{checkout.borrowerName}</strong>
+          {checkout.project ? ` for ${checkout.project}` : ''}
+          <span style={{ color: colors.textMuted }}>
+            {' '}
+            since {formatDate(checkout.checkedOutDate)}
+            {checkout.dueBack ? ` • due ${formatDate(checkout.dueBack)}` : ''}
+          </span>
+        </div>
+
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+          <div>
+            <label style={styles.label} htmlFor="quantity-returned">
+              Returned to stock
+            </label>
+            <input
+              id="quantity-returned"
+              type="number"
+              min={0}
+              max={outstanding}
+              value={returned}
+              onChange={(e) => setReturned(e.target.value)}
+              style={styles.input}
+            />
+          </div>
+          <div>
+            <label style={styles.label} htmlFor="quantity-consumed">
+              Consumed (not returning)
+            </label>
+            <input
+              id="quantity-consumed"
+              type="number"
+              min={0}
+              max={outstanding}
+              value={consumed}
+              onChange={(e) => setConsumed(e.target.value)}
+              style={styles.input}
+            />
+          </div>
+        </div>
+
+        <div
+          style={{
+            fontSize: typography.fontSize.xs,
+            color: error ? colors.danger : colors.textMuted,
+            marginBottom: spacing[4],
+          }}
+        >
+          {error ||
+            (settled < outstanding
+              ? `${outstanding - settled} stay out with ${checkout.borrowerName}`
+              : 'Settles this checkout in full')}
+        </div>
+
+        <div style={{ marginBottom: spacing[4] }}>
+          <label style={styles.label}>Return Notes (optional)</label>
+          <input
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="e.g., Two packs opened on set"
+            style={styles.input}
+          />
+        </div>
+
+        <div style={{ display: 'flex', gap: spacing[3], justifyContent: 'flex-end' }}>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!!error || submitting}>
+            Confirm Return
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+});
+
+// ============================================================================
+// PropTypes
+// ============================================================================
+QuantityReturnModal.propTypes = {
+  /** The quantity-tracked item */
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+  /** The borrower's outstanding checkout being settled */
+  checkout: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    borrowerName: PropTypes.string,
+    project: PropTypes.string,
+    quantity: PropTypes.number.isRequired,
+    checkedOutDate: PropTypes.string,
+    dueBack: PropTypes.string,
+  }).isRequired,
+  /** Called with { checkoutId, itemId, returned, consumed, notes } */
+  onReturn: PropTypes.func.isRequired,
+  /** Callback to close modal */
+  onClose: PropTypes.func.isRequired,
+};
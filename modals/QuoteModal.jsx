@@ -0,0 +1,181 @@
+// ============================================================================
+// Quote Modal
+// Prices a reservation group from the item and package rate cards: complete
+// priced packages bill as bundles, everything else per item. The operator
+// sets a discount (and can override tax) against a live preview, then prints
+// the branded quote.
+// ============================================================================
+
+import { memo, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, Printer } from 'lucide-react';
+import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { getTodayISO } from '../utils';
+import { Button, Input } from '../components/ui.jsx';
+import { QuoteDocument } from '../components/QuoteDocument.jsx';
+import { renderQuoteHTML, QUOTE_PRINT_STYLES } from '../components/quoteRender.jsx';
+import { Modal, ModalHeader, ModalFooter } from './ModalBase.jsx';
+import { buildQuote, DEFAULT_PRICING } from '../lib/pricing.js';
+import { openPrintWindow } from '../lib/printUtil.js';
+import { error as logError } from '../lib/logger.js';
+
+export const QuoteModal = memo(function QuoteModal({
+  reservation,
+  items,
+  quantities,
+  packages,
+  settings = DEFAULT_PRICING,
+  clientName,
+  profile,
+  onClose,
+}) {
+  const [discountPercent, setDiscountPercent] = useState('');
+  const [taxRate, setTaxRate] = useState(String(settings.taxRate ?? 0));
+  const [printError, setPrintError] = useState(null);
+
+  const quote = useMemo(
+    () =>
+      buildQuote({
+        items,
+        quantities,
+        packages,
+        start: reservation?.start,
+        end: reservation?.end || reservation?.start,
+        settings,
+        discountPercent,
+        taxRate,
+      }),
+    [items, quantities, packages, reservation, settings, discountPercent, taxRate],
+  );
+
+  const documentProps = {
+    quote,
+    reservation,
+    clientName,
+    profile,
+    terms: settings.quoteTerms,
+    preparedOn: getTodayISO(),
+  };
+
+  const handlePrint = async () => {
+    setPrintError(null);
+    try {
+      const body = await renderQuoteHTML(documentProps);
+      openPrintWindow({
+        title: `Quote — ${reservation?.project || 'Reservation'}`,
+        styles: QUOTE_PRINT_STYLES,
+        body,
+        onBlocked: () => setPrintError('Print pop-up blocked — allow pop-ups for this site.'),
+      });
+    } catch (err) {
+      logError('Quote print failed:', err);
+      setPrintError(`Could not prepare the quote: ${err.message || 'unknown error'}`);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} maxWidth={720}>
+      <ModalHeader title="Create Quote" onClose={onClose} />
+      <div
+        className="modal-body"
+        style={{ padding: spacing[4], maxHeight: '70vh', overflowY: 'auto' }}
+      >
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[4] }}>
+          <Input
+            label="Discount (%)"
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={discountPercent}
+            onChange={(e) => setDiscountPercent(e.target.value)}
+            placeholder="0"
+            aria-label="Discount percent"
+          />
+          <Input
+            label="Tax (%)"
+            type="number"
+            min="0"
+            step="0.001"
+            value={taxRate}
+            onChange={(e) => setTaxRate(e.target.value)}
+            aria-label="Tax percent"
+          />
+        </div>
+
+        {quote.unpriced.length > 0 && (
+          <div
+            role="status"
+            style={{
+              display: 'flex',
+              gap: spacing[2],
+              alignItems: 'flex-start',
+              padding: spacing[3],
+              marginBottom: spacing[4],
+              background: withOpacity(colors.warning, 12),
+              border: `1px solid ${withOpacity(colors.warning, 40)}`,
+              borderRadius: borderRadius.md,
+              color: colors.textPrimary,
+              fontSize: typography.fontSize.sm,
+            }}
+          >
+            <AlertTriangle size={16} color={colors.warning} style={{ flexShrink: 0 }} />
+            <span>
+              No rate set for {quote.unpriced.join(', ')} — listed on the quote without a charge.
+            </span>
+          </div>
+        )}
+
+        <div
+          style={{
+            padding: spacing[4],
+            border: `1px solid ${colors.borderLight}`,
+            borderRadius: borderRadius.md,
+          }}
+        >
+          <QuoteDocument {...documentProps} />
+        </div>
+
+        {printError && (
+          <div
+            role="alert"
+            style={{
+              marginTop: spacing[3],
+              color: colors.danger,
+              fontSize: typography.fontSize.sm,
+            }}
+          >
+            {printError}
+          </div>
+        )}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>
+          Close
+        </Button>
+        <Button onClick={handlePrint} icon={Printer} disabled={quote.lines.length === 0}>
+          Print Quote
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+});
+
+QuoteModal.propTypes = {
+  /** Reservation (group) being quoted — start/end/project/contact */
+  reservation: PropTypes.object.isRequired,
+  /** Inventory items in the reservation group */
+  items: PropTypes.array.isRequired,
+  /** Units booked per item id; missing ids count as 1 */
+  quantities: PropTypes.object,
+  /** Packages considered for bundle pricing */
+  packages: PropTypes.array,
+  /** Pricing settings (daysPerWeek, taxRate, quoteTerms) */
+  settings: PropTypes.object,
+  clientName: PropTypes.string,
+  /** currentUser.profile — letterhead */
+  profile: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default QuoteModal;
@@ -5,15 +5,33 @@
 
 import { memo, useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Plus, Save, AlertTriangle, Search, X, Package } from 'lucide-react';
-import { PROJECT_TYPES } from '../constants.js';
+import { Plus, Save, AlertTriangle, Search, X, Package, Repeat } from 'lucide-react';
+import {
+  PROJECT_TYPES,
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_LABELS,
+  RESERVATION_STATUS_TRANSITIONS,
+  HOLD_DEFAULT_HOURS,
+  RECURRENCE_FREQUENCY_LABELS,
+  RECURRENCE_MAX_OCCURRENCES,
+  SERIES_EDIT_SCOPE,
+} from '../constants.js';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import {
   getAllReservationConflicts,
+  formatDate,
+  occurrenceConflicts,
+  recurrenceOccurrences,
+  reservationStage,
+  seriesOccurrences,
+  shiftSeriesOccurrences,
   getStatusColor,
+  isQuantityTracked,
   formatPhoneNumber,
   handlePhoneInput,
+  timeToMinutes,
 } from '../utils';
+import { findSubstitutes } from '../lib/substitutes.js';
 import { Button, Badge } from '../components/ui.jsx';
 import { Select } from '../components/Select.jsx';
 import { DatePicker } from '../components/DatePicker.jsx';
@@ -29,6 +47,7 @@ const ItemSearch = memo(function ItemSearch({
   placeholder = 'Search items by name, ID, or brand...',
   dateRange = null,
   excludeReservationId = null,
+  categorySettings = null,
 }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [isOpen, setIsOpen] = useState(false);
@@ -39,8 +58,13 @@ const ItemSearch = memo(function ItemSearch({
   // free for my shoot?" belongs where gear is being picked, not after
   const availabilityFor = (invItem) => {
     if (!dateRange?.start || !dateRange?.end) return null;
-    return getAllReservationConflicts(invItem, dateRange.start, dateRange.end, excludeReservationId)
-      .hasConflicts
+    return getAllReservationConflicts(
+      invItem,
+      dateRange.start,
+      dateRange.end,
+      excludeReservationId,
+      { categorySettings, startTime: dateRange.startTime, endTime: dateRange.endTime },
+    ).hasConflicts
       ? 'conflict'
       : 'free';
   };
@@ -244,107 +268,224 @@ const ItemSearch = memo(function ItemSearch({
   );
 });
 
+// New reservations pick their starting stage; later moves happen from the
+// reservation detail view
+const STAGE_OPTIONS = [
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.HOLD,
+  RESERVATION_STATUS.QUOTE,
+].map((value) => ({ value, label: RESERVATION_STATUS_LABELS[value] }));
+
+const HOLD_DURATION_OPTIONS = [
+  { value: '24', label: '24 hours' },
+  { value: '48', label: '48 hours' },
+  { value: '72', label: '3 days' },
+  { value: '168', label: '1 week' },
+  { value: '0', label: 'Until confirmed' },
+];
+
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  ...Object.entries(RECURRENCE_FREQUENCY_LABELS).map(([value, label]) => ({ value, label })),
+];
+
+const REPEAT_END_OPTIONS = [
+  { value: 'count', label: 'After' },
+  { value: 'until', label: 'On date' },
+];
+
+const REPEAT_DEFAULT_COUNT = 4;
+
+const SERIES_SCOPE_OPTIONS = [
+  { value: SERIES_EDIT_SCOPE.ONE, label: 'This date only' },
+  { value: SERIES_EDIT_SCOPE.SERIES, label: 'All open dates in the series' },
+];
+
 // ============================================================================
 // Selected Item Card
 // ============================================================================
-const SelectedItemCard = memo(function SelectedItemCard({ item, onRemove, conflicts }) {
+const SelectedItemCard = memo(function SelectedItemCard({
+  item,
+  onRemove,
+  conflicts,
+  quantity = 1,
+  onQuantityChange = null,
+  substitutes = [],
+  onSwap = null,
+}) {
   const hasConflict = conflicts?.hasConflicts;
+  // Pooled results carry the unit counts for the chosen dates
+  const pooled = conflicts?.onHand !== undefined;
 
   return (
     <div
       style={{
-        display: 'flex',
-        alignItems: 'center',
-        gap: spacing[3],
         padding: spacing[3],
         background: hasConflict ? withOpacity(colors.warning, 10) : withOpacity(colors.primary, 10),
         border: `1px solid ${hasConflict ? colors.warning : withOpacity(colors.primary, 30)}`,
         borderRadius: borderRadius.md,
       }}
     >
-      {item.image ? (
-        <img
-          src={item.image}
-          alt=""
-          style={{ width: 48, height: 48, borderRadius: borderRadius.md, objectFit: 'cover' }}
-        />
-      ) : (
-        <div
-          style={{
-            width: 48,
-            height: 48,
-            borderRadius: borderRadius.md,
-            background: colors.bgDark,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            color: colors.textMuted,
-          }}
-        >
-          <Package size={20} />
-        </div>
-      )}
-      <div style={{ flex: 1, minWidth: 0 }}>
-        <div
-          style={{
-            fontWeight: typography.fontWeight.medium,
-            color: colors.textPrimary,
-            marginBottom: 2,
-          }}
-        >
-          {item.name}
-        </div>
-        <div
-          style={{
-            fontSize: typography.fontSize.sm,
-            color: colors.textMuted,
-            display: 'flex',
-            gap: spacing[2],
-            alignItems: 'center',
-            flexWrap: 'wrap',
-          }}
-        >
-          <Badge text={item.id} color={colors.primary} />
-          <span>
-            {item.brand} • {item.category}
-          </span>
-        </div>
-        {hasConflict && (
+      <div style={{ display: 'flex', alignItems: 'center', gap: spacing[3] }}>
+        {item.image ? (
+          <img
+            src={item.image}
+            alt=""
+            style={{ width: 48, height: 48, borderRadius: borderRadius.md, objectFit: 'cover' }}
+          />
+        ) : (
           <div
             style={{
-              marginTop: spacing[1],
-              fontSize: typography.fontSize.xs,
-              color: colors.warning,
+              width: 48,
+              height: 48,
+              borderRadius: borderRadius.md,
+              background: colors.bgDark,
               display: 'flex',
               alignItems: 'center',
-              gap: spacing[1],
+              justifyContent: 'center',
+              color: colors.textMuted,
             }}
           >
-            <AlertTriangle size={12} />
-            {conflicts.reservationConflicts?.length > 0
-              ? `${conflicts.reservationConflicts.length} scheduling conflict(s)`
-              : 'Item currently checked out'}
+            <Package size={20} />
           </div>
         )}
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div
+            style={{
+              fontWeight: typography.fontWeight.medium,
+              color: colors.textPrimary,
+              marginBottom: 2,
+            }}
+          >
+            {item.name}
+          </div>
+          <div
+            style={{
+              fontSize: typography.fontSize.sm,
+              color: colors.textMuted,
+              display: 'flex',
+              gap: spacing[2],
+              alignItems: 'center',
+              flexWrap: 'wrap',
+            }}
+          >
+            <Badge text={item.id} color={colors.primary} />
+            <span>
+              {item.brand} • {item.category}
+            </span>
+          </div>
+          {hasConflict && (
+            <div
+              style={{
+                marginTop: spacing[1],
+                fontSize: typography.fontSize.xs,
+                color: colors.warning,
+                display: 'flex',
+                alignItems: 'center',
+                gap: spacing[1],
+              }}
+            >
+              <AlertTriangle size={12} />
+              {pooled
+                ? `Only ${Math.max(0, conflicts.onHand - conflicts.booked)} of ${conflicts.onHand} free for these dates`
+                : conflicts.reservationConflicts?.length > 0
+                  ? `${conflicts.reservationConflicts.length} scheduling conflict(s)`
+                  : 'Item currently checked out'}
+            </div>
+          )}
+          {pooled && !hasConflict && (
+            <div
+              style={{
+                marginTop: spacing[1],
+                fontSize: typography.fontSize.xs,
+                color: colors.textMuted,
+              }}
+            >
+              {conflicts.booked} of {conflicts.onHand} booked for these dates
+            </div>
+          )}
+        </div>
+        {onQuantityChange && (
+          <input
+            type="number"
+            min={1}
+            value={quantity}
+            onChange={(e) =>
+              onQuantityChange(item.id, Math.max(1, parseInt(e.target.value, 10) || 1))
+            }
+            aria-label={`Quantity of ${item.name}`}
+            style={{ ...styles.input, width: 72, flexShrink: 0 }}
+          />
+        )}
+        {onRemove && (
+          <button
+            onClick={() => onRemove(item.id)}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              padding: spacing[1],
+              cursor: 'pointer',
+              color: colors.textMuted,
+              borderRadius: borderRadius.md,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+            }}
+            title="Remove item"
+          >
+            <X size={18} />
+          </button>
+        )}
       </div>
-      {onRemove && (
-        <button
-          onClick={() => onRemove(item.id)}
+      {hasConflict && onSwap && substitutes.length > 0 && (
+        <div
           style={{
-            background: 'transparent',
-            border: 'none',
-            padding: spacing[1],
-            cursor: 'pointer',
-            color: colors.textMuted,
-            borderRadius: borderRadius.md,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
+            marginTop: spacing[2],
+            paddingTop: spacing[2],
+            borderTop: `1px solid ${withOpacity(colors.warning, 30)}`,
           }}
-          title="Remove item"
         >
-          <X size={18} />
-        </button>
+          <div
+            style={{
+              fontSize: typography.fontSize.xs,
+              color: colors.textMuted,
+              marginBottom: spacing[1],
+            }}
+          >
+            Available instead
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: spacing[2] }}>
+            {substitutes.map(({ item: sub, reason, matched }) => (
+              <button
+                key={sub.id}
+                type="button"
+                onClick={() => onSwap(item.id, sub)}
+                aria-label={`Swap for ${sub.name}`}
+                title={
+                  reason === 'equivalent'
+                    ? 'Interchangeable unit'
+                    : `Same ${matched.join(', ')}`.toLowerCase()
+                }
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: spacing[1],
+                  padding: `${spacing[1]}px ${spacing[2]}px`,
+                  background: colors.bgMedium,
+                  border: `1px solid ${colors.border}`,
+                  borderRadius: borderRadius.md,
+                  color: colors.textPrimary,
+                  fontSize: typography.fontSize.xs,
+                  cursor: 'pointer',
+                }}
+              >
+                <Repeat size={12} />
+                {sub.name}
+                <span style={{ color: colors.textMuted }}>{sub.id}</span>
+              </button>
+            ))}
+          </div>
+        </div>
       )}
     </div>
   );
@@ -363,6 +504,9 @@ export const ReservationModal = memo(function ReservationModal({
   inventory = [],
   item = null,
   editingReservationId = null,
+  categorySettings = null,
+  specs = {},
+  equivalenceGroups = [],
 }) {
   const [touched, setTouched] = useState({});
   const [acknowledgedConflicts, setAcknowledgedConflicts] = useState(false);
@@ -386,11 +530,13 @@ export const ReservationModal = memo(function ReservationModal({
   }, [item, reservationForm.itemIds, reservationForm.itemId, inventory]);
 
   // A conflict acknowledgment only covers the conflicts that were visible
-  // when it was given — changing the item list voids it
+  // when it was given — changing the item list or a unit count voids it
   const selectedItemIdsKey = selectedItems.map((i) => i.id).join(',');
+  const quantitiesKey = JSON.stringify(reservationForm.quantities || {});
+  const repeatKey = `${JSON.stringify(reservationForm.recurrence || null)}|${reservationForm.seriesScope}`;
   useEffect(() => {
     setAcknowledgedConflicts(false);
-  }, [selectedItemIdsKey]);
+  }, [selectedItemIdsKey, quantitiesKey, repeatKey]);
 
   // Add item to selection
   const handleAddItem = useCallback(
@@ -412,19 +558,63 @@ export const ReservationModal = memo(function ReservationModal({
       setSelectedItems((prev) => prev.filter((i) => i.id !== itemId));
       setReservationForm((prev) => {
         const newItemIds = (prev.itemIds || []).filter((id) => id !== itemId);
+        const { [itemId]: _removed, ...quantities } = prev.quantities || {};
         return {
           ...prev,
           itemIds: newItemIds,
           itemId: newItemIds[0] || '',
+          quantities,
         };
       });
     },
     [setReservationForm],
   );
 
+  const handleRecurrenceChange = useCallback(
+    (changes) => {
+      setReservationForm((prev) => {
+        const next = { ...prev.recurrence, ...changes };
+        if (!next.frequency) return { ...prev, recurrence: null };
+        if (!next.until && !next.count) next.count = REPEAT_DEFAULT_COUNT;
+        return { ...prev, recurrence: next };
+      });
+    },
+    [setReservationForm],
+  );
+
+  // Put a stand-in where the conflicted item was, carrying its unit count
+  const handleSwapItem = useCallback(
+    (oldId, newItem) => {
+      setSelectedItems((prev) => prev.map((i) => (i.id === oldId ? newItem : i)));
+      setReservationForm((prev) => {
+        const newItemIds = (prev.itemIds?.length ? prev.itemIds : [oldId]).map((id) =>
+          id === oldId ? newItem.id : id,
+        );
+        const { [oldId]: quantity, ...quantities } = prev.quantities || {};
+        return {
+          ...prev,
+          itemIds: newItemIds,
+          itemId: newItemIds[0] || '',
+          quantities: quantity ? { ...quantities, [newItem.id]: quantity } : quantities,
+        };
+      });
+    },
+    [setReservationForm],
+  );
+
+  const handleQuantityChange = useCallback(
+    (itemId, quantity) => {
+      setReservationForm((prev) => ({
+        ...prev,
+        quantities: { ...prev.quantities, [itemId]: quantity },
+      }));
+    },
+    [setReservationForm],
+  );
+
   const handleChange = (field, value) => {
     setTouched((prev) => ({ ...prev, [field]: true }));
-    if (field === 'start' || field === 'end') {
+    if (['start', 'end', 'startTime', 'endTime'].includes(field)) {
       setAcknowledgedConflicts(false);
     }
     if (field === 'start' && reservationForm.end && value > reservationForm.end) {
@@ -460,20 +650,122 @@ export const ReservationModal = memo(function ReservationModal({
           reservationForm.start,
           reservationForm.end,
           isEdit ? editingReservationId : null,
+          {
+            quantity: reservationForm.quantities?.[selectedItem.id] || 1,
+            categorySettings,
+            startTime: reservationForm.startTime,
+            endTime: reservationForm.endTime,
+          },
         );
       });
     }
     return conflicts;
-  }, [selectedItems, reservationForm.start, reservationForm.end, isEdit, editingReservationId]);
+  }, [
+    selectedItems,
+    reservationForm.start,
+    reservationForm.end,
+    reservationForm.startTime,
+    reservationForm.endTime,
+    reservationForm.quantities,
+    isEdit,
+    editingReservationId,
+    categorySettings,
+  ]);
+
+  // Free stand-ins for each conflicted item. Single-item mode pins its item,
+  // so there is nothing to swap there.
+  const itemSubstitutes = useMemo(() => {
+    const result = {};
+    if (item) return result;
+    const selectedIds = selectedItems.map((i) => i.id);
+    selectedItems.forEach((selectedItem) => {
+      if (!itemConflicts[selectedItem.id]?.hasConflicts) return;
+      result[selectedItem.id] = findSubstitutes(selectedItem, inventory, {
+        start: reservationForm.start,
+        end: reservationForm.end,
+        startTime: reservationForm.startTime,
+        endTime: reservationForm.endTime,
+        quantity: reservationForm.quantities?.[selectedItem.id] || 1,
+        excludeReservationId: isEdit ? editingReservationId : null,
+        excludeIds: selectedIds,
+        specs,
+        equivalenceGroups,
+        categorySettings,
+      });
+    });
+    return result;
+  }, [
+    item,
+    selectedItems,
+    itemConflicts,
+    inventory,
+    reservationForm.start,
+    reservationForm.end,
+    reservationForm.startTime,
+    reservationForm.endTime,
+    reservationForm.quantities,
+    isEdit,
+    editingReservationId,
+    specs,
+    equivalenceGroups,
+    categorySettings,
+  ]);
+
+  // The other dates this save books or moves: the rest of a new repeating
+  // booking, or — for a series edit — the series' other open dates shifted
+  // the way this one was. Each is checked for the selected items.
+  const otherOccurrences = useMemo(() => {
+    const { start, end } = reservationForm;
+    if (!start || !end) return [];
+    let occurrences = [];
+    if (!isEdit && reservationForm.recurrence?.frequency) {
+      occurrences = recurrenceOccurrences(start, end, reservationForm.recurrence).slice(1);
+    } else if (
+      isEdit &&
+      reservationForm.seriesId &&
+      reservationForm.seriesScope === SERIES_EDIT_SCOPE.SERIES
+    ) {
+      const original = inventory
+        .flatMap((i) => i.reservations || [])
+        .find((r) => r.id === editingReservationId);
+      if (!original) return [];
+      const others = seriesOccurrences(inventory, reservationForm.seriesId).filter(
+        (occurrence) =>
+          occurrence.groupId !== (original.groupId || original.id) &&
+          occurrence.rows.some((r) => RESERVATION_STATUS_TRANSITIONS[reservationStage(r)]),
+      );
+      occurrences = shiftSeriesOccurrences(original, reservationForm, others);
+    }
+    return occurrenceConflicts(selectedItems, occurrences, {
+      quantities: reservationForm.quantities,
+      categorySettings,
+      startTime: reservationForm.startTime,
+      endTime: reservationForm.endTime,
+    });
+  }, [reservationForm, isEdit, inventory, editingReservationId, selectedItems, categorySettings]);
 
-  // Check if any item has conflicts
+  // Check if any item has conflicts, on this date or another in the series
   const hasAnyConflicts = useMemo(() => {
-    return Object.values(itemConflicts).some((c) => c.hasConflicts);
-  }, [itemConflicts]);
+    return (
+      Object.values(itemConflicts).some((c) => c.hasConflicts) ||
+      otherOccurrences.some((o) => o.conflicted.length > 0)
+    );
+  }, [itemConflicts, otherOccurrences]);
 
-  // Validation
+  // Validation — times are optional, but a same-day booking must end after
+  // it starts
+  const startMinutes = timeToMinutes(reservationForm.startTime);
+  const endMinutes = timeToMinutes(reservationForm.endTime);
+  const timeError =
+    reservationForm.start === reservationForm.end &&
+    startMinutes !== null &&
+    endMinutes !== null &&
+    endMinutes <= startMinutes;
   const dateValid =
-    reservationForm.start && reservationForm.end && reservationForm.end >= reservationForm.start;
+    reservationForm.start &&
+    reservationForm.end &&
+    reservationForm.end >= reservationForm.start &&
+    !timeError;
   const hasItems = selectedItems.length > 0;
   const valid =
     hasItems && reservationForm.project?.trim() && dateValid && reservationForm.user?.trim();
@@ -481,6 +773,7 @@ export const ReservationModal = memo(function ReservationModal({
     reservationForm.start && reservationForm.end && reservationForm.end < reservationForm.start;
 
   const canSave = valid && (!hasAnyConflicts || acknowledgedConflicts);
+  const repeatsUntil = reservationForm.recurrence?.until !== undefined;
 
   const handleSave = useCallback(() => {
     setTouched({
@@ -549,10 +842,16 @@ export const ReservationModal = memo(function ReservationModal({
               onAddItem={handleAddItem}
               dateRange={
                 reservationForm.start && reservationForm.end
-                  ? { start: reservationForm.start, end: reservationForm.end }
+                  ? {
+                      start: reservationForm.start,
+                      end: reservationForm.end,
+                      startTime: reservationForm.startTime,
+                      endTime: reservationForm.endTime,
+                    }
                   : null
               }
               excludeReservationId={isEdit ? editingReservationId : null}
+              categorySettings={categorySettings}
             />
           )}
 
@@ -586,6 +885,12 @@ export const ReservationModal = memo(function ReservationModal({
                   // (validation still requires at least one item to save)
                   onRemove={item ? null : handleRemoveItem}
                   conflicts={itemConflicts[selectedItem.id]}
+                  quantity={reservationForm.quantities?.[selectedItem.id] || 1}
+                  onQuantityChange={
+                    isQuantityTracked(selectedItem, categorySettings) ? handleQuantityChange : null
+                  }
+                  substitutes={itemSubstitutes[selectedItem.id]}
+                  onSwap={item ? null : handleSwapItem}
                 />
               ))}
             </div>
@@ -639,7 +944,7 @@ export const ReservationModal = memo(function ReservationModal({
               }}
             >
               One or more selected items have scheduling conflicts for the selected dates. You can
-              still proceed if needed.
+              still proceed if needed — booked items are reserved anyway.
             </p>
             <label
               style={{
@@ -716,6 +1021,31 @@ export const ReservationModal = memo(function ReservationModal({
           </div>
         </div>
 
+        {!isEdit && (
+          <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+            <div>
+              <label style={styles.label}>Reserve As</label>
+              <Select
+                value={reservationForm.status || RESERVATION_STATUS.CONFIRMED}
+                onChange={(e) => handleChange('status', e.target.value)}
+                options={STAGE_OPTIONS}
+                aria-label="Reserve as"
+              />
+            </div>
+            {reservationForm.status === RESERVATION_STATUS.HOLD && (
+              <div>
+                <label style={styles.label}>Hold For</label>
+                <Select
+                  value={String(reservationForm.holdHours ?? HOLD_DEFAULT_HOURS)}
+                  onChange={(e) => handleChange('holdHours', Number(e.target.value))}
+                  options={HOLD_DURATION_OPTIONS}
+                  aria-label="Hold for"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
           <div>
             <label style={{ ...styles.label, color: showStartError ? colors.danger : undefined }}>
@@ -766,6 +1096,177 @@ export const ReservationModal = memo(function ReservationModal({
           </div>
         </div>
 
+        {/* Optional hours — without them the booking holds whole days */}
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+          <div>
+            <label style={styles.label}>Pickup Time (Optional)</label>
+            <input
+              type="time"
+              value={reservationForm.startTime || ''}
+              onChange={(e) => handleChange('startTime', e.target.value)}
+              aria-label="Pickup time"
+              style={styles.input}
+            />
+          </div>
+          <div>
+            <label style={{ ...styles.label, color: timeError ? colors.danger : undefined }}>
+              Return Time (Optional)
+            </label>
+            <input
+              type="time"
+              value={reservationForm.endTime || ''}
+              onChange={(e) => handleChange('endTime', e.target.value)}
+              aria-label="Return time"
+              style={getInputStyle(timeError, false)}
+            />
+            {timeError && (
+              <p
+                style={{
+                  color: colors.danger,
+                  fontSize: typography.fontSize.xs,
+                  margin: `${spacing[1]}px 0 0`,
+                }}
+              >
+                Return time must be after pickup time
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Repeating bookings: new ones pick a rule, series edits pick a reach */}
+        {!isEdit && (
+          <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+            <div>
+              <label style={styles.label}>Repeat</label>
+              <Select
+                value={reservationForm.recurrence?.frequency || ''}
+                onChange={(e) => handleRecurrenceChange({ frequency: e.target.value })}
+                options={REPEAT_OPTIONS}
+                aria-label="Repeat"
+              />
+            </div>
+            {reservationForm.recurrence?.frequency && (
+              <div>
+                <label style={styles.label}>Ends</label>
+                <div style={{ display: 'flex', gap: spacing[2] }}>
+                  <div style={{ flex: 1 }}>
+                    <Select
+                      value={repeatsUntil ? 'until' : 'count'}
+                      onChange={(e) =>
+                        handleRecurrenceChange(
+                          e.target.value === 'until'
+                            ? { until: reservationForm.end || '', count: undefined }
+                            : { until: undefined, count: REPEAT_DEFAULT_COUNT },
+                        )
+                      }
+                      options={REPEAT_END_OPTIONS}
+                      aria-label="Repeat ends"
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    {repeatsUntil ? (
+                      <DatePicker
+                        value={reservationForm.recurrence.until || ''}
+                        onChange={(e) => handleRecurrenceChange({ until: e.target.value })}
+                        min={reservationForm.start || undefined}
+                        placeholder="Last date"
+                        aria-label="Repeat until"
+                      />
+                    ) : (
+                      <input
+                        type="number"
+                        min={2}
+                        max={RECURRENCE_MAX_OCCURRENCES}
+                        value={reservationForm.recurrence.count || REPEAT_DEFAULT_COUNT}
+                        onChange={(e) =>
+                          handleRecurrenceChange({
+                            count: Math.min(
+                              RECURRENCE_MAX_OCCURRENCES,
+                              Math.max(2, parseInt(e.target.value, 10) || 2),
+                            ),
+                          })
+                        }
+                        aria-label="Number of dates"
+                        style={styles.input}
+                      />
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {isEdit && reservationForm.seriesId && (
+          <div style={{ marginBottom: spacing[3] }}>
+            <label style={styles.label}>Apply Changes To</label>
+            <Select
+              value={reservationForm.seriesScope || SERIES_EDIT_SCOPE.ONE}
+              onChange={(e) => handleChange('seriesScope', e.target.value)}
+              options={SERIES_SCOPE_OPTIONS}
+              aria-label="Apply changes to"
+            />
+          </div>
+        )}
+
+        {otherOccurrences.length > 0 && (
+          <div
+            style={{
+              marginBottom: spacing[3],
+              border: `1px solid ${colors.borderLight}`,
+              borderRadius: borderRadius.md,
+              padding: spacing[3],
+            }}
+          >
+            <div
+              style={{
+                fontSize: typography.fontSize.sm,
+                color: colors.textSecondary,
+                marginBottom: spacing[2],
+              }}
+            >
+              {isEdit ? 'Also moves' : 'Also books'} {otherOccurrences.length}{' '}
+              {otherOccurrences.length === 1 ? 'date' : 'dates'}
+            </div>
+            <ul
+              aria-label="Series dates"
+              style={{
+                listStyle: 'none',
+                margin: 0,
+                padding: 0,
+                maxHeight: 160,
+                overflowY: 'auto',
+              }}
+            >
+              {otherOccurrences.map((occurrence) => (
+                <li
+                  key={occurrence.groupId || occurrence.start}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: spacing[2],
+                    fontSize: typography.fontSize.xs,
+                    padding: `${spacing[1]}px 0`,
+                  }}
+                >
+                  <span style={{ color: colors.textPrimary }}>
+                    {occurrence.start === occurrence.end
+                      ? formatDate(occurrence.start)
+                      : `${formatDate(occurrence.start)} – ${formatDate(occurrence.end)}`}
+                  </span>
+                  {occurrence.conflicted.length > 0 ? (
+                    <span style={{ color: colors.warning }}>
+                      Booked: {occurrence.conflicted.map((i) => i.name).join(', ')}
+                    </span>
+                  ) : (
+                    <span style={{ color: colors.success }}>Free</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div style={{ marginBottom: spacing[3] }}>
           <label style={{ ...styles.label, color: showUserError ? colors.danger : undefined }}>
             Reserved By <span style={{ color: colors.danger }}>*</span>
@@ -858,6 +1359,9 @@ const reservationFormShape = PropTypes.shape({
   projectType: PropTypes.string,
   start: PropTypes.string,
   end: PropTypes.string,
+  /** Optional 'HH:MM' pickup and return times */
+  startTime: PropTypes.string,
+  endTime: PropTypes.string,
   user: PropTypes.string,
   clientId: PropTypes.string,
   contactPhone: PropTypes.string,
@@ -865,6 +1369,21 @@ const reservationFormShape = PropTypes.shape({
   location: PropTypes.string,
   itemId: PropTypes.string,
   itemIds: PropTypes.arrayOf(PropTypes.string),
+  /** Units per pooled item id; absent means 1 */
+  quantities: PropTypes.objectOf(PropTypes.number),
+  /** Starting stage for a new reservation: quote, hold or confirmed */
+  status: PropTypes.string,
+  /** Hours a hold lasts before it lapses; 0 holds until confirmed */
+  holdHours: PropTypes.number,
+  /** Repeat rule for a new booking: frequency plus count or until */
+  recurrence: PropTypes.shape({
+    frequency: PropTypes.string,
+    count: PropTypes.number,
+    until: PropTypes.string,
+  }),
+  /** Set when the reservation being edited belongs to a series */
+  seriesId: PropTypes.string,
+  seriesScope: PropTypes.oneOf(Object.values(SERIES_EDIT_SCOPE)),
 });
 
 const clientShape = PropTypes.shape({
@@ -882,6 +1401,8 @@ const itemShape = PropTypes.shape({
   category: PropTypes.string,
   image: PropTypes.string,
   status: PropTypes.string,
+  quantity: PropTypes.number,
+  quantityOut: PropTypes.number,
   reservations: PropTypes.array,
 });
 
@@ -895,4 +1416,15 @@ ReservationModal.propTypes = {
   inventory: PropTypes.arrayOf(itemShape),
   item: itemShape,
   editingReservationId: PropTypes.string,
+  /** Decides which items are pooled and reserve by unit count */
+  categorySettings: PropTypes.object,
+  /** Spec definitions by category; key specs decide who can stand in */
+  specs: PropTypes.object,
+  equivalenceGroups: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      itemIds: PropTypes.arrayOf(PropTypes.string),
+    }),
+  ),
 };
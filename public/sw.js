@@ -10,6 +10,11 @@
 //   /sw.js                       → Controlled by browser + Vercel headers (max-age=0)
 //   Supabase / external API      → NETWORK ONLY (real-time data, never cache)
 //
+// Offline data is deliberately NOT this worker's job: the app keeps its own
+// inventory snapshot and outbox of queued checkouts (lib/offlineStore.js),
+// where it can replay them with conflict checks. Caching API responses here
+// would serve stale rows as if they were live.
+//
 // On new deploys, Vite produces new hashed filenames. The browser fetches a
 // fresh sw.js (max-age=0 in vercel.json), sees the new BUILD_ID, installs the
 // new SW which creates new caches and purges old ones on activate.
@@ -0,0 +1,141 @@
+// =============================================================================
+// Signed checkout agreement as an email attachment
+//
+// send-email attaches the agreement to a checkout confirmation when the app
+// passes meta.agreementId. This renders the stored row — snake_case, as the
+// service-role client returns it — to a standalone HTML page, the same
+// content the app prints from components/AgreementDocument.jsx. Every stored
+// value is escaped; the signature must be a PNG data URL (the table's CHECK
+// says so too) before it goes into an <img>. Pure, Deno-free and import-free
+// (utils.ts pulls in the Supabase client) so vitest loads it directly.
+// =============================================================================
+
+export type AgreementLine = {
+  id: string;
+  name?: string | null;
+  serialNumber?: string | null;
+  value?: number | null;
+  quantity?: number | null;
+  condition?: string | null;
+};
+
+export type AgreementRow = {
+  id: string;
+  kind: string;
+  signer_name: string;
+  client_name?: string | null;
+  project?: string | null;
+  due_back?: string | null;
+  items?: AgreementLine[] | null;
+  terms: string;
+  signature: string;
+  signed_at: string;
+  created_by?: string | null;
+  created_by_name?: string | null;
+};
+
+const SIGNATURE_RE = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+
+const escapeHtml = (value: string) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/** "August 25, 2026"; date-only values at noon so no timezone slips a day */
+const formatDate = (value: string) => {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T12:00:00` : value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const money = (amount: number) =>
+  '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const units = (line: AgreementLine) => Number(line.quantity) || 1;
+
+/** Total replacement value; unvalued lines count as nothing */
+export function agreementTotal(lines: AgreementLine[]): number {
+  return lines.reduce((sum, line) => sum + (Number(line.value) || 0) * units(line), 0);
+}
+
+/** Attachment file name: agreement-<signed date>.html */
+export function agreementFilename(row: AgreementRow): string {
+  return `agreement-${String(row.signed_at || '').slice(0, 10) || 'signed'}.html`;
+}
+
+/**
+ * Whether this caller may have the agreement attached: the service role, or
+ * the operator who took the signature. Stops a signed-in user mailing
+ * someone else's agreement by guessing an id.
+ */
+export function mayAttachAgreement(
+  row: AgreementRow | null,
+  callerId: string | undefined,
+  isService: boolean,
+): boolean {
+  if (!row || row.kind !== 'checkout') return false;
+  return isService || (!!callerId && row.created_by === callerId);
+}
+
+export function renderAgreementHtml(row: AgreementRow, companyName: string): string {
+  const e = (value: unknown) => escapeHtml(value == null ? '' : String(value));
+  const lines = row.items || [];
+  const details = [
+    ['Borrower', row.signer_name],
+    ['Client', row.client_name],
+    ['Project', row.project],
+    ['Due back', row.due_back ? formatDate(row.due_back) : null],
+    ['Signed', formatDate(row.signed_at)],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<div><span class="muted">${e(label)}:</span> ${e(value)}</div>`)
+    .join('');
+
+  const rows = lines
+    .map(
+      (line) => `<tr>
+<td>${e(line.name || line.id)}<div class="muted small">${e(line.id)}</div></td>
+<td>${e(line.serialNumber || '—')}</td>
+<td>${e(line.condition || '—')}</td>
+<td class="num">${units(line)}</td>
+<td class="num">${line.value == null ? '<span class="muted">Not recorded</span>' : money(Number(line.value) * units(line))}</td>
+</tr>`,
+    )
+    .join('');
+
+  const signature = SIGNATURE_RE.test(row.signature)
+    ? `<img src="${row.signature}" alt="Signature of ${e(row.signer_name)}" style="width:320px;max-width:100%">`
+    : '';
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>${e(companyName)} — Checkout Agreement</title>
+<style>
+body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#111;margin:32px;font-size:14px}
+table{width:100%;border-collapse:collapse;margin:16px 0}
+th,td{padding:8px;border-bottom:1px solid #ddd;text-align:left;vertical-align:top}
+.num{text-align:right}.muted{color:#666}.small{font-size:12px}
+.sig{margin-top:24px;width:320px;max-width:100%;border-top:1px solid #111;padding-top:4px}
+</style></head><body>
+<h2>${e(companyName)} — Equipment Checkout Agreement</h2>
+${details}
+<table><thead><tr><th>Item</th><th>Serial</th><th>Condition</th><th class="num">Qty</th><th class="num">Replacement value</th></tr></thead>
+<tbody>${rows}</tbody>
+<tfoot><tr><th colspan="4">Total replacement value</th><th class="num">${money(agreementTotal(lines))}</th></tr></tfoot></table>
+<p style="white-space:pre-wrap">${e(row.terms)}</p>
+${signature}
+<div class="sig">${e(row.signer_name)}</div>
+</body></html>`;
+}
+
+/** UTF-8 text → base64, in chunks so a large signature never overflows the call stack */
+export function toBase64(text: string): string {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
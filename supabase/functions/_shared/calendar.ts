@@ -0,0 +1,284 @@
+// =============================================================================
+// Calendar feeds — reservations, due-backs and maintenance as iCalendar
+//
+// The calendar-feed function turns database rows into VEVENTs here. Pure, so
+// vitest covers it next to the notification rules.
+//
+// UIDs are stable per reservation group, checkout and maintenance record,
+// and SEQUENCE follows the rows' updated_at: a moved reservation updates the
+// event it already made instead of adding a second one. A cancelled group
+// stays in the feed as STATUS:CANCELLED so subscribed calendars drop it;
+// rows that are gone simply disappear on the next refresh.
+// =============================================================================
+
+export const ICS_PRODID = '-//SIMS//Calendar Feed//EN';
+const UID_DOMAIN = 'sims.calendar';
+
+// Past events stay in the feed this long — enough for "when did that go out"
+export const FEED_LOOKBACK_DAYS = 90;
+
+export type CalendarEvent = {
+  uid: string;
+  summary: string;
+  description?: string;
+  location?: string | null;
+  /** YYYY-MM-DD, with an optional HH:MM for timed events */
+  start: { date: string; time?: string | null };
+  end: { date: string; time?: string | null };
+  status: 'CONFIRMED' | 'TENTATIVE' | 'CANCELLED';
+  sequence: number;
+  /** ISO timestamp of the last change */
+  stamp: string;
+};
+
+type ReservationRow = {
+  id: string;
+  group_id?: string | null;
+  item_id: string;
+  project?: string | null;
+  start_date: string;
+  end_date: string;
+  start_time?: string | null;
+  end_time?: string | null;
+  status?: string | null;
+  location?: string | null;
+  quantity?: number | null;
+  updated_at?: string | null;
+};
+
+type CheckedOutItem = {
+  id: string;
+  name?: string | null;
+  due_back: string;
+  checked_out_date?: string | null;
+  updated_at?: string | null;
+};
+
+type QuantityCheckout = {
+  id: string;
+  item_id: string;
+  quantity: number;
+  due_back: string;
+  updated_at?: string | null;
+};
+
+type MaintenanceRecord = {
+  id: string;
+  item_id: string;
+  type?: string | null;
+  description?: string | null;
+  status?: string | null;
+  scheduled_date: string;
+  updated_at?: string | null;
+};
+
+const STAGE_PREFIX: Record<string, string> = { quote: 'Quote', hold: 'Hold' };
+const BOOKED = ['confirmed', 'out', 'returned'];
+
+/** Escape a TEXT value (RFC 5545 §3.3.11) */
+export function escapeIcsText(value: unknown): string {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets, never inside a multi-byte character */
+export function foldIcsLine(line: string): string {
+  const encoder = new TextEncoder();
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = (date: string) => date.slice(0, 10).replace(/-/g, '');
+
+function nextDay(date: string): string {
+  const [y, m, d] = date.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/** UTC DATE-TIME for DTSTAMP / LAST-MODIFIED */
+function utcStamp(iso: string): string {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Times of day are the studio's wall clock — floating, no zone
+const localDateTime = (date: string, time: string) =>
+  `${compactDate(date)}T${time.slice(0, 5).replace(':', '')}00`;
+
+const latest = (stamps: (string | null | undefined)[]) =>
+  stamps.filter(Boolean).sort().pop() || new Date(0).toISOString();
+
+// Whole seconds, so any later edit gives a higher SEQUENCE
+const sequenceOf = (stamp: string) => Math.max(0, Math.floor(new Date(stamp).getTime() / 1000));
+
+const nameOf = (itemId: string, itemNames: Record<string, string>) => itemNames[itemId] || itemId;
+
+/**
+ * One event per reservation group (rows sharing group_id; a legacy row
+ * without one is its own group).
+ */
+export function reservationEvents(
+  rows: ReservationRow[],
+  itemNames: Record<string, string> = {},
+): CalendarEvent[] {
+  const groups = new Map<string, ReservationRow[]>();
+  for (const row of rows || []) {
+    const key = row.group_id || row.id;
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+
+  return [...groups.entries()].map(([key, all]) => {
+    const live = all.filter((r) => r.status !== 'cancelled');
+    const shown = live.length ? live : all;
+    const first = shown.reduce((a, b) => (b.start_date < a.start_date ? b : a));
+    const last = shown.reduce((a, b) => (b.end_date > a.end_date ? b : a));
+    const booked = live.some((r) => BOOKED.includes(r.status || 'confirmed'));
+    const prefix = !booked && live.length ? STAGE_PREFIX[live[0].status || ''] : null;
+    const project = first.project || 'Reservation';
+    const items = shown.map((r) => {
+      const quantity = Number(r.quantity) || 1;
+      return quantity > 1
+        ? `${quantity} × ${nameOf(r.item_id, itemNames)}`
+        : nameOf(r.item_id, itemNames);
+    });
+    const timed = Boolean(first.start_time || last.end_time);
+    const stamp = latest(all.map((r) => r.updated_at));
+
+    return {
+      uid: `reservation-${key}@${UID_DOMAIN}`,
+      summary: prefix ? `${prefix}: ${project}` : project,
+      description: `Items: ${items.join(', ')}`,
+      location: first.location || null,
+      start: { date: first.start_date, time: timed ? first.start_time || '00:00' : null },
+      end: { date: last.end_date, time: timed ? last.end_time || '23:59' : null },
+      status: !live.length ? 'CANCELLED' : booked ? 'CONFIRMED' : 'TENTATIVE',
+      sequence: sequenceOf(stamp),
+      stamp,
+    };
+  });
+}
+
+/** An all-day event on the due date of everything still out */
+export function dueBackEvents(
+  items: CheckedOutItem[],
+  quantityCheckouts: QuantityCheckout[] = [],
+  itemNames: Record<string, string> = {},
+): CalendarEvent[] {
+  const event = (uid: string, summary: string, date: string, updatedAt?: string | null) => {
+    const stamp = latest([updatedAt]);
+    return {
+      uid: `${uid}@${UID_DOMAIN}`,
+      summary,
+      start: { date },
+      end: { date },
+      status: 'CONFIRMED' as const,
+      sequence: sequenceOf(stamp),
+      stamp,
+    };
+  };
+  return [
+    ...(items || [])
+      .filter((i) => i.due_back)
+      .map((i) =>
+        event(
+          `due-${i.id}-${i.checked_out_date || 'out'}`,
+          `Due back: ${i.name || nameOf(i.id, itemNames)}`,
+          i.due_back,
+          i.updated_at,
+        ),
+      ),
+    ...(quantityCheckouts || [])
+      .filter((q) => q.due_back)
+      .map((q) =>
+        event(
+          `due-units-${q.id}`,
+          `Due back: ${q.quantity} × ${nameOf(q.item_id, itemNames)}`,
+          q.due_back,
+          q.updated_at,
+        ),
+      ),
+  ];
+}
+
+/** Scheduled maintenance, all-day on its scheduled date */
+export function maintenanceEvents(
+  records: MaintenanceRecord[],
+  itemNames: Record<string, string> = {},
+): CalendarEvent[] {
+  return (records || [])
+    .filter((m) => m.scheduled_date)
+    .map((m) => {
+      const stamp = latest([m.updated_at]);
+      return {
+        uid: `maintenance-${m.id}@${UID_DOMAIN}`,
+        summary: `${m.type || 'Maintenance'}: ${nameOf(m.item_id, itemNames)}`,
+        description: m.description || undefined,
+        start: { date: m.scheduled_date },
+        end: { date: m.scheduled_date },
+        status: m.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        sequence: sequenceOf(stamp),
+        stamp,
+      };
+    });
+}
+
+function eventLines(event: CalendarEvent): string[] {
+  const timed = Boolean(event.start.time);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${utcStamp(event.stamp)}`,
+    `LAST-MODIFIED:${utcStamp(event.stamp)}`,
+    `SEQUENCE:${event.sequence}`,
+    timed
+      ? `DTSTART:${localDateTime(event.start.date, event.start.time as string)}`
+      : `DTSTART;VALUE=DATE:${compactDate(event.start.date)}`,
+    // All-day DTEND is exclusive: the day after the last one
+    timed
+      ? `DTEND:${localDateTime(event.end.date, event.end.time as string)}`
+      : `DTEND;VALUE=DATE:${compactDate(nextDay(event.end.date))}`,
+    `SUMMARY:${escapeIcsText(event.summary)}`,
+    `STATUS:${event.status}`,
+    'TRANSP:TRANSPARENT',
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/** The whole VCALENDAR, CRLF line endings and folded */
+export function buildCalendar({ name, events }: { name: string; events: CalendarEvent[] }): string {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    // Ask subscribing clients to refresh hourly (most poll on their own timer)
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...[...events]
+      .sort((a, b) => a.start.date.localeCompare(b.start.date) || a.uid.localeCompare(b.uid))
+      .flatMap(eventLines),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
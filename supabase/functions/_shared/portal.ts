@@ -0,0 +1,215 @@
+// =============================================================================
+// Client portal rules — what the public request page may see and submit
+//
+// The client-portal function loads rows with the service role and hands
+// them here. Pure, so vitest covers it next to the other shared modules.
+//
+// Availability follows the reservation lifecycle: only confirmed and out
+// rows block dates (quotes and holds — other clients' requests included —
+// don't), gear that is missing or needs attention is never offered, and a
+// serialized item checked out past the requested start is busy.
+// =============================================================================
+
+// A request spans at most this many days and this many lines
+export const PORTAL_MAX_DAYS = 90;
+export const PORTAL_MAX_LINES = 50;
+
+const BLOCKING = ['confirmed', 'out'];
+const NEVER_OFFERED = ['missing', 'needs-attention'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+type InventoryRow = {
+  id: string;
+  status?: string | null;
+  quantity?: number | null;
+  due_back?: string | null;
+};
+
+type ReservationRow = {
+  item_id: string;
+  start_date: string;
+  end_date: string;
+  status?: string | null;
+  quantity?: number | null;
+};
+
+type PackageRow = { id: string; items: { itemId: string; quantity: number }[] };
+
+export type PortalLine = { type: 'item' | 'package'; id: string; quantity: number };
+
+export type PortalRequest = {
+  start: string;
+  end: string;
+  project: string;
+  contactName: string;
+  contactEmail: string;
+  contactPhone: string | null;
+  notes: string | null;
+  lines: PortalLine[];
+};
+
+const daysBetween = (a: string, b: string) =>
+  Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+const text = (value: unknown, max: number) =>
+  typeof value === 'string' ? value.trim().slice(0, max) : '';
+
+/** Whether a link can still be used */
+export function linkUsable(link: { expires_at?: string | null } | null, now = new Date()) {
+  return Boolean(link) && (!link?.expires_at || new Date(link.expires_at) > now);
+}
+
+/**
+ * Check and normalize a submitted request.
+ * @returns {{ value?: PortalRequest, error?: string }}
+ */
+export function validatePortalRequest(
+  body: Record<string, unknown>,
+  today: string,
+): { value?: PortalRequest; error?: string } {
+  const start = text(body?.start, 10);
+  const end = text(body?.end, 10);
+  if (!DATE_RE.test(start) || !DATE_RE.test(end)) return { error: 'Pick a start and end date' };
+  if (start < today) return { error: 'The start date has already passed' };
+  if (end < start) return { error: 'The end date is before the start date' };
+  if (daysBetween(start, end) >= PORTAL_MAX_DAYS) {
+    return { error: `Requests can cover at most ${PORTAL_MAX_DAYS} days` };
+  }
+
+  const project = text(body?.project, 255);
+  const contactName = text(body?.contactName, 255);
+  const contactEmail = text(body?.contactEmail, 255);
+  if (!project) return { error: 'Give the job a name' };
+  if (!contactName) return { error: 'Tell us who to contact' };
+  if (!EMAIL_RE.test(contactEmail)) return { error: 'Enter a valid email address' };
+
+  const merged = new Map<string, PortalLine>();
+  for (const raw of Array.isArray(body?.lines) ? body.lines : []) {
+    const line = raw as Record<string, unknown>;
+    const type = line?.type === 'package' ? 'package' : line?.type === 'item' ? 'item' : null;
+    const id = text(line?.id, 50);
+    const quantity = Math.floor(Number(line?.quantity) || 1);
+    if (!type || !id || quantity < 1) return { error: 'The request has an unreadable line' };
+    const key = `${type}:${id}`;
+    const prev = merged.get(key);
+    merged.set(key, { type, id, quantity: (prev?.quantity || 0) + quantity });
+  }
+  const lines = [...merged.values()];
+  if (!lines.length) return { error: 'Add at least one item or package' };
+  if (lines.length > PORTAL_MAX_LINES) {
+    return { error: `Requests can have at most ${PORTAL_MAX_LINES} lines` };
+  }
+
+  return {
+    value: {
+      start,
+      end,
+      project,
+      contactName,
+      contactEmail,
+      contactPhone: text(body?.contactPhone, 50) || null,
+      notes: text(body?.notes, 2000) || null,
+      lines,
+    },
+  };
+}
+
+/**
+ * Units of each item free for the whole of start..end.
+ * @param trackedIds - items whose category tracks quantity (the rest are one unit)
+ */
+export function availableUnits({
+  items,
+  reservations,
+  trackedIds,
+  start,
+  end,
+}: {
+  items: InventoryRow[];
+  reservations: ReservationRow[];
+  trackedIds: Set<string>;
+  start: string;
+  end: string;
+}): Map<string, number> {
+  const booked = new Map<string, number>();
+  for (const r of reservations || []) {
+    if (!BLOCKING.includes(r.status || 'confirmed')) continue;
+    if (r.start_date > end || r.end_date < start) continue;
+    booked.set(r.item_id, (booked.get(r.item_id) || 0) + (Number(r.quantity) || 1));
+  }
+
+  const free = new Map<string, number>();
+  for (const item of items || []) {
+    if (NEVER_OFFERED.includes(item.status || '')) {
+      free.set(item.id, 0);
+    } else if (trackedIds.has(item.id)) {
+      free.set(item.id, Math.max((Number(item.quantity) || 0) - (booked.get(item.id) || 0), 0));
+    } else {
+      // Out with someone and not due back before the job starts
+      const stillOut =
+        item.status === 'checked-out' && (!item.due_back || item.due_back >= start);
+      free.set(item.id, stillOut || booked.has(item.id) ? 0 : 1);
+    }
+  }
+  return free;
+}
+
+/**
+ * Turn request lines into units per item, packages expanded. Only catalog
+ * entries may be requested; anything else comes back in `refused`.
+ */
+export function expandLines(
+  lines: PortalLine[],
+  {
+    catalogItemIds,
+    packages,
+  }: { catalogItemIds: Set<string>; packages: PackageRow[] },
+): { units: Map<string, number>; refused: string[] } {
+  const units = new Map<string, number>();
+  const refused: string[] = [];
+  const add = (itemId: string, quantity: number) =>
+    units.set(itemId, (units.get(itemId) || 0) + quantity);
+
+  for (const line of lines) {
+    if (line.type === 'item') {
+      if (catalogItemIds.has(line.id)) add(line.id, line.quantity);
+      else refused.push(line.id);
+      continue;
+    }
+    const pkg = packages.find((p) => p.id === line.id);
+    if (!pkg) {
+      refused.push(line.id);
+      continue;
+    }
+    pkg.items.forEach((entry) => add(entry.itemId, entry.quantity * line.quantity));
+  }
+  return { units, refused };
+}
+
+/** Items a request needs more of than is free, with how many are free */
+export function shortfalls(units: Map<string, number>, free: Map<string, number>) {
+  return [...units.entries()]
+    .filter(([itemId, wanted]) => (free.get(itemId) || 0) < wanted)
+    .map(([itemId, wanted]) => ({ itemId, wanted, free: free.get(itemId) || 0 }));
+}
+
+/**
+ * The specs worth showing a client: the category's substitute-key fields
+ * first (mount, sensor size...), then the rest in order, filled ones only.
+ */
+export function keySpecs(
+  values: Record<string, unknown> | null | undefined,
+  categorySpecs: { name: string; substitute_key?: boolean | null; sort_order?: number | null }[],
+  limit = 4,
+): { name: string; value: string }[] {
+  const ordered = [...(categorySpecs || [])].sort(
+    (a, b) =>
+      Number(Boolean(b.substitute_key)) - Number(Boolean(a.substitute_key)) ||
+      (a.sort_order ?? 0) - (b.sort_order ?? 0),
+  );
+  return ordered
+    .map((spec) => ({ name: spec.name, value: String(values?.[spec.name] ?? '').trim() }))
+    .filter((spec) => spec.value)
+    .slice(0, limit);
+}
@@ -0,0 +1,207 @@
+// =============================================================================
+// Calendar Feed Edge Function
+//
+// Serves reservations, due-backs and scheduled maintenance as iCalendar.
+//
+//   GET  ?token=<feed token>   subscription URL for Google / Outlook / Apple.
+//                              No sign-in — the token from calendar_feeds is
+//                              the credential, so verify_jwt = false.
+//   POST { clientId?, includeMaintenance? }
+//                              one-off .ics download from the app; needs the
+//                              caller's session, checked here with
+//                              auth.getUser since the gateway doesn't.
+//
+// Either way the feed owner's role is read fresh: a client feed only has
+// events while the owner can still see clients, and maintenance only while
+// they can edit gear. Event building lives in _shared/calendar.ts.
+// =============================================================================
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders, errorResponse } from '../_shared/utils.ts';
+import {
+  FEED_LOOKBACK_DAYS,
+  buildCalendar,
+  dueBackEvents,
+  maintenanceEvents,
+  reservationEvents,
+  type CalendarEvent,
+} from '../_shared/calendar.ts';
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+// Client ids are CL and digits (CL001 seeded, CL<timestamp> created); the id
+// also names the download, so nothing else reaches the header
+const CLIENT_ID_PATTERN = /^CL\d{1,18}$/;
+
+type FeedScope = { ownerId: string; clientId: string | null; includeMaintenance: boolean };
+type Supabase = ReturnType<typeof createClient>;
+
+const canSee = (level?: string) => level === 'view' || level === 'edit';
+
+type FeedResult = { status: number; body?: string; error?: string };
+
+async function buildFeed(
+  supabase: Supabase,
+  scope: FeedScope,
+  strict: boolean,
+): Promise<FeedResult> {
+  const { data: owner } = await supabase
+    .from('users')
+    .select('name, roles ( permissions )')
+    .eq('id', scope.ownerId)
+    .maybeSingle();
+  const perms =
+    (owner as { roles?: { permissions?: Record<string, string> } } | null)?.roles?.permissions ||
+    {};
+
+  if (scope.clientId && !canSee(perms.clients)) {
+    if (strict) return { status: 403, error: 'Client calendars require clients access' };
+    return { status: 200, body: buildCalendar({ name: 'SIMS', events: [] }) };
+  }
+
+  const since = new Date(Date.now() - FEED_LOOKBACK_DAYS * 86400000).toISOString().slice(0, 10);
+
+  let reservations = supabase
+    .from('reservations')
+    .select(
+      'id, group_id, item_id, project, start_date, end_date, start_time, end_time, status, location, quantity, updated_at',
+    )
+    .gte('end_date', since);
+  reservations = scope.clientId
+    ? reservations.eq('client_id', scope.clientId)
+    : reservations.eq('created_by_id', scope.ownerId);
+
+  let checkedOut = supabase
+    .from('inventory')
+    .select('id, name, due_back, checked_out_date, updated_at')
+    .eq('status', 'checked-out')
+    .not('due_back', 'is', null);
+  checkedOut = scope.clientId
+    ? checkedOut.eq('checkout_client_id', scope.clientId)
+    : checkedOut.eq('checked_out_to_user_id', scope.ownerId);
+
+  let units = supabase
+    .from('quantity_checkouts')
+    .select('id, item_id, quantity, due_back, updated_at')
+    .not('due_back', 'is', null);
+  units = scope.clientId
+    ? units.eq('client_id', scope.clientId)
+    : units.eq('user_id', scope.ownerId);
+
+  const withMaintenance = scope.includeMaintenance && perms.gear_list === 'edit';
+  const [resResult, outResult, unitResult, maintResult, clientResult] = await Promise.all([
+    reservations,
+    checkedOut,
+    units,
+    withMaintenance
+      ? supabase
+          .from('maintenance_records')
+          .select('id, item_id, type, description, status, scheduled_date, updated_at')
+          .not('scheduled_date', 'is', null)
+          .gte('scheduled_date', since)
+          .in('status', ['scheduled', 'in-progress', 'cancelled'])
+      : Promise.resolve({ data: [], error: null }),
+    scope.clientId
+      ? supabase.from('clients').select('name').eq('id', scope.clientId).maybeSingle()
+      : Promise.resolve({ data: null, error: null }),
+  ]);
+  const failed = [resResult, outResult, unitResult, maintResult].find((r) => r.error);
+  if (failed) throw failed.error;
+
+  // One lookup for every item name the events mention
+  const itemIds = [
+    ...new Set([
+      ...(resResult.data || []).map((r: { item_id: string }) => r.item_id),
+      ...(unitResult.data || []).map((q: { item_id: string }) => q.item_id),
+      ...(maintResult.data || []).map((m: { item_id: string }) => m.item_id),
+    ]),
+  ];
+  const itemNames: Record<string, string> = {};
+  if (itemIds.length) {
+    const { data: items } = await supabase.from('inventory').select('id, name').in('id', itemIds);
+    (items || []).forEach((i: { id: string; name: string }) => (itemNames[i.id] = i.name));
+  }
+
+  const events: CalendarEvent[] = [
+    ...reservationEvents(resResult.data || [], itemNames),
+    ...dueBackEvents(outResult.data || [], unitResult.data || [], itemNames),
+    ...maintenanceEvents(maintResult.data || [], itemNames),
+  ];
+
+  const clientName = (clientResult.data as { name?: string } | null)?.name;
+  const ownerName = (owner as { name?: string } | null)?.name;
+  const name = clientName
+    ? `SIMS — ${clientName}`
+    : ownerName
+      ? `SIMS — ${ownerName}`
+      : 'SIMS';
+  return { status: 200, body: buildCalendar({ name, events }) };
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+      { auth: { autoRefreshToken: false, persistSession: false } },
+    );
+
+    let scope: FeedScope;
+    let strict = false;
+    let filename = 'sims.ics';
+
+    if (req.method === 'GET') {
+      const token = new URL(req.url).searchParams.get('token') || '';
+      if (!TOKEN_PATTERN.test(token)) return errorResponse('Not found', 404);
+
+      const { data: feed } = await supabase
+        .from('calendar_feeds')
+        .select('id, owner_id, client_id, include_maintenance')
+        .eq('token', token)
+        .maybeSingle();
+      if (!feed) return errorResponse('Not found', 404);
+
+      scope = {
+        ownerId: feed.owner_id,
+        clientId: feed.client_id,
+        includeMaintenance: feed.include_maintenance,
+      };
+      // Best effort — the settings screen shows when a calendar last synced
+      await supabase
+        .from('calendar_feeds')
+        .update({ last_fetched_at: new Date().toISOString() })
+        .eq('id', feed.id);
+    } else {
+      const jwt = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '');
+      const { data: auth } = jwt ? await supabase.auth.getUser(jwt) : { data: null };
+      if (!auth?.user) return errorResponse('Unauthorized', 401);
+
+      const { clientId = null, includeMaintenance = false } = await req.json().catch(() => ({}));
+      if (clientId !== null && !(typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId))) {
+        return errorResponse('Invalid client id', 400);
+      }
+      scope = { ownerId: auth.user.id, clientId, includeMaintenance: Boolean(includeMaintenance) };
+      strict = true;
+      filename = clientId ? `sims-${clientId}.ics` : 'sims.ics';
+    }
+
+    const result = await buildFeed(supabase, scope, strict);
+    if (result.error) return errorResponse(result.error, result.status);
+
+    return new Response(result.body, {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+      },
+    });
+  } catch (error) {
+    console.error('Error in calendar-feed:', error);
+    return errorResponse('Failed to build calendar', 500);
+  }
+});
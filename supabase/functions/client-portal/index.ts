@@ -0,0 +1,271 @@
+// =============================================================================
+// Client Portal Edge Function
+//
+// Backs the public request page (/portal/<token>) a client reaches from the
+// link staff send them.
+//
+//   GET  ?token=&start=&end=   the client's name and the curated catalog
+//                              (portal_catalog), with free units per item
+//                              when both dates are given
+//   POST { token, start, end, project, contact..., lines }
+//                              files the request as a hold on the client,
+//                              marked requested_via_portal
+//
+// verify_jwt = false: clients have no account. The 64-hex token in
+// client_portal_links is the credential, resolved here with the service
+// role; an unknown, revoked or expired token gets 404. Responses carry
+// only catalog data and free-unit counts — never anyone's reservations.
+// The rules themselves live in _shared/portal.ts.
+// =============================================================================
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/utils.ts';
+import {
+  availableUnits,
+  expandLines,
+  keySpecs,
+  linkUsable,
+  shortfalls,
+  validatePortalRequest,
+} from '../_shared/portal.ts';
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+type Supabase = ReturnType<typeof createClient>;
+type Row = Record<string, any>;
+
+async function resolveLink(supabase: Supabase, token: string) {
+  if (!TOKEN_PATTERN.test(token)) return null;
+  const { data: link } = await supabase
+    .from('client_portal_links')
+    .select('id, client_id, expires_at, clients ( name )')
+    .eq('token', token)
+    .maybeSingle();
+  return linkUsable(link) ? (link as Row) : null;
+}
+
+/** The curated catalog: offered items and packages with their contents */
+async function loadCatalog(supabase: Supabase) {
+  const { data: entries, error } = await supabase
+    .from('portal_catalog')
+    .select('item_id, package_id');
+  if (error) throw error;
+
+  const packageIds = (entries || []).map((e: Row) => e.package_id).filter(Boolean);
+  const { data: packageRows, error: packageError } = packageIds.length
+    ? await supabase
+        .from('packages')
+        .select('id, name, description, category_name, item_quantities, package_items ( item_id, sort_order )')
+        .in('id', packageIds)
+    : { data: [], error: null };
+  if (packageError) throw packageError;
+
+  const packages = (packageRows || []).map((p: Row) => ({
+    id: p.id,
+    name: p.name,
+    description: p.description || '',
+    category: p.category_name || '',
+    items: (p.package_items || [])
+      .sort((a: Row, b: Row) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+      .map((pi: Row) => ({
+        itemId: pi.item_id,
+        quantity: Math.max(Number(p.item_quantities?.[pi.item_id]) || 1, 1),
+      })),
+  }));
+
+  const catalogItemIds = new Set<string>(
+    (entries || []).map((e: Row) => e.item_id).filter(Boolean),
+  );
+  const itemIds = [
+    ...new Set([...catalogItemIds, ...packages.flatMap((p) => p.items.map((i) => i.itemId))]),
+  ];
+  const { data: items, error: itemError } = itemIds.length
+    ? await supabase
+        .from('inventory')
+        .select('id, name, brand, category_name, image, specs, status, quantity, due_back')
+        .in('id', itemIds)
+    : { data: [], error: null };
+  if (itemError) throw itemError;
+
+  const categories = [...new Set((items || []).map((i: Row) => i.category_name))];
+  const [{ data: categoryRows }, { data: specRows }] = categories.length
+    ? await Promise.all([
+        supabase.from('categories').select('name, track_quantity').in('name', categories),
+        supabase
+          .from('specs')
+          .select('category_name, name, substitute_key, sort_order')
+          .in('category_name', categories),
+      ])
+    : [{ data: [] }, { data: [] }];
+  const tracked = new Set(
+    (categoryRows || []).filter((c: Row) => c.track_quantity).map((c: Row) => c.name),
+  );
+  const trackedIds = new Set<string>(
+    (items || []).filter((i: Row) => tracked.has(i.category_name)).map((i: Row) => i.id),
+  );
+
+  return { catalogItemIds, packages, items: items || [], specRows: specRows || [], trackedIds };
+}
+
+async function loadAvailability(
+  supabase: Supabase,
+  catalog: Awaited<ReturnType<typeof loadCatalog>>,
+  start: string,
+  end: string,
+) {
+  const ids = catalog.items.map((i: Row) => i.id);
+  const { data: reservations, error } = ids.length
+    ? await supabase
+        .from('reservations')
+        .select('item_id, start_date, end_date, status, quantity')
+        .in('item_id', ids)
+        .in('status', ['confirmed', 'out'])
+        .lte('start_date', end)
+        .gte('end_date', start)
+    : { data: [], error: null };
+  if (error) throw error;
+  return availableUnits({
+    items: catalog.items,
+    reservations: reservations || [],
+    trackedIds: catalog.trackedIds,
+    start,
+    end,
+  });
+}
+
+async function handleCatalog(supabase: Supabase, link: Row, url: URL) {
+  const catalog = await loadCatalog(supabase);
+  const start = url.searchParams.get('start') || '';
+  const end = url.searchParams.get('end') || '';
+  const dated = DATE_RE.test(start) && DATE_RE.test(end) && start <= end;
+  const free = dated ? await loadAvailability(supabase, catalog, start, end) : null;
+
+  const itemById = new Map(catalog.items.map((i: Row) => [i.id, i]));
+  const describe = (item: Row) => ({
+    id: item.id,
+    name: item.name,
+    brand: item.brand || '',
+    category: item.category_name,
+    image: item.image || null,
+    specs: keySpecs(
+      item.specs,
+      catalog.specRows.filter((s: Row) => s.category_name === item.category_name),
+    ),
+    trackQuantity: catalog.trackedIds.has(item.id),
+    available: free ? free.get(item.id) || 0 : null,
+  });
+
+  return jsonResponse({
+    client: { name: link.clients?.name || '' },
+    expiresAt: link.expires_at,
+    items: catalog.items.filter((i: Row) => catalog.catalogItemIds.has(i.id)).map(describe),
+    packages: catalog.packages.map((p) => ({
+      ...p,
+      items: p.items.map((entry) => ({
+        ...entry,
+        name: itemById.get(entry.itemId)?.name || entry.itemId,
+      })),
+      // A package is free when every unit it holds is
+      available: free
+        ? p.items.every((entry) => (free.get(entry.itemId) || 0) >= entry.quantity)
+        : null,
+    })),
+  });
+}
+
+async function handleRequest(supabase: Supabase, link: Row, body: Row) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { value: request, error: invalid } = validatePortalRequest(body, today);
+  if (!request) return errorResponse(invalid || 'Invalid request');
+
+  const catalog = await loadCatalog(supabase);
+  const { units, refused } = expandLines(request.lines, catalog);
+  if (refused.length) return errorResponse('Some of the requested gear is no longer offered');
+
+  const free = await loadAvailability(supabase, catalog, request.start, request.end);
+  const short = shortfalls(units, free);
+  if (short.length) {
+    const names = new Map(catalog.items.map((i: Row) => [i.id, i.name]));
+    return jsonResponse(
+      {
+        error: 'Some of the gear is not available for those dates',
+        unavailable: short.map((s) => ({ ...s, name: names.get(s.itemId) || s.itemId })),
+      },
+      409,
+    );
+  }
+
+  const groupId = crypto.randomUUID();
+  const createdByName = `${request.contactName} (client portal)`;
+  const notes = request.notes
+    ? [
+        {
+          id: crypto.randomUUID(),
+          user: createdByName,
+          date: today,
+          text: request.notes,
+          replies: [],
+        },
+      ]
+    : [];
+  const rows = [...units.entries()].map(([itemId, quantity]) => ({
+    item_id: itemId,
+    client_id: link.client_id,
+    created_by_name: createdByName,
+    project: request.project,
+    start_date: request.start,
+    end_date: request.end,
+    contact_name: request.contactName,
+    contact_email: request.contactEmail,
+    contact_phone: request.contactPhone,
+    status: 'hold',
+    quantity,
+    notes,
+    group_id: groupId,
+    requested_via_portal: true,
+  }));
+
+  const { error } = await supabase.from('reservations').insert(rows);
+  if (error) throw error;
+
+  await supabase
+    .from('client_portal_links')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', link.id);
+
+  return jsonResponse({ success: true, groupId, items: rows.length });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+      { auth: { autoRefreshToken: false, persistSession: false } },
+    );
+
+    if (req.method === 'GET') {
+      const url = new URL(req.url);
+      const link = await resolveLink(supabase, url.searchParams.get('token') || '');
+      if (!link) return errorResponse('This request link is not valid any more', 404);
+      return await handleCatalog(supabase, link, url);
+    }
+
+    if (req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const link = await resolveLink(supabase, String(body?.token || ''));
+      if (!link) return errorResponse('This request link is not valid any more', 404);
+      return await handleRequest(supabase, link, body);
+    }
+
+    return errorResponse('Method not allowed', 405);
+  } catch (error) {
+    console.error('Error in client-portal:', error);
+    return errorResponse('Something went wrong — please try again', 500);
+  }
+});
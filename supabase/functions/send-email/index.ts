@@ -3,7 +3,8 @@
 // Renders a database template and sends it through Resend. Every send is
 // gated by the recipient's notification preferences (Settings → Notifications)
 // and recorded in notification_log — including failures, so the Email Log
-// page always explains what happened.
+// page always explains what happened. A checkout confirmation can carry the
+// signed checkout agreement as an HTML attachment (meta.agreementId).
 // =============================================================================
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
@@ -22,6 +23,12 @@ import {
   resolvePreferences,
   templateSkipReason,
 } from '../_shared/notificationRules.ts';
+import {
+  agreementFilename,
+  mayAttachAgreement,
+  renderAgreementHtml,
+  toBase64,
+} from '../_shared/agreement.ts';
 
 const DEFAULT_COMPANY = 'SIMS';
 
@@ -154,6 +161,25 @@ Deno.serve(async (req: Request) => {
       return jsonResponse({ success: true, skipped: true, reason: 'duplicate' });
     }
 
+    // -------------------------------------------------------------------------
+    // Signed agreement. Only the operator who took the signature (or the
+    // service role) can attach it; otherwise the email goes without it.
+    // -------------------------------------------------------------------------
+    let attachments: { filename: string; content: string }[] | undefined;
+    if (meta.agreementId && templateKey === 'checkout_confirmation') {
+      const { data: agreement } = await supabase
+        .from('checkout_agreements')
+        .select('*')
+        .eq('id', meta.agreementId)
+        .maybeSingle();
+      if (mayAttachAgreement(agreement, claims!.sub, isService)) {
+        const html = renderAgreementHtml(agreement, data.company_name);
+        attachments = [{ filename: agreementFilename(agreement), content: toBase64(html) }];
+      } else {
+        console.warn(`Agreement ${meta.agreementId} not attached (caller ${claims!.sub})`);
+      }
+    }
+
     const logBase = {
       user_id: recipientUserId,
       email: recipient,
@@ -195,7 +221,14 @@ Deno.serve(async (req: Request) => {
         Authorization: `Bearer ${resendApiKey}`,
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ from: fromEmail, to: [recipient], subject, html: htmlBody, text: textBody }),
+      body: JSON.stringify({
+        from: fromEmail,
+        to: [recipient],
+        subject,
+        html: htmlBody,
+        text: textBody,
+        attachments,
+      }),
     });
 
     const resendResult = await resendResponse.json().catch(() => ({}));
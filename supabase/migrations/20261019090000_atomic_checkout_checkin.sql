@@ -0,0 +1,138 @@
+-- ============================================================================
+-- Atomic check-out / check-in with double-booking protection
+--
+-- inventoryService.checkOut/checkIn used to run a plain UPDATE on inventory,
+-- then a separate (non-fatal) checkout_history insert and a fire-and-forget
+-- increment_checkout_count RPC. Nothing checked that the item was still
+-- available, so two operators at the cage could both check out the same
+-- camera, and a failed history insert silently lost the event.
+--
+-- checkout_item / checkin_item do all three writes in one transaction and
+-- lock the inventory row first. A stale operation (item already out, already
+-- returned, or gone) raises SQLSTATE PT409 — PostgREST answers it with HTTP
+-- 409 — with the item's CURRENT row as JSON in DETAIL, so the client can show
+-- who has it and patch its local copy instead of guessing.
+--
+-- SECURITY INVOKER: the existing inventory/checkout_history RLS still decides
+-- who may check gear out, exactly as the direct table writes did.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.checkout_item(
+  p_item_id VARCHAR,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_client_id VARCHAR DEFAULT NULL,
+  p_client_name VARCHAR DEFAULT NULL,
+  p_project VARCHAR DEFAULT NULL,
+  p_due_back DATE DEFAULT NULL,
+  p_checked_out_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+BEGIN
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  -- 'reserved' is checkout-able: that is how a reservation is picked up
+  IF v_item.status NOT IN ('available', 'reserved') THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked out', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  UPDATE inventory
+  SET status = 'checked-out',
+      checked_out_to_user_id = p_user_id,
+      checked_out_to_name = p_user_name,
+      checkout_client_id = p_client_id,
+      checked_out_date = COALESCE(p_checked_out_date, CURRENT_DATE),
+      due_back = p_due_back,
+      checkout_project = p_project,
+      checkout_count = COALESCE(checkout_count, 0) + 1
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, client_name, action, project)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), p_client_id, p_client_name,
+          'checkout', p_project)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object('item', to_jsonb(v_item), 'history', to_jsonb(v_history));
+END;
+$$;
+
+-- p_return_status lets the caller return the item to 'reserved' when a
+-- confirmed reservation covers today; damage always wins
+CREATE OR REPLACE FUNCTION public.checkin_item(
+  p_item_id VARCHAR,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_condition VARCHAR DEFAULT NULL,
+  p_damage_reported BOOLEAN DEFAULT false,
+  p_return_status VARCHAR DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+  v_client_id VARCHAR;
+BEGIN
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  IF v_item.status <> 'checked-out' THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked in', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  IF p_return_status IS NOT NULL AND p_return_status NOT IN ('available', 'reserved') THEN
+    RAISE EXCEPTION 'Invalid return status: %', p_return_status USING ERRCODE = '22023';
+  END IF;
+
+  -- Captured before the borrower fields are cleared
+  v_client_id := v_item.checkout_client_id;
+
+  UPDATE inventory
+  SET status = CASE
+        WHEN p_damage_reported THEN 'needs-attention'
+        ELSE COALESCE(p_return_status, 'available')
+      END,
+      condition = COALESCE(p_condition, condition),
+      checked_out_to_user_id = NULL,
+      checked_out_to_name = NULL,
+      checkout_client_id = NULL,
+      checked_out_date = NULL,
+      due_back = NULL,
+      checkout_project = NULL
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes,
+                                condition_at_action)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_client_id, 'checkin',
+          p_notes, p_condition)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object('item', to_jsonb(v_item), 'history', to_jsonb(v_history));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.checkout_item(character varying, uuid, character varying, character varying, character varying, character varying, date, date) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION public.checkin_item(character varying, uuid, character varying, text, character varying, boolean, character varying) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.checkout_item(character varying, uuid, character varying, character varying, character varying, character varying, date, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.checkin_item(character varying, uuid, character varying, text, character varying, boolean, character varying) TO authenticated;
@@ -0,0 +1,284 @@
+-- ============================================================================
+-- Quantity-aware check-out, partial returns and consumption
+--
+-- Items in a track_quantity category (Consumables, and anything an admin
+-- flags) carry inventory.quantity, but checkout_item treats every row as one
+-- unit: checking out "AA batteries ×40" flipped the whole row to
+-- checked-out. For these items:
+--
+--   inventory.quantity      units the shop owns (consumption lowers it)
+--   inventory.quantity_out  units currently out with borrowers
+--   on hand                 quantity - quantity_out  (drives low stock)
+--
+-- quantity_checkouts holds one row per borrower hand-off with the units
+-- still outstanding; a row is deleted once everything is back or consumed.
+-- checkout_history gains a quantity column and a 'consume' action so the
+-- timeline shows how many units moved.
+--
+-- Row status for quantity-tracked items: 'checked-out' only while nothing is
+-- on hand and units are out; otherwise 'available'. Other statuses
+-- (reserved, needs-attention, missing) are left alone.
+--
+-- Both RPCs are SECURITY INVOKER (same as checkout_item) and raise PT409 with
+-- the item's current row in DETAIL when the request no longer fits the stock.
+-- ============================================================================
+
+ALTER TABLE public.inventory
+  ADD COLUMN IF NOT EXISTS quantity_out INTEGER NOT NULL DEFAULT 0
+    CHECK (quantity_out >= 0);
+
+COMMENT ON COLUMN public.inventory.quantity_out IS
+  'Units of a quantity-tracked item currently out with borrowers (sum of quantity_checkouts.quantity). Maintained by checkout_quantity/return_quantity only.';
+
+ALTER TABLE public.checkout_history
+  ADD COLUMN IF NOT EXISTS quantity INTEGER;
+
+COMMENT ON COLUMN public.checkout_history.quantity IS
+  'Units moved by a quantity-tracked checkout, return or consume event; NULL for serialized items.';
+
+CREATE TABLE IF NOT EXISTS public.quantity_checkouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id VARCHAR(20) NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  borrower_name VARCHAR(255) NOT NULL,
+  client_id VARCHAR(20) REFERENCES clients(id) ON DELETE SET NULL,
+  project VARCHAR(255),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  checked_out_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  due_back DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quantity_checkouts_item ON quantity_checkouts(item_id);
+
+CREATE TRIGGER update_quantity_checkouts_updated_at BEFORE UPDATE ON quantity_checkouts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Same split as the inventory row itself: anyone signed in may see who has
+-- what; writing (through the RPCs) needs gear_list edit
+ALTER TABLE quantity_checkouts ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_quantity_checkouts" ON quantity_checkouts FOR SELECT TO authenticated
+  USING (true);
+CREATE POLICY "write_quantity_checkouts" ON quantity_checkouts FOR INSERT TO authenticated
+  WITH CHECK (has_permission('gear_list', 'edit'));
+CREATE POLICY "edit_quantity_checkouts" ON quantity_checkouts FOR UPDATE TO authenticated
+  USING (has_permission('gear_list', 'edit'));
+CREATE POLICY "delete_quantity_checkouts" ON quantity_checkouts FOR DELETE TO authenticated
+  USING (has_permission('gear_list', 'edit'));
+
+-- p_consume: the units are used up on the job and are not coming back —
+-- stock drops immediately and nothing is left outstanding
+CREATE OR REPLACE FUNCTION public.checkout_quantity(
+  p_item_id VARCHAR,
+  p_quantity INTEGER,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_client_id VARCHAR DEFAULT NULL,
+  p_client_name VARCHAR DEFAULT NULL,
+  p_project VARCHAR DEFAULT NULL,
+  p_due_back DATE DEFAULT NULL,
+  p_consume BOOLEAN DEFAULT false,
+  p_checked_out_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+  v_checkout quantity_checkouts%ROWTYPE;
+  v_on_hand INTEGER;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity < 1 THEN
+    RAISE EXCEPTION 'Quantity must be at least 1' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM categories WHERE name = v_item.category_name AND track_quantity = TRUE
+  ) THEN
+    RAISE EXCEPTION 'Item % is not quantity-tracked', p_item_id USING ERRCODE = '22023';
+  END IF;
+
+  IF v_item.status IN ('needs-attention', 'missing') THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked out', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  v_on_hand := COALESCE(v_item.quantity, 0) - v_item.quantity_out;
+  IF p_quantity > v_on_hand THEN
+    RAISE EXCEPTION 'Only % of item % on hand', GREATEST(v_on_hand, 0), p_item_id
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  IF p_consume THEN
+    UPDATE inventory
+    SET quantity = quantity - p_quantity
+    WHERE id = p_item_id
+    RETURNING * INTO v_item;
+  ELSE
+    UPDATE inventory
+    SET quantity_out = quantity_out + p_quantity,
+        checkout_count = COALESCE(checkout_count, 0) + 1
+    WHERE id = p_item_id
+    RETURNING * INTO v_item;
+
+    INSERT INTO quantity_checkouts (item_id, user_id, borrower_name, client_id, project,
+                                    quantity, checked_out_date, due_back)
+    VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), p_client_id, p_project,
+            p_quantity, COALESCE(p_checked_out_date, CURRENT_DATE), p_due_back)
+    RETURNING * INTO v_checkout;
+  END IF;
+
+  UPDATE inventory
+  SET status = CASE
+        WHEN quantity - quantity_out <= 0 AND quantity_out > 0 THEN 'checked-out'
+        ELSE 'available'
+      END
+  WHERE id = p_item_id AND status IN ('available', 'checked-out')
+  RETURNING * INTO v_item;
+  IF NOT FOUND THEN
+    SELECT * INTO v_item FROM inventory WHERE id = p_item_id;
+  END IF;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, client_name, action,
+                                project, quantity)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), p_client_id, p_client_name,
+          CASE WHEN p_consume THEN 'consume' ELSE 'checkout' END, p_project, p_quantity)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(v_item),
+    'checkout', CASE WHEN p_consume THEN NULL ELSE to_jsonb(v_checkout) END,
+    'history', to_jsonb(v_history)
+  );
+END;
+$$;
+
+-- Settle part or all of one borrower's units: p_returned go back on the
+-- shelf, p_consumed were used up and leave stock. Returns the remaining
+-- checkout row (NULL once settled) and one history row per kind of movement.
+-- Locks the inventory row before the checkout row, the same order as
+-- checkout_quantity.
+CREATE OR REPLACE FUNCTION public.return_quantity(
+  p_item_id VARCHAR,
+  p_checkout_id UUID,
+  p_returned INTEGER DEFAULT 0,
+  p_consumed INTEGER DEFAULT 0,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_checkout quantity_checkouts%ROWTYPE;
+  v_item inventory%ROWTYPE;
+  v_history JSONB := '[]'::jsonb;
+  v_row checkout_history%ROWTYPE;
+  v_returned INTEGER := COALESCE(p_returned, 0);
+  v_consumed INTEGER := COALESCE(p_consumed, 0);
+  v_settled INTEGER;
+  v_remaining INTEGER;
+BEGIN
+  IF v_returned < 0 OR v_consumed < 0 OR v_returned + v_consumed < 1 THEN
+    RAISE EXCEPTION 'Return at least one unit' USING ERRCODE = '22023';
+  END IF;
+  v_settled := v_returned + v_consumed;
+
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  SELECT * INTO v_checkout FROM quantity_checkouts
+  WHERE id = p_checkout_id AND item_id = p_item_id
+  FOR UPDATE;
+
+  -- Already settled (someone else recorded the return) or asking for more
+  -- than is still out: hand back the current stock to adopt
+  IF NOT FOUND OR v_settled > v_checkout.quantity THEN
+    RAISE EXCEPTION 'Return of % no longer matches what is outstanding', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  v_remaining := v_checkout.quantity - v_settled;
+  IF v_remaining = 0 THEN
+    DELETE FROM quantity_checkouts WHERE id = p_checkout_id;
+  ELSE
+    UPDATE quantity_checkouts SET quantity = v_remaining
+    WHERE id = p_checkout_id
+    RETURNING * INTO v_checkout;
+  END IF;
+
+  UPDATE inventory
+  SET quantity_out = GREATEST(quantity_out - v_settled, 0),
+      quantity = quantity - v_consumed,
+      status = CASE
+        WHEN status NOT IN ('available', 'checked-out') THEN status
+        WHEN quantity - v_consumed - GREATEST(quantity_out - v_settled, 0) <= 0
+             AND quantity_out - v_settled > 0 THEN 'checked-out'
+        ELSE 'available'
+      END
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  IF v_returned > 0 THEN
+    INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes, quantity)
+    VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_checkout.client_id,
+            'checkin', p_notes, v_returned)
+    RETURNING * INTO v_row;
+    v_history := v_history || jsonb_build_array(to_jsonb(v_row));
+  END IF;
+
+  IF v_consumed > 0 THEN
+    INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes, quantity)
+    VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_checkout.client_id,
+            'consume', p_notes, v_consumed)
+    RETURNING * INTO v_row;
+    v_history := v_history || jsonb_build_array(to_jsonb(v_row));
+  END IF;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(v_item),
+    'checkout', CASE WHEN v_remaining = 0 THEN NULL ELSE to_jsonb(v_checkout) END,
+    'history', v_history
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.checkout_quantity(character varying, integer, uuid, character varying, character varying, character varying, character varying, date, boolean, date) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION public.return_quantity(character varying, uuid, integer, integer, uuid, character varying, text) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.checkout_quantity(character varying, integer, uuid, character varying, character varying, character varying, character varying, date, boolean, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.return_quantity(character varying, uuid, integer, integer, uuid, character varying, text) TO authenticated;
+
+-- Admin low-stock digest: same rule as the dashboard, now on the on-hand
+-- count — units out with borrowers are not on the shelf
+CREATE OR REPLACE FUNCTION public.get_low_stock_items()
+RETURNS TABLE(item_id varchar, item_name varchar, category_name varchar,
+              quantity integer, threshold integer)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path TO 'public'
+AS $$
+  SELECT i.id, i.name, i.category_name, GREATEST(i.quantity - i.quantity_out, 0),
+         i.reorder_point::integer
+  FROM public.inventory i
+  JOIN public.categories c ON c.name = i.category_name AND c.track_quantity = TRUE
+  WHERE i.low_stock_alert = TRUE
+    AND i.quantity IS NOT NULL
+    AND COALESCE(i.reorder_point, 0) > 0
+    AND i.quantity - i.quantity_out <= i.reorder_point
+  ORDER BY i.category_name, i.name;
+$$;
+REVOKE ALL ON FUNCTION public.get_low_stock_items() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_low_stock_items() TO service_role;
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- Reservations for pooled stock
+-- Twenty identical C-stands live on ONE quantity-tracked inventory row, so a
+-- reservation row has to say how many of them it holds. Serialized gear
+-- keeps the default of 1 and its conflict rule (any overlap) is unchanged;
+-- for pooled rows the app compares the units booked across overlapping
+-- reservations against what is on hand.
+-- =============================================================================
+
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0);
+
+COMMENT ON COLUMN reservations.quantity IS
+  'Units held by this reservation. Always 1 for serialized items.';
@@ -0,0 +1,112 @@
+-- ============================================================================
+-- Restore from a v3.0 JSON backup
+--
+-- The export (lib/backupExport.js) writes raw table rows. restore_backup
+-- loads them back in ONE transaction — a restore that fails halfway through
+-- inventory would otherwise leave half a catalogue pointing at nothing.
+--
+--   merge   — upsert every backup row by id; rows the backup lacks are kept
+--   replace — additionally delete rows of each INCLUDED table that the
+--             backup lacks (a clients-only backup never touches inventory)
+--
+-- Tables are applied parents-first (locations → categories → … →
+-- inventory → … → reservations); replace-mode deletes run children-first.
+-- Only the columns present in both the backup and today's table are
+-- written, so a column added after the export keeps its default instead of
+-- being nulled. users, roles and audit_log are never restored: accounts
+-- live in Supabase Auth and the audit log is append-only.
+--
+-- SECURITY INVOKER: every table's RLS still applies, on top of the explicit
+-- admin check. The restore itself is recorded in audit_log.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_tables JSONB,
+  p_mode VARCHAR DEFAULT 'merge',
+  p_user_name VARCHAR DEFAULT NULL,
+  p_exported_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  -- The only tables this function will ever write — table names reach
+  -- dynamic SQL from this list, never from the payload
+  v_order TEXT[] := ARRAY[
+    'locations', 'categories', 'specs', 'clients', 'client_notes',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations'
+  ];
+  v_table TEXT;
+  v_rows JSONB;
+  v_columns TEXT;
+  v_excluded TEXT;
+  v_count INTEGER;
+  v_upserted JSONB := '{}';
+  v_deleted JSONB := '{}';
+BEGIN
+  IF NOT has_permission('admin_users', 'edit') THEN
+    RAISE EXCEPTION 'Restoring a backup requires admin access' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Invalid restore mode: %', p_mode USING ERRCODE = '22023';
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    FOR i IN REVERSE array_length(v_order, 1)..1 LOOP
+      v_table := v_order[i];
+      v_rows := p_tables -> v_table;
+      CONTINUE WHEN v_rows IS NULL;
+
+      EXECUTE format(
+        'DELETE FROM %I t WHERE NOT EXISTS ('
+        '  SELECT 1 FROM jsonb_array_elements($1) r WHERE r->>''id'' = t.id::text)',
+        v_table)
+      USING v_rows;
+      GET DIAGNOSTICS v_count = ROW_COUNT;
+      v_deleted := v_deleted || jsonb_build_object(v_table, v_count);
+    END LOOP;
+  END IF;
+
+  FOREACH v_table IN ARRAY v_order LOOP
+    v_rows := p_tables -> v_table;
+    CONTINUE WHEN v_rows IS NULL OR jsonb_array_length(v_rows) = 0;
+
+    SELECT string_agg(quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position),
+           string_agg('EXCLUDED.' || quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position)
+      INTO v_columns, v_excluded
+      FROM information_schema.columns c
+     WHERE c.table_schema = 'public'
+       AND c.table_name = v_table
+       AND c.is_generated = 'NEVER'
+       AND c.column_name IN (
+         SELECT DISTINCT k FROM jsonb_array_elements(v_rows) r, jsonb_object_keys(r) k
+       );
+
+    EXECUTE format(
+      'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1) '
+      'ON CONFLICT (id) DO UPDATE SET (%2$s) = ROW(%3$s)',
+      v_table, v_columns, v_excluded)
+    USING v_rows;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_upserted := v_upserted || jsonb_build_object(v_table, v_count);
+  END LOOP;
+
+  INSERT INTO audit_log (type, description, user_id, user_name, metadata)
+  VALUES ('database_restored',
+          format('Restored database backup (%s)', p_mode),
+          auth.uid(), p_user_name,
+          jsonb_build_object('mode', p_mode, 'exportedAt', p_exported_at,
+                             'upserted', v_upserted, 'deleted', v_deleted));
+
+  RETURN jsonb_build_object('upserted', v_upserted, 'deleted', v_deleted);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) TO authenticated;
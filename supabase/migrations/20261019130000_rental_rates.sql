@@ -0,0 +1,166 @@
+-- ============================================================================
+-- Rental rates, pricing settings and quotes
+--
+--   inventory.day_rate / week_rate   what one unit rents for
+--   packages.day_rate / week_rate    a bundle price for the whole package
+--   pricing_settings                 one row: multi-day discount, tax, terms
+--
+-- NULL rates mean "not priced" — a quote lists the line without a charge
+-- rather than quoting $0. A missing week rate is derived as
+-- day_rate × days_per_week, so a "3-day week" is days_per_week = 3.
+-- Quotes themselves are computed client-side (lib/pricing.js) from the
+-- reservation group; nothing here stores them.
+--
+-- pricing_settings joins the backup/restore table list. The list now lives
+-- in restorable_tables() so the next table is a one-line change instead of
+-- another copy of restore_backup.
+-- ============================================================================
+
+ALTER TABLE public.inventory
+  ADD COLUMN IF NOT EXISTS day_rate DECIMAL(10, 2) CHECK (day_rate >= 0),
+  ADD COLUMN IF NOT EXISTS week_rate DECIMAL(10, 2) CHECK (week_rate >= 0);
+
+ALTER TABLE public.packages
+  ADD COLUMN IF NOT EXISTS day_rate DECIMAL(10, 2) CHECK (day_rate >= 0),
+  ADD COLUMN IF NOT EXISTS week_rate DECIMAL(10, 2) CHECK (week_rate >= 0);
+
+COMMENT ON COLUMN public.inventory.day_rate IS
+  'Rental price per unit per day; NULL = not priced.';
+COMMENT ON COLUMN public.inventory.week_rate IS
+  'Rental price per unit per 7 days; NULL = day_rate × pricing_settings.days_per_week.';
+COMMENT ON COLUMN public.packages.day_rate IS
+  'Bundle price per day when every item of the package is booked together; NULL = priced per item.';
+COMMENT ON COLUMN public.packages.week_rate IS
+  'Bundle price per 7 days; NULL = day_rate × pricing_settings.days_per_week.';
+
+CREATE TABLE IF NOT EXISTS public.pricing_settings (
+  id VARCHAR(20) PRIMARY KEY DEFAULT 'default' CHECK (id = 'default'),
+  -- Billable days in a 7-day week: 7 = no multi-day discount, 3 = "3-day week"
+  days_per_week DECIMAL(3, 1) NOT NULL DEFAULT 7 CHECK (days_per_week > 0 AND days_per_week <= 7),
+  -- Percent, applied after the quote discount
+  tax_rate DECIMAL(6, 3) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate < 100),
+  -- Printed under every quote (payment terms, damage waiver, …)
+  quote_terms TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO pricing_settings (id) VALUES ('default') ON CONFLICT (id) DO NOTHING;
+
+CREATE TRIGGER update_pricing_settings_updated_at BEFORE UPDATE ON pricing_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Everyone signed in quotes with these; only full admins change them. No
+-- INSERT/DELETE policy: the single row above is the only one there is.
+ALTER TABLE pricing_settings ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_pricing_settings" ON pricing_settings FOR SELECT TO authenticated
+  USING (true);
+CREATE POLICY "edit_pricing_settings" ON pricing_settings FOR UPDATE TO authenticated
+  USING (has_permission('admin_users', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- Backup restore: the whitelist, parents first
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restorable_tables()
+RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT ARRAY[
+    'pricing_settings',
+    'locations', 'categories', 'specs', 'clients', 'client_notes',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations'
+  ]::TEXT[];
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.restorable_tables() FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.restorable_tables() TO authenticated;
+
+-- Same body as 20261019120000, reading its table list from restorable_tables()
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_tables JSONB,
+  p_mode VARCHAR DEFAULT 'merge',
+  p_user_name VARCHAR DEFAULT NULL,
+  p_exported_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  -- The only tables this function will ever write — table names reach
+  -- dynamic SQL from this list, never from the payload
+  v_order TEXT[] := restorable_tables();
+  v_table TEXT;
+  v_rows JSONB;
+  v_columns TEXT;
+  v_excluded TEXT;
+  v_count INTEGER;
+  v_upserted JSONB := '{}';
+  v_deleted JSONB := '{}';
+BEGIN
+  IF NOT has_permission('admin_users', 'edit') THEN
+    RAISE EXCEPTION 'Restoring a backup requires admin access' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Invalid restore mode: %', p_mode USING ERRCODE = '22023';
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    FOR i IN REVERSE array_length(v_order, 1)..1 LOOP
+      v_table := v_order[i];
+      v_rows := p_tables -> v_table;
+      CONTINUE WHEN v_rows IS NULL;
+
+      EXECUTE format(
+        'DELETE FROM %I t WHERE NOT EXISTS ('
+        '  SELECT 1 FROM jsonb_array_elements($1) r WHERE r->>''id'' = t.id::text)',
+        v_table)
+      USING v_rows;
+      GET DIAGNOSTICS v_count = ROW_COUNT;
+      v_deleted := v_deleted || jsonb_build_object(v_table, v_count);
+    END LOOP;
+  END IF;
+
+  FOREACH v_table IN ARRAY v_order LOOP
+    v_rows := p_tables -> v_table;
+    CONTINUE WHEN v_rows IS NULL OR jsonb_array_length(v_rows) = 0;
+
+    SELECT string_agg(quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position),
+           string_agg('EXCLUDED.' || quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position)
+      INTO v_columns, v_excluded
+      FROM information_schema.columns c
+     WHERE c.table_schema = 'public'
+       AND c.table_name = v_table
+       AND c.is_generated = 'NEVER'
+       AND c.column_name IN (
+         SELECT DISTINCT k FROM jsonb_array_elements(v_rows) r, jsonb_object_keys(r) k
+       );
+
+    EXECUTE format(
+      'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1) '
+      'ON CONFLICT (id) DO UPDATE SET (%2$s) = ROW(%3$s)',
+      v_table, v_columns, v_excluded)
+    USING v_rows;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_upserted := v_upserted || jsonb_build_object(v_table, v_count);
+  END LOOP;
+
+  INSERT INTO audit_log (type, description, user_id, user_name, metadata)
+  VALUES ('database_restored',
+          format('Restored database backup (%s)', p_mode),
+          auth.uid(), p_user_name,
+          jsonb_build_object('mode', p_mode, 'exportedAt', p_exported_at,
+                             'upserted', v_upserted, 'deleted', v_deleted));
+
+  RETURN jsonb_build_object('upserted', v_upserted, 'deleted', v_deleted);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) TO authenticated;
@@ -0,0 +1,470 @@
+-- ============================================================================
+-- Invoices and payments
+--
+--   invoices          one bill to a client for a finished job — a reservation
+--                     group or a check-out — with its totals frozen at issue
+--   invoice_lines     rental, package, late-fee, damage and other charges
+--   invoice_payments  money received; amount_paid and the paid/sent status
+--                     on invoices follow these rows (sync_invoice_payments)
+--
+-- Statuses: draft (not yet billed, deletable) → sent → paid, or void. Only
+-- drafts can be deleted; an issued invoice is voided instead so the number
+-- sequence never has holes nobody can explain. A job (source_key) can carry
+-- one live invoice; voiding it frees the job to be billed again.
+--
+-- Late fees and damage charges need to know what happened at return time,
+-- and check-in used to throw both away: checkout_history check-in rows now
+-- keep the due date that was in effect and the damage report.
+-- ============================================================================
+
+ALTER TABLE public.pricing_settings
+  ADD COLUMN IF NOT EXISTS invoice_due_days INTEGER NOT NULL DEFAULT 30
+    CHECK (invoice_due_days >= 0 AND invoice_due_days <= 365),
+  ADD COLUMN IF NOT EXISTS late_fee_percent DECIMAL(6, 2) NOT NULL DEFAULT 100
+    CHECK (late_fee_percent >= 0 AND late_fee_percent <= 1000);
+
+COMMENT ON COLUMN public.pricing_settings.invoice_due_days IS
+  'Payment terms: an invoice falls due this many days after it is issued.';
+COMMENT ON COLUMN public.pricing_settings.late_fee_percent IS
+  'Late fee per overdue day, as a percent of the item''s day rate (0 = no late fees).';
+
+ALTER TABLE public.checkout_history
+  ADD COLUMN IF NOT EXISTS due_back DATE,
+  ADD COLUMN IF NOT EXISTS damage_reported BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS damage_description TEXT;
+
+COMMENT ON COLUMN public.checkout_history.due_back IS
+  'On check-in rows: the due date in effect when the item came back (late fees).';
+COMMENT ON COLUMN public.checkout_history.damage_reported IS
+  'On check-in rows: damage was reported at return (damage charges).';
+
+-- ----------------------------------------------------------------------------
+-- Check-in keeps the due date and the damage report
+-- ----------------------------------------------------------------------------
+-- New trailing argument, so the old signature goes first; PostgREST would
+-- otherwise see two candidates for a call without p_damage_description
+DROP FUNCTION IF EXISTS public.checkin_item(character varying, uuid, character varying, text, character varying, boolean, character varying);
+
+CREATE FUNCTION public.checkin_item(
+  p_item_id VARCHAR,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_condition VARCHAR DEFAULT NULL,
+  p_damage_reported BOOLEAN DEFAULT false,
+  p_return_status VARCHAR DEFAULT NULL,
+  p_damage_description TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+  v_client_id VARCHAR;
+  v_due_back DATE;
+BEGIN
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  IF v_item.status <> 'checked-out' THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked in', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  IF p_return_status IS NOT NULL AND p_return_status NOT IN ('available', 'reserved') THEN
+    RAISE EXCEPTION 'Invalid return status: %', p_return_status USING ERRCODE = '22023';
+  END IF;
+
+  -- Captured before the borrower fields are cleared
+  v_client_id := v_item.checkout_client_id;
+  v_due_back := v_item.due_back;
+
+  UPDATE inventory
+  SET status = CASE
+        WHEN p_damage_reported THEN 'needs-attention'
+        ELSE COALESCE(p_return_status, 'available')
+      END,
+      condition = COALESCE(p_condition, condition),
+      checked_out_to_user_id = NULL,
+      checked_out_to_name = NULL,
+      checkout_client_id = NULL,
+      checked_out_date = NULL,
+      due_back = NULL,
+      checkout_project = NULL
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes,
+                                condition_at_action, due_back, damage_reported,
+                                damage_description)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_client_id, 'checkin',
+          p_notes, p_condition, v_due_back, COALESCE(p_damage_reported, false),
+          CASE WHEN p_damage_reported THEN NULLIF(trim(p_damage_description), '') END)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object('item', to_jsonb(v_item), 'history', to_jsonb(v_history));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.checkin_item(character varying, uuid, character varying, text, character varying, boolean, character varying, text) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.checkin_item(character varying, uuid, character varying, text, character varying, boolean, character varying, text) TO authenticated;
+
+-- Same body as 20261019100000; the return rows now carry the checkout's
+-- due date
+CREATE OR REPLACE FUNCTION public.return_quantity(
+  p_item_id VARCHAR,
+  p_checkout_id UUID,
+  p_returned INTEGER DEFAULT 0,
+  p_consumed INTEGER DEFAULT 0,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_checkout quantity_checkouts%ROWTYPE;
+  v_item inventory%ROWTYPE;
+  v_history JSONB := '[]'::jsonb;
+  v_row checkout_history%ROWTYPE;
+  v_returned INTEGER := COALESCE(p_returned, 0);
+  v_consumed INTEGER := COALESCE(p_consumed, 0);
+  v_settled INTEGER;
+  v_remaining INTEGER;
+BEGIN
+  IF v_returned < 0 OR v_consumed < 0 OR v_returned + v_consumed < 1 THEN
+    RAISE EXCEPTION 'Return at least one unit' USING ERRCODE = '22023';
+  END IF;
+  v_settled := v_returned + v_consumed;
+
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  SELECT * INTO v_checkout FROM quantity_checkouts
+  WHERE id = p_checkout_id AND item_id = p_item_id
+  FOR UPDATE;
+
+  -- Already settled (someone else recorded the return) or asking for more
+  -- than is still out: hand back the current stock to adopt
+  IF NOT FOUND OR v_settled > v_checkout.quantity THEN
+    RAISE EXCEPTION 'Return of % no longer matches what is outstanding', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  v_remaining := v_checkout.quantity - v_settled;
+  IF v_remaining = 0 THEN
+    DELETE FROM quantity_checkouts WHERE id = p_checkout_id;
+  ELSE
+    UPDATE quantity_checkouts SET quantity = v_remaining
+    WHERE id = p_checkout_id
+    RETURNING * INTO v_checkout;
+  END IF;
+
+  UPDATE inventory
+  SET quantity_out = GREATEST(quantity_out - v_settled, 0),
+      quantity = quantity - v_consumed,
+      status = CASE
+        WHEN status NOT IN ('available', 'checked-out') THEN status
+        WHEN quantity - v_consumed - GREATEST(quantity_out - v_settled, 0) <= 0
+             AND quantity_out - v_settled > 0 THEN 'checked-out'
+        ELSE 'available'
+      END
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  IF v_returned > 0 THEN
+    INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes, quantity,
+                                  due_back)
+    VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_checkout.client_id,
+            'checkin', p_notes, v_returned, v_checkout.due_back)
+    RETURNING * INTO v_row;
+    v_history := v_history || jsonb_build_array(to_jsonb(v_row));
+  END IF;
+
+  IF v_consumed > 0 THEN
+    INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes, quantity,
+                                  due_back)
+    VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_checkout.client_id,
+            'consume', p_notes, v_consumed, v_checkout.due_back)
+    RETURNING * INTO v_row;
+    v_history := v_history || jsonb_build_array(to_jsonb(v_row));
+  END IF;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(v_item),
+    'checkout', CASE WHEN v_remaining = 0 THEN NULL ELSE to_jsonb(v_checkout) END,
+    'history', v_history
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.return_quantity(character varying, uuid, integer, integer, uuid, character varying, text) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.return_quantity(character varying, uuid, integer, integer, uuid, character varying, text) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Tables
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.invoices (
+  id VARCHAR(20) PRIMARY KEY,
+  -- client_name is kept so a deleted client's invoices still say who owed
+  client_id VARCHAR(20) REFERENCES clients(id) ON DELETE SET NULL,
+  client_name VARCHAR(255) NOT NULL,
+  -- What was billed: 'reservation:<group key>' or 'checkout:<…>'; NULL for
+  -- a hand-made invoice
+  source_type VARCHAR(20) NOT NULL DEFAULT 'manual'
+    CHECK (source_type IN ('reservation', 'checkout', 'manual')),
+  source_key VARCHAR(255),
+  project VARCHAR(255),
+  period_start DATE,
+  period_end DATE,
+  status VARCHAR(10) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'paid', 'void')),
+  issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  due_date DATE NOT NULL,
+  discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0
+    CHECK (discount_percent >= 0 AND discount_percent <= 100),
+  tax_rate DECIMAL(6, 3) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate < 100),
+  subtotal DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  discount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  tax DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (total >= 0),
+  -- Maintained by sync_invoice_payments
+  amount_paid DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by_name VARCHAR(255),
+  sent_at TIMESTAMPTZ,
+  voided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (due_date >= issue_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_client ON invoices(client_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+-- One live invoice per job
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_source_live ON invoices(source_key)
+  WHERE source_key IS NOT NULL AND status <> 'void';
+
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TABLE IF NOT EXISTS public.invoice_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_id VARCHAR(20) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  kind VARCHAR(20) NOT NULL
+    CHECK (kind IN ('rental', 'package', 'late_fee', 'damage', 'other')),
+  description TEXT NOT NULL,
+  item_id VARCHAR(20) REFERENCES inventory(id) ON DELETE SET NULL,
+  quantity DECIMAL(10, 2) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price DECIMAL(12, 2),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines(invoice_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS public.invoice_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_id VARCHAR(20) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  paid_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  method VARCHAR(30),
+  reference VARCHAR(100),
+  recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  recorded_by_name VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id);
+
+-- Billing is client data: viewing needs clients view, anything else clients
+-- edit. Issued invoices can't be deleted, only voided.
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_invoices" ON invoices FOR SELECT TO authenticated
+  USING (has_permission('clients', 'view'));
+CREATE POLICY "write_invoices" ON invoices FOR INSERT TO authenticated
+  WITH CHECK (has_permission('clients', 'edit'));
+CREATE POLICY "edit_invoices" ON invoices FOR UPDATE TO authenticated
+  USING (has_permission('clients', 'edit'));
+CREATE POLICY "delete_draft_invoices" ON invoices FOR DELETE TO authenticated
+  USING (has_permission('clients', 'edit') AND status = 'draft');
+
+ALTER TABLE invoice_lines ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_invoice_lines" ON invoice_lines FOR SELECT TO authenticated
+  USING (has_permission('clients', 'view'));
+CREATE POLICY "write_invoice_lines" ON invoice_lines FOR ALL TO authenticated
+  USING (has_permission('clients', 'edit'));
+
+ALTER TABLE invoice_payments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_invoice_payments" ON invoice_payments FOR SELECT TO authenticated
+  USING (has_permission('clients', 'view'));
+CREATE POLICY "write_invoice_payments" ON invoice_payments FOR ALL TO authenticated
+  USING (has_permission('clients', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- Payments drive amount_paid and the sent ↔ paid status
+-- ----------------------------------------------------------------------------
+-- A payment against a draft means it went out — it becomes sent (or paid).
+-- Void invoices keep their status.
+CREATE OR REPLACE FUNCTION public.sync_invoice_payments()
+RETURNS TRIGGER
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_invoice_id VARCHAR;
+  v_paid DECIMAL(12, 2);
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_invoice_id := OLD.invoice_id;
+  ELSE
+    v_invoice_id := NEW.invoice_id;
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_paid
+  FROM invoice_payments WHERE invoice_id = v_invoice_id;
+
+  UPDATE invoices
+  SET amount_paid = v_paid,
+      status = CASE
+        WHEN status = 'void' THEN status
+        WHEN v_paid > 0 AND v_paid >= total THEN 'paid'
+        WHEN status = 'paid' OR v_paid > 0 THEN 'sent'
+        ELSE status
+      END,
+      sent_at = CASE WHEN status = 'draft' AND v_paid > 0 THEN NOW() ELSE sent_at END
+  WHERE id = v_invoice_id;
+
+  RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sync_invoice_payments() FROM anon, public;
+
+CREATE TRIGGER sync_invoice_payments AFTER INSERT OR UPDATE OR DELETE ON invoice_payments
+  FOR EACH ROW EXECUTE FUNCTION sync_invoice_payments();
+
+-- ----------------------------------------------------------------------------
+-- create_invoice: number, header and lines in one transaction
+-- ----------------------------------------------------------------------------
+-- Totals are recomputed here from the lines so the stored invoice can't
+-- disagree with itself. Numbers are INV0001, INV0002, … under an advisory
+-- lock (same scheme as generate_client_id). SECURITY INVOKER — the table
+-- policies above decide who may bill.
+CREATE OR REPLACE FUNCTION public.create_invoice(p_invoice JSONB, p_lines JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_id VARCHAR;
+  v_invoice invoices%ROWTYPE;
+  v_status VARCHAR := COALESCE(p_invoice->>'status', 'draft');
+  v_discount_pct DECIMAL := COALESCE((p_invoice->>'discount_percent')::DECIMAL, 0);
+  v_tax_rate DECIMAL := COALESCE((p_invoice->>'tax_rate')::DECIMAL, 0);
+  v_subtotal DECIMAL(12, 2);
+  v_discount DECIMAL(12, 2);
+  v_tax DECIMAL(12, 2);
+BEGIN
+  IF jsonb_typeof(p_lines) IS DISTINCT FROM 'array' OR jsonb_array_length(p_lines) = 0 THEN
+    RAISE EXCEPTION 'An invoice needs at least one line' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_status NOT IN ('draft', 'sent') THEN
+    RAISE EXCEPTION 'A new invoice is a draft or sent, not %', v_status USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((l->>'amount')::DECIMAL), 0) INTO v_subtotal
+  FROM jsonb_array_elements(p_lines) l;
+  v_discount := round(v_subtotal * v_discount_pct / 100, 2);
+  v_tax := round((v_subtotal - v_discount) * v_tax_rate / 100, 2);
+
+  PERFORM pg_advisory_xact_lock(hashtext('create_invoice'));
+
+  SELECT 'INV' || LPAD((COALESCE(MAX((substring(id FROM '^INV(\d+)$'))::INTEGER), 0) + 1)::TEXT,
+                       4, '0')
+  INTO v_id
+  FROM invoices
+  WHERE id ~ '^INV\d+$';
+
+  INSERT INTO invoices (id, client_id, client_name, source_type, source_key, project,
+                        period_start, period_end, status, issue_date, due_date,
+                        discount_percent, tax_rate, subtotal, discount, tax, total, notes,
+                        created_by, created_by_name, sent_at)
+  VALUES (v_id,
+          NULLIF(p_invoice->>'client_id', ''),
+          p_invoice->>'client_name',
+          COALESCE(p_invoice->>'source_type', 'manual'),
+          NULLIF(p_invoice->>'source_key', ''),
+          NULLIF(p_invoice->>'project', ''),
+          (p_invoice->>'period_start')::DATE,
+          (p_invoice->>'period_end')::DATE,
+          v_status,
+          COALESCE((p_invoice->>'issue_date')::DATE, CURRENT_DATE),
+          (p_invoice->>'due_date')::DATE,
+          v_discount_pct,
+          v_tax_rate,
+          v_subtotal,
+          v_discount,
+          v_tax,
+          v_subtotal - v_discount + v_tax,
+          NULLIF(p_invoice->>'notes', ''),
+          auth.uid(),
+          p_invoice->>'created_by_name',
+          CASE WHEN v_status = 'sent' THEN NOW() END)
+  RETURNING * INTO v_invoice;
+
+  INSERT INTO invoice_lines (invoice_id, sort_order, kind, description, item_id, quantity,
+                             unit_price, amount)
+  SELECT v_id,
+         l.ordinality - 1,
+         l.value->>'kind',
+         l.value->>'description',
+         NULLIF(l.value->>'item_id', ''),
+         COALESCE((l.value->>'quantity')::DECIMAL, 1),
+         (l.value->>'unit_price')::DECIMAL,
+         (l.value->>'amount')::DECIMAL
+  FROM jsonb_array_elements(p_lines) WITH ORDINALITY l;
+
+  RETURN jsonb_build_object(
+    'invoice', to_jsonb(v_invoice),
+    'lines', (SELECT COALESCE(jsonb_agg(to_jsonb(il) ORDER BY il.sort_order), '[]'::jsonb)
+              FROM invoice_lines il WHERE il.invoice_id = v_id)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.create_invoice(jsonb, jsonb) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.create_invoice(jsonb, jsonb) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Backup restore: invoices after everything they point at
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restorable_tables()
+RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT ARRAY[
+    'pricing_settings',
+    'locations', 'categories', 'specs', 'clients', 'client_notes',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations',
+    'invoices', 'invoice_lines', 'invoice_payments'
+  ]::TEXT[];
+$$;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Realtime change feed for the shared tables
+--
+-- Open sessions subscribe to postgres_changes on these tables so one
+-- operator's checkout shows up on everyone else's screen as it commits,
+-- instead of on the next freshness poll. Supabase delivers a change only to
+-- subscribers whose RLS policies let them SELECT the row, so the feed opens
+-- nothing the REST API doesn't already.
+--
+-- The package and pack-list child tables are included so editing a bundle's
+-- contents reaches other sessions too; the client refetches those small
+-- collections whole rather than patching rows.
+--
+-- DELETE events carry only the primary key (default replica identity),
+-- which is all the client needs to drop the row.
+-- ============================================================================
+
+DO $$
+DECLARE
+  t text;
+BEGIN
+  -- Self-hosted or local stacks without the Realtime publication keep
+  -- working on polling alone
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    RAISE NOTICE 'supabase_realtime publication not found; skipping';
+    RETURN;
+  END IF;
+
+  FOREACH t IN ARRAY ARRAY[
+    'inventory', 'reservations',
+    'packages', 'package_items',
+    'pack_lists', 'pack_list_items', 'pack_list_packages'
+  ] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,269 @@
+-- ============================================================================
+-- Trigger-based, tamper-evident audit log
+--
+-- audit_log used to be written only by the browser (auditLogService.create),
+-- so a change made anywhere else — the SQL editor, an edge function, a client
+-- call that failed after the write — left no trace, and entries carried a
+-- free-text description and nothing else.
+--
+--   record_audit_change  AFTER trigger on the audited tables; writes one
+--                        row_insert / row_update / row_delete entry with the
+--                        old and new row as JSON. Updates that only touch
+--                        updated_at are skipped.
+--   chain_audit_log      BEFORE INSERT on audit_log; numbers every entry
+--                        (seq) and links it to the previous one with a
+--                        SHA-256 hash chain, app-written entries included
+--   verify_audit_chain   walks the chain; a deleted or edited entry breaks
+--                        the link on the entry after it
+--
+-- Entries are append-only: UPDATE and DELETE on audit_log are refused. The
+-- user_id foreign key goes, since ON DELETE SET NULL would rewrite history
+-- (and break the chain) whenever a user is removed — user_name already keeps
+-- who it was.
+--
+-- Chain inserts are serialised with a transaction-scoped advisory lock, so
+-- writes to audited tables queue behind each other until commit. At this
+-- scale that is cheaper than a chain that forks under concurrency.
+-- ============================================================================
+
+ALTER TABLE public.audit_log DROP CONSTRAINT IF EXISTS audit_log_user_id_fkey;
+
+ALTER TABLE public.audit_log
+  ADD COLUMN IF NOT EXISTS seq BIGINT,
+  ADD COLUMN IF NOT EXISTS table_name VARCHAR(63),
+  ADD COLUMN IF NOT EXISTS operation VARCHAR(10),
+  ADD COLUMN IF NOT EXISTS record_id TEXT,
+  ADD COLUMN IF NOT EXISTS old_data JSONB,
+  ADD COLUMN IF NOT EXISTS new_data JSONB,
+  ADD COLUMN IF NOT EXISTS prev_hash TEXT,
+  ADD COLUMN IF NOT EXISTS hash TEXT;
+
+COMMENT ON COLUMN public.audit_log.seq IS
+  'Position in the hash chain; assigned under the chain lock, gaps are harmless.';
+COMMENT ON COLUMN public.audit_log.hash IS
+  'SHA-256 over prev_hash and this entry (audit_row_hash).';
+
+-- ----------------------------------------------------------------------------
+-- Hash of one entry. jsonb renders keys in a fixed order, so the same row
+-- always hashes the same; the timestamp goes in as epoch seconds to keep the
+-- session TimeZone out of it.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.audit_row_hash(p_prev_hash TEXT, r public.audit_log)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT encode(
+    sha256(convert_to(
+      COALESCE(p_prev_hash, '') || jsonb_build_array(
+        r.seq, r.type, r.description, r.user_id, r.user_name,
+        r.item_id, r.client_id, r.package_id, r.pack_list_id, r.reservation_id,
+        r.table_name, r.operation, r.record_id, r.old_data, r.new_data,
+        r.metadata, extract(epoch FROM r.timestamp)
+      )::text,
+      'UTF8'
+    )),
+    'hex'
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.audit_row_hash(text, public.audit_log) FROM anon, public;
+-- verify_audit_chain runs as the caller
+GRANT EXECUTE ON FUNCTION public.audit_row_hash(text, public.audit_log) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Backfill: number existing entries oldest first and chain them
+-- ----------------------------------------------------------------------------
+CREATE SEQUENCE IF NOT EXISTS public.audit_log_seq_seq OWNED BY public.audit_log.seq;
+
+WITH ordered AS (
+  SELECT id, row_number() OVER (ORDER BY timestamp, id) AS rn
+  FROM public.audit_log
+  WHERE seq IS NULL
+)
+UPDATE public.audit_log a
+SET seq = o.rn + COALESCE((SELECT max(seq) FROM public.audit_log), 0)
+FROM ordered o
+WHERE a.id = o.id;
+
+SELECT setval(
+  'public.audit_log_seq_seq',
+  COALESCE((SELECT max(seq) FROM public.audit_log), 1),
+  (SELECT max(seq) FROM public.audit_log) IS NOT NULL
+);
+
+DO $$
+DECLARE
+  r public.audit_log;
+  v_prev TEXT := NULL;
+  v_hash TEXT;
+BEGIN
+  FOR r IN SELECT * FROM public.audit_log ORDER BY seq LOOP
+    v_hash := public.audit_row_hash(v_prev, r);
+    UPDATE public.audit_log SET prev_hash = v_prev, hash = v_hash WHERE id = r.id;
+    v_prev := v_hash;
+  END LOOP;
+END;
+$$;
+
+ALTER TABLE public.audit_log ALTER COLUMN seq SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_seq ON public.audit_log(seq);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON public.audit_log(table_name, record_id);
+
+-- ----------------------------------------------------------------------------
+-- Chain every new entry. SECURITY DEFINER: the previous hash must be read
+-- past the admin_audit-only SELECT policy, or a non-admin's write would link
+-- to nothing.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.chain_audit_log()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_prev TEXT;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('audit_log_chain'));
+  -- Numbered under the lock, so seq order is commit order
+  NEW.seq := nextval('public.audit_log_seq_seq');
+  NEW.timestamp := COALESCE(NEW.timestamp, NOW());
+  NEW.metadata := COALESCE(NEW.metadata, '{}'::jsonb);
+  SELECT hash INTO v_prev FROM public.audit_log ORDER BY seq DESC LIMIT 1;
+  NEW.prev_hash := v_prev;
+  NEW.hash := public.audit_row_hash(v_prev, NEW);
+  RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.chain_audit_log() FROM anon, public, authenticated;
+
+-- BEFORE triggers fire in name order: this must run after
+-- trg_stamp_audit_actor has settled user_id/user_name, or the hash would
+-- cover values that are then overwritten
+DROP TRIGGER IF EXISTS trg_zz_chain_audit_log ON public.audit_log;
+CREATE TRIGGER trg_zz_chain_audit_log
+  BEFORE INSERT ON public.audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION public.chain_audit_log();
+
+CREATE OR REPLACE FUNCTION public.guard_audit_log()
+RETURNS TRIGGER
+LANGUAGE plpgsql SET search_path = public
+AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only' USING ERRCODE = '42501';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.guard_audit_log() FROM anon, public;
+
+DROP TRIGGER IF EXISTS trg_guard_audit_log ON public.audit_log;
+CREATE TRIGGER trg_guard_audit_log
+  BEFORE UPDATE OR DELETE ON public.audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_audit_log();
+
+-- ----------------------------------------------------------------------------
+-- Row-change capture
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.record_audit_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_old JSONB := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+  v_new JSONB := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+  v_row JSONB;
+  v_id TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE' AND (v_old - 'updated_at') = (v_new - 'updated_at') THEN
+    RETURN NULL;
+  END IF;
+  v_row := COALESCE(v_new, v_old);
+  v_id := v_row->>'id';
+
+  INSERT INTO public.audit_log (
+    type, description, user_id, user_name,
+    table_name, operation, record_id, old_data, new_data,
+    item_id, client_id, package_id, pack_list_id, reservation_id
+  ) VALUES (
+    'row_' || lower(TG_OP),
+    format('%s %s %s', TG_TABLE_NAME, v_id,
+      CASE TG_OP WHEN 'INSERT' THEN 'created' WHEN 'UPDATE' THEN 'updated' ELSE 'deleted' END),
+    auth.uid(),
+    -- stamp_audit_actor fills in the app user; anything else (SQL editor,
+    -- service role) is named by its database role
+    'Database (' || COALESCE(auth.role(), session_user::text) || ')',
+    TG_TABLE_NAME,
+    TG_OP,
+    v_id,
+    v_old,
+    v_new,
+    CASE TG_TABLE_NAME WHEN 'inventory' THEN v_id WHEN 'reservations' THEN v_row->>'item_id' END,
+    CASE TG_TABLE_NAME WHEN 'clients' THEN v_id WHEN 'reservations' THEN v_row->>'client_id' END,
+    CASE TG_TABLE_NAME WHEN 'packages' THEN v_id END,
+    CASE TG_TABLE_NAME WHEN 'pack_lists' THEN v_id::uuid END,
+    CASE TG_TABLE_NAME WHEN 'reservations' THEN v_id::uuid END
+  );
+  RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_audit_change() FROM anon, public, authenticated;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'inventory', 'reservations', 'clients', 'packages', 'pack_lists', 'roles', 'users'
+  ] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_audit_%1$s ON public.%1$I', t);
+    EXECUTE format(
+      'CREATE TRIGGER trg_audit_%1$s AFTER INSERT OR UPDATE OR DELETE ON public.%1$I '
+      'FOR EACH ROW EXECUTE FUNCTION public.record_audit_change()',
+      t
+    );
+  END LOOP;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Chain check for the Audit Log page. Runs as the caller: admin_audit
+-- viewers already see every entry, anyone else is refused rather than told
+-- an empty chain is intact.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.verify_audit_chain()
+RETURNS TABLE (checked BIGINT, broken_seq BIGINT, reason TEXT)
+LANGUAGE plpgsql STABLE SET search_path = public
+AS $$
+DECLARE
+  r public.audit_log;
+  v_prev TEXT := NULL;
+  v_count BIGINT := 0;
+BEGIN
+  IF NOT has_permission('admin_audit', 'view') THEN
+    RAISE EXCEPTION 'Viewing the audit log requires admin_audit' USING ERRCODE = '42501';
+  END IF;
+
+  FOR r IN SELECT * FROM public.audit_log ORDER BY seq LOOP
+    v_count := v_count + 1;
+    IF r.prev_hash IS DISTINCT FROM v_prev THEN
+      RETURN QUERY SELECT v_count, r.seq, 'the entry before it was deleted or altered'::text;
+      RETURN;
+    END IF;
+    IF r.hash IS DISTINCT FROM public.audit_row_hash(v_prev, r) THEN
+      RETURN QUERY SELECT v_count, r.seq, 'the entry was edited after it was written'::text;
+      RETURN;
+    END IF;
+    v_prev := r.hash;
+  END LOOP;
+
+  RETURN QUERY SELECT v_count, NULL::bigint, NULL::text;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.verify_audit_chain() FROM anon, public;
+GRANT EXECUTE ON FUNCTION public.verify_audit_chain() TO authenticated;
@@ -0,0 +1,92 @@
+-- ============================================================================
+-- Per-item revision history
+--
+-- The audit log records that an inventory row changed; ItemDetail needs the
+-- item's own edit history in a shape it can replay — what moved, from what,
+-- to what — so it can show "this item as of date X" and put one field back.
+--
+--   item_revisions        one row per UPDATE of an inventory row that touched
+--                         an edited field, with {column: {from, to}} for each
+--   record_item_revision  AFTER UPDATE trigger on inventory that writes them
+--
+-- Written by the trigger rather than by inventoryService.update so that bulk
+-- edits, imports and the SQL editor land in the same history. Checkout state,
+-- counters and timestamps are left out: checkout_history already records
+-- who had the item, and reverting them by hand would desync the workflow.
+-- The image is left out too — replacing it deletes the old storage object,
+-- so its previous URL is not something anyone can go back to.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.item_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_id VARCHAR(20) NOT NULL REFERENCES public.inventory(id) ON DELETE CASCADE,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- No FK: removing a user must not rewrite the item's history
+  changed_by UUID,
+  changed_by_name VARCHAR(255),
+  changes JSONB NOT NULL
+);
+
+COMMENT ON COLUMN public.item_revisions.changes IS
+  '{db_column: {"from": old, "to": new}} for each edited column.';
+
+CREATE INDEX IF NOT EXISTS idx_item_revisions_item
+  ON public.item_revisions(item_id, changed_at DESC);
+
+ALTER TABLE public.item_revisions ENABLE ROW LEVEL SECURITY;
+-- Read-only to clients; rows only ever come from the trigger
+CREATE POLICY "read_item_revisions" ON public.item_revisions FOR SELECT TO authenticated
+  USING (has_permission('gear_list', 'view'));
+
+CREATE OR REPLACE FUNCTION public.record_item_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_old JSONB := to_jsonb(OLD);
+  v_new JSONB := to_jsonb(NEW);
+  v_changes JSONB := '{}'::jsonb;
+  v_key TEXT;
+BEGIN
+  FOR v_key IN SELECT jsonb_object_keys(v_new) LOOP
+    CONTINUE WHEN v_key = ANY (ARRAY[
+      'id', 'image', 'status',
+      'checked_out_to_name', 'checked_out_to_user_id', 'checked_out_date',
+      'due_back', 'checkout_project', 'checkout_client_id', 'quantity_out',
+      'view_count', 'checkout_count', 'created_at', 'updated_at'
+    ]);
+    IF v_old->v_key IS DISTINCT FROM v_new->v_key THEN
+      v_changes := v_changes || jsonb_build_object(
+        v_key, jsonb_build_object('from', v_old->v_key, 'to', v_new->v_key)
+      );
+    END IF;
+  END LOOP;
+
+  IF v_changes = '{}'::jsonb THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.item_revisions (item_id, changed_by, changed_by_name, changes)
+  VALUES (
+    NEW.id,
+    auth.uid(),
+    COALESCE(
+      (SELECT name FROM public.users WHERE id = auth.uid()),
+      'Database (' || COALESCE(auth.role(), session_user::text) || ')'
+    ),
+    v_changes
+  );
+  RETURN NULL;
+END;
+$$;
+
+-- Trigger fires as table owner regardless of grants; no client needs EXECUTE
+REVOKE EXECUTE ON FUNCTION public.record_item_revision() FROM anon, public, authenticated;
+
+DROP TRIGGER IF EXISTS trg_record_item_revision ON public.inventory;
+CREATE TRIGGER trg_record_item_revision
+  AFTER UPDATE ON public.inventory
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_item_revision();
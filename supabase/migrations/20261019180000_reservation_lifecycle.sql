@@ -0,0 +1,340 @@
+-- ============================================================================
+-- Reservation lifecycle: quote → hold → confirmed → out → returned
+--
+-- reservations.status was effectively 'confirmed' or 'cancelled', and
+-- everything that was not cancelled blocked the dates. Rental work needs
+-- the stages in between:
+--
+--   quote      priced for the client, blocks nothing
+--   hold       pencilled in; lapses at hold_expires_at unless confirmed
+--              (expire_reservation_holds, run by the daily job)
+--   confirmed  booked — the only stage that makes an item 'reserved' and
+--              that other bookings conflict with
+--   out        the gear was checked out against this row
+--   returned   the check-in closing that checkout came through
+--   cancelled  unchanged (soft cancel)
+--
+-- checkout_item / checkin_item record the reservation on their
+-- checkout_history rows, and a trigger on checkout_history moves the
+-- reservation. The RPCs stay SECURITY INVOKER, and cage staff who may check
+-- gear out but not edit the schedule would otherwise have the reservation
+-- UPDATE silently filtered away by RLS.
+--
+-- 'completed' was treated as closed by the reconcile job but nothing ever
+-- wrote it; any such rows become 'returned'.
+--
+-- Only serialized items move to out/returned here. Quantity-tracked items
+-- go through checkout_quantity, whose rows carry no reservation; their
+-- reservation rows stay 'confirmed' and simply end with their dates.
+-- ============================================================================
+
+ALTER TABLE public.reservations
+  ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.reservations.hold_expires_at IS
+  'When a hold lapses to cancelled if nobody confirms it; NULL holds never lapse.';
+
+UPDATE public.reservations SET status = 'returned' WHERE status = 'completed';
+UPDATE public.reservations SET status = 'confirmed' WHERE status IS NULL;
+
+ALTER TABLE public.reservations
+  ALTER COLUMN status SET NOT NULL,
+  ADD CONSTRAINT reservations_status_check
+    CHECK (status IN ('quote', 'hold', 'confirmed', 'out', 'returned', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_reservations_item_status
+  ON public.reservations(item_id, status);
+
+ALTER TABLE public.checkout_history
+  ADD COLUMN IF NOT EXISTS reservation_id UUID
+    REFERENCES public.reservations(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.checkout_history.reservation_id IS
+  'The reservation row this checkout picked up (and its check-in closed).';
+
+-- ----------------------------------------------------------------------------
+-- Check-out picks up a reservation
+-- ----------------------------------------------------------------------------
+-- p_reservation_id links the row the operator chose (checking out from the
+-- reservation). Without it — or when that row is no longer open, e.g. an
+-- offline checkout replayed after the hold was cancelled — the confirmed or
+-- held row for this item covering the checkout date is taken, so a plain
+-- check-out at the cage still moves the job along. New trailing argument,
+-- so the old signature goes first.
+DROP FUNCTION IF EXISTS public.checkout_item(character varying, uuid, character varying, character varying, character varying, character varying, date, date);
+
+CREATE FUNCTION public.checkout_item(
+  p_item_id VARCHAR,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_client_id VARCHAR DEFAULT NULL,
+  p_client_name VARCHAR DEFAULT NULL,
+  p_project VARCHAR DEFAULT NULL,
+  p_due_back DATE DEFAULT NULL,
+  p_checked_out_date DATE DEFAULT CURRENT_DATE,
+  p_reservation_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+  v_date DATE := COALESCE(p_checked_out_date, CURRENT_DATE);
+  v_reservation_id UUID;
+BEGIN
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  -- 'reserved' is checkout-able: that is how a reservation is picked up
+  IF v_item.status NOT IN ('available', 'reserved') THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked out', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  IF p_reservation_id IS NOT NULL THEN
+    SELECT id INTO v_reservation_id FROM reservations
+    WHERE id = p_reservation_id
+      AND item_id = p_item_id
+      AND status IN ('quote', 'hold', 'confirmed');
+  END IF;
+
+  IF v_reservation_id IS NULL THEN
+    SELECT id INTO v_reservation_id FROM reservations
+    WHERE item_id = p_item_id
+      AND status IN ('hold', 'confirmed')
+      AND (status <> 'hold' OR hold_expires_at IS NULL OR hold_expires_at > NOW())
+      AND start_date <= v_date
+      AND end_date >= v_date
+    ORDER BY (status = 'confirmed') DESC, start_date
+    LIMIT 1;
+  END IF;
+
+  UPDATE inventory
+  SET status = 'checked-out',
+      checked_out_to_user_id = p_user_id,
+      checked_out_to_name = p_user_name,
+      checkout_client_id = p_client_id,
+      checked_out_date = v_date,
+      due_back = p_due_back,
+      checkout_project = p_project,
+      checkout_count = COALESCE(checkout_count, 0) + 1
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, client_name, action,
+                                project, reservation_id)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), p_client_id, p_client_name,
+          'checkout', p_project, v_reservation_id)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object('item', to_jsonb(v_item), 'history', to_jsonb(v_history));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.checkout_item(character varying, uuid, character varying, character varying, character varying, character varying, date, date, uuid) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.checkout_item(character varying, uuid, character varying, character varying, character varying, character varying, date, date, uuid) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Check-in closes it
+-- ----------------------------------------------------------------------------
+-- Same body as 20261019140000; the check-in row carries the reservation of
+-- the checkout it closes (the item's latest checkout row).
+CREATE OR REPLACE FUNCTION public.checkin_item(
+  p_item_id VARCHAR,
+  p_user_id UUID DEFAULT NULL,
+  p_user_name VARCHAR DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_condition VARCHAR DEFAULT NULL,
+  p_damage_reported BOOLEAN DEFAULT false,
+  p_return_status VARCHAR DEFAULT NULL,
+  p_damage_description TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  v_item inventory%ROWTYPE;
+  v_history checkout_history%ROWTYPE;
+  v_client_id VARCHAR;
+  v_due_back DATE;
+  v_reservation_id UUID;
+BEGIN
+  SELECT * INTO v_item FROM inventory WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Item % no longer exists', p_item_id
+      USING ERRCODE = 'PT409', DETAIL = 'null';
+  END IF;
+
+  IF v_item.status <> 'checked-out' THEN
+    RAISE EXCEPTION 'Item % is % and cannot be checked in', p_item_id, v_item.status
+      USING ERRCODE = 'PT409', DETAIL = to_jsonb(v_item)::text;
+  END IF;
+
+  IF p_return_status IS NOT NULL AND p_return_status NOT IN ('available', 'reserved') THEN
+    RAISE EXCEPTION 'Invalid return status: %', p_return_status USING ERRCODE = '22023';
+  END IF;
+
+  -- Captured before the borrower fields are cleared
+  v_client_id := v_item.checkout_client_id;
+  v_due_back := v_item.due_back;
+
+  SELECT reservation_id INTO v_reservation_id FROM checkout_history
+  WHERE item_id = p_item_id AND action = 'checkout'
+  ORDER BY timestamp DESC
+  LIMIT 1;
+
+  UPDATE inventory
+  SET status = CASE
+        WHEN p_damage_reported THEN 'needs-attention'
+        ELSE COALESCE(p_return_status, 'available')
+      END,
+      condition = COALESCE(p_condition, condition),
+      checked_out_to_user_id = NULL,
+      checked_out_to_name = NULL,
+      checkout_client_id = NULL,
+      checked_out_date = NULL,
+      due_back = NULL,
+      checkout_project = NULL
+  WHERE id = p_item_id
+  RETURNING * INTO v_item;
+
+  INSERT INTO checkout_history (item_id, user_id, user_name, client_id, action, notes,
+                                condition_at_action, due_back, damage_reported,
+                                damage_description, reservation_id)
+  VALUES (p_item_id, p_user_id, COALESCE(p_user_name, 'Unknown'), v_client_id, 'checkin',
+          p_notes, p_condition, v_due_back, COALESCE(p_damage_reported, false),
+          CASE WHEN p_damage_reported THEN NULLIF(trim(p_damage_description), '') END,
+          v_reservation_id)
+  RETURNING * INTO v_history;
+
+  RETURN jsonb_build_object('item', to_jsonb(v_item), 'history', to_jsonb(v_history));
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- checkout_history → reservation stage
+-- ----------------------------------------------------------------------------
+-- Writing the history row is already gated on gear_list edit by RLS; the
+-- stage follows from it as the table owner.
+CREATE OR REPLACE FUNCTION public.sync_reservation_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.action = 'checkout' THEN
+    UPDATE reservations SET status = 'out', hold_expires_at = NULL
+    WHERE id = NEW.reservation_id AND status IN ('quote', 'hold', 'confirmed');
+  ELSIF NEW.action = 'checkin' THEN
+    UPDATE reservations SET status = 'returned'
+    WHERE id = NEW.reservation_id AND status = 'out';
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sync_reservation_stage() FROM anon, public, authenticated;
+
+DROP TRIGGER IF EXISTS trg_sync_reservation_stage ON public.checkout_history;
+CREATE TRIGGER trg_sync_reservation_stage
+  AFTER INSERT ON public.checkout_history
+  FOR EACH ROW
+  WHEN (NEW.reservation_id IS NOT NULL)
+  EXECUTE FUNCTION public.sync_reservation_stage();
+
+-- ----------------------------------------------------------------------------
+-- Holds lapse
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.expire_reservation_holds()
+RETURNS TABLE(reservation_id uuid, item_id varchar)
+LANGUAGE sql SECURITY DEFINER SET search_path TO 'public'
+AS $$
+  UPDATE public.reservations r
+  SET status = 'cancelled', updated_at = NOW()
+  WHERE r.status = 'hold'
+    AND r.hold_expires_at IS NOT NULL
+    AND r.hold_expires_at <= NOW()
+  RETURNING r.id, r.item_id;
+$$;
+REVOKE ALL ON FUNCTION public.expire_reservation_holds() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_reservation_holds() TO service_role;
+
+-- Only confirmed rows make an item 'reserved' now: quotes and holds block
+-- nothing, and an 'out' row's item is already checked out. Lapsed holds are
+-- cancelled first so the daily job needs no extra call.
+CREATE OR REPLACE FUNCTION public.reconcile_reservation_statuses()
+RETURNS TABLE(item_id varchar, from_status varchar, to_status varchar)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path TO 'public'
+AS $$
+BEGIN
+  PERFORM public.expire_reservation_holds();
+
+  RETURN QUERY
+  WITH active AS (
+    SELECT DISTINCT r.item_id
+    FROM public.reservations r
+    WHERE r.status = 'confirmed'
+      AND r.start_date <= CURRENT_DATE
+      AND r.end_date >= CURRENT_DATE
+  ),
+  to_available AS (
+    UPDATE public.inventory i
+    SET status = 'available',
+        checked_out_to_user_id = NULL,
+        checked_out_to_name = NULL,
+        checkout_client_id = NULL,
+        checked_out_date = NULL,
+        due_back = NULL,
+        checkout_project = NULL,
+        updated_at = NOW()
+    WHERE i.status = 'reserved'
+      AND NOT EXISTS (SELECT 1 FROM active a WHERE a.item_id = i.id)
+    RETURNING i.id, 'reserved'::varchar AS from_status, 'available'::varchar AS to_status
+  ),
+  to_reserved AS (
+    UPDATE public.inventory i
+    SET status = 'reserved', updated_at = NOW()
+    WHERE i.status = 'available'
+      AND EXISTS (SELECT 1 FROM active a WHERE a.item_id = i.id)
+    RETURNING i.id, 'available'::varchar AS from_status, 'reserved'::varchar AS to_status
+  )
+  SELECT * FROM to_available
+  UNION ALL
+  SELECT * FROM to_reserved;
+END;
+$$;
+
+-- Pick-up reminders go out for booked jobs only, not quotes or pencilled holds
+CREATE OR REPLACE FUNCTION public.get_reservations_starting_soon(days_ahead integer DEFAULT 7)
+RETURNS TABLE(group_key text, reservation_id uuid, project varchar, start_date date, end_date date,
+              days_until_start integer, location varchar, contact_name varchar,
+              contact_email varchar, client_id varchar, item_count integer,
+              first_item_id varchar, first_item_name varchar, first_item_brand varchar)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path TO 'public'
+AS $$
+  WITH rows AS (
+    SELECT r.*, i.name AS item_name, i.brand AS item_brand,
+           COALESCE(r.group_id::text, r.project || '|' || r.start_date || '|' || r.end_date || '|' || COALESCE(r.contact_email, '')) AS gk
+    FROM public.reservations r
+    JOIN public.inventory i ON i.id = r.item_id
+    WHERE r.status = 'confirmed'
+      AND r.start_date >= CURRENT_DATE
+      AND r.start_date <= CURRENT_DATE + days_ahead
+      AND r.contact_email IS NOT NULL AND r.contact_email <> ''
+  )
+  SELECT DISTINCT ON (gk)
+    gk, id, project, start_date, end_date, (start_date - CURRENT_DATE)::integer, location,
+    contact_name, contact_email, client_id,
+    (SELECT count(*)::integer FROM rows r2 WHERE r2.gk = rows.gk),
+    item_id, item_name, item_brand
+  FROM rows
+  ORDER BY gk, item_id;
+$$;
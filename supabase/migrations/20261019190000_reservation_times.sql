@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Hour-level reservation times and same-day turnarounds
+--
+-- start_date/end_date are DATEs, so a booking held whole days: a lens back
+-- at 9am could not be booked for a 2pm shoot the same day. Reservations get
+-- optional start_time/end_time. A row without them keeps its whole-day
+-- meaning (start of the first day through end of the last), so existing
+-- rows are unchanged.
+--
+-- categories.turnaround_minutes is the prep time gear needs after a timed
+-- return before it can go out on another timed booking — cleaning, charging,
+-- checking the sensor. The app applies it when it looks for conflicts.
+--
+-- check_item_availability / get_available_items stay day-based. They are
+-- not called by the app, and whole days is the conservative answer.
+-- ============================================================================
+
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS start_time TIME,
+  ADD COLUMN IF NOT EXISTS end_time TIME;
+
+-- A same-day booking must end after it starts
+ALTER TABLE reservations
+  DROP CONSTRAINT IF EXISTS reservations_time_order;
+ALTER TABLE reservations
+  ADD CONSTRAINT reservations_time_order CHECK (
+    start_date < end_date
+    OR start_time IS NULL
+    OR end_time IS NULL
+    OR end_time > start_time
+  );
+
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS turnaround_minutes INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE categories
+  DROP CONSTRAINT IF EXISTS categories_turnaround_minutes_range;
+ALTER TABLE categories
+  ADD CONSTRAINT categories_turnaround_minutes_range
+  CHECK (turnaround_minutes BETWEEN 0 AND 1440);
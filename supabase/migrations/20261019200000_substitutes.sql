@@ -0,0 +1,104 @@
+-- ============================================================================
+-- Substitute suggestions: key specs and equivalence groups
+--
+-- When a reserved item is already booked, the reservation modal proposes
+-- free stand-ins. Two kinds:
+--
+-- 1. specs.substitute_key marks the spec fields a stand-in must match —
+--    lens mount, sensor size, power output. Another item in the same
+--    category with equal values for every key field the booked item has
+--    filled in counts. The canonical taxonomy's obvious keys are seeded.
+-- 2. equivalence_groups are admin-declared sets of identical units (three
+--    Sony 24-70 GMs). Members are offered first, whatever their specs say.
+--    An item belongs to at most one group — item_id is the members table's
+--    key, so adding it to another group moves it.
+--
+-- Both are edited under the admin_specs permission, like the rest of the
+-- spec taxonomy; everyone signed in can read them.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. Key specs
+-- ----------------------------------------------------------------------------
+ALTER TABLE specs
+  ADD COLUMN IF NOT EXISTS substitute_key BOOLEAN NOT NULL DEFAULT false;
+
+-- replace_specs carries the flag (search_path stays pinned in the definition)
+CREATE OR REPLACE FUNCTION replace_specs(p_category VARCHAR, p_specs JSONB)
+RETURNS void
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM specs WHERE category_name = p_category;
+
+  IF p_specs IS NOT NULL THEN
+    INSERT INTO specs (category_name, name, required, sort_order, field_type, unit, options,
+                       substitute_key)
+    SELECT p_category,
+           x.value->>'name',
+           COALESCE((x.value->>'required')::BOOLEAN, false),
+           (x.ordinality - 1)::INTEGER,
+           COALESCE(NULLIF(x.value->>'type', ''), 'text'),
+           NULLIF(x.value->>'unit', ''),
+           CASE WHEN jsonb_typeof(x.value->'options') = 'array'
+                THEN x.value->'options' ELSE NULL END,
+           COALESCE((x.value->>'substituteKey')::BOOLEAN, false)
+    FROM jsonb_array_elements(p_specs) WITH ORDINALITY AS x(value, ordinality);
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE specs SET substitute_key = true
+WHERE (category_name, name) IN (
+  ('Cameras', 'Sensor Size'),
+  ('Cameras', 'Lens Mount'),
+  ('Lenses', 'Focal Length'),
+  ('Lenses', 'Lens Mount'),
+  ('Lenses', 'Format Coverage'),
+  ('Lighting', 'Power Output'),
+  ('Lighting', 'Mount Type'),
+  ('Power', 'Power Type'),
+  ('Power', 'Mount Type')
+);
+
+-- ----------------------------------------------------------------------------
+-- 2. Equivalence groups
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.equivalence_groups (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_equivalence_groups_updated_at BEFORE UPDATE ON equivalence_groups
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TABLE IF NOT EXISTS public.equivalence_group_items (
+  item_id VARCHAR(20) PRIMARY KEY REFERENCES inventory(id) ON DELETE CASCADE,
+  group_id UUID NOT NULL REFERENCES equivalence_groups(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_equivalence_group_items_group
+  ON equivalence_group_items(group_id);
+
+ALTER TABLE equivalence_groups ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_equivalence_groups" ON equivalence_groups FOR SELECT TO authenticated
+  USING (true);
+CREATE POLICY "write_equivalence_groups" ON equivalence_groups FOR INSERT TO authenticated
+  WITH CHECK (has_permission('admin_specs', 'edit'));
+CREATE POLICY "edit_equivalence_groups" ON equivalence_groups FOR UPDATE TO authenticated
+  USING (has_permission('admin_specs', 'edit'));
+CREATE POLICY "delete_equivalence_groups" ON equivalence_groups FOR DELETE TO authenticated
+  USING (has_permission('admin_specs', 'edit'));
+
+ALTER TABLE equivalence_group_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_equivalence_group_items" ON equivalence_group_items FOR SELECT
+  TO authenticated USING (true);
+CREATE POLICY "write_equivalence_group_items" ON equivalence_group_items FOR INSERT
+  TO authenticated WITH CHECK (has_permission('admin_specs', 'edit'));
+CREATE POLICY "edit_equivalence_group_items" ON equivalence_group_items FOR UPDATE
+  TO authenticated USING (has_permission('admin_specs', 'edit'));
+CREATE POLICY "delete_equivalence_group_items" ON equivalence_group_items FOR DELETE
+  TO authenticated USING (has_permission('admin_specs', 'edit'));
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- Recurring reservations
+-- A standing booking (weekly podcast, monthly corporate shoot) is saved as
+-- one reservation group per date. series_id ties those groups together the
+-- way group_id ties a group's rows; recurrence keeps the rule that made the
+-- series ({ "frequency": "weekly", "count": 8 } or { ..., "until": date })
+-- so the detail view can say how it repeats. Both NULL for one-off
+-- bookings, which is every row written before this migration.
+-- =============================================================================
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS series_id UUID;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS recurrence JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_reservations_series ON reservations(series_id)
+  WHERE series_id IS NOT NULL;
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Calendar feeds: tokenized iCalendar subscriptions
+--
+-- A row is a secret feed URL for the calendar-feed edge function. Google or
+-- Outlook fetches it without signing in, so the token IS the credential —
+-- 64 hex characters from two random UUIDs. The function reads it with the
+-- service role; nobody looks feeds up by token through the API.
+--
+-- client_id NULL is the owner's own feed (what they booked and have out);
+-- otherwise it is that client's reservations and gear. One feed per owner
+-- and scope. include_maintenance adds scheduled maintenance for those who
+-- look after the gear.
+--
+-- Rows are never edited: resetting a link deletes the feed and makes a new
+-- one, so the old URL stops working at once. The function re-checks the
+-- owner's role on every fetch — losing clients access empties a client
+-- feed without anyone having to revoke it.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token TEXT NOT NULL UNIQUE
+    DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  client_id VARCHAR(20) REFERENCES clients(id) ON DELETE CASCADE,
+  include_maintenance BOOLEAN NOT NULL DEFAULT false,
+  last_fetched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_owner_scope
+  ON calendar_feeds(owner_id, COALESCE(client_id, ''));
+
+COMMENT ON COLUMN public.calendar_feeds.token IS
+  'Secret in the subscription URL. Reset by deleting the feed and creating a new one.';
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_own_calendar_feeds" ON calendar_feeds FOR SELECT TO authenticated
+  USING (owner_id = auth.uid());
+CREATE POLICY "create_own_calendar_feeds" ON calendar_feeds FOR INSERT TO authenticated
+  WITH CHECK (
+    owner_id = auth.uid()
+    AND (client_id IS NULL OR has_permission('clients', 'view'))
+    AND (NOT include_maintenance OR has_permission('gear_list', 'edit'))
+  );
+CREATE POLICY "delete_own_calendar_feeds" ON calendar_feeds FOR DELETE TO authenticated
+  USING (owner_id = auth.uid());
@@ -0,0 +1,79 @@
+-- ============================================================================
+-- Client request portal
+--
+-- A client gets a secret link (client_portal_links) to a public page where
+-- they pick dates, browse the gear staff chose to offer (portal_catalog)
+-- and send a request. The request becomes a hold on the client — marked
+-- requested_via_portal — for staff to confirm or turn down as usual.
+--
+-- Nothing here is readable without signing in. The page talks only to the
+-- client-portal edge function, which resolves the token with the service
+-- role and returns the catalog and availability; it never returns another
+-- client's reservations, only whether an item is free. Links are managed
+-- under the clients permission; revoking one deletes it, and an expired
+-- link is refused by the function.
+--
+-- Portal holds carry no hold_expires_at: a request nobody has answered yet
+-- should not lapse quietly.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. What clients can browse
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.portal_catalog (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id VARCHAR(20) REFERENCES inventory(id) ON DELETE CASCADE,
+  package_id VARCHAR(50) REFERENCES packages(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT portal_catalog_one_target CHECK ((item_id IS NULL) <> (package_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portal_catalog_item
+  ON portal_catalog(item_id) WHERE item_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portal_catalog_package
+  ON portal_catalog(package_id) WHERE package_id IS NOT NULL;
+
+ALTER TABLE portal_catalog ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_portal_catalog" ON portal_catalog FOR SELECT TO authenticated
+  USING (true);
+CREATE POLICY "write_portal_catalog" ON portal_catalog FOR INSERT TO authenticated
+  WITH CHECK (has_permission('gear_list', 'edit'));
+CREATE POLICY "delete_portal_catalog" ON portal_catalog FOR DELETE TO authenticated
+  USING (has_permission('gear_list', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- 2. Links handed to clients
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.client_portal_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token TEXT NOT NULL UNIQUE
+    DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  client_id VARCHAR(20) NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by_name VARCHAR(255),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_portal_links_client ON client_portal_links(client_id);
+
+COMMENT ON COLUMN public.client_portal_links.token IS
+  'Secret in the portal URL. Only the client-portal edge function looks links up by it.';
+
+ALTER TABLE client_portal_links ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_client_portal_links" ON client_portal_links FOR SELECT TO authenticated
+  USING (has_permission('clients', 'view'));
+CREATE POLICY "write_client_portal_links" ON client_portal_links FOR INSERT TO authenticated
+  WITH CHECK (has_permission('clients', 'edit'));
+CREATE POLICY "delete_client_portal_links" ON client_portal_links FOR DELETE TO authenticated
+  USING (has_permission('clients', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- 3. Requests land as marked holds
+-- ----------------------------------------------------------------------------
+ALTER TABLE public.reservations
+  ADD COLUMN IF NOT EXISTS requested_via_portal BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.reservations.requested_via_portal IS
+  'Created by a client through the request portal; staff confirm it like any hold.';
@@ -0,0 +1,125 @@
+-- ============================================================================
+-- Signed checkout agreements
+--
+-- At checkout (and again at check-in) the borrower signs on screen under the
+-- terms from Rates & Tax settings. The signed agreement keeps its own copy of
+-- everything it covered — terms as worded that day, each item with serial
+-- and replacement value, the signature image — so later edits to the terms
+-- or the inventory never change what someone put their name to. Rows are
+-- never updated; one is only deleted while no checkout points at it (the
+-- checkout it was signed for did not go through).
+--
+-- checkout_history rows carry agreement_id. checkout_history has no UPDATE
+-- policy, so the link is written by link_checkout_agreement(), which only
+-- fills an empty agreement_id on rows for items the agreement lists.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. Terms template and whether a signature is mandatory
+-- ----------------------------------------------------------------------------
+ALTER TABLE public.pricing_settings
+  ADD COLUMN IF NOT EXISTS agreement_terms TEXT,
+  ADD COLUMN IF NOT EXISTS require_agreement BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.pricing_settings.agreement_terms IS
+  'Checkout agreement wording. {borrower}, {company}, {due_date} and {total_value} are filled in when signing; empty uses the built-in terms.';
+COMMENT ON COLUMN public.pricing_settings.require_agreement IS
+  'Checkout and check-in cannot be confirmed without the borrower''s signature.';
+
+-- ----------------------------------------------------------------------------
+-- 2. Agreements
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.checkout_agreements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('checkout', 'checkin')),
+  signer_name VARCHAR(255) NOT NULL,
+  client_id VARCHAR(20) REFERENCES clients(id) ON DELETE SET NULL,
+  client_name VARCHAR(255),
+  project VARCHAR(255),
+  due_back DATE,
+  -- [{id, name, serialNumber, value, quantity, condition}] as signed
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  terms TEXT NOT NULL,
+  signature TEXT NOT NULL CHECK (signature LIKE 'data:image/png;base64,%'),
+  signed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by_name VARCHAR(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkout_agreements_signed_at
+  ON checkout_agreements(signed_at DESC);
+
+-- Signing and withdrawing go with checking gear out and in, which takes gear
+-- edit (the inventory UPDATE policy); reading follows gear access.
+ALTER TABLE checkout_agreements ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_checkout_agreements" ON checkout_agreements FOR SELECT TO authenticated
+  USING (has_permission('gear_list', 'view'));
+CREATE POLICY "write_checkout_agreements" ON checkout_agreements FOR INSERT TO authenticated
+  WITH CHECK (has_permission('gear_list', 'edit'));
+CREATE POLICY "delete_checkout_agreements" ON checkout_agreements FOR DELETE TO authenticated
+  USING (
+    has_permission('gear_list', 'edit')
+    AND NOT EXISTS (SELECT 1 FROM checkout_history h WHERE h.agreement_id = checkout_agreements.id)
+  );
+
+-- ----------------------------------------------------------------------------
+-- 3. History rows point at what was signed for them
+-- ----------------------------------------------------------------------------
+ALTER TABLE public.checkout_history
+  ADD COLUMN IF NOT EXISTS agreement_id UUID REFERENCES checkout_agreements(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_checkout_history_agreement
+  ON checkout_history(agreement_id) WHERE agreement_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.link_checkout_agreement(
+  p_agreement_id UUID,
+  p_history_ids UUID[]
+)
+RETURNS INTEGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_items JSONB;
+  v_count INTEGER;
+BEGIN
+  IF NOT has_permission('gear_list', 'edit') THEN
+    RAISE EXCEPTION 'Linking an agreement requires gear edit access' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT items INTO v_items FROM checkout_agreements WHERE id = p_agreement_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Agreement not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE checkout_history h
+     SET agreement_id = p_agreement_id
+   WHERE h.id = ANY(p_history_ids)
+     AND h.agreement_id IS NULL
+     AND EXISTS (SELECT 1 FROM jsonb_array_elements(v_items) i WHERE i->>'id' = h.item_id);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.link_checkout_agreement(uuid, uuid[]) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.link_checkout_agreement(uuid, uuid[]) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- 4. Backup restore: agreements before the history that points at them
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restorable_tables()
+RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT ARRAY[
+    'pricing_settings',
+    'locations', 'categories', 'specs', 'clients', 'client_notes',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_agreements', 'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations',
+    'invoices', 'invoice_lines', 'invoice_payments'
+  ]::TEXT[];
+$$;
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- Pre-checkout readiness checks
+--
+-- Checkout only looked at status: an available item went out even with a
+-- calibration overdue, a repair open, its required accessories left on the
+-- shelf or a borrower who still had overdue gear. The app now evaluates
+-- readiness checks before checkout; each category decides per check
+-- whether it is off, a warning, or blocks the checkout until the operator
+-- overrides it with a reason (written to the audit log).
+--
+-- open_damage_reports answers the one check the app cannot see from the
+-- state it already holds: whether an item's last return reported damage
+-- that no completed maintenance has dealt with since. It runs as the
+-- caller, so RLS on checkout_history and maintenance_records applies.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. Per-category rule levels
+-- ----------------------------------------------------------------------------
+ALTER TABLE public.categories
+  ADD COLUMN IF NOT EXISTS readiness_rules JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN public.categories.readiness_rules IS
+  'Readiness check → off | warn | block, keyed maintenance, damage, accessories, '
+  'borrowerOverdue, condition. A missing key means warn.';
+
+-- ----------------------------------------------------------------------------
+-- 2. Open damage reports
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.open_damage_reports(p_item_ids VARCHAR[])
+RETURNS TABLE (item_id VARCHAR, reported_at TIMESTAMPTZ, description TEXT)
+LANGUAGE sql STABLE SET search_path = public
+AS $$
+  SELECT last.item_id, last.timestamp, last.damage_description
+  FROM (
+    SELECT DISTINCT ON (h.item_id)
+           h.item_id, h.timestamp, h.damage_reported, h.damage_description
+      FROM checkout_history h
+     WHERE h.item_id = ANY(p_item_ids)
+       AND h.action = 'checkin'
+     ORDER BY h.item_id, h.timestamp DESC
+  ) last
+  WHERE last.damage_reported
+    AND NOT EXISTS (
+      SELECT 1
+        FROM maintenance_records m
+       WHERE m.item_id = last.item_id
+         AND m.status = 'completed'
+         AND COALESCE(m.completed_date, m.updated_at::date) >= last.timestamp::date
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.open_damage_reports(character varying[]) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.open_damage_reports(character varying[]) TO authenticated;
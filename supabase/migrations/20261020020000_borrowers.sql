@@ -0,0 +1,282 @@
+-- ============================================================================
+-- Borrower accounts
+--
+-- A borrower used to be whatever was typed into the checkout form
+-- (checked_out_to_name), with checkout_client_id / checked_out_to_user_id
+-- guessed alongside it. borrowers is the person behind the name: crew,
+-- freelancers, students. It holds their contact details, how their ID was
+-- verified, how much gear they may hold at once (items and replacement
+-- value), the deposit they have to leave, and a blocked flag. The checkout
+-- form enforces the block and the limits.
+--
+-- The checkout RPCs keep their signatures. link_checkout_borrower() stamps
+-- borrower_id onto the history rows a checkout wrote, and onto the item
+-- while it is out, the same way link_checkout_agreement() does. A trigger
+-- clears the item's borrower_id whenever a check-in clears the name.
+--
+-- borrower_history() lists everything a borrower has taken. Each serialized
+-- checkout is paired with the check-in that closed it, so late returns can
+-- be counted. Rows from before accounts existed match on the name.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. Borrowers
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.borrowers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'crew'
+    CHECK (type IN ('crew', 'freelancer', 'student', 'other')),
+  organization VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  -- The app account this borrower signs in with, if any
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  id_verification TEXT,
+  id_verified_at DATE,
+  max_items INTEGER CHECK (max_items IS NULL OR max_items > 0),
+  max_value NUMERIC(12, 2) CHECK (max_value IS NULL OR max_value > 0),
+  deposit_required NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (deposit_required >= 0),
+  blocked BOOLEAN NOT NULL DEFAULT false,
+  blocked_reason TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON COLUMN public.borrowers.id_verification IS
+  'How identity was checked (document type, last digits, who checked it). Never the document itself.';
+COMMENT ON COLUMN public.borrowers.max_items IS
+  'Most serialized items out at once; NULL means no limit.';
+COMMENT ON COLUMN public.borrowers.max_value IS
+  'Most replacement value out at once; NULL means no limit.';
+
+CREATE INDEX IF NOT EXISTS idx_borrowers_name ON borrowers(lower(name));
+
+CREATE TRIGGER update_borrowers_updated_at BEFORE UPDATE ON borrowers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- The accounts hold contact details and how an ID was verified, so reading
+-- them follows client access like managing them does. A role without it
+-- checks out by typed name, with no account to hold it to.
+ALTER TABLE borrowers ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_borrowers" ON borrowers FOR SELECT TO authenticated
+  USING (has_permission('clients', 'view'));
+CREATE POLICY "write_borrowers" ON borrowers FOR INSERT TO authenticated
+  WITH CHECK (has_permission('clients', 'edit'));
+CREATE POLICY "edit_borrowers" ON borrowers FOR UPDATE TO authenticated
+  USING (has_permission('clients', 'edit'));
+CREATE POLICY "remove_borrowers" ON borrowers FOR DELETE TO authenticated
+  USING (has_permission('clients', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- 2. Checkouts point at the borrower
+-- ----------------------------------------------------------------------------
+ALTER TABLE public.inventory
+  ADD COLUMN IF NOT EXISTS checked_out_to_borrower_id UUID
+    REFERENCES borrowers(id) ON DELETE SET NULL;
+
+ALTER TABLE public.checkout_history
+  ADD COLUMN IF NOT EXISTS borrower_id UUID REFERENCES borrowers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_borrower
+  ON inventory(checked_out_to_borrower_id) WHERE checked_out_to_borrower_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_checkout_history_borrower
+  ON checkout_history(borrower_id) WHERE borrower_id IS NOT NULL;
+
+-- Check-in (and every other path that releases an item) clears the name;
+-- the account goes with it
+CREATE OR REPLACE FUNCTION public.clear_checkout_borrower()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.checked_out_to_name IS NULL THEN
+    NEW.checked_out_to_borrower_id := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.clear_checkout_borrower() FROM anon, public, authenticated;
+
+CREATE TRIGGER inventory_clear_checkout_borrower BEFORE UPDATE ON inventory
+  FOR EACH ROW EXECUTE FUNCTION clear_checkout_borrower();
+
+-- checkout_history has no UPDATE policy, so the link runs as definer and
+-- asks for gear_list edit itself, as the checkout it belongs to did. It only
+-- fills an empty borrower_id, and only marks an item that is still out under
+-- that checkout's name.
+CREATE OR REPLACE FUNCTION public.link_checkout_borrower(
+  p_borrower_id UUID,
+  p_history_ids UUID[]
+)
+RETURNS INTEGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT has_permission('gear_list', 'edit') THEN
+    RAISE EXCEPTION 'Linking a borrower requires gear edit access' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM borrowers WHERE id = p_borrower_id) THEN
+    RAISE EXCEPTION 'Borrower not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE checkout_history h
+     SET borrower_id = p_borrower_id
+   WHERE h.id = ANY(p_history_ids)
+     AND h.action IN ('checkout', 'consume')
+     AND h.borrower_id IS NULL;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  UPDATE inventory i
+     SET checked_out_to_borrower_id = p_borrower_id
+    FROM checkout_history h
+   WHERE h.id = ANY(p_history_ids)
+     AND h.action = 'checkout'
+     AND h.quantity IS NULL
+     AND i.id = h.item_id
+     AND i.status = 'checked-out'
+     AND i.checked_out_to_name = h.user_name
+     AND i.checked_out_to_borrower_id IS NULL;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.link_checkout_borrower(uuid, uuid[]) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.link_checkout_borrower(uuid, uuid[]) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- 3. Borrower history
+-- ----------------------------------------------------------------------------
+-- One row per checkout or consumption. For serialized items, returned_at and
+-- due_back come from the check-in that closed the checkout; while the item is
+-- still out, due_back is the item's current due date. Quantity rows carry no
+-- return: partial returns don't map back onto one hand-off.
+CREATE OR REPLACE FUNCTION public.borrower_history(p_borrower_id UUID)
+RETURNS TABLE (
+  history_id UUID,
+  item_id VARCHAR,
+  item_name VARCHAR,
+  action VARCHAR,
+  quantity INTEGER,
+  project VARCHAR,
+  client_name VARCHAR,
+  checked_out_at TIMESTAMPTZ,
+  due_back DATE,
+  returned_at TIMESTAMPTZ
+)
+LANGUAGE sql STABLE SET search_path = public
+AS $$
+  SELECT h.id, h.item_id, i.name, h.action, h.quantity, h.project, h.client_name,
+         h.timestamp,
+         CASE
+           WHEN h.quantity IS NOT NULL THEN NULL
+           WHEN r.timestamp IS NOT NULL THEN r.due_back
+           ELSE i.due_back
+         END,
+         r.timestamp
+    FROM borrowers b
+    JOIN checkout_history h
+      ON h.action IN ('checkout', 'consume')
+     AND (h.borrower_id = b.id
+          OR (h.borrower_id IS NULL AND lower(trim(h.user_name)) = lower(trim(b.name))))
+    JOIN inventory i ON i.id = h.item_id
+    LEFT JOIN LATERAL (
+      SELECT c.timestamp, c.due_back
+        FROM checkout_history c
+       WHERE h.quantity IS NULL
+         AND h.action = 'checkout'
+         AND c.item_id = h.item_id
+         AND c.action = 'checkin'
+         AND c.timestamp > h.timestamp
+       ORDER BY c.timestamp
+       LIMIT 1
+    ) r ON true
+   WHERE b.id = p_borrower_id
+   ORDER BY h.timestamp DESC;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.borrower_history(uuid) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.borrower_history(uuid) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- 4. Backup restore: borrowers before the inventory and history that point
+--    at them
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restorable_tables()
+RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT ARRAY[
+    'pricing_settings',
+    'locations', 'categories', 'specs', 'clients', 'client_notes', 'borrowers',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_agreements', 'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations',
+    'invoices', 'invoice_lines', 'invoice_payments'
+  ]::TEXT[];
+$$;
+
+-- ----------------------------------------------------------------------------
+-- 5. Item revisions leave the borrower link out with the rest of the
+--    checkout state. Otherwise every linked checkout and every check-in that
+--    clears it files a revision, and reverting one would put a stale borrower
+--    back on the item.
+-- ----------------------------------------------------------------------------
+-- Same body as 20261019170000, with checked_out_to_borrower_id skipped
+CREATE OR REPLACE FUNCTION public.record_item_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_old JSONB := to_jsonb(OLD);
+  v_new JSONB := to_jsonb(NEW);
+  v_changes JSONB := '{}'::jsonb;
+  v_key TEXT;
+BEGIN
+  FOR v_key IN SELECT jsonb_object_keys(v_new) LOOP
+    CONTINUE WHEN v_key = ANY (ARRAY[
+      'id', 'image', 'status',
+      'checked_out_to_name', 'checked_out_to_user_id', 'checked_out_to_borrower_id',
+      'checked_out_date', 'due_back', 'checkout_project', 'checkout_client_id', 'quantity_out',
+      'view_count', 'checkout_count', 'created_at', 'updated_at'
+    ]);
+    IF v_old->v_key IS DISTINCT FROM v_new->v_key THEN
+      v_changes := v_changes || jsonb_build_object(
+        v_key, jsonb_build_object('from', v_old->v_key, 'to', v_new->v_key)
+      );
+    END IF;
+  END LOOP;
+
+  IF v_changes = '{}'::jsonb THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.item_revisions (item_id, changed_by, changed_by_name, changes)
+  VALUES (
+    NEW.id,
+    auth.uid(),
+    COALESCE(
+      (SELECT name FROM public.users WHERE id = auth.uid()),
+      'Database (' || COALESCE(auth.role(), session_user::text) || ')'
+    ),
+    v_changes
+  );
+  RETURN NULL;
+END;
+$$;
+
+-- Trigger fires as table owner regardless of grants; no client needs EXECUTE
+REVOKE EXECUTE ON FUNCTION public.record_item_revision() FROM anon, public, authenticated;
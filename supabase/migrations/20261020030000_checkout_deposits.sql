@@ -0,0 +1,102 @@
+-- ============================================================================
+-- Checkout deposits
+--
+-- Freelancers leave a deposit before gear goes out, and until now it was
+-- kept in a spreadsheet. checkout_deposits is that ledger. Each row records
+-- what was taken (amount, method, reference), who it was taken from and
+-- which serialized items it covers. It then records how it ended:
+--   held                 - still with us
+--   refunded             - handed back in full
+--   partially_refunded   - handed back less a deduction (damage on return)
+--   forfeited            - kept in full
+--
+-- The deposit is written once the checkout has gone through, so a refused
+-- checkout leaves nothing behind. It is settled at check-in, or later from
+-- the ledger. Settled rows are final: the policy only lets held rows
+-- change, and the checks keep the status, deduction and settlement stamp
+-- consistent with each other.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.checkout_deposits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  borrower_id UUID REFERENCES borrowers(id) ON DELETE SET NULL,
+  -- Copied from the checkout, so the ledger still reads after the account goes
+  borrower_name VARCHAR(255) NOT NULL,
+  client_id VARCHAR(20) REFERENCES clients(id) ON DELETE SET NULL,
+  project VARCHAR(255),
+  item_ids TEXT[] NOT NULL DEFAULT '{}',
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  method VARCHAR(20) NOT NULL DEFAULT 'cash'
+    CHECK (method IN ('cash', 'card', 'transfer', 'check', 'other')),
+  reference VARCHAR(255),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  received_by_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'held'
+    CHECK (status IN ('held', 'refunded', 'partially_refunded', 'forfeited')),
+  deducted_amount NUMERIC(12, 2) NOT NULL DEFAULT 0
+    CHECK (deducted_amount >= 0 AND deducted_amount <= amount),
+  deduction_reason TEXT,
+  settled_at TIMESTAMPTZ,
+  settled_by_name VARCHAR(255),
+  settlement_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT checkout_deposits_settled_stamp CHECK ((status = 'held') = (settled_at IS NULL)),
+  CONSTRAINT checkout_deposits_deduction_matches_status CHECK (
+    CASE status
+      WHEN 'held' THEN deducted_amount = 0
+      WHEN 'refunded' THEN deducted_amount = 0
+      WHEN 'partially_refunded' THEN deducted_amount > 0 AND deducted_amount < amount
+      WHEN 'forfeited' THEN deducted_amount = amount
+    END
+  ),
+  CONSTRAINT checkout_deposits_deduction_reason CHECK (
+    deducted_amount = 0 OR NULLIF(trim(deduction_reason), '') IS NOT NULL
+  )
+);
+
+COMMENT ON COLUMN public.checkout_deposits.item_ids IS
+  'Serialized items the deposit covers; check-in looks up the held deposit for an item here.';
+COMMENT ON COLUMN public.checkout_deposits.deducted_amount IS
+  'Kept back at settlement. The refund is amount - deducted_amount.';
+
+CREATE INDEX IF NOT EXISTS idx_checkout_deposits_held
+  ON checkout_deposits(received_at) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_checkout_deposits_items
+  ON checkout_deposits USING GIN (item_ids);
+CREATE INDEX IF NOT EXISTS idx_checkout_deposits_borrower
+  ON checkout_deposits(borrower_id) WHERE borrower_id IS NOT NULL;
+
+CREATE TRIGGER update_checkout_deposits_updated_at BEFORE UPDATE ON checkout_deposits
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Whoever checks gear out and in takes and settles deposits. There is no
+-- DELETE policy: a mistaken deposit is refunded, not erased.
+ALTER TABLE checkout_deposits ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "read_checkout_deposits" ON checkout_deposits FOR SELECT TO authenticated
+  USING (has_permission('gear_list', 'view'));
+CREATE POLICY "write_checkout_deposits" ON checkout_deposits FOR INSERT TO authenticated
+  WITH CHECK (has_permission('gear_list', 'edit') AND status = 'held');
+CREATE POLICY "settle_checkout_deposits" ON checkout_deposits FOR UPDATE TO authenticated
+  USING (has_permission('gear_list', 'edit') AND status = 'held')
+  WITH CHECK (has_permission('gear_list', 'edit'));
+
+-- ----------------------------------------------------------------------------
+-- Backup restore: deposits after the borrowers and clients they name
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restorable_tables()
+RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE SET search_path = public
+AS $$
+  SELECT ARRAY[
+    'pricing_settings',
+    'locations', 'categories', 'specs', 'clients', 'client_notes', 'borrowers',
+    'checkout_deposits',
+    'inventory', 'item_notes', 'item_reminders', 'maintenance_records',
+    'checkout_agreements', 'checkout_history', 'quantity_checkouts',
+    'packages', 'package_items', 'package_notes',
+    'pack_lists', 'pack_list_items', 'pack_list_packages',
+    'reservations',
+    'invoices', 'invoice_lines', 'invoice_payments'
+  ]::TEXT[];
+$$;
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- Rental revenue per item
+--
+-- The Activity report weighs each item's purchase price and maintenance
+-- against what it has earned. item_rental_revenue() sums the rental lines
+-- billed against each item on issued invoices (sent or paid; drafts and
+-- void invoices earned nothing), after the invoice's discount.
+--
+-- Package-rate lines carry no item and are not split across the package's
+-- members, so an item that mostly goes out in a kit reads low.
+--
+-- The function runs as the caller: invoices are client data, and a role
+-- without clients view gets no rows rather than a total it couldn't see.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.item_rental_revenue()
+RETURNS TABLE (
+  item_id VARCHAR,
+  revenue NUMERIC,
+  invoice_count INTEGER,
+  last_billed DATE
+)
+LANGUAGE sql STABLE SET search_path = public
+AS $$
+  SELECT l.item_id,
+         round(sum(l.amount * (1 - v.discount_percent / 100)), 2),
+         count(DISTINCT v.id)::INTEGER,
+         max(v.issue_date)
+    FROM invoice_lines l
+    JOIN invoices v ON v.id = l.invoice_id
+   WHERE l.item_id IS NOT NULL
+     AND l.kind = 'rental'
+     AND v.status IN ('sent', 'paid')
+   GROUP BY l.item_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.item_rental_revenue() FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.item_rental_revenue() TO authenticated;
@@ -0,0 +1,105 @@
+-- ============================================================================
+-- restore_backup runs as its owner
+--
+-- As SECURITY INVOKER the restore was held to each table's RLS, and several
+-- restorable tables have no policy that lets a restore through:
+--   checkout_history      SELECT and INSERT only
+--   checkout_agreements   no UPDATE
+--   checkout_deposits     UPDATE only while held, INSERT only as held, no DELETE
+--   pricing_settings      UPDATE only
+-- A merge restore failed on the first of their rows that already existed
+-- (ON CONFLICT DO UPDATE checks the UPDATE policy against the existing row),
+-- and a replace restore quietly deleted none of the rows the dry run said it
+-- would.
+--
+-- Those policies guard day-to-day edits. A restore is the admin putting the
+-- tables back to a snapshot, so after the admin check the writes run as the
+-- owner and land exactly as the dry run (lib/backupRestore.js) lists them.
+-- The table list still comes from restorable_tables(), never the payload.
+-- ============================================================================
+
+-- Same body as 20261019130000, as SECURITY DEFINER
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_tables JSONB,
+  p_mode VARCHAR DEFAULT 'merge',
+  p_user_name VARCHAR DEFAULT NULL,
+  p_exported_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  -- The only tables this function will ever write — table names reach
+  -- dynamic SQL from this list, never from the payload
+  v_order TEXT[] := restorable_tables();
+  v_table TEXT;
+  v_rows JSONB;
+  v_columns TEXT;
+  v_excluded TEXT;
+  v_count INTEGER;
+  v_upserted JSONB := '{}';
+  v_deleted JSONB := '{}';
+BEGIN
+  -- Everything below bypasses RLS; this check is the whole gate
+  IF NOT has_permission('admin_users', 'edit') THEN
+    RAISE EXCEPTION 'Restoring a backup requires admin access' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Invalid restore mode: %', p_mode USING ERRCODE = '22023';
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    FOR i IN REVERSE array_length(v_order, 1)..1 LOOP
+      v_table := v_order[i];
+      v_rows := p_tables -> v_table;
+      CONTINUE WHEN v_rows IS NULL;
+
+      EXECUTE format(
+        'DELETE FROM %I t WHERE NOT EXISTS ('
+        '  SELECT 1 FROM jsonb_array_elements($1) r WHERE r->>''id'' = t.id::text)',
+        v_table)
+      USING v_rows;
+      GET DIAGNOSTICS v_count = ROW_COUNT;
+      v_deleted := v_deleted || jsonb_build_object(v_table, v_count);
+    END LOOP;
+  END IF;
+
+  FOREACH v_table IN ARRAY v_order LOOP
+    v_rows := p_tables -> v_table;
+    CONTINUE WHEN v_rows IS NULL OR jsonb_array_length(v_rows) = 0;
+
+    SELECT string_agg(quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position),
+           string_agg('EXCLUDED.' || quote_ident(c.column_name), ', ' ORDER BY c.ordinal_position)
+      INTO v_columns, v_excluded
+      FROM information_schema.columns c
+     WHERE c.table_schema = 'public'
+       AND c.table_name = v_table
+       AND c.is_generated = 'NEVER'
+       AND c.column_name IN (
+         SELECT DISTINCT k FROM jsonb_array_elements(v_rows) r, jsonb_object_keys(r) k
+       );
+
+    EXECUTE format(
+      'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1) '
+      'ON CONFLICT (id) DO UPDATE SET (%2$s) = ROW(%3$s)',
+      v_table, v_columns, v_excluded)
+    USING v_rows;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_upserted := v_upserted || jsonb_build_object(v_table, v_count);
+  END LOOP;
+
+  INSERT INTO audit_log (type, description, user_id, user_name, metadata)
+  VALUES ('database_restored',
+          format('Restored database backup (%s)', p_mode),
+          auth.uid(), p_user_name,
+          jsonb_build_object('mode', p_mode, 'exportedAt', p_exported_at,
+                             'upserted', v_upserted, 'deleted', v_deleted));
+
+  RETURN jsonb_build_object('upserted', v_upserted, 'deleted', v_deleted);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) FROM anon, public;
+
+GRANT EXECUTE ON FUNCTION public.restore_backup(jsonb, character varying, character varying, timestamp with time zone) TO authenticated;
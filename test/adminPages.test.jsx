@@ -175,4 +175,13 @@ describe('SpecsPage', () => {
       expect.objectContaining({ title: 'Discard Changes?' }),
     );
   });
+
+  it('saves which fields a substitute must match', () => {
+    const props = renderSpecs();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Sensor substitute key' }));
+    fireEvent.click(screen.getByRole('button', { name: /Save Changes/ }));
+
+    const [newSpecs] = props.onSave.mock.calls[0];
+    expect(newSpecs.Cameras[0]).toMatchObject({ name: 'Sensor', substituteKey: true });
+  });
 });
@@ -0,0 +1,211 @@
+// =============================================================================
+// Signed checkout agreements — the terms and item snapshot built in the app
+// (lib/agreements) and the HTML send-email attaches to the confirmation
+// (supabase/functions/_shared/agreement.ts)
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  AGREEMENT_KINDS,
+  DEFAULT_AGREEMENT_TERMS,
+  replacementValue,
+  agreementLine,
+  agreementTotal,
+  fillAgreementTerms,
+  agreementTermsFor,
+  buildAgreement,
+} from '../lib/agreements.js';
+import {
+  agreementFilename,
+  mayAttachAgreement,
+  renderAgreementHtml,
+  toBase64,
+} from '../supabase/functions/_shared/agreement.ts';
+
+const camera = {
+  id: 'CAM1',
+  name: 'Alpha Cam',
+  serialNumber: 'SN-1',
+  condition: 'good',
+  purchasePrice: 2000,
+  currentValue: 1500,
+};
+const tripod = { id: 'TRI1', name: 'Tripod', purchasePrice: 120 };
+const cable = { id: 'CBL1', name: 'XLR' };
+
+describe('replacementValue', () => {
+  it('prefers the current value, then the purchase price, else nothing', () => {
+    expect(replacementValue(camera)).toBe(1500);
+    expect(replacementValue(tripod)).toBe(120);
+    expect(replacementValue(cable)).toBeNull();
+    expect(replacementValue({ currentValue: 0, purchasePrice: 50 })).toBe(0);
+    expect(replacementValue({ currentValue: 'n/a' })).toBeNull();
+  });
+});
+
+describe('agreementLine / agreementTotal', () => {
+  it('snapshots serial, value and condition, with the quantity', () => {
+    expect(agreementLine(camera)).toEqual({
+      id: 'CAM1',
+      name: 'Alpha Cam',
+      serialNumber: 'SN-1',
+      value: 1500,
+      quantity: 1,
+      condition: 'good',
+    });
+    expect(agreementLine(tripod, { quantity: 4, condition: 'fair' })).toMatchObject({
+      quantity: 4,
+      condition: 'fair',
+      serialNumber: null,
+    });
+  });
+
+  it('totals value × quantity and counts unvalued items as nothing', () => {
+    const lines = [
+      agreementLine(camera),
+      agreementLine(tripod, { quantity: 2 }),
+      agreementLine(cable),
+    ];
+    expect(agreementTotal(lines)).toBe(1740);
+    expect(agreementTotal([])).toBe(0);
+  });
+});
+
+describe('fillAgreementTerms', () => {
+  it('fills every placeholder', () => {
+    const text = fillAgreementTerms('{borrower} / {company} / {due_date} / {total_value}', {
+      borrower: 'Jordan',
+      company: 'Semi Pro',
+      dueDate: '2026-09-01',
+      totalValue: 1740,
+    });
+    expect(text).toMatch(/^Jordan \/ Semi Pro \/ .+ \/ \$1,740\.00$/);
+    expect(text).not.toContain('{due_date}');
+  });
+
+  it('falls back to neutral wording and leaves unknown placeholders as typed', () => {
+    const text = fillAgreementTerms('{borrower} owes {company} by {due_date}. {deposit}', {});
+    expect(text).toBe('the borrower owes the company by the agreed date. {deposit}');
+  });
+});
+
+describe('agreementTermsFor', () => {
+  const values = { borrower: 'Jordan', company: 'Semi Pro' };
+
+  it('uses the configured template, or the default when it is blank', () => {
+    expect(
+      agreementTermsFor(
+        AGREEMENT_KINDS.CHECKOUT,
+        { agreementTerms: 'Signed by {borrower}' },
+        values,
+      ),
+    ).toBe('Signed by Jordan');
+    expect(agreementTermsFor(AGREEMENT_KINDS.CHECKOUT, { agreementTerms: '  ' }, values)).toBe(
+      fillAgreementTerms(DEFAULT_AGREEMENT_TERMS, values),
+    );
+  });
+
+  it('signs fixed return wording on check-in', () => {
+    expect(
+      agreementTermsFor(
+        AGREEMENT_KINDS.CHECKIN,
+        { agreementTerms: 'Signed by {borrower}' },
+        values,
+      ),
+    ).toBe('I, Jordan, returned the equipment listed below to Semi Pro in the condition noted.');
+  });
+});
+
+describe('buildAgreement', () => {
+  it('stores the filled terms, the lines and who witnessed it', () => {
+    const lines = [agreementLine(camera)];
+    const record = buildAgreement({
+      kind: AGREEMENT_KINDS.CHECKOUT,
+      signerName: 'Jordan',
+      lines,
+      signature: 'data:image/png;base64,AAA',
+      settings: { agreementTerms: '{borrower} takes {total_value}' },
+      company: 'Semi Pro',
+      project: '',
+      dueBack: '2026-09-01',
+      user: { id: 'u1', name: 'Admin' },
+    });
+    expect(record).toEqual({
+      kind: 'checkout',
+      signerName: 'Jordan',
+      clientId: null,
+      clientName: null,
+      project: null,
+      dueBack: '2026-09-01',
+      items: lines,
+      terms: 'Jordan takes $1,500.00',
+      signature: 'data:image/png;base64,AAA',
+      createdBy: 'u1',
+      createdByName: 'Admin',
+    });
+  });
+});
+
+// =============================================================================
+// Email attachment
+// =============================================================================
+
+const row = {
+  id: 'a1',
+  kind: 'checkout',
+  signer_name: '<b>Jordan</b>',
+  project: 'Shoot & Co',
+  due_back: '2026-09-01',
+  items: [{ id: 'CAM1', name: 'Alpha <Cam>', serialNumber: 'SN-1', value: 1500, quantity: 2 }],
+  terms: 'Return it <promptly>',
+  signature: 'data:image/png;base64,iVBORw0KGgo=',
+  signed_at: '2026-08-25T15:00:00Z',
+  created_by: 'u1',
+};
+
+describe('renderAgreementHtml', () => {
+  it('escapes every stored value and totals the lines', () => {
+    const html = renderAgreementHtml(row, 'Semi <Pro>');
+    expect(html).toContain('&lt;b&gt;Jordan&lt;/b&gt;');
+    expect(html).toContain('Alpha &lt;Cam&gt;');
+    expect(html).toContain('Return it &lt;promptly&gt;');
+    expect(html).toContain('Semi &lt;Pro&gt;');
+    expect(html).not.toContain('<b>Jordan</b>');
+    expect(html).toContain('$3,000.00');
+    expect(html).toContain('<img src="data:image/png;base64,iVBORw0KGgo="');
+  });
+
+  it('drops a signature that is not a PNG data URL', () => {
+    const html = renderAgreementHtml(
+      { ...row, signature: 'javascript:alert(1)" onerror="x' },
+      'Semi Pro',
+    );
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('javascript:');
+  });
+});
+
+describe('mayAttachAgreement', () => {
+  it('allows the operator who took the signature, or the service role', () => {
+    expect(mayAttachAgreement(row, 'u1', false)).toBe(true);
+    expect(mayAttachAgreement(row, 'u2', false)).toBe(false);
+    expect(mayAttachAgreement(row, undefined, false)).toBe(false);
+    expect(mayAttachAgreement(row, undefined, true)).toBe(true);
+  });
+
+  it('never attaches a return or a missing agreement', () => {
+    expect(mayAttachAgreement({ ...row, kind: 'checkin' }, 'u1', true)).toBe(false);
+    expect(mayAttachAgreement(null, 'u1', true)).toBe(false);
+  });
+});
+
+describe('attachment encoding', () => {
+  it('names the file by signing date and round-trips UTF-8 through base64', () => {
+    expect(agreementFilename(row)).toBe('agreement-2026-08-25.html');
+    const text = 'Équipement — ✓';
+    const decoded = new TextDecoder().decode(
+      Uint8Array.from(atob(toBase64(text)), (c) => c.charCodeAt(0)),
+    );
+    expect(decoded).toBe(text);
+  });
+});
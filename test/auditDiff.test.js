@@ -0,0 +1,47 @@
+// =============================================================================
+// auditDiff — field diffs for trigger-written audit entries
+// - updates list only the columns that changed, ignoring updated_at
+// - inserts and deletes list the populated columns of the one row they have
+// - values render readably in the diff table
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { diffAuditEntry, formatAuditValue } from '../lib/auditDiff.js';
+
+describe('diffAuditEntry', () => {
+  it('lists changed columns of an update, sorted, without updated_at', () => {
+    const changes = diffAuditEntry({
+      oldData: { id: 'CA1001', status: 'available', specs: { mount: 'EF' }, updated_at: 'a' },
+      newData: { id: 'CA1001', status: 'checked-out', specs: { mount: 'RF' }, updated_at: 'b' },
+    });
+    expect(changes).toEqual([
+      { field: 'specs', before: { mount: 'EF' }, after: { mount: 'RF' } },
+      { field: 'status', before: 'available', after: 'checked-out' },
+    ]);
+  });
+
+  it('lists the populated columns of an insert or delete', () => {
+    expect(
+      diffAuditEntry({ oldData: null, newData: { id: 'C1', name: 'Acme', notes: null } }),
+    ).toEqual([
+      { field: 'id', before: undefined, after: 'C1' },
+      { field: 'name', before: undefined, after: 'Acme' },
+    ]);
+    expect(diffAuditEntry({ oldData: { id: 'C1' }, newData: null })).toEqual([
+      { field: 'id', before: 'C1', after: undefined },
+    ]);
+  });
+
+  it('returns nothing for app-written entries', () => {
+    expect(diffAuditEntry({ type: 'item_checkout', description: 'x' })).toEqual([]);
+  });
+});
+
+describe('formatAuditValue', () => {
+  it('renders empties as a dash and objects as JSON', () => {
+    expect(formatAuditValue(null)).toBe('—');
+    expect(formatAuditValue('')).toBe('—');
+    expect(formatAuditValue(false)).toBe('false');
+    expect(formatAuditValue(['a', 1])).toBe('["a",1]');
+  });
+});
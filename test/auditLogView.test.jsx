@@ -0,0 +1,97 @@
+// =============================================================================
+// Audit Log view — row-change diffs and the hash-chain check
+// - trigger-written entries open into a before/after field table
+// - Verify Integrity reports an intact chain, the first broken entry, or a
+//   failed check
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AuditLogPanel } from '../views/AuditLogView.jsx';
+
+vi.mock('../contexts/DataContext.js', () => ({
+  useData: () => ({ ensureAuditLog: vi.fn(), auditLogLoaded: true, lazyErrors: {} }),
+}));
+
+vi.mock('../lib/services.js', () => ({
+  auditLogService: { verifyChain: vi.fn() },
+}));
+
+const { auditLogService } = await import('../lib/services.js');
+
+const auditLog = [
+  {
+    id: 'a1',
+    seq: 12,
+    type: 'row_update',
+    description: 'inventory CA1001 updated',
+    user: 'Sam',
+    itemId: 'CA1001',
+    timestamp: '2026-10-19T10:00:00.000Z',
+    tableName: 'inventory',
+    oldData: { id: 'CA1001', location: 'Cage A', updated_at: '1' },
+    newData: { id: 'CA1001', location: 'Van 2', updated_at: '2' },
+  },
+  {
+    id: 'a2',
+    seq: 11,
+    type: 'item_checkout',
+    description: 'Cinema Camera checked out to Alex',
+    user: 'Sam',
+    timestamp: '2026-10-19T09:00:00.000Z',
+  },
+];
+
+const renderPanel = () => render(<AuditLogPanel auditLog={auditLog} onBack={vi.fn()} />);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('row-change diff', () => {
+  it('shows the changed fields of a trigger-written entry', () => {
+    renderPanel();
+    // Only the row-change entry offers a diff
+    expect(screen.getAllByRole('button', { name: 'Show changes' })).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show changes' }));
+
+    const row = screen.getByText('location').closest('tr');
+    expect(row).toHaveTextContent('Cage A');
+    expect(row).toHaveTextContent('Van 2');
+    expect(screen.queryByText('updated_at')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Hide changes' })).toHaveAttribute(
+      'aria-expanded',
+      'true',
+    );
+  });
+});
+
+describe('Verify Integrity', () => {
+  it('reports an intact chain', async () => {
+    auditLogService.verifyChain.mockResolvedValue({ checked: 42, brokenSeq: null, reason: null });
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: 'Verify Integrity' }));
+    expect(await screen.findByRole('status')).toHaveTextContent('All 42 entries verified');
+  });
+
+  it('names the first broken entry', async () => {
+    auditLogService.verifyChain.mockResolvedValue({
+      checked: 7,
+      brokenSeq: 7,
+      reason: 'the entry before it was deleted or altered',
+    });
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: 'Verify Integrity' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Chain broken at entry #7: the entry before it was deleted or altered.',
+    );
+  });
+
+  it('shows a failed check instead of claiming the chain is intact', async () => {
+    auditLogService.verifyChain.mockRejectedValue(new Error('permission denied'));
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: 'Verify Integrity' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('permission denied');
+  });
+});
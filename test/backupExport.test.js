@@ -30,6 +30,7 @@ describe('sections', () => {
       'specs',
       'clients',
       'client_notes',
+      'borrowers',
     ]);
   });
 });
@@ -39,6 +40,7 @@ describe('assembleBackup', () => {
     specs: [{ id: 's1' }],
     clients: [{ id: 'CL001', name: 'Acme' }],
     client_notes: [{ id: 'n1' }, { id: 'n2' }],
+    borrowers: [{ id: 'b1', name: 'Jordan Lee' }],
     users: [{ id: 'u1', email: 'a@b.c', password: 'nope', password_hash: 'nope' }],
     roles: [{ id: 'role_admin' }],
   };
@@ -51,8 +53,8 @@ describe('assembleBackup', () => {
     expect(data.version).toBe('3.0');
     expect(data.format).toBe('tables');
     expect(data.exportedAt).toBe('2026-08-14T12:00:00.000Z');
-    expect(Object.keys(data.tables)).toEqual(['specs', 'clients', 'client_notes']);
-    expect(data.counts).toEqual({ specs: 1, clients: 1, client_notes: 2 });
+    expect(Object.keys(data.tables)).toEqual(['specs', 'clients', 'client_notes', 'borrowers']);
+    expect(data.counts).toEqual({ specs: 1, clients: 1, client_notes: 2, borrowers: 1 });
   });
 
   it('strips credential-shaped fields from users no matter the schema', async () => {
@@ -64,8 +66,9 @@ describe('assembleBackup', () => {
   it('reports per-table progress', async () => {
     const onProgress = vi.fn();
     await assembleBackup({ clients: true }, fetchAllRows, { onProgress });
-    expect(onProgress).toHaveBeenCalledWith('clients', 0, 2);
-    expect(onProgress).toHaveBeenCalledWith('client_notes', 1, 2);
+    expect(onProgress).toHaveBeenCalledWith('clients', 0, 3);
+    expect(onProgress).toHaveBeenCalledWith('client_notes', 1, 3);
+    expect(onProgress).toHaveBeenCalledWith('borrowers', 2, 3);
   });
 
   it('propagates fetch failures instead of downloading a partial file', async () => {
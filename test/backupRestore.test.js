@@ -0,0 +1,162 @@
+// =============================================================================
+// Database backup restore — validation, dry-run diff, FK order
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  RESTORE_ORDER,
+  RESTORE_MODES,
+  validateBackup,
+  diffTable,
+  planRestore,
+  summarizePlan,
+  restorableTables,
+} from '../lib/backupRestore.js';
+import { BACKUP_SECTIONS } from '../lib/backupExport.js';
+import { readMigrationSurface } from '../supabase/migrationSurface.js';
+
+const backupOf = (tables) => ({
+  version: '3.0',
+  format: 'tables',
+  exportedAt: '2026-10-01T12:00:00.000Z',
+  tables,
+  counts: Object.fromEntries(Object.entries(tables).map(([t, rows]) => [t, rows.length])),
+});
+
+describe('RESTORE_ORDER', () => {
+  it('puts parents before the tables that reference them', () => {
+    const before = (a, b) => RESTORE_ORDER.indexOf(a) < RESTORE_ORDER.indexOf(b);
+    expect(before('locations', 'inventory')).toBe(true);
+    expect(before('categories', 'inventory')).toBe(true);
+    expect(before('clients', 'reservations')).toBe(true);
+    expect(before('inventory', 'reservations')).toBe(true);
+    expect(before('packages', 'package_items')).toBe(true);
+    expect(before('pack_lists', 'pack_list_packages')).toBe(true);
+    expect(before('clients', 'invoices')).toBe(true);
+    expect(before('invoices', 'invoice_lines')).toBe(true);
+    expect(before('invoices', 'invoice_payments')).toBe(true);
+    expect(before('checkout_agreements', 'checkout_history')).toBe(true);
+    expect(before('borrowers', 'inventory')).toBe(true);
+    expect(before('borrowers', 'checkout_deposits')).toBe(true);
+  });
+
+  it('covers every exported table except accounts and the audit log', () => {
+    const exported = BACKUP_SECTIONS.flatMap((s) => s.tables);
+    expect([...RESTORE_ORDER].sort()).toEqual(
+      exported.filter((t) => !['users', 'roles', 'audit_log'].includes(t)).sort(),
+    );
+  });
+});
+
+describe('validateBackup', () => {
+  it('accepts a v3.0 table backup and lists what it will skip', () => {
+    const result = validateBackup(
+      backupOf({ clients: [{ id: 'CL1' }], users: [{ id: 'u1' }], locations: [{ id: 'L1' }] }),
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.tables).toEqual(['locations', 'clients']);
+    expect(result.skipped).toEqual(['users']);
+  });
+
+  it('rejects older backups that serialized app state', () => {
+    const result = validateBackup({ version: '2.0', inventory: [] });
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatch(/Unsupported backup version 2\.0/);
+  });
+
+  it('rejects unknown tables, rows without ids and truncated files', () => {
+    const data = backupOf({ clients: [{ id: 'CL1' }, { name: 'no id' }], secrets: [] });
+    data.counts.clients = 5;
+    const { isValid, errors } = validateBackup(data);
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'clients: row 2 has no id',
+      'clients: expected 5 rows, found 2 (file truncated?)',
+      'Unknown table "secrets"',
+    ]);
+  });
+
+  it('rejects a backup with nothing restorable', () => {
+    expect(validateBackup(backupOf({ audit_log: [] })).errors).toEqual([
+      'Backup contains no restorable tables',
+    ]);
+    expect(validateBackup(null).isValid).toBe(false);
+  });
+});
+
+describe('diffTable', () => {
+  it('splits rows into new, changed, unchanged and would-delete by id', () => {
+    const diff = diffTable(
+      [
+        { id: 'A', name: 'Same', updated_at: '2026-01-01' },
+        { id: 'B', name: 'Renamed' },
+        { id: 'C', name: 'New' },
+      ],
+      [
+        { id: 'A', name: 'Same', updated_at: '2026-09-09' },
+        { id: 'B', name: 'Old name' },
+        { id: 'D', name: 'Not in backup' },
+      ],
+    );
+    expect(diff).toEqual({ added: ['C'], changed: ['B'], deleted: ['D'], unchanged: 1 });
+  });
+
+  it('compares JSON columns structurally, not by key order', () => {
+    const diff = diffTable(
+      [{ id: 1, specs: { mount: 'EF', weight: 2 } }],
+      [{ id: 1, specs: { weight: 2, mount: 'EF' } }],
+    );
+    expect(diff.unchanged).toBe(1);
+  });
+});
+
+describe('planRestore', () => {
+  it('diffs each restorable table in FK order against freshly fetched rows', async () => {
+    const fetchAllRows = vi.fn(async (table) => (table === 'clients' ? [{ id: 'CL1' }] : []));
+    const onProgress = vi.fn();
+    const plan = await planRestore(
+      backupOf({
+        reservations: [{ id: 'r1' }],
+        clients: [{ id: 'CL1' }, { id: 'CL2' }],
+        audit_log: [{ id: 'a1' }],
+      }),
+      fetchAllRows,
+      { onProgress },
+    );
+
+    expect(fetchAllRows.mock.calls.map((c) => c[0])).toEqual(['clients', 'reservations']);
+    expect(onProgress).toHaveBeenCalledWith('clients', 0, 2);
+    expect(plan.map((t) => [t.table, t.added])).toEqual([
+      ['clients', ['CL2']],
+      ['reservations', ['r1']],
+    ]);
+  });
+});
+
+describe('summarizePlan / restorableTables', () => {
+  const plan = [
+    { table: 'clients', added: ['CL2'], changed: ['CL1'], deleted: ['CL9'], unchanged: 0 },
+    { table: 'reservations', added: [], changed: [], deleted: ['r7', 'r8'], unchanged: 4 },
+  ];
+
+  it('only counts deletes in replace mode', () => {
+    expect(summarizePlan(plan, RESTORE_MODES.MERGE)).toEqual({ added: 1, changed: 1, deleted: 0 });
+    expect(summarizePlan(plan, RESTORE_MODES.REPLACE).deleted).toBe(3);
+  });
+
+  it('sends only restorable tables to the RPC', () => {
+    const tables = restorableTables(backupOf({ users: [{ id: 'u1' }], specs: [{ id: 's1' }] }));
+    expect(tables).toEqual({ specs: [{ id: 's1' }] });
+  });
+});
+
+describe('restore_backup RPC', () => {
+  it('runs as its owner, so tables without UPDATE/DELETE policies restore as planned', () => {
+    // checkout_history, checkout_agreements, checkout_deposits and
+    // pricing_settings have no policy that lets an upsert or replace-delete
+    // through; as SECURITY INVOKER the dry run promised writes RLS refused
+    const fn = readMigrationSurface().functions.get('restore_backup');
+    expect(fn.securityDefiner).toBe(true);
+    expect(fn.explicitRoles.has('authenticated')).toBe(true);
+  });
+});
@@ -0,0 +1,60 @@
+// =============================================================================
+// BatchCheckOutModal — the deposit. It covers the serialized items going
+// out, so a batch of quantity lines alone offers none, and a mixed batch
+// says which part it covers.
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+
+// The canvas pad draws nothing in jsdom
+vi.mock('../components/SignaturePad.jsx', () => ({ default: () => null }));
+
+const { BatchCheckOutModal } = await import('../modals/BatchCheckOutModal.jsx');
+
+const categorySettings = { Consumables: { trackQuantity: true } };
+const tape = { id: 'TAPE', name: 'Gaffer tape', category: 'Consumables', status: 'available' };
+const batteries = {
+  id: 'BATT',
+  name: 'AA batteries',
+  category: 'Consumables',
+  status: 'available',
+};
+const camera = { id: 'CAM1', name: 'Alpha Cam', category: 'Cameras', status: 'available' };
+
+function renderModal(items) {
+  return render(
+    <BatchCheckOutModal
+      items={items}
+      borrowers={[{ id: 'b1', name: 'Tester', depositRequired: 250 }]}
+      currentUser={{ name: 'Tester' }}
+      categorySettings={categorySettings}
+      onConfirm={vi.fn()}
+      onClose={vi.fn()}
+    />,
+  );
+}
+
+describe('BatchCheckOutModal deposit', () => {
+  it('offers no deposit when only quantity lines go out', () => {
+    renderModal([tape, batteries]);
+    expect(screen.queryByRole('heading', { name: 'Deposit' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Amount/)).not.toBeInTheDocument();
+  });
+
+  it('says the deposit covers only the serialized items in a mixed batch', () => {
+    renderModal([camera, tape]);
+    expect(screen.getByRole('heading', { name: 'Deposit' })).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        'Covers the 1 serialized item only — units handed out by count go without one',
+      ),
+    ).toBeInTheDocument();
+  });
+
+  it('adds no note when every item is serialized', () => {
+    renderModal([camera]);
+    expect(screen.getByLabelText(/Amount/)).toBeInTheDocument();
+    expect(screen.queryByText(/serialized item/)).not.toBeInTheDocument();
+  });
+});
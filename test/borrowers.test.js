@@ -0,0 +1,106 @@
+// =============================================================================
+// Borrower accounts (lib/borrowers) — matching a checkout to its account,
+// what the account holds, the block and limits checkout enforces, and the
+// return record behind the borrower history page
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  findBorrower,
+  borrowerHoldings,
+  checkoutRestrictions,
+  borrowerReturnStats,
+} from '../lib/borrowers.js';
+
+const jordan = { id: 'b1', name: 'Jordan Lee', maxItems: 2, maxValue: 5000 };
+const sam = { id: 'b2', name: 'Sam Ortiz', blocked: true, blockedReason: 'Lost a lens' };
+
+const out = (id, extra) => ({
+  id,
+  name: `Item ${id}`,
+  status: 'checked-out',
+  currentValue: 1000,
+  ...extra,
+});
+
+describe('findBorrower', () => {
+  it('finds the picked account, else the typed name', () => {
+    expect(findBorrower([jordan, sam], { borrowerId: 'b2', name: 'Jordan Lee' })).toBe(sam);
+    expect(findBorrower([jordan, sam], { name: '  sam ortiz ' })).toBe(sam);
+    expect(findBorrower([jordan, sam], { name: 'Someone Else' })).toBeNull();
+    expect(findBorrower([jordan], { borrowerId: 'gone' })).toBeNull();
+  });
+});
+
+describe('borrowerHoldings', () => {
+  it('counts items linked to the account, and unlinked ones under its name', () => {
+    const inventory = [
+      out('A', { checkedOutToBorrowerId: 'b1', checkedOutTo: 'JL' }),
+      out('B', { checkedOutTo: 'jordan lee', purchasePrice: 400, currentValue: null }),
+      // Same name, but linked to a different account
+      out('C', { checkedOutTo: 'Jordan Lee', checkedOutToBorrowerId: 'b9' }),
+      { id: 'D', status: 'available', checkedOutTo: null },
+    ];
+    const holding = borrowerHoldings(jordan, inventory);
+    expect(holding.items.map((i) => i.id)).toEqual(['A', 'B']);
+    expect(holding.count).toBe(2);
+    expect(holding.value).toBe(1400);
+  });
+});
+
+describe('checkoutRestrictions', () => {
+  it('refuses a blocked borrower with the reason', () => {
+    expect(checkoutRestrictions(sam, { inventory: [], items: [] })).toEqual([
+      'Sam Ortiz is blocked from borrowing: Lost a lens',
+    ]);
+  });
+
+  it('allows a checkout inside both limits', () => {
+    const inventory = [out('A', { checkedOutToBorrowerId: 'b1' })];
+    expect(checkoutRestrictions(jordan, { inventory, items: [out('E')] })).toEqual([]);
+    expect(checkoutRestrictions(null, { inventory, items: [out('E')] })).toEqual([]);
+  });
+
+  it('reports the item and value limits once the new items are added', () => {
+    const inventory = [out('A', { checkedOutToBorrowerId: 'b1', currentValue: 4500 })];
+    expect(checkoutRestrictions(jordan, { inventory, items: [out('E'), out('F')] })).toEqual([
+      'Jordan Lee may hold 2 items at once — 1 out already, this adds 2',
+      'Jordan Lee may hold $5,000 of gear at once — $4,500 out already, this adds $2,000',
+    ]);
+  });
+});
+
+describe('borrowerReturnStats', () => {
+  const TODAY = '2026-10-19';
+
+  it('counts late returns, their average lateness and what is overdue now', () => {
+    const history = [
+      // On time
+      { action: 'checkout', dueBack: '2026-09-10', returnedAt: '2026-09-10T17:00:00' },
+      // Two days late
+      { action: 'checkout', dueBack: '2026-09-20', returnedAt: '2026-09-22T10:00:00' },
+      // Four days late
+      { action: 'checkout', dueBack: '2026-10-01', returnedAt: '2026-10-05T09:00:00' },
+      // Out and overdue
+      { action: 'checkout', dueBack: '2026-10-15', returnedAt: null },
+      // Out, not due yet
+      { action: 'checkout', dueBack: '2026-10-30', returnedAt: null },
+      // Quantity hand-offs and consumption have no single return
+      { action: 'checkout', quantity: 5, dueBack: '2026-09-01', returnedAt: null },
+      { action: 'consume', quantity: 2 },
+    ];
+    expect(borrowerReturnStats(history, TODAY)).toEqual({
+      loans: 5,
+      returned: 3,
+      late: 2,
+      lateRate: 2 / 3,
+      averageDaysLate: 3,
+      out: 2,
+      overdue: 1,
+    });
+  });
+
+  it('has no rates before anything has come back', () => {
+    expect(borrowerReturnStats([], TODAY)).toMatchObject({ lateRate: null, averageDaysLate: null });
+  });
+});
@@ -0,0 +1,193 @@
+// =============================================================================
+// BorrowersView — Test Suite
+// - accounts list with blocked and out-now badges, filtered by search
+// - create/update persist first; a block or unblock is its own audit event
+// - the detail page reads the borrower's history and counts late returns
+// - view-only users get no edit UI
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+const { mockAddToast, permissionsState } = vi.hoisted(() => ({
+  mockAddToast: vi.fn(),
+  permissionsState: { canEdit: true },
+}));
+
+vi.mock('../contexts/DataContext.js', () => ({
+  useData: () => ({ ensureBorrowers: vi.fn() }),
+}));
+vi.mock('../contexts/ToastContext.js', () => ({
+  useToast: () => ({ addToast: mockAddToast }),
+}));
+vi.mock('../contexts/PermissionsContext.js', () => ({
+  usePermissions: () => ({ canEdit: () => permissionsState.canEdit }),
+}));
+vi.mock('../contexts/PermissionsContext.jsx', () => ({
+  ViewOnlyBanner: ({ functionId }) => <div data-testid="view-only-banner">{functionId}</div>,
+}));
+
+const { default: BorrowersView } = await import('../views/BorrowersView.jsx');
+
+const jordan = { id: 'b1', name: 'Jordan Lee', type: 'crew', email: 'jordan@example.com' };
+const sam = {
+  id: 'b2',
+  name: 'Sam Ortiz',
+  type: 'student',
+  blocked: true,
+  blockedReason: 'Lost a lens',
+};
+
+const inventory = [
+  { id: 'CAM1', name: 'Alpha Cam', status: 'checked-out', checkedOutToBorrowerId: 'b1' },
+];
+
+function makeDataContext(overrides = {}) {
+  return {
+    borrowersLoaded: true,
+    users: [],
+    createBorrower: vi.fn().mockResolvedValue({ id: 'b3', name: 'Alex Kim' }),
+    updateBorrower: vi.fn().mockResolvedValue({}),
+    deleteBorrower: vi.fn().mockResolvedValue(undefined),
+    getBorrowerHistory: vi.fn().mockResolvedValue([]),
+    ...overrides,
+  };
+}
+
+function renderBorrowers(props = {}) {
+  const merged = {
+    borrowers: [jordan, sam],
+    inventory,
+    dataContext: makeDataContext(),
+    onViewItem: vi.fn(),
+    user: { id: 'u1', name: 'Tester' },
+    addAuditLog: vi.fn(),
+    ...props,
+  };
+  return { ...render(<BorrowersView {...merged} />), props: merged };
+}
+
+beforeEach(() => {
+  mockAddToast.mockClear();
+  permissionsState.canEdit = true;
+});
+
+describe('BorrowersView list', () => {
+  it('shows each account with its blocks and gear out', () => {
+    renderBorrowers();
+    expect(screen.getByText('2 accounts · 1 blocked')).toBeInTheDocument();
+    expect(screen.getByText('Blocked')).toBeInTheDocument();
+    expect(screen.getByText('1 out')).toBeInTheDocument();
+  });
+
+  it('filters by search', () => {
+    renderBorrowers();
+    fireEvent.change(screen.getByPlaceholderText('Search borrowers...'), {
+      target: { value: 'ortiz' },
+    });
+    expect(screen.queryByText('Jordan Lee')).not.toBeInTheDocument();
+    expect(screen.getByText('Sam Ortiz')).toBeInTheDocument();
+  });
+
+  it('offers no edit UI to view-only users', () => {
+    permissionsState.canEdit = false;
+    renderBorrowers();
+    expect(screen.getByTestId('view-only-banner')).toHaveTextContent('clients');
+    expect(screen.queryByRole('button', { name: /Add Borrower/ })).not.toBeInTheDocument();
+  });
+});
+
+describe('BorrowersView saving', () => {
+  it('creates an account with empty limits as no limit and logs it', async () => {
+    const { props } = renderBorrowers();
+    fireEvent.click(screen.getByRole('button', { name: /Add Borrower/ }));
+    fireEvent.change(screen.getByLabelText(/^Name/), { target: { value: 'Alex Kim' } });
+    fireEvent.change(screen.getByLabelText('Deposit Required ($)'), { target: { value: '150' } });
+    fireEvent.click(screen.getAllByRole('button', { name: /Add Borrower/ }).at(-1));
+
+    await waitFor(() =>
+      expect(props.dataContext.createBorrower).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'Alex Kim',
+          maxItems: null,
+          maxValue: null,
+          depositRequired: 150,
+          blockedReason: null,
+        }),
+      ),
+    );
+    expect(props.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'borrower_created', borrowerId: 'b3' }),
+    );
+  });
+
+  it('records a block as its own event', async () => {
+    const { props } = renderBorrowers();
+    fireEvent.click(screen.getByText('Jordan Lee'));
+    fireEvent.click(screen.getByRole('button', { name: /Edit/ }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /Blocked from borrowing/ }));
+    fireEvent.click(screen.getByRole('button', { name: /Save Changes/ }));
+    expect(screen.getByText('Say why the borrower is blocked')).toBeInTheDocument();
+    expect(props.dataContext.updateBorrower).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/^Reason/), { target: { value: 'Late three times' } });
+    fireEvent.click(screen.getByRole('button', { name: /Save Changes/ }));
+    await waitFor(() =>
+      expect(props.addAuditLog).toHaveBeenCalledWith({
+        type: 'borrower_blocked',
+        description: 'Borrower "Jordan Lee" blocked: Late three times',
+        user: 'Tester',
+        borrowerId: 'b1',
+      }),
+    );
+  });
+
+  it('keeps the form open when the save fails', async () => {
+    const dataContext = makeDataContext({
+      createBorrower: vi.fn().mockRejectedValue(new Error('offline')),
+    });
+    const { props } = renderBorrowers({ dataContext });
+    fireEvent.click(screen.getByRole('button', { name: /Add Borrower/ }));
+    fireEvent.change(screen.getByLabelText(/^Name/), { target: { value: 'Alex Kim' } });
+    fireEvent.click(screen.getAllByRole('button', { name: /Add Borrower/ }).at(-1));
+    await waitFor(() =>
+      expect(mockAddToast).toHaveBeenCalledWith('Failed to create borrower: offline', 'error'),
+    );
+    expect(props.addAuditLog).not.toHaveBeenCalled();
+    expect(screen.getByLabelText(/^Name/)).toHaveValue('Alex Kim');
+  });
+});
+
+describe('BorrowersView history', () => {
+  it('lists what the borrower has taken and how often it came back late', async () => {
+    const getBorrowerHistory = vi.fn().mockResolvedValue([
+      {
+        historyId: 'H2',
+        itemId: 'CAM1',
+        itemName: 'Alpha Cam',
+        action: 'checkout',
+        checkedOutAt: '2026-10-10T09:00:00',
+        dueBack: '2026-10-30',
+      },
+      {
+        historyId: 'H1',
+        itemId: 'LENS1',
+        itemName: 'Prime Lens',
+        action: 'checkout',
+        checkedOutAt: '2026-09-01T09:00:00',
+        dueBack: '2026-09-05',
+        returnedAt: '2026-09-08T12:00:00',
+      },
+    ]);
+    const { props } = renderBorrowers({ dataContext: makeDataContext({ getBorrowerHistory }) });
+    fireEvent.click(screen.getByText('Jordan Lee'));
+
+    expect(await screen.findByText('Prime Lens')).toBeInTheDocument();
+    expect(getBorrowerHistory).toHaveBeenCalledWith('b1');
+    expect(screen.getByText('Returned late (1 of 1)')).toBeInTheDocument();
+    expect(screen.getByText('100%')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Alpha Cam'));
+    expect(props.onViewItem).toHaveBeenCalledWith('CAM1');
+  });
+});
@@ -0,0 +1,174 @@
+// =============================================================================
+// Calendar feed — the iCalendar builder behind the calendar-feed function
+// Stable UIDs and updated_at-driven SEQUENCE are what let subscribed
+// calendars move and cancel events instead of duplicating them.
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildCalendar,
+  dueBackEvents,
+  escapeIcsText,
+  foldIcsLine,
+  maintenanceEvents,
+  reservationEvents,
+} from '../supabase/functions/_shared/calendar.ts';
+
+const row = (id, extra = {}) => ({
+  id,
+  group_id: 'grp1',
+  item_id: 'CAM1',
+  project: 'Smith Wedding',
+  start_date: '2026-11-02',
+  end_date: '2026-11-04',
+  status: 'confirmed',
+  location: 'Studio A',
+  updated_at: '2026-10-01T10:00:00Z',
+  ...extra,
+});
+
+const names = { CAM1: 'FX6', LN1: '24-70 GM', BAT: 'V-mount' };
+
+describe('reservationEvents', () => {
+  it('makes one all-day event per group spanning every row', () => {
+    const [event] = reservationEvents(
+      [row('r1'), row('r2', { item_id: 'LN1', end_date: '2026-11-05' })],
+      names,
+    );
+    expect(event).toMatchObject({
+      uid: 'reservation-grp1@sims.calendar',
+      summary: 'Smith Wedding',
+      description: 'Items: FX6, 24-70 GM',
+      location: 'Studio A',
+      start: { date: '2026-11-02', time: null },
+      end: { date: '2026-11-05', time: null },
+      status: 'CONFIRMED',
+    });
+  });
+
+  it('keeps the UID and raises SEQUENCE when the reservation moves', () => {
+    const [before] = reservationEvents([row('r1')], names);
+    const [after] = reservationEvents(
+      [row('r1', { start_date: '2026-11-09', updated_at: '2026-10-02T09:00:00Z' })],
+      names,
+    );
+    expect(after.uid).toBe(before.uid);
+    expect(after.sequence).toBeGreaterThan(before.sequence);
+  });
+
+  it('cancels the event only once every row is cancelled', () => {
+    const partly = reservationEvents([row('r1'), row('r2', { status: 'cancelled' })], names);
+    expect(partly[0].status).toBe('CONFIRMED');
+    expect(partly[0].description).toBe('Items: FX6');
+
+    const all = reservationEvents(
+      [row('r1', { status: 'cancelled' }), row('r2', { status: 'cancelled' })],
+      names,
+    );
+    expect(all[0].status).toBe('CANCELLED');
+  });
+
+  it('marks quotes and holds tentative', () => {
+    const [quote] = reservationEvents([row('r1', { status: 'quote' })], names);
+    expect(quote).toMatchObject({ status: 'TENTATIVE', summary: 'Quote: Smith Wedding' });
+    const [hold] = reservationEvents([row('r1', { status: 'hold' })], names);
+    expect(hold.summary).toBe('Hold: Smith Wedding');
+  });
+
+  it('uses times when the booking has them and counts quantities', () => {
+    const [event] = reservationEvents(
+      [row('r1', { item_id: 'BAT', quantity: 4, start_time: '08:00:00', end_time: null })],
+      names,
+    );
+    expect(event.start).toEqual({ date: '2026-11-02', time: '08:00:00' });
+    expect(event.end).toEqual({ date: '2026-11-04', time: '23:59' });
+    expect(event.description).toBe('Items: 4 × V-mount');
+  });
+
+  it('treats a row without a group as its own event', () => {
+    const events = reservationEvents([row('r1', { group_id: null }), row('r2')], names);
+    expect(events.map((e) => e.uid)).toEqual([
+      'reservation-r1@sims.calendar',
+      'reservation-grp1@sims.calendar',
+    ]);
+  });
+});
+
+describe('dueBackEvents and maintenanceEvents', () => {
+  it('puts serialized and quantity checkouts on their due dates', () => {
+    const events = dueBackEvents(
+      [{ id: 'CAM1', name: 'FX6', due_back: '2026-11-06', checked_out_date: '2026-11-02' }],
+      [{ id: 'q1', item_id: 'BAT', quantity: 3, due_back: '2026-11-07' }],
+      names,
+    );
+    expect(events.map((e) => [e.uid, e.summary, e.start.date])).toEqual([
+      ['due-CAM1-2026-11-02@sims.calendar', 'Due back: FX6', '2026-11-06'],
+      ['due-units-q1@sims.calendar', 'Due back: 3 × V-mount', '2026-11-07'],
+    ]);
+  });
+
+  it('lists scheduled maintenance and cancels what was called off', () => {
+    const events = maintenanceEvents(
+      [
+        { id: 'm1', item_id: 'CAM1', type: 'Sensor clean', scheduled_date: '2026-11-10' },
+        {
+          id: 'm2',
+          item_id: 'LN1',
+          type: 'Calibration',
+          scheduled_date: '2026-11-11',
+          status: 'cancelled',
+        },
+      ],
+      names,
+    );
+    expect(events.map((e) => [e.summary, e.status])).toEqual([
+      ['Sensor clean: FX6', 'CONFIRMED'],
+      ['Calibration: 24-70 GM', 'CANCELLED'],
+    ]);
+  });
+});
+
+describe('buildCalendar', () => {
+  const ics = buildCalendar({
+    name: 'SIMS — Acme, Inc',
+    events: reservationEvents([row('r1')], names),
+  });
+  const lines = ics.split('\r\n');
+
+  it('writes a published VCALENDAR with CRLF line endings', () => {
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('METHOD:PUBLISH');
+    expect(lines).toContain('X-WR-CALNAME:SIMS — Acme\\, Inc');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('gives all-day events an exclusive end date', () => {
+    expect(lines).toContain('DTSTART;VALUE=DATE:20261102');
+    expect(lines).toContain('DTEND;VALUE=DATE:20261105');
+    expect(lines).toContain('DTSTAMP:20261001T100000Z');
+    expect(lines).toContain('UID:reservation-grp1@sims.calendar');
+  });
+
+  it('writes timed events as floating local times', () => {
+    const timed = buildCalendar({
+      name: 'SIMS',
+      events: reservationEvents([row('r1', { start_time: '08:30', end_time: '18:00' })], names),
+    });
+    expect(timed).toContain('DTSTART:20261102T083000\r\n');
+    expect(timed).toContain('DTEND:20261104T180000\r\n');
+  });
+});
+
+describe('text helpers', () => {
+  it('escapes iCalendar TEXT', () => {
+    expect(escapeIcsText('a;b,c\\d\nnext')).toBe('a\\;b\\,c\\\\d\\nnext');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const folded = foldIcsLine(`SUMMARY:${'é'.repeat(60)}`);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part) => expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75));
+    expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+});
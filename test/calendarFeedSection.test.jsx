@@ -0,0 +1,112 @@
+// =============================================================================
+// CalendarFeedSection — Test Suite
+// Creating, resetting and removing a subscription link, and the one-off .ics
+// download.
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+const { mockAddToast } = vi.hoisted(() => ({ mockAddToast: vi.fn() }));
+vi.mock('../contexts/ToastContext.js', () => ({
+  useToast: () => ({ addToast: mockAddToast }),
+}));
+
+const { default: CalendarFeedSection } = await import('../components/CalendarFeedSection.jsx');
+
+const user = { id: 'u1', name: 'Sam' };
+const feed = (extra = {}) => ({
+  id: 'f1',
+  ownerId: 'u1',
+  clientId: null,
+  includeMaintenance: false,
+  lastFetchedAt: null,
+  url: 'https://test.supabase.co/functions/v1/calendar-feed?token=abc',
+  ...extra,
+});
+
+function renderSection({ feeds = [], props = {}, context = {} } = {}) {
+  const dataContext = {
+    getCalendarFeeds: vi.fn().mockResolvedValue(feeds),
+    createCalendarFeed: vi.fn().mockImplementation(async (f) => feed({ ...f, id: 'f2' })),
+    deleteCalendarFeed: vi.fn().mockResolvedValue(),
+    exportCalendar: vi.fn().mockResolvedValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n'),
+    ...context,
+  };
+  render(<CalendarFeedSection user={user} dataContext={dataContext} {...props} />);
+  return dataContext;
+}
+
+describe('CalendarFeedSection', () => {
+  beforeEach(() => mockAddToast.mockClear());
+
+  it('creates the user feed, with maintenance when they may include it', async () => {
+    const dataContext = renderSection({ props: { canIncludeMaintenance: true } });
+    fireEvent.click(await screen.findByLabelText('Include scheduled maintenance'));
+    fireEvent.click(screen.getByRole('button', { name: /Create Subscription Link/ }));
+
+    await screen.findByLabelText('Calendar subscription link');
+    expect(dataContext.createCalendarFeed).toHaveBeenCalledWith({
+      ownerId: 'u1',
+      clientId: null,
+      includeMaintenance: true,
+    });
+  });
+
+  it("shows only the feed for the client it's on", async () => {
+    renderSection({
+      feeds: [feed(), feed({ id: 'f9', clientId: 'CL1', url: 'https://x/?token=client' })],
+      props: { client: { id: 'CL1', name: 'Acme' } },
+    });
+    expect(await screen.findByLabelText('Calendar subscription link')).toHaveValue(
+      'https://x/?token=client',
+    );
+    expect(screen.queryByLabelText('Include scheduled maintenance')).toBeNull();
+  });
+
+  it('resets the link by replacing the feed with the same settings', async () => {
+    const dataContext = renderSection({ feeds: [feed({ includeMaintenance: true })] });
+    fireEvent.click(await screen.findByRole('button', { name: /Reset Link/ }));
+
+    await waitFor(() =>
+      expect(dataContext.createCalendarFeed).toHaveBeenCalledWith({
+        ownerId: 'u1',
+        clientId: null,
+        includeMaintenance: true,
+      }),
+    );
+    expect(dataContext.deleteCalendarFeed).toHaveBeenCalledWith('f1');
+  });
+
+  it('removes the link', async () => {
+    const dataContext = renderSection({ feeds: [feed()] });
+    fireEvent.click(await screen.findByRole('button', { name: /Remove/ }));
+    await screen.findByRole('button', { name: /Create Subscription Link/ });
+    expect(dataContext.deleteCalendarFeed).toHaveBeenCalledWith('f1');
+  });
+
+  it('downloads an .ics snapshot', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:ics');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const dataContext = renderSection({ props: { client: { id: 'CL1', name: 'Acme' } } });
+
+    fireEvent.click(await screen.findByRole('button', { name: /Download .ics/ }));
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(dataContext.exportCalendar).toHaveBeenCalledWith({
+      clientId: 'CL1',
+      includeMaintenance: false,
+    });
+    click.mockRestore();
+  });
+
+  it('reports a failed change as a toast', async () => {
+    renderSection({
+      context: { createCalendarFeed: vi.fn().mockRejectedValue(new Error('denied')) },
+    });
+    fireEvent.click(await screen.findByRole('button', { name: /Create Subscription Link/ }));
+    await waitFor(() =>
+      expect(mockAddToast).toHaveBeenCalledWith('Could not create the link: denied', 'error'),
+    );
+  });
+});
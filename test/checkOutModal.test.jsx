@@ -2,13 +2,24 @@
 // CheckOutModal — reservation awareness
 // Checkout used to be completely blind to reservations: gear reserved for a
 // job could be checked out with no warning. The modal now surfaces any
-// confirmed reservation overlapping [today, dueDate].
+// confirmed reservation overlapping [today, dueDate]. Also the borrower's
+// signature when the agreement is required, the readiness checks, the
+// borrower account's block and limits, and the deposit taken.
 // =============================================================================
 
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { getTodayISO } from '../utils';
 
+// The canvas pad draws nothing in jsdom — stand in a button that "signs"
+vi.mock('../components/SignaturePad.jsx', () => ({
+  default: ({ onChange }) => (
+    <button type="button" onClick={() => onChange('data:image/png;base64,AAA')}>
+      Sign
+    </button>
+  ),
+}));
+
 const { CheckOutModal } = await import('../modals/CheckOutModal.jsx');
 
 const TODAY = getTodayISO();
@@ -19,15 +30,32 @@ function isoPlus(days) {
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
-function renderModal(item) {
+function renderModal(
+  item,
+  {
+    onCheckOut = vi.fn(),
+    settings,
+    inventory,
+    categorySettings,
+    onLoadDamageReports,
+    borrowers,
+    trackQuantity,
+  } = {},
+) {
   return render(
     <CheckOutModal
       item={item}
       users={[]}
       clients={[]}
+      borrowers={borrowers}
       currentUser={{ name: 'Tester', email: 't@example.com' }}
-      onCheckOut={vi.fn()}
+      onCheckOut={onCheckOut}
       onClose={vi.fn()}
+      settings={settings}
+      inventory={inventory}
+      categorySettings={categorySettings}
+      onLoadDamageReports={onLoadDamageReports}
+      trackQuantity={trackQuantity}
     />,
   );
 }
@@ -67,3 +95,193 @@ describe('CheckOutModal reservation warning', () => {
     expect(screen.queryByText(/reserved during the checkout period/)).not.toBeInTheDocument();
   });
 });
+
+describe('CheckOutModal agreement', () => {
+  const item = { id: 'CAM1', name: 'Alpha Cam', condition: 'excellent', reservations: [] };
+
+  function fillForm() {
+    fireEvent.click(screen.getByRole('button', { name: '1 week' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /I confirm the item/ }));
+  }
+
+  it('blocks the checkout until the borrower signs a required agreement', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, {
+      onCheckOut,
+      settings: { agreementTerms: 'I, {borrower}, take it', requireAgreement: true },
+    });
+    expect(screen.getByText('I, Tester, take it')).toBeInTheDocument();
+    fillForm();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(screen.getByText('The borrower must sign the agreement')).toBeInTheDocument();
+    expect(onCheckOut).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenCalledWith(
+      expect.objectContaining({ signature: 'data:image/png;base64,AAA', attachAgreement: true }),
+    );
+  });
+
+  it('checks out unsigned when the agreement is optional', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, { onCheckOut });
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenCalledWith(expect.objectContaining({ signature: null }));
+  });
+});
+
+describe('CheckOutModal readiness checks', () => {
+  const item = {
+    id: 'CAM1',
+    name: 'Alpha Cam',
+    category: 'Cameras',
+    condition: 'excellent',
+    reservations: [],
+  };
+  const blockDamage = { Cameras: { readinessRules: { damage: 'block' } } };
+
+  function fillForm() {
+    fireEvent.click(screen.getByRole('button', { name: '1 week' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /I confirm the item/ }));
+  }
+
+  it('warns without holding the checkout', () => {
+    const onCheckOut = vi.fn();
+    renderModal({ ...item, condition: 'poor' }, { onCheckOut });
+    expect(screen.getByText('Check before handing over')).toBeInTheDocument();
+    expect(screen.getByText('Condition is poor')).toBeInTheDocument();
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenCalledWith(expect.objectContaining({ readinessOverride: null }));
+  });
+
+  it('needs an override reason for a blocking check', async () => {
+    const onCheckOut = vi.fn();
+    const onLoadDamageReports = vi
+      .fn()
+      .mockResolvedValue({ CAM1: { reportedAt: null, description: 'Cracked mount' } });
+    renderModal(item, { onCheckOut, categorySettings: blockDamage, onLoadDamageReports });
+
+    expect(await screen.findByText('Not ready to check out')).toBeInTheDocument();
+    expect(onLoadDamageReports).toHaveBeenCalledWith(['CAM1']);
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(
+      screen.getByText('Give a reason to check out despite the blocking checks'),
+    ).toBeInTheDocument();
+    expect(onCheckOut).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/Override reason/), {
+      target: { value: 'Repair booked after the shoot' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenCalledWith(
+      expect.objectContaining({
+        readinessOverride: {
+          reason: 'Repair booked after the shoot',
+          issues: [expect.objectContaining({ rule: 'damage', level: 'block', itemId: 'CAM1' })],
+        },
+      }),
+    );
+  });
+});
+
+describe('CheckOutModal borrower accounts', () => {
+  const item = { id: 'CAM1', name: 'Alpha Cam', condition: 'excellent', reservations: [] };
+
+  function confirm() {
+    fireEvent.click(screen.getByRole('button', { name: '1 week' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /I confirm the item/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+  }
+
+  it('refuses a blocked borrower, typed by name rather than picked', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, {
+      onCheckOut,
+      borrowers: [{ id: 'b2', name: 'Sam Ortiz', blocked: true, blockedReason: 'Lost a lens' }],
+    });
+    fireEvent.change(screen.getByPlaceholderText('Who is taking this item?'), {
+      target: { value: 'sam ortiz' },
+    });
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Sam Ortiz is blocked from borrowing: Lost a lens',
+    );
+    confirm();
+    expect(onCheckOut).not.toHaveBeenCalled();
+  });
+
+  it('holds a checkout over the item limit', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, {
+      onCheckOut,
+      borrowers: [{ id: 'b1', name: 'Tester', maxItems: 1 }],
+      inventory: [{ id: 'LENS1', status: 'checked-out', checkedOutToBorrowerId: 'b1' }],
+    });
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Tester may hold 1 item at once — 1 out already, this adds 1',
+    );
+    confirm();
+    expect(onCheckOut).not.toHaveBeenCalled();
+  });
+
+  it('names the account in the checkout and holds it until the required deposit is entered', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, {
+      onCheckOut,
+      borrowers: [{ id: 'b1', name: 'Tester', maxItems: 3, depositRequired: 250 }],
+    });
+    expect(screen.getByText('Tester leaves $250 with each checkout')).toBeInTheDocument();
+    confirm();
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Tester leaves a deposit of $250 with each checkout',
+    );
+    expect(onCheckOut).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/Amount/), { target: { value: '200' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('Tester leaves at least $250');
+    expect(onCheckOut).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/Amount/), { target: { value: '250' } });
+    fireEvent.change(screen.getByLabelText('Reference'), { target: { value: 'R-1042' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenCalledWith(
+      expect.objectContaining({
+        borrowerName: 'Tester',
+        borrowerId: 'b1',
+        deposit: { amount: 250, method: 'cash', reference: 'R-1042' },
+      }),
+    );
+  });
+
+  it('takes a deposit without an account, and none when left blank', () => {
+    const onCheckOut = vi.fn();
+    renderModal(item, { onCheckOut });
+    confirm();
+    expect(onCheckOut).toHaveBeenLastCalledWith(expect.objectContaining({ deposit: null }));
+
+    fireEvent.change(screen.getByLabelText(/Amount/), { target: { value: '80.5' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Deposit method' }));
+    fireEvent.click(screen.getByRole('option', { name: 'Card' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Check Out' }));
+    expect(onCheckOut).toHaveBeenLastCalledWith(
+      expect.objectContaining({ deposit: { amount: 80.5, method: 'card', reference: null } }),
+    );
+  });
+
+  it('takes no deposit for units handed out by count, even from an account that requires one', () => {
+    renderModal(
+      { id: 'TAPE', name: 'Gaffer tape', quantity: 12, reservations: [] },
+      {
+        trackQuantity: true,
+        borrowers: [{ id: 'b1', name: 'Tester', depositRequired: 250 }],
+      },
+    );
+    expect(screen.queryByRole('heading', { name: 'Deposit' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Amount/)).not.toBeInTheDocument();
+  });
+});
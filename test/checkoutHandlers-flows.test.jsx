@@ -9,6 +9,10 @@
 //   reporting, borrower user-id resolution
 // - single check-in: status derivation (damage > reservation > available),
 //   damage report to admins, damage → maintenance handoff
+// - signed agreements: stored before the gear moves, linked, attached to the
+//   confirmation on request, discarded when the checkout fails
+// - deposits: recorded once the checkout has gone through, settled at check-in;
+//   units handed out by count are never covered, and the operator is told
 // - saveMaintenance: optimistic add/edit, temp-id swap, rollback on failure
 // - updateMaintenanceStatus: needs-attention → available when the last open
 //   record completes, and the branches where it must not
@@ -113,7 +117,7 @@ describe('processBatchCheckout', () => {
       });
     });
 
-    expect(outcome).toEqual({ done: 2, failed: [] });
+    expect(outcome).toEqual({ done: 2, failed: [], conflicts: [] });
     expect(dataContext.checkOutItem).toHaveBeenCalledTimes(2);
     expect(dataContext.checkOutItem).toHaveBeenCalledWith('IT1', {
       userId: null,
@@ -122,6 +126,7 @@ describe('processBatchCheckout', () => {
       clientName: null,
       project: 'Shoot',
       dueBack: '2026-09-01',
+      reservationId: null,
     });
     expect(deps.addAuditLog).toHaveBeenCalledTimes(2);
     expect(deps.addAuditLog.mock.calls[1][0].description).toBe('IT9 checked out to Jordan');
@@ -151,7 +156,7 @@ describe('processBatchCheckout', () => {
         dueDate: '2026-09-01',
       });
     });
-    expect(outcome).toEqual({ done: 1, failed: ['Camera'] });
+    expect(outcome).toEqual({ done: 1, failed: ['Camera'], conflicts: [] });
     expect(deps.addAuditLog).toHaveBeenCalledTimes(1);
     expect(deps.addChangeLog.mock.calls[0][0].description).toBe(
       'Checked out to Jordan for unspecified project',
@@ -176,6 +181,20 @@ describe('processBatchCheckout', () => {
     expect(mockAddToast).toHaveBeenCalledWith('Failed to check out: IT9', 'error');
   });
 
+  it('tells each item which reservation row the load-out picks up', async () => {
+    const { hook, dataContext } = setup();
+    await act(async () => {
+      await hook.result.current.processBatchCheckout({
+        items: [available, { id: 'IT9' }],
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+        reservationIds: { IT1: 'res-1' },
+      });
+    });
+    expect(dataContext.checkOutItem.mock.calls[0][1].reservationId).toBe('res-1');
+    expect(dataContext.checkOutItem.mock.calls[1][1].reservationId).toBeNull();
+  });
+
   it('refreshes the selected item and resolves the borrower as a SIMS user by name', async () => {
     const dataContext = makeDataContext({ users: [{ id: 'u7', name: 'Jordan', email: 'j@x' }] });
     const { hook, deps } = setup({ dataContext, selectedItem: available });
@@ -508,7 +527,7 @@ describe('processBatchCheckin', () => {
       });
     });
 
-    expect(outcome).toEqual({ done: 2, failed: [] });
+    expect(outcome).toEqual({ done: 2, failed: [], conflicts: [] });
     expect(dataContext.checkInItem.mock.calls.map((c) => c[0])).toEqual(['IT2', 'IT3']);
     expect(dataContext.checkInItem.mock.calls[0][1]).toMatchObject({
       returnedBy: 'Admin',
@@ -540,7 +559,7 @@ describe('processBatchCheckin', () => {
     await act(async () => {
       outcome = await hook.result.current.processBatchCheckin({ itemIds: ['IT2', 'IT3'] });
     });
-    expect(outcome).toEqual({ done: 1, failed: ['Lens'] });
+    expect(outcome).toEqual({ done: 1, failed: ['Lens'], conflicts: [] });
     expect(deps.addAuditLog).toHaveBeenCalledTimes(1);
     expect(mockAddToast).toHaveBeenCalledWith('1 item checked in', 'success');
     expect(mockAddToast).toHaveBeenCalledWith('Failed to check in: Lens', 'error');
@@ -555,6 +574,490 @@ describe('processBatchCheckin', () => {
   });
 });
 
+// =============================================================================
+// Signed agreements
+// =============================================================================
+
+describe('signed agreements', () => {
+  const SIGNATURE = 'data:image/png;base64,AAA';
+  const checkoutData = {
+    itemId: 'IT1',
+    borrowerName: 'Jordan',
+    borrowerEmail: 'jordan@example.com',
+    project: 'Shoot',
+    dueDate: '2026-09-01',
+    checkedOutDate: TODAY,
+    signature: SIGNATURE,
+  };
+
+  function agreementContext(overrides = {}) {
+    return makeDataContext({
+      createCheckoutAgreement: vi.fn().mockResolvedValue({ id: 'AG1' }),
+      deleteCheckoutAgreement: vi.fn().mockResolvedValue(undefined),
+      pricingSettings: { agreementTerms: '{borrower} signs for {total_value}' },
+      ...overrides,
+    });
+  }
+
+  async function checkOut(dataContext, data = checkoutData) {
+    const { hook } = setup({ dataContext });
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout(data);
+    });
+    return hook;
+  }
+
+  it('stores the agreement before the checkout and links it to the history row', async () => {
+    const dataContext = agreementContext();
+    await checkOut(dataContext, { ...checkoutData, attachAgreement: true });
+
+    expect(dataContext.createCheckoutAgreement).toHaveBeenCalledWith(
+      expect.objectContaining({
+        kind: 'checkout',
+        signerName: 'Jordan',
+        signature: SIGNATURE,
+        dueBack: '2026-09-01',
+        items: [expect.objectContaining({ id: 'IT1', name: 'Camera', condition: 'good' })],
+        terms: 'Jordan signs for $0.00',
+        createdBy: 'u1',
+      }),
+    );
+    expect(dataContext.createCheckoutAgreement.mock.invocationCallOrder[0]).toBeLessThan(
+      dataContext.checkOutItem.mock.invocationCallOrder[0],
+    );
+    expect(dataContext.checkOutItem.mock.calls[0][1].agreementId).toBe('AG1');
+    expect(dataContext.sendCheckoutEmail.mock.calls[0][0].agreementId).toBe('AG1');
+  });
+
+  it('leaves the agreement off the email unless asked to attach it', async () => {
+    const dataContext = agreementContext();
+    await checkOut(dataContext, { ...checkoutData, attachAgreement: false });
+    expect(dataContext.checkOutItem.mock.calls[0][1].agreementId).toBe('AG1');
+    expect(dataContext.sendCheckoutEmail.mock.calls[0][0]).not.toHaveProperty('agreementId');
+  });
+
+  it('stores nothing without a signature', async () => {
+    const dataContext = agreementContext();
+    await checkOut(dataContext, { ...checkoutData, signature: null });
+    expect(dataContext.createCheckoutAgreement).not.toHaveBeenCalled();
+    expect(dataContext.checkOutItem.mock.calls[0][1]).not.toHaveProperty('agreementId');
+  });
+
+  it('does not check out when the signed agreement cannot be saved', async () => {
+    const dataContext = agreementContext({
+      createCheckoutAgreement: vi.fn().mockRejectedValue(new Error('denied')),
+    });
+    await checkOut(dataContext);
+    expect(dataContext.checkOutItem).not.toHaveBeenCalled();
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Could not save the signed agreement: denied',
+      'error',
+    );
+  });
+
+  it('discards the agreement when the checkout itself fails', async () => {
+    const dataContext = agreementContext({
+      checkOutItem: vi.fn().mockRejectedValue(new Error('network')),
+    });
+    await checkOut(dataContext);
+    expect(dataContext.deleteCheckoutAgreement).toHaveBeenCalledWith('AG1');
+  });
+
+  it('checks out without an agreement while offline, with a warning', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    try {
+      const dataContext = agreementContext();
+      await checkOut(dataContext);
+      expect(dataContext.createCheckoutAgreement).not.toHaveBeenCalled();
+      expect(dataContext.checkOutItem).toHaveBeenCalled();
+      expect(mockAddToast).toHaveBeenCalledWith(
+        'Offline — the signature cannot be saved with this checkout',
+        'warning',
+      );
+    } finally {
+      onLine.mockRestore();
+    }
+  });
+
+  it('stores a return signature against the check-in', async () => {
+    const dataContext = agreementContext();
+    const { hook } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processCheckin({
+        itemId: 'IT2',
+        returnedBy: 'Jordan',
+        signerName: 'Jordan',
+        condition: 'fair',
+        returnDate: TODAY,
+        signature: SIGNATURE,
+      });
+    });
+    expect(dataContext.createCheckoutAgreement).toHaveBeenCalledWith(
+      expect.objectContaining({
+        kind: 'checkin',
+        signerName: 'Jordan',
+        items: [expect.objectContaining({ id: 'IT2', condition: 'fair' })],
+      }),
+    );
+    expect(dataContext.checkInItem.mock.calls[0][1].agreementId).toBe('AG1');
+  });
+
+  it('covers every batch item with one agreement, discarded when none check out', async () => {
+    const dataContext = agreementContext({
+      checkOutItem: vi.fn().mockRejectedValue(new Error('network')),
+    });
+    const { hook } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processBatchCheckout({
+        items: [available, { id: 'IT9' }],
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+        signature: SIGNATURE,
+      });
+    });
+    expect(dataContext.createCheckoutAgreement).toHaveBeenCalledTimes(1);
+    expect(dataContext.createCheckoutAgreement.mock.calls[0][0].items).toHaveLength(2);
+    expect(dataContext.checkOutItem.mock.calls.map(([, data]) => data.agreementId)).toEqual([
+      'AG1',
+      'AG1',
+    ]);
+    expect(dataContext.deleteCheckoutAgreement).toHaveBeenCalledWith('AG1');
+  });
+});
+
+// =============================================================================
+// Readiness overrides
+// =============================================================================
+
+describe('readiness overrides', () => {
+  const issues = [
+    { rule: 'damage', level: 'block', itemId: 'IT1', message: 'Damage reported' },
+    { rule: 'condition', level: 'warn', itemId: 'IT1', message: 'Condition is poor' },
+    { rule: 'borrowerOverdue', level: 'block', itemId: null, message: 'Jordan has 1 overdue item' },
+  ];
+
+  it('records an override reason for each blocking check it overrode', async () => {
+    const { hook, deps } = setup();
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({
+        itemId: 'IT1',
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+        readinessOverride: { reason: 'Client shoot, repair after', issues },
+      });
+    });
+    const overrides = deps.addAuditLog.mock.calls.filter(
+      ([entry]) => entry.type === 'checkout_override',
+    );
+    expect(overrides).toEqual([
+      [
+        {
+          type: 'checkout_override',
+          description:
+            'Camera checked out to Jordan despite: Damage reported; Jordan has 1 overdue item (reason: Client shoot, repair after)',
+          user: 'Admin',
+          itemId: 'IT1',
+          reason: 'Client shoot, repair after',
+          rules: ['damage', 'borrowerOverdue'],
+        },
+      ],
+    ]);
+  });
+
+  it('records nothing for a batch item whose checkout failed', async () => {
+    const dataContext = makeDataContext({
+      checkOutItem: vi.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('network')),
+    });
+    const { hook, deps } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processBatchCheckout({
+        items: [available, { id: 'IT9', name: 'Tripod' }],
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+        readinessOverride: {
+          reason: 'Needed today',
+          issues: [...issues, { rule: 'damage', level: 'block', itemId: 'IT9', message: 'Bent' }],
+        },
+      });
+    });
+    const overridden = deps.addAuditLog.mock.calls
+      .filter(([entry]) => entry.type === 'checkout_override')
+      .map(([entry]) => entry.itemId);
+    expect(overridden).toEqual(['IT1']);
+  });
+});
+
+// =============================================================================
+// Borrower accounts
+// =============================================================================
+
+describe('borrower accounts', () => {
+  const borrowers = [{ id: 'b1', name: 'Jordan Lee', userId: 'u7' }];
+
+  it('passes the account to the checkout and takes its app user as the borrower', async () => {
+    const dataContext = makeDataContext({
+      borrowers,
+      users: [{ id: 'u9', name: 'Jordan Lee' }],
+    });
+    const { hook } = setup({ dataContext });
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({
+        itemId: 'IT1',
+        borrowerName: 'Jordan Lee',
+        borrowerId: 'b1',
+        dueDate: '2026-09-01',
+      });
+    });
+    expect(dataContext.checkOutItem).toHaveBeenCalledWith(
+      'IT1',
+      expect.objectContaining({ userId: 'u7', userName: 'Jordan Lee', borrowerId: 'b1' }),
+    );
+  });
+
+  it('passes the account for every batch item', async () => {
+    const dataContext = makeDataContext({ borrowers });
+    const { hook } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processBatchCheckout({
+        items: [available, { id: 'IT9', name: 'Tripod' }],
+        borrowerName: 'Jordan Lee',
+        borrowerId: 'b1',
+        dueDate: '2026-09-01',
+      });
+    });
+    expect(dataContext.checkOutItem.mock.calls.map(([, data]) => data.borrowerId)).toEqual([
+      'b1',
+      'b1',
+    ]);
+  });
+
+  it('leaves the account out of a checkout without one', async () => {
+    const dataContext = makeDataContext();
+    const { hook } = setup({ dataContext });
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({
+        itemId: 'IT1',
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+      });
+    });
+    expect(dataContext.checkOutItem.mock.calls[0][1]).not.toHaveProperty('borrowerId');
+  });
+});
+
+// =============================================================================
+// Deposits
+// =============================================================================
+
+describe('deposits', () => {
+  const deposit = { amount: 250, method: 'card', reference: 'R-1' };
+  const held = { id: 'D1', borrowerName: 'Jordan', amount: 250, status: 'held' };
+  const depositContext = (overrides) =>
+    makeDataContext({
+      recordDeposit: vi.fn().mockResolvedValue({ id: 'D1' }),
+      settleDeposit: vi.fn().mockResolvedValue({}),
+      ...overrides,
+    });
+
+  async function checkOut(dataContext) {
+    const { hook, deps } = setup({ dataContext });
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({
+        itemId: 'IT1',
+        borrowerName: 'Jordan',
+        borrowerId: 'b1',
+        project: 'Shoot',
+        dueDate: '2026-09-01',
+        deposit,
+      });
+    });
+    return deps;
+  }
+
+  it('records the deposit against the item once checked out', async () => {
+    const dataContext = depositContext();
+    const deps = await checkOut(dataContext);
+    expect(dataContext.recordDeposit).toHaveBeenCalledWith({
+      ...deposit,
+      borrowerId: 'b1',
+      borrowerName: 'Jordan',
+      clientId: null,
+      project: 'Shoot',
+      itemIds: ['IT1'],
+      receivedByName: 'Admin',
+    });
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'deposit_received',
+        description: '$250 deposit (Card) from Jordan for Camera',
+        depositId: 'D1',
+      }),
+    );
+  });
+
+  it('records nothing when the checkout fails', async () => {
+    const dataContext = depositContext({
+      checkOutItem: vi.fn().mockRejectedValue(new Error('network')),
+    });
+    await checkOut(dataContext);
+    expect(dataContext.recordDeposit).not.toHaveBeenCalled();
+  });
+
+  it('keeps the checkout when the deposit cannot be written, with a warning', async () => {
+    const dataContext = depositContext({
+      recordDeposit: vi.fn().mockRejectedValue(new Error('denied')),
+    });
+    await checkOut(dataContext);
+    expect(dataContext.checkOutItem).toHaveBeenCalled();
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Checked out, but the $250 deposit was not recorded: denied',
+      'warning',
+    );
+  });
+
+  it('warns instead of recording while offline', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    try {
+      const dataContext = depositContext();
+      await checkOut(dataContext);
+      expect(dataContext.recordDeposit).not.toHaveBeenCalled();
+      expect(mockAddToast).toHaveBeenCalledWith(
+        'Offline — the $250 deposit cannot be recorded with this checkout',
+        'warning',
+      );
+    } finally {
+      onLine.mockRestore();
+    }
+  });
+
+  it('covers the serialized items of a batch with one deposit', async () => {
+    const dataContext = depositContext();
+    const { hook } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processBatchCheckout({
+        items: [available, { id: 'IT9', name: 'Tripod' }],
+        borrowerName: 'Jordan',
+        dueDate: '2026-09-01',
+        deposit,
+      });
+    });
+    expect(dataContext.recordDeposit).toHaveBeenCalledTimes(1);
+    expect(dataContext.recordDeposit.mock.calls[0][0].itemIds).toEqual(['IT1', 'IT9']);
+  });
+
+  describe('with quantity-tracked gear', () => {
+    const tape = { id: 'TP1', name: 'Gaffer Tape', category: 'Consumables' };
+    const quantityContext = (overrides) =>
+      depositContext({
+        categorySettings: { Consumables: { trackQuantity: true } },
+        checkOutItemQuantity: vi.fn().mockResolvedValue({ item: { ...tape, quantityOut: 2 } }),
+        ...overrides,
+      });
+    const notRecorded =
+      'The $250 deposit was not recorded: it covers serialized items and none went out';
+
+    it('says so rather than dropping a deposit on a quantity checkout', async () => {
+      const dataContext = quantityContext();
+      const { hook } = setup({ dataContext, inventory: [tape] });
+      await act(async () => {
+        await hook.result.current.processCheckout({
+          itemId: 'TP1',
+          quantity: 2,
+          borrowerName: 'Jordan',
+          dueDate: '2026-09-01',
+          deposit,
+        });
+      });
+      expect(dataContext.checkOutItemQuantity).toHaveBeenCalled();
+      expect(dataContext.recordDeposit).not.toHaveBeenCalled();
+      expect(mockAddToast).toHaveBeenCalledWith(notRecorded, 'warning');
+    });
+
+    it('leaves units out of a batch deposit, and says so when only units went', async () => {
+      const dataContext = quantityContext();
+      const { hook } = setup({ dataContext, inventory: [available, tape] });
+      await act(async () => {
+        await hook.result.current.processBatchCheckout({
+          items: [available, tape],
+          borrowerName: 'Jordan',
+          dueDate: '2026-09-01',
+          deposit,
+        });
+      });
+      expect(dataContext.recordDeposit.mock.calls[0][0].itemIds).toEqual(['IT1']);
+
+      const lost = quantityContext({
+        checkOutItem: vi.fn().mockRejectedValue(new Error('network')),
+      });
+      const batch = setup({ dataContext: lost, inventory: [available, tape] });
+      await act(async () => {
+        await batch.hook.result.current.processBatchCheckout({
+          items: [available, tape],
+          borrowerName: 'Jordan',
+          dueDate: '2026-09-01',
+          deposit,
+        });
+      });
+      expect(lost.checkOutItemQuantity).toHaveBeenCalled();
+      expect(lost.recordDeposit).not.toHaveBeenCalled();
+      expect(mockAddToast).toHaveBeenCalledWith(notRecorded, 'warning');
+    });
+  });
+
+  it('settles the held deposit after the return', async () => {
+    const dataContext = depositContext();
+    const { hook, deps } = setup({ dataContext });
+    const settlement = {
+      status: 'partially_refunded',
+      deductedAmount: 100,
+      deductionReason: 'Cracked filter',
+    };
+    await act(async () => {
+      await hook.result.current.processCheckin({
+        itemId: 'IT2',
+        returnedBy: 'Jordan',
+        condition: 'good',
+        returnDate: TODAY,
+        deposit: held,
+        depositSettlement: settlement,
+      });
+    });
+    expect(dataContext.checkInItem).toHaveBeenCalled();
+    expect(dataContext.settleDeposit).toHaveBeenCalledWith('D1', {
+      ...settlement,
+      settledByName: 'Admin',
+    });
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'deposit_partially_refunded',
+        description: "Kept $100 of Jordan's $250 deposit (Cracked filter), refunded $150",
+      }),
+    );
+  });
+
+  it('leaves a deposit settled later untouched', async () => {
+    const dataContext = depositContext();
+    const { hook } = setup({ dataContext });
+    await act(async () => {
+      await hook.result.current.processCheckin({
+        itemId: 'IT2',
+        returnedBy: 'Jordan',
+        condition: 'good',
+        returnDate: TODAY,
+        deposit: held,
+        depositSettlement: null,
+      });
+    });
+    expect(dataContext.checkInItem).toHaveBeenCalled();
+    expect(dataContext.settleDeposit).not.toHaveBeenCalled();
+  });
+});
+
 // =============================================================================
 // Maintenance
 // =============================================================================
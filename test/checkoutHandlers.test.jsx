@@ -19,6 +19,7 @@ vi.mock('../contexts/ToastContext.js', () => ({
 }));
 
 const { useCheckoutHandlers } = await import('../hooks/handlers/useCheckoutHandlers.js');
+const { CheckoutConflictError } = await import('../lib/errors.js');
 
 const checkedOutItem = {
   id: 'IT1',
@@ -203,3 +204,224 @@ describe('processCheckout failure path', () => {
     expect(hook.result.current.checkoutItem).toBeNull();
   });
 });
+
+describe('checkout conflicts (another operator got there first)', () => {
+  const takenBy = (name) =>
+    new CheckoutConflictError('conflict', {
+      itemId: 'IT1',
+      item: { id: 'IT1', name: 'Probe Item', status: 'checked-out', checkedOutTo: name },
+      action: 'checkout',
+    });
+
+  it('explains who has the item and closes instead of leaving a dead form', async () => {
+    const dataContext = makeDataContext({
+      checkOutItem: vi.fn().mockRejectedValue(takenBy('Casey')),
+    });
+    const { hook, deps } = setup({
+      item: { ...checkedOutItem, status: 'available', checkedOutTo: null },
+      dataContext,
+    });
+
+    act(() => hook.result.current.openCheckoutModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckout(checkoutData);
+    });
+
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Probe Item was already checked out to Casey',
+      'warning',
+    );
+    expect(deps.closeModal).toHaveBeenCalledTimes(1);
+    expect(hook.result.current.checkoutItem).toBeNull();
+    expect(deps.addAuditLog).not.toHaveBeenCalled();
+  });
+
+  it('batch checkout reports lost races apart from real failures', async () => {
+    const dataContext = makeDataContext({
+      checkOutItem: vi
+        .fn()
+        .mockRejectedValueOnce(takenBy('Casey'))
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValueOnce({}),
+    });
+    const { hook } = setup({ dataContext });
+
+    let result;
+    await act(async () => {
+      result = await hook.result.current.processBatchCheckout({
+        items: [
+          { id: 'IT1', name: 'Probe Item' },
+          { id: 'IT2', name: 'Second' },
+          { id: 'IT3', name: 'Third' },
+        ],
+        borrowerName: 'Jordan',
+        dueDate: '2026-08-20',
+      });
+    });
+
+    expect(result).toEqual({
+      done: 1,
+      failed: ['Second'],
+      conflicts: ['Probe Item was already checked out to Casey'],
+    });
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Not checked out: Probe Item was already checked out to Casey',
+      'warning',
+    );
+    expect(mockAddToast).toHaveBeenCalledWith('Failed to check out: Second', 'error');
+  });
+
+  it('a check-in someone else already did closes the modal with a warning', async () => {
+    const dataContext = makeDataContext({
+      checkInItem: vi.fn().mockRejectedValue(
+        new CheckoutConflictError('conflict', {
+          itemId: 'IT1',
+          item: { id: 'IT1', name: 'Probe Item', status: 'available' },
+          action: 'checkin',
+        }),
+      ),
+    });
+    const { hook, deps } = setup({ dataContext });
+
+    act(() => hook.result.current.openCheckinModal('IT1'));
+    await act(async () => {
+      await hook.result.current.processCheckin(checkinData);
+    });
+
+    expect(mockAddToast).toHaveBeenCalledWith('Probe Item was already checked in', 'warning');
+    expect(deps.closeModal).toHaveBeenCalledTimes(1);
+    expect(hook.result.current.checkinItemData).toBeNull();
+  });
+});
+
+describe('quantity-tracked items', () => {
+  const batteries = {
+    id: 'CON1',
+    name: 'AA batteries',
+    category: 'Consumables',
+    status: 'available',
+    quantity: 40,
+    quantityOut: 0,
+    quantityCheckouts: [],
+  };
+  const categorySettings = { Consumables: { trackQuantity: true } };
+
+  function setupQuantity(overrides = {}) {
+    const dataContext = makeDataContext({ categorySettings, ...overrides });
+    const deps = {
+      inventory: [batteries],
+      selectedItem: batteries,
+      setSelectedItem: vi.fn(),
+      dataContext,
+      currentUser: { id: 'u1', name: 'Admin' },
+      openModal: vi.fn(),
+      closeModal: vi.fn(),
+      addAuditLog: vi.fn(),
+      addChangeLog: vi.fn(),
+    };
+    const hook = renderHook(() => useCheckoutHandlers(deps));
+    // Apply the last functional setSelectedItem update to the item
+    const selectedAfter = () => deps.setSelectedItem.mock.calls.at(-1)[0](batteries);
+    return { hook, deps, dataContext, selectedAfter };
+  }
+
+  it('a checkout with a quantity moves units instead of the whole row', async () => {
+    const checkout = { id: 'qc1', itemId: 'CON1', borrowerName: 'Jordan', quantity: 12 };
+    const { hook, deps, dataContext, selectedAfter } = setupQuantity({
+      checkOutItemQuantity: vi.fn().mockResolvedValue({
+        item: { ...batteries, quantityOut: 12 },
+        checkout,
+      }),
+    });
+
+    act(() => hook.result.current.openCheckoutModal('CON1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({ ...checkoutData, itemId: 'CON1', quantity: 12 });
+    });
+
+    expect(dataContext.checkOutItem).not.toHaveBeenCalled();
+    expect(dataContext.checkOutItemQuantity).toHaveBeenCalledWith(
+      'CON1',
+      expect.objectContaining({ quantity: 12, userName: 'Jordan', dueBack: '2026-08-20' }),
+    );
+    expect(selectedAfter()).toMatchObject({
+      status: 'available',
+      quantityOut: 12,
+      quantityCheckouts: [checkout],
+    });
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ description: '12 × AA batteries checked out to Jordan' }),
+    );
+    expect(deps.closeModal).toHaveBeenCalledTimes(1);
+  });
+
+  it('short stock keeps the modal open on the fresh count', async () => {
+    const { hook, deps } = setupQuantity({
+      checkOutItemQuantity: vi.fn().mockRejectedValue(
+        new CheckoutConflictError('short', {
+          itemId: 'CON1',
+          item: { ...batteries, quantityOut: 35 },
+          action: 'checkout',
+          quantity: 12,
+        }),
+      ),
+    });
+
+    act(() => hook.result.current.openCheckoutModal('CON1'));
+    await act(async () => {
+      await hook.result.current.processCheckout({ ...checkoutData, itemId: 'CON1', quantity: 12 });
+    });
+
+    expect(mockAddToast).toHaveBeenCalledWith('Only 5 AA batteries on hand', 'warning');
+    expect(deps.closeModal).not.toHaveBeenCalled();
+    expect(hook.result.current.checkoutItem).toMatchObject({ quantityOut: 35 });
+  });
+
+  it('a partial return keeps the rest outstanding against the borrower', async () => {
+    const open = { id: 'qc1', itemId: 'CON1', borrowerName: 'Jordan', quantity: 12 };
+    const { hook, deps, dataContext } = setupQuantity({
+      returnItemQuantity: vi.fn().mockResolvedValue({
+        item: { ...batteries, quantity: 38, quantityOut: 4 },
+        checkout: { ...open, quantity: 4 },
+        historyEvents: [],
+      }),
+    });
+
+    act(() => hook.result.current.openQuantityReturnModal(open));
+    expect(deps.openModal).toHaveBeenCalledWith('quantity-return');
+    await act(async () => {
+      await hook.result.current.processQuantityReturn({
+        checkoutId: 'qc1',
+        itemId: 'CON1',
+        returned: 6,
+        consumed: 2,
+        notes: '',
+      });
+    });
+
+    expect(dataContext.returnItemQuantity).toHaveBeenCalledWith(
+      'qc1',
+      expect.objectContaining({ itemId: 'CON1', returned: 6, consumed: 2, userName: 'Admin' }),
+    );
+    const patched = deps.setSelectedItem.mock.calls.at(-1)[0]({
+      ...batteries,
+      quantityCheckouts: [open],
+    });
+    expect(patched).toMatchObject({ quantity: 38, quantityOut: 4 });
+    expect(patched.quantityCheckouts).toEqual([{ ...open, quantity: 4 }]);
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'AA batteries: 6 returned, 2 consumed (Jordan)',
+      'success',
+    );
+  });
+
+  it('the row-level check-in is refused — units come back per borrower', () => {
+    const { hook, deps } = setupQuantity();
+    act(() => hook.result.current.openCheckinModal('CON1'));
+    expect(deps.openModal).not.toHaveBeenCalled();
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Return AA batteries units from its Outstanding list',
+      'info',
+    );
+  });
+});
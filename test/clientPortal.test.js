@@ -0,0 +1,84 @@
+// =============================================================================
+// lib/clientPortal — the public page's calls to the client-portal function
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  portalTokenFromPath,
+  fetchPortalCatalog,
+  submitPortalRequest,
+} from '../lib/clientPortal.js';
+import { PortalUnavailableError } from '../lib/errors.js';
+
+const mockFetch = vi.fn();
+global.fetch = mockFetch;
+
+const TOKEN = 'c'.repeat(64);
+const ENDPOINT = 'https://test.supabase.co/functions/v1/client-portal';
+
+const reply = (status, body) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+});
+
+describe('portalTokenFromPath', () => {
+  it('reads the token from /portal/<token>', () => {
+    expect(portalTokenFromPath(`/portal/${TOKEN}`)).toBe(TOKEN);
+    expect(portalTokenFromPath(`/portal/${TOKEN}/`)).toBe(TOKEN);
+  });
+
+  it('ignores every other path', () => {
+    expect(portalTokenFromPath('/')).toBeNull();
+    expect(portalTokenFromPath('/portal/short')).toBeNull();
+    expect(portalTokenFromPath(`/portal/${TOKEN}/extra`)).toBeNull();
+  });
+});
+
+describe('fetchPortalCatalog', () => {
+  beforeEach(() => mockFetch.mockReset());
+
+  it('sends the token, and the dates once both are set', async () => {
+    mockFetch.mockResolvedValue(reply(200, { items: [], packages: [] }));
+    await fetchPortalCatalog(TOKEN, { start: '2026-11-02', end: '' });
+    expect(mockFetch.mock.calls[0][0]).toBe(`${ENDPOINT}?token=${TOKEN}`);
+
+    await fetchPortalCatalog(TOKEN, { start: '2026-11-02', end: '2026-11-04' });
+    expect(mockFetch.mock.calls[1][0]).toBe(
+      `${ENDPOINT}?token=${TOKEN}&start=2026-11-02&end=2026-11-04`,
+    );
+    expect(mockFetch.mock.calls[1][1].headers.apikey).toBeDefined();
+  });
+
+  it("surfaces the function's error message", async () => {
+    mockFetch.mockResolvedValue(reply(404, { error: 'This request link is not valid any more' }));
+    await expect(fetchPortalCatalog(TOKEN)).rejects.toThrow(
+      'This request link is not valid any more',
+    );
+  });
+});
+
+describe('submitPortalRequest', () => {
+  beforeEach(() => mockFetch.mockReset());
+
+  it('posts the request with the token', async () => {
+    mockFetch.mockResolvedValue(reply(200, { success: true, groupId: 'g1', items: 2 }));
+    await expect(submitPortalRequest(TOKEN, { project: 'Shoot' })).resolves.toMatchObject({
+      groupId: 'g1',
+    });
+    const [url, init] = mockFetch.mock.calls[0];
+    expect(url).toBe(ENDPOINT);
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual({ token: TOKEN, project: 'Shoot' });
+  });
+
+  it('rejects with the unavailable gear when it was taken meanwhile', async () => {
+    const unavailable = [{ itemId: 'CAM1', name: 'FX6', wanted: 1, free: 0 }];
+    mockFetch.mockResolvedValue(
+      reply(409, { error: 'Some of the gear is not available for those dates', unavailable }),
+    );
+    const err = await submitPortalRequest(TOKEN, {}).catch((e) => e);
+    expect(err).toBeInstanceOf(PortalUnavailableError);
+    expect(err.unavailable).toEqual(unavailable);
+  });
+});
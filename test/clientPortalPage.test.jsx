@@ -0,0 +1,117 @@
+// =============================================================================
+// ClientPortal — Test Suite
+// The public request page: availability once dates are picked, building a
+// request, and what the client sees when gear was taken meanwhile.
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { PortalUnavailableError } from '../lib/errors.js';
+
+const { mockFetchCatalog, mockSubmit } = vi.hoisted(() => ({
+  mockFetchCatalog: vi.fn(),
+  mockSubmit: vi.fn(),
+}));
+vi.mock('../lib/clientPortal.js', () => ({
+  fetchPortalCatalog: mockFetchCatalog,
+  submitPortalRequest: mockSubmit,
+}));
+
+const { default: ClientPortal } = await import('../views/ClientPortal.jsx');
+
+const TOKEN = 'd'.repeat(64);
+
+const catalog = (available) => ({
+  client: { name: 'Acme Films' },
+  expiresAt: null,
+  items: [
+    {
+      id: 'CAM1',
+      name: 'FX6',
+      brand: 'Sony',
+      category: 'Cameras',
+      image: null,
+      specs: [{ name: 'Mount', value: 'E' }],
+      trackQuantity: false,
+      available,
+    },
+  ],
+  packages: [],
+});
+
+function fillRequest() {
+  fireEvent.change(screen.getByLabelText('Start date'), { target: { value: '2099-11-02' } });
+  fireEvent.change(screen.getByLabelText('End date'), { target: { value: '2099-11-04' } });
+  fireEvent.change(screen.getByLabelText('Project or job name'), { target: { value: 'Ad shoot' } });
+  fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Alex' } });
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'alex@example.com' } });
+}
+
+describe('ClientPortal', () => {
+  beforeEach(() => {
+    mockFetchCatalog.mockReset();
+    mockSubmit.mockReset();
+  });
+
+  it('shows the catalog, then availability for the chosen dates', async () => {
+    mockFetchCatalog.mockImplementation(async (_token, { start }) => catalog(start ? 1 : null));
+    render(<ClientPortal token={TOKEN} />);
+
+    expect(await screen.findByText('Gear request for Acme Films')).toBeInTheDocument();
+    expect(screen.getByText('Mount: E')).toBeInTheDocument();
+    expect(screen.queryByText('1 free')).toBeNull();
+
+    fillRequest();
+    expect(await screen.findByText('1 free')).toBeInTheDocument();
+    expect(mockFetchCatalog).toHaveBeenLastCalledWith(TOKEN, {
+      start: '2099-11-02',
+      end: '2099-11-04',
+    });
+  });
+
+  it('sends the request and confirms it', async () => {
+    mockFetchCatalog.mockResolvedValue(catalog(1));
+    mockSubmit.mockResolvedValue({ success: true, groupId: 'g1', items: 1 });
+    render(<ClientPortal token={TOKEN} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Add FX6' }));
+    fillRequest();
+    fireEvent.click(screen.getByRole('button', { name: /Send Request/ }));
+
+    expect(await screen.findByText('Request sent')).toBeInTheDocument();
+    expect(mockSubmit).toHaveBeenCalledWith(
+      TOKEN,
+      expect.objectContaining({
+        start: '2099-11-02',
+        end: '2099-11-04',
+        project: 'Ad shoot',
+        lines: [{ type: 'item', id: 'CAM1', quantity: 1 }],
+      }),
+    );
+  });
+
+  it('lists gear that was taken while the client was choosing', async () => {
+    mockFetchCatalog.mockResolvedValue(catalog(1));
+    mockSubmit.mockRejectedValue(
+      new PortalUnavailableError('Some of the gear is not available for those dates', [
+        { itemId: 'CAM1', name: 'FX6', wanted: 1, free: 0 },
+      ]),
+    );
+    render(<ClientPortal token={TOKEN} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Add FX6' }));
+    fillRequest();
+    fireEvent.click(screen.getByRole('button', { name: /Send Request/ }));
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Some of the gear is not available for those dates');
+    expect(alert).toHaveTextContent('FX6: none free, 1 requested');
+    await waitFor(() => expect(mockFetchCatalog.mock.calls.length).toBeGreaterThan(2));
+  });
+
+  it('explains a dead link', async () => {
+    mockFetchCatalog.mockRejectedValue(new Error('This request link is not valid any more'));
+    render(<ClientPortal token={TOKEN} />);
+    expect(await screen.findByText(/This request link is not valid any more/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,194 @@
+// =============================================================================
+// Client portal rules — what the client-portal function accepts and offers
+// Only confirmed/out rows block, only catalog entries can be requested, and
+// a request is refused whole rather than partly booked.
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  availableUnits,
+  expandLines,
+  keySpecs,
+  linkUsable,
+  shortfalls,
+  validatePortalRequest,
+  PORTAL_MAX_DAYS,
+} from '../supabase/functions/_shared/portal.ts';
+
+const TODAY = '2026-10-19';
+
+const request = (extra = {}) => ({
+  start: '2026-11-02',
+  end: '2026-11-04',
+  project: 'Smith Wedding',
+  contactName: 'Alex Smith',
+  contactEmail: 'alex@example.com',
+  lines: [{ type: 'item', id: 'CAM1', quantity: 1 }],
+  ...extra,
+});
+
+describe('linkUsable', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('accepts links without an expiry or expiring later', () => {
+    expect(linkUsable({ expires_at: null }, now)).toBe(true);
+    expect(linkUsable({ expires_at: '2026-10-20T00:00:00Z' }, now)).toBe(true);
+  });
+
+  it('refuses missing and expired links', () => {
+    expect(linkUsable(null, now)).toBe(false);
+    expect(linkUsable({ expires_at: '2026-10-19T11:59:59Z' }, now)).toBe(false);
+  });
+});
+
+describe('validatePortalRequest', () => {
+  it('normalizes a good request and merges repeated lines', () => {
+    const { value, error } = validatePortalRequest(
+      request({
+        project: '  Smith Wedding ',
+        contactPhone: '',
+        lines: [
+          { type: 'item', id: 'CAM1', quantity: 1 },
+          { type: 'item', id: 'CAM1', quantity: 2 },
+          { type: 'package', id: 'PK1' },
+        ],
+      }),
+      TODAY,
+    );
+    expect(error).toBeUndefined();
+    expect(value).toMatchObject({ project: 'Smith Wedding', contactPhone: null, notes: null });
+    expect(value.lines).toEqual([
+      { type: 'item', id: 'CAM1', quantity: 3 },
+      { type: 'package', id: 'PK1', quantity: 1 },
+    ]);
+  });
+
+  it.each([
+    [{ start: '' }, 'Pick a start and end date'],
+    [{ start: '2026-10-18' }, 'The start date has already passed'],
+    [{ end: '2026-11-01' }, 'The end date is before the start date'],
+    [{ end: '2027-02-01' }, `Requests can cover at most ${PORTAL_MAX_DAYS} days`],
+    [{ project: ' ' }, 'Give the job a name'],
+    [{ contactEmail: 'alex' }, 'Enter a valid email address'],
+    [{ lines: [] }, 'Add at least one item or package'],
+    [{ lines: [{ type: 'kit', id: 'X' }] }, 'The request has an unreadable line'],
+  ])('refuses %o', (change, message) => {
+    expect(validatePortalRequest(request(change), TODAY).error).toBe(message);
+  });
+});
+
+describe('availableUnits', () => {
+  const range = { start: '2026-11-02', end: '2026-11-04' };
+  const items = [
+    { id: 'CAM1', status: 'available' },
+    { id: 'CAM2', status: 'checked-out', due_back: '2026-11-03' },
+    { id: 'CAM3', status: 'checked-out', due_back: '2026-11-01' },
+    { id: 'CAM4', status: 'needs-attention' },
+    { id: 'BAT', status: 'available', quantity: 10 },
+  ];
+
+  it('counts only confirmed and out bookings that overlap', () => {
+    const free = availableUnits({
+      ...range,
+      items,
+      trackedIds: new Set(['BAT']),
+      reservations: [
+        { item_id: 'CAM1', start_date: '2026-11-04', end_date: '2026-11-06', status: 'hold' },
+        {
+          item_id: 'BAT',
+          start_date: '2026-11-01',
+          end_date: '2026-11-02',
+          status: 'out',
+          quantity: 4,
+        },
+        {
+          item_id: 'BAT',
+          start_date: '2026-11-05',
+          end_date: '2026-11-06',
+          status: 'confirmed',
+          quantity: 5,
+        },
+      ],
+    });
+    expect(free.get('CAM1')).toBe(1);
+    expect(free.get('BAT')).toBe(6);
+  });
+
+  it('treats gear still out at the start, or not in service, as busy', () => {
+    const free = availableUnits({ ...range, items, trackedIds: new Set(), reservations: [] });
+    expect(free.get('CAM2')).toBe(0);
+    expect(free.get('CAM3')).toBe(1);
+    expect(free.get('CAM4')).toBe(0);
+  });
+
+  it('blocks a serialized item booked for any overlapping day', () => {
+    const free = availableUnits({
+      ...range,
+      items,
+      trackedIds: new Set(),
+      reservations: [
+        { item_id: 'CAM1', start_date: '2026-11-04', end_date: '2026-11-05', status: 'confirmed' },
+      ],
+    });
+    expect(free.get('CAM1')).toBe(0);
+  });
+});
+
+describe('expandLines and shortfalls', () => {
+  const catalog = {
+    catalogItemIds: new Set(['CAM1', 'BAT']),
+    packages: [
+      {
+        id: 'PK1',
+        items: [
+          { itemId: 'CAM1', quantity: 1 },
+          { itemId: 'BAT', quantity: 2 },
+        ],
+      },
+    ],
+  };
+
+  it('expands packages into units and refuses anything off the catalog', () => {
+    const { units, refused } = expandLines(
+      [
+        { type: 'package', id: 'PK1', quantity: 2 },
+        { type: 'item', id: 'BAT', quantity: 1 },
+        { type: 'item', id: 'CAM9', quantity: 1 },
+        { type: 'package', id: 'PK9', quantity: 1 },
+      ],
+      catalog,
+    );
+    expect(Object.fromEntries(units)).toEqual({ CAM1: 2, BAT: 5 });
+    expect(refused).toEqual(['CAM9', 'PK9']);
+  });
+
+  it('reports each item wanted beyond what is free', () => {
+    const units = new Map([
+      ['CAM1', 2],
+      ['BAT', 5],
+    ]);
+    const free = new Map([
+      ['CAM1', 1],
+      ['BAT', 6],
+    ]);
+    expect(shortfalls(units, free)).toEqual([{ itemId: 'CAM1', wanted: 2, free: 1 }]);
+  });
+});
+
+describe('keySpecs', () => {
+  it('puts substitute keys first and skips empty values', () => {
+    const specs = [
+      { name: 'Weight', sort_order: 1 },
+      { name: 'Mount', sort_order: 3, substitute_key: true },
+      { name: 'Sensor', sort_order: 2 },
+      { name: 'Color', sort_order: 0 },
+    ];
+    expect(
+      keySpecs({ Weight: '1.2 kg', Mount: 'E', Sensor: 'Full frame', Color: '' }, specs),
+    ).toEqual([
+      { name: 'Mount', value: 'E' },
+      { name: 'Weight', value: '1.2 kg' },
+      { name: 'Sensor', value: 'Full frame' },
+    ]);
+  });
+});
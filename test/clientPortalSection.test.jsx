@@ -0,0 +1,91 @@
+// =============================================================================
+// ClientPortalSection — Test Suite
+// Creating and revoking a client's request links, and the view-only mode.
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+const { mockAddToast } = vi.hoisted(() => ({ mockAddToast: vi.fn() }));
+vi.mock('../contexts/ToastContext.js', () => ({
+  useToast: () => ({ addToast: mockAddToast }),
+}));
+
+const { default: ClientPortalSection } = await import('../components/ClientPortalSection.jsx');
+
+const client = { id: 'CL1', name: 'Acme Films' };
+const user = { id: 'u1', name: 'Sam' };
+const link = (extra = {}) => ({
+  id: 'l1',
+  clientId: 'CL1',
+  expiresAt: '2099-01-01T00:00:00Z',
+  lastUsedAt: null,
+  url: 'https://sims.example/portal/abc',
+  ...extra,
+});
+
+function renderSection({ links = [], props = {}, context = {} } = {}) {
+  const dataContext = {
+    getPortalLinks: vi.fn().mockResolvedValue(links),
+    createPortalLink: vi.fn().mockImplementation(async (l) => link({ ...l, id: 'l2' })),
+    deletePortalLink: vi.fn().mockResolvedValue(),
+    ...context,
+  };
+  const addAuditLog = vi.fn();
+  render(
+    <ClientPortalSection
+      client={client}
+      user={user}
+      dataContext={dataContext}
+      addAuditLog={addAuditLog}
+      {...props}
+    />,
+  );
+  return { dataContext, addAuditLog };
+}
+
+describe('ClientPortalSection', () => {
+  beforeEach(() => mockAddToast.mockClear());
+
+  it('creates a link that expires after the default 30 days', async () => {
+    const { dataContext, addAuditLog } = renderSection();
+    fireEvent.click(await screen.findByRole('button', { name: /Create Request Link/ }));
+
+    await screen.findByLabelText('Request portal link');
+    const created = dataContext.createPortalLink.mock.calls[0][0];
+    expect(created).toMatchObject({ clientId: 'CL1', createdBy: 'u1', createdByName: 'Sam' });
+    const days = (new Date(created.expiresAt) - Date.now()) / 86400000;
+    expect(Math.round(days)).toBe(30);
+    expect(addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'client_portal_link_created', clientId: 'CL1' }),
+    );
+  });
+
+  it('revokes a link and marks expired ones', async () => {
+    const { dataContext } = renderSection({
+      links: [link(), link({ id: 'old', expiresAt: '2020-01-01T00:00:00Z' })],
+    });
+    expect(await screen.findByText('Expired')).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByRole('button', { name: /Revoke/ })[0]);
+    await waitFor(() => expect(screen.getAllByLabelText('Request portal link')).toHaveLength(1));
+    expect(dataContext.deletePortalLink).toHaveBeenCalledWith('l1');
+  });
+
+  it('only lists links without edit permission', async () => {
+    renderSection({ links: [link()], props: { canEdit: false } });
+    await screen.findByLabelText('Request portal link');
+    expect(screen.queryByRole('button', { name: /Revoke/ })).toBeNull();
+    expect(screen.queryByRole('button', { name: /Create Request Link/ })).toBeNull();
+  });
+
+  it('reports a failed change as a toast', async () => {
+    renderSection({
+      context: { createPortalLink: vi.fn().mockRejectedValue(new Error('denied')) },
+    });
+    fireEvent.click(await screen.findByRole('button', { name: /Create Request Link/ }));
+    await waitFor(() =>
+      expect(mockAddToast).toHaveBeenCalledWith('Could not create the link: denied', 'error'),
+    );
+  });
+});
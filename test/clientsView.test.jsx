@@ -11,6 +11,8 @@
 // - project history groups multi-item reservations into one project
 // - notes hydrate once per selected client
 // - validator errors surface inline (1-char names used to fail silently)
+// - billing: balances on the detail page, finished jobs offered once, and a
+//   duplicate invoice reported in words rather than as a constraint error
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
@@ -318,3 +320,70 @@ describe('notes hydration', () => {
     expect(dataContext.loadClientNotes).not.toHaveBeenCalled();
   });
 });
+
+describe('billing', () => {
+  const invoices = [
+    {
+      id: 'INV0001',
+      clientId: 'CL001',
+      status: 'sent',
+      project: 'Promo',
+      issueDate: '2026-01-05',
+      dueDate: '2026-02-04',
+      total: 500,
+      amountPaid: 200,
+    },
+    {
+      id: 'INV0002',
+      clientId: 'CL002',
+      status: 'sent',
+      issueDate: '2026-01-05',
+      dueDate: '2026-02-04',
+      total: 900,
+      amountPaid: 0,
+    },
+  ];
+
+  const billingContext = (overrides = {}) =>
+    makeDataContext({
+      invoices,
+      invoicesLoaded: true,
+      ensureInvoices: vi.fn(),
+      getClientCheckoutHistory: vi.fn().mockResolvedValue([]),
+      getItemReturnsSince: vi.fn().mockResolvedValue([]),
+      createInvoice: vi.fn(),
+      ...overrides,
+    });
+
+  it("shows the client's own balance and invoices", () => {
+    renderClients({ dataContext: billingContext() });
+    fireEvent.click(screen.getByText('Acme Films'));
+
+    expect(screen.getByText('Balance Due')).toBeInTheDocument();
+    expect(screen.getAllByText('$300.00').length).toBeGreaterThan(0);
+    expect(screen.getByText('INV0001 · Promo')).toBeInTheDocument();
+    expect(screen.queryByText(/INV0002/)).not.toBeInTheDocument();
+  });
+
+  it('reports a job that was invoiced elsewhere in plain words', async () => {
+    const createInvoice = vi.fn().mockRejectedValue({ code: '23505', message: 'duplicate key' });
+    const dataContext = billingContext({ createInvoice });
+    renderClients({ dataContext });
+    fireEvent.click(screen.getByText('Acme Films'));
+
+    fireEvent.click(screen.getByRole('button', { name: /New Invoice/ }));
+    const picker = await screen.findByText(/Reservation •/);
+    expect(dataContext.getClientCheckoutHistory).toHaveBeenCalledWith('CL001');
+    fireEvent.click(picker);
+
+    await waitFor(() => expect(dataContext.getItemReturnsSince).toHaveBeenCalled());
+    fireEvent.click(await screen.findByText('Save Draft'));
+
+    expect(await screen.findByText(/This job has already been invoiced/)).toBeInTheDocument();
+    expect(createInvoice.mock.calls[0][0]).toMatchObject({
+      clientId: 'CL001',
+      sourceType: 'reservation',
+      project: 'Ad Shoot',
+    });
+  });
+});
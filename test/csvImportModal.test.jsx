@@ -4,6 +4,7 @@
 // - row errors BLOCK the import; warnings don't
 // - success closes; partial failure stays open with an exact summary and
 //   Import disabled (re-running would duplicate the created rows)
+// - update mode previews field-level changes and hands over only those
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
@@ -93,3 +94,45 @@ describe('import execution', () => {
     expect(screen.getByRole('button', { name: 'Close' })).toBeInTheDocument();
   });
 });
+
+describe('update existing mode', () => {
+  const inventory = [
+    { id: 'CA1001', name: 'Cam', category: 'Cameras', location: 'Shelf 1', specs: {} },
+    { id: 'LE1001', name: 'Lens', category: 'Lenses', location: 'Cabinet', specs: {} },
+  ];
+
+  it('previews changed fields and passes updates alongside new items', async () => {
+    const { props } = renderModal({ inventory });
+    fireEvent.click(screen.getByRole('button', { name: 'Update existing' }));
+    await loadCSV(
+      'ID,Name,Category,Location\nCA1001,Cam,Cameras,Shelf 2\nLE1001,Lens,Lenses,Cabinet\n,Light,Cameras,Bay',
+    );
+
+    expect(screen.getByText('Changes (1 to update, 1 unchanged)')).toBeInTheDocument();
+    expect(screen.getByText(/Location: Shelf 1 →/)).toHaveTextContent(
+      'Location: Shelf 1 → Shelf 2',
+    );
+    expect(screen.getByText('New items (1)')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Apply 2 Changes' }));
+    });
+    const [items, , updates] = props.onImport.mock.calls[0];
+    expect(items.map((i) => i.name)).toEqual(['Light']);
+    expect(updates).toEqual([
+      expect.objectContaining({ id: 'CA1001', changes: { location: 'Shelf 2' } }),
+    ]);
+  });
+
+  it('re-plans a loaded file when the mode changes', async () => {
+    renderModal({ inventory });
+    await loadCSV('ID,Name,Category\nCA1001,Cam,Cameras');
+    expect(screen.getByText(/Ignored id column/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Import 1 Items/ })).toBeEnabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Update existing' }));
+    expect(screen.queryByText(/Ignored id column/)).not.toBeInTheDocument();
+    expect(screen.getByText('Changes (0 to update, 1 unchanged)')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Apply 0 Changes' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,135 @@
+// =============================================================================
+// DatabaseRestoreModal — dry run before any write, replace needs an explicit
+// confirmation, and a failed restore says nothing changed
+// (validation and diffing are covered in backupRestore.test.js)
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+
+const { mockBackupService } = vi.hoisted(() => ({
+  mockBackupService: {
+    fetchAllRows: vi.fn(),
+    restore: vi.fn(),
+  },
+}));
+
+vi.mock('../lib/services.js', () => ({
+  backupService: mockBackupService,
+}));
+
+const { DatabaseRestoreModal } = await import('../modals/DatabaseRestoreModal.jsx');
+
+const backup = {
+  version: '3.0',
+  format: 'tables',
+  exportedAt: '2026-10-01T12:00:00.000Z',
+  tables: {
+    clients: [
+      { id: 'CL1', name: 'Acme' },
+      { id: 'CL2', name: 'Globex' },
+    ],
+    users: [{ id: 'u1' }],
+  },
+  counts: { clients: 2, users: 1 },
+};
+
+const fileOf = (content) => ({
+  name: 'sims-backup.json',
+  text: async () => (typeof content === 'string' ? content : JSON.stringify(content)),
+});
+
+async function pickFile(content) {
+  await act(async () => {
+    fireEvent.change(screen.getByLabelText('Backup File (JSON)'), {
+      target: { files: [fileOf(content)] },
+    });
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockBackupService.fetchAllRows.mockResolvedValue([
+    { id: 'CL1', name: 'Acme Corp' },
+    { id: 'CL3', name: 'Initech' },
+  ]);
+  mockBackupService.restore.mockResolvedValue({ upserted: { clients: 2 }, deleted: {} });
+});
+
+describe('DatabaseRestoreModal', () => {
+  it('shows the dry run and merges only restorable tables', async () => {
+    const onRestored = vi.fn();
+    const onClose = vi.fn();
+    render(<DatabaseRestoreModal userName="Admin" onRestored={onRestored} onClose={onClose} />);
+
+    await pickFile(backup);
+
+    const row = screen.getByText('clients').closest('tr');
+    // CL2 new, CL1 renamed; CL3 would only go in replace mode
+    expect(row).toHaveTextContent('clients110');
+    expect(screen.getByText(/Not restored: users/)).toBeInTheDocument();
+    expect(mockBackupService.restore).not.toHaveBeenCalled();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Merge Backup' }));
+    });
+
+    expect(mockBackupService.restore).toHaveBeenCalledWith(
+      { clients: backup.tables.clients },
+      { mode: 'merge', userName: 'Admin', exportedAt: '2026-10-01T12:00:00.000Z' },
+    );
+    expect(onRestored).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: 'merge', summary: { added: 1, changed: 1, deleted: 0 } }),
+    );
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('replace holds back until the deletes are confirmed', async () => {
+    render(<DatabaseRestoreModal onRestored={vi.fn()} onClose={vi.fn()} />);
+    await pickFile(backup);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Replace' }));
+    expect(screen.getByText('Would delete')).toBeInTheDocument();
+    const restoreButton = screen.getByRole('button', { name: 'Replace Data' });
+    expect(restoreButton).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: /Permanently delete 1 row/ }));
+    expect(restoreButton).toBeEnabled();
+    await act(async () => {
+      fireEvent.click(restoreButton);
+    });
+    expect(mockBackupService.restore).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ mode: 'replace' }),
+    );
+  });
+
+  it('explains why a file is rejected and never touches the database', async () => {
+    render(<DatabaseRestoreModal onRestored={vi.fn()} onClose={vi.fn()} />);
+
+    await pickFile('{ not json');
+    expect(screen.getByRole('alert')).toHaveTextContent('not valid JSON');
+
+    await pickFile({ version: '2.0', inventory: [] });
+    expect(screen.getByRole('alert')).toHaveTextContent('Unsupported backup version 2.0');
+    expect(mockBackupService.fetchAllRows).not.toHaveBeenCalled();
+  });
+
+  it('a failed restore stays open and says nothing changed', async () => {
+    mockBackupService.restore.mockRejectedValue(new Error('duplicate key value'));
+    const onRestored = vi.fn();
+    const onClose = vi.fn();
+    render(<DatabaseRestoreModal onRestored={onRestored} onClose={onClose} />);
+    await pickFile(backup);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Merge Backup' }));
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Restore failed — nothing was changed: duplicate key value',
+    );
+    expect(onRestored).not.toHaveBeenCalled();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
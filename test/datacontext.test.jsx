@@ -20,6 +20,9 @@ vi.mock('../lib/services.js', () => ({
   freshnessService: {
     check: vi.fn(() => Promise.resolve({ server_time: '2026-08-10T12:00:00.000Z' })),
   },
+  realtimeService: {
+    subscribe: vi.fn(() => Promise.resolve(() => {})),
+  },
   inventoryService: {
     getAll: vi.fn(() =>
       Promise.resolve([
@@ -76,6 +79,22 @@ vi.mock('../lib/services.js', () => ({
     update: vi.fn((id, updates) => Promise.resolve({ id, ...updates })),
     delete: vi.fn((id) => Promise.resolve({ id })),
   },
+  pricingService: {
+    get: vi.fn(() => Promise.resolve({ daysPerWeek: 3, taxRate: 8.25, quoteTerms: null })),
+    update: vi.fn((updates) => Promise.resolve({ daysPerWeek: 7, taxRate: 0, ...updates })),
+  },
+  equivalenceGroupsService: {
+    getAll: vi.fn(() =>
+      Promise.resolve([
+        { id: 'g1', name: 'Sony 24-70', itemIds: ['LN-001', 'LN-002'] },
+        { id: 'g2', name: 'Aputure 600d', itemIds: ['LT-001'] },
+      ]),
+    ),
+    create: vi.fn((name, itemIds) => Promise.resolve({ id: 'g3', name, itemIds })),
+    rename: vi.fn(() => Promise.resolve()),
+    setMembers: vi.fn(() => Promise.resolve()),
+    delete: vi.fn(() => Promise.resolve()),
+  },
   packListsService: {
     getAll: vi.fn(() => Promise.resolve([])),
     create: vi.fn((pl) => Promise.resolve(pl)),
@@ -130,6 +149,11 @@ vi.mock('../lib/services.js', () => ({
     create: vi.fn((r) => Promise.resolve(r)),
     getRecent: vi.fn(() => Promise.resolve([])),
   },
+  invoicesService: {
+    getAll: vi.fn(() => Promise.resolve([])),
+    create: vi.fn(),
+    addPayment: vi.fn(),
+  },
   notificationPreferencesService: {
     getByUserId: vi.fn(() => Promise.resolve(null)),
     upsert: vi.fn((userId, prefs) => Promise.resolve(prefs)),
@@ -545,6 +569,72 @@ describe('DataProvider', () => {
     });
   });
 
+  // =============================================================================
+  // Pricing Settings Tests
+  // =============================================================================
+
+  describe('Pricing Settings', () => {
+    it('loads pricing settings in the background and saves updates', async () => {
+      let capturedContext = null;
+
+      render(
+        <DataProvider>
+          <TestConsumer
+            onContextReady={(ctx) => {
+              capturedContext = ctx;
+            }}
+          />
+        </DataProvider>,
+      );
+
+      await waitFor(() => {
+        expect(capturedContext?.pricingSettings.daysPerWeek).toBe(3);
+      });
+      expect(capturedContext.pricingSettings.taxRate).toBe(8.25);
+
+      await act(async () => {
+        await capturedContext.updatePricingSettings({ taxRate: 5 });
+      });
+
+      expect(capturedContext.pricingSettings.taxRate).toBe(5);
+    });
+  });
+
+  // =============================================================================
+  // Equivalence Group Tests
+  // =============================================================================
+
+  describe('Equivalence Groups', () => {
+    it('moves an item out of its old group when another group claims it', async () => {
+      let capturedContext = null;
+
+      render(
+        <DataProvider>
+          <TestConsumer
+            onContextReady={(ctx) => {
+              capturedContext = ctx;
+            }}
+          />
+        </DataProvider>,
+      );
+
+      await waitFor(() => {
+        expect(capturedContext?.equivalenceGroups).toHaveLength(2);
+      });
+
+      await act(async () => {
+        await capturedContext.updateEquivalenceGroup('g2', { itemIds: ['LT-001', 'LN-002'] });
+      });
+
+      const { equivalenceGroupsService } = await import('../lib/services.js');
+      expect(equivalenceGroupsService.setMembers).toHaveBeenCalledWith('g2', ['LT-001', 'LN-002']);
+      expect(equivalenceGroupsService.rename).not.toHaveBeenCalled();
+      const byId = Object.fromEntries(capturedContext.equivalenceGroups.map((g) => [g.id, g]));
+      expect(byId.g1.itemIds).toEqual(['LN-001']);
+      expect(byId.g2.itemIds).toEqual(['LT-001', 'LN-002']);
+    });
+  });
+
   // =============================================================================
   // Client CRUD Tests
   // =============================================================================
@@ -1098,6 +1188,66 @@ describe('Check Out / Check In State Transitions', () => {
 // useData Hook Tests
 // =============================================================================
 
+describe('Checkout conflicts', () => {
+  async function setup() {
+    let capturedContext;
+    render(
+      <DataProvider>
+        <TestConsumer
+          onContextReady={(ctx) => {
+            capturedContext = ctx;
+          }}
+        />
+      </DataProvider>,
+    );
+    await waitFor(() => {
+      expect(capturedContext?.inventory?.length).toBeGreaterThan(0);
+    });
+    return () => capturedContext;
+  }
+
+  it('adopts the server row when another operator already checked the item out', async () => {
+    const { inventoryService } = await import('../lib/services.js');
+    const { CheckoutConflictError } = await import('../lib/errors.js');
+    inventoryService.checkOut.mockRejectedValueOnce(
+      new CheckoutConflictError('taken', {
+        itemId: 'CAM001',
+        item: { id: 'CAM001', status: 'checked-out', checkedOutTo: 'Jordan' },
+        action: 'checkout',
+      }),
+    );
+    const ctx = await setup();
+
+    let caught;
+    await act(async () => {
+      caught = await ctx()
+        .checkOutItem('CAM001', { userName: 'Alice' })
+        .catch((e) => e);
+    });
+
+    expect(caught).toBeInstanceOf(CheckoutConflictError);
+    const item = ctx().inventory.find((i) => i.id === 'CAM001');
+    expect(item).toMatchObject({ status: 'checked-out', checkedOutTo: 'Jordan' });
+  });
+
+  it('drops an item the server says no longer exists', async () => {
+    const { inventoryService } = await import('../lib/services.js');
+    const { CheckoutConflictError } = await import('../lib/errors.js');
+    inventoryService.checkIn.mockRejectedValueOnce(
+      new CheckoutConflictError('gone', { itemId: 'LENS001', item: null, action: 'checkin' }),
+    );
+    const ctx = await setup();
+
+    await act(async () => {
+      await ctx()
+        .checkInItem('LENS001', { returnedBy: 'Alice' })
+        .catch(() => {});
+    });
+
+    expect(ctx().inventory.some((i) => i.id === 'LENS001')).toBe(false);
+  });
+});
+
 describe('useData Hook', () => {
   it('should throw when used outside provider', () => {
     // Suppress console.error for this test
@@ -1300,3 +1450,76 @@ describe('Mid-session reload re-hydration', () => {
     expect(ctx().checkoutEventsLoaded).toBe(true);
   });
 });
+
+describe('Invoices', () => {
+  async function setup() {
+    let capturedContext;
+    render(
+      <DataProvider>
+        <TestConsumer
+          onContextReady={(ctx) => {
+            capturedContext = ctx;
+          }}
+        />
+      </DataProvider>,
+    );
+    await waitFor(() => expect(capturedContext?.ensureInvoices).toBeDefined());
+    return () => capturedContext;
+  }
+
+  it('keeps headers only and takes the server totals after a payment', async () => {
+    const { invoicesService } = await import('../lib/services.js');
+    invoicesService.getAll.mockResolvedValue([
+      { id: 'INV0001', clientId: 'CL001', status: 'sent', total: 300, amountPaid: 0 },
+    ]);
+    invoicesService.create.mockResolvedValue({
+      id: 'INV0002',
+      clientId: 'CL001',
+      status: 'draft',
+      total: 120,
+      amountPaid: 0,
+      lines: [{ id: 'l1', amount: 120 }],
+      payments: [],
+    });
+    invoicesService.addPayment.mockResolvedValue({
+      payment: { id: 'p1', amount: 300 },
+      invoice: { id: 'INV0001', clientId: 'CL001', status: 'paid', total: 300, amountPaid: 300 },
+    });
+    const ctx = await setup();
+
+    await act(async () => {
+      await ctx().ensureInvoices();
+    });
+    expect(ctx().invoicesLoaded).toBe(true);
+
+    await act(async () => {
+      await ctx().createInvoice({ clientId: 'CL001' }, [{ kind: 'other', amount: 120 }]);
+      await ctx().recordInvoicePayment({ invoiceId: 'INV0001', amount: 300 });
+    });
+
+    expect(ctx().invoices.map((inv) => [inv.id, inv.status])).toEqual([
+      ['INV0002', 'draft'],
+      ['INV0001', 'paid'],
+    ]);
+    expect(ctx().invoices[0]).not.toHaveProperty('lines');
+  });
+
+  it('leaves state alone when a payment fails', async () => {
+    const { invoicesService } = await import('../lib/services.js');
+    invoicesService.getAll.mockResolvedValue([
+      { id: 'INV0001', clientId: 'CL001', status: 'sent', total: 300, amountPaid: 0 },
+    ]);
+    invoicesService.addPayment.mockRejectedValueOnce(new Error('network down'));
+    const ctx = await setup();
+
+    await act(async () => {
+      await ctx().ensureInvoices();
+    });
+    await act(async () => {
+      await expect(
+        ctx().recordInvoicePayment({ invoiceId: 'INV0001', amount: 300 }),
+      ).rejects.toThrow('network down');
+    });
+    expect(ctx().invoices[0]).toMatchObject({ status: 'sent', amountPaid: 0 });
+  });
+});
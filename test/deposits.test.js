@@ -0,0 +1,182 @@
+// =============================================================================
+// Checkout deposits (lib/deposits) — the deposit a checkout takes, how a
+// settlement becomes ledger fields, and which held deposits are outstanding
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  SETTLEMENT_OUTCOMES,
+  checkoutDeposit,
+  depositSettlement,
+  settlementDescription,
+  heldDepositFor,
+  outstandingDeposits,
+  depositTotals,
+  refundedAmount,
+} from '../lib/deposits.js';
+
+const jordan = { id: 'b1', name: 'Jordan Lee', depositRequired: 250 };
+const held = {
+  id: 'D1',
+  borrowerId: 'b1',
+  borrowerName: 'Jordan Lee',
+  amount: 300,
+  itemIds: ['CAM1', 'LENS1'],
+  status: 'held',
+  receivedAt: '2026-10-02T10:00:00Z',
+};
+
+describe('checkoutDeposit', () => {
+  it('records nothing for a blank amount unless the account requires a deposit', () => {
+    expect(checkoutDeposit({ amount: '' }, null)).toEqual({ deposit: null, error: null });
+    expect(checkoutDeposit({ amount: '' }, jordan).error).toBe(
+      'Jordan Lee leaves a deposit of $250 with each checkout',
+    );
+  });
+
+  it('holds the account to its required amount', () => {
+    expect(checkoutDeposit({ amount: '200' }, jordan).error).toBe(
+      'Jordan Lee leaves at least $250',
+    );
+    expect(checkoutDeposit({ amount: '0' }, null).error).toBe('Enter the deposit amount');
+  });
+
+  it('rounds to cents and tidies the reference', () => {
+    expect(
+      checkoutDeposit({ amount: '250.004', method: 'card', reference: '  R-1 ' }, jordan),
+    ).toEqual({ deposit: { amount: 250, method: 'card', reference: 'R-1' }, error: null });
+    expect(checkoutDeposit({ amount: 80, reference: ' ' }, null).deposit).toEqual({
+      amount: 80,
+      method: 'cash',
+      reference: null,
+    });
+  });
+});
+
+describe('depositSettlement', () => {
+  it('leaves nothing to write when settled later, and refunds in full', () => {
+    expect(depositSettlement(held, { outcome: SETTLEMENT_OUTCOMES.LATER })).toEqual({
+      settlement: null,
+      error: null,
+    });
+    expect(depositSettlement(held, { outcome: SETTLEMENT_OUTCOMES.REFUND }).settlement).toEqual({
+      status: 'refunded',
+      deductedAmount: 0,
+      deductionReason: null,
+    });
+  });
+
+  it('keeps part back with a reason', () => {
+    expect(
+      depositSettlement(held, {
+        outcome: SETTLEMENT_OUTCOMES.DEDUCT,
+        deduction: '120',
+        reason: ' Scratched filter ',
+      }).settlement,
+    ).toEqual({
+      status: 'partially_refunded',
+      deductedAmount: 120,
+      deductionReason: 'Scratched filter',
+    });
+  });
+
+  it('treats keeping it all back as a forfeit', () => {
+    const form = { outcome: SETTLEMENT_OUTCOMES.DEDUCT, deduction: 300, reason: 'Lens lost' };
+    expect(depositSettlement(held, form).settlement.status).toBe('forfeited');
+    expect(
+      depositSettlement(held, { outcome: SETTLEMENT_OUTCOMES.FORFEIT, reason: 'Lens lost' })
+        .settlement,
+    ).toEqual({ status: 'forfeited', deductedAmount: 300, deductionReason: 'Lens lost' });
+  });
+
+  it('refuses a missing or oversized deduction, or one without a reason', () => {
+    const deduct = (deduction, reason = 'Dent') =>
+      depositSettlement(held, { outcome: SETTLEMENT_OUTCOMES.DEDUCT, deduction, reason }).error;
+    expect(deduct('')).toBe('Enter the amount to keep back');
+    expect(deduct('301')).toBe('Only $300 is held');
+    expect(deduct('50', '  ')).toBe('Say why the deposit is kept');
+    expect(depositSettlement(held, { outcome: SETTLEMENT_OUTCOMES.FORFEIT }).error).toBe(
+      'Say why the deposit is kept',
+    );
+  });
+});
+
+describe('settlementDescription', () => {
+  it('says what happened to whose deposit', () => {
+    expect(settlementDescription(held, { status: 'refunded', deductedAmount: 0 })).toBe(
+      "Refunded Jordan Lee's $300 deposit",
+    );
+    expect(
+      settlementDescription(held, {
+        status: 'forfeited',
+        deductedAmount: 300,
+        deductionReason: 'Lens lost',
+      }),
+    ).toBe("Forfeited Jordan Lee's $300 deposit: Lens lost");
+    expect(
+      settlementDescription(held, {
+        status: 'partially_refunded',
+        deductedAmount: 120.5,
+        deductionReason: 'Dent',
+      }),
+    ).toBe("Kept $120.50 of Jordan Lee's $300 deposit (Dent), refunded $179.50");
+  });
+});
+
+describe('heldDepositFor', () => {
+  it('finds the held deposit covering an item, ignoring settled ones', () => {
+    const settled = { ...held, id: 'D0', status: 'refunded' };
+    expect(heldDepositFor([settled, held], 'LENS1')).toBe(held);
+    expect(heldDepositFor([settled], 'LENS1')).toBeNull();
+    expect(heldDepositFor([held], 'TRIPOD')).toBeNull();
+  });
+});
+
+describe('outstandingDeposits', () => {
+  it('lists held deposits oldest first with the gear still out under them', () => {
+    const later = {
+      ...held,
+      id: 'D2',
+      borrowerId: null,
+      borrowerName: 'Sam Ortiz',
+      amount: 50.25,
+      itemIds: ['MIC1'],
+      receivedAt: '2026-10-05T10:00:00Z',
+    };
+    const inventory = [
+      { id: 'CAM1', status: 'checked-out', checkedOutToBorrowerId: 'b1' },
+      { id: 'LENS1', status: 'available' },
+      // Back, and out again to someone else since
+      { id: 'MIC1', status: 'checked-out', checkedOutTo: 'Alex Kim' },
+    ];
+    const result = outstandingDeposits(
+      [later, { ...held, id: 'D3', status: 'forfeited' }, held],
+      inventory,
+    );
+    expect(result.deposits.map((d) => [d.id, d.itemsOut.map((i) => i.id), d.allReturned])).toEqual([
+      ['D1', ['CAM1'], false],
+      ['D2', [], true],
+    ]);
+    expect(result.total).toBe(350.25);
+    expect(result.awaitingSettlement).toBe(1);
+  });
+
+  it('matches unlinked checkouts by name', () => {
+    const inventory = [{ id: 'CAM1', status: 'checked-out', checkedOutTo: ' jordan lee' }];
+    const [row] = outstandingDeposits([{ ...held, borrowerId: null }], inventory).deposits;
+    expect(row.itemsOut).toHaveLength(1);
+  });
+});
+
+describe('depositTotals', () => {
+  it('splits the ledger into held, refunded and kept', () => {
+    const ledger = [
+      held,
+      { ...held, status: 'refunded' },
+      { ...held, status: 'partially_refunded', deductedAmount: 120 },
+      { ...held, status: 'forfeited', deductedAmount: 300 },
+    ];
+    expect(depositTotals(ledger)).toEqual({ held: 300, refunded: 480, kept: 420 });
+    expect(refundedAmount(ledger[2])).toBe(180);
+  });
+});
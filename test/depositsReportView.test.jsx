@@ -0,0 +1,152 @@
+// =============================================================================
+// DepositsReportPanel — the deposit ledger
+// - lists every deposit with its status and what was kept, totals by state
+// - a held deposit settles from here, audited, and a bad settlement is refused
+// - view-only users get no Settle button
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+const { mockAddToast, dataState, permissionsState } = vi.hoisted(() => ({
+  mockAddToast: vi.fn(),
+  dataState: {},
+  permissionsState: { canEdit: true },
+}));
+
+vi.mock('../contexts/DataContext.js', () => ({
+  useData: () => dataState,
+}));
+vi.mock('../contexts/ToastContext.js', () => ({
+  useToast: () => ({ addToast: mockAddToast }),
+}));
+vi.mock('../contexts/PermissionsContext.js', () => ({
+  usePermissions: () => ({ canEdit: () => permissionsState.canEdit }),
+}));
+vi.mock('../lib/logger.js', () => ({ error: vi.fn(), warn: vi.fn(), log: vi.fn() }));
+
+const { DepositsReportPanel } = await import('../views/DepositsReportView.jsx');
+
+const held = {
+  id: 'D1',
+  borrowerName: 'Jordan Lee',
+  amount: 250,
+  method: 'card',
+  reference: 'R-1',
+  itemIds: ['CAM1'],
+  status: 'held',
+  deductedAmount: 0,
+  receivedAt: '2026-10-02T10:00:00Z',
+};
+const kept = {
+  id: 'D2',
+  borrowerName: 'Sam Ortiz',
+  amount: 100,
+  method: 'cash',
+  itemIds: ['LENS1'],
+  status: 'partially_refunded',
+  deductedAmount: 40,
+  deductionReason: 'Scratched filter',
+  receivedAt: '2026-09-20T10:00:00Z',
+  settledAt: '2026-09-25T10:00:00Z',
+  settledByName: 'Alex',
+};
+
+const inventory = [
+  { id: 'CAM1', name: 'Alpha Cam' },
+  { id: 'LENS1', name: 'Zoom Lens' },
+];
+
+function renderLedger(props = {}) {
+  return render(
+    <DepositsReportPanel
+      inventory={inventory}
+      currentUser={{ name: 'Admin' }}
+      addAuditLog={vi.fn()}
+      onBack={vi.fn()}
+      {...props}
+    />,
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  permissionsState.canEdit = true;
+  Object.assign(dataState, {
+    deposits: [held, kept],
+    depositsLoaded: true,
+    ensureDeposits: vi.fn(),
+    settleDeposit: vi.fn().mockResolvedValue({}),
+    lazyErrors: {},
+  });
+});
+
+describe('DepositsReportPanel', () => {
+  it('lists the ledger with what each settled deposit kept', () => {
+    renderLedger();
+    expect(dataState.ensureDeposits).toHaveBeenCalled();
+    expect(screen.getByText('Held (1)')).toBeInTheDocument();
+    expect(screen.getByText('Alpha Cam')).toBeInTheDocument();
+    expect(screen.getByText(/Refunded \$60 · kept \$40 \(Scratched filter\)/)).toBeInTheDocument();
+    expect(screen.getByText(/by Alex/)).toBeInTheDocument();
+  });
+
+  it('filters by status', () => {
+    renderLedger();
+    fireEvent.click(screen.getByRole('button', { name: 'Filter by status' }));
+    fireEvent.click(screen.getByRole('option', { name: 'Partly refunded' }));
+    expect(screen.queryByText('Jordan Lee')).not.toBeInTheDocument();
+    expect(screen.getByText('Sam Ortiz')).toBeInTheDocument();
+  });
+
+  it('settles a held deposit and audits it', async () => {
+    const addAuditLog = vi.fn();
+    renderLedger({ addAuditLog });
+    fireEvent.click(screen.getByRole('button', { name: "Settle Jordan Lee's deposit" }));
+    fireEvent.click(screen.getByRole('radio', { name: 'Forfeit the deposit' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Settle Deposit' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('Say why the deposit is kept');
+    expect(dataState.settleDeposit).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'Camera lost' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Settle Deposit' }));
+    await waitFor(() =>
+      expect(mockAddToast).toHaveBeenCalledWith("Jordan Lee's deposit settled", 'success'),
+    );
+    expect(dataState.settleDeposit).toHaveBeenCalledWith('D1', {
+      status: 'forfeited',
+      deductedAmount: 250,
+      deductionReason: 'Camera lost',
+      settledByName: 'Admin',
+    });
+    expect(addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'deposit_forfeited',
+        description: "Forfeited Jordan Lee's $250 deposit: Camera lost",
+      }),
+    );
+  });
+
+  it('reports a failed settlement without auditing it', async () => {
+    dataState.settleDeposit = vi
+      .fn()
+      .mockRejectedValue(new Error('This deposit has already been settled'));
+    const addAuditLog = vi.fn();
+    renderLedger({ addAuditLog });
+    fireEvent.click(screen.getByRole('button', { name: "Settle Jordan Lee's deposit" }));
+    fireEvent.click(screen.getByRole('button', { name: 'Settle Deposit' }));
+    await waitFor(() =>
+      expect(mockAddToast).toHaveBeenCalledWith(
+        'Failed to settle deposit: This deposit has already been settled',
+        'error',
+      ),
+    );
+    expect(addAuditLog).not.toHaveBeenCalled();
+  });
+
+  it('offers no settling to view-only users', () => {
+    permissionsState.canEdit = false;
+    renderLedger();
+    expect(screen.queryByRole('button', { name: /Settle/ })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,72 @@
+// =============================================================================
+// EquivalenceGroupsView — Test Suite
+// Groups are created by name and filled from an item search; adding an item
+// that already sits in another group says it will move; deleting confirms.
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import EquivalenceGroupsView from '../views/EquivalenceGroupsView.jsx';
+
+const inventory = [
+  { id: 'LN1', name: 'Sony 24-70 GM', brand: 'Sony' },
+  { id: 'LN2', name: 'Sony 24-70 GM II', brand: 'Sony' },
+  { id: 'LT1', name: 'Aputure 600d', brand: 'Aputure' },
+];
+const groups = [
+  { id: 'g1', name: 'Sony zooms', itemIds: ['LN1'] },
+  { id: 'g2', name: 'Lights', itemIds: ['LT1'] },
+];
+
+function renderView(overrides = {}) {
+  const props = {
+    groups,
+    inventory,
+    onCreate: vi.fn(),
+    onUpdate: vi.fn(),
+    onDelete: vi.fn(),
+    showConfirm: vi.fn(),
+    onBack: vi.fn(),
+    ...overrides,
+  };
+  render(<EquivalenceGroupsView {...props} />);
+  return props;
+}
+
+describe('EquivalenceGroupsView', () => {
+  it('creates a group by name', () => {
+    const props = renderView();
+    fireEvent.change(screen.getByLabelText('New group name'), { target: { value: ' Primes ' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add Group/ }));
+    expect(props.onCreate).toHaveBeenCalledWith('Primes');
+  });
+
+  it('adds and removes members', () => {
+    const props = renderView();
+    fireEvent.change(screen.getByLabelText('Add item to Sony zooms'), {
+      target: { value: 'GM II' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Sony 24-70 GM II' }));
+    expect(props.onUpdate).toHaveBeenCalledWith('g1', { itemIds: ['LN1', 'LN2'] });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Sony 24-70 GM from Sony zooms' }));
+    expect(props.onUpdate).toHaveBeenLastCalledWith('g1', { itemIds: [] });
+  });
+
+  it('warns when an item will move from another group', () => {
+    renderView();
+    fireEvent.change(screen.getByLabelText('Add item to Sony zooms'), {
+      target: { value: 'Aputure' },
+    });
+    expect(screen.getByText('moves from Lights')).toBeInTheDocument();
+  });
+
+  it('confirms before deleting', () => {
+    const props = renderView();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Lights' }));
+    expect(props.onDelete).not.toHaveBeenCalled();
+    const { onConfirm } = props.showConfirm.mock.calls[0][0];
+    onConfirm();
+    expect(props.onDelete).toHaveBeenCalledWith(groups[1]);
+  });
+});
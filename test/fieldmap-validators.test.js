@@ -453,6 +453,29 @@ describe('validateReservation', () => {
     expect(result.errors.dateRange).toBeTruthy();
   });
 
+  it('requires a same-day booking to end after it starts', () => {
+    const sameDay = { ...validReservation, end: '2025-07-01', startTime: '14:00' };
+    expect(validateReservation({ ...sameDay, endTime: '13:00' }).errors.endTime).toBeTruthy();
+    expect(validateReservation({ ...sameDay, endTime: '18:00' }).isValid).toBe(true);
+    // Across days the return may be earlier in the day than the pickup
+    expect(
+      validateReservation({ ...validReservation, startTime: '14:00', endTime: '09:00' }).isValid,
+    ).toBe(true);
+    expect(
+      validateReservation({ ...validReservation, startTime: 'noon' }).errors.startTime,
+    ).toBeTruthy();
+  });
+
+  it('lets a timed booking follow a same-day return', () => {
+    const existing = [{ id: 'res-1', start: '2025-06-28', end: '2025-07-01', endTime: '09:00' }];
+    const booking = { ...validReservation, startTime: '14:00' };
+    expect(validateReservation(booking, { existingReservations: existing }).isValid).toBe(true);
+    expect(
+      validateReservation(booking, { existingReservations: existing, bufferMinutes: 360 }).errors
+        .dateRange,
+    ).toBeTruthy();
+  });
+
   it('ignores self when checking conflicts during edit', () => {
     const existing = [{ id: 'res-1', start: '2025-07-03', end: '2025-07-08' }];
     const result = validateReservation(validReservation, {
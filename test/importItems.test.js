@@ -5,10 +5,17 @@
 // - status/condition are validated and normalized, not stored verbatim
 // - runImport persists sequentially with ACCUMULATED ids (no batch
 //   collisions) and reports failures honestly
+// - upsert mode matches by id then serial and writes only changed fields
 // =============================================================================
 
 import { describe, it, expect, vi } from 'vitest';
-import { canonicalizeHeaders, buildImportItems, runImport } from '../lib/importItems.js';
+import {
+  IMPORT_MODES,
+  canonicalizeHeaders,
+  buildImportItems,
+  planUpsert,
+  runImport,
+} from '../lib/importItems.js';
 
 const CATEGORIES = ['Cameras', 'Lenses', 'Lighting'];
 
@@ -157,6 +164,23 @@ describe('buildImportItems', () => {
     expect(items[0].name).toBe('Cam D');
   });
 
+  it('reads blank rental rates as unpriced and blocks negative ones', () => {
+    const { items, errors, warnings } = build(
+      ['name', 'category', 'Day Rate', 'Week Rate'],
+      [
+        ['Cam A', 'Cameras', '$150', ''],
+        ['Cam B', 'Cameras', 'cheap', '400'],
+        ['Cam C', 'Cameras', '-10', ''],
+      ],
+    );
+    expect(errors).toEqual(['Row 4: Day rate cannot be negative']);
+    expect(items.map((i) => [i.dayRate, i.weekRate])).toEqual([
+      [150, null],
+      [null, 400],
+    ]);
+    expect(warnings.some((w) => w.includes('Unreadable day rate "cheap"'))).toBe(true);
+  });
+
   it('normalizes non-ISO dates from LOCAL components — no UTC day shift', () => {
     const prevTZ = process.env.TZ;
     // UTC+14: local midnight is the previous day in UTC, the worst case for
@@ -290,3 +314,166 @@ describe('runImport', () => {
     expect(onProgress).toHaveBeenLastCalledWith(3, 3);
   });
 });
+
+describe('upsert mode', () => {
+  const inventory = [
+    {
+      id: 'CA1001',
+      name: 'Sony A7S III',
+      category: 'Cameras',
+      status: 'available',
+      location: 'Shelf 1',
+      purchasePrice: 3498,
+      serialNumber: 'SN-1',
+      quantity: 1,
+      lowStockAlert: false,
+      specs: { Mount: 'E', Sensor: 'Full Frame' },
+    },
+    {
+      id: 'LE1001',
+      name: 'RF 24-70',
+      category: 'Lenses',
+      status: 'checked-out',
+      location: 'Cabinet',
+      serialNumber: 'SN-2',
+      quantity: 1,
+      specs: {},
+    },
+    { id: 'LI1001', name: 'Stand', category: 'Lighting', quantity: 10, quantityOut: 4, specs: {} },
+  ];
+
+  const upsert = (headers, rows) => {
+    const built = build(headers, rows, {
+      mode: IMPORT_MODES.UPSERT,
+      existingSerials: inventory.map((i) => i.serialNumber),
+    });
+    return { built, plan: planUpsert(built.items, inventory) };
+  };
+
+  it('needs a column to match on, but not name or category', () => {
+    expect(() => build(['name', 'location'], [], { mode: IMPORT_MODES.UPSERT })).toThrow(
+      /add an id or serial number column/,
+    );
+    const { built } = upsert(['id', 'location'], [['CA1001', 'Shelf 2']]);
+    expect(built.errors).toEqual([]);
+    expect(built.warnings).toEqual([]); // the id column is used, not ignored
+    expect(built.items[0]).toMatchObject({
+      id: 'CA1001',
+      importRow: 2,
+      importFields: ['location'],
+    });
+  });
+
+  it('matches by id, then serial, and diffs only the filled-in fields', () => {
+    const { plan } = upsert(
+      ['ID', 'Serial #', 'Name', 'Location', 'Purchase Price', 'spec:Mount', 'spec:Weight'],
+      [
+        ['CA1001', 'SN-1', 'Sony A7S III', 'Shelf 2', '$3,498.00', 'e', '700g'],
+        ['', 'SN-2', '', 'Cabinet', '', '', ''],
+      ],
+    );
+    expect(plan.errors).toEqual([]);
+    expect(plan.unchanged).toBe(1); // LE1001 via serial, same location
+    expect(plan.updates).toEqual([
+      {
+        id: 'CA1001',
+        name: 'Sony A7S III',
+        importRow: 2,
+        // Mount "E" vs "e" is not a change; Sensor is kept
+        changes: {
+          location: 'Shelf 2',
+          specs: { Mount: 'E', Sensor: 'Full Frame', Weight: '700g' },
+        },
+        diff: [
+          { field: 'location', oldValue: 'Shelf 1', newValue: 'Shelf 2' },
+          { field: 'spec:Weight', oldValue: '', newValue: '700g' },
+        ],
+      },
+    ]);
+  });
+
+  it('creates unmatched rows, which need a name and category', () => {
+    const { plan } = upsert(
+      ['id', 'name', 'category'],
+      [
+        ['CA9999', 'New Cam', 'Cameras'],
+        ['XX0001', '', ''],
+      ],
+    );
+    expect(plan.creates).toHaveLength(1);
+    expect(plan.creates[0]).toMatchObject({ name: 'New Cam', category: 'Cameras' });
+    expect(plan.creates[0]).not.toHaveProperty('importFields');
+    expect(plan.errors).toEqual([
+      'Row 3: No existing item matches — name and category are needed to add it',
+    ]);
+  });
+
+  it('never lets blank or unreadable cells overwrite stored values', () => {
+    const { built, plan } = upsert(
+      ['id', 'purchasePrice', 'quantity', 'lowStockAlert'],
+      [['CA1001', 'lots', '', '']],
+    );
+    expect(built.warnings).toEqual(['Row 2: Unreadable purchase price "lots"']);
+    expect(plan.updates).toEqual([]);
+    expect(plan.unchanged).toBe(1);
+  });
+
+  it('blocks rows that would double-update an item or undercut units out', () => {
+    const { plan } = upsert(
+      ['id', 'serialNumber', 'quantity'],
+      [
+        ['CA1001', '', '2'],
+        ['', 'SN-1', '3'],
+        ['LI1001', '', '3'],
+      ],
+    );
+    expect(plan.errors).toEqual([
+      'Row 3: Matches CA1001, which row 2 already updates',
+      'Row 4: Quantity 3 is below the 4 units checked out',
+    ]);
+  });
+
+  it('refuses ambiguous serials and leaves checkout status to check-out/check-in', () => {
+    const shared = [...inventory, { id: 'CA1002', serialNumber: 'SN-1', specs: {} }];
+    const built = build(['serialNumber', 'location'], [['SN-1', 'Shelf 9']], {
+      mode: IMPORT_MODES.UPSERT,
+    });
+    expect(planUpsert(built.items, shared).errors[0]).toMatch(
+      /Serial number "SN-1" matches more than one item/,
+    );
+
+    const { plan } = upsert(['id', 'status'], [['LE1001', 'available']]);
+    expect(plan.updates).toEqual([]);
+    expect(plan.warnings).toEqual([
+      'Row 2: Skipped status change checked-out → available — use check-out/check-in',
+    ]);
+  });
+});
+
+describe('runImport with updates', () => {
+  it('writes only the planned changes first, then creates, with one progress count', async () => {
+    const updateItem = vi.fn(async (id) => {
+      if (id === 'B') throw new Error('rls denied');
+    });
+    const onProgress = vi.fn();
+    const result = await runImport({
+      items: [{ name: 'New', category: 'Cameras', importNote: '' }],
+      updates: [
+        { id: 'A', name: 'Alpha', changes: { location: 'Shelf 2' } },
+        { id: 'B', name: 'Bravo', changes: { currentValue: 10 } },
+      ],
+      existingIds: ['A', 'B'],
+      createItem: vi.fn(async (item) => item),
+      updateItem,
+      addNote: vi.fn(),
+      generateCode: () => 'CA1',
+      onProgress,
+    });
+
+    expect(updateItem).toHaveBeenCalledWith('A', { location: 'Shelf 2' });
+    expect(result.updated.map((u) => u.id)).toEqual(['A']);
+    expect(result.failed).toEqual([{ name: 'Bravo', error: 'rls denied' }]);
+    expect(result.created.map((i) => i.id)).toEqual(['CA1']);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+  });
+});
@@ -0,0 +1,176 @@
+// =============================================================================
+// InvoiceModal + InvoiceDetailModal
+// - damage lines start at $0 and are called out until priced
+// - edited amounts flow into the saved lines and totals
+// - a payment larger than the balance is refused
+// - voiding is only offered on an unpaid sent invoice
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { InvoiceModal } from '../modals/InvoiceModal.jsx';
+import { InvoiceDetailModal } from '../modals/InvoiceDetailModal.jsx';
+
+const draft = {
+  invoice: {
+    clientId: 'c1',
+    clientName: 'Acme',
+    sourceType: 'checkout',
+    sourceKey: 'checkout:c1:Promo:2026-10-01',
+    project: 'Promo',
+    periodStart: '2026-10-01',
+    periodEnd: '2026-10-03',
+    issueDate: '2026-10-19',
+    dueDate: '2026-11-18',
+    discountPercent: 0,
+    taxRate: 0,
+  },
+  lines: [
+    {
+      kind: 'rental',
+      description: 'FX6 — 3 days',
+      itemId: 'CAM1',
+      quantity: 1,
+      unitPrice: 300,
+      amount: 300,
+    },
+    {
+      kind: 'damage',
+      description: 'Damage — FX6: Cracked LCD',
+      itemId: 'CAM1',
+      quantity: 1,
+      unitPrice: null,
+      amount: 0,
+      needsReview: true,
+    },
+  ],
+};
+
+describe('InvoiceModal', () => {
+  it('flags the unpriced damage line and saves the edited amounts', async () => {
+    const onSave = vi.fn().mockResolvedValue();
+    const onClose = vi.fn();
+    render(<InvoiceModal draft={draft} outstanding={2} onSave={onSave} onClose={onClose} />);
+
+    expect(screen.getByText(/2 units are still out/)).toBeInTheDocument();
+    expect(screen.getByText(/1 line needs an amount/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Line 2 amount'), { target: { value: '150' } });
+    expect(screen.queryByText(/needs an amount/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Save & Mark Sent'));
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+
+    const [invoice, lines] = onSave.mock.calls[0];
+    expect(invoice).toMatchObject({ status: 'sent', sourceKey: draft.invoice.sourceKey });
+    expect(lines.map((l) => [l.kind, l.amount, l.unitPrice])).toEqual([
+      ['rental', 300, 300],
+      ['damage', 150, 150],
+    ]);
+    expect(lines[1]).not.toHaveProperty('needsReview');
+  });
+
+  it('blocks saving a line without a description or a due date before issue', () => {
+    render(<InvoiceModal draft={draft} onSave={vi.fn()} onClose={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Line 1 description'), { target: { value: ' ' } });
+    expect(screen.getByRole('alert')).toHaveTextContent('Every line needs a description');
+    expect(screen.getByText('Save Draft').closest('button')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Line 1 description'), { target: { value: 'FX6' } });
+    fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2026-10-01' } });
+    expect(screen.getByRole('alert')).toHaveTextContent('cannot be before the issue date');
+  });
+
+  it('keeps the modal open with the error when saving fails', async () => {
+    const onSave = vi.fn().mockRejectedValue(new Error('This job has already been invoiced'));
+    const onClose = vi.fn();
+    render(<InvoiceModal draft={draft} onSave={onSave} onClose={onClose} />);
+
+    fireEvent.click(screen.getByText('Save Draft'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('already been invoiced');
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
+
+describe('InvoiceDetailModal', () => {
+  const sent = {
+    ...draft.invoice,
+    id: 'INV0001',
+    status: 'sent',
+    subtotal: 300,
+    discount: 0,
+    tax: 0,
+    total: 300,
+    amountPaid: 0,
+    lines: draft.lines.slice(0, 1),
+    payments: [],
+  };
+
+  it('refuses a payment above the balance and records one within it', async () => {
+    const onRecordPayment = vi.fn().mockResolvedValue();
+    const loadInvoice = vi.fn().mockResolvedValue(sent);
+    render(
+      <InvoiceDetailModal
+        invoiceId="INV0001"
+        loadInvoice={loadInvoice}
+        canEdit
+        onRecordPayment={onRecordPayment}
+        onClose={vi.fn()}
+      />,
+    );
+
+    fireEvent.click(await screen.findByText('Record Payment'));
+    fireEvent.change(screen.getByLabelText('Payment amount'), { target: { value: '400' } });
+    expect(screen.getByRole('alert')).toHaveTextContent('more than the $300.00 still owed');
+    expect(screen.getByText('Save Payment').closest('button')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Payment amount'), { target: { value: '120' } });
+    fireEvent.click(screen.getByText('Save Payment'));
+
+    await waitFor(() =>
+      expect(onRecordPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ invoiceId: 'INV0001', amount: 120, method: 'Bank transfer' }),
+      ),
+    );
+    // Refetched after the payment
+    await waitFor(() => expect(loadInvoice).toHaveBeenCalledTimes(2));
+  });
+
+  it('offers Void only while nothing has been paid', async () => {
+    const { unmount } = render(
+      <InvoiceDetailModal
+        invoiceId="INV0001"
+        loadInvoice={vi.fn().mockResolvedValue(sent)}
+        canEdit
+        onClose={vi.fn()}
+      />,
+    );
+    expect(await screen.findByText('Void')).toBeInTheDocument();
+    unmount();
+
+    render(
+      <InvoiceDetailModal
+        invoiceId="INV0001"
+        loadInvoice={vi.fn().mockResolvedValue({ ...sent, amountPaid: 50 })}
+        canEdit
+        onClose={vi.fn()}
+      />,
+    );
+    expect(await screen.findByText('Record Payment')).toBeInTheDocument();
+    expect(screen.queryByText('Void')).not.toBeInTheDocument();
+  });
+
+  it('shows no editing actions without permission', async () => {
+    render(
+      <InvoiceDetailModal
+        invoiceId="INV0001"
+        loadInvoice={vi.fn().mockResolvedValue({ ...sent, status: 'draft' })}
+        onClose={vi.fn()}
+      />,
+    );
+    expect(await screen.findByText('Print')).toBeInTheDocument();
+    expect(screen.queryByText('Mark Sent')).not.toBeInTheDocument();
+    expect(screen.queryByText('Delete Draft')).not.toBeInTheDocument();
+  });
+});
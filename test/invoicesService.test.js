@@ -0,0 +1,210 @@
+// =============================================================================
+// invoicesService — the RPC payload, numeric coercion, and status stamps
+// - create() sends snake_case header and lines to create_invoice and never
+//   the derived amounts (the RPC totals the lines itself)
+// - Postgres numerics arriving as strings come back as numbers, per-item
+//   rental revenue included
+// - sending/voiding stamps the matching timestamp
+// - recording a payment re-reads the invoice the trigger just updated
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getSupabase } from '../lib/supabase.js';
+
+vi.mock('../lib/supabase.js', () => ({
+  isDemoMode: false,
+  getSupabase: vi.fn(),
+  supabase: null,
+}));
+
+const { invoicesService } = await import('../lib/services.js');
+
+// Recording mock: logs every from(table) call with each chained method+args;
+// the chain resolves to the table's configured result.
+function makeRecordingClient(results = {}, rpcResult = { data: null, error: null }) {
+  const calls = [];
+  const client = {
+    from: vi.fn((table) => {
+      const entry = { table, ops: [] };
+      calls.push(entry);
+      const result = results[table] || { data: [], error: null };
+      const handler = {
+        get(_, prop) {
+          if (prop === 'then') {
+            const p = Promise.resolve(result);
+            return p.then.bind(p);
+          }
+          if (prop === 'single')
+            return () =>
+              Promise.resolve(
+                Array.isArray(result.data)
+                  ? { data: result.data[0] ?? {}, error: result.error }
+                  : result,
+              );
+          return (...args) => {
+            entry.ops.push({ method: prop, args });
+            return new Proxy({}, handler);
+          };
+        },
+      };
+      return new Proxy({}, handler);
+    }),
+    rpc: vi.fn().mockResolvedValue(rpcResult),
+  };
+  return { client, calls };
+}
+
+const opsOf = (calls, table) => calls.filter((c) => c.table === table).flatMap((c) => c.ops);
+const hasOp = (ops, method, matcher) =>
+  ops.some((op) => op.method === method && (!matcher || matcher(op.args)));
+
+const invoiceRow = {
+  id: 'INV0001',
+  client_id: 'c1',
+  status: 'sent',
+  subtotal: '300.00',
+  discount: '0',
+  tax: '24.00',
+  total: '324.00',
+  amount_paid: '100.00',
+  tax_rate: '8',
+  discount_percent: '0',
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('invoicesService.create', () => {
+  it('sends the header and lines to create_invoice in one call', async () => {
+    const { client } = makeRecordingClient(
+      {},
+      {
+        data: {
+          invoice: { ...invoiceRow, status: 'draft', amount_paid: '0' },
+          lines: [{ id: 'l1', kind: 'rental', quantity: '1', unit_price: '300', amount: '300' }],
+        },
+        error: null,
+      },
+    );
+    getSupabase.mockResolvedValue(client);
+
+    const created = await invoicesService.create(
+      {
+        clientId: 'c1',
+        sourceType: 'checkout',
+        sourceKey: 'checkout:c1:Promo:2026-10-01',
+        issueDate: '2026-10-19',
+        dueDate: '2026-11-18',
+        taxRate: 8,
+      },
+      [{ kind: 'damage', description: 'Damage — FX6', itemId: 'CAM1', quantity: 1, amount: 0 }],
+    );
+
+    expect(client.rpc).toHaveBeenCalledTimes(1);
+    const [fn, args] = client.rpc.mock.calls[0];
+    expect(fn).toBe('create_invoice');
+    expect(args.p_invoice).toMatchObject({
+      client_id: 'c1',
+      source_key: 'checkout:c1:Promo:2026-10-01',
+      issue_date: '2026-10-19',
+      status: 'draft',
+    });
+    expect(args.p_invoice).not.toHaveProperty('total');
+    expect(args.p_lines).toEqual([
+      {
+        kind: 'damage',
+        description: 'Damage — FX6',
+        item_id: 'CAM1',
+        quantity: 1,
+        unit_price: null,
+        amount: 0,
+      },
+    ]);
+
+    expect(created).toMatchObject({ id: 'INV0001', total: 324, amountPaid: 0, payments: [] });
+    expect(created.lines[0]).toMatchObject({ unitPrice: 300, amount: 300, quantity: 1 });
+  });
+
+  it('surfaces the RPC error', async () => {
+    const { client } = makeRecordingClient({}, { data: null, error: { code: '23505' } });
+    getSupabase.mockResolvedValue(client);
+
+    await expect(invoicesService.create({ clientId: 'c1' }, [])).rejects.toMatchObject({
+      code: '23505',
+    });
+  });
+});
+
+describe('invoicesService reads', () => {
+  it('coerces numeric strings on the headers', async () => {
+    const { client } = makeRecordingClient({ invoices: { data: [invoiceRow], error: null } });
+    getSupabase.mockResolvedValue(client);
+
+    const [invoice] = await invoicesService.getAll();
+    expect(invoice).toMatchObject({ total: 324, amountPaid: 100, taxRate: 8, clientId: 'c1' });
+  });
+
+  it('keys billed rental revenue by item', async () => {
+    const { client } = makeRecordingClient(
+      {},
+      {
+        data: [
+          { item_id: 'CAM1', revenue: '1250.50', invoice_count: 3, last_billed: '2026-10-01' },
+        ],
+        error: null,
+      },
+    );
+    getSupabase.mockResolvedValue(client);
+
+    await expect(invoicesService.getItemRevenue()).resolves.toEqual({
+      CAM1: { revenue: 1250.5, invoiceCount: 3, lastBilled: '2026-10-01' },
+    });
+    expect(client.rpc).toHaveBeenCalledWith('item_rental_revenue');
+  });
+});
+
+describe('invoicesService status and payments', () => {
+  it('stamps sent_at when sending and voided_at when voiding', async () => {
+    const { client, calls } = makeRecordingClient({
+      invoices: { data: [invoiceRow], error: null },
+    });
+    getSupabase.mockResolvedValue(client);
+
+    await invoicesService.updateStatus('INV0001', 'sent');
+    await invoicesService.updateStatus('INV0001', 'void');
+
+    const ops = opsOf(calls, 'invoices');
+    expect(hasOp(ops, 'update', (a) => a[0].status === 'sent' && a[0].sent_at)).toBe(true);
+    expect(hasOp(ops, 'update', (a) => a[0].status === 'void' && a[0].voided_at)).toBe(true);
+  });
+
+  it('addPayment inserts the payment then re-reads its invoice', async () => {
+    const { client, calls } = makeRecordingClient({
+      invoice_payments: {
+        data: [{ id: 'p1', invoice_id: 'INV0001', amount: '100.00', paid_on: '2026-10-19' }],
+        error: null,
+      },
+      invoices: { data: [invoiceRow], error: null },
+    });
+    getSupabase.mockResolvedValue(client);
+
+    const { payment, invoice } = await invoicesService.addPayment({
+      invoiceId: 'INV0001',
+      amount: 100,
+      paidOn: '2026-10-19',
+      method: 'Card',
+    });
+
+    expect(
+      hasOp(
+        opsOf(calls, 'invoice_payments'),
+        'insert',
+        (a) => a[0].invoice_id === 'INV0001' && a[0].amount === 100 && a[0].method === 'Card',
+      ),
+    ).toBe(true);
+    expect(hasOp(opsOf(calls, 'invoices'), 'eq', (a) => a[1] === 'INV0001')).toBe(true);
+    expect(payment).toMatchObject({ id: 'p1', amount: 100 });
+    expect(invoice.amountPaid).toBe(100);
+  });
+});
@@ -0,0 +1,396 @@
+// =============================================================================
+// Invoicing — jobs from reservations and checkout history, late fees and
+// damage lines on the draft, balances, and the double-billing guard
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  daysBetween,
+  addDaysISO,
+  lateDayRate,
+  completedReservationJobs,
+  withReservationReturns,
+  collectCheckoutJobs,
+  lateFeeLines,
+  damageLines,
+  buildInvoiceDraft,
+  invoiceBalance,
+  daysPastDue,
+  clientBalance,
+  uninvoicedJobs,
+} from '../lib/invoicing.js';
+
+// Local wall-clock timestamps so the calendar day doesn't depend on the TZ
+const at = (day, time = '10:00:00') => `${day}T${time}`;
+
+const inventory = [
+  { id: 'CAM1', name: 'FX6', dayRate: 100 },
+  { id: 'LIT1', name: 'Skypanel', weekRate: 700 },
+  { id: 'CAB1', name: 'SDI cable' },
+];
+const itemsById = new Map(inventory.map((i) => [i.id, i]));
+
+describe('date helpers', () => {
+  it('counts calendar days across a DST change', () => {
+    expect(daysBetween('2026-10-30', '2026-11-02')).toBe(3);
+    expect(daysBetween('2026-10-20', '2026-10-19')).toBe(-1);
+    expect(addDaysISO('2026-10-19', 30)).toBe('2026-11-18');
+  });
+
+  it('spreads a week rate over the billable days when there is no day rate', () => {
+    expect(lateDayRate({ dayRate: 80, weekRate: 300 }, 5)).toBe(80);
+    expect(lateDayRate({ weekRate: 300 }, 5)).toBe(60);
+    expect(lateDayRate({}, 5)).toBeNull();
+  });
+});
+
+describe('reservation jobs', () => {
+  const groups = [
+    {
+      groupKey: 'g1',
+      clientId: 'c1',
+      project: 'Promo',
+      start: '2026-10-01',
+      end: '2026-10-03',
+      items: [{ id: 'CAM1' }, { id: 'CAB1' }],
+      quantities: { CAB1: 4 },
+    },
+    { groupKey: 'g2', clientId: 'c1', start: '2026-10-18', end: '2026-10-20', items: [] },
+    { groupKey: 'g3', clientId: 'c2', start: '2026-09-01', end: '2026-09-02', items: [] },
+  ];
+
+  it("lists only the client's reservations that have ended", () => {
+    const jobs = completedReservationJobs(groups, 'c1', '2026-10-19');
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({
+      sourceType: 'reservation',
+      sourceKey: 'reservation:g1',
+      end: '2026-10-03',
+      items: [
+        { itemId: 'CAM1', quantity: 1 },
+        { itemId: 'CAB1', quantity: 4 },
+      ],
+    });
+  });
+
+  it('leaves out quotes and holds, which were never booked', () => {
+    const pencilled = [
+      {
+        groupKey: 'q1',
+        clientId: 'c1',
+        start: '2026-10-05',
+        end: '2026-10-06',
+        items: [],
+        status: 'quote',
+      },
+      {
+        groupKey: 'h1',
+        clientId: 'c1',
+        start: '2026-10-07',
+        end: '2026-10-08',
+        items: [],
+        status: 'hold',
+      },
+      {
+        groupKey: 'r1',
+        clientId: 'c1',
+        start: '2026-10-09',
+        end: '2026-10-10',
+        items: [],
+        status: 'returned',
+      },
+    ];
+    const jobs = completedReservationJobs([...groups, ...pencilled], 'c1', '2026-10-19');
+    expect(jobs.map((j) => j.sourceKey)).toEqual(['reservation:r1', 'reservation:g1']);
+  });
+
+  it('pairs returns to booked units and holds them to the reservation end', () => {
+    const [job] = completedReservationJobs(groups, 'c1', '2026-10-19');
+    const returns = [
+      // Before pickup — an earlier job's return
+      { id: 'h0', itemId: 'CAM1', action: 'checkin', timestamp: at('2026-09-30') },
+      {
+        id: 'h1',
+        itemId: 'CAM1',
+        action: 'checkin',
+        timestamp: at('2026-10-05'),
+        dueBack: '2026-10-04',
+        damageReported: true,
+        damageDescription: 'Cracked LCD',
+      },
+      { id: 'h2', itemId: 'CAB1', action: 'checkin', quantity: 3, timestamp: at('2026-10-03') },
+    ];
+    const result = withReservationReturns(job, returns, [{ id: 'CAB1', checkoutClientId: 'c1' }]);
+
+    expect(result.returns).toHaveLength(2);
+    expect(result.returns[0]).toMatchObject({
+      eventId: 'h1',
+      returnedOn: '2026-10-05',
+      dueBack: '2026-10-03',
+      damageReported: true,
+    });
+    // One cable still out with the client
+    expect(result.outstanding).toBe(1);
+  });
+});
+
+describe('collectCheckoutJobs', () => {
+  it('groups by project and day and pairs returns first out, first back', () => {
+    const events = [
+      {
+        itemId: 'CAB1',
+        action: 'checkout',
+        quantity: 2,
+        project: 'A',
+        timestamp: at('2026-10-01'),
+      },
+      { itemId: 'CAM1', action: 'checkout', project: 'A', timestamp: at('2026-10-01', '11:00:00') },
+      {
+        itemId: 'CAB1',
+        action: 'checkout',
+        quantity: 3,
+        project: 'B',
+        timestamp: at('2026-10-02'),
+      },
+      {
+        id: 'r1',
+        itemId: 'CAB1',
+        action: 'checkin',
+        quantity: 4,
+        dueBack: '2026-10-03',
+        timestamp: at('2026-10-05'),
+      },
+      {
+        id: 'r2',
+        itemId: 'CAM1',
+        action: 'checkin',
+        dueBack: '2026-10-04',
+        timestamp: at('2026-10-04'),
+      },
+    ];
+
+    const [jobB, jobA] = collectCheckoutJobs(events, 'c1');
+
+    expect(jobA.sourceKey).toBe('checkout:c1:A:2026-10-01');
+    expect(jobA.items).toEqual([
+      { itemId: 'CAB1', quantity: 2 },
+      { itemId: 'CAM1', quantity: 1 },
+    ]);
+    expect(jobA.outstanding).toBe(0);
+    expect(jobA.end).toBe('2026-10-04');
+    expect(jobA.returns.map((r) => [r.itemId, r.quantity])).toEqual([
+      ['CAB1', 2],
+      ['CAM1', 1],
+    ]);
+
+    // The 4-unit return closed A's two cables first, then two of B's three
+    expect(jobB.returns).toEqual([expect.objectContaining({ itemId: 'CAB1', quantity: 2 })]);
+    expect(jobB.outstanding).toBe(1);
+  });
+
+  it('ignores events without a timestamp and unrelated actions', () => {
+    const jobs = collectCheckoutJobs(
+      [
+        { itemId: 'CAM1', action: 'checkout', project: 'A' },
+        { itemId: 'CAM1', action: 'reserve', timestamp: at('2026-10-01') },
+      ],
+      'c1',
+    );
+    expect(jobs).toEqual([]);
+  });
+});
+
+describe('late fee and damage lines', () => {
+  const settings = { daysPerWeek: 7, lateFeePercent: 50 };
+
+  it('charges the late percentage of the day rate per day late, per unit', () => {
+    const lines = lateFeeLines(
+      [
+        { itemId: 'CAM1', quantity: 2, returnedOn: '2026-10-06', dueBack: '2026-10-03' },
+        // On time
+        { itemId: 'CAM1', quantity: 1, returnedOn: '2026-10-03', dueBack: '2026-10-03' },
+        // Consumed units were never coming back
+        {
+          itemId: 'CAM1',
+          quantity: 1,
+          returnedOn: '2026-10-09',
+          dueBack: '2026-10-03',
+          consumed: true,
+        },
+        // Week rate only: $100/day
+        { itemId: 'LIT1', quantity: 1, returnedOn: '2026-10-04', dueBack: '2026-10-03' },
+      ],
+      itemsById,
+      settings,
+    );
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({
+      kind: 'late_fee',
+      description: 'Late return — FX6 (3 days late)',
+      quantity: 2,
+      unitPrice: 150,
+      amount: 300,
+      needsReview: false,
+    });
+    expect(lines[1]).toMatchObject({ unitPrice: 50, amount: 50 });
+  });
+
+  it('flags unpriced late items for review and skips fees when the percentage is 0', () => {
+    const late = [{ itemId: 'CAB1', quantity: 1, returnedOn: '2026-10-05', dueBack: '2026-10-03' }];
+    expect(lateFeeLines(late, itemsById, settings)[0]).toMatchObject({
+      amount: 0,
+      needsReview: true,
+    });
+    expect(lateFeeLines(late, itemsById, { ...settings, lateFeePercent: 0 })).toEqual([]);
+  });
+
+  it('adds a $0 damage line per report for the operator to price', () => {
+    const lines = damageLines(
+      [
+        { itemId: 'CAM1', damageReported: true, damageDescription: 'Cracked LCD' },
+        { itemId: 'LIT1', damageReported: true },
+        { itemId: 'CAB1', damageReported: false },
+      ],
+      itemsById,
+    );
+    expect(lines.map((l) => l.description)).toEqual([
+      'Damage — FX6: Cracked LCD',
+      'Damage — Skypanel',
+    ]);
+    expect(lines.every((l) => l.amount === 0 && l.needsReview)).toBe(true);
+  });
+});
+
+describe('buildInvoiceDraft', () => {
+  it('prices the rental period and appends late fees and damage', () => {
+    const job = {
+      sourceType: 'checkout',
+      sourceKey: 'checkout:c1:Promo:2026-10-01',
+      clientId: 'c1',
+      project: 'Promo',
+      start: '2026-10-01',
+      end: '2026-10-03',
+      items: [
+        { itemId: 'CAM1', quantity: 1 },
+        { itemId: 'CAB1', quantity: 2 },
+      ],
+      returns: [
+        {
+          itemId: 'CAM1',
+          quantity: 1,
+          returnedOn: '2026-10-04',
+          dueBack: '2026-10-03',
+          damageReported: true,
+          damageDescription: 'Dented',
+        },
+      ],
+    };
+
+    const { invoice, lines, unpriced } = buildInvoiceDraft({
+      job,
+      inventory,
+      settings: { daysPerWeek: 7, taxRate: 8, invoiceDueDays: 14, lateFeePercent: 100 },
+      issueDate: '2026-10-19',
+      clientName: 'Acme',
+    });
+
+    expect(invoice).toMatchObject({
+      clientId: 'c1',
+      clientName: 'Acme',
+      sourceKey: 'checkout:c1:Promo:2026-10-01',
+      periodStart: '2026-10-01',
+      periodEnd: '2026-10-03',
+      dueDate: '2026-11-02',
+      taxRate: 8,
+    });
+    expect(lines.map((l) => [l.kind, l.amount])).toEqual([
+      ['rental', 300],
+      ['rental', 0],
+      ['late_fee', 100],
+      ['damage', 0],
+    ]);
+    expect(lines[1].needsReview).toBe(true);
+    expect(unpriced).toEqual(['SDI cable']);
+  });
+});
+
+describe('balances', () => {
+  const invoices = [
+    {
+      id: 'INV1',
+      clientId: 'c1',
+      status: 'sent',
+      total: 500,
+      amountPaid: 200,
+      dueDate: '2026-10-01',
+    },
+    {
+      id: 'INV2',
+      clientId: 'c1',
+      status: 'sent',
+      total: 100,
+      amountPaid: 0,
+      dueDate: '2026-10-30',
+    },
+    {
+      id: 'INV3',
+      clientId: 'c1',
+      status: 'draft',
+      total: 900,
+      amountPaid: 0,
+      dueDate: '2026-10-01',
+    },
+    { id: 'INV4', clientId: 'c1', status: 'void', total: 50, amountPaid: 0, dueDate: '2026-10-01' },
+    { id: 'INV5', clientId: 'c2', status: 'sent', total: 75, amountPaid: 0, dueDate: '2026-10-01' },
+  ];
+
+  it('owes nothing on drafts, void or settled invoices', () => {
+    expect(invoiceBalance(invoices[0])).toBe(300);
+    expect(invoiceBalance(invoices[2])).toBe(0);
+    expect(invoiceBalance(invoices[3])).toBe(0);
+    expect(invoiceBalance({ status: 'paid', total: 100, amountPaid: 100 })).toBe(0);
+  });
+
+  it('counts days past due only while something is owed', () => {
+    expect(daysPastDue(invoices[0], '2026-10-19')).toBe(18);
+    expect(daysPastDue(invoices[1], '2026-10-19')).toBe(0);
+    expect(daysPastDue({ ...invoices[0], amountPaid: 500 }, '2026-10-19')).toBe(0);
+  });
+
+  it("sums a client's open and overdue balances", () => {
+    expect(clientBalance(invoices, 'c1', '2026-10-19')).toEqual({
+      balance: 400,
+      overdue: 300,
+      openCount: 2,
+      overdueCount: 1,
+    });
+  });
+});
+
+describe('uninvoicedJobs', () => {
+  const reservationJobs = [
+    { sourceKey: 'reservation:g1', project: 'Promo', start: '2026-10-01', end: '2026-10-03' },
+    { sourceKey: 'reservation:g2', project: 'Promo', start: '2026-09-01', end: '2026-09-02' },
+  ];
+  const checkoutJobs = [
+    // Picked up against reservation g1
+    { sourceKey: 'checkout:c1:Promo:2026-10-01', project: 'Promo', start: '2026-10-01' },
+    { sourceKey: 'checkout:c1:Walk-in:2026-10-01', project: 'Walk-in', start: '2026-10-01' },
+  ];
+
+  it('drops jobs on a live invoice and checkouts billed through a reservation', () => {
+    const jobs = uninvoicedJobs({
+      reservationJobs,
+      checkoutJobs,
+      invoices: [
+        { sourceKey: 'reservation:g2', status: 'sent' },
+        { sourceKey: 'reservation:g1', status: 'void' },
+      ],
+    });
+    expect(jobs.map((j) => j.sourceKey)).toEqual([
+      'reservation:g1',
+      'checkout:c1:Walk-in:2026-10-01',
+    ]);
+  });
+});
@@ -46,7 +46,7 @@ const props = {
   user: { id: 'u1', name: 'Tester' },
 };
 
-// Default section order — all 12 sections render (Checkout History shows an
+// Default section order — all 13 sections render (Checkout History shows an
 // empty state rather than self-hiding since the polish batch)
 const DEFAULT_ORDER = [
   'Specifications',
@@ -61,6 +61,7 @@ const DEFAULT_ORDER = [
   'Checkout History',
   'Value & Purchase',
   'Depreciation',
+  'Revision History',
 ];
 
 const renderedTitles = (container) =>
@@ -0,0 +1,170 @@
+// =============================================================================
+// itemRevisions — point-in-time reconstruction and single-field reverts
+// - itemAsOf undoes every revision after the chosen day (end of day, local)
+// - diffItemAsOf lists only fields that differ from now
+// - a location revert carries location_id with it; spec reverts touch one key
+// - checkout state in older revisions is never shown, replayed or reverted
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  itemAsOf,
+  diffItemAsOf,
+  diffSpecs,
+  visibleChanges,
+  revisionValues,
+  buildRevertPatch,
+  formatRevisionValue,
+} from '../lib/itemRevisions.js';
+
+const item = {
+  id: 'CAM001',
+  name: 'FX6',
+  location: 'Shelf B',
+  locationId: 'LOC-B',
+  currentValue: 3000,
+  condition: 'good',
+  specs: { Sensor: 'FF', Mount: 'E' },
+};
+
+// Newest first, as the service returns them
+const revisions = [
+  {
+    id: 'r3',
+    changedAt: new Date(2026, 9, 12, 9, 0).toISOString(),
+    changes: [
+      { field: 'location', from: 'Shelf A', to: 'Shelf B' },
+      { field: 'locationId', from: 'LOC-A', to: 'LOC-B' },
+    ],
+  },
+  {
+    id: 'r2',
+    changedAt: new Date(2026, 9, 10, 17, 30).toISOString(),
+    changes: [
+      { field: 'currentValue', from: 3500, to: 3000 },
+      { field: 'specs', from: { Sensor: 'S35', Mount: 'E' }, to: { Sensor: 'FF', Mount: 'E' } },
+    ],
+  },
+  {
+    id: 'r1',
+    changedAt: new Date(2026, 9, 1, 8, 0).toISOString(),
+    changes: [{ field: 'condition', from: 'excellent', to: 'good' }],
+  },
+];
+
+describe('itemAsOf', () => {
+  it('undoes every revision made after the chosen day', () => {
+    const snapshot = itemAsOf(item, revisions, '2026-10-05');
+    expect(snapshot).toMatchObject({
+      location: 'Shelf A',
+      locationId: 'LOC-A',
+      currentValue: 3500,
+      condition: 'good',
+      specs: { Sensor: 'S35', Mount: 'E' },
+    });
+  });
+
+  it('counts edits made later on the same day as part of that day', () => {
+    expect(itemAsOf(item, revisions, '2026-10-10').currentValue).toBe(3000);
+    expect(itemAsOf(item, revisions, '2026-10-09').currentValue).toBe(3500);
+  });
+
+  it('replays newest first regardless of input order', () => {
+    const shuffled = [revisions[2], revisions[0], revisions[1]];
+    expect(itemAsOf(item, shuffled, '2026-09-30').condition).toBe('excellent');
+  });
+
+  it('leaves the item untouched', () => {
+    itemAsOf(item, revisions, '2026-09-01');
+    expect(item.location).toBe('Shelf B');
+  });
+});
+
+describe('diffItemAsOf', () => {
+  it('lists fields that differ from now, location once', () => {
+    const snapshot = itemAsOf(item, revisions, '2026-10-11');
+    expect(diffItemAsOf(item, snapshot, revisions)).toEqual([
+      { field: 'location', then: 'Shelf A', now: 'Shelf B' },
+    ]);
+  });
+
+  it('is empty when nothing changed since', () => {
+    expect(diffItemAsOf(item, itemAsOf(item, revisions, '2026-10-18'), revisions)).toEqual([]);
+  });
+});
+
+describe('buildRevertPatch', () => {
+  it('reverts one field', () => {
+    expect(buildRevertPatch(item, 'currentValue', revisionValues(revisions[1]))).toEqual({
+      currentValue: 3500,
+    });
+  });
+
+  it('puts the location id back with the location text', () => {
+    expect(buildRevertPatch(item, 'location', revisionValues(revisions[0]))).toEqual({
+      location: 'Shelf A',
+      locationId: 'LOC-A',
+    });
+  });
+
+  it('restores a single spec and keeps the others as they are now', () => {
+    const current = { ...item, specs: { Sensor: 'FF', Mount: 'L' } };
+    expect(buildRevertPatch(current, 'specs', revisionValues(revisions[1]), 'Sensor')).toEqual({
+      specs: { Sensor: 'S35', Mount: 'L' },
+    });
+  });
+
+  it('drops a spec that did not exist before', () => {
+    const values = { specs: { Mount: 'E' } };
+    expect(buildRevertPatch(item, 'specs', values, 'Sensor')).toEqual({ specs: { Mount: 'E' } });
+  });
+});
+
+describe('display helpers', () => {
+  it('hides the location id when the location text changed with it', () => {
+    expect(visibleChanges(revisions[0]).map((c) => c.field)).toEqual(['location']);
+  });
+
+  it('diffs specs per key', () => {
+    expect(
+      diffSpecs({ Sensor: 'S35', Mount: 'E' }, { Sensor: 'FF', Mount: 'E', ISO: '800' }),
+    ).toEqual([
+      { key: 'ISO', from: null, to: '800' },
+      { key: 'Sensor', from: 'S35', to: 'FF' },
+    ]);
+  });
+
+  it('formats values by field', () => {
+    expect(formatRevisionValue('currentValue', 3500)).toBe('$3,500.00');
+    expect(formatRevisionValue('lowStockAlert', true)).toBe('Yes');
+    expect(formatRevisionValue('kitItems', ['A', 'B'])).toBe('A, B');
+    expect(formatRevisionValue('brand', null)).toBe('—');
+  });
+});
+
+describe('checkout state', () => {
+  // A revision that carries checkout state alongside an edit
+  const linked = {
+    id: 'r4',
+    changedAt: new Date(2026, 9, 14, 9, 0).toISOString(),
+    changes: [
+      { field: 'checkedOutToBorrowerId', from: null, to: 'b1' },
+      { field: 'condition', from: 'good', to: 'fair' },
+    ],
+  };
+  const current = { ...item, condition: 'fair', checkedOutToBorrowerId: null };
+
+  it('is left out of the listed changes and the point-in-time view', () => {
+    expect(visibleChanges(linked).map((c) => c.field)).toEqual(['condition']);
+    expect(revisionValues(linked)).toEqual({ condition: 'good' });
+    const snapshot = itemAsOf(current, [linked], '2026-10-13');
+    expect(snapshot.checkedOutToBorrowerId).toBeNull();
+    expect(diffItemAsOf(current, snapshot, [linked]).map((d) => d.field)).toEqual(['condition']);
+  });
+
+  it('is never put back', () => {
+    expect(
+      buildRevertPatch(current, 'checkedOutToBorrowerId', { checkedOutToBorrowerId: 'b0' }),
+    ).toEqual({});
+  });
+});
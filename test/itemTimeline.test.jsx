@@ -146,3 +146,35 @@ describe('ItemTimeline event derivation', () => {
     expect(screen.queryByText(/12:00 AM/)).not.toBeInTheDocument();
   });
 });
+
+describe('ItemTimeline item edits', () => {
+  it('shows field edits from the revision history', () => {
+    render(
+      <ItemTimeline
+        item={baseItem()}
+        revisions={[
+          {
+            id: 'rev1',
+            changedAt: '2026-10-12T09:00:00Z',
+            changedByName: 'Sam',
+            changes: [
+              { field: 'location', from: 'Shelf A', to: 'Shelf B' },
+              { field: 'locationId', from: 'LOC-A', to: 'LOC-B' },
+              { field: 'specs', from: { ISO: '800' }, to: { ISO: '1600' } },
+            ],
+          },
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('Item Edited')).toBeInTheDocument();
+    expect(screen.getByText('Changed Location, Specifications')).toBeInTheDocument();
+    expect(screen.getByText('By: Sam')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Item Edited'));
+    expect(screen.getByText('Shelf A → Shelf B')).toBeInTheDocument();
+    // Spec names keep their own casing rather than being split as camelCase
+    expect(screen.getByText('ISO')).toBeInTheDocument();
+    expect(screen.getByText('800 → 1600')).toBeInTheDocument();
+  });
+});
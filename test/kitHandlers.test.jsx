@@ -361,3 +361,54 @@ describe('updateItemValue', () => {
     expect(params.addChangeLog).not.toHaveBeenCalled();
   });
 });
+
+// revertItemFields — Revision History's Revert / Restore buttons
+describe('revertItemFields', () => {
+  const revertParams = () =>
+    buildParams({
+      inventory: [{ id: 'CAM001', name: 'Camera', location: 'Shelf B', locationId: 'LOC-B' }],
+      selectedItem: { id: 'CAM001', name: 'Camera', location: 'Shelf B', locationId: 'LOC-B' },
+    });
+
+  it('persists the patch, mirrors it and logs each field', async () => {
+    const params = revertParams();
+    const { result } = renderHook(() => useKitHandlers(params));
+
+    let ok;
+    await act(async () => {
+      ok = await result.current.revertItemFields('CAM001', {
+        location: 'Shelf A',
+        locationId: 'LOC-A',
+      });
+    });
+
+    expect(ok).toBe(true);
+    expect(params.dataContext.updateItem).toHaveBeenCalledWith('CAM001', {
+      location: 'Shelf A',
+      locationId: 'LOC-A',
+    });
+    expect(params.setSelectedItem).toHaveBeenCalled();
+    const logged = params.addChangeLog.mock.calls[0][0];
+    expect(logged.description).toBe('Reverted Location, Location ID from revision history');
+    expect(logged.changes).toEqual([
+      { field: 'location', oldValue: 'Shelf B', newValue: 'Shelf A' },
+      { field: 'locationId', oldValue: 'LOC-B', newValue: 'LOC-A' },
+    ]);
+  });
+
+  it('failure: toast and nothing else', async () => {
+    const params = revertParams();
+    params.dataContext.updateItem.mockRejectedValueOnce(new Error('RLS denied'));
+    const { result } = renderHook(() => useKitHandlers(params));
+
+    let ok;
+    await act(async () => {
+      ok = await result.current.revertItemFields('CAM001', { location: 'Shelf A' });
+    });
+
+    expect(ok).toBe(false);
+    expect(addToastMock).toHaveBeenCalledWith(expect.stringContaining('revert'), 'error');
+    expect(params.setSelectedItem).not.toHaveBeenCalled();
+    expect(params.addChangeLog).not.toHaveBeenCalled();
+  });
+});
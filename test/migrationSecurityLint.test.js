@@ -142,6 +142,7 @@ describe('migration security lint', () => {
       'get_maintenance_due_today',
       'get_notification_recipients',
       'reconcile_reservation_statuses',
+      'expire_reservation_holds',
       'cleanup_smart_paste_aliases',
     ];
     const leaks = serviceOnly.filter((name) => {
@@ -0,0 +1,75 @@
+// =============================================================================
+// OfflineBanner — what the operator is told about offline mode
+// - offline: the snapshot's age and how many changes are waiting
+// - back online with a backlog: a Sync now button
+// - conflicts from a replay are listed until dismissed
+// - nothing at all while online with an empty outbox
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+let mockData;
+let mockPWA;
+
+vi.mock('../contexts/DataContext.js', () => ({
+  useData: () => mockData,
+}));
+vi.mock('../contexts/PWAContext.js', () => ({
+  usePWAContext: () => mockPWA,
+}));
+
+const { OfflineBanner } = await import('../components/OfflineBanner.jsx');
+
+beforeEach(() => {
+  mockPWA = { isOnline: true };
+  mockData = {
+    offlineSnapshotAt: null,
+    outbox: [],
+    outboxSyncing: false,
+    outboxConflicts: [],
+    syncOutbox: vi.fn(),
+    dismissOutboxConflicts: vi.fn(),
+  };
+});
+
+describe('OfflineBanner', () => {
+  it('renders nothing while online with nothing queued', () => {
+    const { container } = render(<OfflineBanner />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows the snapshot age and the queued count while offline', () => {
+    mockPWA.isOnline = false;
+    mockData.offlineSnapshotAt = '2026-10-18T08:00:00.000Z';
+    mockData.outbox = [{ id: 'a' }, { id: 'b' }];
+
+    render(<OfflineBanner />);
+    const status = screen.getByRole('status');
+    expect(status).toHaveTextContent(/Offline — showing data saved Oct 18, 2026/);
+    expect(status).toHaveTextContent('(2 changes waiting)');
+    expect(screen.queryByText('Sync now')).not.toBeInTheDocument();
+  });
+
+  it('offers Sync now for a backlog once back online', () => {
+    mockData.outbox = [{ id: 'a' }];
+
+    render(<OfflineBanner />);
+    expect(screen.getByRole('status')).toHaveTextContent('1 offline change not synced yet.');
+    fireEvent.click(screen.getByText('Sync now'));
+    expect(mockData.syncOutbox).toHaveBeenCalled();
+  });
+
+  it('lists conflicts until dismissed', () => {
+    mockData.outboxConflicts = [
+      { id: 'op-1', description: 'Check in FX6', reason: 'FX6 was already checked in' },
+    ];
+
+    render(<OfflineBanner />);
+    const alert = screen.getByRole('alert');
+    expect(alert).toHaveTextContent('1 offline change could not be applied');
+    expect(alert).toHaveTextContent('Check in FX6: FX6 was already checked in');
+    fireEvent.click(screen.getByText('Dismiss'));
+    expect(mockData.dismissOutboxConflicts).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+// =============================================================================
+// offlineStore — device snapshot, outbox, and check-in conflict detection
+// - the snapshot drops per-item detail and keeps earlier pack lists when this
+//   session never loaded them
+// - the outbox round-trips and empties its key when drained
+// - a queued check-in is refused when the item was returned and handed out
+//   again (or deleted) while the device was offline
+// - the cached profile is only handed back to the same user
+// =============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  OFFLINE_KEYS,
+  OUTBOX_OPS,
+  saveSnapshot,
+  loadSnapshot,
+  loadOutbox,
+  saveOutbox,
+  createOutboxOp,
+  detectCheckinConflict,
+  describeOutboxOp,
+  saveOfflineProfile,
+  loadOfflineProfile,
+  clearOfflineCache,
+  isNetworkError,
+} from '../lib/offlineStore.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('snapshot', () => {
+  it('saves list fields only and reads them back', () => {
+    saveSnapshot({
+      inventory: [
+        { id: 'CAM001', name: 'FX6', image: 'x.jpg', notes: [{ id: 1 }], reservations: [] },
+      ],
+      categories: ['Cameras'],
+      categorySettings: { Cameras: { trackQuantity: false } },
+    });
+
+    const snapshot = loadSnapshot();
+    expect(snapshot.inventory).toEqual([{ id: 'CAM001', name: 'FX6', reservations: [] }]);
+    expect(snapshot.categories).toEqual(['Cameras']);
+    expect(snapshot.savedAt).toEqual(expect.any(String));
+  });
+
+  it('keeps the pack lists of an earlier snapshot when none were loaded', () => {
+    saveSnapshot({ inventory: [], packLists: [{ id: 'PL-1' }] });
+    saveSnapshot({ inventory: [{ id: 'A' }] });
+    expect(loadSnapshot().packLists).toEqual([{ id: 'PL-1' }]);
+  });
+
+  it('keeps an explicit savedAt', () => {
+    saveSnapshot({ inventory: [], savedAt: '2026-10-18T08:00:00.000Z' });
+    expect(loadSnapshot().savedAt).toBe('2026-10-18T08:00:00.000Z');
+  });
+
+  it('treats a missing or corrupt snapshot as none', () => {
+    expect(loadSnapshot()).toBeNull();
+    localStorage.setItem(OFFLINE_KEYS.snapshot, '{not json');
+    expect(loadSnapshot()).toBeNull();
+  });
+
+  it('reports a full quota instead of throwing', () => {
+    // test/setup.js backs localStorage with vi.fn()s
+    localStorage.setItem.mockImplementationOnce(() => {
+      throw new Error('QuotaExceededError');
+    });
+    expect(saveSnapshot({ inventory: [{ id: 'A' }] })).toBe(false);
+  });
+});
+
+describe('outbox', () => {
+  it('round-trips queued ops and clears its key when drained', () => {
+    const op = createOutboxOp(OUTBOX_OPS.PACK_ITEM, {
+      listId: 'PL-1',
+      itemId: 'A',
+      isPacked: true,
+    });
+    saveOutbox([op]);
+    expect(loadOutbox()).toEqual([op]);
+
+    saveOutbox([]);
+    expect(localStorage.getItem(OFFLINE_KEYS.outbox)).toBeNull();
+    expect(loadOutbox()).toEqual([]);
+  });
+
+  it('records the checkout a check-in was made against', () => {
+    const item = {
+      id: 'CAM001',
+      name: 'FX6',
+      status: 'checked-out',
+      checkedOutTo: 'Sam',
+      checkedOutDate: '2026-10-17',
+    };
+    const checkin = createOutboxOp(OUTBOX_OPS.CHECKIN, { itemId: 'CAM001' }, item);
+    const checkout = createOutboxOp(OUTBOX_OPS.CHECKOUT, { itemId: 'CAM001' }, item);
+
+    expect(checkin).toMatchObject({
+      itemName: 'FX6',
+      baseline: { status: 'checked-out', checkedOutTo: 'Sam', checkedOutDate: '2026-10-17' },
+    });
+    expect(checkout.baseline).toBeNull();
+    expect(checkin.id).not.toBe(checkout.id);
+  });
+
+  it('describes ops for the sync banner', () => {
+    expect(
+      describeOutboxOp(
+        createOutboxOp(
+          OUTBOX_OPS.CHECKOUT,
+          { itemId: 'CAM001', checkoutData: { userName: 'Sam' } },
+          { name: 'FX6' },
+        ),
+      ),
+    ).toBe('Check out FX6 to Sam');
+    expect(
+      describeOutboxOp(
+        createOutboxOp(OUTBOX_OPS.PACK_PACKAGE, { packageId: 'PKG-1', isPacked: false }),
+      ),
+    ).toBe('Unpack PKG-1');
+  });
+});
+
+describe('detectCheckinConflict', () => {
+  const op = createOutboxOp(
+    OUTBOX_OPS.CHECKIN,
+    { itemId: 'CAM001' },
+    { name: 'FX6', status: 'checked-out', checkedOutTo: 'Sam', checkedOutDate: '2026-10-17' },
+  );
+  const server = { status: 'checked-out', checkedOutTo: 'Sam', checkedOutDate: '2026-10-17' };
+
+  it('allows the return while the same checkout is open', () => {
+    expect(detectCheckinConflict(op, server)).toBeNull();
+  });
+
+  it('refuses when the item was returned or re-issued meanwhile', () => {
+    expect(detectCheckinConflict(op, { ...server, status: 'available' })).toBe(
+      'FX6 was already checked in',
+    );
+    expect(
+      detectCheckinConflict(op, { ...server, checkedOutTo: 'Alex', checkedOutDate: '2026-10-18' }),
+    ).toMatch(/checked out again to Alex/);
+    expect(detectCheckinConflict(op, { ...server, checkedOutDate: '2026-10-18' })).toMatch(
+      /checked out again/,
+    );
+    expect(detectCheckinConflict(op, null)).toBe('FX6 no longer exists');
+  });
+
+  it('matches on the borrower alone when the checkout date was never known', () => {
+    const stacked = { ...op, baseline: { ...op.baseline, checkedOutDate: null } };
+    expect(detectCheckinConflict(stacked, { ...server, checkedOutDate: '2026-10-19' })).toBeNull();
+  });
+});
+
+describe('profile cache', () => {
+  it('only returns the cached profile to the same user', () => {
+    saveOfflineProfile({ id: 'u1', name: 'Sam' });
+    expect(loadOfflineProfile('u1')).toEqual({ id: 'u1', name: 'Sam' });
+    expect(loadOfflineProfile('u2')).toBeNull();
+  });
+
+  it('sign-out clears the snapshot and profile but keeps the outbox', () => {
+    saveSnapshot({ inventory: [] });
+    saveOfflineProfile({ id: 'u1' });
+    saveOutbox([createOutboxOp(OUTBOX_OPS.CHECKIN, { itemId: 'A' })]);
+
+    clearOfflineCache();
+    expect(loadSnapshot()).toBeNull();
+    expect(loadOfflineProfile('u1')).toBeNull();
+    expect(loadOutbox()).toHaveLength(1);
+  });
+});
+
+describe('isNetworkError', () => {
+  it('tells dropped requests from server refusals', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError({ message: 'TypeError: NetworkError when attempting to fetch' })).toBe(
+      true,
+    );
+    expect(isNetworkError({ message: 'permission denied for table pack_list_items' })).toBe(false);
+  });
+});
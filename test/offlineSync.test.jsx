@@ -0,0 +1,348 @@
+// =============================================================================
+// Offline mode — DataContext queues while offline and replays on reconnect
+// - checkouts, check-ins and pack ticks made offline go to the outbox and
+//   show as done locally, without touching the server
+// - reconnecting replays them in order and empties the outbox
+// - a return whose checkout changed hands meanwhile is reported, not applied;
+//   a checkout the server refuses is reported the same way
+// - a dropped connection mid-replay keeps the op for the next attempt
+// - with no server at all, the last snapshot is served, then replaced by a
+//   real load once back online
+// =============================================================================
+
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, waitFor, act } from '@testing-library/react';
+import { DataProvider } from '../contexts/DataContext.jsx';
+import { useData } from '../contexts/DataContext.js';
+import { CheckoutConflictError } from '../lib/errors.js';
+import {
+  OFFLINE_KEYS,
+  OUTBOX_OPS,
+  loadOutbox,
+  saveOutbox,
+  saveSnapshot,
+} from '../lib/offlineStore.js';
+
+vi.mock('../lib/supabase.js', () => ({
+  isDemoMode: false,
+  getSupabase: vi.fn(),
+  supabase: null,
+}));
+
+const serverRows = () => [
+  {
+    id: 'CAM001',
+    name: 'FX6',
+    status: 'checked-out',
+    checkedOutTo: 'Sam',
+    checkedOutDate: '2026-10-17',
+  },
+  { id: 'LENS001', name: 'Lens', status: 'available' },
+];
+
+vi.mock('../lib/services.js', () => ({
+  freshnessService: { check: vi.fn(() => Promise.resolve({})) },
+  realtimeService: { subscribe: vi.fn(() => Promise.resolve(() => {})) },
+  inventoryService: {
+    getAll: vi.fn(),
+    getSince: vi.fn(() => Promise.resolve([])),
+    getIds: vi.fn(() => Promise.resolve(new Set(['CAM001', 'LENS001']))),
+    getById: vi.fn(),
+    checkOut: vi.fn(() => Promise.resolve({ item: null, historyEvent: null })),
+    checkIn: vi.fn(() => Promise.resolve({ item: null, historyEvent: null })),
+  },
+  reservationsService: {
+    getAll: vi.fn(() => Promise.resolve([])),
+    getSince: vi.fn(() => Promise.resolve([])),
+    getIds: vi.fn(() => Promise.resolve(new Set())),
+  },
+  itemNotesService: { create: vi.fn(() => Promise.resolve({ id: 'n1' })) },
+  packagesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  packListsService: {
+    getAll: vi.fn(() => Promise.resolve([])),
+    toggleItemPacked: vi.fn(() => Promise.resolve()),
+  },
+  pricingService: { get: vi.fn(() => Promise.resolve(null)) },
+  equivalenceGroupsService: { getAll: vi.fn(() => Promise.resolve([])) },
+  usersService: { getAll: vi.fn(() => Promise.resolve([])) },
+  rolesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  locationsService: { getAll: vi.fn(() => Promise.resolve([])) },
+  categoriesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  specsService: { getAll: vi.fn(() => Promise.resolve({})) },
+  itemRemindersService: { getAllActive: vi.fn(() => Promise.resolve([])) },
+  maintenanceService: { getAllPending: vi.fn(() => Promise.resolve([])) },
+}));
+
+const services = await import('../lib/services.js');
+
+let online = true;
+
+function Consumer({ onContext }) {
+  const context = useData();
+  React.useEffect(() => {
+    onContext(context);
+  }, [context, onContext]);
+  return null;
+}
+
+async function setup() {
+  let ctx;
+  render(
+    <DataProvider>
+      <Consumer
+        onContext={(c) => {
+          ctx = c;
+        }}
+      />
+    </DataProvider>,
+  );
+  await waitFor(() => expect(ctx?.tier2Loaded).toBe(true));
+  return () => ctx;
+}
+
+const goOffline = () => {
+  online = false;
+};
+
+const reconnect = () =>
+  act(async () => {
+    online = true;
+    window.dispatchEvent(new Event('online'));
+  });
+
+const item = (ctx, id) => ctx().inventory.find((i) => i.id === id);
+
+const checkoutData = { userName: 'Alex', userId: null, project: 'Promo', dueBack: '2026-10-25' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  localStorage.clear();
+  online = true;
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+  services.inventoryService.getAll.mockImplementation(() => Promise.resolve(serverRows()));
+  services.inventoryService.getById.mockImplementation((id) =>
+    Promise.resolve(serverRows().find((r) => r.id === id)),
+  );
+});
+
+afterEach(() => {
+  online = true;
+});
+
+describe('queueing while offline', () => {
+  it('shows a checkout as done and queues it without calling the server', async () => {
+    const ctx = await setup();
+    goOffline();
+
+    let result;
+    await act(async () => {
+      result = await ctx().checkOutItem('LENS001', checkoutData);
+    });
+
+    expect(result).toBeNull();
+    expect(services.inventoryService.checkOut).not.toHaveBeenCalled();
+    expect(item(ctx, 'LENS001')).toMatchObject({ status: 'checked-out', checkedOutTo: 'Alex' });
+    expect(ctx().outbox).toHaveLength(1);
+    expect(loadOutbox()[0]).toMatchObject({
+      type: OUTBOX_OPS.CHECKOUT,
+      itemName: 'Lens',
+      payload: { itemId: 'LENS001', checkoutData },
+    });
+  });
+
+  it('refuses an offline checkout of gear the snapshot already shows out', async () => {
+    const ctx = await setup();
+    goOffline();
+
+    await expect(ctx().checkOutItem('CAM001', checkoutData)).rejects.toBeInstanceOf(
+      CheckoutConflictError,
+    );
+    expect(ctx().outbox).toHaveLength(0);
+  });
+
+  it('refuses gear the server would not check out: missing, needs attention', async () => {
+    services.inventoryService.getAll.mockImplementation(() =>
+      Promise.resolve([
+        ...serverRows(),
+        { id: 'MIC001', name: 'Mic', status: 'missing' },
+        { id: 'LITE001', name: 'Light', status: 'needs-attention' },
+      ]),
+    );
+    const ctx = await setup();
+    goOffline();
+
+    await expect(ctx().checkOutItem('MIC001', checkoutData)).rejects.toBeInstanceOf(
+      CheckoutConflictError,
+    );
+    await expect(ctx().checkOutItem('LITE001', checkoutData)).rejects.toBeInstanceOf(
+      CheckoutConflictError,
+    );
+    expect(ctx().outbox).toHaveLength(0);
+  });
+
+  it('refuses quantity checkouts rather than queueing them', async () => {
+    const ctx = await setup();
+    goOffline();
+
+    await expect(ctx().checkOutItemQuantity('LENS001', { quantity: 2 })).rejects.toThrow(
+      /need a connection/,
+    );
+  });
+});
+
+describe('replay on reconnect', () => {
+  it('replays queued ops in order and empties the outbox', async () => {
+    const ctx = await setup();
+    goOffline();
+    await act(async () => {
+      await ctx().checkInItem('CAM001', { returnedBy: 'Sam', condition: 'good' });
+      await ctx().checkOutItem('CAM001', checkoutData);
+      await ctx().togglePackListItemPacked('PL-1', 'LENS001', true);
+    });
+    expect(ctx().outbox).toHaveLength(3);
+
+    await reconnect();
+
+    await waitFor(() => expect(ctx().outbox).toHaveLength(0));
+    expect(services.inventoryService.checkIn).toHaveBeenCalledWith(
+      'CAM001',
+      expect.objectContaining({ userName: 'Sam', condition: 'good' }),
+    );
+    expect(services.inventoryService.checkOut).toHaveBeenCalledWith('CAM001', checkoutData);
+    expect(services.packListsService.toggleItemPacked).toHaveBeenCalledWith(
+      'PL-1',
+      'LENS001',
+      true,
+    );
+    expect(services.inventoryService.checkIn.mock.invocationCallOrder[0]).toBeLessThan(
+      services.inventoryService.checkOut.mock.invocationCallOrder[0],
+    );
+    expect(ctx().outboxConflicts).toEqual([]);
+    expect(localStorage.getItem(OFFLINE_KEYS.outbox)).toBeNull();
+  });
+
+  it('reports a return whose checkout changed hands meanwhile', async () => {
+    const ctx = await setup();
+    goOffline();
+    await act(async () => {
+      await ctx().checkInItem('CAM001', { returnedBy: 'Sam', condition: 'good' });
+    });
+    services.inventoryService.getById.mockResolvedValue({
+      id: 'CAM001',
+      name: 'FX6',
+      status: 'checked-out',
+      checkedOutTo: 'Jordan',
+      checkedOutDate: '2026-10-18',
+    });
+
+    await reconnect();
+
+    await waitFor(() => expect(ctx().outboxConflicts).toHaveLength(1));
+    expect(services.inventoryService.checkIn).not.toHaveBeenCalled();
+    expect(ctx().outboxConflicts[0]).toMatchObject({
+      description: 'Check in FX6',
+      reason: expect.stringMatching(/checked out again to Jordan/),
+    });
+    // The screen stops claiming it was returned
+    expect(item(ctx, 'CAM001')).toMatchObject({ status: 'checked-out', checkedOutTo: 'Jordan' });
+    expect(ctx().outbox).toHaveLength(0);
+
+    act(() => ctx().dismissOutboxConflicts());
+    expect(ctx().outboxConflicts).toEqual([]);
+  });
+
+  it('reports a checkout the server refuses', async () => {
+    const ctx = await setup();
+    goOffline();
+    await act(async () => {
+      await ctx().checkOutItem('LENS001', checkoutData);
+    });
+    const taken = { id: 'LENS001', name: 'Lens', status: 'checked-out', checkedOutTo: 'Jordan' };
+    services.inventoryService.checkOut.mockRejectedValueOnce(
+      new CheckoutConflictError('conflict', { itemId: 'LENS001', item: taken, action: 'checkout' }),
+    );
+
+    await reconnect();
+
+    await waitFor(() => expect(ctx().outboxConflicts).toHaveLength(1));
+    expect(ctx().outboxConflicts[0].reason).toBe('Lens was already checked out to Jordan');
+    expect(item(ctx, 'LENS001').checkedOutTo).toBe('Jordan');
+  });
+
+  it('keeps the op queued when the connection drops mid-replay', async () => {
+    const ctx = await setup();
+    goOffline();
+    await act(async () => {
+      await ctx().checkOutItem('LENS001', checkoutData);
+    });
+    services.inventoryService.checkOut.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await reconnect();
+
+    await waitFor(() => expect(ctx().outboxSyncing).toBe(false));
+    expect(services.inventoryService.checkOut).toHaveBeenCalledTimes(1);
+    expect(ctx().outbox).toHaveLength(1);
+    expect(ctx().outboxConflicts).toEqual([]);
+
+    await act(async () => {
+      await ctx().syncOutbox();
+    });
+    expect(ctx().outbox).toHaveLength(0);
+  });
+
+  it('sends ops left over from an earlier session once loaded', async () => {
+    saveOutbox([
+      {
+        id: 'op-1',
+        type: OUTBOX_OPS.PACK_ITEM,
+        itemName: 'Lens',
+        baseline: null,
+        payload: { listId: 'PL-1', itemId: 'LENS001', isPacked: false },
+      },
+    ]);
+
+    const ctx = await setup();
+
+    await waitFor(() => expect(ctx().outbox).toHaveLength(0));
+    expect(services.packListsService.toggleItemPacked).toHaveBeenCalledWith(
+      'PL-1',
+      'LENS001',
+      false,
+    );
+  });
+});
+
+describe('snapshot', () => {
+  it('serves the last snapshot when the server is unreachable, then reloads', async () => {
+    saveSnapshot({
+      inventory: [{ id: 'OLD001', name: 'Saved item', status: 'available' }],
+      categories: ['Cameras'],
+      savedAt: '2026-10-18T08:00:00.000Z',
+    });
+    services.inventoryService.getAll.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const ctx = await setup();
+
+    expect(ctx().offlineSnapshotAt).toBe('2026-10-18T08:00:00.000Z');
+    expect(ctx().inventory.map((i) => i.id)).toEqual(['OLD001']);
+    expect(ctx().categories).toEqual(['Cameras']);
+    expect(ctx().dataLoaded).toBe(false);
+
+    await reconnect();
+
+    await waitFor(() => expect(ctx().dataLoaded).toBe(true));
+    expect(ctx().offlineSnapshotAt).toBeNull();
+    expect(ctx().inventory.map((i) => i.id)).toEqual(['CAM001', 'LENS001']);
+  });
+
+  it('saves a snapshot once the load has settled', async () => {
+    await setup();
+
+    await waitFor(
+      () =>
+        expect(JSON.parse(localStorage.getItem(OFFLINE_KEYS.snapshot)).inventory).toHaveLength(2),
+      { timeout: 4000 },
+    );
+  });
+});
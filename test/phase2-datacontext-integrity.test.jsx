@@ -33,6 +33,9 @@ vi.mock('../lib/services.js', () => ({
   freshnessService: {
     check: vi.fn(() => Promise.resolve({ server_time: '2026-08-10T12:00:00.000Z' })),
   },
+  realtimeService: {
+    subscribe: vi.fn(() => Promise.resolve(() => {})),
+  },
   inventoryService: {
     getAll: vi.fn(() =>
       Promise.resolve([{ id: 'CAM001', name: 'Test Camera', status: 'available' }]),
@@ -55,6 +58,11 @@ vi.mock('../lib/services.js', () => ({
     update: vi.fn(),
     delete: vi.fn(),
   },
+  pricingService: {
+    get: vi.fn(() => Promise.resolve(null)),
+    update: vi.fn(),
+  },
+  equivalenceGroupsService: { getAll: vi.fn(() => Promise.resolve([])) },
   packListsService: {
     getAll: vi.fn(() => Promise.resolve([])),
     create: vi.fn(),
@@ -212,7 +212,7 @@ describe('specsService.upsert — transactional replace', () => {
 
     await specsService.upsert('Cameras', [
       { name: 'Sensor', required: true, type: 'text' },
-      { name: 'Mount', options: ['Sony E', 'PL'] },
+      { name: 'Mount', options: ['Sony E', 'PL'], substituteKey: true },
       { name: 'Weight', type: 'number', unit: 'oz' },
     ]);
 
@@ -220,9 +220,30 @@ describe('specsService.upsert — transactional replace', () => {
     expect(call[1]).toEqual({
       p_category: 'Cameras',
       p_specs: [
-        { name: 'Sensor', required: true, type: 'text', unit: null, options: null },
-        { name: 'Mount', required: false, type: 'text', unit: null, options: ['Sony E', 'PL'] },
-        { name: 'Weight', required: false, type: 'number', unit: 'oz', options: null },
+        {
+          name: 'Sensor',
+          required: true,
+          type: 'text',
+          unit: null,
+          options: null,
+          substituteKey: false,
+        },
+        {
+          name: 'Mount',
+          required: false,
+          type: 'text',
+          unit: null,
+          options: ['Sony E', 'PL'],
+          substituteKey: true,
+        },
+        {
+          name: 'Weight',
+          required: false,
+          type: 'number',
+          unit: 'oz',
+          options: null,
+          substituteKey: false,
+        },
       ],
     });
   });
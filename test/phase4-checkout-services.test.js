@@ -3,62 +3,53 @@
 // coverage of status transitions and history writes)
 //
 // Real inventoryService functions against a controllable fake Supabase —
-// wrong tables, wrong payloads, and unchecked errors fail loudly here.
+// wrong RPCs, wrong payloads, and unchecked errors fail loudly here. Since
+// the atomic checkout_item/checkin_item RPCs, the status guard, inventory
+// row, history row and counter are one server-side transaction; these tests
+// pin the RPC contract and the conflict mapping.
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CheckoutConflictError, describeCheckoutConflict } from '../lib/errors.js';
 
 // Controllable fake Supabase client -------------------------------------------
 
 const state = {
-  updates: [], // [table, payload, idFilter]
-  updateError: null,
-  selectRows: {}, // table -> { data, error } for select().eq().single()
-  inserts: [], // [table, row]
-  insertError: null,
   rpcCalls: [], // [name, args]
+  rpcResult: null, // { data, error } override for the next rpc call
+  tableCalls: [], // any direct .from() access — there should be none
 };
 
 function makeFakeSupabase() {
   return {
     rpc: vi.fn((name, args) => {
       state.rpcCalls.push([name, args]);
-      return Promise.resolve({ data: null, error: null });
-    }),
-    from: vi.fn((table) => ({
-      update: (payload) => ({
-        eq: (_col, val) => ({
-          select: () => ({
-            single: () => {
-              state.updates.push([table, payload, val]);
-              if (state.updateError) {
-                return Promise.resolve({ data: null, error: state.updateError });
-              }
-              return Promise.resolve({ data: { id: val, ...payload }, error: null });
-            },
-          }),
-        }),
-      }),
-      select: () => ({
-        eq: () => ({
-          single: () => Promise.resolve(state.selectRows[table] || { data: null, error: null }),
-          order: () => ({
-            limit: () => Promise.resolve({ data: [], error: null }),
-          }),
-        }),
-      }),
-      insert: (row) => ({
-        select: () => ({
-          single: () => {
-            state.inserts.push([table, row]);
-            if (state.insertError) {
-              return Promise.resolve({ data: null, error: state.insertError });
-            }
-            return Promise.resolve({ data: { ...row }, error: null });
+      if (state.rpcResult) return Promise.resolve(state.rpcResult);
+      const action = name === 'checkout_item' ? 'checkout' : 'checkin';
+      const status =
+        name === 'checkout_item'
+          ? 'checked-out'
+          : args.p_damage_reported
+            ? 'needs-attention'
+            : args.p_return_status || 'available';
+      return Promise.resolve({
+        data: {
+          item: { id: args.p_item_id, status, checked_out_to_name: args.p_user_name ?? null },
+          history: {
+            id: 'h1',
+            item_id: args.p_item_id,
+            user_name: args.p_user_name,
+            action,
+            timestamp: '2026-10-19T10:00:00Z',
           },
-        }),
-      }),
-    })),
+        },
+        error: null,
+      });
+    }),
+    from: vi.fn((table) => {
+      state.tableCalls.push(table);
+      throw new Error(`unexpected direct table access: ${table}`);
+    }),
   };
 }
 
@@ -69,16 +60,10 @@ vi.mock('../lib/supabase.js', () => ({
 
 const { inventoryService } = await import('../lib/services.js');
 
-// Let the fire-and-forget history/RPC promises settle
-const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
-
 beforeEach(() => {
-  state.updates = [];
-  state.updateError = null;
-  state.selectRows = {};
-  state.inserts = [];
-  state.insertError = null;
   state.rpcCalls = [];
+  state.rpcResult = null;
+  state.tableCalls = [];
 });
 
 const checkoutArgs = {
@@ -90,75 +75,108 @@ const checkoutArgs = {
   dueBack: '2026-09-01',
 };
 
+const conflict = (row) => ({
+  data: null,
+  error: {
+    code: 'PT409',
+    message: 'Item CAM001 is checked-out and cannot be checked out',
+    details: JSON.stringify(row),
+  },
+});
+
 // -----------------------------------------------------------------------------
 // checkOut
 // -----------------------------------------------------------------------------
 describe('inventoryService.checkOut', () => {
-  it('sets checked-out status and all checkout fields on the inventory row', async () => {
+  it('runs the whole checkout through one checkout_item RPC', async () => {
     const result = await inventoryService.checkOut('CAM001', checkoutArgs);
 
-    const [table, payload, id] = state.updates[0];
-    expect(table).toBe('inventory');
-    expect(id).toBe('CAM001');
-    expect(payload).toMatchObject({
-      status: 'checked-out',
-      checked_out_to_user_id: 'u1',
-      checked_out_to_name: 'Patrick',
-      checkout_client_id: 'client-42',
-      due_back: '2026-09-01',
-      checkout_project: 'Commercial Shoot',
+    expect(state.rpcCalls).toHaveLength(1);
+    const [name, args] = state.rpcCalls[0];
+    expect(name).toBe('checkout_item');
+    expect(args).toMatchObject({
+      p_item_id: 'CAM001',
+      p_user_id: 'u1',
+      p_user_name: 'Patrick',
+      p_client_id: 'client-42',
+      p_client_name: 'Acme Films',
+      p_project: 'Commercial Shoot',
+      p_due_back: '2026-09-01',
     });
-    expect(payload.checked_out_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(args.p_checked_out_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    // No separate inventory UPDATE, history INSERT or counter RPC any more
+    expect(state.tableCalls).toEqual([]);
     // Returned as { item, historyEvent } — the transformed row plus the real
     // history row for the caller's activity cache
     expect(result.item.status).toBe('checked-out');
+    expect(result.item.checkedOutTo).toBe('Patrick');
     expect(result.historyEvent).toMatchObject({ itemId: 'CAM001', action: 'checkout' });
   });
 
-  it('writes a checkout history row with the user and client names', async () => {
-    await inventoryService.checkOut('CAM001', checkoutArgs);
-    await flush();
-
-    const history = state.inserts.find(([table]) => table === 'checkout_history');
-    expect(history).toBeDefined();
-    expect(history[1]).toMatchObject({
-      item_id: 'CAM001',
-      user_id: 'u1',
-      user_name: 'Patrick',
-      client_id: 'client-42',
-      client_name: 'Acme Films',
-      action: 'checkout',
-      project: 'Commercial Shoot',
+  it('sends nulls, not empty strings, for optional fields', async () => {
+    await inventoryService.checkOut('CAM001', { userName: 'Patrick', clientId: '', dueBack: '' });
+    const [, args] = state.rpcCalls[0];
+    expect(args).toMatchObject({
+      p_user_id: null,
+      p_client_id: null,
+      p_client_name: null,
+      p_project: null,
+      p_due_back: null,
+      p_reservation_id: null,
     });
-    expect(history[1].timestamp).toBeTruthy();
   });
 
-  it('fires the increment_checkout_count RPC', async () => {
-    await inventoryService.checkOut('CAM001', checkoutArgs);
-    await flush();
-
-    expect(state.rpcCalls).toContainEqual(['increment_checkout_count', { item_id: 'CAM001' }]);
+  it('names the reservation being picked up and reads back the one linked', async () => {
+    state.rpcResult = {
+      data: {
+        item: { id: 'CAM001', status: 'checked-out' },
+        history: { id: 'h1', item_id: 'CAM001', action: 'checkout', reservation_id: 'res-1' },
+      },
+      error: null,
+    };
+    const result = await inventoryService.checkOut('CAM001', {
+      ...checkoutArgs,
+      reservationId: 'res-1',
+    });
+    expect(state.rpcCalls[0][1].p_reservation_id).toBe('res-1');
+    expect(result.historyEvent.reservationId).toBe('res-1');
   });
 
-  it('throws on update failure and writes NO history row', async () => {
-    state.updateError = new Error('RLS denied');
+  it('maps a PT409 to CheckoutConflictError carrying the current holder', async () => {
+    state.rpcResult = conflict({
+      id: 'CAM001',
+      name: 'FX6',
+      status: 'checked-out',
+      checked_out_to_name: 'Jordan',
+    });
+
+    const err = await inventoryService.checkOut('CAM001', checkoutArgs).catch((e) => e);
 
-    await expect(inventoryService.checkOut('CAM001', checkoutArgs)).rejects.toThrow('RLS denied');
-    await flush();
-    expect(state.inserts).toHaveLength(0);
+    expect(err).toBeInstanceOf(CheckoutConflictError);
+    expect(err.itemId).toBe('CAM001');
+    expect(err.action).toBe('checkout');
+    expect(err.item).toMatchObject({ status: 'checked-out', checkedOutTo: 'Jordan' });
+    expect(describeCheckoutConflict(err)).toBe('FX6 was already checked out to Jordan');
   });
 
-  it('still succeeds when the history insert fails (history is non-blocking)', async () => {
-    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
-    state.insertError = new Error('history table gone');
+  it('reports a deleted item as a conflict with no current row', async () => {
+    state.rpcResult = {
+      data: null,
+      error: { code: 'PT409', message: 'Item CAM001 no longer exists', details: 'null' },
+    };
 
-    const result = await inventoryService.checkOut('CAM001', checkoutArgs);
-    await flush();
+    const err = await inventoryService.checkOut('CAM001', checkoutArgs).catch((e) => e);
 
-    expect(result.item.status).toBe('checked-out');
-    // No phantom event when the insert failed — the cache must stay honest
-    expect(result.historyEvent).toBeNull();
-    warnSpy.mockRestore();
+    expect(err).toBeInstanceOf(CheckoutConflictError);
+    expect(err.item).toBeNull();
+    expect(describeCheckoutConflict(err, 'FX6')).toBe('FX6 no longer exists');
+  });
+
+  it('passes any other error through untouched', async () => {
+    const rls = { code: '42501', message: 'RLS denied' };
+    state.rpcResult = { data: null, error: rls };
+
+    await expect(inventoryService.checkOut('CAM001', checkoutArgs)).rejects.toBe(rls);
   });
 });
 
@@ -166,93 +184,221 @@ describe('inventoryService.checkOut', () => {
 // checkIn
 // -----------------------------------------------------------------------------
 describe('inventoryService.checkIn', () => {
-  beforeEach(() => {
-    // The item currently checked out, as getById reads it (DB shape)
-    state.selectRows.inventory = {
-      data: {
-        id: 'CAM001',
-        name: 'Camera',
-        status: 'checked-out',
-        checkout_client_id: 'client-42',
-      },
-      error: null,
-    };
-  });
-
-  it('clears every checkout field and returns the item to available', async () => {
+  it('runs the whole check-in through one checkin_item RPC', async () => {
     const result = await inventoryService.checkIn('CAM001', {
       userId: 'u1',
       userName: 'Patrick',
+      notes: 'all good',
+      condition: 'good',
     });
 
-    const [table, payload] = state.updates[0];
-    expect(table).toBe('inventory');
-    expect(payload).toEqual({
-      status: 'available',
-      checked_out_to_user_id: null,
-      checked_out_to_name: null,
-      checkout_client_id: null,
-      checked_out_date: null,
-      due_back: null,
-      checkout_project: null,
-    });
+    expect(state.rpcCalls).toEqual([
+      [
+        'checkin_item',
+        {
+          p_item_id: 'CAM001',
+          p_user_id: 'u1',
+          p_user_name: 'Patrick',
+          p_notes: 'all good',
+          p_condition: 'good',
+          p_damage_reported: false,
+          p_return_status: null,
+          p_damage_description: null,
+        },
+      ],
+    ]);
+    expect(state.tableCalls).toEqual([]);
     expect(result.item.status).toBe('available');
     expect(result.historyEvent).toMatchObject({ itemId: 'CAM001', action: 'checkin' });
   });
 
-  it('sets needs-attention when damage is reported', async () => {
+  it('passes damage and the reserved return status to the server', async () => {
     await inventoryService.checkIn('CAM001', {
-      userId: 'u1',
       userName: 'Patrick',
       damageReported: true,
+      damageDescription: 'Cracked LCD',
+      returnStatus: 'reserved',
     });
+    const [, args] = state.rpcCalls[0];
+    expect(args.p_damage_reported).toBe(true);
+    expect(args.p_damage_description).toBe('Cracked LCD');
+    expect(args.p_return_status).toBe('reserved');
+  });
 
-    expect(state.updates[0][1].status).toBe('needs-attention');
+  it('omits the condition when none was recorded', async () => {
+    await inventoryService.checkIn('CAM001', { userId: 'u1', userName: 'Patrick' });
+    expect(state.rpcCalls[0][1].p_condition).toBeNull();
   });
 
-  it('includes condition only when provided', async () => {
-    await inventoryService.checkIn('CAM001', {
-      userId: 'u1',
-      userName: 'Patrick',
-      condition: 'fair',
+  it('maps a PT409 (already returned) to CheckoutConflictError', async () => {
+    state.rpcResult = conflict({ id: 'CAM001', name: 'FX6', status: 'available' });
+
+    const err = await inventoryService
+      .checkIn('CAM001', { userId: 'u1', userName: 'Patrick' })
+      .catch((e) => e);
+
+    expect(err).toBeInstanceOf(CheckoutConflictError);
+    expect(err.action).toBe('checkin');
+    expect(describeCheckoutConflict(err)).toBe('FX6 was already checked in');
+  });
+
+  it('returns no phantom history event when the RPC returns none', async () => {
+    state.rpcResult = { data: { item: { id: 'CAM001', status: 'available' } }, error: null };
+    const result = await inventoryService.checkIn('CAM001', { userName: 'Patrick' });
+    expect(result.historyEvent).toBeNull();
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Quantity-tracked items: checkOutQuantity / returnQuantity
+// -----------------------------------------------------------------------------
+describe('inventoryService.checkOutQuantity', () => {
+  it('takes units through the checkout_quantity RPC and returns the new checkout', async () => {
+    state.rpcResult = {
+      data: {
+        item: { id: 'CON001', status: 'available', quantity: 40, quantity_out: 12 },
+        checkout: {
+          id: 'qc1',
+          item_id: 'CON001',
+          borrower_name: 'Patrick',
+          quantity: 12,
+          checked_out_date: '2026-10-19',
+          due_back: '2026-09-01',
+        },
+        history: { id: 'h2', item_id: 'CON001', action: 'checkout', quantity: 12 },
+      },
+      error: null,
+    };
+
+    const result = await inventoryService.checkOutQuantity('CON001', {
+      ...checkoutArgs,
+      quantity: 12,
     });
-    expect(state.updates[0][1].condition).toBe('fair');
 
-    state.updates = [];
-    await inventoryService.checkIn('CAM001', { userId: 'u1', userName: 'Patrick' });
-    expect(state.updates[0][1]).not.toHaveProperty('condition');
+    const [name, args] = state.rpcCalls[0];
+    expect(name).toBe('checkout_quantity');
+    expect(args).toMatchObject({
+      p_item_id: 'CON001',
+      p_quantity: 12,
+      p_consume: false,
+      p_user_name: 'Patrick',
+      p_due_back: '2026-09-01',
+    });
+    expect(state.tableCalls).toEqual([]);
+    expect(result.item).toMatchObject({ quantity: 40, quantityOut: 12 });
+    expect(result.checkout).toMatchObject({ id: 'qc1', borrowerName: 'Patrick', quantity: 12 });
+    expect(result.historyEvent).toMatchObject({ action: 'checkout', quantity: 12 });
   });
 
-  // Regression: this used to read item.checkout_client_id off the TRANSFORMED
-  // (camelCase) item, so check-in history never recorded which client had it.
-  it('records the outgoing client on the check-in history row', async () => {
-    await inventoryService.checkIn('CAM001', {
+  it('a consumed checkout has no due date and leaves nothing outstanding', async () => {
+    state.rpcResult = {
+      data: {
+        item: { id: 'CON001', quantity: 28, quantity_out: 0 },
+        checkout: null,
+        history: { id: 'h3', item_id: 'CON001', action: 'consume', quantity: 12 },
+      },
+      error: null,
+    };
+
+    const result = await inventoryService.checkOutQuantity('CON001', {
+      ...checkoutArgs,
+      quantity: 12,
+      consume: true,
+    });
+
+    const [, args] = state.rpcCalls[0];
+    expect(args.p_consume).toBe(true);
+    expect(args.p_due_back).toBeNull();
+    expect(result.checkout).toBeNull();
+    expect(result.historyEvent).toMatchObject({ type: 'consume', consumedBy: 'Unknown' });
+  });
+
+  it('maps a short-stock PT409 to a conflict naming what is left on hand', async () => {
+    state.rpcResult = conflict({
+      id: 'CON001',
+      name: 'AA batteries',
+      status: 'available',
+      quantity: 40,
+      quantity_out: 35,
+    });
+
+    const err = await inventoryService
+      .checkOutQuantity('CON001', { ...checkoutArgs, quantity: 12 })
+      .catch((e) => e);
+
+    expect(err).toBeInstanceOf(CheckoutConflictError);
+    expect(err.quantity).toBe(12);
+    expect(describeCheckoutConflict(err)).toBe('Only 5 AA batteries on hand');
+  });
+});
+
+describe('inventoryService.returnQuantity', () => {
+  it('settles returned and consumed units in one return_quantity RPC', async () => {
+    state.rpcResult = {
+      data: {
+        item: { id: 'CON001', quantity: 38, quantity_out: 4 },
+        checkout: { id: 'qc1', item_id: 'CON001', borrower_name: 'Patrick', quantity: 4 },
+        history: [
+          { id: 'h4', item_id: 'CON001', action: 'checkin', quantity: 6 },
+          { id: 'h5', item_id: 'CON001', action: 'consume', quantity: 2 },
+        ],
+      },
+      error: null,
+    };
+
+    const result = await inventoryService.returnQuantity('qc1', {
+      itemId: 'CON001',
+      returned: 6,
+      consumed: 2,
       userId: 'u1',
       userName: 'Patrick',
-      notes: 'all good',
-      condition: 'good',
-    });
-    await flush();
-
-    const history = state.inserts.find(([table]) => table === 'checkout_history');
-    expect(history).toBeDefined();
-    expect(history[1]).toMatchObject({
-      item_id: 'CAM001',
-      user_id: 'u1',
-      action: 'checkin',
-      client_id: 'client-42',
-      notes: 'all good',
-      condition_at_action: 'good',
     });
+
+    expect(state.rpcCalls).toEqual([
+      [
+        'return_quantity',
+        {
+          p_item_id: 'CON001',
+          p_checkout_id: 'qc1',
+          p_returned: 6,
+          p_consumed: 2,
+          p_user_id: 'u1',
+          p_user_name: 'Patrick',
+          p_notes: null,
+        },
+      ],
+    ]);
+    expect(result.checkout).toMatchObject({ quantity: 4 });
+    expect(result.historyEvents.map((e) => e.type)).toEqual(['return', 'consume']);
   });
 
-  it('throws on update failure and writes NO history row', async () => {
-    state.updateError = new Error('constraint violation');
+  it('a settled checkout comes back as null', async () => {
+    state.rpcResult = {
+      data: { item: { id: 'CON001', quantity: 40, quantity_out: 0 }, checkout: null, history: [] },
+      error: null,
+    };
+    const result = await inventoryService.returnQuantity('qc1', { itemId: 'CON001', returned: 12 });
+    expect(result.checkout).toBeNull();
+    expect(result.historyEvents).toEqual([]);
+  });
+
+  it('maps a stale return to a conflict on the item, not a deleted item', async () => {
+    state.rpcResult = conflict({
+      id: 'CON001',
+      name: 'AA batteries',
+      quantity: 40,
+      quantity_out: 0,
+    });
+
+    const err = await inventoryService
+      .returnQuantity('qc1', { itemId: 'CON001', returned: 12 })
+      .catch((e) => e);
 
-    await expect(
-      inventoryService.checkIn('CAM001', { userId: 'u1', userName: 'Patrick' }),
-    ).rejects.toThrow('constraint violation');
-    await flush();
-    expect(state.inserts).toHaveLength(0);
+    expect(err).toBeInstanceOf(CheckoutConflictError);
+    expect(err.itemId).toBe('CON001');
+    expect(err.item).toMatchObject({ quantityOut: 0 });
+    expect(describeCheckoutConflict(err)).toBe(
+      'AA batteries return no longer matches what is still out',
+    );
   });
 });
@@ -185,6 +185,11 @@ describe('canAccessView (navigation guard)', () => {
     expect(guards({ id: 'u1', roleId: 'role_admin' })(VIEWS.ADD_ITEM)).toBe(true);
   });
 
+  it('the portal catalog editor requires gear_list EDIT', () => {
+    expect(guards({ id: 'u1', roleId: 'role_user' })(VIEWS.PORTAL_CATALOG)).toBe(false);
+    expect(guards({ id: 'u1', roleId: 'role_admin' })(VIEWS.PORTAL_CATALOG)).toBe(true);
+  });
+
   it('personal views stay open to everyone (theme, notifications, layout)', () => {
     const allowed = guards({ id: 'u1', roleId: 'role_user' });
     expect(allowed(VIEWS.THEME_SELECTOR)).toBe(true);
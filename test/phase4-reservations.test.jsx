@@ -26,6 +26,9 @@ vi.mock('../lib/services.js', () => ({
   freshnessService: {
     check: vi.fn(() => Promise.resolve({ server_time: '2026-08-10T12:00:00.000Z' })),
   },
+  realtimeService: {
+    subscribe: vi.fn(() => Promise.resolve(() => {})),
+  },
   inventoryService: {
     getAll: vi.fn(() => Promise.resolve([])),
     create: vi.fn(),
@@ -38,6 +41,8 @@ vi.mock('../lib/services.js', () => ({
     getByIdWithDetails: vi.fn(() => Promise.resolve(null)),
   },
   packagesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  pricingService: { get: vi.fn(() => Promise.resolve(null)) },
+  equivalenceGroupsService: { getAll: vi.fn(() => Promise.resolve([])) },
   packListsService: { getAll: vi.fn(() => Promise.resolve([])) },
   clientsService: { getAll: vi.fn(() => Promise.resolve([])) },
   usersService: { getAll: vi.fn(() => Promise.resolve([])) },
@@ -114,13 +119,22 @@ describe('DataContext.createReservation', () => {
       client_id: 'client-42',
       // Not in this form — the handler stamps these for rows it creates
       group_id: null,
+      series_id: null,
+      recurrence: null,
       created_by_id: null,
       created_by_name: null,
       project: 'Commercial Shoot',
       project_type: 'Commercial',
       start_date: '2026-09-01',
       end_date: '2026-09-03',
+      // No times given — the booking holds whole days
+      start_time: null,
+      end_time: null,
+      // Serialized rows hold one unit; pooled items pass their count
+      quantity: 1,
       status: 'confirmed',
+      // Only holds carry an expiry
+      hold_expires_at: null,
       contact_name: 'Client A',
       contact_phone: '555-1234',
       contact_email: 'a@example.com',
@@ -0,0 +1,152 @@
+// =============================================================================
+// Rental pricing — rental days, week/day rate math, package bundling and the
+// quote totals
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseRate,
+  rentalDays,
+  effectiveWeekRate,
+  rentalCharge,
+  describePeriod,
+  buildQuote,
+} from '../lib/pricing.js';
+
+describe('parseRate', () => {
+  it('reads blank as unpriced and strips currency formatting', () => {
+    expect(parseRate('')).toBeNull();
+    expect(parseRate(null)).toBeNull();
+    expect(parseRate(' $1,250.50 ')).toBe(1250.5);
+    expect(parseRate(0)).toBe(0);
+    expect(parseRate('abc')).toBeNaN();
+  });
+});
+
+describe('rentalDays', () => {
+  it('counts pickup and return days inclusively', () => {
+    expect(rentalDays('2026-10-19', '2026-10-19')).toBe(1);
+    expect(rentalDays('2026-10-19', '2026-10-21')).toBe(3);
+    expect(rentalDays('2026-10-19', '2026-10-25')).toBe(7);
+  });
+
+  it('is not thrown off by a DST change inside the booking', () => {
+    expect(rentalDays('2026-10-30', '2026-11-02')).toBe(4);
+  });
+});
+
+describe('rentalCharge', () => {
+  it('derives a missing week rate from billable days per week', () => {
+    expect(effectiveWeekRate({ dayRate: 100 }, 3)).toBe(300);
+    expect(effectiveWeekRate({ dayRate: 100, weekRate: 350 }, 3)).toBe(350);
+    expect(effectiveWeekRate({}, 3)).toBeNull();
+  });
+
+  it('bills whole weeks at the week rate and caps leftover days at a week', () => {
+    const rates = { dayRate: 100 };
+    // 3-day week: 2 days = $200, 5 days would be $500 but a week is $300
+    expect(rentalCharge(rates, 2, { daysPerWeek: 3 })).toEqual({ amount: 200, weeks: 0, days: 2 });
+    expect(rentalCharge(rates, 5, { daysPerWeek: 3 }).amount).toBe(300);
+    expect(rentalCharge(rates, 9, { daysPerWeek: 3 })).toEqual({ amount: 500, weeks: 1, days: 2 });
+  });
+
+  it('bills a partial week at the week rate when there is no day rate', () => {
+    expect(rentalCharge({ weekRate: 400 }, 3).amount).toBe(400);
+    expect(rentalCharge({ weekRate: 400 }, 8).amount).toBe(800);
+  });
+
+  it('returns null for unpriced items rather than $0', () => {
+    expect(rentalCharge({ dayRate: null, weekRate: null }, 3)).toBeNull();
+    expect(rentalCharge({ dayRate: 0 }, 3).amount).toBe(0);
+  });
+
+  it('describes how the period was billed', () => {
+    expect(describePeriod({ weeks: 1, days: 2 })).toBe('1 wk + 2 days');
+    expect(describePeriod({ weeks: 0, days: 1 })).toBe('1 day');
+  });
+});
+
+describe('buildQuote', () => {
+  const camera = { id: 'CAM1', name: 'FX6', dayRate: 200 };
+  const lens = { id: 'LEN1', name: '24-70', dayRate: 50 };
+  const battery = { id: 'BAT1', name: 'V-Mount', dayRate: 10 };
+  const cable = { id: 'CAB1', name: 'SDI cable' };
+  const kit = {
+    id: 'PKG-001',
+    name: 'FX6 Kit',
+    items: ['CAM1', 'LEN1', 'BAT1'],
+    itemQuantities: { BAT1: 2 },
+    dayRate: 220,
+  };
+
+  const base = {
+    start: '2026-10-19',
+    end: '2026-10-20',
+    settings: { daysPerWeek: 3, taxRate: 0 },
+  };
+
+  it('prices items per unit and lists unpriced ones without a charge', () => {
+    const quote = buildQuote({
+      ...base,
+      items: [camera, battery, cable],
+      quantities: { BAT1: 3 },
+    });
+
+    expect(quote.days).toBe(2);
+    expect(quote.lines.map((l) => [l.name, l.quantity, l.unitPrice, l.amount])).toEqual([
+      ['FX6', 1, 400, 400],
+      ['V-Mount', 3, 20, 60],
+      ['SDI cable', 1, null, null],
+    ]);
+    expect(quote.subtotal).toBe(460);
+    expect(quote.unpriced).toEqual(['SDI cable']);
+  });
+
+  it('bundles a fully booked package and prices the leftovers per item', () => {
+    const quote = buildQuote({
+      ...base,
+      items: [camera, lens, battery],
+      quantities: { BAT1: 3 },
+      packages: [kit],
+    });
+
+    expect(quote.lines.map((l) => [l.kind, l.name, l.quantity, l.amount])).toEqual([
+      ['package', 'FX6 Kit', 1, 440],
+      ['item', 'V-Mount', 1, 20],
+    ]);
+    expect(quote.subtotal).toBe(460);
+  });
+
+  it('leaves a package unbundled when part of it is missing', () => {
+    const quote = buildQuote({
+      ...base,
+      items: [camera, lens, battery],
+      packages: [kit],
+    });
+    expect(quote.lines.every((l) => l.kind === 'item')).toBe(true);
+  });
+
+  it('applies the discount before tax and rounds to cents', () => {
+    const quote = buildQuote({
+      ...base,
+      items: [{ id: 'X', name: 'Light', dayRate: 33.33 }],
+      discountPercent: 10,
+      taxRate: 8.25,
+    });
+
+    expect(quote.subtotal).toBe(66.66);
+    expect(quote.discount).toBe(6.67);
+    expect(quote.tax).toBe(4.95);
+    expect(quote.total).toBe(64.94);
+  });
+
+  it('takes the tax rate from settings unless overridden', () => {
+    const quote = buildQuote({
+      ...base,
+      items: [camera],
+      settings: { daysPerWeek: 7, taxRate: 5 },
+    });
+    expect(quote.taxRate).toBe(5);
+    expect(quote.tax).toBe(20);
+  });
+});
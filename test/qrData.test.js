@@ -5,6 +5,7 @@
 
 import { describe, it, expect } from 'vitest';
 import {
+  addScanToSession,
   buildItemQRData,
   parseScannedCode,
   resolveScannedCode,
@@ -113,6 +114,33 @@ describe('truncateScannedCode', () => {
   });
 });
 
+describe('addScanToSession', () => {
+  const inventory = [
+    { id: 'CA1001', name: 'Camera' },
+    { id: 'LE1002', name: 'Lens' },
+  ];
+  const item = (id) => ({ type: 'item', entity: inventory.find((i) => i.id === id) });
+
+  it('appends new items in scan order and reports repeats', () => {
+    const first = addScanToSession([], item('LE1002'), inventory);
+    expect(first.ids).toEqual(['LE1002']);
+    expect(first.added.map((i) => i.id)).toEqual(['LE1002']);
+
+    const again = addScanToSession(first.ids, item('LE1002'), inventory);
+    expect(again.ids).toEqual(['LE1002']);
+    expect(again.added).toEqual([]);
+    expect(again.duplicates.map((i) => i.id)).toEqual(['LE1002']);
+  });
+
+  it('expands a package into its items, skipping listed and unknown members', () => {
+    const pkg = { type: 'package', entity: { id: 'pkg-1', items: ['CA1001', 'LE1002', 'GONE'] } };
+    const result = addScanToSession(['LE1002'], pkg, inventory);
+    expect(result.ids).toEqual(['LE1002', 'CA1001']);
+    expect(result.duplicates.map((i) => i.id)).toEqual(['LE1002']);
+    expect(result.missing).toEqual(['GONE']);
+  });
+});
+
 describe('escapeHtml', () => {
   it('escapes all HTML-special characters', () => {
     expect(escapeHtml(`<img src=x onerror="alert('xss')">&`)).toBe(
@@ -3,12 +3,16 @@
 // Covers the camera-free paths: manual code entry (IDs, serials, pasted deep
 // links), the found-item card with status-aware quick actions, and lookup
 // errors. Camera behavior lives in hooks/useQRScanner and is not started here.
+// Scan sessions are driven through manual entry, which takes the same path.
 // =============================================================================
 
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { QRScannerModal } from '../modals/QRScannerModal.jsx';
 import { buildItemQRData } from '../lib/qrData.js';
+import { scanFeedback } from '../lib/scanFeedback.js';
+
+vi.mock('../lib/scanFeedback.js', () => ({ scanFeedback: vi.fn() }));
 
 const inventory = [
   {
@@ -58,7 +62,7 @@ const lookup = (code) => {
   fireEvent.change(screen.getByLabelText(/enter code manually/i), {
     target: { value: code },
   });
-  fireEvent.click(screen.getByRole('button', { name: 'Lookup' }));
+  fireEvent.click(screen.getByRole('button', { name: /^(Lookup|Add)$/ }));
 };
 
 describe('QRScannerModal manual lookup', () => {
@@ -180,3 +184,76 @@ describe('QRScannerModal package labels', () => {
     expect(error.textContent.length).toBeLessThan(90);
   });
 });
+
+describe('QRScannerModal scan session', () => {
+  const startSession = (overrides) => {
+    const props = renderModal({
+      onSessionCheckout: vi.fn(),
+      onSessionCheckin: vi.fn(),
+      ...overrides,
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Scan session' }));
+    return props;
+  };
+  const scannedNames = () =>
+    Array.from(screen.getByRole('list', { name: 'Scanned items' }).children).map(
+      (li) => li.firstChild.textContent,
+    );
+
+  it('only offers the session toggle when the list can be handed off', () => {
+    renderModal();
+    expect(screen.queryByRole('button', { name: 'Scan session' })).not.toBeInTheDocument();
+  });
+
+  it('keeps scanning and accumulates items instead of showing a found card', () => {
+    startSession();
+    lookup('CA1001');
+    lookup('sn-777');
+    lookup('LE1002');
+    expect(scannedNames()).toEqual(['Cinema Camera', 'Prime Lens']);
+    expect(screen.queryByRole('button', { name: 'View Full Details' })).not.toBeInTheDocument();
+    expect(screen.getByText('2 items scanned')).toBeInTheDocument();
+    expect(scanFeedback.mock.calls.map(([kind]) => kind)).toEqual(['added', 'duplicate', 'added']);
+  });
+
+  it('reports duplicates and unknown codes', () => {
+    startSession();
+    lookup('CA1001');
+    lookup('CA1001');
+    expect(screen.getByRole('status')).toHaveTextContent('Cinema Camera is already in the list');
+    lookup('NOPE99');
+    expect(screen.getByRole('status')).toHaveTextContent('No item found for code "NOPE99"');
+    expect(scanFeedback).toHaveBeenLastCalledWith('error');
+  });
+
+  it('expands a package label into its items', () => {
+    startSession();
+    lookup('pkg-interview');
+    expect(scannedNames()).toEqual(['Cinema Camera', 'Prime Lens']);
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Interview Kit - 2 Person: 2 items added, 1 not in inventory',
+    );
+  });
+
+  it('hands available items to checkout and checked-out items to check-in', () => {
+    const { onSessionCheckout, onSessionCheckin } = startSession();
+    lookup('pkg-interview');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Check Out 1' }));
+    expect(onSessionCheckout).toHaveBeenCalledWith([expect.objectContaining({ id: 'CA1001' })]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Check In 1' }));
+    expect(onSessionCheckin).toHaveBeenCalledWith([expect.objectContaining({ id: 'LE1002' })]);
+  });
+
+  it('removes a single row or clears the list', () => {
+    startSession();
+    lookup('pkg-interview');
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Cinema Camera' }));
+    expect(scannedNames()).toEqual(['Prime Lens']);
+    expect(screen.getByRole('button', { name: 'Check Out 0' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(scannedNames()).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+// =============================================================================
+// QuoteModal + PricingSettingsModal
+// - the preview totals follow the discount/tax inputs
+// - unpriced items are called out, not silently quoted at $0
+// - pricing settings are validated before saving and a failed save keeps
+//   the modal open
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { QuoteModal } from '../modals/QuoteModal.jsx';
+import { PricingSettingsModal } from '../modals/PricingSettingsModal.jsx';
+
+const reservation = {
+  id: 'r1',
+  project: 'Night Shoot',
+  start: '2026-10-19',
+  end: '2026-10-21',
+};
+
+describe('QuoteModal', () => {
+  it('prices the booking and applies discount then tax in the preview', () => {
+    render(
+      <QuoteModal
+        reservation={reservation}
+        items={[
+          { id: 'CAM1', name: 'FX6', dayRate: 100 },
+          { id: 'CAB1', name: 'SDI cable' },
+        ]}
+        settings={{ daysPerWeek: 7, taxRate: 10, quoteTerms: 'Net 30' }}
+        onClose={vi.fn()}
+      />,
+    );
+
+    expect(screen.getByText('Rental Quote')).toBeInTheDocument();
+    expect(screen.getByText('3 rental days')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('No rate set for SDI cable');
+    expect(screen.getByText('Net 30')).toBeInTheDocument();
+    expect(screen.getByText('Tax (10%)')).toBeInTheDocument();
+    expect(screen.getAllByText('$330.00').length).toBeGreaterThan(0);
+
+    fireEvent.change(screen.getByLabelText('Discount percent'), { target: { value: '50' } });
+    expect(screen.getByText('Discount (50%)')).toBeInTheDocument();
+    expect(screen.getByText('$165.00')).toBeInTheDocument();
+  });
+});
+
+describe('PricingSettingsModal', () => {
+  const settings = { daysPerWeek: 7, taxRate: 0, quoteTerms: '' };
+
+  it('blocks out-of-range billable days', () => {
+    const onSave = vi.fn();
+    render(<PricingSettingsModal settings={settings} onSave={onSave} onClose={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Billable Days per Week'), { target: { value: '8' } });
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Billable days must be above 0 and at most 7',
+    );
+    expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+  });
+
+  it('saves parsed values and closes', async () => {
+    const onSave = vi.fn().mockResolvedValue();
+    const onClose = vi.fn();
+    render(<PricingSettingsModal settings={settings} onSave={onSave} onClose={onClose} />);
+
+    fireEvent.change(screen.getByLabelText('Billable Days per Week'), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText('Default Tax (%)'), { target: { value: '8.25' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onSave).toHaveBeenCalledWith({
+      daysPerWeek: 3,
+      taxRate: 8.25,
+      quoteTerms: null,
+      invoiceDueDays: 30,
+      lateFeePercent: 100,
+      agreementTerms: null,
+      requireAgreement: false,
+    });
+  });
+
+  it('stays open and reports a failed save', async () => {
+    const onSave = vi.fn().mockRejectedValue(new Error('permission denied'));
+    const onClose = vi.fn();
+    render(<PricingSettingsModal settings={settings} onSave={onSave} onClose={onClose} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not save: permission denied');
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
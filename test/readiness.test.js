@@ -0,0 +1,195 @@
+// =============================================================================
+// Pre-checkout readiness checks (lib/readiness) — which problems each
+// category warns about or blocks on, and which blocks an override covers
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  READINESS_LEVELS,
+  READINESS_RULES,
+  DEFAULT_READINESS_RULES,
+  readinessRulesFor,
+  evaluateReadiness,
+  blockingIssuesFor,
+} from '../lib/readiness.js';
+
+const TODAY = '2026-10-19';
+
+const camera = { id: 'CAM1', name: 'Alpha Cam', category: 'Cameras', condition: 'good' };
+const battery = {
+  id: 'BAT1',
+  name: 'Battery',
+  category: 'Power',
+  status: 'available',
+  condition: 'good',
+};
+
+const rules = (overrides) => ({ Cameras: { readinessRules: overrides } });
+
+function evaluate(options) {
+  return evaluateReadiness({ today: TODAY, borrower: { name: 'Jordan' }, ...options });
+}
+
+describe('readinessRulesFor', () => {
+  it('warns on every check by default', () => {
+    expect(readinessRulesFor({}, 'Cameras')).toEqual(DEFAULT_READINESS_RULES);
+    expect(Object.values(DEFAULT_READINESS_RULES)).toEqual(Array(5).fill(READINESS_LEVELS.WARN));
+  });
+
+  it('keeps saved levels and reads unknown ones as warn', () => {
+    const levels = readinessRulesFor(
+      rules({ damage: 'block', condition: 'off', maintenance: 'x' }),
+      'Cameras',
+    );
+    expect(levels.damage).toBe('block');
+    expect(levels.condition).toBe('off');
+    expect(levels.maintenance).toBe('warn');
+  });
+});
+
+describe('evaluateReadiness', () => {
+  it('passes a clean checkout', () => {
+    expect(evaluate({ items: [camera], inventory: [camera] })).toEqual({
+      issues: [],
+      blocked: false,
+    });
+  });
+
+  it('flags due reminders, work in progress and scheduled work that has passed', () => {
+    const item = {
+      ...camera,
+      reminders: [
+        { title: 'Sensor clean', dueDate: '2020-01-01' },
+        { title: 'Done', dueDate: '2020-01-01', completed: true },
+      ],
+      maintenanceHistory: [
+        { type: 'Repair', status: 'in-progress' },
+        { type: 'Calibration', status: 'scheduled', scheduledDate: '2026-10-01' },
+        { type: 'Service', status: 'scheduled', scheduledDate: '2026-12-01' },
+      ],
+    };
+    const { issues } = evaluate({ items: [item] });
+    expect(issues.map((i) => i.message)).toEqual([
+      expect.stringMatching(/^Sensor clean was due /),
+      'Repair in progress',
+      expect.stringMatching(/^Calibration was scheduled for /),
+    ]);
+    expect(issues.every((i) => i.rule === READINESS_RULES.MAINTENANCE)).toBe(true);
+  });
+
+  it('blocks on an open damage report when the category says so', () => {
+    const result = evaluate({
+      items: [camera],
+      categorySettings: rules({ damage: 'block' }),
+      damageReports: { CAM1: { reportedAt: '2026-10-10T15:00:00Z', description: 'Cracked mount' } },
+    });
+    expect(result.blocked).toBe(true);
+    expect(result.issues[0]).toMatchObject({
+      rule: 'damage',
+      level: 'block',
+      itemId: 'CAM1',
+      itemName: 'Alpha Cam',
+    });
+    expect(result.issues[0].message).toMatch(/^Damage reported on .*: Cracked mount$/);
+  });
+
+  it('skips checks a category has turned off', () => {
+    const result = evaluate({
+      items: [{ ...camera, condition: 'poor' }],
+      categorySettings: rules({ condition: 'off' }),
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  it('flags required accessories left out of the checkout', () => {
+    const item = { ...camera, requiredAccessories: ['BAT1', 'GONE'] };
+    expect(evaluate({ items: [item], inventory: [item, battery] }).issues).toEqual([
+      expect.objectContaining({
+        rule: 'accessories',
+        message: 'Required accessory not included: Battery',
+      }),
+    ]);
+    // Packed in the same checkout
+    expect(evaluate({ items: [item, battery], inventory: [item, battery] }).issues).toEqual([]);
+    // Already with the borrower
+    const withJordan = { ...battery, status: 'checked-out', checkedOutTo: ' jordan ' };
+    expect(evaluate({ items: [item], inventory: [item, withJordan] }).issues).toEqual([]);
+  });
+
+  it('reports the borrower’s overdue gear once, at the strictest level', () => {
+    const overdue = ['A', 'B', 'C', 'D'].map((id) => ({
+      id,
+      name: `Item ${id}`,
+      status: 'checked-out',
+      checkedOutTo: 'Jordan',
+      dueBack: '2026-10-01',
+    }));
+    const notYetDue = { ...overdue[0], id: 'E', dueBack: '2026-11-01' };
+    const result = evaluate({
+      items: [camera, battery],
+      inventory: [camera, battery, ...overdue, notYetDue],
+      categorySettings: rules({ borrowerOverdue: 'block' }),
+    });
+    expect(result.issues).toEqual([
+      {
+        rule: 'borrowerOverdue',
+        level: 'block',
+        itemId: null,
+        itemName: null,
+        message: 'Jordan has 4 overdue items: Item A, Item B, Item C and 1 more',
+      },
+    ]);
+    expect(result.blocked).toBe(true);
+  });
+
+  it('matches the borrower by user id as well as name', () => {
+    const overdue = {
+      id: 'A',
+      name: 'Item A',
+      status: 'checked-out',
+      checkedOutTo: 'J. Smith',
+      checkedOutToUserId: 'u7',
+      dueBack: '2026-10-01',
+    };
+    const { issues } = evaluateReadiness({
+      items: [camera],
+      inventory: [overdue],
+      borrower: { name: 'Jordan Smith', userId: 'u7' },
+      today: TODAY,
+    });
+    expect(issues[0].message).toBe('Jordan Smith has 1 overdue item: Item A');
+  });
+
+  it('matches the borrower account even under another name', () => {
+    const overdue = {
+      id: 'A',
+      name: 'Item A',
+      status: 'checked-out',
+      checkedOutTo: 'JL',
+      checkedOutToBorrowerId: 'b1',
+      dueBack: '2026-10-01',
+    };
+    const { issues } = evaluateReadiness({
+      items: [camera],
+      inventory: [overdue],
+      borrower: { name: 'Jordan Lee', id: 'b1' },
+      today: TODAY,
+    });
+    expect(issues[0].message).toBe('Jordan Lee has 1 overdue item: Item A');
+  });
+});
+
+describe('blockingIssuesFor', () => {
+  it('returns the item’s own blocks plus the borrower check', () => {
+    const issues = [
+      { rule: 'damage', level: 'block', itemId: 'CAM1' },
+      { rule: 'condition', level: 'warn', itemId: 'CAM1' },
+      { rule: 'damage', level: 'block', itemId: 'BAT1' },
+      { rule: 'borrowerOverdue', level: 'block', itemId: null },
+    ];
+    expect(blockingIssuesFor(issues, 'CAM1').map((i) => i.rule)).toEqual([
+      'damage',
+      'borrowerOverdue',
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+// =============================================================================
+// realtimeService — channel wiring and payload shape
+// - one channel listens on every shared table
+// - inventory and reservation rows arrive in app shape, trimmed to the list
+//   columns; DELETE payloads carry only the old id
+// - the returned unsubscribe removes the channel
+// =============================================================================
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getSupabase } from '../lib/supabase.js';
+
+vi.mock('../lib/supabase.js', () => ({
+  isDemoMode: false,
+  getSupabase: vi.fn(),
+  supabase: null,
+}));
+
+const { realtimeService } = await import('../lib/services.js');
+
+function makeRealtimeClient() {
+  const handlers = {};
+  const channel = {
+    on: vi.fn((type, filter, cb) => {
+      handlers[filter.table] = cb;
+      return channel;
+    }),
+    subscribe: vi.fn(() => channel),
+  };
+  const client = {
+    channel: vi.fn(() => channel),
+    removeChannel: vi.fn(),
+  };
+  return { client, channel, handlers };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('realtimeService.subscribe', () => {
+  it('listens on every shared table and reports channel status', async () => {
+    const { client, channel } = makeRealtimeClient();
+    getSupabase.mockResolvedValue(client);
+    const onStatus = vi.fn();
+
+    await realtimeService.subscribe({ onChange: vi.fn(), onStatus });
+
+    const tables = channel.on.mock.calls.map(([type, filter]) => [type, filter.table]);
+    expect(tables).toEqual(realtimeService.TABLES.map((t) => ['postgres_changes', t]));
+    channel.subscribe.mock.calls[0][0]('SUBSCRIBED');
+    expect(onStatus).toHaveBeenCalledWith('SUBSCRIBED', undefined);
+  });
+
+  it('hands over inventory and reservation rows in app shape', async () => {
+    const { client, handlers } = makeRealtimeClient();
+    getSupabase.mockResolvedValue(client);
+    const onChange = vi.fn();
+    await realtimeService.subscribe({ onChange });
+
+    handlers.inventory({
+      table: 'inventory',
+      eventType: 'UPDATE',
+      new: {
+        id: 'CAM001',
+        name: 'FX6',
+        status: 'checked-out',
+        checked_out_to_name: 'Sam',
+        notes: [],
+      },
+      old: { id: 'CAM001' },
+    });
+    const [inventoryChange] = onChange.mock.calls[0];
+    expect(inventoryChange).toMatchObject({
+      table: 'inventory',
+      eventType: 'UPDATE',
+      record: { id: 'CAM001', status: 'checked-out', checkedOutTo: 'Sam' },
+      oldId: 'CAM001',
+    });
+    // Not a list column, so a patch leaves the loaded notes alone
+    expect(inventoryChange.record).not.toHaveProperty('notes');
+
+    handlers.reservations({
+      table: 'reservations',
+      eventType: 'INSERT',
+      new: { id: 'res-1', item_id: 'CAM001', start_date: '2026-10-20', end_date: '2026-10-21' },
+      old: {},
+    });
+    expect(onChange.mock.calls[1][0]).toMatchObject({
+      record: { id: 'res-1', itemId: 'CAM001', start: '2026-10-20', end: '2026-10-21' },
+      oldId: null,
+    });
+  });
+
+  it('passes a delete through as the old id and unsubscribes cleanly', async () => {
+    const { client, channel, handlers } = makeRealtimeClient();
+    getSupabase.mockResolvedValue(client);
+    const onChange = vi.fn();
+    const unsubscribe = await realtimeService.subscribe({ onChange });
+
+    handlers.package_items({
+      table: 'package_items',
+      eventType: 'DELETE',
+      new: {},
+      old: { id: 4 },
+    });
+    expect(onChange).toHaveBeenCalledWith({
+      table: 'package_items',
+      eventType: 'DELETE',
+      record: null,
+      oldId: 4,
+    });
+
+    unsubscribe();
+    expect(client.removeChannel).toHaveBeenCalledWith(channel);
+  });
+});
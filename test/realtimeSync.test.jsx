@@ -0,0 +1,273 @@
+// =============================================================================
+// Realtime sync — DataContext applies postgres_changes from other sessions
+// - inventory rows upsert/patch in place (local reservations survive) and
+//   deletes drop the item; our own create echoing back doesn't duplicate
+// - reservation inserts/edits land on their item and re-derive its status;
+//   cancellations and deletes leave like a pruned row
+// - package changes refetch the collection once per burst; pack lists only
+//   once they've been loaded
+// - a (re)subscribe catches up with one incremental refresh, and polling
+//   stands down only while the channel is up
+// =============================================================================
+
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, waitFor, act } from '@testing-library/react';
+import { DataProvider } from '../contexts/DataContext.jsx';
+import { useData } from '../contexts/DataContext.js';
+import { getTodayISO } from '../utils';
+
+const { channel } = vi.hoisted(() => ({ channel: { onChange: null, onStatus: null } }));
+
+vi.mock('../lib/supabase.js', () => ({
+  isDemoMode: false,
+  getSupabase: vi.fn(),
+  supabase: null,
+}));
+
+vi.mock('../lib/services.js', () => ({
+  freshnessService: {
+    check: vi.fn(() => Promise.resolve({ server_time: '2026-10-19T12:00:00.000Z' })),
+  },
+  realtimeService: {
+    subscribe: vi.fn(({ onChange, onStatus }) => {
+      channel.onChange = onChange;
+      channel.onStatus = onStatus;
+      return Promise.resolve(() => {});
+    }),
+  },
+  inventoryService: {
+    getAll: vi.fn(() =>
+      Promise.resolve([
+        { id: 'CAM001', name: 'Camera', status: 'available', category_name: 'Cameras' },
+        { id: 'LENS001', name: 'Lens', status: 'available', category_name: 'Lenses' },
+      ]),
+    ),
+    getSince: vi.fn(() => Promise.resolve([])),
+    getIds: vi.fn(() => Promise.resolve(new Set(['CAM001', 'LENS001']))),
+  },
+  reservationsService: {
+    getAll: vi.fn(() =>
+      Promise.resolve([
+        {
+          id: 'res-1',
+          itemId: 'CAM001',
+          project: 'Old',
+          start: '2026-01-01',
+          end: '2026-01-02',
+          status: 'confirmed',
+        },
+      ]),
+    ),
+    getSince: vi.fn(() => Promise.resolve([])),
+    getIds: vi.fn(() => Promise.resolve(new Set(['res-1']))),
+  },
+  packagesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  packListsService: { getAll: vi.fn(() => Promise.resolve([])) },
+  pricingService: { get: vi.fn(() => Promise.resolve(null)) },
+  equivalenceGroupsService: { getAll: vi.fn(() => Promise.resolve([])) },
+  usersService: { getAll: vi.fn(() => Promise.resolve([])) },
+  rolesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  locationsService: { getAll: vi.fn(() => Promise.resolve([])) },
+  categoriesService: { getAll: vi.fn(() => Promise.resolve([])) },
+  specsService: { getAll: vi.fn(() => Promise.resolve({})) },
+  itemRemindersService: { getAllActive: vi.fn(() => Promise.resolve([])) },
+  maintenanceService: { getAllPending: vi.fn(() => Promise.resolve([])) },
+}));
+
+const services = await import('../lib/services.js');
+
+function Consumer({ onContext }) {
+  const context = useData();
+  React.useEffect(() => {
+    onContext(context);
+  }, [context, onContext]);
+  return null;
+}
+
+async function setup() {
+  let ctx;
+  render(
+    <DataProvider>
+      <Consumer
+        onContext={(c) => {
+          ctx = c;
+        }}
+      />
+    </DataProvider>,
+  );
+  // Tier 2 merged (reservations on the camera) and the channel opened
+  await waitFor(() => {
+    expect(ctx?.inventory.find((i) => i.id === 'CAM001')?.reservations).toHaveLength(1);
+    expect(channel.onChange).toBeTypeOf('function');
+  });
+  return () => ctx;
+}
+
+const emit = (change) =>
+  act(() => {
+    channel.onChange({ record: null, oldId: null, ...change });
+  });
+
+const item = (ctx, id) => ctx().inventory.find((i) => i.id === id);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  channel.onChange = null;
+  channel.onStatus = null;
+});
+
+describe('inventory changes', () => {
+  it('patches a changed item and keeps its merged reservations', async () => {
+    const ctx = await setup();
+
+    await emit({
+      table: 'inventory',
+      eventType: 'UPDATE',
+      record: { id: 'CAM001', name: 'Camera', status: 'checked-out', checkedOutTo: 'Sam' },
+    });
+
+    expect(item(ctx, 'CAM001')).toMatchObject({ status: 'checked-out', checkedOutTo: 'Sam' });
+    expect(item(ctx, 'CAM001').reservations).toHaveLength(1);
+  });
+
+  it('adds an inserted item once and drops a deleted one', async () => {
+    const ctx = await setup();
+    const fresh = { id: 'MIC001', name: 'Mic', status: 'available' };
+
+    await emit({ table: 'inventory', eventType: 'INSERT', record: fresh });
+    await emit({ table: 'inventory', eventType: 'INSERT', record: fresh });
+    expect(ctx().inventory.filter((i) => i.id === 'MIC001')).toHaveLength(1);
+
+    await emit({ table: 'inventory', eventType: 'DELETE', oldId: 'LENS001' });
+    expect(item(ctx, 'LENS001')).toBeUndefined();
+  });
+});
+
+describe('reservation changes', () => {
+  it('adds a new reservation to its item and re-derives the status', async () => {
+    const ctx = await setup();
+    const today = getTodayISO();
+
+    await emit({
+      table: 'reservations',
+      eventType: 'INSERT',
+      record: {
+        id: 'res-2',
+        itemId: 'LENS001',
+        project: 'Today',
+        start: today,
+        end: today,
+        status: 'confirmed',
+      },
+    });
+
+    expect(item(ctx, 'LENS001').reservations.map((r) => r.id)).toEqual(['res-2']);
+    expect(item(ctx, 'LENS001').status).toBe('reserved');
+  });
+
+  it('moves an edited reservation between items', async () => {
+    const ctx = await setup();
+
+    await emit({
+      table: 'reservations',
+      eventType: 'UPDATE',
+      record: {
+        id: 'res-1',
+        itemId: 'LENS001',
+        project: 'Renamed',
+        start: '2026-01-01',
+        end: '2026-01-02',
+        status: 'confirmed',
+      },
+    });
+
+    expect(item(ctx, 'CAM001').reservations).toEqual([]);
+    expect(item(ctx, 'LENS001').reservations[0].project).toBe('Renamed');
+  });
+
+  it('drops cancelled and deleted reservations', async () => {
+    const ctx = await setup();
+
+    await emit({
+      table: 'reservations',
+      eventType: 'UPDATE',
+      record: { id: 'res-1', itemId: 'CAM001', status: 'cancelled' },
+    });
+    expect(item(ctx, 'CAM001').reservations).toEqual([]);
+
+    await emit({
+      table: 'reservations',
+      eventType: 'INSERT',
+      record: { id: 'res-3', itemId: 'CAM001', start: '2026-01-05', end: '2026-01-06' },
+    });
+    await emit({ table: 'reservations', eventType: 'DELETE', oldId: 'res-3' });
+    expect(item(ctx, 'CAM001').reservations).toEqual([]);
+  });
+});
+
+describe('collection changes', () => {
+  it('refetches packages once for a burst of package_items changes', async () => {
+    await setup();
+    services.packagesService.getAll.mockClear();
+
+    await emit({ table: 'packages', eventType: 'UPDATE', record: { id: 'PKG-001' } });
+    await emit({ table: 'package_items', eventType: 'DELETE', oldId: 1 });
+    await emit({ table: 'package_items', eventType: 'INSERT', record: { id: 2 } });
+
+    await waitFor(() => expect(services.packagesService.getAll).toHaveBeenCalledTimes(1));
+  });
+
+  it('leaves pack lists alone until they have been loaded', async () => {
+    const ctx = await setup();
+
+    await emit({ table: 'pack_lists', eventType: 'UPDATE', record: { id: 'PL-1' } });
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(services.packListsService.getAll).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await ctx().ensurePackLists();
+    });
+    services.packListsService.getAll.mockClear();
+    await emit({ table: 'pack_list_items', eventType: 'UPDATE', record: { id: 7 } });
+    await waitFor(() => expect(services.packListsService.getAll).toHaveBeenCalledTimes(1));
+  });
+});
+
+describe('channel status', () => {
+  it('catches up on subscribe and reports the connection', async () => {
+    const ctx = await setup();
+    services.freshnessService.check.mockClear();
+
+    await act(async () => {
+      channel.onStatus('SUBSCRIBED');
+    });
+    expect(ctx().realtimeConnected).toBe(true);
+    await waitFor(() => expect(services.freshnessService.check).toHaveBeenCalledTimes(1));
+
+    await act(async () => {
+      channel.onStatus('CHANNEL_ERROR', new Error('socket closed'));
+    });
+    expect(ctx().realtimeConnected).toBe(false);
+  });
+
+  it('polls only while the channel is down', async () => {
+    const setIntervalSpy = vi.spyOn(globalThis, 'setInterval');
+    const pollCount = () =>
+      setIntervalSpy.mock.calls.filter(([, ms]) => ms === 5 * 60 * 1000).length;
+    await setup();
+    expect(pollCount()).toBe(1);
+
+    await act(async () => {
+      channel.onStatus('SUBSCRIBED');
+    });
+    const afterConnect = pollCount();
+    await act(async () => {
+      channel.onStatus('TIMED_OUT');
+    });
+    // Reconnecting to polling re-arms the interval; being connected did not
+    expect(afterConnect).toBe(1);
+    expect(pollCount()).toBe(2);
+    setIntervalSpy.mockRestore();
+  });
+});
@@ -0,0 +1,107 @@
+// =============================================================================
+// Recurring reservation helpers
+// A repeat rule expands into dates that keep the first booking's length;
+// monthly repeats fall back to the month's last day. A series' occurrences
+// are read back from inventory, checked per date, and shifted together.
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  recurrenceOccurrences,
+  seriesOccurrences,
+  occurrenceConflicts,
+  shiftSeriesOccurrences,
+} from '../utils';
+import { RECURRENCE_MAX_OCCURRENCES } from '../constants.js';
+
+describe('recurrenceOccurrences', () => {
+  it('returns just the booking when there is no rule', () => {
+    expect(recurrenceOccurrences('2026-11-02', '2026-11-03', null)).toEqual([
+      { start: '2026-11-02', end: '2026-11-03' },
+    ]);
+  });
+
+  it('repeats weekly a set number of times, keeping the length', () => {
+    expect(
+      recurrenceOccurrences('2026-11-02', '2026-11-03', { frequency: 'weekly', count: 3 }),
+    ).toEqual([
+      { start: '2026-11-02', end: '2026-11-03' },
+      { start: '2026-11-09', end: '2026-11-10' },
+      { start: '2026-11-16', end: '2026-11-17' },
+    ]);
+  });
+
+  it('repeats every two weeks up to and including the until date', () => {
+    const dates = recurrenceOccurrences('2026-11-02', '2026-11-02', {
+      frequency: 'biweekly',
+      until: '2026-11-30',
+    });
+    expect(dates.map((d) => d.start)).toEqual(['2026-11-02', '2026-11-16', '2026-11-30']);
+  });
+
+  it('keeps the day of the month, or the last day when a month is shorter', () => {
+    const dates = recurrenceOccurrences('2027-01-31', '2027-02-01', {
+      frequency: 'monthly',
+      count: 3,
+    });
+    expect(dates).toEqual([
+      { start: '2027-01-31', end: '2027-02-01' },
+      { start: '2027-02-28', end: '2027-03-01' },
+      { start: '2027-03-31', end: '2027-04-01' },
+    ]);
+  });
+
+  it('never books more than the cap', () => {
+    const dates = recurrenceOccurrences('2026-11-02', '2026-11-02', {
+      frequency: 'weekly',
+      until: '2030-01-01',
+    });
+    expect(dates).toHaveLength(RECURRENCE_MAX_OCCURRENCES);
+  });
+});
+
+describe('series occurrences', () => {
+  const row = (id, groupId, start, extra = {}) => ({
+    id,
+    groupId,
+    seriesId: 's1',
+    start,
+    end: start,
+    ...extra,
+  });
+  const inventory = [
+    {
+      id: 'CAM1',
+      name: 'Alpha Cam',
+      reservations: [
+        row('a2', 'g2', '2026-11-09'),
+        row('a1', 'g1', '2026-11-02'),
+        { id: 'x', groupId: 'gx', start: '2026-11-10', end: '2026-11-10' },
+      ],
+    },
+    { id: 'CAM2', name: 'Beta Cam', reservations: [row('b1', 'g1', '2026-11-02')] },
+  ];
+
+  it('groups a series by date with each item row', () => {
+    const occurrences = seriesOccurrences(inventory, 's1');
+    expect(occurrences.map((o) => [o.groupId, o.start, o.rowIdByItem])).toEqual([
+      ['g1', '2026-11-02', { CAM1: 'a1', CAM2: 'b1' }],
+      ['g2', '2026-11-09', { CAM1: 'a2' }],
+    ]);
+  });
+
+  it('reports the items booked on each date, ignoring the date’s own rows', () => {
+    const occurrences = shiftSeriesOccurrences(
+      { start: '2026-11-02', end: '2026-11-02' },
+      { start: '2026-11-03', end: '2026-11-03' },
+      seriesOccurrences(inventory, 's1'),
+    );
+    expect(occurrences.map((o) => o.start)).toEqual(['2026-11-03', '2026-11-10']);
+
+    const checked = occurrenceConflicts(inventory, occurrences);
+    // g1's own rows on the 2nd don't count against its move to the 3rd
+    expect(checked[0].conflicted).toEqual([]);
+    // g2 moves onto the unrelated booking on the 10th
+    expect(checked[1].conflicted.map((i) => i.id)).toEqual(['CAM1']);
+  });
+});
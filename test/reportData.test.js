@@ -5,6 +5,7 @@
 // - maintenance cost stats: completed non-warranty only, warranty = savings
 // - time bucketing is clock-injectable and window-bounded
 // - the client CSV no longer carries the phantom Total Value column
+// - receivables aging buckets only what is actually owed on sent invoices
 // =============================================================================
 
 import { describe, it, expect } from 'vitest';
@@ -24,8 +25,12 @@ import {
   dayOfWeekCounts,
   csvForClients,
   csvForMaintenance,
+  computeReceivablesAging,
+  csvForReceivables,
+  csvForUtilization,
   csvDate,
 } from '../lib/reportData.js';
+import { computeUtilization } from '../lib/utilization.js';
 
 // 2026-08-10 is a Monday; fixed clock for every time-based assertion
 const NOW = new Date(2026, 7, 14); // Fri Aug 14 2026, local
@@ -355,7 +360,7 @@ describe('valueDistribution', () => {
 // =============================================================================
 
 describe('computeActivityStats', () => {
-  it('computes utilization, frequency buckets, and overdue flags', () => {
+  it('computes checkout totals, frequency buckets, and overdue flags', () => {
     const stats = computeActivityStats(
       [
         { id: 'A', name: 'Cam', checkoutCount: 3, status: 'available' },
@@ -372,7 +377,6 @@ describe('computeActivityStats', () => {
       TODAY_ISO,
     );
     expect(stats.totalCheckouts).toBe(63);
-    expect(stats.utilizationRate).toBe(67);
     expect(stats.neverCheckedOut).toBe(1);
     expect(stats.frequencyBuckets['1-5']).toBe(1);
     expect(stats.frequencyBuckets['50+']).toBe(1);
@@ -472,6 +476,31 @@ describe('CSV builders', () => {
     expect(rows[0][7]).toBe('No');
   });
 
+  it('utilization CSV lists the busiest items first and flags sell candidates', () => {
+    const utilization = computeUtilization({
+      inventory: [
+        { id: 'IDLE', name: 'Idle Light', purchaseDate: '2026-01-01', purchasePrice: 400 },
+        { id: 'CAM', name: 'Cam', purchaseDate: '2026-01-01', purchasePrice: 1000 },
+      ],
+      events: [
+        { itemId: 'CAM', action: 'checkout', timestamp: '2026-08-01T12:00:00' },
+        { itemId: 'CAM', action: 'checkin', timestamp: '2026-08-10T12:00:00' },
+      ],
+      window: { start: '2026-05-17', end: TODAY_ISO },
+      revenueByItem: { CAM: { revenue: 1500 } },
+    });
+    const { headers, rows, filename } = csvForUtilization(utilization, NOW);
+    expect(headers).toContain('ROI %');
+    expect(rows.map((r) => r[0])).toEqual(['CAM', 'IDLE']);
+    // 10 of 90 days out, $500 earned over its price
+    expect(rows[0].slice(3, 7)).toEqual([90, 10, 0, 11]);
+    expect(rows[0][13]).toBe(50);
+    expect(rows[0][14]).toBe('');
+    expect(rows[1][12]).toBe(0);
+    expect(rows[1][14]).toBe('Yes');
+    expect(filename).toBe('utilization-report-2026-08-14.csv');
+  });
+
   it('csvDate stamps the LOCAL calendar date', () => {
     // Local-midnight fixture: toISOString() would shift this to the previous
     // day east of UTC (and a UTC fixture shifts west) — csvDate must not
@@ -479,3 +508,93 @@ describe('CSV builders', () => {
     expect(csvDate(new Date(2026, 7, 14, 23, 59))).toBe('2026-08-14');
   });
 });
+
+// =============================================================================
+// Receivables aging
+// =============================================================================
+
+describe('computeReceivablesAging', () => {
+  const invoices = [
+    {
+      id: 'INV1',
+      clientId: 'c1',
+      clientName: 'Acme',
+      status: 'sent',
+      total: 500,
+      amountPaid: 100,
+      dueDate: '2026-08-20',
+    },
+    {
+      id: 'INV2',
+      clientId: 'c1',
+      clientName: 'Acme',
+      status: 'sent',
+      total: 200,
+      amountPaid: 0,
+      dueDate: '2026-06-01',
+    },
+    {
+      id: 'INV3',
+      clientId: 'c2',
+      clientName: 'Bolt',
+      status: 'sent',
+      total: 1000,
+      amountPaid: 0,
+      dueDate: '2026-07-20',
+    },
+    // Not owed: draft, void, settled
+    {
+      id: 'INV4',
+      clientId: 'c2',
+      clientName: 'Bolt',
+      status: 'draft',
+      total: 50,
+      amountPaid: 0,
+      dueDate: '2026-01-01',
+    },
+    {
+      id: 'INV5',
+      clientId: 'c2',
+      clientName: 'Bolt',
+      status: 'void',
+      total: 60,
+      amountPaid: 0,
+      dueDate: '2026-01-01',
+    },
+    {
+      id: 'INV6',
+      clientId: 'c1',
+      clientName: 'Acme',
+      status: 'paid',
+      total: 70,
+      amountPaid: 70,
+      dueDate: '2026-01-01',
+    },
+  ];
+
+  it('buckets open balances by days past due and ranks clients by total', () => {
+    const aging = computeReceivablesAging(invoices, '2026-08-10');
+
+    expect(aging.invoices.map((i) => [i.id, i.daysPastDue, i.bucket])).toEqual([
+      ['INV2', 70, 'days61to90'],
+      ['INV3', 21, 'days1to30'],
+      ['INV1', 0, 'current'],
+    ]);
+    expect(aging.clients.map((c) => [c.clientName, c.total, c.invoiceCount])).toEqual([
+      ['Bolt', 1000, 1],
+      ['Acme', 600, 2],
+    ]);
+    expect(aging.clients[1]).toMatchObject({ current: 400, days61to90: 200 });
+    expect(aging.totals).toMatchObject({ current: 400, days1to30: 1000, total: 1600 });
+    expect(aging.overdue).toBe(1200);
+  });
+
+  it('CSV carries one row per open invoice with its aging label', () => {
+    const aging = computeReceivablesAging(invoices, '2026-08-10');
+    const { headers, rows, filename } = csvForReceivables(aging.invoices, NOW);
+    expect(headers).toContain('Balance');
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toEqual(expect.arrayContaining(['INV2', 'Acme', 200, 70, '61–90 days']));
+    expect(filename).toBe('receivables-aging-2026-08-14.csv');
+  });
+});
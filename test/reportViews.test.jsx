@@ -3,21 +3,35 @@
 // - Maintenance report demands the FULL record set (ensureMaintenance) and
 //   says so while loading; cost stats come from completed records
 // - Alerts report surfaces DERIVED low-stock/overdue items
-// - Activity report loads checkout history and re-buckets on range change
+// - Activity report loads checkout history and re-buckets on range change;
+//   utilization is days out over days owned, with sell candidates and ROI
 // - Client report counts grouped bookings, and the hub agrees with it
+// - Receivables ages only what is owed and the hub card shows the same total
+// - Held deposits show on the Alerts report and the hub's ledger card
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 
-const { dataState } = vi.hoisted(() => ({
+const { dataState, permissionsState } = vi.hoisted(() => ({
+  permissionsState: { canViewClients: true },
   dataState: {
     ensureMaintenance: vi.fn(),
     ensureCheckoutActivity: vi.fn(),
     ensureClients: vi.fn(),
+    ensureInvoices: vi.fn(),
+    ensureDeposits: vi.fn(),
+    ensureItemRevenue: vi.fn(),
     maintenanceLoaded: true,
     checkoutEvents: [],
     checkoutEventsLoaded: true,
+    invoices: [],
+    invoicesLoaded: true,
+    deposits: [],
+    depositsLoaded: true,
+    itemRevenue: {},
+    itemRevenueLoaded: true,
+    packages: [],
     categorySettings: {},
   },
 }));
@@ -25,11 +39,18 @@ const { dataState } = vi.hoisted(() => ({
 vi.mock('../contexts/DataContext.js', () => ({
   useData: () => dataState,
 }));
+vi.mock('../contexts/PermissionsContext.js', () => ({
+  usePermissions: () => ({
+    canView: (id) => id !== 'clients' || permissionsState.canViewClients,
+    canEdit: () => true,
+  }),
+}));
 
 const { MaintenanceReportPanel } = await import('../views/MaintenanceReportView.jsx');
 const { AlertsReportPanel } = await import('../views/AlertsReportView.jsx');
 const { ActivityReportPanel } = await import('../views/ActivityReportView.jsx');
 const { ClientReportPanel } = await import('../views/ClientReportView.jsx');
+const { ReceivablesReportPanel } = await import('../views/ReceivablesReportView.jsx');
 const { ReportsPanel } = await import('../views/ReportsView.jsx');
 
 const noop = () => {};
@@ -39,7 +60,15 @@ beforeEach(() => {
   dataState.maintenanceLoaded = true;
   dataState.checkoutEvents = [];
   dataState.checkoutEventsLoaded = true;
+  dataState.invoices = [];
+  dataState.invoicesLoaded = true;
+  dataState.deposits = [];
+  dataState.depositsLoaded = true;
+  dataState.itemRevenue = {};
+  dataState.itemRevenueLoaded = true;
+  dataState.packages = [];
   dataState.categorySettings = {};
+  permissionsState.canViewClients = true;
 });
 
 // =============================================================================
@@ -167,6 +196,47 @@ describe('AlertsReportPanel', () => {
     expect(screen.getAllByText('Overdue').length).toBeGreaterThan(0);
     expect(screen.getByText('Late Cam')).toBeInTheDocument();
   });
+
+  it('lists held deposits and flags the ones whose gear is all back', () => {
+    dataState.deposits = [
+      {
+        id: 'D1',
+        borrowerName: 'Jordan Lee',
+        amount: 250,
+        itemIds: ['CA1'],
+        status: 'held',
+        receivedAt: '2026-10-01T10:00:00Z',
+      },
+      {
+        id: 'D2',
+        borrowerName: 'Sam Ortiz',
+        amount: 100,
+        itemIds: ['CA2'],
+        status: 'held',
+        receivedAt: '2026-10-02T10:00:00Z',
+      },
+      { id: 'D3', borrowerName: 'Alex Kim', amount: 80, status: 'refunded' },
+    ];
+    const onViewDeposits = vi.fn();
+    render(
+      <AlertsReportPanel
+        inventory={[
+          { id: 'CA1', name: 'Cam', status: 'checked-out', checkedOutTo: 'Jordan Lee' },
+          { id: 'CA2', name: 'Lens', status: 'available' },
+        ]}
+        onViewItem={noop}
+        onViewDeposits={onViewDeposits}
+        onBack={noop}
+      />,
+    );
+    expect(dataState.ensureDeposits).toHaveBeenCalled();
+    expect(screen.getByText('$350')).toBeInTheDocument();
+    expect(screen.getByText(/1 item still out/)).toBeInTheDocument();
+    expect(screen.getByText(/Gear all back — settle the deposit/)).toBeInTheDocument();
+    expect(screen.queryByText('Alex Kim')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Ledger' }));
+    expect(onViewDeposits).toHaveBeenCalled();
+  });
 });
 
 // =============================================================================
@@ -203,6 +273,39 @@ describe('ActivityReportPanel', () => {
     expect(screen.getByText(/0 in the last 30 days/)).toBeInTheDocument();
   });
 
+  it('measures utilization in days and lists idle gear to sell, with ROI', () => {
+    const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString();
+    const owned = daysAgo(400);
+    dataState.checkoutEvents = [
+      { id: 'e1', itemId: 'CAM', action: 'checkout', timestamp: daysAgo(30) },
+      { id: 'e2', itemId: 'CAM', action: 'checkin', timestamp: daysAgo(21) },
+    ];
+    dataState.itemRevenue = { CAM: { revenue: 3000 } };
+    const inventory = [
+      { id: 'CAM', name: 'Alpha Cam', category: 'Cameras', createdAt: owned, purchasePrice: 2000 },
+      { id: 'LITE', name: 'Old Light', category: 'Lighting', createdAt: owned, purchasePrice: 500 },
+    ];
+    const onViewItem = vi.fn();
+    render(<ActivityReportPanel inventory={inventory} onViewItem={onViewItem} onBack={noop} />);
+    expect(dataState.ensureItemRevenue).toHaveBeenCalled();
+    // 10 days out of the two items' 180 owned
+    expect(screen.getByText('6%')).toBeInTheDocument();
+    expect(screen.getByText('Sell Candidates (1)')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Old Light/ }));
+    expect(onViewItem).toHaveBeenCalledWith('LITE');
+
+    const roiTable = screen.getByRole('table');
+    expect(within(roiTable).getByText('50%')).toBeInTheDocument();
+    expect(within(roiTable).getByText('-100%')).toBeInTheDocument();
+  });
+
+  it('leaves ROI out for roles that cannot see invoices', () => {
+    permissionsState.canViewClients = false;
+    render(<ActivityReportPanel inventory={[]} onViewItem={noop} onBack={noop} />);
+    expect(dataState.ensureItemRevenue).not.toHaveBeenCalled();
+    expect(screen.getByText(/ROI needs access to invoices/)).toBeInTheDocument();
+  });
+
   it('says so while checkout history loads', () => {
     dataState.checkoutEventsLoaded = false;
     render(<ActivityReportPanel inventory={[]} onViewItem={noop} onBack={noop} />);
@@ -252,6 +355,69 @@ describe('ClientReportPanel', () => {
   });
 });
 
+// =============================================================================
+// Receivables
+// =============================================================================
+
+const openInvoices = [
+  {
+    id: 'INV0001',
+    clientId: 'CL001',
+    clientName: 'Acme Films',
+    status: 'sent',
+    total: 500,
+    amountPaid: 100,
+    dueDate: '2000-01-01',
+  },
+  {
+    id: 'INV0002',
+    clientId: 'CL002',
+    clientName: 'Bolt Media',
+    status: 'sent',
+    total: 300,
+    amountPaid: 0,
+    dueDate: '2999-01-01',
+  },
+  {
+    id: 'INV0003',
+    clientId: 'CL002',
+    clientName: 'Bolt Media',
+    status: 'draft',
+    total: 900,
+    amountPaid: 0,
+    dueDate: '2000-01-01',
+  },
+];
+
+describe('ReceivablesReportPanel', () => {
+  it('loads invoices on mount and ages only what is owed', () => {
+    dataState.invoices = openInvoices;
+    render(<ReceivablesReportPanel onBack={noop} />);
+
+    expect(dataState.ensureInvoices).toHaveBeenCalled();
+    const acme = screen.getByText('Acme Films').closest('tr');
+    expect(acme).toHaveTextContent('$400.00');
+    expect(screen.getByText('Bolt Media').closest('tr')).not.toHaveTextContent('$900.00');
+    expect(screen.getByText(/INV0001 · Acme Films/)).toBeInTheDocument();
+    expect(screen.queryByText(/INV0002 ·/)).not.toBeInTheDocument();
+  });
+
+  it('client rows open the client', () => {
+    dataState.invoices = openInvoices;
+    const onViewClient = vi.fn();
+    render(<ReceivablesReportPanel onViewClient={onViewClient} onBack={noop} />);
+
+    fireEvent.click(screen.getByText('Bolt Media'));
+    expect(onViewClient).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'CL002' }));
+  });
+
+  it('says so while invoices load', () => {
+    dataState.invoicesLoaded = false;
+    render(<ReceivablesReportPanel onBack={noop} />);
+    expect(screen.getByRole('status')).toHaveTextContent('Loading invoices...');
+  });
+});
+
 describe('ReportsPanel (hub)', () => {
   it('shows the SAME grouped top-client count as the client report', () => {
     render(
@@ -279,5 +445,22 @@ describe('ReportsPanel (hub)', () => {
     expect(dataState.ensureClients).toHaveBeenCalled();
     expect(dataState.ensureMaintenance).toHaveBeenCalled();
     expect(dataState.ensureCheckoutActivity).toHaveBeenCalled();
+    expect(dataState.ensureInvoices).toHaveBeenCalled();
+    expect(dataState.ensureDeposits).toHaveBeenCalled();
+  });
+
+  it('shows the same outstanding total as the receivables report', () => {
+    dataState.invoices = openInvoices;
+    render(
+      <ReportsPanel
+        inventory={[]}
+        clients={[]}
+        onExport={noop}
+        onBack={noop}
+        setCurrentView={noop}
+      />,
+    );
+    expect(screen.getByText('2 open invoices')).toBeInTheDocument();
+    expect(screen.getByText('$700')).toBeInTheDocument();
   });
 });
@@ -10,11 +10,15 @@
 //   into a groupId-based cancel
 // - a create where every insert fails keeps the modal open
 // - reserved/available status reconciles after create/cancel
+// - moving a group between quote, hold and confirmed updates every row and
+//   asks before confirming over someone else's booking
+// - a repeating booking saves a group per date under one series id, and a
+//   series edit shifts the other open dates the same way
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
-import { getTodayISO } from '../utils';
+import { getTodayISO, toLocalYMD } from '../utils';
 
 const { mockAddToast } = vi.hoisted(() => ({ mockAddToast: vi.fn() }));
 
@@ -149,7 +153,7 @@ describe('saveReservation (edit)', () => {
     const [ids, form] = dataContext.updateReservationRows.mock.calls[0];
     expect([...ids].sort()).toEqual(['r1', 'r2']);
     expect(ids).not.toContain('r3'); // same name+dates but different group
-    expect(form).toBe(editedForm);
+    expect(form).toEqual(editedForm);
   });
 
   it('falls back to project+dates matching for legacy rows without groupId', async () => {
@@ -198,6 +202,29 @@ describe('saveReservation (edit)', () => {
     expect(deps.addAuditLog).not.toHaveBeenCalled();
   });
 
+  it('writes a changed unit count to that row only', async () => {
+    const inventory = makeInventory();
+    inventory[1].reservations[0].quantity = 4;
+    const dataContext = makeDataContext({ updateReservation: vi.fn().mockResolvedValue({}) });
+    const { hook } = setup({
+      inventory,
+      dataContext,
+      reservationForm: {
+        ...editedForm,
+        itemIds: ['CAM1', 'CAM2'],
+        quantities: { CAM1: 1, CAM2: 6 },
+      },
+      editingReservationId: 'r1',
+      selectedReservation: inventory[0].reservations[0],
+      selectedReservationItem: inventory[0],
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    expect(dataContext.updateReservation).toHaveBeenCalledTimes(1);
+    expect(dataContext.updateReservation).toHaveBeenCalledWith('r2', { quantity: 6 });
+  });
+
   it('reconciles item status when the edited dates no longer cover today', async () => {
     const inventory = makeInventory();
     const dataContext = makeDataContext();
@@ -253,6 +280,28 @@ describe('saveReservation (create)', () => {
     expect(payloads[0].createdByName).toBe('Tester');
   });
 
+  it('gives each row its own unit count, defaulting to one', async () => {
+    const dataContext = makeDataContext();
+    const { hook, deps } = setup({
+      dataContext,
+      reservationForm: { ...createForm, quantities: { CAM2: 8 } },
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    const quantities = dataContext.createReservation.mock.calls.map(([id, payload]) => [
+      id,
+      payload.quantity,
+    ]);
+    expect(quantities).toEqual([
+      ['CAM1', 1],
+      ['CAM2', 8],
+    ]);
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ description: 'Created reservation: New Job for 8 × Beta Cam' }),
+    );
+  });
+
   it('keeps the modal open when every insert fails', async () => {
     const dataContext = makeDataContext({
       createReservation: vi.fn().mockRejectedValue(new Error('rls denied')),
@@ -372,3 +421,248 @@ describe('deleteReservation (cancel)', () => {
     );
   });
 });
+
+// =============================================================================
+// Lifecycle stage
+// =============================================================================
+
+describe('changeReservationStage', () => {
+  function holdInventory() {
+    return makeInventory().map((item) => ({
+      ...item,
+      status: 'available',
+      reservations: item.reservations.map((r) =>
+        r.groupId === 'g1' ? { ...r, status: 'hold', holdExpiresAt: '2099-01-01T00:00:00Z' } : r,
+      ),
+    }));
+  }
+
+  it("confirms every row of the group and reserves today's gear", async () => {
+    const dataContext = makeDataContext();
+    const inventory = holdInventory().filter((i) => i.id !== 'CAM3');
+    const { hook, deps } = setup({ dataContext, inventory });
+
+    let ok;
+    await act(async () => {
+      ok = await hook.result.current.changeReservationStage(
+        inventory[0].reservations[0],
+        'confirmed',
+      );
+    });
+
+    expect(ok).toBe(true);
+    const [ids, updates] = dataContext.updateReservationRows.mock.calls[0];
+    expect([...ids].sort()).toEqual(['r1', 'r2']);
+    expect(updates).toEqual({ status: 'confirmed', holdExpiresAt: null });
+    expect(dataContext.updateItem).toHaveBeenCalledWith('CAM1', { status: 'reserved' });
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ description: 'Moved reservation to Confirmed: Job X' }),
+    );
+  });
+
+  it('asks before confirming over a clashing booking and stops on cancel', async () => {
+    const dataContext = makeDataContext();
+    const inventory = holdInventory();
+    inventory[0].reservations.push({ id: 'r9', project: 'Other', start: TODAY, end: TODAY });
+    const { hook, showConfirm } = setup({ dataContext, inventory });
+
+    let pending;
+    act(() => {
+      pending = hook.result.current.changeReservationStage(
+        inventory[0].reservations[0],
+        'confirmed',
+      );
+    });
+    expect(showConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({ message: expect.stringContaining('Alpha Cam') }),
+    );
+    await act(async () => showConfirm.mock.calls[0][0].onCancel());
+    expect(await pending).toBe(false);
+    expect(dataContext.updateReservationRows).not.toHaveBeenCalled();
+  });
+
+  it('places a hold with an expiry and skips rows that cannot move', async () => {
+    const dataContext = makeDataContext();
+    const inventory = makeInventory();
+    inventory[1].reservations[0].status = 'out';
+    const { hook } = setup({ dataContext, inventory });
+
+    await act(() =>
+      hook.result.current.changeReservationStage(inventory[0].reservations[0], 'hold'),
+    );
+
+    const [ids, updates] = dataContext.updateReservationRows.mock.calls[0];
+    expect(ids).toEqual(['r1']);
+    expect(updates.status).toBe('hold');
+    expect(new Date(updates.holdExpiresAt) > new Date()).toBe(true);
+  });
+
+  it('failure: toasts and leaves local state alone', async () => {
+    const dataContext = makeDataContext({
+      updateReservationRows: vi.fn().mockRejectedValue(new Error('offline')),
+    });
+    const inventory = holdInventory();
+    const { hook } = setup({ dataContext, inventory });
+
+    await act(() =>
+      hook.result.current.changeReservationStage(inventory[0].reservations[0], 'quote'),
+    );
+
+    expect(mockAddToast).toHaveBeenCalledWith(
+      'Could not move the reservation to Quote. Please try again.',
+      'error',
+    );
+    expect(dataContext.mapInventory).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// Recurring reservations
+// =============================================================================
+
+describe('recurring reservations', () => {
+  const plusDays = (n) => {
+    const d = new Date();
+    d.setDate(d.getDate() + n);
+    return toLocalYMD(d);
+  };
+
+  it('books one group per date, all sharing a series id', async () => {
+    const dataContext = makeDataContext();
+    const { hook, deps } = setup({
+      dataContext,
+      reservationForm: {
+        project: 'Podcast',
+        projectType: 'Other',
+        start: TODAY,
+        end: TODAY,
+        user: 'Pat',
+        itemIds: ['CAM1', 'CAM2'],
+        recurrence: { frequency: 'weekly', count: 3 },
+      },
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    const payloads = dataContext.createReservation.mock.calls.map(([, payload]) => payload);
+    expect(payloads).toHaveLength(6);
+    expect(payloads.map((p) => p.start)).toEqual([
+      TODAY,
+      TODAY,
+      plusDays(7),
+      plusDays(7),
+      plusDays(14),
+      plusDays(14),
+    ]);
+    expect(new Set(payloads.map((p) => p.groupId)).size).toBe(3);
+    expect(new Set(payloads.map((p) => p.seriesId)).size).toBe(1);
+    expect(payloads[0].seriesId).toBeTruthy();
+    expect(payloads[5].recurrence).toEqual({ frequency: 'weekly', count: 3 });
+    // The detail view opens on the first date with its two items
+    expect(deps.navigateToReservation.mock.calls[0][0].itemCount).toBe(2);
+  });
+
+  it('leaves one-off bookings out of any series', async () => {
+    const dataContext = makeDataContext();
+    const { hook } = setup({
+      dataContext,
+      reservationForm: {
+        project: 'One-off',
+        start: TODAY,
+        end: TODAY,
+        user: 'Pat',
+        itemIds: ['CAM1'],
+        recurrence: null,
+      },
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    const [[, payload]] = dataContext.createReservation.mock.calls;
+    expect(payload.seriesId).toBeNull();
+    expect(payload.recurrence).toBeNull();
+  });
+
+  function seriesInventory() {
+    const row = (id, groupId, start, status = 'confirmed') => ({
+      id,
+      groupId,
+      seriesId: 's1',
+      project: 'Podcast',
+      start,
+      end: start,
+      user: 'Pat',
+      status,
+    });
+    return [
+      {
+        id: 'CAM1',
+        name: 'Alpha Cam',
+        status: 'available',
+        reservations: [
+          row('w1', 'g-w1', plusDays(1), 'returned'),
+          row('w2', 'g-w2', plusDays(8)),
+          row('w3', 'g-w3', plusDays(15)),
+        ],
+      },
+    ];
+  }
+
+  const editForm = (seriesScope) => ({
+    project: 'Podcast (studio B)',
+    start: plusDays(9),
+    end: plusDays(9),
+    user: 'Pat',
+    itemIds: ['CAM1'],
+    seriesId: 's1',
+    seriesScope,
+  });
+
+  it('edits only the chosen date by default', async () => {
+    const inventory = seriesInventory();
+    const dataContext = makeDataContext();
+    const { hook } = setup({
+      inventory,
+      dataContext,
+      reservationForm: editForm('one'),
+      editingReservationId: 'w2',
+      selectedReservation: inventory[0].reservations[1],
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    expect(dataContext.updateReservationRows).toHaveBeenCalledTimes(1);
+    expect(dataContext.updateReservationRows.mock.calls[0][0]).toEqual(['w2']);
+  });
+
+  it('moves the open dates of the series by the same shift, leaving finished ones', async () => {
+    const inventory = seriesInventory();
+    const dataContext = makeDataContext();
+    const { hook, deps } = setup({
+      inventory,
+      dataContext,
+      reservationForm: editForm('series'),
+      editingReservationId: 'w2',
+      selectedReservation: inventory[0].reservations[1],
+    });
+
+    await act(() => hook.result.current.saveReservation());
+
+    const calls = dataContext.updateReservationRows.mock.calls.map(([ids, form]) => [
+      ids,
+      form.start,
+      form.project,
+    ]);
+    expect(calls).toEqual([
+      [['w2'], plusDays(9), 'Podcast (studio B)'],
+      [['w3'], plusDays(16), 'Podcast (studio B)'],
+    ]);
+    // The scope is a choice in the form, not a reservation field
+    expect(dataContext.updateReservationRows.mock.calls[0][1]).not.toHaveProperty('seriesScope');
+    expect(deps.addAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        description: 'Updated reservation: Podcast (studio B) and 1 more dates in the series',
+      }),
+    );
+  });
+});
@@ -0,0 +1,176 @@
+// =============================================================================
+// Reservation manifest
+// Booked vs packed vs out vs back per item. A checkout belongs to the job when
+// it picked up one of the group's rows, or carries the job's project inside
+// its dates; each is closed by the next return of the item. Never-taken,
+// unreserved and not-returned lines are flagged.
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { buildReservationManifest } from '../lib/reservationManifest.js';
+
+const START = '2026-11-02';
+const END = '2026-11-04';
+
+const item = (id, name, status = 'available', extra = {}) => ({ id, name, status, ...extra });
+const row = (id, extra = {}) => ({ id, groupId: 'grp1', start: START, end: END, ...extra });
+
+const checkout = (id, itemId, timestamp, extra = {}) => ({
+  id,
+  itemId,
+  action: 'checkout',
+  timestamp,
+  project: 'Smith Wedding',
+  reservationId: null,
+  ...extra,
+});
+const checkin = (id, itemId, timestamp) => ({ id, itemId, action: 'checkin', timestamp });
+
+const rows = [
+  { itemId: 'CAM1', row: row('r1') },
+  { itemId: 'LN1', row: row('r2') },
+  { itemId: 'LT1', row: row('r3') },
+];
+
+const build = (overrides = {}) =>
+  buildReservationManifest({
+    rows,
+    inventory: [
+      item('CAM1', 'FX6', 'checked-out'),
+      item('LN1', '24-70 GM'),
+      item('LT1', 'Aputure 600d'),
+      item('MIC1', 'Sennheiser 416', 'checked-out'),
+    ],
+    history: [],
+    project: 'Smith Wedding',
+    start: START,
+    end: END,
+    today: '2026-11-03',
+    ...overrides,
+  });
+
+const line = (manifest, itemId) => manifest.lines.find((l) => l.itemId === itemId);
+
+describe('buildReservationManifest', () => {
+  it('lists every booked item before anything was taken, flagging nothing', () => {
+    const manifest = build({ today: START });
+    expect(manifest.lines.map((l) => [l.itemId, l.reserved, l.out])).toEqual([
+      ['CAM1', 1, 0],
+      ['LN1', 1, 0],
+      ['LT1', 1, 0],
+    ]);
+    expect(manifest.counts).toEqual({ notTaken: 0, unreserved: 0, notReturned: 0 });
+  });
+
+  it('pairs linked checkouts with their returns and flags what was left behind', () => {
+    const manifest = build({
+      history: [
+        checkout('h1', 'CAM1', '2026-11-02T08:00:00Z', { reservationId: 'r1' }),
+        checkout('h2', 'LN1', '2026-11-02T08:01:00Z', { reservationId: 'r2' }),
+        checkin('h3', 'LN1', '2026-11-03T09:00:00Z'),
+      ],
+      today: START,
+    });
+    expect(line(manifest, 'CAM1')).toMatchObject({ out: 1, returned: 0, outstanding: 1 });
+    expect(line(manifest, 'LN1')).toMatchObject({ out: 1, returned: 1, outstanding: 0 });
+    // The load-out happened without the light
+    expect(line(manifest, 'LT1').flags).toEqual(['not-taken']);
+    expect(manifest.returnable).toEqual(['CAM1']);
+  });
+
+  it('ignores a return that came before the checkout', () => {
+    const manifest = build({
+      history: [
+        checkin('h0', 'CAM1', '2026-11-01T17:00:00Z'),
+        checkout('h1', 'CAM1', '2026-11-02T08:00:00Z', { reservationId: 'r1' }),
+      ],
+    });
+    expect(line(manifest, 'CAM1')).toMatchObject({ out: 1, returned: 0, outstanding: 1 });
+  });
+
+  it('counts an unlinked checkout for the project as taken but not reserved', () => {
+    const manifest = build({
+      history: [checkout('h1', 'MIC1', '2026-11-02T08:00:00Z')],
+    });
+    expect(line(manifest, 'MIC1')).toMatchObject({
+      reserved: 0,
+      out: 1,
+      flags: ['unreserved'],
+    });
+    expect(manifest.counts.unreserved).toBe(1);
+  });
+
+  it('leaves out checkouts of other reservations and of the project outside the dates', () => {
+    const manifest = build({
+      history: [
+        checkout('h1', 'MIC1', '2026-11-02T08:00:00Z', { reservationId: 'other-row' }),
+        checkout('h2', 'CAM1', '2026-11-09T08:00:00Z'),
+      ],
+    });
+    expect(line(manifest, 'MIC1')).toBeUndefined();
+    expect(line(manifest, 'CAM1').out).toBe(0);
+  });
+
+  it('flags gear still out after the end date', () => {
+    const manifest = build({
+      history: [checkout('h1', 'CAM1', '2026-11-02T08:00:00Z', { reservationId: 'r1' })],
+      today: '2026-11-05',
+    });
+    expect(line(manifest, 'CAM1').flags).toEqual(['not-returned']);
+    expect(manifest.counts).toEqual({ notTaken: 2, unreserved: 0, notReturned: 1 });
+  });
+
+  it('trusts the live row when a serialized item is already back', () => {
+    const manifest = build({
+      inventory: [item('CAM1', 'FX6', 'available')],
+      history: [checkout('h1', 'CAM1', '2026-11-02T08:00:00Z', { reservationId: 'r1' })],
+      today: '2026-11-05',
+    });
+    expect(line(manifest, 'CAM1')).toMatchObject({ out: 1, returned: 1, outstanding: 0 });
+    expect(manifest.returnable).toEqual([]);
+  });
+
+  it('never offers quantity-tracked units for the bulk check-in', () => {
+    const manifest = build({
+      rows: [{ itemId: 'BAT', row: row('r9', { quantity: 4 }) }],
+      inventory: [item('BAT', 'V-mount', 'available', { category: 'Batteries' })],
+      categorySettings: { Batteries: { trackQuantity: true } },
+      history: [
+        checkout('h1', 'BAT', '2026-11-02T08:00:00Z', { reservationId: 'r9', quantity: 4 }),
+        { ...checkin('h2', 'BAT', '2026-11-03T08:00:00Z'), quantity: 3 },
+      ],
+    });
+    expect(line(manifest, 'BAT')).toMatchObject({ reserved: 4, out: 4, outstanding: 1 });
+    expect(manifest.returnable).toEqual([]);
+  });
+
+  it('reads packed state from pack lists made from the group, packages included', () => {
+    const manifest = build({
+      packLists: [
+        {
+          id: 'pl1',
+          reservation_group_id: 'grp1',
+          items: [{ id: 'CAM1', quantity: 1 }],
+          packages: ['pkg1'],
+          packedItems: ['CAM1'],
+          packedPackages: [],
+        },
+        {
+          id: 'pl2',
+          reservation_group_id: 'someone-else',
+          items: [{ id: 'LT1', quantity: 1 }],
+          packages: [],
+          packedItems: ['LT1'],
+          packedPackages: [],
+        },
+      ],
+      packages: [{ id: 'pkg1', items: ['LN1', 'MIC1'] }],
+      today: START,
+    });
+    expect(line(manifest, 'CAM1')).toMatchObject({ onPackList: true, packed: true });
+    expect(line(manifest, 'LN1')).toMatchObject({ onPackList: true, packed: false });
+    expect(line(manifest, 'LT1')).toMatchObject({ onPackList: false, packed: false });
+    // Packed extras show up, but only taking them is flagged
+    expect(line(manifest, 'MIC1')).toMatchObject({ reserved: 0, onPackList: true, flags: [] });
+  });
+});
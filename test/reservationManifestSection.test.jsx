@@ -0,0 +1,112 @@
+// =============================================================================
+// ReservationManifest — Test Suite
+// The reservation detail's manifest loads the job's history, flags what was
+// left behind or never returned, and checks in whatever is still ticked as
+// back in one click.
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import ReservationManifest from '../components/ReservationManifest.jsx';
+
+const reservation = {
+  id: 'r1',
+  groupId: 'grp1',
+  project: 'Smith Wedding',
+  start: '2026-11-02',
+  end: '2026-11-04',
+};
+const rows = [
+  { itemId: 'CAM1', row: { ...reservation } },
+  { itemId: 'LN1', row: { ...reservation, id: 'r2' } },
+  { itemId: 'LT1', row: { ...reservation, id: 'r3' } },
+];
+const inventory = [
+  { id: 'CAM1', name: 'FX6', status: 'checked-out' },
+  { id: 'LN1', name: '24-70 GM', status: 'checked-out' },
+  { id: 'LT1', name: 'Aputure 600d', status: 'available' },
+];
+const history = [
+  {
+    id: 'h1',
+    itemId: 'CAM1',
+    action: 'checkout',
+    reservationId: 'r1',
+    timestamp: '2026-11-02T08:00:00Z',
+  },
+  {
+    id: 'h2',
+    itemId: 'LN1',
+    action: 'checkout',
+    reservationId: 'r2',
+    timestamp: '2026-11-02T08:01:00Z',
+  },
+];
+
+function renderManifest({ dataContext: contextOverrides, ...overrides } = {}) {
+  const dataContext = {
+    packLists: [],
+    packages: [],
+    ensurePackLists: vi.fn(),
+    getReservationHistory: vi.fn().mockResolvedValue(history),
+    ...contextOverrides,
+  };
+  const props = {
+    reservation,
+    rows,
+    inventory,
+    dataContext,
+    onCheckIn: vi.fn().mockResolvedValue({ done: 1 }),
+    ...overrides,
+  };
+  render(<ReservationManifest {...props} />);
+  return props;
+}
+
+describe('ReservationManifest', () => {
+  it('loads the group history and flags the item left behind', async () => {
+    const { dataContext } = renderManifest();
+    await screen.findByRole('table', { name: 'Reservation manifest' });
+
+    expect(dataContext.ensurePackLists).toHaveBeenCalled();
+    expect(dataContext.getReservationHistory).toHaveBeenCalledWith(
+      expect.objectContaining({
+        reservationIds: ['r1', 'r2', 'r3'],
+        itemIds: ['CAM1', 'LN1', 'LT1'],
+        project: 'Smith Wedding',
+      }),
+    );
+    const lightRow = screen.getByRole('button', { name: 'Aputure 600d' }).closest('tr');
+    expect(within(lightRow).getByText('Never taken')).toBeInTheDocument();
+  });
+
+  it('checks in only what is still ticked as back, then reloads', async () => {
+    const { dataContext, onCheckIn } = renderManifest();
+    await screen.findByRole('table', { name: 'Reservation manifest' });
+
+    fireEvent.click(screen.getByLabelText('24-70 GM came back'));
+    fireEvent.click(screen.getByRole('button', { name: /Check In What Came Back \(1\)/ }));
+
+    await waitFor(() => expect(onCheckIn).toHaveBeenCalledWith(['CAM1']));
+    await waitFor(() => expect(dataContext.getReservationHistory).toHaveBeenCalledTimes(2));
+  });
+
+  it('offers no check-in to a role that cannot check gear in', async () => {
+    renderManifest({ onCheckIn: undefined });
+    await screen.findByRole('table', { name: 'Reservation manifest' });
+    expect(screen.queryByRole('button', { name: /Check In What Came Back/ })).toBeNull();
+    expect(screen.queryByLabelText('FX6 came back')).toBeNull();
+  });
+
+  it('shows a retry when the history fails to load', async () => {
+    const getReservationHistory = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce(history);
+    renderManifest({ dataContext: { getReservationHistory } });
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('offline');
+    fireEvent.click(screen.getByRole('button', { name: /Retry/ }));
+    await screen.findByRole('table', { name: 'Reservation manifest' });
+  });
+});
@@ -1,12 +1,17 @@
 // =============================================================================
 // ReservationModal — conflict acknowledgment scope
 // Ticking "proceed anyway" covers only the conflicts visible at that moment;
-// changing the item list must void the acknowledgment.
+// changing the item list must void the acknowledgment. Pooled stock books by
+// unit count and only conflicts once the pool runs out. New reservations
+// pick their starting stage, and a hold asks how long it lasts. Optional
+// pickup/return times let a same-day booking follow a morning return. A
+// conflicted item offers free stand-ins that swap in one click. Repeating
+// bookings list their later dates with any clashes.
 // =============================================================================
 
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
-import { getTodayISO } from '../utils';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { getTodayISO, toLocalYMD } from '../utils';
 
 const { ReservationModal } = await import('../modals/ReservationModal.jsx');
 
@@ -81,3 +86,282 @@ describe('ReservationModal conflict acknowledgment', () => {
     expect(screen.getByRole('checkbox', { name: /proceed anyway/i })).not.toBeChecked();
   });
 });
+
+describe('ReservationModal pooled stock', () => {
+  const sandbags = {
+    id: 'GRIP1',
+    name: 'Sandbags',
+    brand: 'Matthews',
+    category: 'Grip',
+    status: 'available',
+    quantity: 20,
+    quantityOut: 0,
+    reservations: [
+      { id: 'r-existing', project: 'Existing Job', start: TODAY, end: TODAY, quantity: 8 },
+    ],
+  };
+
+  it('asks for a unit count and conflicts only past what is free', () => {
+    let form = {
+      project: 'New Job',
+      projectType: 'Other',
+      start: TODAY,
+      end: TODAY,
+      user: 'Pat',
+      itemIds: ['GRIP1'],
+      itemId: 'GRIP1',
+    };
+    const setReservationForm = vi.fn((updater) => {
+      form = typeof updater === 'function' ? updater(form) : updater;
+    });
+    const renderModal = () => (
+      <ReservationModal
+        isEdit={false}
+        reservationForm={form}
+        setReservationForm={setReservationForm}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[sandbags]}
+        categorySettings={{ Grip: { trackQuantity: true } }}
+      />
+    );
+
+    const view = render(renderModal());
+    expect(screen.getByText('8 of 20 booked for these dates')).toBeInTheDocument();
+    expect(screen.queryByRole('checkbox', { name: /proceed anyway/i })).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Quantity of Sandbags'), { target: { value: '13' } });
+    expect(form.quantities).toEqual({ GRIP1: 13 });
+    view.rerender(renderModal());
+
+    expect(screen.getByText('Only 12 of 20 free for these dates')).toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: /proceed anyway/i })).toBeInTheDocument();
+  });
+});
+
+describe('ReservationModal starting stage', () => {
+  const renderWith = (form, props = {}) =>
+    render(
+      <ReservationModal
+        isEdit={false}
+        reservationForm={form}
+        setReservationForm={vi.fn()}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[]}
+        {...props}
+      />,
+    );
+
+  it('offers the hold length only for holds', () => {
+    const view = renderWith({ status: 'confirmed', holdHours: 48 });
+    expect(screen.getByLabelText('Reserve as')).toHaveTextContent('Confirmed');
+    expect(screen.queryByLabelText('Hold for')).not.toBeInTheDocument();
+
+    view.unmount();
+    renderWith({ status: 'hold', holdHours: 48 });
+    expect(screen.getByLabelText('Hold for')).toHaveTextContent('48 hours');
+  });
+
+  it('leaves the stage to the detail view when editing', () => {
+    renderWith({ status: 'hold', holdHours: 48 }, { isEdit: true });
+    expect(screen.queryByLabelText('Reserve as')).not.toBeInTheDocument();
+  });
+});
+
+describe('ReservationModal times of day', () => {
+  const lens = {
+    id: 'LENS1',
+    name: 'Prime Lens',
+    category: 'Lenses',
+    status: 'available',
+    reservations: [
+      { id: 'r-am', project: 'Morning Job', start: TODAY, end: TODAY, endTime: '09:00' },
+    ],
+  };
+  const renderWith = (form) =>
+    render(
+      <ReservationModal
+        isEdit={false}
+        reservationForm={{
+          project: 'Shoot',
+          user: 'Pat',
+          start: TODAY,
+          end: TODAY,
+          itemIds: ['LENS1'],
+          itemId: 'LENS1',
+          ...form,
+        }}
+        setReservationForm={vi.fn()}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[lens]}
+      />,
+    );
+
+  it('clears the conflict once the pickup comes after the morning return', () => {
+    const view = renderWith({ startTime: '', endTime: '' });
+    expect(screen.getByRole('checkbox', { name: /proceed anyway/i })).toBeInTheDocument();
+    view.unmount();
+
+    renderWith({ startTime: '14:00', endTime: '' });
+    expect(screen.queryByRole('checkbox', { name: /proceed anyway/i })).not.toBeInTheDocument();
+  });
+
+  it('flags a same-day return before the pickup', () => {
+    renderWith({ startTime: '14:00', endTime: '10:00' });
+    expect(screen.getByText('Return time must be after pickup time')).toBeInTheDocument();
+  });
+});
+
+describe('ReservationModal substitute suggestions', () => {
+  const booked = {
+    id: 'LN1',
+    name: 'Sony 24-70 GM',
+    category: 'Lenses',
+    status: 'available',
+    specs: { 'Lens Mount': 'Sony E' },
+    reservations: [{ id: 'r-busy', project: 'Busy Job', start: TODAY, end: TODAY }],
+  };
+  const twin = { ...booked, id: 'LN2', name: 'Sony 24-70 GM #2', reservations: [] };
+  const canonLens = {
+    ...twin,
+    id: 'LN3',
+    name: 'Canon 24-70',
+    specs: { 'Lens Mount': 'Canon RF' },
+  };
+  const specs = { Lenses: [{ name: 'Lens Mount', substituteKey: true }] };
+  const baseForm = {
+    project: 'Shoot',
+    user: 'Pat',
+    start: TODAY,
+    end: TODAY,
+    itemIds: ['LN1'],
+    itemId: 'LN1',
+  };
+
+  it('offers a free item with matching key specs and swaps it in', () => {
+    let form = baseForm;
+    const setReservationForm = vi.fn((updater) => {
+      form = typeof updater === 'function' ? updater(form) : updater;
+    });
+    render(
+      <ReservationModal
+        isEdit={false}
+        reservationForm={form}
+        setReservationForm={setReservationForm}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[booked, twin, canonLens]}
+        specs={specs}
+      />,
+    );
+
+    expect(screen.getByText('Available instead')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Swap for Canon 24-70' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Swap for Sony 24-70 GM #2' }));
+
+    expect(form.itemIds).toEqual(['LN2']);
+    expect(form.itemId).toBe('LN2');
+    expect(screen.queryByRole('checkbox', { name: /proceed anyway/i })).not.toBeInTheDocument();
+  });
+
+  it('does not offer swaps in single-item mode', () => {
+    render(
+      <ReservationModal
+        isEdit
+        reservationForm={baseForm}
+        setReservationForm={vi.fn()}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[booked, twin]}
+        item={booked}
+        editingReservationId="r-new"
+        specs={specs}
+      />,
+    );
+    expect(screen.queryByText('Available instead')).not.toBeInTheDocument();
+  });
+});
+
+describe('ReservationModal repeating bookings', () => {
+  const nextWeek = (() => {
+    const d = new Date();
+    d.setDate(d.getDate() + 7);
+    return toLocalYMD(d);
+  })();
+  const mic = {
+    id: 'MIC1',
+    name: 'Podcast Mic',
+    category: 'Audio',
+    status: 'available',
+    reservations: [{ id: 'r-taken', project: 'Taken', start: nextWeek, end: nextWeek }],
+  };
+  const baseForm = {
+    project: 'Weekly Podcast',
+    user: 'Pat',
+    start: TODAY,
+    end: TODAY,
+    itemIds: ['MIC1'],
+    itemId: 'MIC1',
+  };
+
+  it('sets a weekly rule from the Repeat picker', () => {
+    let form = baseForm;
+    const setReservationForm = vi.fn((updater) => {
+      form = typeof updater === 'function' ? updater(form) : updater;
+    });
+    render(
+      <ReservationModal
+        isEdit={false}
+        reservationForm={form}
+        setReservationForm={setReservationForm}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[mic]}
+      />,
+    );
+
+    fireEvent.click(screen.getByLabelText('Repeat'));
+    fireEvent.click(screen.getByRole('option', { name: 'Weekly' }));
+    expect(form.recurrence).toEqual({ frequency: 'weekly', count: 4 });
+  });
+
+  it('lists each later date and flags the ones already booked', () => {
+    render(
+      <ReservationModal
+        isEdit={false}
+        reservationForm={{ ...baseForm, recurrence: { frequency: 'weekly', count: 3 } }}
+        setReservationForm={vi.fn()}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[mic]}
+      />,
+    );
+
+    expect(screen.getByText('Also books 2 dates')).toBeInTheDocument();
+    const dates = within(screen.getByRole('list', { name: 'Series dates' })).getAllByRole(
+      'listitem',
+    );
+    expect(dates[0]).toHaveTextContent('Booked: Podcast Mic');
+    expect(dates[1]).toHaveTextContent('Free');
+    // A clash on a later date needs the same acknowledgment as one today
+    expect(screen.getByRole('checkbox', { name: /proceed anyway/i })).toBeInTheDocument();
+  });
+
+  it('asks how far an edit to a series date reaches', () => {
+    render(
+      <ReservationModal
+        isEdit
+        reservationForm={{ ...baseForm, seriesId: 's1', seriesScope: 'one' }}
+        setReservationForm={vi.fn()}
+        onSave={vi.fn()}
+        onClose={vi.fn()}
+        inventory={[mic]}
+        editingReservationId="r-series"
+      />,
+    );
+    expect(screen.getByLabelText('Apply changes to')).toHaveTextContent('This date only');
+    expect(screen.queryByLabelText('Repeat')).not.toBeInTheDocument();
+  });
+});
@@ -143,9 +143,10 @@ describe('create', () => {
 
 describe('inventoryService.checkIn returnStatus', () => {
   async function runCheckIn(extra) {
-    const { client, calls } = makeRecordingClient({
-      inventory: { data: [{ id: 'CAM1', status: 'checked-out', notes: [] }], error: null },
-      checkout_history: { data: [], error: null },
+    const { client } = makeRecordingClient();
+    client.rpc.mockResolvedValue({
+      data: { item: { id: 'CAM1', status: 'available' }, history: null },
+      error: null,
     });
     getSupabase.mockResolvedValue(client);
     await inventoryService.checkIn('CAM1', {
@@ -153,27 +154,25 @@ describe('inventoryService.checkIn returnStatus', () => {
       damageReported: false,
       ...extra,
     });
-    return calls;
+    // The status decision is made in checkin_item, inside the same
+    // transaction as the history row — the client only passes intent
+    expect(client.rpc).toHaveBeenCalledWith('checkin_item', expect.any(Object));
+    return client.rpc.mock.calls[0][1];
   }
 
-  it('returns the item to reserved when returnStatus says so', async () => {
-    const calls = await runCheckIn({ returnStatus: 'reserved' });
-    const invUpdate = calls.find((c) => c.table === 'inventory' && hasOp(c.ops, 'update'));
-    const updateArgs = invUpdate.ops.find((op) => op.method === 'update').args[0];
-    expect(updateArgs.status).toBe('reserved');
+  it('asks for reserved when returnStatus says so', async () => {
+    const args = await runCheckIn({ returnStatus: 'reserved' });
+    expect(args.p_return_status).toBe('reserved');
+    expect(args.p_damage_reported).toBe(false);
   });
 
-  it('defaults to available without returnStatus', async () => {
-    const calls = await runCheckIn({});
-    const invUpdate = calls.find((c) => c.table === 'inventory' && hasOp(c.ops, 'update'));
-    const updateArgs = invUpdate.ops.find((op) => op.method === 'update').args[0];
-    expect(updateArgs.status).toBe('available');
+  it('leaves the return status to the server default without returnStatus', async () => {
+    const args = await runCheckIn({});
+    expect(args.p_return_status).toBeNull();
   });
 
-  it('damage always wins over returnStatus', async () => {
-    const calls = await runCheckIn({ returnStatus: 'reserved', damageReported: true });
-    const invUpdate = calls.find((c) => c.table === 'inventory' && hasOp(c.ops, 'update'));
-    const updateArgs = invUpdate.ops.find((op) => op.method === 'update').args[0];
-    expect(updateArgs.status).toBe('needs-attention');
+  it('passes damage alongside returnStatus (the RPC lets damage win)', async () => {
+    const args = await runCheckIn({ returnStatus: 'reserved', damageReported: true });
+    expect(args.p_damage_reported).toBe(true);
   });
 });
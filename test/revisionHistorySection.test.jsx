@@ -0,0 +1,130 @@
+// =============================================================================
+// RevisionHistorySection — the item's edit log in ItemDetail
+// - each revision lists its field changes with a per-field Revert
+// - "View as of" shows what differed on that day and restores one field
+// - no revert controls without an onRevert (read-only roles)
+// =============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+
+// The themed calendar popup is not what is under test
+vi.mock('../components/DatePicker.jsx', () => ({
+  DatePicker: ({ value, onChange, 'aria-label': ariaLabel }) => (
+    <input aria-label={ariaLabel} value={value} onChange={onChange} />
+  ),
+}));
+
+const { default: RevisionHistorySection } =
+  await import('../components/RevisionHistorySection.jsx');
+
+const item = {
+  id: 'CAM001',
+  name: 'FX6',
+  location: 'Shelf B',
+  locationId: 'LOC-B',
+  currentValue: 3000,
+  specs: { Sensor: 'FF' },
+};
+
+const revisions = [
+  {
+    id: 'r2',
+    changedAt: new Date(2026, 9, 12, 9, 0).toISOString(),
+    changedByName: 'Sam',
+    changes: [
+      { field: 'location', from: 'Shelf A', to: 'Shelf B' },
+      { field: 'locationId', from: 'LOC-A', to: 'LOC-B' },
+    ],
+  },
+  {
+    id: 'r1',
+    changedAt: new Date(2026, 9, 10, 9, 0).toISOString(),
+    changedByName: 'Alex',
+    changes: [
+      { field: 'currentValue', from: 3500, to: 3000 },
+      { field: 'specs', from: { Sensor: 'S35' }, to: { Sensor: 'FF' } },
+    ],
+  },
+];
+
+describe('RevisionHistorySection', () => {
+  it('lists revisions with who made them and what changed', () => {
+    render(<RevisionHistorySection item={item} revisions={revisions} />);
+
+    const rows = within(screen.getByRole('list', { name: 'Revisions' })).getAllByRole('listitem');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toHaveTextContent('Sam');
+    expect(rows[0]).toHaveTextContent('Location: Shelf A → Shelf B');
+    expect(rows[0]).not.toHaveTextContent('Location ID');
+    expect(rows[1]).toHaveTextContent('Current value: $3,500.00 → $3,000.00');
+    expect(rows[1]).toHaveTextContent('Sensor: S35 → FF');
+    expect(screen.queryByRole('button', { name: /Revert/ })).not.toBeInTheDocument();
+  });
+
+  it('reverts a single field, location id included', async () => {
+    const onRevert = vi.fn().mockResolvedValue(true);
+    render(<RevisionHistorySection item={item} revisions={revisions} onRevert={onRevert} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Revert Location' }));
+    expect(onRevert).toHaveBeenCalledWith({ location: 'Shelf A', locationId: 'LOC-A' });
+
+    // Buttons stay disabled until the first revert settles
+    expect(screen.getByRole('button', { name: 'Revert Sensor' })).toBeDisabled();
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: 'Revert Sensor' })).not.toBeDisabled(),
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Revert Sensor' }));
+    expect(onRevert).toHaveBeenLastCalledWith({ specs: { Sensor: 'S35' } });
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: 'Revert Location' })).not.toBeDisabled(),
+    );
+  });
+
+  it('disables Revert when the field already has the old value', () => {
+    render(
+      <RevisionHistorySection
+        item={{ ...item, currentValue: 3500 }}
+        revisions={revisions}
+        onRevert={vi.fn()}
+      />,
+    );
+    expect(screen.getByRole('button', { name: 'Revert Current value' })).toBeDisabled();
+  });
+
+  it('shows the item as of a date and restores a field from it', async () => {
+    const onRevert = vi.fn().mockResolvedValue(true);
+    render(<RevisionHistorySection item={item} revisions={revisions} onRevert={onRevert} />);
+
+    fireEvent.change(screen.getByLabelText('View as of date'), {
+      target: { value: '2026-10-11' },
+    });
+    const asOf = screen.getByRole('region', { name: /Item as of Oct 11, 2026/ });
+    expect(asOf).toHaveTextContent('Location: Shelf A → Shelf B');
+    expect(asOf).not.toHaveTextContent('Current value');
+
+    const restore = within(asOf).getByRole('button', { name: 'Restore Location' });
+    fireEvent.click(restore);
+    expect(onRevert).toHaveBeenCalledWith({ location: 'Shelf A', locationId: 'LOC-A' });
+    await waitFor(() => expect(restore).not.toBeDisabled());
+  });
+
+  it('notes when the chosen date is older than the recorded history', () => {
+    render(<RevisionHistorySection item={item} revisions={revisions} />);
+    fireEvent.change(screen.getByLabelText('View as of date'), {
+      target: { value: '2026-09-01' },
+    });
+    expect(screen.getByText(/Edits are recorded from Oct 10, 2026/)).toBeInTheDocument();
+  });
+
+  it('shows loading, empty and error states', () => {
+    const { rerender } = render(<RevisionHistorySection item={item} revisions={null} />);
+    expect(screen.getByText('Loading revisions…')).toBeInTheDocument();
+
+    rerender(<RevisionHistorySection item={item} revisions={[]} />);
+    expect(screen.getByText('No edits recorded yet')).toBeInTheDocument();
+
+    rerender(<RevisionHistorySection item={item} revisions={null} error="Could not load" />);
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not load');
+  });
+});
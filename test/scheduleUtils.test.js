@@ -1,5 +1,6 @@
 // =============================================================================
-// Schedule utils — grouping, active-reservation check, stable colors
+// Schedule utils — grouping, lifecycle stages, hour-level times, day
+// timeline, item availability rows, active-reservation check, stable colors
 // =============================================================================
 
 import { describe, it, expect } from 'vitest';
@@ -7,6 +8,14 @@ import {
   groupReservationsForSchedule,
   hasActiveReservation,
   stableColorIndex,
+  reservationStage,
+  reservationGroupStage,
+  reservationBlocksDates,
+  isHoldExpired,
+  holdExpiryFrom,
+  reservationsOverlap,
+  dayTimeline,
+  itemTimelineRows,
 } from '../utils';
 
 const itemA = {
@@ -55,13 +64,241 @@ describe('groupReservationsForSchedule', () => {
     expect([...groups[0].reservationIds].sort()).toEqual(['r4', 'r5']);
   });
 
+  it('carries the units each row holds keyed by item', () => {
+    const pooled = {
+      id: 'P',
+      reservations: [
+        { id: 'r6', groupId: 'g1', start: '2026-08-10', end: '2026-08-12', quantity: 8 },
+      ],
+    };
+    const [group] = groupReservationsForSchedule([itemA, pooled]);
+    expect(group.quantities).toEqual({ A: 1, P: 8 });
+  });
+
+  it('reports the furthest stage and leaves lapsed holds out', () => {
+    const now = new Date('2026-08-01T12:00:00Z');
+    const hold = (id, groupId, holdExpiresAt) => ({
+      id,
+      groupId,
+      start: '2026-08-10',
+      end: '2026-08-12',
+      status: 'hold',
+      holdExpiresAt,
+    });
+    const inv = [
+      {
+        id: 'A',
+        reservations: [hold('r1', 'g1', '2026-08-03T12:00:00Z')],
+      },
+      {
+        id: 'B',
+        reservations: [
+          { ...hold('r2', 'g1'), status: 'confirmed' },
+          hold('r3', 'g2', '2026-07-31T12:00:00Z'),
+        ],
+      },
+    ];
+    const groups = groupReservationsForSchedule(inv, now);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].status).toBe('confirmed');
+    expect(groups[0].holdExpiresAt).toBe('2026-08-03T12:00:00Z');
+  });
+
   it('handles empty inventory', () => {
     expect(groupReservationsForSchedule([])).toEqual([]);
     expect(groupReservationsForSchedule(undefined)).toEqual([]);
   });
 });
 
+describe('reservation stages', () => {
+  it('reads legacy rows as confirmed and completed ones as returned', () => {
+    expect(reservationStage({})).toBe('confirmed');
+    expect(reservationStage({ status: 'completed' })).toBe('returned');
+    expect(reservationStage({ status: 'hold' })).toBe('hold');
+  });
+
+  it('only confirmed and out reservations block dates', () => {
+    expect(reservationBlocksDates({ status: 'confirmed' })).toBe(true);
+    expect(reservationBlocksDates({ status: 'out' })).toBe(true);
+    for (const status of ['quote', 'hold', 'returned', 'cancelled']) {
+      expect(reservationBlocksDates({ status })).toBe(false);
+    }
+  });
+
+  it('takes the furthest-along stage for a group', () => {
+    expect(reservationGroupStage([{ status: 'quote' }, { status: 'hold' }])).toBe('hold');
+    expect(reservationGroupStage([{ status: 'out' }, { status: 'returned' }])).toBe('out');
+    expect(reservationGroupStage([{ status: 'cancelled' }])).toBe('cancelled');
+    expect(reservationGroupStage([])).toBe('confirmed');
+  });
+
+  it('computes and checks hold expiry', () => {
+    const now = new Date('2026-08-01T12:00:00Z');
+    expect(holdExpiryFrom(48, now)).toBe('2026-08-03T12:00:00.000Z');
+    expect(holdExpiryFrom(0, now)).toBeNull();
+    const hold = { status: 'hold', holdExpiresAt: '2026-08-03T12:00:00Z' };
+    expect(isHoldExpired(hold, now)).toBe(false);
+    expect(isHoldExpired(hold, new Date('2026-08-03T12:00:00Z'))).toBe(true);
+    expect(isHoldExpired({ status: 'hold' }, now)).toBe(false);
+    expect(isHoldExpired({ ...hold, status: 'confirmed' }, new Date('2027-01-01'))).toBe(false);
+  });
+});
+
+describe('reservationsOverlap', () => {
+  const day = { start: '2026-08-10', end: '2026-08-10' };
+
+  it('separates same-day bookings by their hours', () => {
+    const morning = { ...day, startTime: '06:00', endTime: '09:00' };
+    const shoot = { ...day, startTime: '14:00', endTime: '20:00' };
+    expect(reservationsOverlap(morning, shoot)).toBe(false);
+    expect(reservationsOverlap(morning, { ...shoot, startTime: '08:00' })).toBe(true);
+    // Ending exactly when the next one starts is a clean handover
+    expect(reservationsOverlap(morning, { ...shoot, startTime: '09:00' })).toBe(false);
+  });
+
+  it('adds the turnaround after a timed return only', () => {
+    const morning = { ...day, startTime: '06:00', endTime: '09:00' };
+    const noon = { ...day, startTime: '12:00' };
+    expect(reservationsOverlap(morning, noon, 180)).toBe(false);
+    expect(reservationsOverlap(morning, noon, 181)).toBe(true);
+    expect(reservationsOverlap({ start: '2026-08-09', end: '2026-08-09' }, day, 600)).toBe(false);
+  });
+
+  it('treats untimed bookings as whole days', () => {
+    expect(reservationsOverlap(day, { ...day, startTime: '23:00' })).toBe(true);
+    expect(reservationsOverlap(day, { start: '2026-08-11', end: '2026-08-12' })).toBe(false);
+    expect(reservationsOverlap(day, { start: '2026-08-11' })).toBe(false);
+  });
+});
+
+describe('dayTimeline', () => {
+  it('puts whole-day bookings in the all-day strip and lanes the rest', () => {
+    const onDay = { start: '2026-08-10', end: '2026-08-10' };
+    const ev = (id, fields) => ({ groupKey: id, ...onDay, ...fields });
+    const { allDay, timed, lanes } = dayTimeline(
+      [
+        ev('all'),
+        ev('multi', { start: '2026-08-09', end: '2026-08-11', startTime: '09:00' }),
+        ev('a', { startTime: '09:00', endTime: '12:00' }),
+        ev('b', { startTime: '10:00', endTime: '11:00' }),
+        ev('c', { startTime: '12:00', endTime: '13:00' }),
+        ev('late', { start: '2026-08-09', endTime: '08:00' }),
+      ],
+      '2026-08-10',
+    );
+    expect(allDay.map((e) => e.groupKey)).toEqual(['all', 'multi']);
+    expect(timed.map(({ ev: e, from, to, lane }) => [e.groupKey, from, to, lane])).toEqual([
+      ['late', 0, 480, 0],
+      ['a', 540, 720, 0],
+      ['b', 600, 660, 1],
+      ['c', 720, 780, 0],
+    ]);
+    expect(lanes).toBe(2);
+  });
+});
+
+describe('itemTimelineRows', () => {
+  const opts = { today: '2026-08-12', now: new Date('2026-08-12T12:00:00Z') };
+  const row = (item, settings = {}) =>
+    itemTimelineRows([item], '2026-08-09', '2026-08-15', { ...opts, ...settings })[0];
+
+  it('lists the free runs around blocking bookings', () => {
+    const { bars, free } = row({
+      id: 'A',
+      reservations: [
+        { id: 'r1', start: '2026-08-11', end: '2026-08-12' },
+        { id: 'r2', status: 'hold', start: '2026-08-14', end: '2026-08-14' },
+        { id: 'r3', status: 'cancelled', start: '2026-08-09', end: '2026-08-09' },
+        {
+          id: 'r4',
+          status: 'hold',
+          holdExpiresAt: '2026-08-11T00:00:00Z',
+          start: '2026-08-13',
+          end: '2026-08-13',
+        },
+      ],
+    });
+    expect(bars.map((b) => [b.key, b.blocks])).toEqual([
+      ['reservation-r1', true],
+      ['reservation-r2', false],
+    ]);
+    expect(free).toEqual([
+      { start: '2026-08-09', end: '2026-08-10' },
+      { start: '2026-08-13', end: '2026-08-15' },
+    ]);
+  });
+
+  it('runs a late checkout to today and shows it instead of the out booking', () => {
+    const { bars, free } = row({
+      id: 'A',
+      status: 'checked-out',
+      checkedOutTo: 'Sam',
+      checkedOutDate: '2026-08-08',
+      dueBack: '2026-08-10',
+      reservations: [{ id: 'r1', status: 'out', start: '2026-08-08', end: '2026-08-10' }],
+    });
+    expect(bars).toHaveLength(1);
+    expect(bars[0]).toMatchObject({
+      kind: 'checkout',
+      end: '2026-08-12',
+      overdue: true,
+      label: 'Sam',
+    });
+    expect(free[0]).toEqual({ start: '2026-08-13', end: '2026-08-15' });
+  });
+
+  it('keeps an open checkout going to the end of the range', () => {
+    const { bars, free } = row({
+      id: 'A',
+      status: 'checked-out',
+      checkedOutDate: '2026-08-13T15:00:00Z',
+    });
+    expect(bars[0]).toMatchObject({ start: '2026-08-13', end: '2026-08-15', label: 'Checked out' });
+    expect(free).toEqual([{ start: '2026-08-09', end: '2026-08-12' }]);
+  });
+
+  it('blocks maintenance days, through today while in progress', () => {
+    const { bars, free } = row({
+      id: 'A',
+      maintenanceHistory: [
+        { id: 'm1', type: 'Repair', scheduledDate: '2026-08-10', status: 'in-progress' },
+        { id: 'm2', scheduledDate: '2026-08-14', status: 'cancelled' },
+      ],
+    });
+    expect(bars.map((b) => [b.label, b.start, b.end])).toEqual([
+      ['Repair', '2026-08-10', '2026-08-12'],
+    ]);
+    expect(free.map((run) => run.start)).toEqual(['2026-08-09', '2026-08-13']);
+  });
+
+  it('keeps pooled stock free while units are left', () => {
+    const item = {
+      id: 'P',
+      category: 'Grip',
+      quantity: 3,
+      reservations: [
+        { id: 'r1', quantity: 2, start: '2026-08-10', end: '2026-08-10' },
+        { id: 'r2', quantity: 3, start: '2026-08-12', end: '2026-08-12' },
+      ],
+    };
+    const { free } = row(item, { categorySettings: { Grip: { trackQuantity: true } } });
+    expect(free).toEqual([
+      { start: '2026-08-09', end: '2026-08-11' },
+      { start: '2026-08-13', end: '2026-08-15' },
+    ]);
+  });
+});
+
 describe('hasActiveReservation', () => {
+  it('ignores quotes, holds and finished reservations', () => {
+    const reservations = ['quote', 'hold', 'returned', 'cancelled'].map((status) => ({
+      status,
+      start: '2026-08-10',
+      end: '2026-08-12',
+    }));
+    expect(hasActiveReservation({ reservations }, '2026-08-11')).toBe(false);
+  });
+
   it('is true only when a reservation covers the given day', () => {
     const item = {
       reservations: [{ start: '2026-08-10', end: '2026-08-12' }],
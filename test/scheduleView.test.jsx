@@ -1,18 +1,21 @@
 // =============================================================================
 // ScheduleView — permission gating
 // View-level users must not see the New button (RLS rejects their writes);
-// they get the view-only banner instead.
+// they get the view-only banner instead. Each reservation shows its
+// lifecycle stage, and the day view puts timed bookings on an hour grid.
+// The timeline mode gives each item a row and books free days by drag.
 // =============================================================================
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 
-const { permissionsState } = vi.hoisted(() => ({
+const { permissionsState, dataState } = vi.hoisted(() => ({
   permissionsState: { canEdit: true },
+  dataState: { packages: [] },
 }));
 
 vi.mock('../contexts/DataContext.js', () => ({
-  useData: () => ({ tier2Loaded: true }),
+  useData: () => ({ tier2Loaded: true, packages: dataState.packages }),
 }));
 vi.mock('../contexts/PermissionsContext.js', () => ({
   usePermissions: () => ({ canEdit: () => permissionsState.canEdit }),
@@ -23,25 +26,29 @@ vi.mock('../contexts/PermissionsContext.jsx', () => ({
 
 const { default: ScheduleView } = await import('../views/ScheduleView.jsx');
 
-function renderSchedule() {
+function renderSchedule(
+  inventory = [],
+  { view = 'month', mode = 'list', onAddReservation = vi.fn() } = {},
+) {
   return render(
     <ScheduleView
-      inventory={[]}
-      scheduleView="month"
+      inventory={inventory}
+      scheduleView={view}
       setScheduleView={vi.fn()}
       scheduleDate="2026-08-12"
       setScheduleDate={vi.fn()}
-      scheduleMode="list"
+      scheduleMode={mode}
       setScheduleMode={vi.fn()}
       onViewItem={vi.fn()}
       onViewReservation={vi.fn()}
-      onAddReservation={vi.fn()}
+      onAddReservation={onAddReservation}
     />,
   );
 }
 
 beforeEach(() => {
   permissionsState.canEdit = true;
+  dataState.packages = [];
 });
 
 describe('ScheduleView gating', () => {
@@ -58,3 +65,156 @@ describe('ScheduleView gating', () => {
     expect(screen.getByTestId('view-only-banner')).toHaveTextContent('schedule');
   });
 });
+
+describe('ScheduleView stages', () => {
+  it('labels each reservation in the list with its stage', () => {
+    const dates = { start: '2026-08-12', end: '2026-08-13' };
+    renderSchedule([
+      {
+        id: 'CAM1',
+        name: 'Alpha Cam',
+        reservations: [
+          { id: 'r1', groupId: 'g1', project: 'Pencilled Job', status: 'hold', ...dates },
+          { id: 'r2', groupId: 'g2', project: 'Booked Job', status: 'confirmed', ...dates },
+        ],
+      },
+    ]);
+    expect(screen.getByText('Hold')).toBeInTheDocument();
+    expect(screen.getByText('Confirmed')).toBeInTheDocument();
+  });
+});
+
+describe('ScheduleView day view', () => {
+  it('lays timed bookings on the hour grid and keeps whole days above it', () => {
+    const onDay = { start: '2026-08-12', end: '2026-08-12' };
+    renderSchedule(
+      [
+        {
+          id: 'LENS1',
+          name: 'Prime Lens',
+          reservations: [
+            {
+              id: 'r1',
+              groupId: 'g1',
+              project: 'Morning Job',
+              ...onDay,
+              startTime: '06:00',
+              endTime: '09:00:00',
+            },
+            { id: 'r2', groupId: 'g2', project: 'Afternoon Shoot', ...onDay, startTime: '14:00' },
+            { id: 'r3', groupId: 'g3', project: 'All Day Job', ...onDay },
+          ],
+        },
+      ],
+      { view: 'day', mode: 'calendar' },
+    );
+    expect(screen.getByTitle(/Morning Job · Confirmed \(6:00 AM – 9:00 AM\)/)).toBeInTheDocument();
+    expect(
+      screen.getByTitle(/Afternoon Shoot · Confirmed \(2:00 PM – later\)/),
+    ).toBeInTheDocument();
+    expect(screen.getByText('All Day Job')).toBeInTheDocument();
+    expect(screen.queryByTitle(/All Day Job/)).not.toBeInTheDocument();
+  });
+});
+
+describe('ScheduleView timeline', () => {
+  // The week of 2026-08-09 (Sun) to 2026-08-15 (Sat)
+  const inventory = [
+    {
+      id: 'CAM1',
+      name: 'Alpha Cam',
+      category: 'Cameras',
+      reservations: [
+        {
+          id: 'r1',
+          groupId: 'g1',
+          project: 'Booked Job',
+          start: '2026-08-11',
+          end: '2026-08-12',
+        },
+        {
+          id: 'r2',
+          groupId: 'g2',
+          project: 'Pencilled Job',
+          status: 'hold',
+          start: '2026-08-14',
+          end: '2026-08-14',
+        },
+      ],
+    },
+    {
+      id: 'CAM2',
+      name: 'Beta Cam',
+      category: 'Cameras',
+      status: 'checked-out',
+      checkedOutTo: 'Sam',
+      checkedOutDate: '2026-08-08',
+      dueBack: '2026-08-10',
+    },
+    {
+      id: 'LENS1',
+      name: 'Prime Lens',
+      category: 'Lenses',
+      maintenanceHistory: [
+        { id: 'm1', type: 'Cleaning', scheduledDate: '2026-08-13', status: 'scheduled' },
+      ],
+    },
+  ];
+  const cell = (name, day) => screen.getByLabelText(`Reserve ${name} on ${day}`);
+
+  it('gives each item a row with its bookings, checkout and maintenance', () => {
+    renderSchedule(inventory, { view: 'week', mode: 'timeline' });
+    expect(screen.getByTitle('Booked Job · Confirmed (Aug 11–12)')).toBeInTheDocument();
+    expect(screen.getByTitle('Pencilled Job · Hold (Aug 14)')).toBeInTheDocument();
+    expect(
+      screen.getByTitle(/^Sam · Checked out \(overdue, due Aug 10, 2026\)/),
+    ).toBeInTheDocument();
+    expect(screen.getByTitle('Cleaning · Maintenance (Aug 13)')).toBeInTheDocument();
+    // A hold leaves its day free; a confirmed booking does not
+    expect(cell('Alpha Cam', 'Aug 14, 2026')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Reserve Alpha Cam on Aug 11, 2026')).not.toBeInTheDocument();
+    // An overdue checkout holds the item through today
+    expect(screen.queryByLabelText(/^Reserve Beta Cam/)).not.toBeInTheDocument();
+  });
+
+  it('narrows the rows to a package', () => {
+    dataState.packages = [{ id: 'p1', name: 'Lens Kit', items: ['LENS1'] }];
+    renderSchedule(inventory, { view: 'week', mode: 'timeline' });
+    fireEvent.click(screen.getByLabelText('Filter by package'));
+    fireEvent.click(screen.getByRole('option', { name: 'Lens Kit' }));
+    expect(screen.getByText('Prime Lens')).toBeInTheDocument();
+    expect(screen.queryByText('Alpha Cam')).not.toBeInTheDocument();
+  });
+
+  it('starts a reservation for the free days dragged across', () => {
+    const onAddReservation = vi.fn();
+    renderSchedule(inventory, { view: 'week', mode: 'timeline', onAddReservation });
+    fireEvent.pointerDown(cell('Alpha Cam', 'Aug 13, 2026'));
+    fireEvent.pointerOver(cell('Alpha Cam', 'Aug 15, 2026'));
+    fireEvent.pointerUp(cell('Alpha Cam', 'Aug 15, 2026'));
+    expect(onAddReservation).toHaveBeenCalledWith({
+      itemIds: ['CAM1'],
+      itemId: 'CAM1',
+      start: '2026-08-13',
+      end: '2026-08-15',
+    });
+  });
+
+  it('stops a drag at the booking that ends the free run', () => {
+    const onAddReservation = vi.fn();
+    renderSchedule(inventory, { view: 'week', mode: 'timeline', onAddReservation });
+    fireEvent.pointerDown(cell('Alpha Cam', 'Aug 10, 2026'));
+    fireEvent.pointerOver(cell('Alpha Cam', 'Aug 13, 2026'));
+    fireEvent.pointerUp(cell('Alpha Cam', 'Aug 13, 2026'));
+    expect(onAddReservation).toHaveBeenCalledWith(
+      expect.objectContaining({ start: '2026-08-10', end: '2026-08-10' }),
+    );
+  });
+
+  it('offers no free slots to view-only users', () => {
+    permissionsState.canEdit = false;
+    renderSchedule(inventory, { view: 'week', mode: 'timeline' });
+    expect(screen.getByTitle('Booked Job · Confirmed (Aug 11–12)')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/^Reserve /)).not.toBeInTheDocument();
+  });
+});
@@ -27,6 +27,12 @@ import {
   locationsService,
   usersService,
   checkoutHistoryService,
+  itemRevisionsService,
+  calendarFeedsService,
+  clientPortalService,
+  checkoutAgreementsService,
+  borrowersService,
+  checkoutDepositsService,
 } from '../lib/services.js';
 
 // =============================================================================
@@ -694,6 +700,24 @@ describe('usersService', () => {
 // =============================================================================
 
 describe('checkoutHistoryService', () => {
+  it('maps open damage reports by item', async () => {
+    const client = createMockSupabaseClient([
+      { item_id: 'CAM1', reported_at: '2026-10-10T15:00:00Z', description: 'Cracked mount' },
+    ]);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(checkoutHistoryService.getOpenDamageReports(['CAM1', 'LENS1'])).resolves.toEqual({
+      CAM1: { reportedAt: '2026-10-10T15:00:00Z', description: 'Cracked mount' },
+    });
+    expect(client.rpc).toHaveBeenCalledWith('open_damage_reports', {
+      p_item_ids: ['CAM1', 'LENS1'],
+    });
+  });
+
+  it('skips the damage report lookup for no items', async () => {
+    await expect(checkoutHistoryService.getOpenDamageReports([])).resolves.toEqual({});
+    expect(getSupabase).not.toHaveBeenCalled();
+  });
+
   describe('create', () => {
     it('should create a checkout record', async () => {
       const record = {
@@ -708,6 +732,83 @@ describe('checkoutHistoryService', () => {
       expect(result).toBeDefined();
     });
   });
+
+  describe('getForReservation', () => {
+    it('merges linked and same-project checkouts with the returns since the earliest', async () => {
+      const linked = {
+        id: 'h1',
+        item_id: 'CAM001',
+        action: 'checkout',
+        reservation_id: 'r1',
+        timestamp: '2026-11-01T16:00:00Z',
+      };
+      const unlinked = {
+        id: 'h2',
+        item_id: 'MIC001',
+        action: 'checkout',
+        project: 'Smith Wedding',
+        timestamp: '2026-11-02T08:00:00Z',
+      };
+      const returned = {
+        id: 'h3',
+        item_id: 'CAM001',
+        action: 'checkin',
+        reservation_id: 'r1',
+        timestamp: '2026-11-03T09:00:00Z',
+      };
+      const client = createMockSupabaseClient();
+      client.from
+        .mockReturnValueOnce(createChain([linked], null))
+        .mockReturnValueOnce(createChain([linked, unlinked], null))
+        .mockReturnValueOnce(createChain([returned], null));
+      getSupabase.mockResolvedValueOnce(client).mockResolvedValueOnce(client);
+
+      const result = await checkoutHistoryService.getForReservation({
+        reservationIds: ['r1'],
+        project: 'Smith Wedding',
+        itemIds: ['CAM001'],
+        sinceISO: '2026-11-02T00:00:00.000Z',
+      });
+
+      expect(result.map((r) => [r.id, r.itemId, r.reservationId ?? null])).toEqual([
+        ['h1', 'CAM001', 'r1'],
+        ['h2', 'MIC001', null],
+        ['h3', 'CAM001', 'r1'],
+      ]);
+      expect(client.from).toHaveBeenCalledTimes(3);
+    });
+  });
+});
+
+describe('itemRevisionsService', () => {
+  it('maps revision columns to frontend field names', async () => {
+    const row = {
+      id: 'rev-1',
+      item_id: 'CAM001',
+      changed_at: '2026-10-12T09:00:00Z',
+      changed_by: 'u1',
+      changed_by_name: 'Sam',
+      changes: {
+        location_display: { from: 'Shelf A', to: 'Shelf B' },
+        current_value: { from: 3500, to: 3000 },
+        brand: { from: null, to: 'Sony' },
+      },
+    };
+    getSupabase.mockResolvedValueOnce(createMockSupabaseClient([row]));
+    const [revision] = await itemRevisionsService.getByItemId('CAM001');
+    expect(revision).toEqual({
+      id: 'rev-1',
+      itemId: 'CAM001',
+      changedAt: '2026-10-12T09:00:00Z',
+      changedBy: 'u1',
+      changedByName: 'Sam',
+      changes: [
+        { field: 'location', from: 'Shelf A', to: 'Shelf B' },
+        { field: 'currentValue', from: 3500, to: 3000 },
+        { field: 'brand', from: null, to: 'Sony' },
+      ],
+    });
+  });
 });
 
 // =============================================================================
@@ -791,3 +892,262 @@ describe('clientsService (extended)', () => {
     });
   });
 });
+
+describe('calendarFeedsService', () => {
+  it('returns feeds in frontend shape with their subscription URL', async () => {
+    const row = {
+      id: 'f1',
+      token: 'a'.repeat(64),
+      owner_id: 'u1',
+      client_id: null,
+      include_maintenance: true,
+      last_fetched_at: null,
+    };
+    getSupabase.mockResolvedValueOnce(createMockSupabaseClient([row]));
+    const [feed] = await calendarFeedsService.getMine('u1');
+    expect(feed).toMatchObject({ id: 'f1', ownerId: 'u1', includeMaintenance: true });
+    expect(feed.url).toBe(
+      `https://test.supabase.co/functions/v1/calendar-feed?token=${'a'.repeat(64)}`,
+    );
+  });
+
+  it('exports through the calendar-feed function and surfaces its error', async () => {
+    const client = createMockSupabaseClient('BEGIN:VCALENDAR');
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(calendarFeedsService.exportIcs({ clientId: 'CL1' })).resolves.toBe(
+      'BEGIN:VCALENDAR',
+    );
+    expect(client.functions.invoke).toHaveBeenCalledWith('calendar-feed', {
+      body: { clientId: 'CL1', includeMaintenance: false },
+    });
+
+    const failing = createMockSupabaseClient(null, {
+      message: 'Edge Function returned a non-2xx status code',
+      context: {
+        status: 403,
+        json: async () => ({ error: 'Client calendars require clients access' }),
+      },
+    });
+    getSupabase.mockResolvedValueOnce(failing);
+    await expect(calendarFeedsService.exportIcs({ clientId: 'CL1' })).rejects.toThrow(
+      'Client calendars require clients access',
+    );
+  });
+});
+
+describe('clientPortalService', () => {
+  it('returns links in frontend shape with the portal page URL', async () => {
+    const row = {
+      id: 'l1',
+      token: 'b'.repeat(64),
+      client_id: 'CL1',
+      created_by_name: 'Sam',
+      expires_at: '2026-11-18T00:00:00Z',
+      last_used_at: null,
+    };
+    getSupabase.mockResolvedValueOnce(createMockSupabaseClient([row]));
+    const [link] = await clientPortalService.getLinks('CL1');
+    expect(link).toMatchObject({ id: 'l1', clientId: 'CL1', expiresAt: '2026-11-18T00:00:00Z' });
+    expect(link.url).toBe(`${window.location.origin}/portal/${'b'.repeat(64)}`);
+  });
+
+  it('adds catalog entries by item or package', async () => {
+    const client = createMockSupabaseClient({ id: 'e1', package_id: 'PK1', item_id: null });
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(clientPortalService.addToCatalog({ packageId: 'PK1' })).resolves.toMatchObject({
+      id: 'e1',
+      packageId: 'PK1',
+    });
+    expect(client.from).toHaveBeenCalledWith('portal_catalog');
+  });
+});
+
+describe('checkoutAgreementsService', () => {
+  it('stores an agreement and returns it in frontend shape', async () => {
+    const row = { id: 'AG1', kind: 'checkout', signer_name: 'Jordan', due_back: '2026-09-01' };
+    const client = createMockSupabaseClient(row);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(
+      checkoutAgreementsService.create({ kind: 'checkout', signerName: 'Jordan' }),
+    ).resolves.toMatchObject({ id: 'AG1', signerName: 'Jordan', dueBack: '2026-09-01' });
+    expect(client.from).toHaveBeenCalledWith('checkout_agreements');
+  });
+
+  it('writes the terms, items and signature and drops unmapped keys', async () => {
+    const insert = vi.fn(() => ({
+      select: () => ({ single: () => Promise.resolve({ data: { id: 'AG1' }, error: null }) }),
+    }));
+    getSupabase.mockResolvedValueOnce({ from: vi.fn(() => ({ insert })) });
+    await checkoutAgreementsService.create({
+      kind: 'checkout',
+      signerName: 'Jordan',
+      items: [{ id: 'CAM1' }],
+      terms: 'Terms',
+      signature: 'data:image/png;base64,AAA',
+      dueBack: '2026-09-01',
+      itemCount: 1,
+    });
+    expect(insert).toHaveBeenCalledWith({
+      kind: 'checkout',
+      signer_name: 'Jordan',
+      items: [{ id: 'CAM1' }],
+      terms: 'Terms',
+      signature: 'data:image/png;base64,AAA',
+      due_back: '2026-09-01',
+    });
+  });
+
+  it('links history rows through the RPC', async () => {
+    const client = createMockSupabaseClient(1);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(checkoutAgreementsService.link('AG1', ['H1'])).resolves.toBe(1);
+    expect(client.rpc).toHaveBeenCalledWith('link_checkout_agreement', {
+      p_agreement_id: 'AG1',
+      p_history_ids: ['H1'],
+    });
+  });
+});
+
+describe('borrowersService', () => {
+  it('returns accounts in frontend shape', async () => {
+    const row = { id: 'b1', name: 'Jordan Lee', max_items: 3, deposit_required: 250 };
+    const client = createMockSupabaseClient([row]);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(borrowersService.getAll()).resolves.toMatchObject([
+      { id: 'b1', name: 'Jordan Lee', maxItems: 3, depositRequired: 250 },
+    ]);
+    expect(client.from).toHaveBeenCalledWith('borrowers');
+  });
+
+  it('writes form fields only, with empty limits as NULL', async () => {
+    const update = vi.fn(() => ({
+      eq: () => ({
+        select: () => ({ single: () => Promise.resolve({ data: { id: 'b1' }, error: null }) }),
+      }),
+    }));
+    getSupabase.mockResolvedValueOnce({ from: vi.fn(() => ({ update })) });
+    await borrowersService.update('b1', {
+      id: 'b1',
+      name: 'Jordan Lee',
+      maxItems: null,
+      blocked: true,
+      blockedReason: 'Lost a lens',
+      createdAt: '2026-01-01',
+    });
+    expect(update).toHaveBeenCalledWith({
+      name: 'Jordan Lee',
+      max_items: null,
+      blocked: true,
+      blocked_reason: 'Lost a lens',
+    });
+  });
+
+  it('rejects an invalid account before writing', async () => {
+    await expect(borrowersService.create({ name: 'J', blocked: true })).rejects.toThrow(
+      'Say why the borrower is blocked',
+    );
+  });
+
+  it('links history rows and reads the history through RPCs', async () => {
+    const client = createMockSupabaseClient(2);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(borrowersService.link('b1', ['H1', 'H2'])).resolves.toBe(2);
+    expect(client.rpc).toHaveBeenCalledWith('link_checkout_borrower', {
+      p_borrower_id: 'b1',
+      p_history_ids: ['H1', 'H2'],
+    });
+
+    const history = [
+      { history_id: 'H1', item_id: 'CAM1', item_name: 'Alpha Cam', due_back: '2026-09-01' },
+    ];
+    const historyClient = createMockSupabaseClient(history);
+    getSupabase.mockResolvedValueOnce(historyClient);
+    await expect(borrowersService.getHistory('b1')).resolves.toMatchObject([
+      { historyId: 'H1', itemId: 'CAM1', itemName: 'Alpha Cam', dueBack: '2026-09-01' },
+    ]);
+    expect(historyClient.rpc).toHaveBeenCalledWith('borrower_history', { p_borrower_id: 'b1' });
+  });
+});
+
+describe('checkoutDepositsService', () => {
+  it('returns the ledger newest first in frontend shape', async () => {
+    const row = { id: 'D1', borrower_name: 'Jordan Lee', amount: 250, item_ids: ['CAM1'] };
+    const client = createMockSupabaseClient([row]);
+    getSupabase.mockResolvedValueOnce(client);
+    await expect(checkoutDepositsService.getAll()).resolves.toMatchObject([
+      { id: 'D1', borrowerName: 'Jordan Lee', amount: 250, itemIds: ['CAM1'] },
+    ]);
+    expect(client.from).toHaveBeenCalledWith('checkout_deposits');
+  });
+
+  it('writes the deposit fields only, leaving status to the database', async () => {
+    const insert = vi.fn(() => ({
+      select: () => ({ single: () => Promise.resolve({ data: { id: 'D1' }, error: null }) }),
+    }));
+    getSupabase.mockResolvedValueOnce({ from: vi.fn(() => ({ insert })) });
+    await checkoutDepositsService.create({
+      borrowerId: 'b1',
+      borrowerName: 'Jordan Lee',
+      itemIds: ['CAM1'],
+      amount: 250,
+      method: 'card',
+      receivedByName: 'Alex',
+      status: 'refunded',
+    });
+    expect(insert).toHaveBeenCalledWith({
+      borrower_id: 'b1',
+      borrower_name: 'Jordan Lee',
+      item_ids: ['CAM1'],
+      amount: 250,
+      method: 'card',
+      received_by_name: 'Alex',
+    });
+  });
+
+  it('rejects a deposit without an amount before writing', async () => {
+    await expect(
+      checkoutDepositsService.create({ borrowerName: 'Jordan Lee', amount: 0 }),
+    ).rejects.toThrow('Deposit amount must be above zero');
+  });
+
+  it('settles only a held deposit, stamping who and when', async () => {
+    const eq = vi.fn(() => chain);
+    const chain = {
+      eq,
+      select: () => ({
+        maybeSingle: () =>
+          Promise.resolve({ data: { id: 'D1', status: 'partially_refunded' }, error: null }),
+      }),
+    };
+    const update = vi.fn(() => chain);
+    getSupabase.mockResolvedValueOnce({ from: vi.fn(() => ({ update })) });
+    await expect(
+      checkoutDepositsService.settle('D1', {
+        status: 'partially_refunded',
+        deductedAmount: 120,
+        deductionReason: 'Dent',
+        settledByName: 'Alex',
+      }),
+    ).resolves.toMatchObject({ id: 'D1', status: 'partially_refunded' });
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'partially_refunded',
+        deducted_amount: 120,
+        deduction_reason: 'Dent',
+        settled_by_name: 'Alex',
+        settled_at: expect.any(String),
+      }),
+    );
+    expect(eq.mock.calls).toEqual([
+      ['id', 'D1'],
+      ['status', 'held'],
+    ]);
+  });
+
+  it('reports a deposit that was already settled', async () => {
+    getSupabase.mockResolvedValueOnce(createMockSupabaseClient(null));
+    await expect(
+      checkoutDepositsService.settle('D1', { status: 'refunded', deductedAmount: 0 }),
+    ).rejects.toThrow('This deposit has already been settled');
+  });
+});
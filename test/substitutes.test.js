@@ -0,0 +1,95 @@
+// =============================================================================
+// Substitute suggestions
+// Equivalence-group members come first; otherwise a stand-in needs the same
+// category and every key spec the booked item has filled in. Busy items and
+// items already on the reservation are never offered.
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { findSubstitutes, substituteKeySpecs } from '../lib/substitutes.js';
+
+const START = '2026-11-02';
+const END = '2026-11-04';
+
+const lens = (id, name, specs, reservations = []) => ({
+  id,
+  name,
+  category: 'Lenses',
+  status: 'available',
+  specs,
+  reservations,
+});
+
+const specs = {
+  Lenses: [
+    { name: 'Lens Mount', substituteKey: true },
+    { name: 'Focal Length', substituteKey: true },
+    { name: 'Weight' },
+  ],
+  Lighting: [{ name: 'Color Temp' }],
+};
+
+const booked = lens('LN1', 'Sony 24-70 GM', { 'Lens Mount': 'Sony E', 'Focal Length': '24-70mm' });
+
+describe('substituteKeySpecs', () => {
+  it('lists only the flagged fields', () => {
+    expect(substituteKeySpecs('Lenses', specs)).toEqual(['Lens Mount', 'Focal Length']);
+    expect(substituteKeySpecs('Lighting', specs)).toEqual([]);
+  });
+});
+
+describe('findSubstitutes', () => {
+  const twin = lens('LN2', 'Sigma 24-70', { 'Lens Mount': ' sony e ', 'Focal Length': '24-70mm' });
+  const otherMount = lens('LN3', 'Canon 24-70', {
+    'Lens Mount': 'Canon RF',
+    'Focal Length': '24-70mm',
+  });
+  const busyTwin = lens('LN4', 'Tamron 24-70', booked.specs, [
+    { id: 'r1', project: 'Other', start: '2026-11-03', end: '2026-11-05' },
+  ]);
+  const grouped = lens('LN5', 'Zeiss Prime', { 'Lens Mount': 'PL' });
+
+  it('matches key specs case- and space-insensitively and skips busy items', () => {
+    const result = findSubstitutes(booked, [booked, twin, otherMount, busyTwin], {
+      start: START,
+      end: END,
+      specs,
+    });
+    expect(result.map((r) => r.item.id)).toEqual(['LN2']);
+    expect(result[0]).toMatchObject({ reason: 'specs', matched: ['Lens Mount', 'Focal Length'] });
+  });
+
+  it('puts equivalence-group members first whatever their specs', () => {
+    const result = findSubstitutes(booked, [twin, grouped], {
+      start: START,
+      end: END,
+      specs,
+      equivalenceGroups: [{ id: 'g1', name: 'Swappable', itemIds: ['LN1', 'LN5'] }],
+    });
+    expect(result.map((r) => [r.item.id, r.reason])).toEqual([
+      ['LN5', 'equivalent'],
+      ['LN2', 'specs'],
+    ]);
+  });
+
+  it('offers nothing by specs when the category has no key fields', () => {
+    const light = {
+      id: 'LT1',
+      name: 'Light',
+      category: 'Lighting',
+      specs: { 'Color Temp': '5600K' },
+    };
+    const other = { ...light, id: 'LT2', name: 'Other light' };
+    expect(findSubstitutes(light, [light, other], { start: START, end: END, specs })).toEqual([]);
+  });
+
+  it('leaves out items already on the reservation', () => {
+    const result = findSubstitutes(booked, [twin], {
+      start: START,
+      end: END,
+      specs,
+      excludeIds: ['LN2'],
+    });
+    expect(result).toEqual([]);
+  });
+});
@@ -714,6 +714,8 @@ describe('openEditItem', () => {
       purchaseDate: '',
       purchasePrice: '',
       currentValue: '',
+      dayRate: '',
+      weekRate: '',
       serialNumber: '',
       condition: 'Excellent',
       image: null,
@@ -0,0 +1,227 @@
+// =============================================================================
+// Utilization (lib/utilization) — days out over days owned, rebuilt from
+// checkout history: paired and unpaired events, items out now, ownership
+// starting mid-window, reserved days, idle streaks, roll-ups, ROI and the
+// sell-candidate rules
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  computeUtilization,
+  trailingWindow,
+  maintenanceCost,
+  itemROI,
+} from '../lib/utilization.js';
+
+// 30 local days
+const OCTOBER = { start: '2026-10-01', end: '2026-10-30' };
+const owned = { purchaseDate: '2026-01-01', status: 'available' };
+// Local noon, so the calendar day is the same in every timezone
+const at = (day) => `${day}T12:00:00`;
+const event = (itemId, action, day) => ({ itemId, action, timestamp: at(day) });
+
+const rowFor = (result, id) => result.items.find((r) => r.id === id);
+
+describe('trailingWindow', () => {
+  it('ends today and counts today as one of its days', () => {
+    expect(trailingWindow(30, '2026-10-30')).toEqual(OCTOBER);
+  });
+});
+
+describe('computeUtilization — days out', () => {
+  it('counts each day of a checkout through its check-in', () => {
+    const result = computeUtilization({
+      inventory: [{ id: 'CAM', name: 'Cam', ...owned }],
+      events: [event('CAM', 'checkin', '2026-10-07'), event('CAM', 'checkout', '2026-10-05')],
+      window: OCTOBER,
+    });
+    expect(result.days).toBe(30);
+    expect(rowFor(result, 'CAM')).toMatchObject({
+      daysOwned: 30,
+      daysOut: 3,
+      utilization: 0.1,
+      lastOutDate: '2026-10-07',
+      longestIdle: 23,
+      currentIdle: 23,
+    });
+  });
+
+  it('treats a check-in with no checkout before it as out since the window opened', () => {
+    const result = computeUtilization({
+      inventory: [{ id: 'CAM', name: 'Cam', ...owned }],
+      events: [
+        event('CAM', 'checkin', '2026-10-03'),
+        event('CAM', 'checkout', '2026-10-10'),
+        event('CAM', 'checkin', '2026-10-10'),
+      ],
+      window: OCTOBER,
+    });
+    expect(rowFor(result, 'CAM').daysOut).toBe(4);
+  });
+
+  it('runs an item that is out now to the end of the window', () => {
+    const result = computeUtilization({
+      inventory: [
+        { id: 'OPEN', name: 'Open', ...owned, status: 'checked-out' },
+        { id: 'OLD', name: 'Old', ...owned, status: 'checked-out', checkedOutDate: '2026-10-25' },
+        { id: 'LOST', name: 'Lost', ...owned },
+      ],
+      events: [event('OPEN', 'checkout', '2026-10-21'), event('LOST', 'checkout', '2026-10-02')],
+      window: OCTOBER,
+    });
+    expect(rowFor(result, 'OPEN')).toMatchObject({ daysOut: 10, currentIdle: 0 });
+    // Out since before the events reach back
+    expect(rowFor(result, 'OLD').daysOut).toBe(6);
+    // Back without a logged check-in: only the checkout day counts
+    expect(rowFor(result, 'LOST').daysOut).toBe(1);
+  });
+
+  it('only counts the days an item was owned, and skips quantity-tracked stock', () => {
+    const result = computeUtilization({
+      inventory: [
+        { id: 'NEW', name: 'New', purchaseDate: '2026-10-21' },
+        { id: 'LATER', name: 'Later', purchaseDate: '2026-11-02' },
+        { id: 'ADDED', name: 'Added', createdAt: '2026-10-26T09:00:00' },
+        { id: 'TAPE', name: 'Tape', category: 'Consumables', ...owned },
+      ],
+      events: [event('NEW', 'checkout', '2026-10-15'), event('NEW', 'checkin', '2026-10-22')],
+      window: OCTOBER,
+      categorySettings: { Consumables: { trackQuantity: true } },
+    });
+    expect(result.items.map((r) => r.id)).toEqual(['NEW', 'ADDED']);
+    expect(rowFor(result, 'NEW')).toMatchObject({ daysOwned: 10, daysOut: 2 });
+    expect(rowFor(result, 'ADDED').daysOwned).toBe(5);
+  });
+
+  it('adds booked days that were not out, ignoring quotes and holds', () => {
+    const result = computeUtilization({
+      inventory: [
+        {
+          id: 'CAM',
+          name: 'Cam',
+          ...owned,
+          reservations: [
+            { id: 'r1', start: '2026-10-05', end: '2026-10-08', status: 'returned' },
+            { id: 'r2', start: '2026-10-15', end: '2026-10-16', status: 'quote' },
+            { id: 'r3', start: '2026-10-29', end: '2026-11-04' },
+          ],
+        },
+      ],
+      events: [event('CAM', 'checkout', '2026-10-06'), event('CAM', 'checkin', '2026-10-08')],
+      window: OCTOBER,
+    });
+    expect(rowFor(result, 'CAM')).toMatchObject({
+      daysOut: 3,
+      daysReserved: 3,
+      bookedRate: 0.2,
+      bookedAhead: true,
+    });
+  });
+});
+
+describe('computeUtilization — roll-ups', () => {
+  it('weights categories and packages by owned days', () => {
+    const result = computeUtilization({
+      inventory: [
+        { id: 'CAM1', name: 'Cam 1', category: 'Cameras', ...owned },
+        { id: 'CAM2', name: 'Cam 2', category: 'Cameras', purchaseDate: '2026-10-21' },
+        { id: 'MIC', name: 'Mic', category: 'Audio', ...owned },
+      ],
+      events: [
+        event('CAM2', 'checkout', '2026-10-21'),
+        event('CAM2', 'checkin', '2026-10-30'),
+        event('MIC', 'checkout', '2026-10-01'),
+        event('MIC', 'checkin', '2026-10-03'),
+      ],
+      window: OCTOBER,
+      packages: [
+        { id: 'P1', name: 'Interview Kit', items: ['CAM1', 'MIC'] },
+        { id: 'P2', name: 'Gone', items: ['SOLD'] },
+      ],
+    });
+    expect(result.byCategory).toEqual([
+      { category: 'Cameras', items: 2, daysOut: 10, daysOwned: 40, utilization: 0.25 },
+      { category: 'Audio', items: 1, daysOut: 3, daysOwned: 30, utilization: 0.1 },
+    ]);
+    expect(result.byPackage).toEqual([
+      { id: 'P1', name: 'Interview Kit', items: 2, daysOut: 3, daysOwned: 60, utilization: 0.05 },
+    ]);
+    expect(result.overall).toMatchObject({ items: 3, daysOut: 13, daysOwned: 70 });
+  });
+});
+
+describe('ROI', () => {
+  it('charges completed, non-warranty maintenance only', () => {
+    const item = {
+      maintenanceHistory: [
+        { status: 'completed', cost: 120 },
+        { status: 'completed', cost: '30.5' },
+        { status: 'completed', cost: 400, warrantyWork: true },
+        { status: 'scheduled', cost: 90 },
+      ],
+    };
+    expect(maintenanceCost(item)).toBe(150.5);
+    expect(maintenanceCost({})).toBe(0);
+  });
+
+  it('measures earnings less upkeep against the purchase price', () => {
+    expect(itemROI({ purchasePrice: 1000, revenue: 1600, maintenance: 100 })).toBe(0.5);
+    expect(itemROI({ purchasePrice: 1000, revenue: 0, maintenance: 0 })).toBe(-1);
+    expect(itemROI({ purchasePrice: null, revenue: 1600, maintenance: 0 })).toBeNull();
+    expect(itemROI({ purchasePrice: 1000, revenue: null, maintenance: 0 })).toBeNull();
+  });
+
+  it('leaves revenue and ROI unknown without billing data', () => {
+    const inventory = [{ id: 'CAM', name: 'Cam', ...owned, purchasePrice: 1000 }];
+    const unknown = computeUtilization({ inventory, events: [], window: OCTOBER });
+    expect(rowFor(unknown, 'CAM')).toMatchObject({ revenue: null, roi: null });
+
+    const billed = computeUtilization({
+      inventory,
+      events: [],
+      window: OCTOBER,
+      revenueByItem: { CAM: { revenue: 2500 } },
+    });
+    expect(rowFor(billed, 'CAM')).toMatchObject({ revenue: 2500, roi: 1.5 });
+  });
+});
+
+describe('sell candidates', () => {
+  // 91 days, August through October
+  const QUARTER = { start: '2026-08-01', end: '2026-10-30' };
+
+  it('lists owned, idle, unbooked gear by value', () => {
+    const result = computeUtilization({
+      inventory: [
+        { id: 'LITE', name: 'Light', ...owned, purchasePrice: 300 },
+        { id: 'LENS', name: 'Lens', ...owned, purchasePrice: 900, currentValue: 700 },
+        // Used recently
+        { id: 'CAM', name: 'Cam', ...owned },
+        // Idle, but someone has it booked
+        {
+          id: 'DRONE',
+          name: 'Drone',
+          ...owned,
+          reservations: [{ id: 'r1', start: '2026-11-10', end: '2026-11-12', status: 'confirmed' }],
+        },
+        // Idle, but out right now
+        { id: 'MIC', name: 'Mic', ...owned, status: 'checked-out', checkedOutDate: '2026-10-30' },
+        // Not owned long enough to judge
+        { id: 'NEW', name: 'New', purchaseDate: '2026-10-10' },
+      ],
+      events: [event('CAM', 'checkout', '2026-10-01'), event('CAM', 'checkin', '2026-10-10')],
+      window: QUARTER,
+    });
+    expect(result.sellCandidates.map((r) => r.id)).toEqual(['LENS', 'LITE']);
+  });
+
+  it('tolerates a single day out', () => {
+    const result = computeUtilization({
+      inventory: [{ id: 'LITE', name: 'Light', ...owned }],
+      events: [event('LITE', 'checkout', '2026-08-02'), event('LITE', 'checkin', '2026-08-02')],
+      window: QUARTER,
+    });
+    expect(result.sellCandidates).toHaveLength(1);
+    expect(result.sellCandidates[0]).toMatchObject({ daysOut: 1, currentIdle: 89 });
+  });
+});
@@ -12,6 +12,8 @@ import {
   getTodayISO,
   isOverdue,
   getAllReservationConflicts,
+  getPooledBookedQuantity,
+  formatTime,
   formatMoney,
   formatPhoneNumber,
   sanitizeCSVCell,
@@ -25,6 +27,7 @@ import {
   rankBySearchRelevance,
   isItemOverdue,
   isLowStock,
+  getOnHandQuantity,
   matchesStatusSelection,
   filterByCategory,
   addReplyToNote,
@@ -142,6 +145,21 @@ describe('formatDateTime', () => {
   });
 });
 
+describe('formatTime', () => {
+  it('formats form and database times on a 12-hour clock', () => {
+    expect(formatTime('09:05')).toBe('9:05 AM');
+    expect(formatTime('14:30:00')).toBe('2:30 PM');
+    expect(formatTime('00:00')).toBe('12:00 AM');
+    expect(formatTime('12:00')).toBe('12:00 PM');
+  });
+
+  it('returns empty for missing or invalid times', () => {
+    expect(formatTime('')).toBe('');
+    expect(formatTime(null)).toBe('');
+    expect(formatTime('25:00')).toBe('');
+  });
+});
+
 describe('getTodayISO', () => {
   it('should return date in ISO format (YYYY-MM-DD)', () => {
     const today = getTodayISO();
@@ -246,6 +264,140 @@ describe('getAllReservationConflicts', () => {
   });
 });
 
+describe('getAllReservationConflicts (times of day)', () => {
+  const lens = {
+    id: 'lens1',
+    category: 'Lenses',
+    status: 'available',
+    reservations: [
+      { id: 'am', start: '2025-01-05', end: '2025-01-05', startTime: '06:00', endTime: '09:00:00' },
+    ],
+  };
+
+  it('books the same lens for the afternoon after a morning return', () => {
+    const pm = { startTime: '14:00', endTime: '18:00' };
+    expect(
+      getAllReservationConflicts(lens, '2025-01-05', '2025-01-05', null, pm).hasConflicts,
+    ).toBe(false);
+    const early = { startTime: '08:30', endTime: '12:00' };
+    expect(
+      getAllReservationConflicts(lens, '2025-01-05', '2025-01-05', null, early).hasConflicts,
+    ).toBe(true);
+  });
+
+  it("holds the category's turnaround after a timed return", () => {
+    const opts = (turnaroundMinutes) => ({
+      startTime: '10:00',
+      categorySettings: { Lenses: { turnaroundMinutes } },
+    });
+    expect(
+      getAllReservationConflicts(lens, '2025-01-05', '2025-01-06', null, opts(60)).hasConflicts,
+    ).toBe(false);
+    expect(
+      getAllReservationConflicts(lens, '2025-01-05', '2025-01-06', null, opts(90)).hasConflicts,
+    ).toBe(true);
+  });
+
+  it('treats a booking without times as the whole day', () => {
+    expect(getAllReservationConflicts(lens, '2025-01-05', '2025-01-05').hasConflicts).toBe(true);
+    // Back-to-back untimed days never clash, whatever the turnaround
+    const untimed = {
+      ...lens,
+      reservations: [{ id: 'd1', start: '2025-01-04', end: '2025-01-04' }],
+    };
+    expect(
+      getAllReservationConflicts(untimed, '2025-01-05', '2025-01-05', null, {
+        categorySettings: { Lenses: { turnaroundMinutes: 120 } },
+      }).hasConflicts,
+    ).toBe(false);
+  });
+});
+
+describe('getAllReservationConflicts (pooled stock)', () => {
+  const categorySettings = { Grip: { trackQuantity: true } };
+  const cStands = {
+    id: 'grip1',
+    category: 'Grip',
+    status: 'available',
+    quantity: 20,
+    quantityOut: 0,
+    reservations: [
+      { id: 'res1', start: '2025-01-01', end: '2025-01-03', quantity: 8 },
+      { id: 'res2', start: '2025-01-02', end: '2025-01-04', quantity: 6 },
+    ],
+  };
+
+  it('overlapping bookings only conflict once the pool runs out', () => {
+    const opts = { categorySettings, quantity: 6 };
+    const fits = getAllReservationConflicts(cStands, '2025-01-02', '2025-01-02', null, opts);
+    expect(fits).toMatchObject({ hasConflicts: false, booked: 14, onHand: 20 });
+    expect(fits.reservationConflicts).toEqual([]);
+
+    const over = getAllReservationConflicts(cStands, '2025-01-02', '2025-01-02', null, {
+      categorySettings,
+      quantity: 7,
+    });
+    expect(over.hasConflicts).toBe(true);
+    expect(over.reservationConflicts.map((r) => r.id)).toEqual(['res1', 'res2']);
+  });
+
+  it('measures against what is on hand, not what is owned', () => {
+    const result = getAllReservationConflicts(
+      { ...cStands, quantityOut: 5 },
+      '2025-01-02',
+      '2025-01-02',
+      null,
+      { categorySettings, quantity: 2 },
+    );
+    expect(result).toMatchObject({ hasConflicts: true, booked: 14, onHand: 15 });
+  });
+
+  it('excludes the reservation being edited', () => {
+    const result = getAllReservationConflicts(cStands, '2025-01-02', '2025-01-02', 'res1', {
+      categorySettings,
+      quantity: 14,
+    });
+    expect(result).toMatchObject({ hasConflicts: false, booked: 6 });
+  });
+
+  it('without category settings a pooled row still books as a single item', () => {
+    expect(getAllReservationConflicts(cStands, '2025-01-02', '2025-01-02').hasConflicts).toBe(true);
+  });
+});
+
+describe('getPooledBookedQuantity', () => {
+  it('takes the busiest day, not the sum of every booking in the range', () => {
+    const item = {
+      reservations: [
+        { id: 'a', start: '2025-01-01', end: '2025-01-02', quantity: 8 },
+        { id: 'b', start: '2025-01-05', end: '2025-01-06', quantity: 10 },
+        { id: 'c', start: '2025-01-06', end: '2025-01-09', quantity: 3 },
+      ],
+    };
+    expect(getPooledBookedQuantity(item, '2025-01-01', '2025-01-10')).toBe(13);
+    expect(getPooledBookedQuantity(item, '2025-01-01', '2025-01-03')).toBe(8);
+  });
+
+  it('measures a timed booking only against the hours it covers', () => {
+    const item = {
+      reservations: [
+        { id: 'a', start: '2025-01-05', end: '2025-01-05', endTime: '09:00', quantity: 8 },
+        { id: 'b', start: '2025-01-05', end: '2025-01-05', startTime: '13:00', quantity: 5 },
+      ],
+    };
+    const afternoon = { startTime: '12:00', endTime: '17:00' };
+    expect(getPooledBookedQuantity(item, '2025-01-05', '2025-01-05', null, afternoon)).toBe(5);
+    expect(getPooledBookedQuantity(item, '2025-01-05', '2025-01-05')).toBe(8);
+  });
+
+  it('counts legacy rows without a quantity as one unit', () => {
+    const item = { reservations: [{ id: 'a', start: '2025-01-01', end: '2025-01-02' }] };
+    expect(getPooledBookedQuantity(item, '2025-01-02', '2025-01-02')).toBe(1);
+    expect(getPooledBookedQuantity(item, '2025-02-01', '2025-02-02')).toBe(0);
+    expect(getPooledBookedQuantity(null, '2025-02-01', '2025-02-02')).toBe(0);
+  });
+});
+
 // =============================================================================
 // Money Formatting Tests
 // =============================================================================
@@ -274,6 +426,11 @@ describe('formatMoney', () => {
   it('should round decimal values', () => {
     expect(formatMoney(1234.56)).toBe('$1,235');
   });
+
+  it('should keep cents when asked', () => {
+    expect(formatMoney(1234.5, { cents: true })).toBe('$1,234.50');
+    expect(formatMoney(null, { cents: true })).toBe('$0.00');
+  });
 });
 
 // =============================================================================
@@ -498,6 +655,16 @@ describe('isLowStock', () => {
     expect(isLowStock({ ...on, quantity: 1, reorderPoint: 5 }, {})).toBe(false);
   });
 
+  it('counts only what is on the shelf — units out with borrowers are not stock', () => {
+    // 40 owned, 36 out: 4 on hand is below a reorder point of 5
+    expect(isLowStock({ ...on, quantity: 40, quantityOut: 36, reorderPoint: 5 }, settings)).toBe(
+      true,
+    );
+    expect(isLowStock({ ...on, quantity: 40, quantityOut: 12, reorderPoint: 5 }, settings)).toBe(
+      false,
+    );
+  });
+
   it('the legacy category threshold is ignored even if a stale settings object carries one', () => {
     const stale = { Consumables: { trackQuantity: true, lowStockThreshold: 3 } };
     expect(isLowStock({ category: 'Consumables', quantity: 1 }, stale)).toBe(false);
@@ -505,6 +672,16 @@ describe('isLowStock', () => {
   });
 });
 
+describe('getOnHandQuantity', () => {
+  it('is owned minus out, floored at zero', () => {
+    expect(getOnHandQuantity({ quantity: 40, quantityOut: 12 })).toBe(28);
+    expect(getOnHandQuantity({ quantity: 40 })).toBe(40);
+    // An edit lowered the owned count below what is still out
+    expect(getOnHandQuantity({ quantity: 5, quantityOut: 8 })).toBe(0);
+    expect(getOnHandQuantity(null)).toBe(0);
+  });
+});
+
 describe('matchesStatusSelection', () => {
   const settings = { Consumables: { trackQuantity: true } };
   const overdueItem = { status: 'checked-out', dueBack: '2020-01-01', category: 'Cameras' };
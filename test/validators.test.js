@@ -19,6 +19,8 @@ import {
   validateItem,
   validateReservation,
   validateClient,
+  validateBorrower,
+  validateCheckoutDeposit,
   validateMaintenanceRecord,
   validateItems,
 } from '../lib/validators.js';
@@ -378,6 +380,16 @@ describe('validateItem (extended)', () => {
     expect(result3.isValid).toBe(true);
   });
 
+  it('should treat blank rental rates as unpriced and reject negative ones', () => {
+    expect(validateItem({ ...validItem, dayRate: '', weekRate: null }).isValid).toBe(true);
+    expect(validateItem({ ...validItem, dayRate: 0 }).isValid).toBe(true);
+
+    const result = validateItem({ ...validItem, dayRate: -5, weekRate: '-$20' });
+    expect(result.isValid).toBe(false);
+    expect(result.errors.dayRate).toBe('Day rate cannot be negative');
+    expect(result.errors.weekRate).toBe('Week rate cannot be negative');
+  });
+
   it('should sanitize code and serialNumber in output', () => {
     const result = validateItem({
       ...validItem,
@@ -432,6 +444,12 @@ describe('validateReservation (extended)', () => {
     expect(result.errors.project).toBeTruthy();
   });
 
+  it('should reject a unit count below one or with a fraction', () => {
+    expect(validateReservation({ ...valid, quantity: 0 }).errors.quantity).toBeTruthy();
+    expect(validateReservation({ ...valid, quantity: 2.5 }).errors.quantity).toBeTruthy();
+    expect(validateReservation({ ...valid, quantity: 8 }).isValid).toBe(true);
+  });
+
   it('should accept valid contact email', () => {
     const result = validateReservation({ ...valid, contactEmail: 'jane@test.com' });
     expect(result.isValid).toBe(true);
@@ -517,6 +535,62 @@ describe('validateClient (extended)', () => {
   });
 });
 
+// =============================================================================
+// validateBorrower
+// =============================================================================
+
+describe('validateBorrower', () => {
+  it('should accept a name with no limits', () => {
+    expect(validateBorrower({ name: 'Jordan Lee', maxItems: '', maxValue: null })).toEqual({
+      isValid: true,
+      errors: {},
+    });
+  });
+
+  it('should reject limits that are not above zero', () => {
+    const result = validateBorrower({ name: 'Jordan Lee', maxItems: 0, maxValue: -5 });
+    expect(result.isValid).toBe(false);
+    expect(Object.keys(result.errors)).toEqual(['maxItems', 'maxValue']);
+  });
+
+  it('should reject a fractional item limit and a negative deposit', () => {
+    const result = validateBorrower({ name: 'Jordan Lee', maxItems: '2.5', depositRequired: -1 });
+    expect(result.errors.maxItems).toBeTruthy();
+    expect(result.errors.depositRequired).toBeTruthy();
+  });
+
+  it('should require a reason to block', () => {
+    expect(validateBorrower({ name: 'Jordan Lee', blocked: true }).errors.blockedReason).toBe(
+      'Say why the borrower is blocked',
+    );
+    expect(
+      validateBorrower({ name: 'Jordan Lee', blocked: true, blockedReason: 'Lost a lens' }).isValid,
+    ).toBe(true);
+  });
+
+  it('should reject a bad email', () => {
+    expect(validateBorrower({ name: 'Jordan Lee', email: 'nope' }).errors.email).toBeTruthy();
+  });
+});
+
+// =============================================================================
+// validateCheckoutDeposit
+// =============================================================================
+
+describe('validateCheckoutDeposit', () => {
+  it('should accept a named deposit above zero', () => {
+    expect(
+      validateCheckoutDeposit({ borrowerName: 'Jordan Lee', amount: 250, method: 'card' }),
+    ).toEqual({ isValid: true, errors: {} });
+  });
+
+  it('should reject a missing name, a zero amount and an unknown method', () => {
+    const result = validateCheckoutDeposit({ borrowerName: ' ', amount: 0, method: 'crypto' });
+    expect(result.isValid).toBe(false);
+    expect(Object.keys(result.errors)).toEqual(['borrowerName', 'amount', 'method']);
+  });
+});
+
 // =============================================================================
 // validateMaintenanceRecord (extended)
 // =============================================================================
@@ -9,6 +9,10 @@ import {
   STATUS_LABELS,
   CONDITION,
   MAINTENANCE_STATUS,
+  INVOICE_STATUS,
+  RESERVATION_STATUS,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_MAX_OCCURRENCES,
 } from '../constants.js';
 import { colors } from '../theme.js';
 
@@ -122,6 +126,33 @@ export const formatDateTime = (date) => {
 export const toLocalYMD = (d) =>
   `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 
+/**
+ * Minutes past midnight for a time of day. Accepts the form's 'HH:MM' and
+ * Postgres TIME's 'HH:MM:SS'.
+ * @param {string} time
+ * @returns {number|null} null when empty or unparseable
+ */
+export const timeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  if (!match) return null;
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  return h < 24 && m < 60 ? h * 60 + m : null;
+};
+
+/**
+ * Format a time of day for display
+ * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+ * @returns {string} Formatted time like "2:30 PM", or '' when unset
+ */
+export const formatTime = (time) => {
+  const minutes = timeToMinutes(time);
+  if (minutes === null) return '';
+  const h = Math.floor(minutes / 60);
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h % 12 || 12}:${m} ${h < 12 ? 'AM' : 'PM'}`;
+};
+
 /**
  * Get today's date as ISO string (YYYY-MM-DD)
  * @returns {string}
@@ -149,21 +180,123 @@ const doDateRangesOverlap = (start1, end1, start2, end2) => {
   return start1 <= end2 && start2 <= end1;
 };
 
-// Helper: Find conflicting reservations for a given date range
+const MINUTE_MS = 60000;
+
+/**
+ * The stretch of time a booking holds, as epoch ms. A date-only start holds
+ * from the start of its first day and a date-only end to the end of its last
+ * day, so untimed bookings keep their whole-day behaviour. The turnaround
+ * buffer is added after a timed end only — an untimed end already runs to
+ * midnight.
+ * @param {{start: string, end: string, startTime?: string, endTime?: string}} booking
+ * @param {number} [bufferMinutes] - Prep/turnaround time the gear needs after a return
+ * @returns {{from: number, to: number}|null} null without both dates
+ */
+export const reservationWindow = (booking, bufferMinutes = 0) => {
+  const start = booking?.start || booking?.startDate;
+  const end = booking?.end || booking?.endDate;
+  if (!start || !end) return null;
+  const startMinutes = timeToMinutes(booking.startTime);
+  const endMinutes = timeToMinutes(booking.endTime);
+  const from = parseLocalDate(start).getTime() + (startMinutes ?? 0) * MINUTE_MS;
+  const to =
+    endMinutes === null
+      ? parseLocalDate(end).getTime() + 24 * 60 * MINUTE_MS
+      : parseLocalDate(end).getTime() + (endMinutes + Math.max(0, bufferMinutes)) * MINUTE_MS;
+  return { from, to };
+};
+
+/**
+ * Whether two bookings want the same gear at the same time, allowing for
+ * the turnaround buffer after either one's return. A 9am return and a 2pm
+ * pickup on the same day don't clash unless the buffer reaches past 2pm.
+ * @param {Object} a - Booking with start/end dates and optional times
+ * @param {Object} b
+ * @param {number} [bufferMinutes]
+ * @returns {boolean}
+ */
+export const reservationsOverlap = (a, b, bufferMinutes = 0) => {
+  const wa = reservationWindow(a, bufferMinutes);
+  const wb = reservationWindow(b, bufferMinutes);
+  if (!wa || !wb) return false;
+  return wa.from < wb.to && wb.from < wa.to;
+};
+
+/**
+ * Minutes a category's gear needs between a timed return and the next
+ * pickup, from its category settings.
+ * @param {Object} item
+ * @param {Object} categorySettings
+ * @returns {number}
+ */
+export const getTurnaroundMinutes = (item, categorySettings) =>
+  Math.max(0, Number(categorySettings?.[item?.category]?.turnaroundMinutes) || 0);
+
+/**
+ * A reservation row's lifecycle stage. Rows from before the lifecycle carry
+ * no status and were bookings; 'completed' was never written but reads as
+ * returned.
+ * @param {Object} reservation
+ * @returns {string} One of RESERVATION_STATUS
+ */
+export const reservationStage = (reservation) => {
+  const status = reservation?.status;
+  if (!status) return RESERVATION_STATUS.CONFIRMED;
+  if (status === 'completed') return RESERVATION_STATUS.RETURNED;
+  return status;
+};
+
+/**
+ * Whether a hold has passed its expiry. The daily job cancels these; until
+ * it runs they are treated as gone.
+ * @param {Object} reservation
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isHoldExpired = (reservation, now = new Date()) =>
+  reservationStage(reservation) === RESERVATION_STATUS.HOLD &&
+  Boolean(reservation.holdExpiresAt) &&
+  new Date(reservation.holdExpiresAt) <= now;
+
+/**
+ * Whether a reservation takes its dates away from everyone else. Quotes and
+ * holds are pencilled in, returned ones are over.
+ */
+export const reservationBlocksDates = (reservation) => {
+  const stage = reservationStage(reservation);
+  return stage === RESERVATION_STATUS.CONFIRMED || stage === RESERVATION_STATUS.OUT;
+};
+
+/**
+ * Expiry timestamp for a hold placed now.
+ * @param {number} hours - 0 or empty means the hold never lapses
+ * @param {Date} [now]
+ * @returns {string|null} ISO timestamp
+ */
+export const holdExpiryFrom = (hours, now = new Date()) => {
+  const h = Number(hours);
+  return h > 0 ? new Date(now.getTime() + h * 3600000).toISOString() : null;
+};
+
+// Helper: Find conflicting reservations for a given date range, and times
+// when the booking has them
 const findConflictingReservations = (
   existingReservations,
   startDate,
   endDate,
   excludeReservationId = null,
+  { startTime = null, endTime = null, bufferMinutes = 0 } = {},
 ) => {
   if (!existingReservations || !startDate || !endDate) return [];
+  const requested = { start: startDate, end: endDate, startTime, endTime };
 
   return existingReservations.filter((reservation) => {
     // Skip the reservation being edited
     if (excludeReservationId && reservation.id === excludeReservationId) return false;
 
-    // Check for date overlap
-    return doDateRangesOverlap(startDate, endDate, reservation.start, reservation.end);
+    if (!reservationBlocksDates(reservation)) return false;
+
+    return reservationsOverlap(requested, reservation, bufferMinutes);
   });
 };
 
@@ -196,12 +329,65 @@ const checkCheckoutConflict = (item, startDate, endDate) => {
   return null;
 };
 
+// Units a reservation row holds — legacy rows predate the column
+const reservationQuantity = (reservation) => Math.max(1, Number(reservation?.quantity) || 1);
+
+/**
+ * Peak units of a pooled item already booked at any moment of a booking.
+ * Two reservations inside the range needn't overlap each other, so the load
+ * is measured at each point a booking starts rather than summed across all.
+ * @param {Object} item - The inventory item (with reservations)
+ * @param {string} startDate - Range start
+ * @param {string} endDate - Range end
+ * @param {string} excludeReservationId - Optional reservation ID to exclude
+ * @param {Object} [times] - startTime, endTime and bufferMinutes for a timed booking
+ * @returns {number}
+ */
+export const getPooledBookedQuantity = (
+  item,
+  startDate,
+  endDate,
+  excludeReservationId = null,
+  times = {},
+) => {
+  const overlapping = findConflictingReservations(
+    item?.reservations || [],
+    startDate,
+    endDate,
+    excludeReservationId,
+    times,
+  );
+  if (overlapping.length === 0) return 0;
+  const bufferMinutes = times.bufferMinutes || 0;
+  const windows = overlapping.map((r) => ({
+    ...reservationWindow(r, bufferMinutes),
+    quantity: reservationQuantity(r),
+  }));
+  const { from } = reservationWindow({ ...times, start: startDate, end: endDate });
+  const points = [from, ...windows.map((w) => w.from).filter((t) => t > from)];
+  return Math.max(
+    ...points.map((t) =>
+      windows.filter((w) => w.from <= t && w.to > t).reduce((sum, w) => sum + w.quantity, 0),
+    ),
+  );
+};
+
 /**
- * Get all conflicts for a proposed reservation
+ * Get all conflicts for a proposed reservation. Pooled (quantity-tracked)
+ * items only conflict when the units booked over the dates plus the
+ * requested quantity exceed what is on hand; those results also carry
+ * `booked` and `onHand`. With start/end times, bookings on the same day only
+ * clash when their hours meet, counting the category's turnaround buffer.
  * @param {Object} item - The inventory item
  * @param {string} startDate - Proposed start date
  * @param {string} endDate - Proposed end date
  * @param {string} excludeReservationId - Optional reservation ID to exclude
+ * @param {Object} options
+ * @param {number} options.quantity - Units requested (pooled items)
+ * @param {Object} options.categorySettings - Decides which items are pooled
+ *   and the turnaround buffer
+ * @param {string} options.startTime - Optional 'HH:MM' pickup time
+ * @param {string} options.endTime - Optional 'HH:MM' return time
  * @returns {Object} Object with reservationConflicts array and checkoutConflict
  */
 export const getAllReservationConflicts = (
@@ -209,14 +395,44 @@ export const getAllReservationConflicts = (
   startDate,
   endDate,
   excludeReservationId = null,
+  { quantity = 1, categorySettings = null, startTime = null, endTime = null } = {},
 ) => {
   if (!item) return { reservationConflicts: [], checkoutConflict: null };
+  const times = {
+    startTime,
+    endTime,
+    bufferMinutes: getTurnaroundMinutes(item, categorySettings),
+  };
+
+  if (isQuantityTracked(item, categorySettings)) {
+    const booked = getPooledBookedQuantity(item, startDate, endDate, excludeReservationId, times);
+    const onHand = getOnHandQuantity(item);
+    const overbooked =
+      Boolean(startDate && endDate) && booked + reservationQuantity({ quantity }) > onHand;
+    return {
+      reservationConflicts: overbooked
+        ? findConflictingReservations(
+            item.reservations || [],
+            startDate,
+            endDate,
+            excludeReservationId,
+            times,
+          )
+        : [],
+      // Units out with borrowers are already off the on-hand count
+      checkoutConflict: null,
+      hasConflicts: overbooked,
+      booked,
+      onHand,
+    };
+  }
 
   const reservationConflicts = findConflictingReservations(
     item.reservations || [],
     startDate,
     endDate,
     excludeReservationId,
+    times,
   );
 
   const checkoutConflict = checkCheckoutConflict(item, startDate, endDate);
@@ -229,12 +445,14 @@ export const getAllReservationConflicts = (
 };
 
 /**
- * Whether the item has a reservation covering todayISO. Drives the
- * 'reserved' ↔ 'available' status reconciliation — cancelled rows never
- * reach local state, so every reservation here counts.
+ * Whether the item has a confirmed reservation covering todayISO. Drives the
+ * 'reserved' ↔ 'available' status reconciliation. Cancelled rows never reach
+ * local state; quotes and holds don't reserve anything, and an 'out' or
+ * 'returned' row has already been picked up.
  */
 export const hasActiveReservation = (item, todayISO) => {
   return (item?.reservations || []).some((r) => {
+    if (reservationStage(r) !== RESERVATION_STATUS.CONFIRMED) return false;
     const start = r.start || r.startDate;
     const end = r.end || r.endDate;
     return start && end && start <= todayISO && end >= todayISO;
@@ -256,18 +474,43 @@ export const reservationStatusCorrection = (item, todayISO) => {
   return desired === item.status ? null : desired;
 };
 
+// Stage precedence for a group: anything out means the job is out; once
+// something has come back the job is closed (rows never picked up included)
+const GROUP_STAGE_ORDER = [
+  RESERVATION_STATUS.OUT,
+  RESERVATION_STATUS.RETURNED,
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.HOLD,
+  RESERVATION_STATUS.QUOTE,
+  RESERVATION_STATUS.CANCELLED,
+];
+
+/**
+ * The lifecycle stage of a multi-item reservation from its rows' stages.
+ * @param {Object[]} rows - The group's reservation rows
+ * @returns {string} One of RESERVATION_STATUS
+ */
+export const reservationGroupStage = (rows) => {
+  const stages = new Set((rows || []).map(reservationStage));
+  return GROUP_STAGE_ORDER.find((stage) => stages.has(stage)) || RESERVATION_STATUS.CONFIRMED;
+};
+
 /**
  * Group per-item reservation rows into logical multi-item reservations.
  * Rows created together share a group_id; legacy rows (NULL group_id) fall
  * back to project+dates matching. Each group carries the ids of every row
  * in it (reservationIds) so edit/cancel can target exact rows instead of
- * re-matching by name.
+ * re-matching by name, the units each row holds keyed by item id
+ * (quantities), and its lifecycle stage (status — see
+ * reservationGroupStage). Lapsed holds are left out.
  */
-export const groupReservationsForSchedule = (inventory) => {
+export const groupReservationsForSchedule = (inventory, now = new Date()) => {
   const all = (inventory || []).flatMap((i) =>
-    (i.reservations || []).map((r) => ({ ...r, item: i })),
+    (i.reservations || []).filter((r) => !isHoldExpired(r, now)).map((r) => ({ ...r, item: i })),
   );
-  all.sort((a, b) => new Date(a.start) - new Date(b.start));
+  // Earliest first; timed bookings on the same day by their start time
+  const startsAt = (r) => reservationWindow(r)?.from ?? 0;
+  all.sort((a, b) => startsAt(a) - startsAt(b));
 
   const groups = {};
   all.forEach((r) => {
@@ -275,14 +518,296 @@ export const groupReservationsForSchedule = (inventory) => {
       ? `g:${r.groupId}`
       : `${r.project || 'unnamed'}_${r.start}_${r.end}`;
     if (!groups[key]) {
-      groups[key] = { ...r, groupKey: key, items: [r.item], itemCount: 1, reservationIds: [r.id] };
+      groups[key] = {
+        ...r,
+        groupKey: key,
+        items: [r.item],
+        itemCount: 1,
+        reservationIds: [r.id],
+        quantities: { [r.item.id]: reservationQuantity(r) },
+        rows: [r],
+      };
     } else {
       groups[key].items.push(r.item);
       groups[key].itemCount++;
       groups[key].reservationIds.push(r.id);
+      groups[key].quantities[r.item.id] = reservationQuantity(r);
+      groups[key].rows.push(r);
+    }
+  });
+  return Object.values(groups)
+    .map(({ rows, ...group }) => ({
+      ...group,
+      status: reservationGroupStage(rows),
+      // The soonest lapse among the group's holds
+      holdExpiresAt:
+        rows
+          .filter((r) => reservationStage(r) === RESERVATION_STATUS.HOLD && r.holdExpiresAt)
+          .map((r) => r.holdExpiresAt)
+          .sort()[0] || null,
+    }))
+    .sort((a, b) => startsAt(a) - startsAt(b));
+};
+
+/**
+ * Lay a day's reservations out for an hour grid. A reservation covers the
+ * whole day unless it starts or ends that day with a time, so untimed and
+ * multi-day bookings go in the all-day strip and the rest become blocks in
+ * minutes past midnight. Overlapping blocks get side-by-side lanes.
+ * @param {Object[]} events - Grouped reservations touching the day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {{allDay: Object[], timed: {ev: Object, from: number, to: number, lane: number}[], lanes: number}}
+ */
+export const dayTimeline = (events, day) => {
+  const allDay = [];
+  const timed = [];
+  (events || []).forEach((ev) => {
+    const from = ev.start === day ? (timeToMinutes(ev.startTime) ?? 0) : 0;
+    const to = ev.end === day ? (timeToMinutes(ev.endTime) ?? 24 * 60) : 24 * 60;
+    if (from === 0 && to === 24 * 60) allDay.push(ev);
+    else timed.push({ ev, from, to });
+  });
+  timed.sort((a, b) => a.from - b.from || b.to - a.to);
+  const laneEnds = [];
+  timed.forEach((block) => {
+    let lane = laneEnds.findIndex((end) => end <= block.from);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = block.to;
+    block.lane = lane;
+  });
+  return { allDay, timed, lanes: laneEnds.length };
+};
+
+const shiftDay = (day, n) => {
+  const d = parseLocalDate(day);
+  d.setDate(d.getDate() + n);
+  return toLocalYMD(d);
+};
+
+/**
+ * One availability-timeline row per item for the days from..to: bars for
+ * its reservations (lapsed holds and cancellations left out), the checkout
+ * it is on through its due-back date — or through today once late — and
+ * its maintenance from the scheduled date until completed. Bars keep their
+ * own dates; the view clips them to the range.
+ *
+ * free lists the runs of days nothing blocks. Quotes and holds are drawn
+ * but leave their days free, as the conflict checks do. Pooled stock is
+ * free on a day while some of its units are unbooked. Days are whole days:
+ * a 9am return still marks its day taken.
+ * @param {Object[]} items
+ * @param {string} from - First day shown, YYYY-MM-DD
+ * @param {string} to - Last day shown
+ * @param {Object} [options]
+ * @param {Object} [options.categorySettings] - Decides which items are pooled
+ * @param {string} [options.today]
+ * @param {Date} [options.now] - For hold expiry
+ * @returns {{item: Object, bars: Object[], free: {start: string, end: string}[]}[]}
+ */
+export const itemTimelineRows = (
+  items,
+  from,
+  to,
+  { categorySettings = {}, today = getTodayISO(), now = new Date() } = {},
+) => {
+  if (!from || !to || from > to) return [];
+  const days = [];
+  for (let day = from; day <= to; day = shiftDay(day, 1)) days.push(day);
+
+  return (items || []).map((item) => {
+    const bars = [];
+    const checkedOut = item.status === STATUS.CHECKED_OUT && Boolean(item.checkedOutDate);
+    if (checkedOut) {
+      const start = String(item.checkedOutDate).slice(0, 10);
+      const overdue = Boolean(item.dueBack) && item.dueBack < today;
+      bars.push({
+        kind: 'checkout',
+        key: `checkout-${item.id}`,
+        start,
+        // Without a due-back date the checkout runs on past the range
+        end: overdue ? today : item.dueBack || (to > start ? to : start),
+        due: item.dueBack || null,
+        overdue,
+        label: item.checkedOutTo || 'Checked out',
+        blocks: true,
+      });
+    }
+    (item.reservations || []).forEach((r) => {
+      const stage = reservationStage(r);
+      if (!r.start || !r.end || stage === RESERVATION_STATUS.CANCELLED) return;
+      if (isHoldExpired(r, now)) return;
+      // The checkout bar already shows the booking that went out
+      if (checkedOut && stage === RESERVATION_STATUS.OUT) return;
+      bars.push({
+        kind: 'reservation',
+        key: `reservation-${r.id}`,
+        start: r.start,
+        end: r.end,
+        stage,
+        reservation: r,
+        label: r.project || 'Reservation',
+        blocks: reservationBlocksDates(r),
+      });
+    });
+    (item.maintenanceHistory || []).forEach((m) => {
+      const start = m.scheduledDate || m.date;
+      if (!start || m.status === MAINTENANCE_STATUS.CANCELLED) return;
+      let end = m.completedDate || start;
+      if (!m.completedDate && m.status === MAINTENANCE_STATUS.IN_PROGRESS && today > start) {
+        end = today;
+      }
+      bars.push({
+        kind: 'maintenance',
+        key: `maintenance-${m.id}`,
+        start,
+        end: end < start ? start : end,
+        status: m.status,
+        label: m.type || 'Maintenance',
+        blocks: true,
+      });
+    });
+    const visible = bars
+      .filter((b) => b.start <= to && b.end >= from)
+      .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    const pooled = isQuantityTracked(item, categorySettings);
+    const onHand = pooled ? getOnHandQuantity(item) : 0;
+    const isFree = (day) => {
+      const blocking = visible.filter((b) => b.blocks && b.start <= day && b.end >= day);
+      if (!pooled) return blocking.length === 0;
+      // A checkout or repair takes the whole pool; bookings take units
+      if (blocking.some((b) => b.kind !== 'reservation')) return false;
+      return getPooledBookedQuantity(item, day, day) < onHand;
+    };
+
+    const free = [];
+    days.forEach((day) => {
+      if (!isFree(day)) return;
+      const last = free[free.length - 1];
+      if (last && shiftDay(last.end, 1) === day) last.end = day;
+      else free.push({ start: day, end: day });
+    });
+    return { item, bars: visible, free };
+  });
+};
+
+// ============================================================================
+// Recurring Reservations
+// ============================================================================
+
+const dayOffset = (from, to) =>
+  Math.round((parseLocalDate(to) - parseLocalDate(from)) / (24 * 60 * 60 * 1000));
+
+/**
+ * The dates a repeating booking lands on, the first being start..end itself.
+ * Every occurrence keeps the original length. Monthly repeats keep the day of
+ * the month, falling back to the month's last day (the 31st books Feb 28).
+ * Stops at rule.until (last start date) or after rule.count occurrences,
+ * and never runs past RECURRENCE_MAX_OCCURRENCES.
+ * @param {string} start - First occurrence start (YYYY-MM-DD)
+ * @param {string} end - First occurrence end
+ * @param {{frequency: string, count?: number, until?: string}} rule
+ * @returns {{start: string, end: string}[]}
+ */
+export const recurrenceOccurrences = (start, end, rule) => {
+  if (!start || !end) return [];
+  const first = { start, end };
+  if (!rule?.frequency) return [first];
+  const length = dayOffset(start, end);
+  const limit = Math.min(
+    rule.until ? RECURRENCE_MAX_OCCURRENCES : Math.max(1, Number(rule.count) || 1),
+    RECURRENCE_MAX_OCCURRENCES,
+  );
+  const base = parseLocalDate(start);
+  const occurrences = [first];
+  for (let n = 1; occurrences.length < limit; n++) {
+    let next;
+    if (rule.frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+      const lastDay = new Date(base.getFullYear(), base.getMonth() + n + 1, 0).getDate();
+      next = toLocalYMD(
+        new Date(base.getFullYear(), base.getMonth() + n, Math.min(base.getDate(), lastDay)),
+      );
+    } else {
+      const step = rule.frequency === RECURRENCE_FREQUENCY.BIWEEKLY ? 14 : 7;
+      next = shiftDay(start, step * n);
     }
+    if (rule.until && next > rule.until) break;
+    occurrences.push({ start: next, end: shiftDay(next, length) });
+  }
+  return occurrences;
+};
+
+/**
+ * The occurrences of a series as they stand in inventory, by start date.
+ * rowIdByItem maps each item to its row in that occurrence, so a conflict
+ * check can leave the occurrence's own rows out.
+ * @param {Object[]} inventory
+ * @param {string} seriesId
+ * @returns {{groupId: string, start: string, end: string, rows: Object[], rowIdByItem: Object}[]}
+ */
+export const seriesOccurrences = (inventory, seriesId) => {
+  if (!seriesId) return [];
+  const byGroup = new Map();
+  (inventory || []).forEach((item) => {
+    (item.reservations || []).forEach((r) => {
+      if (r.seriesId !== seriesId) return;
+      const key = r.groupId || r.id;
+      if (!byGroup.has(key)) {
+        byGroup.set(key, { groupId: key, start: r.start, end: r.end, rows: [], rowIdByItem: {} });
+      }
+      const occurrence = byGroup.get(key);
+      occurrence.rows.push(r);
+      occurrence.rowIdByItem[item.id] = r.id;
+    });
   });
-  return Object.values(groups).sort((a, b) => new Date(a.start) - new Date(b.start));
+  return [...byGroup.values()].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+};
+
+/**
+ * Which items are already booked on each occurrence of a repeating booking.
+ * @param {Object[]} items - The items on the booking
+ * @param {{start: string, end: string, rowIdByItem?: Object}[]} occurrences
+ * @param {Object} [options]
+ * @param {Object} [options.quantities] - Units per item id, for pooled items
+ * @param {Object} [options.categorySettings]
+ * @param {string} [options.startTime]
+ * @param {string} [options.endTime]
+ * @returns {{start: string, end: string, conflicted: Object[]}[]}
+ */
+export const occurrenceConflicts = (
+  items,
+  occurrences,
+  { quantities = {}, categorySettings = null, startTime = null, endTime = null } = {},
+) =>
+  occurrences.map((occurrence) => ({
+    ...occurrence,
+    conflicted: items.filter(
+      (item) =>
+        getAllReservationConflicts(
+          item,
+          occurrence.start,
+          occurrence.end,
+          occurrence.rowIdByItem?.[item.id] || null,
+          { quantity: quantities[item.id] || 1, categorySettings, startTime, endTime },
+        ).hasConflicts,
+    ),
+  }));
+
+/**
+ * Move a series' other occurrences by the shift an edit gave one of them.
+ * @param {Object} original - The edited occurrence before the edit
+ * @param {Object} form - The edited values
+ * @param {Object[]} occurrences - From seriesOccurrences
+ * @returns {Object[]} The occurrences with their new start/end
+ */
+export const shiftSeriesOccurrences = (original, form, occurrences) => {
+  const startShift = dayOffset(original.start, form.start);
+  const endShift = dayOffset(original.end, form.end);
+  return occurrences.map((occurrence) => ({
+    ...occurrence,
+    start: shiftDay(occurrence.start, startShift),
+    end: shiftDay(occurrence.end, endShift),
+  }));
 };
 
 /**
@@ -304,14 +829,17 @@ export const stableColorIndex = (str, paletteSize) => {
 /**
  * Format a number as currency
  * @param {number} amount - The amount to format
- * @returns {string} Formatted currency like "$1,234"
+ * @param {Object} [options]
+ * @param {boolean} [options.cents=false] - Keep two decimals (quotes, rates)
+ * @returns {string} Formatted currency like "$1,234" (or "$1,234.50" with cents)
  */
-export const formatMoney = (amount) => {
+export const formatMoney = (amount, { cents = false } = {}) => {
+  const digits = cents ? 2 : 0;
   return (
     '$' +
     (amount || 0).toLocaleString('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
     })
   );
 };
@@ -412,6 +940,38 @@ export const getMaintenanceStatusColor = (status) => {
   }
 };
 
+/** Color for an invoice status badge */
+export const getInvoiceStatusColor = (status) => {
+  switch (status) {
+    case INVOICE_STATUS.PAID:
+      return colors.success;
+    case INVOICE_STATUS.SENT:
+      return colors.primary;
+    case INVOICE_STATUS.VOID:
+      return colors.danger;
+    default:
+      return colors.textMuted;
+  }
+};
+
+/** Color for a reservation lifecycle stage (badges, schedule bars) */
+export const getReservationStageColor = (stage) => {
+  switch (stage) {
+    case RESERVATION_STATUS.QUOTE:
+      return colors.accent3;
+    case RESERVATION_STATUS.HOLD:
+      return colors.warning;
+    case RESERVATION_STATUS.CONFIRMED:
+      return colors.available;
+    case RESERVATION_STATUS.OUT:
+      return colors.checkedOut;
+    case RESERVATION_STATUS.CANCELLED:
+      return colors.danger;
+    default:
+      return colors.textMuted;
+  }
+};
+
 /**
  * Get the color for a given condition
  * @param {string} condition - The item condition
@@ -550,11 +1110,20 @@ export const rankBySearchRelevance = (items, query, fields = {}) => {
 export const isItemOverdue = (item, todayISO = getTodayISO()) =>
   item.status === 'checked-out' && !!item.dueBack && item.dueBack < todayISO;
 
+/**
+ * Units of a quantity-tracked item still on the shelf: what the shop owns
+ * (quantity) minus what is out with borrowers (quantityOut). Floored at 0 —
+ * an edit can lower the owned count below what is currently out.
+ */
+export const getOnHandQuantity = (item) =>
+  Math.max(0, (Number(item?.quantity) || 0) - (Number(item?.quantityOut) || 0));
+
 /**
  * Whether an item is low on stock. A per-item opt-in: the item must have its
- * low-stock reminder enabled, sit in a quantity-tracked category, and have a
- * quantity at or below its own reorder point. (Category-level thresholds were
- * removed — they flagged whole categories at once.)
+ * low-stock reminder enabled, sit in a quantity-tracked category, and have an
+ * ON-HAND count at or below its own reorder point — units out with borrowers
+ * aren't on the shelf. (Category-level thresholds were removed — they flagged
+ * whole categories at once.)
  */
 export const isLowStock = (item, categorySettings) => {
   if (!item?.lowStockAlert) return false;
@@ -562,13 +1131,19 @@ export const isLowStock = (item, categorySettings) => {
   if (!settings?.trackQuantity) return false;
   if (item.quantity === undefined || item.quantity === null) return false;
   const threshold = Number(item.reorderPoint) || 0;
-  return threshold > 0 && item.quantity <= threshold;
+  return threshold > 0 && getOnHandQuantity(item) <= threshold;
 };
 
-/** Whether the low-stock reminder controls apply to this item at all */
-export const canTrackLowStock = (item, categorySettings) =>
+/**
+ * Whether an item's category counts units (Consumables, or any category an
+ * admin flags). These items check out by quantity instead of as one row.
+ */
+export const isQuantityTracked = (item, categorySettings) =>
   Boolean(categorySettings?.[item?.category]?.trackQuantity);
 
+/** Whether the low-stock reminder controls apply to this item at all */
+export const canTrackLowStock = isQuantityTracked;
+
 /**
  * Multi-select status match that understands the computed states: 'overdue'
  * and 'low-stock' are derived, so the plain equality check the Search view
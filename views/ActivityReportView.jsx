@@ -3,14 +3,26 @@
 // Checkout activity over time (real checkout_history events), usage
 // statistics, and trending items. The lifetime counters the report used to
 // stop at gain a time axis: a trailing-window trend, day-of-week pattern,
-// and a 30/90/365-day range selector.
+// and a 30/90/365-day range selector. The same range drives time-based
+// utilization (days out against days owned, by category and package), the
+// per-item ROI and the items worth selling.
 // ============================================================================
 
 import { memo, useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
-import { Download, BarChart3, TrendingUp, LogOut, Package, CalendarDays } from 'lucide-react';
+import {
+  Download,
+  BarChart3,
+  TrendingUp,
+  LogOut,
+  Package,
+  CalendarDays,
+  Timer,
+  Tag,
+  DollarSign,
+} from 'lucide-react';
 import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
-import { formatDate, downloadCSV, getTodayISO } from '../utils';
+import { formatDate, formatMoney, downloadCSV, getTodayISO } from '../utils';
 import { Badge, Card, CardHeader, StatCard, Button, PageHeader } from '../components/ui.jsx';
 import { ReportBranding } from '../components/ReportBranding.jsx';
 import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
@@ -20,8 +32,11 @@ import {
   bucketEvents,
   dayOfWeekCounts,
   csvForActivity,
+  csvForUtilization,
 } from '../lib/reportData.js';
+import { computeUtilization, trailingWindow, SELL_CANDIDATE_RULES } from '../lib/utilization.js';
 import { useData } from '../contexts/DataContext.js';
+import { usePermissions } from '../contexts/PermissionsContext.js';
 
 const RANGE_OPTIONS = [
   { days: 30, label: '30 days' },
@@ -29,19 +44,57 @@ const RANGE_OPTIONS = [
   { days: 365, label: '12 months' },
 ];
 
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+const headerCell = (textAlign = 'left') => ({
+  padding: spacing[3],
+  textAlign,
+  fontSize: typography.fontSize.xs,
+  color: colors.textMuted,
+  fontWeight: typography.fontWeight.medium,
+});
+
+const mutedNote = {
+  margin: 0,
+  textAlign: 'center',
+  color: colors.textMuted,
+  fontSize: typography.fontSize.sm,
+};
+
 export const ActivityReportPanel = memo(function ActivityReportPanel({
   inventory,
   currentUser,
   onViewItem,
   onBack,
 }) {
-  const { ensureCheckoutActivity, checkoutEvents, checkoutEventsLoaded, lazyErrors } = useData();
+  const {
+    ensureCheckoutActivity,
+    checkoutEvents,
+    checkoutEventsLoaded,
+    ensureMaintenance,
+    maintenanceLoaded,
+    ensureItemRevenue,
+    itemRevenue,
+    itemRevenueLoaded,
+    packages,
+    categorySettings,
+    lazyErrors,
+  } = useData();
+  const { canView } = usePermissions();
+  // Billing is client data — without it, revenue and ROI stay unknown
+  // rather than reading as zero
+  const canSeeRevenue = canView('clients');
   const checkoutActivityLoadFailed = Boolean(lazyErrors?.checkoutActivity);
   const [rangeDays, setRangeDays] = useState(90);
 
   useEffect(() => {
     ensureCheckoutActivity();
-  }, [ensureCheckoutActivity]);
+    ensureMaintenance();
+  }, [ensureCheckoutActivity, ensureMaintenance]);
+
+  useEffect(() => {
+    if (canSeeRevenue) ensureItemRevenue();
+  }, [canSeeRevenue, ensureItemRevenue]);
 
   // "Today" ticks hourly and on tab re-focus (Dashboard's pattern) — a tab
   // left open past midnight kept yesterday's chart windows
@@ -58,6 +111,38 @@ export const ActivityReportPanel = memo(function ActivityReportPanel({
 
   const activityData = useMemo(() => computeActivityStats(inventory), [inventory]);
 
+  const revenueKnown = canSeeRevenue && itemRevenueLoaded;
+  const utilization = useMemo(
+    () =>
+      computeUtilization({
+        inventory,
+        events: checkoutEvents,
+        window: trailingWindow(rangeDays, todayTick),
+        packages,
+        categorySettings,
+        revenueByItem: revenueKnown ? itemRevenue : null,
+      }),
+    [
+      inventory,
+      checkoutEvents,
+      rangeDays,
+      todayTick,
+      packages,
+      categorySettings,
+      revenueKnown,
+      itemRevenue,
+    ],
+  );
+  const roiRows = useMemo(
+    () =>
+      utilization.items
+        .filter((row) => row.roi != null)
+        // Worst first — the ones to look at
+        .sort((a, b) => a.roi - b.roi),
+    [utilization.items],
+  );
+  const rangeLabel = RANGE_OPTIONS.find((r) => r.days === rangeDays)?.label;
+
   // Checkout events only — checkins would double-count every cycle
   const checkoutsInWindow = useMemo(
     () => checkoutEvents.filter((e) => e.action === 'checkout'),
@@ -114,6 +199,11 @@ export const ActivityReportPanel = memo(function ActivityReportPanel({
     downloadCSV(headers, rows, filename);
   };
 
+  const handleUtilizationExport = () => {
+    const { headers, rows, filename } = csvForUtilization(utilization);
+    downloadCSV(headers, rows, filename);
+  };
+
   const handleRowKeyDown = (event, itemId) => {
     if (event.key === 'Enter' || event.key === ' ') {
       event.preventDefault();
@@ -167,8 +257,8 @@ export const ActivityReportPanel = memo(function ActivityReportPanel({
         />
         <StatCard
           icon={TrendingUp}
-          label="Utilization Rate"
-          value={`${activityData.utilizationRate}%`}
+          label={`Utilization (${rangeLabel})`}
+          value={checkoutEventsLoaded ? percent(utilization.overall.utilization) : '—'}
           color={colors.available}
         />
         <StatCard
@@ -182,9 +272,7 @@ export const ActivityReportPanel = memo(function ActivityReportPanel({
       {/* Checkout trend over time */}
       <Card padding={false} style={{ marginBottom: spacing[5] }}>
         <CardHeader
-          title={`Checkout Trend — ${trendTotal} in the last ${
-            RANGE_OPTIONS.find((r) => r.days === rangeDays)?.label
-          }`}
+          title={`Checkout Trend — ${trendTotal} in the last ${rangeLabel}`}
           icon={CalendarDays}
           action={
             <div style={{ display: 'flex', gap: spacing[1] }} role="group" aria-label="Date range">
@@ -247,6 +335,232 @@ export const ActivityReportPanel = memo(function ActivityReportPanel({
         </div>
       </Card>
 
+      {/* Time utilization over the same range */}
+      <div
+        className="responsive-two-col"
+        style={{ display: 'grid', gap: spacing[5], marginBottom: spacing[5] }}
+      >
+        <Card padding={false}>
+          <CardHeader title="Utilization by Category" icon={Timer} />
+          <div style={{ padding: spacing[4] }}>
+            {!checkoutEventsLoaded ? (
+              <p style={mutedNote}>Loading…</p>
+            ) : utilization.byCategory.length === 0 ? (
+              <p style={mutedNote}>No items owned in this period</p>
+            ) : (
+              <HBarChart
+                data={utilization.byCategory.map((c) => ({
+                  label: `${c.category} (${c.items} items)`,
+                  value: Math.round(c.utilization * 100),
+                  color: colors.available,
+                }))}
+                formatValue={(v) => `${v}%`}
+                ariaLabel={`Share of owned days out, per category, over the last ${rangeLabel}`}
+              />
+            )}
+          </div>
+        </Card>
+        <Card padding={false}>
+          <CardHeader title="Utilization by Package" icon={Package} />
+          <div style={{ padding: spacing[4] }}>
+            {!checkoutEventsLoaded ? (
+              <p style={mutedNote}>Loading…</p>
+            ) : utilization.byPackage.length === 0 ? (
+              <p style={mutedNote}>No packages</p>
+            ) : (
+              <HBarChart
+                data={utilization.byPackage.map((p) => ({
+                  label: `${p.name} (${p.items} items)`,
+                  value: Math.round(p.utilization * 100),
+                  color: colors.accent1,
+                }))}
+                formatValue={(v) => `${v}%`}
+                ariaLabel={`Share of owned days out, per package, over the last ${rangeLabel}`}
+              />
+            )}
+          </div>
+        </Card>
+      </div>
+
+      {/* Sell candidates */}
+      <Card padding={false} style={{ marginBottom: spacing[5] }}>
+        <CardHeader
+          title={`Sell Candidates${checkoutEventsLoaded ? ` (${utilization.sellCandidates.length})` : ''}`}
+          icon={Tag}
+          action={
+            <Button
+              size="sm"
+              variant="secondary"
+              icon={Download}
+              onClick={handleUtilizationExport}
+              disabled={!checkoutEventsLoaded}
+            >
+              Utilization CSV
+            </Button>
+          }
+        />
+        <p
+          style={{
+            margin: 0,
+            padding: `${spacing[2]}px ${spacing[4]}px`,
+            fontSize: typography.fontSize.xs,
+            color: colors.textMuted,
+          }}
+        >
+          Owned {SELL_CANDIDATE_RULES.minDaysOwned}+ days of the last {rangeLabel}, out on{' '}
+          {percent(SELL_CANDIDATE_RULES.maxUtilization)} of them or fewer, idle{' '}
+          {SELL_CANDIDATE_RULES.minIdleDays}+ days and nothing booked ahead.
+        </p>
+        {!checkoutEventsLoaded ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>Loading…</p>
+        ) : utilization.sellCandidates.length === 0 ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>Nothing sitting idle</p>
+        ) : (
+          <div style={{ maxHeight: 320, overflowY: 'auto' }}>
+            {utilization.sellCandidates.map((row) => (
+              <button
+                type="button"
+                className="report-row"
+                key={row.id}
+                onClick={() => onViewItem(row.id)}
+                style={{
+                  padding: spacing[3],
+                  borderBottom: `1px solid ${colors.borderLight}`,
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: spacing[3],
+                }}
+              >
+                <div>
+                  <div
+                    style={{
+                      fontSize: typography.fontSize.sm,
+                      fontWeight: typography.fontWeight.medium,
+                      color: colors.textPrimary,
+                    }}
+                  >
+                    {row.name}
+                  </div>
+                  <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                    Out {row.daysOut} of {row.daysOwned} days · idle {row.currentIdle} days
+                    {row.lastOutDate ? ` · last out ${formatDate(row.lastOutDate)}` : ''}
+                  </div>
+                </div>
+                <div style={{ textAlign: 'right', flexShrink: 0 }}>
+                  <div
+                    style={{
+                      fontSize: typography.fontSize.sm,
+                      fontWeight: typography.fontWeight.semibold,
+                      color: colors.textPrimary,
+                    }}
+                  >
+                    {formatMoney(row.value)}
+                  </div>
+                  {row.roi != null && (
+                    <div
+                      style={{
+                        fontSize: typography.fontSize.xs,
+                        color: row.roi < 0 ? colors.danger : colors.available,
+                      }}
+                    >
+                      ROI {percent(row.roi)}
+                    </div>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Lifetime ROI per item */}
+      <Card
+        padding={false}
+        style={{ marginBottom: spacing[5], display: 'flex', flexDirection: 'column' }}
+      >
+        <CardHeader title="Return on Investment" icon={DollarSign} />
+        {!canSeeRevenue ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>
+            ROI needs access to invoices for rental revenue
+          </p>
+        ) : lazyErrors?.itemRevenue ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>
+            Couldn&apos;t load rental revenue.{' '}
+            <Button size="sm" variant="secondary" onClick={() => ensureItemRevenue()}>
+              Retry
+            </Button>
+          </p>
+        ) : !itemRevenueLoaded || !maintenanceLoaded ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>Loading revenue and maintenance…</p>
+        ) : roiRows.length === 0 ? (
+          <p style={{ ...mutedNote, padding: spacing[4] }}>
+            No items with a purchase price to measure against
+          </p>
+        ) : (
+          <div style={{ maxHeight: 360, overflowY: 'auto', overflowX: 'auto' }}>
+            <table style={{ width: '100%', minWidth: 640, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: colors.bgDark, position: 'sticky', top: 0 }}>
+                  <th style={headerCell()}>Item</th>
+                  <th style={headerCell('right')}>Utilization</th>
+                  <th style={headerCell('right')}>Cost</th>
+                  <th style={headerCell('right')}>Maintenance</th>
+                  <th style={headerCell('right')}>Revenue</th>
+                  <th style={headerCell('right')}>ROI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roiRows.map((row) => (
+                  <tr
+                    key={row.id}
+                    className="report-tr"
+                    tabIndex={0}
+                    onClick={() => onViewItem(row.id)}
+                    onKeyDown={(e) => handleRowKeyDown(e, row.id)}
+                    style={{
+                      borderBottom: `1px solid ${colors.borderLight}`,
+                      cursor: 'pointer',
+                      fontSize: typography.fontSize.sm,
+                      color: colors.textSecondary,
+                    }}
+                  >
+                    <td style={{ padding: spacing[3], color: colors.textPrimary }}>
+                      {row.name}
+                      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                        {row.id}
+                      </div>
+                    </td>
+                    <td style={{ padding: spacing[3], textAlign: 'right' }}>
+                      {percent(row.utilization)}
+                    </td>
+                    <td style={{ padding: spacing[3], textAlign: 'right' }}>
+                      {formatMoney(row.purchasePrice)}
+                    </td>
+                    <td style={{ padding: spacing[3], textAlign: 'right' }}>
+                      {formatMoney(row.maintenance)}
+                    </td>
+                    <td style={{ padding: spacing[3], textAlign: 'right' }}>
+                      {formatMoney(row.revenue)}
+                    </td>
+                    <td
+                      style={{
+                        padding: spacing[3],
+                        textAlign: 'right',
+                        fontWeight: typography.fontWeight.semibold,
+                        color: row.roi < 0 ? colors.danger : colors.available,
+                      }}
+                    >
+                      {percent(row.roi)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
       <div className="responsive-two-col" style={{ display: 'grid', gap: spacing[5] }}>
         {/* Main content */}
         <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[4] }}>
@@ -542,6 +856,10 @@ ActivityReportPanel.propTypes = {
       checkedOutDate: PropTypes.string,
       dueBack: PropTypes.string,
       checkoutProject: PropTypes.string,
+      purchaseDate: PropTypes.string,
+      purchasePrice: PropTypes.number,
+      currentValue: PropTypes.number,
+      reservations: PropTypes.array,
     }),
   ).isRequired,
   /** Currently logged in user */
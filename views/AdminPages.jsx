@@ -15,6 +15,13 @@ import ImageField from '../components/ImageField.jsx';
 import LowStockFields from '../components/LowStockFields.jsx';
 import { SmartPasteModal } from '../modals/smartPaste/SmartPasteModal.jsx';
 import { applySmartPastePayload } from '../lib/smartPaste/applyPayload.js';
+import { READINESS_RULE_OPTIONS, READINESS_LEVELS, readinessRulesFor } from '../lib/readiness.js';
+
+const READINESS_LEVEL_OPTIONS = [
+  { value: READINESS_LEVELS.OFF, label: 'Off' },
+  { value: READINESS_LEVELS.WARN, label: 'Warn' },
+  { value: READINESS_LEVELS.BLOCK, label: 'Block' },
+];
 
 // ============================================================================
 // Touch-accessible reorder buttons — HTML5 drag-and-drop never fires on touch
@@ -303,6 +310,26 @@ export const ItemFormPage = memo(function ItemFormPage({
               />
             </div>
 
+            {/* Rental rates — blank week rate falls back to the day rate × billable days */}
+            <div className="responsive-form-grid" style={{ marginBottom: spacing[4] }}>
+              <Input
+                label="Day Rate"
+                type="number"
+                min="0"
+                value={itemForm.dayRate ?? ''}
+                onChange={(e) => handleChange('dayRate', e.target.value)}
+                placeholder="Not priced"
+              />
+              <Input
+                label="Week Rate"
+                type="number"
+                min="0"
+                value={itemForm.weekRate ?? ''}
+                onChange={(e) => handleChange('weekRate', e.target.value)}
+                placeholder="From day rate"
+              />
+            </div>
+
             {/* Location and Serial Number */}
             <div className="responsive-form-grid" style={{ marginBottom: spacing[4] }}>
               <div>
@@ -594,7 +621,7 @@ export const SpecsPage = memo(function SpecsPage({ specs, onSave, onBack, showCo
       ...prev,
       [selectedCategory]: [
         ...(prev[selectedCategory] || []),
-        { name, required: false, type: 'text', unit: null, options: null },
+        { name, required: false, type: 'text', unit: null, options: null, substituteKey: false },
       ],
     }));
     setNewFieldName('');
@@ -1049,6 +1076,35 @@ export const SpecsPage = memo(function SpecsPage({ specs, onSave, onBack, showCo
                           Required
                         </span>
                       </label>
+                      <label
+                        title="Substitute suggestions must match this field"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: spacing[1],
+                          cursor: 'pointer',
+                          whiteSpace: 'nowrap',
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={!!field.substituteKey}
+                          onChange={(e) =>
+                            handleFieldChange(
+                              field.originalIndex,
+                              'substituteKey',
+                              e.target.checked,
+                            )
+                          }
+                          style={{ accentColor: colors.primary }}
+                          aria-label={`${field.name || 'Field'} substitute key`}
+                        />
+                        <span
+                          style={{ fontSize: typography.fontSize.xs, color: colors.textSecondary }}
+                        >
+                          Substitute key
+                        </span>
+                      </label>
                       <button
                         onClick={() => removeField(field.originalIndex)}
                         style={{
@@ -1138,7 +1194,8 @@ export const SpecsPage = memo(function SpecsPage({ specs, onSave, onBack, showCo
                   }}
                 >
                   <strong style={{ color: colors.textPrimary }}>Tip:</strong> Drag fields to reorder
-                  them. Required fields appear first when adding items.
+                  them. Required fields appear first when adding items. Substitute keys are the
+                  fields a stand-in must match when a reserved item is booked.
                 </p>
               </div>
             </div>
@@ -1253,6 +1310,17 @@ export const CategoriesPage = memo(function CategoriesPage({
     setDirty(true);
   };
 
+  const handleReadinessRuleChange = (key, rule, level) => {
+    setSettingsByKey((prev) => ({
+      ...prev,
+      [key]: {
+        ...(prev[key] || {}),
+        readinessRules: { ...(prev[key]?.readinessRules || {}), [rule]: level },
+      },
+    }));
+    setDirty(true);
+  };
+
   // Drag handlers
   const handleDragStart = (e, index) => {
     setDraggedIndex(index);
@@ -1588,6 +1656,75 @@ export const CategoriesPage = memo(function CategoriesPage({
                       />
                       Require Serial #
                     </label>
+                    <label
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: spacing[2],
+                        fontSize: typography.fontSize.sm,
+                        color: colors.textSecondary,
+                      }}
+                      title="Prep time after a timed return before the gear can go out again"
+                    >
+                      Turnaround
+                      <input
+                        type="number"
+                        min={0}
+                        max={1440}
+                        step={15}
+                        value={settings.turnaroundMinutes || 0}
+                        onChange={(e) =>
+                          handleSettingChange(
+                            row.key,
+                            'turnaroundMinutes',
+                            Math.min(1440, Math.max(0, Number(e.target.value) || 0)),
+                          )
+                        }
+                        aria-label={`Turnaround minutes (${category})`}
+                        style={{
+                          ...styles.input,
+                          width: 72,
+                          padding: `${spacing[1]}px ${spacing[2]}px`,
+                        }}
+                      />
+                      min
+                    </label>
+                  </div>
+
+                  {/* Readiness checks before checkout */}
+                  <div
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[2],
+                      flexWrap: 'wrap',
+                      paddingLeft: spacing[7],
+                      marginTop: spacing[3],
+                      fontSize: typography.fontSize.sm,
+                      color: colors.textSecondary,
+                    }}
+                  >
+                    <span title="Checked before each checkout; a blocking check needs an override reason">
+                      Before checkout:
+                    </span>
+                    {READINESS_RULE_OPTIONS.map((rule) => (
+                      <label
+                        key={rule.id}
+                        style={{ display: 'flex', alignItems: 'center', gap: spacing[1] }}
+                      >
+                        {rule.label}
+                        <Select
+                          value={readinessRulesFor({ [row.key]: settings }, row.key)[rule.id]}
+                          onChange={(e) =>
+                            handleReadinessRuleChange(row.key, rule.id, e.target.value)
+                          }
+                          options={READINESS_LEVEL_OPTIONS}
+                          compact
+                          style={{ width: 90 }}
+                          aria-label={`${rule.label} (${category})`}
+                        />
+                      </label>
+                    ))}
                   </div>
                 </div>
               );
@@ -15,8 +15,12 @@ import {
   FileText,
   Upload,
   Download,
+  ArchiveRestore,
   ImagePlus,
   Mail,
+  DollarSign,
+  Repeat,
+  Globe,
 } from 'lucide-react';
 import { VIEWS } from '../constants.js';
 import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
@@ -27,7 +31,9 @@ export const AdminPanel = memo(function AdminPanel({
   setCurrentView,
   onOpenImport,
   onOpenExport,
+  onOpenRestore,
   onOpenBulkPhotos,
+  onOpenPricing,
 }) {
   const { canView, canEdit } = usePermissions();
 
@@ -72,6 +78,24 @@ export const AdminPanel = memo(function AdminPanel({
       permissionId: 'admin_specs',
       requireEdit: true,
     },
+    {
+      icon: Repeat,
+      label: 'Equivalence Groups',
+      description: 'Interchangeable units for swaps',
+      action: () => setCurrentView(VIEWS.EQUIVALENCE_GROUPS),
+      color: colors.accent2,
+      permissionId: 'admin_specs',
+      requireEdit: true,
+    },
+    {
+      icon: Globe,
+      label: 'Portal Catalog',
+      description: 'Gear clients can request online',
+      action: () => setCurrentView(VIEWS.PORTAL_CATALOG),
+      color: colors.success,
+      permissionId: 'gear_list',
+      requireEdit: true,
+    },
     {
       icon: FolderTree,
       label: 'Edit Categories',
@@ -97,6 +121,15 @@ export const AdminPanel = memo(function AdminPanel({
       color: colors.accent3,
       permissionId: 'admin_audit',
     },
+    {
+      icon: DollarSign,
+      label: 'Rates & Tax',
+      description: 'Multi-day discount, tax, quote terms and checkout agreement',
+      action: onOpenPricing,
+      color: colors.success,
+      permissionId: 'admin_users',
+      requireEdit: true,
+    },
     {
       icon: Mail,
       label: 'Email Log',
@@ -108,7 +141,7 @@ export const AdminPanel = memo(function AdminPanel({
     // Data tools — moved here from the sidebar nav (they're occasional admin
     // actions, not daily destinations). Same permission gates as before:
     // import follows gear_list EDIT, the full-database export follows
-    // admin_users VIEW.
+    // admin_users VIEW; restoring one rewrites everything, so admin_users EDIT.
     {
       icon: Upload,
       label: 'Import CSV',
@@ -135,6 +168,15 @@ export const AdminPanel = memo(function AdminPanel({
       color: colors.primary,
       permissionId: 'admin_users',
     },
+    {
+      icon: ArchiveRestore,
+      label: 'Restore Backup',
+      description: 'Load a JSON backup back in, with a dry run first',
+      action: onOpenRestore,
+      color: colors.danger,
+      permissionId: 'admin_users',
+      requireEdit: true,
+    },
   ].filter(
     (card) =>
       card.action && (card.requireEdit ? canEdit(card.permissionId) : canView(card.permissionId)),
@@ -208,4 +250,8 @@ AdminPanel.propTypes = {
   onOpenBulkPhotos: PropTypes.func,
   /** Opens the database export modal (card hidden when absent) */
   onOpenExport: PropTypes.func,
+  /** Opens the backup restore modal (card hidden when absent) */
+  onOpenRestore: PropTypes.func,
+  /** Opens the pricing settings modal (card hidden when absent) */
+  onOpenPricing: PropTypes.func,
 };
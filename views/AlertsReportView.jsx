@@ -3,12 +3,21 @@
 // Items needing attention with severity composition and value-at-risk charts.
 // Low-stock and overdue are DERIVED states — computeAlertData uses the shared
 // matchers, so this report catches what a stored-status equality check never
-// could (the Search-round lesson, finally applied here).
+// could (the Search-round lesson, finally applied here). Deposits still held
+// are listed alongside, flagged once their gear is all back.
 // ============================================================================
 
 import { memo, useMemo, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Download, AlertTriangle, Clock, Package, MapPin, TrendingDown } from 'lucide-react';
+import {
+  Download,
+  AlertTriangle,
+  Clock,
+  Package,
+  MapPin,
+  TrendingDown,
+  Wallet,
+} from 'lucide-react';
 import { colors, spacing, typography } from '../theme.js';
 import { formatDate, formatMoney, downloadCSV, getTodayISO } from '../utils';
 import {
@@ -23,15 +32,26 @@ import {
 import { ReportBranding } from '../components/ReportBranding.jsx';
 import { DonutChart, HBarChart } from '../components/charts.jsx';
 import { computeAlertData, csvForAlerts } from '../lib/reportData.js';
+import { outstandingDeposits, depositMoney } from '../lib/deposits.js';
 import { useData } from '../contexts/DataContext.js';
 
 export const AlertsReportPanel = memo(function AlertsReportPanel({
   inventory,
   currentUser,
   onViewItem,
+  onViewDeposits,
   onBack,
 }) {
-  const { categorySettings } = useData();
+  const { categorySettings, deposits, ensureDeposits } = useData();
+
+  useEffect(() => {
+    ensureDeposits();
+  }, [ensureDeposits]);
+
+  const heldDeposits = useMemo(
+    () => outstandingDeposits(deposits, inventory),
+    [deposits, inventory],
+  );
 
   // "Today" ticks hourly and on tab re-focus — the overdue set is a function
   // of today's date, and a tab left open past midnight kept yesterday's
@@ -149,6 +169,12 @@ export const AlertsReportPanel = memo(function AlertsReportPanel({
           value={formatMoney(alertData.valueAtRisk)}
           color={alertData.valueAtRisk > 0 ? colors.danger : colors.textMuted}
         />
+        <StatCard
+          icon={Wallet}
+          label="Deposits Held"
+          value={depositMoney(heldDeposits.total)}
+          color={heldDeposits.deposits.length > 0 ? colors.primary : colors.textMuted}
+        />
       </div>
 
       <div className="responsive-two-col" style={{ display: 'grid', gap: spacing[5] }}>
@@ -286,6 +312,73 @@ export const AlertsReportPanel = memo(function AlertsReportPanel({
             </div>
           </Card>
 
+          {/* Outstanding deposits */}
+          <Card padding={false}>
+            <CardHeader
+              title="Outstanding Deposits"
+              icon={Wallet}
+              action={
+                onViewDeposits && (
+                  <Button size="sm" variant="secondary" onClick={onViewDeposits}>
+                    Ledger
+                  </Button>
+                )
+              }
+            />
+            {heldDeposits.deposits.length === 0 ? (
+              <p
+                style={{
+                  color: colors.textMuted,
+                  textAlign: 'center',
+                  margin: 0,
+                  padding: spacing[4],
+                  fontSize: typography.fontSize.sm,
+                }}
+              >
+                No deposits held
+              </p>
+            ) : (
+              heldDeposits.deposits.map((deposit, idx) => (
+                <div
+                  key={deposit.id}
+                  style={{
+                    padding: `${spacing[3]}px ${spacing[4]}px`,
+                    borderBottom:
+                      idx < heldDeposits.deposits.length - 1
+                        ? `1px solid ${colors.borderLight}`
+                        : 'none',
+                  }}
+                >
+                  <div
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: spacing[2],
+                      fontSize: typography.fontSize.sm,
+                      color: colors.textPrimary,
+                    }}
+                  >
+                    <span style={{ fontWeight: typography.fontWeight.medium }}>
+                      {deposit.borrowerName}
+                    </span>
+                    <span>{depositMoney(deposit.amount)}</span>
+                  </div>
+                  <div
+                    style={{
+                      fontSize: typography.fontSize.xs,
+                      color: deposit.allReturned ? colors.warning : colors.textMuted,
+                    }}
+                  >
+                    {deposit.allReturned
+                      ? 'Gear all back — settle the deposit'
+                      : `${deposit.itemsOut.length} item${deposit.itemsOut.length === 1 ? '' : 's'} still out`}
+                    {` · since ${formatDate(deposit.receivedAt)}`}
+                  </div>
+                </div>
+              ))
+            )}
+          </Card>
+
           {/* Value at risk by category */}
           {valueAtRiskBars.length > 0 && (
             <Card padding={false}>
@@ -330,6 +423,8 @@ AlertsReportPanel.propTypes = {
   }),
   /** Callback when item is clicked */
   onViewItem: PropTypes.func.isRequired,
+  /** Opens the deposit ledger */
+  onViewDeposits: PropTypes.func,
   /** Callback to go back */
   onBack: PropTypes.func.isRequired,
 };
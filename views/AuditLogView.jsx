@@ -1,17 +1,22 @@
 // ============================================================================
 // Audit Log Panel View
-// Historical record of system events with filtering and search
+// Historical record of system events with filtering and search. Entries the
+// database triggers wrote carry the old/new row and open into a field diff;
+// the header checks the hash chain for deleted or edited entries.
 // ============================================================================
 
 import { memo, useState, useMemo, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Clock, Filter } from 'lucide-react';
+import { ChevronDown, ChevronRight, Clock, Filter, ShieldAlert, ShieldCheck } from 'lucide-react';
 import { colors, spacing, borderRadius, typography } from '../theme.js';
 import { formatDateTime } from '../utils';
 import { useData } from '../contexts/DataContext.js';
-import { Badge, Card, EmptyState, PageHeader, SearchInput } from '../components/ui.jsx';
+import { Badge, Button, Card, EmptyState, PageHeader, SearchInput } from '../components/ui.jsx';
 import { Select } from '../components/Select.jsx';
 import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+import { auditLogService } from '../lib/services.js';
+import { diffAuditEntry, formatAuditValue } from '../lib/auditDiff.js';
+import { error as logError } from '../lib/logger.js';
 
 // Event type → color mapping for meaningful badge differentiation
 const EVENT_COLORS = {
@@ -22,6 +27,7 @@ const EVENT_COLORS = {
   // Checkout / Checkin
   item_checkout: colors.checkedOut || colors.warning,
   item_checkin: colors.available || colors.success,
+  checkout_override: colors.danger,
   // Notes
   note_deleted: colors.danger,
   // Maintenance
@@ -55,6 +61,10 @@ const EVENT_COLORS = {
   // User management
   user_deleted: colors.danger,
   profile_updated: colors.primary,
+  // Row changes recorded by the database triggers
+  row_insert: colors.success,
+  row_update: colors.primary,
+  row_delete: colors.danger,
 };
 
 const getEventColor = (type) => EVENT_COLORS[type] || colors.primary;
@@ -75,12 +85,89 @@ const getEventTypes = (auditLog) => {
 
 const ITEMS_PER_PAGE = 50;
 
+const diffCellStyle = {
+  padding: `${spacing[1]}px ${spacing[2]}px`,
+  borderBottom: `1px solid ${colors.borderLight}`,
+  verticalAlign: 'top',
+  wordBreak: 'break-word',
+};
+
+// Field-by-field before/after for a trigger-written entry
+function AuditDiff({ changes }) {
+  if (changes.length === 0) {
+    return (
+      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+        No field changes recorded.
+      </div>
+    );
+  }
+  const showBefore = changes.some((c) => c.before !== undefined);
+  const showAfter = changes.some((c) => c.after !== undefined);
+  return (
+    <table
+      style={{
+        width: '100%',
+        borderCollapse: 'collapse',
+        fontSize: typography.fontSize.xs,
+        color: colors.textSecondary,
+      }}
+    >
+      <thead>
+        <tr style={{ textAlign: 'left', color: colors.textMuted }}>
+          <th style={diffCellStyle}>Field</th>
+          {showBefore && <th style={diffCellStyle}>Before</th>}
+          {showAfter && <th style={diffCellStyle}>After</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map(({ field, before, after }) => (
+          <tr key={field}>
+            <td style={{ ...diffCellStyle, fontFamily: 'monospace' }}>{field}</td>
+            {showBefore && (
+              <td style={{ ...diffCellStyle, color: colors.danger }}>{formatAuditValue(before)}</td>
+            )}
+            {showAfter && (
+              <td style={{ ...diffCellStyle, color: colors.success }}>{formatAuditValue(after)}</td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+AuditDiff.propTypes = {
+  changes: PropTypes.arrayOf(
+    PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      before: PropTypes.any,
+      after: PropTypes.any,
+    }),
+  ).isRequired,
+};
+
 export const AuditLogPanel = memo(function AuditLogPanel({ auditLog, onBack }) {
   const { ensureAuditLog, auditLogLoaded, lazyErrors } = useData();
   const auditLogLoadFailed = Boolean(lazyErrors?.auditLog);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedType, setSelectedType] = useState('');
   const [visibleCount, setVisibleCount] = useState(ITEMS_PER_PAGE);
+  const [expandedId, setExpandedId] = useState(null);
+  // null until checked; { checked, brokenSeq, reason } or { error }
+  const [chainCheck, setChainCheck] = useState(null);
+  const [checkingChain, setCheckingChain] = useState(false);
+
+  const handleVerifyChain = async () => {
+    setCheckingChain(true);
+    try {
+      setChainCheck(await auditLogService.verifyChain());
+    } catch (err) {
+      logError('Audit chain check failed:', err);
+      setChainCheck({ error: err.message || 'Could not check the audit log' });
+    } finally {
+      setCheckingChain(false);
+    }
+  };
 
   // Lazy-load audit log on mount
   useEffect(() => {
@@ -122,8 +209,49 @@ export const AuditLogPanel = memo(function AuditLogPanel({ auditLog, onBack }) {
         subtitle={`${auditLog.length} system events recorded`}
         onBack={onBack}
         backLabel="Back to Admin"
+        action={
+          <Button
+            variant="secondary"
+            size="sm"
+            icon={ShieldCheck}
+            onClick={handleVerifyChain}
+            disabled={checkingChain}
+          >
+            {checkingChain ? 'Checking…' : 'Verify Integrity'}
+          </Button>
+        }
       />
 
+      {chainCheck && (
+        <div
+          role={chainCheck.brokenSeq != null || chainCheck.error ? 'alert' : 'status'}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: spacing[2],
+            padding: spacing[3],
+            marginBottom: spacing[4],
+            borderRadius: borderRadius.md,
+            border: `1px solid ${
+              chainCheck.brokenSeq != null || chainCheck.error ? colors.danger : colors.success
+            }`,
+            fontSize: typography.fontSize.sm,
+            color: colors.textPrimary,
+          }}
+        >
+          {chainCheck.brokenSeq != null || chainCheck.error ? (
+            <ShieldAlert size={18} color={colors.danger} aria-hidden="true" />
+          ) : (
+            <ShieldCheck size={18} color={colors.success} aria-hidden="true" />
+          )}
+          {chainCheck.error
+            ? chainCheck.error
+            : chainCheck.brokenSeq != null
+              ? `Chain broken at entry #${chainCheck.brokenSeq}: ${chainCheck.reason}.`
+              : `All ${chainCheck.checked} entries verified — none deleted or edited.`}
+        </div>
+      )}
+
       {/* Search & Filter Bar */}
       <Card style={{ marginBottom: spacing[4] }}>
         <div
@@ -240,7 +368,40 @@ export const AuditLogPanel = memo(function AuditLogPanel({ auditLog, onBack }) {
               >
                 By: {entry.user || 'System'}
                 {entry.itemId && <> | Item: {entry.itemId}</>}
+                {entry.seq != null && <> | #{entry.seq}</>}
               </div>
+              {entry.tableName && (
+                <div style={{ marginTop: spacing[2] }}>
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    aria-expanded={expandedId === entry.id}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[1],
+                      background: 'none',
+                      border: 'none',
+                      padding: 0,
+                      color: colors.primary,
+                      cursor: 'pointer',
+                      fontSize: typography.fontSize.xs,
+                    }}
+                  >
+                    {expandedId === entry.id ? (
+                      <ChevronDown size={14} />
+                    ) : (
+                      <ChevronRight size={14} />
+                    )}
+                    {expandedId === entry.id ? 'Hide changes' : 'Show changes'}
+                  </button>
+                  {expandedId === entry.id && (
+                    <div style={{ marginTop: spacing[2] }}>
+                      <AuditDiff changes={diffAuditEntry(entry)} />
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           ))}
 
@@ -283,6 +444,10 @@ AuditLogPanel.propTypes = {
       content: PropTypes.string,
       user: PropTypes.string,
       itemId: PropTypes.string,
+      seq: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      tableName: PropTypes.string,
+      oldData: PropTypes.object,
+      newData: PropTypes.object,
     }),
   ).isRequired,
   /** Callback to go back */
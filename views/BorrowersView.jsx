@@ -0,0 +1,998 @@
+// ============================================================================
+// Borrowers View - borrower accounts, their limits and block, and the
+// history of everything each one has taken
+// ============================================================================
+
+import { memo, useState, useCallback, useMemo, useEffect } from 'react';
+import {
+  UserCheck,
+  Plus,
+  Mail,
+  Phone,
+  Building2,
+  Edit2,
+  Trash2,
+  Ban,
+  ShieldCheck,
+  Package,
+  Clock,
+  AlertTriangle,
+  ChevronRight,
+} from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
+import { formatDate, formatMoney, formatPhoneNumber, handlePhoneInput } from '../utils';
+import {
+  Card,
+  Button,
+  SearchInput,
+  Badge,
+  ConfirmDialog,
+  PageHeader,
+  EmptyState,
+  StatCard,
+} from '../components/ui.jsx';
+import { Select } from '../components/Select.jsx';
+import { DatePicker } from '../components/DatePicker.jsx';
+import { Modal, ModalHeader } from '../modals/ModalBase.jsx';
+import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+import { useData } from '../contexts/DataContext.js';
+import { useToast } from '../contexts/ToastContext.js';
+import { usePermissions } from '../contexts/PermissionsContext.js';
+import { ViewOnlyBanner } from '../contexts/PermissionsContext.jsx';
+import { validateBorrower } from '../lib/validators.js';
+import { BORROWER_TYPES, borrowerHoldings, borrowerReturnStats } from '../lib/borrowers.js';
+
+import { error as logError } from '../lib/logger.js';
+
+const typeLabel = (type) => BORROWER_TYPES.find((t) => t.value === type)?.label || 'Other';
+
+// Empty limit fields mean "no limit" — the columns want NULL, not ''
+const numberOrNull = (value) => (value === '' || value == null ? null : Number(value));
+
+// ============================================================================
+// Borrower Card Component
+// ============================================================================
+const BorrowerCard = memo(function BorrowerCard({ borrower, outCount, onSelect }) {
+  return (
+    <Card style={{ cursor: 'pointer' }} onClick={() => onSelect(borrower)}>
+      <div style={{ display: 'flex', gap: spacing[3], alignItems: 'center' }}>
+        <div
+          style={{
+            width: 48,
+            height: 48,
+            borderRadius: borderRadius.lg,
+            background: withOpacity(borrower.blocked ? colors.danger : colors.primary, 20),
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            flexShrink: 0,
+          }}
+        >
+          {borrower.blocked ? (
+            <Ban size={24} color={colors.danger} />
+          ) : (
+            <UserCheck size={24} color={colors.primary} />
+          )}
+        </div>
+
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div
+            style={{
+              fontWeight: typography.fontWeight.semibold,
+              color: colors.textPrimary,
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+              marginBottom: spacing[1],
+            }}
+          >
+            {borrower.name}
+          </div>
+          <div
+            style={{
+              display: 'flex',
+              gap: spacing[3],
+              flexWrap: 'wrap',
+              fontSize: typography.fontSize.xs,
+              color: colors.textSecondary,
+            }}
+          >
+            {borrower.organization && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                <Building2 size={12} /> {borrower.organization}
+              </span>
+            )}
+            {borrower.email && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                <Mail size={12} /> {borrower.email}
+              </span>
+            )}
+            {borrower.phone && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                <Phone size={12} /> {borrower.phone}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div
+          style={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'flex-end',
+            gap: spacing[1],
+          }}
+        >
+          <Badge color={colors.primary}>{typeLabel(borrower.type)}</Badge>
+          {borrower.blocked && <Badge color={colors.danger}>Blocked</Badge>}
+          {outCount > 0 && <Badge color={colors.checkedOut}>{outCount} out</Badge>}
+        </div>
+      </div>
+    </Card>
+  );
+});
+
+// ============================================================================
+// Borrower Form Modal
+// ============================================================================
+const BorrowerFormModal = memo(function BorrowerFormModal({ borrower, users, onSave, onClose }) {
+  const [formData, setFormData] = useState({
+    name: borrower?.name || '',
+    type: borrower?.type || 'crew',
+    organization: borrower?.organization || '',
+    email: borrower?.email || '',
+    phone: formatPhoneNumber(borrower?.phone) || '',
+    userId: borrower?.userId || '',
+    idVerification: borrower?.idVerification || '',
+    idVerifiedAt: borrower?.idVerifiedAt || '',
+    maxItems: borrower?.maxItems ?? '',
+    maxValue: borrower?.maxValue ?? '',
+    depositRequired: borrower?.depositRequired || '',
+    blocked: borrower?.blocked || false,
+    blockedReason: borrower?.blockedReason || '',
+    notes: borrower?.notes || '',
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const isEditing = !!borrower;
+
+  const setField = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (fieldErrors[field]) setFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validation = validateBorrower(formData);
+    if (!validation.isValid) {
+      setFieldErrors(validation.errors);
+      return;
+    }
+    onSave({
+      ...formData,
+      id: borrower?.id,
+      userId: formData.userId || null,
+      idVerifiedAt: formData.idVerifiedAt || null,
+      maxItems: numberOrNull(formData.maxItems),
+      maxValue: numberOrNull(formData.maxValue),
+      depositRequired: Number(formData.depositRequired) || 0,
+      blockedReason: formData.blocked ? formData.blockedReason.trim() : null,
+    });
+  };
+
+  const errorText = (field) =>
+    fieldErrors[field] && (
+      <span style={{ color: colors.danger, fontSize: typography.fontSize.xs }}>
+        {fieldErrors[field]}
+      </span>
+    );
+
+  return (
+    <Modal onClose={onClose} maxWidth={560}>
+      <ModalHeader title={isEditing ? 'Edit Borrower' : 'Add Borrower'} onClose={onClose} />
+      <form
+        onSubmit={handleSubmit}
+        style={{ padding: spacing[4], maxHeight: 'calc(90vh - 80px)', overflowY: 'auto' }}
+      >
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+          <div>
+            <label
+              htmlFor="borrower-name"
+              style={{ ...styles.label, color: fieldErrors.name ? colors.danger : undefined }}
+            >
+              Name <span style={{ color: colors.danger }}>*</span>
+            </label>
+            <input
+              id="borrower-name"
+              type="text"
+              value={formData.name}
+              onChange={(e) => setField('name', e.target.value)}
+              style={styles.input}
+              placeholder="Full name"
+              autoFocus
+            />
+            {errorText('name')}
+          </div>
+          <div>
+            <label style={styles.label}>Type</label>
+            <Select
+              value={formData.type}
+              onChange={(e) => setField('type', e.target.value)}
+              options={BORROWER_TYPES}
+              aria-label="Borrower type"
+            />
+          </div>
+        </div>
+
+        <div style={{ marginBottom: spacing[3] }}>
+          <label htmlFor="borrower-organization" style={styles.label}>
+            Organization
+          </label>
+          <input
+            id="borrower-organization"
+            type="text"
+            value={formData.organization}
+            onChange={(e) => setField('organization', e.target.value)}
+            style={styles.input}
+            placeholder="Production company, school, crew (optional)"
+          />
+        </div>
+
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+          <div>
+            <label htmlFor="borrower-email" style={styles.label}>
+              Email
+            </label>
+            <input
+              id="borrower-email"
+              type="email"
+              value={formData.email}
+              onChange={(e) => setField('email', e.target.value)}
+              style={styles.input}
+              placeholder="email@example.com"
+            />
+            {errorText('email')}
+          </div>
+          <div>
+            <label htmlFor="borrower-phone" style={styles.label}>
+              Phone
+            </label>
+            <input
+              id="borrower-phone"
+              type="tel"
+              value={formData.phone}
+              onChange={(e) => handlePhoneInput(e, (v) => setField('phone', v))}
+              style={styles.input}
+              placeholder="555-123-4567"
+              maxLength={12}
+            />
+          </div>
+        </div>
+
+        {users.length > 0 && (
+          <div style={{ marginBottom: spacing[3] }}>
+            <label style={styles.label}>App Account</label>
+            <Select
+              value={formData.userId}
+              onChange={(e) => setField('userId', e.target.value)}
+              options={[
+                { value: '', label: '-- Not a SIMS user --' },
+                ...users.map((u) => ({ value: u.id, label: u.name })),
+              ]}
+              aria-label="App account"
+            />
+          </div>
+        )}
+
+        <div className="responsive-form-grid" style={{ marginBottom: spacing[3] }}>
+          <div>
+            <label htmlFor="borrower-id-verification" style={styles.label}>
+              ID Verification
+            </label>
+            <input
+              id="borrower-id-verification"
+              type="text"
+              value={formData.idVerification}
+              onChange={(e) => setField('idVerification', e.target.value)}
+              style={styles.input}
+              placeholder="e.g. Driver's licence, last 4: 1234"
+            />
+          </div>
+          <div>
+            <label style={styles.label}>Verified On</label>
+            <DatePicker
+              value={formData.idVerifiedAt}
+              onChange={(e) => setField('idVerifiedAt', e.target.value)}
+              placeholder="Not verified"
+              aria-label="ID verified on"
+            />
+          </div>
+        </div>
+
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+            gap: spacing[3],
+            marginBottom: spacing[3],
+          }}
+        >
+          <div>
+            <label htmlFor="borrower-max-items" style={styles.label}>
+              Max Items Out
+            </label>
+            <input
+              id="borrower-max-items"
+              type="number"
+              min={1}
+              step={1}
+              value={formData.maxItems}
+              onChange={(e) => setField('maxItems', e.target.value)}
+              style={styles.input}
+              placeholder="No limit"
+            />
+            {errorText('maxItems')}
+          </div>
+          <div>
+            <label htmlFor="borrower-max-value" style={styles.label}>
+              Max Value Out ($)
+            </label>
+            <input
+              id="borrower-max-value"
+              type="number"
+              min={0}
+              step="0.01"
+              value={formData.maxValue}
+              onChange={(e) => setField('maxValue', e.target.value)}
+              style={styles.input}
+              placeholder="No limit"
+            />
+            {errorText('maxValue')}
+          </div>
+          <div>
+            <label htmlFor="borrower-deposit" style={styles.label}>
+              Deposit Required ($)
+            </label>
+            <input
+              id="borrower-deposit"
+              type="number"
+              min={0}
+              step="0.01"
+              value={formData.depositRequired}
+              onChange={(e) => setField('depositRequired', e.target.value)}
+              style={styles.input}
+              placeholder="None"
+            />
+            {errorText('depositRequired')}
+          </div>
+        </div>
+
+        <div
+          style={{
+            padding: spacing[3],
+            background: formData.blocked ? withOpacity(colors.danger, 10) : colors.bgLight,
+            borderRadius: borderRadius.md,
+            marginBottom: spacing[3],
+          }}
+        >
+          <label
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: spacing[2],
+              color: colors.textPrimary,
+              fontSize: typography.fontSize.sm,
+              cursor: 'pointer',
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={formData.blocked}
+              onChange={(e) => setField('blocked', e.target.checked)}
+              style={{ accentColor: colors.danger }}
+            />
+            <Ban size={14} /> Blocked from borrowing
+          </label>
+          {formData.blocked && (
+            <div style={{ marginTop: spacing[2] }}>
+              <label htmlFor="borrower-blocked-reason" style={styles.label}>
+                Reason <span style={{ color: colors.danger }}>*</span>
+              </label>
+              <input
+                id="borrower-blocked-reason"
+                type="text"
+                value={formData.blockedReason}
+                onChange={(e) => setField('blockedReason', e.target.value)}
+                style={styles.input}
+                placeholder="Shown at checkout"
+              />
+              {errorText('blockedReason')}
+            </div>
+          )}
+        </div>
+
+        <div style={{ marginBottom: spacing[4] }}>
+          <label htmlFor="borrower-notes" style={styles.label}>
+            Notes
+          </label>
+          <textarea
+            id="borrower-notes"
+            value={formData.notes}
+            onChange={(e) => setField('notes', e.target.value)}
+            style={{ ...styles.input, minHeight: 70, resize: 'vertical' }}
+          />
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: spacing[2] }}>
+          <Button type="button" variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" icon={isEditing ? Edit2 : Plus}>
+            {isEditing ? 'Save Changes' : 'Add Borrower'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+});
+
+// ============================================================================
+// Borrower Detail View
+// ============================================================================
+const BorrowerDetailView = memo(function BorrowerDetailView({
+  borrower,
+  inventory,
+  users,
+  loadHistory,
+  onBack,
+  onEdit,
+  onDelete,
+  onViewItem,
+  canEdit,
+}) {
+  const [history, setHistory] = useState({ rows: [], loading: true, error: false });
+
+  const borrowerId = borrower.id;
+  useEffect(() => {
+    let cancelled = false;
+    setHistory({ rows: [], loading: true, error: false });
+    loadHistory(borrowerId)
+      .then((rows) => {
+        if (!cancelled) setHistory({ rows, loading: false, error: false });
+      })
+      .catch(() => {
+        if (!cancelled) setHistory({ rows: [], loading: false, error: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [borrowerId, loadHistory]);
+
+  const holdings = useMemo(() => borrowerHoldings(borrower, inventory), [borrower, inventory]);
+  const stats = useMemo(() => borrowerReturnStats(history.rows), [history.rows]);
+  const appUser = borrower.userId ? users.find((u) => u.id === borrower.userId) : null;
+
+  const limits = [
+    borrower.maxItems && `${borrower.maxItems} item${borrower.maxItems === 1 ? '' : 's'}`,
+    borrower.maxValue && `${formatMoney(Number(borrower.maxValue))} of gear`,
+  ].filter(Boolean);
+
+  return (
+    <div>
+      <button
+        onClick={onBack}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: spacing[2],
+          background: 'transparent',
+          border: 'none',
+          color: colors.textMuted,
+          cursor: 'pointer',
+          marginBottom: spacing[3],
+          fontSize: typography.fontSize.sm,
+        }}
+      >
+        ← Back to Borrowers
+      </button>
+
+      {borrower.blocked && (
+        <div
+          role="alert"
+          style={{
+            display: 'flex',
+            gap: spacing[2],
+            alignItems: 'flex-start',
+            padding: spacing[3],
+            marginBottom: spacing[4],
+            background: withOpacity(colors.danger, 12),
+            border: `1px solid ${withOpacity(colors.danger, 50)}`,
+            borderRadius: borderRadius.md,
+            color: colors.textPrimary,
+            fontSize: typography.fontSize.sm,
+          }}
+        >
+          <Ban size={16} color={colors.danger} style={{ flexShrink: 0, marginTop: 2 }} />
+          <span>
+            <strong>Blocked from borrowing.</strong> {borrower.blockedReason}
+          </span>
+        </div>
+      )}
+
+      <Card style={{ marginBottom: spacing[4] }}>
+        <div style={{ display: 'flex', gap: spacing[4], alignItems: 'flex-start' }}>
+          <div style={{ flex: 1 }}>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: spacing[2],
+                marginBottom: spacing[2],
+              }}
+            >
+              <h2 style={{ margin: 0, color: colors.textPrimary }}>{borrower.name}</h2>
+              <Badge>{typeLabel(borrower.type)}</Badge>
+            </div>
+
+            <div
+              style={{
+                display: 'flex',
+                gap: spacing[4],
+                flexWrap: 'wrap',
+                color: colors.textSecondary,
+                fontSize: typography.fontSize.sm,
+              }}
+            >
+              {borrower.organization && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                  <Building2 size={14} /> {borrower.organization}
+                </span>
+              )}
+              {borrower.email && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                  <Mail size={14} /> {borrower.email}
+                </span>
+              )}
+              {borrower.phone && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                  <Phone size={14} /> {borrower.phone}
+                </span>
+              )}
+              {appUser && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                  <UserCheck size={14} /> Signs in as {appUser.name}
+                </span>
+              )}
+            </div>
+
+            <dl
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'max-content 1fr',
+                gap: `${spacing[1]}px ${spacing[3]}px`,
+                margin: `${spacing[3]}px 0 0`,
+                fontSize: typography.fontSize.sm,
+              }}
+            >
+              <dt style={{ color: colors.textMuted }}>ID verification</dt>
+              <dd style={{ margin: 0, color: colors.textPrimary }}>
+                {borrower.idVerification ? (
+                  <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                    <ShieldCheck size={14} color={colors.success} />
+                    {borrower.idVerification}
+                    {borrower.idVerifiedAt && ` (${formatDate(borrower.idVerifiedAt)})`}
+                  </span>
+                ) : (
+                  'Not recorded'
+                )}
+              </dd>
+              <dt style={{ color: colors.textMuted }}>Limit at once</dt>
+              <dd style={{ margin: 0, color: colors.textPrimary }}>
+                {limits.length > 0 ? limits.join(' and ') : 'None'}
+              </dd>
+              <dt style={{ color: colors.textMuted }}>Deposit</dt>
+              <dd style={{ margin: 0, color: colors.textPrimary }}>
+                {Number(borrower.depositRequired) > 0
+                  ? `${formatMoney(Number(borrower.depositRequired))} per checkout`
+                  : 'None'}
+              </dd>
+            </dl>
+
+            {borrower.notes && (
+              <p
+                style={{
+                  margin: `${spacing[3]}px 0 0`,
+                  color: colors.textMuted,
+                  fontSize: typography.fontSize.sm,
+                }}
+              >
+                {borrower.notes}
+              </p>
+            )}
+          </div>
+
+          {canEdit && (
+            <div style={{ display: 'flex', gap: spacing[2], alignItems: 'center' }}>
+              <Button variant="secondary" onClick={() => onEdit(borrower)} icon={Edit2}>
+                Edit
+              </Button>
+              <Button
+                variant="secondary"
+                danger
+                onClick={() => onDelete(borrower)}
+                icon={Trash2}
+                aria-label={`Delete ${borrower.name}`}
+              />
+            </div>
+          )}
+        </div>
+      </Card>
+
+      {/* Return record */}
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+          gap: spacing[3],
+          marginBottom: spacing[4],
+        }}
+      >
+        <StatCard
+          icon={Package}
+          value={`${holdings.count}${holdings.value ? ` · ${formatMoney(holdings.value)}` : ''}`}
+          label="Out now"
+          color={colors.checkedOut}
+        />
+        <StatCard icon={Clock} value={stats.loans} label="Checkouts" />
+        <StatCard
+          icon={AlertTriangle}
+          value={stats.lateRate === null ? '—' : `${Math.round(stats.lateRate * 100)}%`}
+          label={`Returned late (${stats.late} of ${stats.returned})`}
+          color={stats.late > 0 ? colors.warning : colors.success}
+        />
+        <StatCard
+          icon={Clock}
+          value={stats.averageDaysLate === null ? '—' : stats.averageDaysLate.toFixed(1)}
+          label="Avg days late"
+          color={colors.warning}
+        />
+        <StatCard
+          icon={Ban}
+          value={stats.overdue}
+          label="Overdue now"
+          color={stats.overdue > 0 ? colors.danger : colors.success}
+        />
+      </div>
+
+      {/* History */}
+      <Card>
+        <h3 style={{ margin: `0 0 ${spacing[3]}px`, color: colors.textPrimary }}>
+          Borrowing History
+        </h3>
+        {history.loading ? (
+          <div role="status" style={{ padding: spacing[4], color: colors.textMuted }}>
+            Loading history...
+          </div>
+        ) : history.error ? (
+          <LoadErrorBanner message="Couldn't load this borrower's history." />
+        ) : history.rows.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: spacing[6], color: colors.textMuted }}>
+            Nothing borrowed yet
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[2] }}>
+            {history.rows.map((row) => {
+              const open = row.action === 'checkout' && row.quantity == null && !row.returnedAt;
+              return (
+                <div
+                  key={row.historyId}
+                  onClick={() => onViewItem?.(row.itemId)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: spacing[3],
+                    padding: spacing[3],
+                    background: colors.bgLight,
+                    borderRadius: borderRadius.md,
+                    cursor: onViewItem ? 'pointer' : undefined,
+                  }}
+                >
+                  <Package size={16} color={colors.textMuted} />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div
+                      style={{
+                        fontWeight: typography.fontWeight.medium,
+                        color: colors.textPrimary,
+                      }}
+                    >
+                      {row.itemName}
+                      {row.quantity != null && ` × ${row.quantity}`}
+                    </div>
+                    <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                      {row.action === 'consume' ? 'Consumed' : 'Out'} {formatDate(row.checkedOutAt)}
+                      {row.dueBack && ` · due ${formatDate(row.dueBack)}`}
+                      {row.returnedAt && ` · back ${formatDate(row.returnedAt)}`}
+                      {row.project && ` · ${row.project}`}
+                    </div>
+                  </div>
+                  {open && <Badge color={colors.checkedOut}>Out</Badge>}
+                  {onViewItem && <ChevronRight size={16} color={colors.textMuted} />}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+});
+
+// ============================================================================
+// Main Borrowers View
+// ============================================================================
+function BorrowersView({
+  borrowers = [],
+  inventory = [],
+  dataContext: propDataContext,
+  onViewItem,
+  user,
+  addAuditLog,
+}) {
+  const ctxData = useData();
+  const dataContext = propDataContext || ctxData;
+  const ensureBorrowers = ctxData?.ensureBorrowers;
+  const { addToast } = useToast();
+  const { canEdit } = usePermissions();
+  const canEditBorrowers = canEdit('clients');
+  const borrowersLoaded = dataContext?.borrowersLoaded !== false;
+  const borrowersLoadFailed = Boolean(ctxData?.lazyErrors?.borrowers);
+  const users = dataContext?.users || [];
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [filterType, setFilterType] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editingBorrower, setEditingBorrower] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState({ isOpen: false, borrower: null });
+
+  useEffect(() => {
+    ensureBorrowers?.();
+  }, [ensureBorrowers]);
+
+  // By id, so an edit shows up without re-selecting
+  const selectedBorrower = selectedId ? borrowers.find((b) => b.id === selectedId) : null;
+
+  const outCounts = useMemo(() => {
+    const counts = {};
+    borrowers.forEach((b) => {
+      counts[b.id] = borrowerHoldings(b, inventory).count;
+    });
+    return counts;
+  }, [borrowers, inventory]);
+
+  const filteredBorrowers = useMemo(() => {
+    const q = searchQuery.toLowerCase();
+    return borrowers
+      .filter(
+        (b) =>
+          !q ||
+          b.name?.toLowerCase().includes(q) ||
+          b.email?.toLowerCase().includes(q) ||
+          b.organization?.toLowerCase().includes(q) ||
+          b.phone?.toLowerCase().includes(q),
+      )
+      .filter((b) => {
+        if (filterType === 'all') return true;
+        if (filterType === 'blocked') return b.blocked;
+        return b.type === filterType;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [borrowers, searchQuery, filterType]);
+
+  const handleSave = useCallback(
+    async (borrowerData) => {
+      const existing = borrowerData.id ? borrowers.find((b) => b.id === borrowerData.id) : null;
+      if (existing) {
+        try {
+          await dataContext.updateBorrower(existing.id, borrowerData);
+        } catch (err) {
+          logError('Failed to update borrower:', err);
+          addToast('Failed to save borrower: ' + (err.message || 'Please try again.'), 'error');
+          return;
+        }
+        // A block (or lifting one) is its own event — it changes who can check out
+        let type = 'borrower_updated';
+        let description = `Borrower "${borrowerData.name}" updated`;
+        if (borrowerData.blocked && !existing.blocked) {
+          type = 'borrower_blocked';
+          description = `Borrower "${borrowerData.name}" blocked: ${borrowerData.blockedReason}`;
+        } else if (!borrowerData.blocked && existing.blocked) {
+          type = 'borrower_unblocked';
+          description = `Borrower "${borrowerData.name}" unblocked`;
+        }
+        addAuditLog?.({
+          type,
+          description,
+          user: user?.name || 'Unknown',
+          borrowerId: existing.id,
+        });
+      } else {
+        let created;
+        try {
+          created = await dataContext.createBorrower(borrowerData);
+        } catch (err) {
+          logError('Failed to create borrower:', err);
+          addToast('Failed to create borrower: ' + (err.message || 'Please try again.'), 'error');
+          return;
+        }
+        addAuditLog?.({
+          type: 'borrower_created',
+          description: `Borrower "${created.name}" created`,
+          user: user?.name || 'Unknown',
+          borrowerId: created.id,
+        });
+        setSelectedId(created.id);
+      }
+      setShowAddModal(false);
+      setEditingBorrower(null);
+    },
+    [borrowers, dataContext, addToast, addAuditLog, user],
+  );
+
+  const handleDelete = useCallback(async () => {
+    const target = deleteConfirm.borrower;
+    if (!target) return;
+    try {
+      await dataContext.deleteBorrower(target.id);
+    } catch (err) {
+      logError('Failed to delete borrower:', err);
+      addToast('Failed to delete borrower: ' + (err.message || 'Please try again.'), 'error');
+      return;
+    }
+    addAuditLog?.({
+      type: 'borrower_deleted',
+      description: `Borrower "${target.name}" deleted`,
+      user: user?.name || 'Unknown',
+      borrowerId: target.id,
+    });
+    setDeleteConfirm({ isOpen: false, borrower: null });
+    setSelectedId(null);
+  }, [deleteConfirm.borrower, dataContext, addToast, addAuditLog, user]);
+
+  const dialogs = (
+    <>
+      {(showAddModal || editingBorrower) && (
+        <BorrowerFormModal
+          borrower={editingBorrower}
+          users={users}
+          onSave={handleSave}
+          onClose={() => {
+            setShowAddModal(false);
+            setEditingBorrower(null);
+          }}
+        />
+      )}
+      <ConfirmDialog
+        isOpen={deleteConfirm.isOpen}
+        title="Delete Borrower"
+        message={
+          deleteConfirm.borrower
+            ? `Delete "${deleteConfirm.borrower.name}"? Their checkout history stays, under their name, but loses the link to this account. This cannot be undone.`
+            : ''
+        }
+        confirmText="Delete"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteConfirm({ isOpen: false, borrower: null })}
+      />
+    </>
+  );
+
+  if (selectedBorrower) {
+    return (
+      <>
+        {!canEditBorrowers && <ViewOnlyBanner functionId="clients" />}
+        <BorrowerDetailView
+          borrower={selectedBorrower}
+          inventory={inventory}
+          users={users}
+          loadHistory={dataContext.getBorrowerHistory}
+          onBack={() => setSelectedId(null)}
+          onEdit={setEditingBorrower}
+          onDelete={(b) => setDeleteConfirm({ isOpen: true, borrower: b })}
+          onViewItem={onViewItem}
+          canEdit={canEditBorrowers}
+        />
+        {dialogs}
+      </>
+    );
+  }
+
+  const blockedCount = borrowers.filter((b) => b.blocked).length;
+
+  return (
+    <div>
+      <PageHeader
+        title="Borrowers"
+        subtitle={`${borrowers.length} accounts${blockedCount ? ` · ${blockedCount} blocked` : ''}`}
+        action={
+          canEditBorrowers ? (
+            <Button onClick={() => setShowAddModal(true)} icon={Plus}>
+              Add Borrower
+            </Button>
+          ) : null
+        }
+      />
+
+      {!canEditBorrowers && <ViewOnlyBanner functionId="clients" />}
+
+      <Card style={{ marginBottom: spacing[4] }}>
+        <div style={{ display: 'flex', gap: spacing[3], flexWrap: 'wrap' }}>
+          <div style={{ flex: 1, minWidth: 200 }}>
+            <SearchInput
+              value={searchQuery}
+              onChange={setSearchQuery}
+              placeholder="Search borrowers..."
+            />
+          </div>
+          <Select
+            value={filterType}
+            onChange={(e) => setFilterType(e.target.value)}
+            options={[
+              { value: 'all', label: 'All Types' },
+              { value: 'blocked', label: 'Blocked' },
+              ...BORROWER_TYPES,
+            ]}
+            style={{ minWidth: 140 }}
+            aria-label="Filter by type"
+          />
+        </div>
+      </Card>
+
+      {borrowersLoadFailed && borrowers.length === 0 ? (
+        <LoadErrorBanner
+          message="Couldn't load borrowers. Check your connection and try again."
+          onRetry={() => ensureBorrowers?.()}
+        />
+      ) : !borrowersLoaded && borrowers.length === 0 ? (
+        <Card
+          role="status"
+          style={{ textAlign: 'center', padding: spacing[8], color: colors.textMuted }}
+        >
+          Loading borrowers...
+        </Card>
+      ) : filteredBorrowers.length === 0 ? (
+        <EmptyState
+          icon={UserCheck}
+          title={borrowers.length === 0 ? 'No borrowers yet' : 'No borrowers match your search'}
+          description={
+            borrowers.length === 0
+              ? 'Add the crew, freelancers and students who take gear out'
+              : 'Try adjusting your search or filters'
+          }
+          action={
+            borrowers.length === 0 &&
+            canEditBorrowers && (
+              <Button onClick={() => setShowAddModal(true)} icon={Plus}>
+                Add Borrower
+              </Button>
+            )
+          }
+        />
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[3] }}>
+          {filteredBorrowers.map((borrower) => (
+            <BorrowerCard
+              key={borrower.id}
+              borrower={borrower}
+              outCount={outCounts[borrower.id]}
+              onSelect={(b) => setSelectedId(b.id)}
+            />
+          ))}
+        </div>
+      )}
+
+      {dialogs}
+    </div>
+  );
+}
+
+export default memo(BorrowersView);
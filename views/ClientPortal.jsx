@@ -0,0 +1,455 @@
+// ============================================================================
+// Client Portal
+// The public request page a client opens from their /portal/<token> link.
+// They pick dates, browse the curated catalog with what is free for those
+// dates, and send a request that arrives in SIMS as a hold for staff to
+// confirm. Rendered outside the signed-in app (see main.jsx): everything it
+// shows comes from the client-portal Edge Function via lib/clientPortal.js.
+// ============================================================================
+
+import { memo, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Box, CheckCircle, Package, Plus, Send, Trash2 } from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography } from '../theme.js';
+import { getTodayISO } from '../utils';
+import { Badge, Button, Card, CardHeader, EmptyState, Input } from '../components/ui.jsx';
+import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+import { fetchPortalCatalog, submitPortalRequest } from '../lib/clientPortal.js';
+import { PortalUnavailableError } from '../lib/errors.js';
+
+const EMPTY_CONTACT = {
+  project: '',
+  contactName: '',
+  contactEmail: '',
+  contactPhone: '',
+  notes: '',
+};
+
+const cartKey = (type, id) => `${type}:${id}`;
+
+// "3 free", "Unavailable", or nothing until dates are picked
+function AvailabilityBadge({ entry }) {
+  if (entry.available === null || entry.available === undefined) return null;
+  if (entry.available === false || entry.available === 0) {
+    return <Badge text="Unavailable" color={colors.danger} size="xs" />;
+  }
+  const text = typeof entry.available === 'number' ? `${entry.available} free` : 'Available';
+  return <Badge text={text} color={colors.success} size="xs" />;
+}
+
+const CatalogCard = memo(function CatalogCard({ entry, kind, inCart, onAdd }) {
+  const unavailable = entry.available === false || entry.available === 0;
+  return (
+    <Card padding={false} style={{ display: 'flex', flexDirection: 'column' }}>
+      {entry.image && (
+        <img
+          src={entry.image}
+          alt=""
+          style={{
+            width: '100%',
+            height: 140,
+            objectFit: 'cover',
+            borderRadius: `${borderRadius.lg} ${borderRadius.lg} 0 0`,
+          }}
+        />
+      )}
+      <div style={{ padding: spacing[3], flex: 1, display: 'flex', flexDirection: 'column' }}>
+        <div style={{ display: 'flex', alignItems: 'flex-start', gap: spacing[2] }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: typography.fontWeight.semibold, color: colors.textPrimary }}>
+              {entry.name}
+            </div>
+            <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+              {[entry.brand, entry.category].filter(Boolean).join(' · ')}
+            </div>
+          </div>
+          <AvailabilityBadge entry={entry} />
+        </div>
+        {kind === 'item' && entry.specs?.length > 0 && (
+          <ul
+            style={{
+              margin: `${spacing[2]}px 0 0`,
+              paddingLeft: spacing[4],
+              fontSize: typography.fontSize.xs,
+              color: colors.textSecondary,
+            }}
+          >
+            {entry.specs.map((spec) => (
+              <li key={spec.name}>
+                {spec.name}: {spec.value}
+              </li>
+            ))}
+          </ul>
+        )}
+        {kind === 'package' && (
+          <div
+            style={{
+              marginTop: spacing[2],
+              fontSize: typography.fontSize.xs,
+              color: colors.textSecondary,
+            }}
+          >
+            {entry.description && (
+              <p style={{ margin: `0 0 ${spacing[1]}px` }}>{entry.description}</p>
+            )}
+            {entry.items
+              .map((i) => (i.quantity > 1 ? `${i.quantity}× ${i.name}` : i.name))
+              .join(', ')}
+          </div>
+        )}
+        <div style={{ marginTop: 'auto', paddingTop: spacing[3] }}>
+          <Button
+            size="sm"
+            variant="secondary"
+            icon={Plus}
+            onClick={onAdd}
+            disabled={unavailable || inCart}
+            aria-label={`Add ${entry.name}`}
+          >
+            {inCart ? 'Added' : 'Add'}
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+});
+
+function ClientPortal({ token }) {
+  const today = getTodayISO();
+  const [dates, setDates] = useState({ start: '', end: '' });
+  const [catalog, setCatalog] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [cart, setCart] = useState({});
+  const [contact, setContact] = useState(EMPTY_CONTACT);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [unavailable, setUnavailable] = useState([]);
+  const [sent, setSent] = useState(false);
+
+  const datesChosen = Boolean(dates.start && dates.end && dates.start <= dates.end);
+  // Refetch once the dates form a valid range, not on every half-typed date
+  const rangeStart = datesChosen ? dates.start : '';
+  const rangeEnd = datesChosen ? dates.end : '';
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadError(null);
+    fetchPortalCatalog(token, { start: rangeStart, end: rangeEnd })
+      .then((data) => {
+        if (!cancelled) setCatalog(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || 'unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, rangeStart, rangeEnd, reloadKey]);
+
+  const entries = useMemo(() => {
+    const map = {};
+    (catalog?.packages || []).forEach((p) => (map[cartKey('package', p.id)] = p));
+    (catalog?.items || []).forEach((i) => (map[cartKey('item', i.id)] = i));
+    return map;
+  }, [catalog]);
+
+  const lines = Object.values(cart);
+
+  const addToCart = (type, entry) =>
+    setCart((prev) => ({
+      ...prev,
+      [cartKey(type, entry.id)]: { type, id: entry.id, name: entry.name, quantity: 1 },
+    }));
+
+  const setQuantity = (key, quantity) =>
+    setCart((prev) => ({ ...prev, [key]: { ...prev[key], quantity: Math.max(quantity, 1) } }));
+
+  const removeFromCart = (key) =>
+    setCart((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+  const changeContact = (field) => (e) =>
+    setContact((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const canSubmit =
+    datesChosen &&
+    lines.length > 0 &&
+    contact.project.trim() &&
+    contact.contactName.trim() &&
+    contact.contactEmail.trim() &&
+    !submitting;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    setUnavailable([]);
+    try {
+      await submitPortalRequest(token, {
+        start: dates.start,
+        end: dates.end,
+        ...contact,
+        lines: lines.map(({ type, id, quantity }) => ({ type, id, quantity })),
+      });
+      setSent(true);
+    } catch (err) {
+      if (err instanceof PortalUnavailableError) {
+        setUnavailable(err.unavailable);
+        // Fresh counts, so the cards show what is left
+        setReloadKey((k) => k + 1);
+      }
+      setSubmitError(err.message || 'Could not send the request — please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const page = (children) => (
+    <main style={{ maxWidth: 1000, margin: '0 auto', padding: spacing[5] }}>{children}</main>
+  );
+
+  if (loadError && !catalog) {
+    return page(
+      <LoadErrorBanner
+        message={`Couldn't open this request page: ${loadError}`}
+        onRetry={() => setReloadKey((k) => k + 1)}
+      />,
+    );
+  }
+
+  if (!catalog) {
+    return page(
+      <div role="status" style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+        Loading...
+      </div>,
+    );
+  }
+
+  if (sent) {
+    return page(
+      <EmptyState
+        icon={CheckCircle}
+        title="Request sent"
+        description={`Thanks, ${contact.contactName.trim()} — we have your request for ${dates.start} to ${dates.end} and will be in touch to confirm it.`}
+      />,
+    );
+  }
+
+  const sectionTitle = {
+    margin: `${spacing[5]}px 0 ${spacing[3]}px`,
+    fontSize: typography.fontSize.lg,
+    color: colors.textPrimary,
+  };
+  const grid = {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+    gap: spacing[3],
+  };
+
+  return page(
+    <>
+      <h1 style={{ margin: 0, fontSize: typography.fontSize['2xl'], color: colors.textPrimary }}>
+        Gear request{catalog.client?.name ? ` for ${catalog.client.name}` : ''}
+      </h1>
+      <p style={{ color: colors.textSecondary, margin: `${spacing[2]}px 0 ${spacing[4]}px` }}>
+        Pick your dates to see what is free, add what you need, and send the request. Nothing is
+        booked until we confirm it.
+      </p>
+
+      {loadError && (
+        <LoadErrorBanner
+          message={`Couldn't refresh availability: ${loadError}`}
+          onRetry={() => setReloadKey((k) => k + 1)}
+        />
+      )}
+
+      <Card>
+        <div className="responsive-form-grid">
+          <Input
+            label="Start date"
+            type="date"
+            min={today}
+            value={dates.start}
+            onChange={(e) => setDates((prev) => ({ ...prev, start: e.target.value }))}
+            aria-label="Start date"
+          />
+          <Input
+            label="End date"
+            type="date"
+            min={dates.start || today}
+            value={dates.end}
+            onChange={(e) => setDates((prev) => ({ ...prev, end: e.target.value }))}
+            aria-label="End date"
+          />
+        </div>
+      </Card>
+
+      {catalog.packages.length === 0 && catalog.items.length === 0 ? (
+        <EmptyState
+          icon={Box}
+          title="Nothing on offer yet"
+          description="Get in touch with us directly and we'll put your order together."
+        />
+      ) : (
+        <>
+          {catalog.packages.length > 0 && (
+            <>
+              <h2 style={sectionTitle}>Packages</h2>
+              <div style={grid}>
+                {catalog.packages.map((pkg) => (
+                  <CatalogCard
+                    key={pkg.id}
+                    entry={pkg}
+                    kind="package"
+                    inCart={Boolean(cart[cartKey('package', pkg.id)])}
+                    onAdd={() => addToCart('package', pkg)}
+                  />
+                ))}
+              </div>
+            </>
+          )}
+          {catalog.items.length > 0 && (
+            <>
+              <h2 style={sectionTitle}>Equipment</h2>
+              <div style={grid}>
+                {catalog.items.map((item) => (
+                  <CatalogCard
+                    key={item.id}
+                    entry={item}
+                    kind="item"
+                    inCart={Boolean(cart[cartKey('item', item.id)])}
+                    onAdd={() => addToCart('item', item)}
+                  />
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      <Card padding={false} style={{ marginTop: spacing[5] }}>
+        <CardHeader title="Your Request" icon={Send} />
+        <div style={{ padding: spacing[4] }}>
+          {lines.length === 0 ? (
+            <p style={{ margin: 0, color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+              Nothing added yet.
+            </p>
+          ) : (
+            lines.map((line) => {
+              const key = cartKey(line.type, line.id);
+              const entry = entries[key];
+              // Only quantity-tracked items come in more than one unit
+              const multiple = line.type === 'package' || entry?.trackQuantity;
+              return (
+                <div
+                  key={key}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: spacing[2],
+                    padding: `${spacing[2]}px 0`,
+                    borderBottom: `1px solid ${colors.borderLight}`,
+                  }}
+                >
+                  {line.type === 'package' ? <Package size={16} /> : <Box size={16} />}
+                  <span style={{ flex: 1, color: colors.textPrimary }}>{line.name}</span>
+                  {multiple && (
+                    <input
+                      type="number"
+                      min={1}
+                      max={typeof entry?.available === 'number' ? entry.available : undefined}
+                      value={line.quantity}
+                      onChange={(e) => setQuantity(key, Number(e.target.value) || 1)}
+                      aria-label={`Quantity of ${line.name}`}
+                      style={{ ...styles.input, width: 80, padding: spacing[2] }}
+                    />
+                  )}
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    icon={Trash2}
+                    onClick={() => removeFromCart(key)}
+                    aria-label={`Remove ${line.name}`}
+                  />
+                </div>
+              );
+            })
+          )}
+
+          <div className="responsive-form-grid" style={{ marginTop: spacing[4] }}>
+            <Input
+              label="Project or job name"
+              required
+              value={contact.project}
+              onChange={changeContact('project')}
+              aria-label="Project or job name"
+            />
+            <Input
+              label="Your name"
+              required
+              value={contact.contactName}
+              onChange={changeContact('contactName')}
+              aria-label="Your name"
+            />
+            <Input
+              label="Email"
+              type="email"
+              required
+              value={contact.contactEmail}
+              onChange={changeContact('contactEmail')}
+              aria-label="Email"
+            />
+            <Input
+              label="Phone"
+              type="tel"
+              value={contact.contactPhone}
+              onChange={changeContact('contactPhone')}
+              aria-label="Phone"
+            />
+          </div>
+          <label className="label" style={{ marginTop: spacing[3], display: 'block' }}>
+            Anything we should know?
+          </label>
+          <textarea
+            value={contact.notes}
+            onChange={changeContact('notes')}
+            aria-label="Notes"
+            style={{ ...styles.input, minHeight: 80, resize: 'vertical' }}
+          />
+
+          {submitError && (
+            <div role="alert" style={{ marginTop: spacing[3], color: colors.danger }}>
+              {submitError}
+              {unavailable.length > 0 && (
+                <ul style={{ margin: `${spacing[1]}px 0 0`, paddingLeft: spacing[4] }}>
+                  {unavailable.map((u) => (
+                    <li key={u.itemId}>
+                      {u.name}: {u.free === 0 ? 'none' : `only ${u.free}`} free, {u.wanted}{' '}
+                      requested
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div style={{ marginTop: spacing[4], display: 'flex', justifyContent: 'flex-end' }}>
+            <Button icon={Send} onClick={handleSubmit} disabled={!canSubmit}>
+              {submitting ? 'Sending...' : 'Send Request'}
+            </Button>
+          </div>
+        </div>
+      </Card>
+    </>,
+  );
+}
+
+ClientPortal.propTypes = {
+  /** The 64-hex link token from the URL */
+  token: PropTypes.string.isRequired,
+};
+
+export default memo(ClientPortal);
@@ -38,6 +38,9 @@ import {
 import { Select } from '../components/Select.jsx';
 import { Modal, ModalHeader } from '../modals/ModalBase.jsx';
 import NotesSection from '../components/NotesSection.jsx';
+import ClientBillingSection from '../components/ClientBillingSection.jsx';
+import CalendarFeedSection from '../components/CalendarFeedSection.jsx';
+import ClientPortalSection from '../components/ClientPortalSection.jsx';
 import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
 import { useData } from '../contexts/DataContext.js';
 import { useNavigationContext } from '../contexts/NavigationContext.js';
@@ -368,6 +371,8 @@ const ClientDetailView = memo(function ClientDetailView({
   onDeleteNote,
   user,
   canEdit = true,
+  dataContext,
+  addAuditLog,
 }) {
   const [notesCollapsed, setNotesCollapsed] = useState(false);
 
@@ -545,6 +550,31 @@ const ClientDetailView = memo(function ClientDetailView({
         </Card>
       </div>
 
+      {dataContext && (
+        <ClientBillingSection
+          client={client}
+          dataContext={dataContext}
+          inventory={inventory}
+          user={user}
+          canEdit={canEdit}
+          addAuditLog={addAuditLog}
+        />
+      )}
+
+      {dataContext?.getCalendarFeeds && user && (
+        <CalendarFeedSection user={user} client={client} dataContext={dataContext} />
+      )}
+
+      {dataContext?.getPortalLinks && (
+        <ClientPortalSection
+          client={client}
+          user={user}
+          dataContext={dataContext}
+          canEdit={canEdit}
+          addAuditLog={addAuditLog}
+        />
+      )}
+
       {/* Notes Section */}
       <CollapsibleSection
         title="Notes"
@@ -885,6 +915,8 @@ function ClientsView({
           onDeleteNote={(noteId) => onDeleteNote(selectedClient.id, noteId)}
           user={user}
           canEdit={canEditClients}
+          dataContext={dataContext}
+          addAuditLog={addAuditLog}
         />
         {editingClient && (
           <ClientFormModal
@@ -0,0 +1,366 @@
+// ============================================================================
+// Deposits Report Panel View
+// The deposit ledger: every deposit taken at checkout, what is still held,
+// and how each settled one ended — refunded, partly kept for damage, or
+// forfeited. Held deposits can be settled here as well as at check-in.
+// ============================================================================
+
+import { memo, useMemo, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Wallet, Undo2, ShieldAlert, Check } from 'lucide-react';
+import { colors, spacing, typography } from '../theme.js';
+import { downloadCSV, formatDate } from '../utils';
+import {
+  Badge,
+  Card,
+  CardHeader,
+  StatCard,
+  EmptyState,
+  Button,
+  PageHeader,
+} from '../components/ui.jsx';
+import { Select } from '../components/Select.jsx';
+import { ReportBranding } from '../components/ReportBranding.jsx';
+import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+import DepositSettlement from '../components/DepositSettlement.jsx';
+import { Modal, ModalHeader } from '../modals/ModalBase.jsx';
+import {
+  DEPOSIT_METHODS,
+  DEPOSIT_STATUS,
+  DEPOSIT_STATUS_LABELS,
+  SETTLEMENT_OUTCOMES,
+  depositMoney,
+  depositSettlement,
+  depositTotals,
+  refundedAmount,
+  settlementDescription,
+} from '../lib/deposits.js';
+import { csvForDeposits } from '../lib/reportData.js';
+import { useData } from '../contexts/DataContext.js';
+import { useToast } from '../contexts/ToastContext.js';
+import { usePermissions } from '../contexts/PermissionsContext.js';
+import { error as logError } from '../lib/logger.js';
+
+const STATUS_COLORS = {
+  [DEPOSIT_STATUS.HELD]: colors.primary,
+  [DEPOSIT_STATUS.REFUNDED]: colors.available,
+  [DEPOSIT_STATUS.PARTIALLY_REFUNDED]: colors.warning,
+  [DEPOSIT_STATUS.FORFEITED]: colors.danger,
+};
+
+const methodLabel = (method) => DEPOSIT_METHODS.find((m) => m.value === method)?.label || method;
+
+// ============================================================================
+// Settle Deposit Modal
+// ============================================================================
+const SettleDepositModal = memo(function SettleDepositModal({ deposit, onSettle, onClose }) {
+  const [form, setForm] = useState({
+    outcome: SETTLEMENT_OUTCOMES.REFUND,
+    deduction: '',
+    reason: '',
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    const { settlement, error: problem } = depositSettlement(deposit, form);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSettle(deposit, settlement);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} maxWidth={460}>
+      <ModalHeader title="Settle Deposit" onClose={onClose} />
+      <div style={{ padding: spacing[4] }}>
+        <DepositSettlement
+          deposit={deposit}
+          value={form}
+          onChange={(next) => {
+            setForm(next);
+            setError(null);
+          }}
+          error={error}
+        />
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'flex-end',
+            gap: spacing[2],
+            marginTop: spacing[4],
+          }}
+        >
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} icon={Check} disabled={saving}>
+            {saving ? 'Saving...' : 'Settle Deposit'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+});
+
+export const DepositsReportPanel = memo(function DepositsReportPanel({
+  inventory,
+  currentUser,
+  addAuditLog,
+  onBack,
+}) {
+  const { deposits, depositsLoaded, ensureDeposits, settleDeposit, lazyErrors } = useData();
+  const { addToast } = useToast();
+  const { canEdit } = usePermissions();
+  const canSettle = canEdit('gear_list');
+
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [settling, setSettling] = useState(null);
+
+  useEffect(() => {
+    ensureDeposits();
+  }, [ensureDeposits]);
+
+  const totals = useMemo(() => depositTotals(deposits), [deposits]);
+  const heldCount = useMemo(
+    () => deposits.filter((d) => d.status === DEPOSIT_STATUS.HELD).length,
+    [deposits],
+  );
+  const itemNames = useMemo(() => new Map(inventory.map((i) => [i.id, i.name])), [inventory]);
+  const shown = useMemo(
+    () => (statusFilter === 'all' ? deposits : deposits.filter((d) => d.status === statusFilter)),
+    [deposits, statusFilter],
+  );
+
+  const handleExport = () => {
+    const { headers, rows, filename } = csvForDeposits(shown, inventory);
+    downloadCSV(headers, rows, filename);
+  };
+
+  const handleSettle = async (deposit, settlement) => {
+    try {
+      await settleDeposit(deposit.id, { ...settlement, settledByName: currentUser?.name || null });
+    } catch (err) {
+      logError('Failed to settle deposit:', err);
+      addToast('Failed to settle deposit: ' + (err.message || 'Please try again.'), 'error');
+      return;
+    }
+    addAuditLog?.({
+      type: `deposit_${settlement.status}`,
+      description: settlementDescription(deposit, settlement),
+      user: currentUser?.name || 'Unknown',
+      depositId: deposit.id,
+    });
+    addToast(`${deposit.borrowerName}'s deposit settled`, 'success');
+    setSettling(null);
+  };
+
+  return (
+    <>
+      <PageHeader
+        title="Deposit Ledger"
+        subtitle="Deposits taken at checkout and how each was settled"
+        onBack={onBack}
+        backLabel="Back to Reports"
+        action={
+          <Button onClick={handleExport} icon={Download} disabled={!depositsLoaded}>
+            Export CSV
+          </Button>
+        }
+      />
+
+      <ReportBranding profile={currentUser?.profile} />
+
+      {lazyErrors?.deposits && (
+        <LoadErrorBanner
+          message="Couldn't load deposits. Check your connection and try again."
+          onRetry={ensureDeposits}
+        />
+      )}
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+          gap: spacing[4],
+          marginBottom: spacing[6],
+        }}
+      >
+        <StatCard
+          icon={Wallet}
+          label={`Held (${heldCount})`}
+          value={depositMoney(totals.held)}
+          color={colors.primary}
+        />
+        <StatCard
+          icon={Undo2}
+          label="Refunded"
+          value={depositMoney(totals.refunded)}
+          color={colors.available}
+        />
+        <StatCard
+          icon={ShieldAlert}
+          label="Kept"
+          value={depositMoney(totals.kept)}
+          color={totals.kept > 0 ? colors.danger : colors.textMuted}
+        />
+      </div>
+
+      <Card padding={false}>
+        <CardHeader
+          title="Deposits"
+          icon={Wallet}
+          action={
+            <div style={{ minWidth: 170 }}>
+              <Select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                options={[
+                  { value: 'all', label: 'All deposits' },
+                  ...Object.values(DEPOSIT_STATUS).map((status) => ({
+                    value: status,
+                    label: DEPOSIT_STATUS_LABELS[status],
+                  })),
+                ]}
+                aria-label="Filter by status"
+              />
+            </div>
+          }
+        />
+        {!depositsLoaded ? (
+          <div role="status" style={{ padding: spacing[6], color: colors.textMuted }}>
+            Loading deposits...
+          </div>
+        ) : shown.length === 0 ? (
+          <EmptyState
+            icon={Wallet}
+            title="No Deposits"
+            description={
+              statusFilter === 'all'
+                ? 'Deposits taken at checkout are listed here.'
+                : `No ${DEPOSIT_STATUS_LABELS[statusFilter].toLowerCase()} deposits.`
+            }
+          />
+        ) : (
+          shown.map((deposit, idx) => {
+            const held = deposit.status === DEPOSIT_STATUS.HELD;
+            return (
+              <div
+                key={deposit.id}
+                style={{
+                  display: 'flex',
+                  gap: spacing[3],
+                  alignItems: 'flex-start',
+                  padding: spacing[4],
+                  borderBottom: idx < shown.length - 1 ? `1px solid ${colors.borderLight}` : 'none',
+                }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[2],
+                      flexWrap: 'wrap',
+                      color: colors.textPrimary,
+                      fontWeight: typography.fontWeight.medium,
+                    }}
+                  >
+                    {deposit.borrowerName}
+                    <Badge
+                      text={DEPOSIT_STATUS_LABELS[deposit.status]}
+                      color={STATUS_COLORS[deposit.status]}
+                      size="xs"
+                    />
+                  </div>
+                  <div
+                    style={{
+                      fontSize: typography.fontSize.xs,
+                      color: colors.textMuted,
+                      marginTop: spacing[1],
+                    }}
+                  >
+                    {formatDate(deposit.receivedAt)} · {methodLabel(deposit.method)}
+                    {deposit.reference ? ` · ${deposit.reference}` : ''}
+                    {deposit.project ? ` · ${deposit.project}` : ''}
+                  </div>
+                  <div style={{ fontSize: typography.fontSize.xs, color: colors.textSecondary }}>
+                    {(deposit.itemIds || []).map((id) => itemNames.get(id) || id).join(', ')}
+                  </div>
+                  {!held && (
+                    <div
+                      style={{
+                        fontSize: typography.fontSize.xs,
+                        color: colors.textSecondary,
+                        marginTop: spacing[1],
+                      }}
+                    >
+                      Refunded {depositMoney(refundedAmount(deposit))}
+                      {Number(deposit.deductedAmount) > 0 &&
+                        ` · kept ${depositMoney(deposit.deductedAmount)} (${deposit.deductionReason})`}
+                      {deposit.settledAt && ` · ${formatDate(deposit.settledAt)}`}
+                      {deposit.settledByName && ` by ${deposit.settledByName}`}
+                    </div>
+                  )}
+                </div>
+                <div style={{ textAlign: 'right' }}>
+                  <div
+                    style={{
+                      color: colors.textPrimary,
+                      fontWeight: typography.fontWeight.semibold,
+                      fontVariantNumeric: 'tabular-nums',
+                    }}
+                  >
+                    {depositMoney(deposit.amount)}
+                  </div>
+                  {held && canSettle && (
+                    <Button
+                      size="sm"
+                      variant="secondary"
+                      onClick={() => setSettling(deposit)}
+                      style={{ marginTop: spacing[2] }}
+                      aria-label={`Settle ${deposit.borrowerName}'s deposit`}
+                    >
+                      Settle
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })
+        )}
+      </Card>
+
+      {settling && (
+        <SettleDepositModal
+          deposit={settling}
+          onSettle={handleSettle}
+          onClose={() => setSettling(null)}
+        />
+      )}
+    </>
+  );
+});
+
+DepositsReportPanel.propTypes = {
+  /** Full inventory — names the items each deposit covers */
+  inventory: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    }),
+  ).isRequired,
+  currentUser: PropTypes.shape({
+    name: PropTypes.string,
+    profile: PropTypes.object,
+  }),
+  /** Records each settlement */
+  addAuditLog: PropTypes.func,
+  onBack: PropTypes.func.isRequired,
+};
@@ -0,0 +1,271 @@
+// ============================================================================
+// Equivalence Groups
+// Admin-declared sets of interchangeable units. When one member is booked,
+// the reservation modal offers the others as one-click swaps.
+// ============================================================================
+
+import { memo, useState, useMemo } from 'react';
+import { Plus, Trash2, X, Repeat, Edit, Save } from 'lucide-react';
+import { colors, styles, spacing, borderRadius, typography } from '../theme.js';
+import {
+  Badge,
+  Card,
+  CardHeader,
+  Button,
+  SearchInput,
+  PageHeader,
+  EmptyState,
+} from '../components/ui.jsx';
+
+const GroupCard = memo(function GroupCard({ group, inventory, groupOfItem, onUpdate, onDelete }) {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState(group.name);
+  const [query, setQuery] = useState('');
+
+  const members = useMemo(
+    () => group.itemIds.map((id) => inventory.find((i) => i.id === id) || { id, name: id }),
+    [group.itemIds, inventory],
+  );
+
+  const results = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return [];
+    return inventory
+      .filter(
+        (i) =>
+          !group.itemIds.includes(i.id) &&
+          (i.name?.toLowerCase().includes(q) ||
+            i.id?.toLowerCase().includes(q) ||
+            i.brand?.toLowerCase().includes(q)),
+      )
+      .slice(0, 8);
+  }, [query, inventory, group.itemIds]);
+
+  const saveName = () => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== group.name) onUpdate(group.id, { name: trimmed });
+    setRenaming(false);
+  };
+
+  return (
+    <Card padding={false}>
+      <CardHeader
+        title={
+          renaming ? (
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && saveName()}
+              aria-label={`Name of ${group.name}`}
+              style={{ ...styles.input, padding: spacing[2] }}
+            />
+          ) : (
+            group.name
+          )
+        }
+        icon={Repeat}
+        action={
+          <div style={{ display: 'flex', gap: spacing[1] }}>
+            <Button
+              variant="secondary"
+              size="sm"
+              icon={renaming ? Save : Edit}
+              onClick={renaming ? saveName : () => setRenaming(true)}
+              aria-label={renaming ? `Save name of ${group.name}` : `Rename ${group.name}`}
+            />
+            <Button
+              variant="secondary"
+              size="sm"
+              danger
+              icon={Trash2}
+              onClick={() => onDelete(group)}
+              aria-label={`Delete ${group.name}`}
+            />
+          </div>
+        }
+      />
+      <div style={{ padding: spacing[4] }}>
+        {members.length === 0 ? (
+          <p style={{ margin: 0, color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+            No items yet — add at least two units that can stand in for each other.
+          </p>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[2] }}>
+            {members.map((member) => (
+              <div
+                key={member.id}
+                style={{ display: 'flex', alignItems: 'center', gap: spacing[2] }}
+              >
+                <Badge text={member.id} color={colors.primary} />
+                <span style={{ flex: 1, color: colors.textPrimary }}>{member.name}</span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    onUpdate(group.id, {
+                      itemIds: group.itemIds.filter((id) => id !== member.id),
+                    })
+                  }
+                  aria-label={`Remove ${member.name} from ${group.name}`}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    padding: spacing[1],
+                    cursor: 'pointer',
+                    color: colors.textMuted,
+                    display: 'flex',
+                  }}
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ marginTop: spacing[3], position: 'relative' }}>
+          <SearchInput
+            value={query}
+            onChange={setQuery}
+            onClear={() => setQuery('')}
+            placeholder="Add an item by name, ID, or brand..."
+            aria-label={`Add item to ${group.name}`}
+          />
+          {results.length > 0 && (
+            <div
+              style={{
+                marginTop: spacing[1],
+                border: `1px solid ${colors.border}`,
+                borderRadius: borderRadius.md,
+                background: colors.bgMedium,
+              }}
+            >
+              {results.map((candidate) => {
+                // An item sits in one group at most — adding it here moves it
+                const current = groupOfItem[candidate.id];
+                return (
+                  <button
+                    key={candidate.id}
+                    type="button"
+                    onClick={() => {
+                      onUpdate(group.id, { itemIds: [...group.itemIds, candidate.id] });
+                      setQuery('');
+                    }}
+                    aria-label={`Add ${candidate.name}`}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[2],
+                      width: '100%',
+                      padding: spacing[2],
+                      background: 'none',
+                      border: 'none',
+                      borderBottom: `1px solid ${colors.borderLight}`,
+                      color: colors.textPrimary,
+                      cursor: 'pointer',
+                      textAlign: 'left',
+                    }}
+                  >
+                    <Badge text={candidate.id} color={colors.primary} />
+                    <span style={{ flex: 1 }}>{candidate.name}</span>
+                    {current && (
+                      <span style={{ color: colors.textMuted, fontSize: typography.fontSize.xs }}>
+                        moves from {current.name}
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+});
+
+function EquivalenceGroupsView({
+  groups = [],
+  inventory = [],
+  onCreate,
+  onUpdate,
+  onDelete,
+  showConfirm,
+  onBack,
+}) {
+  const [newName, setNewName] = useState('');
+
+  const groupOfItem = useMemo(() => {
+    const map = {};
+    groups.forEach((g) => g.itemIds.forEach((id) => (map[id] = g)));
+    return map;
+  }, [groups]);
+
+  const handleCreate = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onCreate(name);
+    setNewName('');
+  };
+
+  const handleDelete = (group) => {
+    showConfirm({
+      title: 'Delete Group?',
+      message: `Delete "${group.name}"? Its items stay in inventory; they just stop being offered as swaps for each other.`,
+      confirmText: 'Delete',
+      variant: 'danger',
+      onConfirm: () => onDelete(group),
+    });
+  };
+
+  return (
+    <>
+      <PageHeader
+        title="Equivalence Groups"
+        subtitle="Interchangeable units offered as swaps when one is already booked"
+        onBack={onBack}
+        backLabel="Back to Admin"
+      />
+
+      <Card style={{ marginBottom: spacing[4] }}>
+        <div style={{ display: 'flex', gap: spacing[2] }}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            placeholder="New group name (e.g. Sony 24-70 GM)"
+            aria-label="New group name"
+            style={{ ...styles.input, flex: 1 }}
+          />
+          <Button icon={Plus} onClick={handleCreate} disabled={!newName.trim()}>
+            Add Group
+          </Button>
+        </div>
+      </Card>
+
+      {groups.length === 0 ? (
+        <EmptyState
+          icon={Repeat}
+          title="No equivalence groups"
+          description="Group identical units so a booked one can be swapped for a free twin in one click."
+        />
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[4] }}>
+          {groups.map((group) => (
+            <GroupCard
+              key={group.id}
+              group={group}
+              inventory={inventory}
+              groupOfItem={groupOfItem}
+              onUpdate={onUpdate}
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default memo(EquivalenceGroupsView);
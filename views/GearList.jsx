@@ -912,11 +912,13 @@ function GearList({
     }
 
     // Availability for a date range: no overlapping reservation, no checkout
-    // that runs into the window, and not sidelined (needs-attention/missing)
+    // that runs into the window, and not sidelined (needs-attention/missing).
+    // Pooled stock counts as available while at least one unit is unbooked.
     if (availStart && availEnd) {
       result = result.filter((item) => {
         if (item.status === STATUS.NEEDS_ATTENTION || item.status === STATUS.MISSING) return false;
-        return !getAllReservationConflicts(item, availStart, availEnd).hasConflicts;
+        return !getAllReservationConflicts(item, availStart, availEnd, null, { categorySettings })
+          .hasConflicts;
       });
     }
 
@@ -25,6 +25,7 @@ import {
   Boxes,
   ChevronDown,
   ChevronUp,
+  FileSignature,
 } from 'lucide-react';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import {
@@ -36,8 +37,11 @@ import {
   countVisibleNotes,
   isOverdue,
   isLowStock,
+  isQuantityTracked,
+  getOnHandQuantity,
 } from '../utils';
 import { ITEM_DETAIL_SECTIONS } from '../constants.js';
+import { REVISION_FIELDS } from '../lib/itemRevisions.js';
 import { Badge, Card, Button, CollapsibleSection, BackButton, Switch } from '../components/ui.jsx';
 import { OptimizedImage } from '../components/OptimizedImage.jsx';
 import { Select } from '../components/Select.jsx';
@@ -46,6 +50,7 @@ import { useMediaQuery } from '../hooks/useMediaQuery.js';
 import RemindersSection from '../components/RemindersSection.jsx';
 import MaintenanceSection from '../components/MaintenanceSection.jsx';
 import ItemTimeline from '../components/ItemTimeline.jsx';
+import RevisionHistorySection from '../components/RevisionHistorySection.jsx';
 import DepreciationCalculator from '../components/DepreciationCalculator.jsx';
 import { usePermissions } from '../contexts/PermissionsContext.js';
 
@@ -60,6 +65,7 @@ const SECTION_COLORS = {
   timeline: 'var(--sidebar-item2)',
   accessories: 'var(--sidebar-item4)',
   kitContents: 'var(--sidebar-item4)',
+  revisions: 'var(--sidebar-item2)',
 };
 
 // Helper to create item style with panel-colored background — quiet tint on
@@ -684,6 +690,8 @@ function ItemDetail({
   backLabel = 'Back to Gear List',
   onCheckout,
   onCheckin,
+  onReturnQuantity,
+  onViewAgreement,
   onEdit,
   onShowQR,
   onAddReservation,
@@ -702,6 +710,8 @@ function ItemDetail({
   onCompleteMaintenance,
   onUpdateValue,
   onSetLowStockAlert,
+  onLoadRevisions,
+  onRevertFields,
   onAddAccessory,
   onRemoveAccessory,
   onSetKitStatus,
@@ -726,6 +736,11 @@ function ItemDetail({
   const [showAddReminderForm, setShowAddReminderForm] = useState(false);
 
   const isCheckedOut = item?.status === 'checked-out';
+  // Quantity-tracked stock checks out by units and comes back per borrower,
+  // so the row-level Check In / "Checked out to" don't apply
+  const tracksQuantity = isQuantityTracked(item, categorySettings);
+  const onHand = tracksQuantity ? getOnHandQuantity(item) : 0;
+  const quantityCheckouts = item?.quantityCheckouts || [];
 
   const [collapsedSections, setCollapsedSections] = useState(() => {
     // Archive sections (read-only history) start collapsed while empty — an
@@ -740,6 +755,8 @@ function ItemDetail({
     const emptyArchiveDefaults = {
       checkoutHistory: !(item?.checkoutHistory || []).length,
       timeline: timelineEmpty,
+      // Not loaded yet at mount; the edit log is reference material anyway
+      revisions: true,
     };
     const initial = {};
     Object.values(ITEM_DETAIL_SECTIONS).forEach((s) => {
@@ -763,6 +780,32 @@ function ItemDetail({
     }
   }, [layoutPrefs]);
 
+  // Revision history is fetched rather than hydrated with the item, and
+  // refetched whenever a recorded field changes — every edit path (forms,
+  // bulk actions, reverts) files a revision, not just the ones on this page
+  const [revisionState, setRevisionState] = useState({ revisions: null, error: null });
+  const revisionSignature = JSON.stringify(REVISION_FIELDS.map((field) => item?.[field]));
+  useEffect(() => {
+    if (!onLoadRevisions || !item?.id) return undefined;
+    let cancelled = false;
+    onLoadRevisions(item.id).then(
+      (revisions) => {
+        if (!cancelled) setRevisionState({ revisions: revisions || [], error: null });
+      },
+      () => {
+        if (!cancelled) {
+          setRevisionState((prev) => ({
+            ...prev,
+            error: 'Revision history could not be loaded.',
+          }));
+        }
+      },
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [onLoadRevisions, item?.id, revisionSignature]);
+
   const isCollapsed = (sectionId) => collapsedSections[sectionId] || false;
 
   const toggleCollapse = (sectionId) => {
@@ -798,7 +841,12 @@ function ItemDetail({
       const reminderOn = Boolean(item.lowStockAlert);
       const low = isLowStock(item, categorySettings);
       baseSpecs.push(
-        { name: 'Quantity', value: item.quantity ?? 1 },
+        {
+          name: 'Quantity',
+          value: item.quantityOut
+            ? `${getOnHandQuantity(item)} on hand of ${item.quantity ?? 0}`
+            : (item.quantity ?? 1),
+        },
         {
           name: 'Low Stock Reminder',
           value: (
@@ -1030,6 +1078,7 @@ function ItemDetail({
                           }}
                         >
                           {formatDate(r.start)} → {formatDate(r.end)}
+                          {r.quantity > 1 && ` • ${r.quantity} units`}
                         </div>
                       </div>
                       {canEditSchedule && (
@@ -1265,7 +1314,7 @@ function ItemDetail({
             onToggleCollapse={() => toggleCollapse('timeline')}
             padding={false}
           >
-            <ItemTimeline item={item} />
+            <ItemTimeline item={item} revisions={revisionState.revisions} />
           </CollapsibleSection>
         );
 
@@ -1313,24 +1362,62 @@ function ItemDetail({
                         }}
                       >
                         <Badge
-                          text={entry.type === 'checkout' ? 'Out' : 'In'}
-                          color={entry.type === 'checkout' ? colors.checkedOut : colors.available}
+                          text={
+                            entry.type === 'checkout'
+                              ? 'Out'
+                              : entry.type === 'consume'
+                                ? 'Used'
+                                : 'In'
+                          }
+                          color={
+                            entry.type === 'checkout'
+                              ? colors.checkedOut
+                              : entry.type === 'consume'
+                                ? colors.warning
+                                : colors.available
+                          }
                           size="xs"
                         />
                         <span
                           style={{ fontSize: typography.fontSize.sm, color: colors.textSecondary }}
                         >
                           {formatDate(
-                            entry.type === 'checkout' ? entry.checkedOutDate : entry.returnDate,
+                            entry.type === 'checkout'
+                              ? entry.checkedOutDate
+                              : entry.type === 'consume'
+                                ? entry.consumedDate
+                                : entry.returnDate,
                           )}
                         </span>
                       </div>
                       <div
-                        style={{ fontSize: typography.fontSize.base, color: colors.textPrimary }}
+                        style={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          alignItems: 'center',
+                          gap: spacing[2],
+                          fontSize: typography.fontSize.base,
+                          color: colors.textPrimary,
+                        }}
                       >
-                        {entry.type === 'checkout'
-                          ? entry.borrowerName || 'Unknown'
-                          : `Returned by ${entry.returnedBy || 'Unknown'}`}
+                        <span>
+                          {entry.quantity ? `${entry.quantity} × ` : ''}
+                          {entry.type === 'checkout'
+                            ? entry.borrowerName || 'Unknown'
+                            : entry.type === 'consume'
+                              ? `Consumed by ${entry.consumedBy || 'Unknown'}`
+                              : `Returned by ${entry.returnedBy || 'Unknown'}`}
+                        </span>
+                        {entry.agreementId && onViewAgreement && (
+                          <Button
+                            size="sm"
+                            variant="secondary"
+                            icon={FileSignature}
+                            onClick={() => onViewAgreement(entry.agreementId)}
+                          >
+                            Agreement
+                          </Button>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -1422,6 +1509,36 @@ function ItemDetail({
                   </span>
                 </div>
               </div>
+              {(item.dayRate != null || item.weekRate != null) && (
+                <div style={getItemStyle(valueColor)}>
+                  <div
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                    }}
+                  >
+                    <span style={{ color: colors.textSecondary, fontSize: typography.fontSize.sm }}>
+                      Rental Rate
+                    </span>
+                    <span
+                      style={{
+                        color: colors.textPrimary,
+                        fontSize: typography.fontSize.base,
+                        fontWeight: typography.fontWeight.medium,
+                      }}
+                    >
+                      {[
+                        item.dayRate != null && `${formatMoney(item.dayRate, { cents: true })}/day`,
+                        item.weekRate != null &&
+                          `${formatMoney(item.weekRate, { cents: true })}/week`,
+                      ]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </span>
+                  </div>
+                </div>
+              )}
             </div>
           </CollapsibleSection>
         );
@@ -1443,6 +1560,29 @@ function ItemDetail({
           </CollapsibleSection>
         );
 
+      case 'revisions':
+        return (
+          <CollapsibleSection
+            key="revisions"
+            title="Revision History"
+            icon={History}
+            badge={(revisionState.revisions || []).length}
+            badgeColor={SECTION_COLORS.revisions}
+            headerColor={SECTION_COLORS.revisions}
+            collapsed={isCollapsed('revisions')}
+            onToggleCollapse={() => toggleCollapse('revisions')}
+            padding={false}
+          >
+            <RevisionHistorySection
+              item={item}
+              revisions={onLoadRevisions ? revisionState.revisions : []}
+              error={revisionState.error}
+              onRevert={canEditGear ? onRevertFields : undefined}
+              panelColor={SECTION_COLORS.revisions}
+            />
+          </CollapsibleSection>
+        );
+
       default:
         return null;
     }
@@ -1591,7 +1731,17 @@ function ItemDetail({
             <div style={{ display: 'flex', gap: spacing[3], flexWrap: 'wrap' }}>
               {/* Checkout/check-in/edit write the INVENTORY row — RLS enforces
                   gear_list edit there, so the buttons follow the same key */}
+              {canEditGear && tracksQuantity && (
+                <Button
+                  onClick={() => onCheckout(item.id)}
+                  icon={CheckCircle}
+                  disabled={onHand === 0}
+                >
+                  {onHand === 0 ? 'None On Hand' : 'Check Out'}
+                </Button>
+              )}
               {canEditGear &&
+                !tracksQuantity &&
                 (isCheckedOut ? (
                   <Button onClick={() => onCheckin(item.id)} icon={RefreshCw}>
                     Check In
@@ -1626,7 +1776,63 @@ function ItemDetail({
               </div>
             )}
 
-            {isCheckedOut && item.checkedOutTo && (
+            {tracksQuantity && quantityCheckouts.length > 0 && (
+              <div
+                style={{
+                  marginTop: spacing[4],
+                  padding: spacing[3],
+                  background: `${withOpacity(colors.checkedOut, 15)}`,
+                  borderRadius: borderRadius.md,
+                  fontSize: typography.fontSize.sm,
+                }}
+              >
+                <div style={{ color: colors.textMuted, marginBottom: spacing[2] }}>
+                  Outstanding — {item.quantityOut || 0} out, {onHand} on hand
+                </div>
+                {quantityCheckouts.map((c) => (
+                  <div
+                    key={c.id}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: spacing[2],
+                      padding: `${spacing[1]}px 0`,
+                    }}
+                  >
+                    <div style={{ flex: 1 }}>
+                      <span
+                        style={{
+                          color: colors.textPrimary,
+                          fontWeight: typography.fontWeight.medium,
+                        }}
+                      >
+                        {c.quantity} × {c.borrowerName}
+                      </span>
+                      <span style={{ color: colors.textMuted }}>
+                        {c.project ? ` • ${c.project}` : ''} • since {formatDate(c.checkedOutDate)}
+                      </span>
+                      {c.dueBack && (
+                        <span
+                          style={{
+                            color: isOverdue(c.dueBack) ? colors.danger : colors.textMuted,
+                          }}
+                        >
+                          {' '}
+                          • due {formatDate(c.dueBack)}
+                        </span>
+                      )}
+                    </div>
+                    {canEditGear && onReturnQuantity && (
+                      <Button size="sm" variant="secondary" onClick={() => onReturnQuantity(c)}>
+                        Return
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!tracksQuantity && isCheckedOut && item.checkedOutTo && (
               <div
                 style={{
                   marginTop: spacing[4],
@@ -20,6 +20,7 @@ import { colors, styles, spacing, borderRadius, typography, withOpacity } from '
 import { Card, Button, PageHeader, Switch } from '../components/ui.jsx';
 import { Select } from '../components/Select.jsx';
 import { usePermissions } from '../contexts/PermissionsContext.js';
+import CalendarFeedSection from '../components/CalendarFeedSection.jsx';
 
 import { error as logError } from '../lib/logger.js';
 
@@ -220,10 +221,12 @@ function NotificationSettings({
   onSave,
   onClose,
   onSendTest,
+  user,
+  dataContext,
   isAdmin: isAdminProp = false, // Keep prop for backwards compatibility but prefer permissions
 }) {
   // Use permissions system to determine admin access
-  const { canView } = usePermissions();
+  const { canView, canEdit } = usePermissions();
   const isAdmin = canView('admin_notifications') || isAdminProp;
 
   // "Send me a test email" — the quickest proof the whole pipeline works
@@ -584,6 +587,16 @@ function NotificationSettings({
         </div>
       </Card>
 
+      {dataContext?.getCalendarFeeds && user && (
+        <div style={{ marginTop: spacing[5] }}>
+          <CalendarFeedSection
+            user={user}
+            dataContext={dataContext}
+            canIncludeMaintenance={canEdit('gear_list')}
+          />
+        </div>
+      )}
+
       {/* Info box */}
       <div
         style={{
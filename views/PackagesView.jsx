@@ -37,6 +37,7 @@ import { usePermissions } from '../contexts/PermissionsContext.js';
 import { ViewOnlyBanner } from '../contexts/PermissionsContext.jsx';
 
 import { error as logError } from '../lib/logger.js';
+import { parseRate } from '../lib/pricing.js';
 
 function PackagesView({
   packages,
@@ -78,8 +79,12 @@ function PackagesView({
   const [formCategory, setFormCategory] = useState('');
   const [formItems, setFormItems] = useState([]);
   const [formItemQuantities, setFormItemQuantities] = useState({});
+  // Bundle rates (strings while editing; blank = priced per item on quotes)
+  const [formDayRate, setFormDayRate] = useState('');
+  const [formWeekRate, setFormWeekRate] = useState('');
   const [itemSearch, setItemSearch] = useState('');
   const [nameError, setNameError] = useState('');
+  const [rateError, setRateError] = useState('');
 
   // Wrapper to sync with parent state
   const setSelectedPackage = useCallback(
@@ -284,9 +289,12 @@ function PackagesView({
     setFormCategory('');
     setFormItems([]);
     setFormItemQuantities({});
+    setFormDayRate('');
+    setFormWeekRate('');
     setItemSearch('');
     setItemCategoryFilter('all');
     setNameError('');
+    setRateError('');
   }, []);
 
   // Sidebar re-clicks bump resetNonce: same-view navigation must land on the
@@ -329,9 +337,14 @@ function PackagesView({
       setNameError('A package with this name already exists');
       return;
     }
+    const rates = [parseRate(formDayRate), parseRate(formWeekRate)];
+    if (rates.some((rate) => rate !== null && !(rate >= 0))) {
+      setRateError('Rates must be zero or more');
+      return;
+    }
     setShowDetailsPrompt(false);
     setShowCreate(true);
-  }, [formName, packages, editingPackage]);
+  }, [formName, formDayRate, formWeekRate, packages, editingPackage]);
 
   // Open edit mode — details first (name/description/category are editable
   // too), then on to item selection
@@ -341,8 +354,11 @@ function PackagesView({
     setFormCategory(pkg.category || '');
     setFormItems([...pkg.items]);
     setFormItemQuantities({ ...(pkg.itemQuantities || {}) });
+    setFormDayRate(pkg.dayRate ?? '');
+    setFormWeekRate(pkg.weekRate ?? '');
     setEditingPackage(pkg);
     setNameError('');
+    setRateError('');
     setShowDetailsPrompt(true);
   }, []);
 
@@ -437,6 +453,8 @@ function PackagesView({
         category: formCategory.trim(),
         items: formItems,
         itemQuantities: quantities,
+        dayRate: parseRate(formDayRate),
+        weekRate: parseRate(formWeekRate),
       };
 
       if (dataContext?.updatePackage) {
@@ -479,6 +497,8 @@ function PackagesView({
         category: formCategory.trim(),
         items: formItems,
         itemQuantities: quantities,
+        dayRate: parseRate(formDayRate),
+        weekRate: parseRate(formWeekRate),
         notes: [],
       };
 
@@ -523,6 +543,8 @@ function PackagesView({
     formCategory,
     formItems,
     formItemQuantities,
+    formDayRate,
+    formWeekRate,
     editingPackage,
     setSelectedPackage,
     resetForm,
@@ -732,6 +754,57 @@ function PackagesView({
                 ))}
               </datalist>
             </div>
+
+            {/* Bundle price when the whole package is booked together */}
+            <div className="responsive-form-grid" style={{ marginBottom: spacing[4] }}>
+              <div>
+                <label style={styles.label} htmlFor="package-day-rate">
+                  Day Rate
+                </label>
+                <input
+                  id="package-day-rate"
+                  type="number"
+                  min="0"
+                  value={formDayRate}
+                  onChange={(e) => {
+                    setFormDayRate(e.target.value);
+                    setRateError('');
+                  }}
+                  placeholder="Priced per item"
+                  style={styles.input}
+                />
+              </div>
+              <div>
+                <label style={styles.label} htmlFor="package-week-rate">
+                  Week Rate
+                </label>
+                <input
+                  id="package-week-rate"
+                  type="number"
+                  min="0"
+                  value={formWeekRate}
+                  onChange={(e) => {
+                    setFormWeekRate(e.target.value);
+                    setRateError('');
+                  }}
+                  placeholder="From day rate"
+                  style={styles.input}
+                />
+              </div>
+            </div>
+            {rateError && (
+              <div
+                role="alert"
+                style={{
+                  color: colors.danger,
+                  fontSize: typography.fontSize.xs,
+                  marginTop: -spacing[2],
+                  marginBottom: spacing[4],
+                }}
+              >
+                {rateError}
+              </div>
+            )}
           </div>
           <div
             style={{
@@ -0,0 +1,212 @@
+// ============================================================================
+// Portal Catalog
+// The packages and items clients may request through their portal link.
+// Anything not ticked here stays invisible on the public page.
+// ============================================================================
+
+import { memo, useState, useMemo, useEffect } from 'react';
+import { Globe, Package, Box } from 'lucide-react';
+import { colors, spacing, typography } from '../theme.js';
+import { Badge, Card, CardHeader, SearchInput, PageHeader, EmptyState } from '../components/ui.jsx';
+import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+
+// Inventory is long; the checklist shows this many matches at a time
+const ITEM_LIMIT = 50;
+
+const matches = (q, ...fields) => fields.some((f) => f?.toLowerCase().includes(q));
+
+const CatalogRow = memo(function CatalogRow({ id, name, detail, checked, disabled, onToggle }) {
+  return (
+    <label
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: spacing[2],
+        padding: `${spacing[2]}px 0`,
+        borderBottom: `1px solid ${colors.borderLight}`,
+        cursor: disabled ? 'default' : 'pointer',
+      }}
+    >
+      <input
+        type="checkbox"
+        checked={checked}
+        disabled={disabled}
+        onChange={onToggle}
+        aria-label={`Offer ${name}`}
+      />
+      <Badge text={id} color={colors.primary} />
+      <span style={{ flex: 1, color: colors.textPrimary }}>{name}</span>
+      {detail && (
+        <span style={{ color: colors.textMuted, fontSize: typography.fontSize.xs }}>{detail}</span>
+      )}
+    </label>
+  );
+});
+
+function PortalCatalogView({
+  packages = [],
+  inventory = [],
+  loadCatalog,
+  onAdd,
+  onRemove,
+  onBack,
+}) {
+  const [entries, setEntries] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [pending, setPending] = useState(null);
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadError(null);
+    loadCatalog()
+      .then((rows) => {
+        if (!cancelled) setEntries(rows);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || 'unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadCatalog, reloadKey]);
+
+  const entryFor = useMemo(() => {
+    const map = {};
+    (entries || []).forEach((e) => (map[e.itemId || e.packageId] = e));
+    return map;
+  }, [entries]);
+
+  const q = query.trim().toLowerCase();
+  const shownPackages = useMemo(
+    () => packages.filter((p) => !q || matches(q, p.name, p.id, p.category)),
+    [packages, q],
+  );
+  // Offered items first, so the current catalog is visible without searching
+  const shownItems = useMemo(
+    () =>
+      inventory
+        .filter((i) => !q || matches(q, i.name, i.id, i.brand, i.category))
+        .sort((a, b) => Number(Boolean(entryFor[b.id])) - Number(Boolean(entryFor[a.id])))
+        .slice(0, ITEM_LIMIT),
+    [inventory, q, entryFor],
+  );
+
+  const toggle = async (target, name) => {
+    const key = target.itemId || target.packageId;
+    const existing = entryFor[key];
+    setPending(key);
+    try {
+      if (existing) {
+        if (await onRemove(existing, name)) {
+          setEntries((prev) => prev.filter((e) => e.id !== existing.id));
+        }
+      } else {
+        const created = await onAdd(target, name);
+        if (created) setEntries((prev) => [...prev, created]);
+      }
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const offeredCount = entries?.length || 0;
+
+  return (
+    <>
+      <PageHeader
+        title="Portal Catalog"
+        subtitle="What clients can browse and request through their portal link"
+        onBack={onBack}
+        backLabel="Back to Admin"
+      />
+
+      {loadError ? (
+        <LoadErrorBanner
+          message={`Couldn't load the portal catalog: ${loadError}`}
+          onRetry={() => setReloadKey((k) => k + 1)}
+        />
+      ) : entries === null ? (
+        <div role="status" style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+          Loading...
+        </div>
+      ) : (
+        <>
+          <Card style={{ marginBottom: spacing[4] }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: spacing[3] }}>
+              <div style={{ flex: 1 }}>
+                <SearchInput
+                  value={query}
+                  onChange={setQuery}
+                  onClear={() => setQuery('')}
+                  placeholder="Filter packages and items by name, ID, brand, or category..."
+                  aria-label="Filter catalog"
+                />
+              </div>
+              <Badge text={`${offeredCount} offered`} color={colors.accent2} />
+            </div>
+          </Card>
+
+          {packages.length === 0 && inventory.length === 0 ? (
+            <EmptyState
+              icon={Globe}
+              title="Nothing to offer yet"
+              description="Add inventory or build packages, then tick what clients may request."
+            />
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: spacing[4] }}>
+              <Card padding={false}>
+                <CardHeader title="Packages" icon={Package} />
+                <div style={{ padding: `0 ${spacing[4]}px ${spacing[2]}px` }}>
+                  {shownPackages.length === 0 ? (
+                    <p style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+                      No packages match.
+                    </p>
+                  ) : (
+                    shownPackages.map((pkg) => (
+                      <CatalogRow
+                        key={pkg.id}
+                        id={pkg.id}
+                        name={pkg.name}
+                        detail={`${pkg.items?.length || 0} items`}
+                        checked={Boolean(entryFor[pkg.id])}
+                        disabled={pending === pkg.id}
+                        onToggle={() => toggle({ packageId: pkg.id }, pkg.name)}
+                      />
+                    ))
+                  )}
+                </div>
+              </Card>
+
+              <Card padding={false}>
+                <CardHeader title="Items" icon={Box} />
+                <div style={{ padding: `0 ${spacing[4]}px ${spacing[2]}px` }}>
+                  {shownItems.length === 0 ? (
+                    <p style={{ color: colors.textMuted, fontSize: typography.fontSize.sm }}>
+                      No items match.
+                    </p>
+                  ) : (
+                    shownItems.map((item) => (
+                      <CatalogRow
+                        key={item.id}
+                        id={item.id}
+                        name={item.name}
+                        detail={item.category}
+                        checked={Boolean(entryFor[item.id])}
+                        disabled={pending === item.id}
+                        onToggle={() => toggle({ itemId: item.id }, item.name)}
+                      />
+                    ))
+                  )}
+                </div>
+              </Card>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+export default memo(PortalCatalogView);
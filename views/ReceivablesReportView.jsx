@@ -0,0 +1,283 @@
+// ============================================================================
+// Receivables Report Panel View
+// Accounts-receivable aging: what clients owe on sent invoices, bucketed by
+// how far past due it is. Same computeReceivablesAging the hub card uses.
+// ============================================================================
+
+import { memo, useMemo, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Receipt, AlertTriangle, Clock } from 'lucide-react';
+import { colors, spacing, typography, withOpacity } from '../theme.js';
+import { downloadCSV, formatDate, formatMoney } from '../utils';
+import { Card, CardHeader, StatCard, EmptyState, Button, PageHeader } from '../components/ui.jsx';
+import { ReportBranding } from '../components/ReportBranding.jsx';
+import LoadErrorBanner from '../components/LoadErrorBanner.jsx';
+import { HBarChart } from '../components/charts.jsx';
+import { AGING_BUCKETS, computeReceivablesAging, csvForReceivables } from '../lib/reportData.js';
+import { useData } from '../contexts/DataContext.js';
+
+const money = (amount) => formatMoney(amount, { cents: true });
+
+// Older debt reads hotter
+const BUCKET_COLORS = {
+  current: colors.available,
+  days1to30: colors.warning,
+  days31to60: colors.checkedOut,
+  days61to90: colors.accent2,
+  over90: colors.danger,
+};
+
+const thStyle = {
+  padding: spacing[3],
+  textAlign: 'right',
+  fontSize: typography.fontSize.xs,
+  color: colors.textMuted,
+  fontWeight: typography.fontWeight.medium,
+  whiteSpace: 'nowrap',
+};
+const tdStyle = {
+  padding: spacing[3],
+  textAlign: 'right',
+  fontVariantNumeric: 'tabular-nums',
+  fontSize: typography.fontSize.sm,
+  color: colors.textSecondary,
+};
+
+export const ReceivablesReportPanel = memo(function ReceivablesReportPanel({
+  currentUser,
+  onViewClient,
+  onBack,
+}) {
+  const { invoices, invoicesLoaded, ensureInvoices, lazyErrors } = useData();
+
+  useEffect(() => {
+    ensureInvoices();
+  }, [ensureInvoices]);
+
+  const aging = useMemo(() => computeReceivablesAging(invoices), [invoices]);
+
+  const bucketBars = useMemo(
+    () =>
+      AGING_BUCKETS.map((b) => ({
+        label: b.label,
+        value: aging.totals[b.key],
+        color: BUCKET_COLORS[b.key],
+      })),
+    [aging],
+  );
+
+  const handleExport = () => {
+    const { headers, rows, filename } = csvForReceivables(aging.invoices);
+    downloadCSV(headers, rows, filename);
+  };
+
+  const handleRowKeyDown = (event, row) => {
+    if ((event.key === 'Enter' || event.key === ' ') && onViewClient && row.clientId) {
+      event.preventDefault();
+      onViewClient(row);
+    }
+  };
+
+  return (
+    <>
+      <PageHeader
+        title="Receivables"
+        subtitle="Unpaid invoices by age"
+        onBack={onBack}
+        backLabel="Back to Reports"
+        action={
+          <Button onClick={handleExport} icon={Download} disabled={!invoicesLoaded}>
+            Export CSV
+          </Button>
+        }
+      />
+
+      <ReportBranding profile={currentUser?.profile} />
+
+      {lazyErrors?.invoices && (
+        <LoadErrorBanner
+          message="Couldn't load invoices. Check your connection and try again."
+          onRetry={ensureInvoices}
+        />
+      )}
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+          gap: spacing[4],
+          marginBottom: spacing[6],
+        }}
+      >
+        <StatCard
+          icon={Receipt}
+          label="Outstanding"
+          value={money(aging.totals.total)}
+          color={colors.primary}
+        />
+        <StatCard
+          icon={AlertTriangle}
+          label="Overdue"
+          value={money(aging.overdue)}
+          color={aging.overdue > 0 ? colors.danger : colors.textMuted}
+        />
+        <StatCard
+          icon={Clock}
+          label="Open Invoices"
+          value={aging.invoices.length}
+          color={colors.checkedOut}
+        />
+      </div>
+
+      {aging.totals.total > 0 && (
+        <Card padding={false} style={{ marginBottom: spacing[5] }}>
+          <CardHeader title="Outstanding by Age" icon={Clock} />
+          <div style={{ padding: spacing[4] }}>
+            <HBarChart
+              data={bucketBars}
+              formatValue={money}
+              ariaLabel={`Outstanding by age: ${bucketBars
+                .map((b) => `${b.label} ${money(b.value)}`)
+                .join(', ')}`}
+            />
+          </div>
+        </Card>
+      )}
+
+      <Card padding={false}>
+        <CardHeader title="Aging by Client" />
+        {!invoicesLoaded ? (
+          <div role="status" style={{ padding: spacing[6], color: colors.textMuted }}>
+            Loading invoices...
+          </div>
+        ) : aging.clients.length === 0 ? (
+          <EmptyState
+            icon={Receipt}
+            title="Nothing Outstanding"
+            description="Every sent invoice has been paid."
+          />
+        ) : (
+          <div style={{ overflowX: 'auto', WebkitOverflowScrolling: 'touch' }}>
+            <table style={{ width: '100%', minWidth: 760, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${colors.border}` }}>
+                  <th style={{ ...thStyle, textAlign: 'left' }}>Client</th>
+                  {AGING_BUCKETS.map((b) => (
+                    <th key={b.key} style={thStyle}>
+                      {b.label}
+                    </th>
+                  ))}
+                  <th style={thStyle}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {aging.clients.map((row, idx) => (
+                  <tr
+                    key={row.clientId || row.clientName}
+                    className="report-tr"
+                    tabIndex={onViewClient && row.clientId ? 0 : undefined}
+                    onClick={() => row.clientId && onViewClient?.(row)}
+                    onKeyDown={(e) => handleRowKeyDown(e, row)}
+                    style={{
+                      borderBottom: `1px solid ${colors.borderLight}`,
+                      cursor: onViewClient && row.clientId ? 'pointer' : 'default',
+                      background:
+                        idx % 2 === 0 ? 'transparent' : `${withOpacity(colors.bgLight, 50)}`,
+                    }}
+                  >
+                    <td style={{ ...tdStyle, textAlign: 'left', color: colors.textPrimary }}>
+                      <div style={{ fontWeight: typography.fontWeight.medium }}>
+                        {row.clientName}
+                      </div>
+                      <div style={{ fontSize: typography.fontSize.xs, color: colors.textMuted }}>
+                        {row.invoiceCount} invoice{row.invoiceCount === 1 ? '' : 's'}
+                      </div>
+                    </td>
+                    {AGING_BUCKETS.map((b) => (
+                      <td
+                        key={b.key}
+                        style={{
+                          ...tdStyle,
+                          color: row[b.key] > 0 ? BUCKET_COLORS[b.key] : colors.textMuted,
+                        }}
+                      >
+                        {row[b.key] > 0 ? money(row[b.key]) : '—'}
+                      </td>
+                    ))}
+                    <td
+                      style={{
+                        ...tdStyle,
+                        color: colors.textPrimary,
+                        fontWeight: typography.fontWeight.semibold,
+                      }}
+                    >
+                      {money(row.total)}
+                    </td>
+                  </tr>
+                ))}
+                <tr style={{ borderTop: `1px solid ${colors.border}` }}>
+                  <td style={{ ...tdStyle, textAlign: 'left', color: colors.textPrimary }}>
+                    Total
+                  </td>
+                  {AGING_BUCKETS.map((b) => (
+                    <td key={b.key} style={tdStyle}>
+                      {money(aging.totals[b.key])}
+                    </td>
+                  ))}
+                  <td
+                    style={{
+                      ...tdStyle,
+                      color: colors.textPrimary,
+                      fontWeight: typography.fontWeight.bold,
+                    }}
+                  >
+                    {money(aging.totals.total)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {aging.invoices.some((inv) => inv.daysPastDue > 0) && (
+        <Card padding={false} style={{ marginTop: spacing[5] }}>
+          <CardHeader title="Overdue Invoices" icon={AlertTriangle} />
+          <div style={{ padding: spacing[4] }}>
+            {aging.invoices
+              .filter((inv) => inv.daysPastDue > 0)
+              .map((inv) => (
+                <div
+                  key={inv.id}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: spacing[3],
+                    padding: `${spacing[2]}px 0`,
+                    borderBottom: `1px solid ${colors.borderLight}`,
+                    fontSize: typography.fontSize.sm,
+                  }}
+                >
+                  <span style={{ color: colors.textPrimary }}>
+                    {inv.id} · {inv.clientName}
+                    {inv.project ? ` · ${inv.project}` : ''}
+                  </span>
+                  <span style={{ color: colors.textMuted, whiteSpace: 'nowrap' }}>
+                    due {formatDate(inv.dueDate)} · {inv.daysPastDue}d late ·{' '}
+                    <span style={{ color: colors.danger }}>{money(inv.balance)}</span>
+                  </span>
+                </div>
+              ))}
+          </div>
+        </Card>
+      )}
+    </>
+  );
+});
+
+ReceivablesReportPanel.propTypes = {
+  currentUser: PropTypes.object,
+  /** Open a client's detail page — receives the aging row ({clientId, clientName}) */
+  onViewClient: PropTypes.func,
+  onBack: PropTypes.func.isRequired,
+};
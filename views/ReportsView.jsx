@@ -17,6 +17,8 @@ import {
   DollarSign,
   Building2,
   Eye,
+  Receipt,
+  Wallet,
 } from 'lucide-react';
 import { VIEWS } from '../constants.js';
 import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
@@ -37,7 +39,11 @@ import {
   csvForMaintenance,
   csvForInsurance,
   csvForClients,
+  computeReceivablesAging,
+  csvForReceivables,
+  csvForDeposits,
 } from '../lib/reportData.js';
+import { outstandingDeposits, depositMoney } from '../lib/deposits.js';
 import { useData } from '../contexts/DataContext.js';
 
 const cardHeaderStyle = {
@@ -83,9 +89,15 @@ export const ReportsPanel = memo(function ReportsPanel({
     ensureClients,
     ensureMaintenance,
     ensureCheckoutActivity,
+    ensureInvoices,
+    ensureDeposits,
     maintenanceLoaded,
     checkoutEvents,
     checkoutEventsLoaded,
+    invoices,
+    invoicesLoaded,
+    deposits,
+    depositsLoaded,
     categorySettings,
     lazyErrors,
   } = useData();
@@ -95,17 +107,25 @@ export const ReportsPanel = memo(function ReportsPanel({
     ensureClients();
     ensureMaintenance();
     ensureCheckoutActivity();
-  }, [ensureClients, ensureMaintenance, ensureCheckoutActivity]);
+    ensureInvoices();
+    ensureDeposits();
+  }, [ensureClients, ensureMaintenance, ensureCheckoutActivity, ensureInvoices, ensureDeposits]);
 
   // Any failed lazy layer leaves the hub cards silently short of data — one
   // combined banner retries whichever layers actually failed
-  const failedLayers = ['clients', 'maintenance', 'checkoutActivity'].filter(
-    (key) => lazyErrors?.[key],
-  );
+  const failedLayers = [
+    'clients',
+    'maintenance',
+    'checkoutActivity',
+    'invoices',
+    'deposits',
+  ].filter((key) => lazyErrors?.[key]);
   const retryFailedLayers = () => {
     if (lazyErrors?.clients) ensureClients();
     if (lazyErrors?.maintenance) ensureMaintenance();
     if (lazyErrors?.checkoutActivity) ensureCheckoutActivity();
+    if (lazyErrors?.invoices) ensureInvoices();
+    if (lazyErrors?.deposits) ensureDeposits();
   };
 
   const inventoryStats = useMemo(() => computeInventoryStats(inventory), [inventory]);
@@ -119,6 +139,11 @@ export const ReportsPanel = memo(function ReportsPanel({
     () => computeMaintenanceStats(maintenanceRecords),
     [maintenanceRecords],
   );
+  const receivables = useMemo(() => computeReceivablesAging(invoices), [invoices]);
+  const heldDeposits = useMemo(
+    () => outstandingDeposits(deposits, inventory),
+    [deposits, inventory],
+  );
   const totalCheckouts = useMemo(
     () => inventory.reduce((s, i) => s + (i.checkoutCount || 0), 0),
     [inventory],
@@ -485,6 +510,100 @@ export const ReportsPanel = memo(function ReportsPanel({
             </Button>
           </div>
         </Card>
+
+        {/* Receivables */}
+        <Card style={cardStyle}>
+          <div style={cardHeaderStyle}>
+            <div style={iconBoxStyle(colors.accent1)}>
+              <Receipt size={20} color={colors.accent1} />
+            </div>
+            <div>
+              <h4 style={{ margin: 0, color: colors.textPrimary }}>Receivables</h4>
+              <p style={cardSubtitleStyle}>
+                {invoicesLoaded
+                  ? `${receivables.invoices.length} open invoice${receivables.invoices.length === 1 ? '' : 's'}`
+                  : 'Loading invoices…'}
+              </p>
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: spacing[4], marginBottom: spacing[4] }}>
+            <div style={{ textAlign: 'center', flex: 1 }}>
+              <div style={bigNumberStyle(colors.accent1)}>
+                {formatMoney(receivables.totals.total)}
+              </div>
+              <div style={smallLabelStyle}>Outstanding</div>
+            </div>
+            <div style={{ textAlign: 'center', flex: 1 }}>
+              <div style={bigNumberStyle(colors.danger)}>{formatMoney(receivables.overdue)}</div>
+              <div style={smallLabelStyle}>Overdue</div>
+            </div>
+          </div>
+          <div style={buttonRowStyle}>
+            <Button
+              variant="secondary"
+              style={{ flex: 1 }}
+              onClick={() => setCurrentView(VIEWS.RECEIVABLES_REPORT)}
+              icon={Eye}
+            >
+              View
+            </Button>
+            <Button
+              variant="secondary"
+              style={{ flex: 1 }}
+              onClick={exportCSV(() => csvForReceivables(receivables.invoices))}
+              icon={Download}
+              disabled={!invoicesLoaded}
+            >
+              Export
+            </Button>
+          </div>
+        </Card>
+
+        {/* Deposits */}
+        <Card style={cardStyle}>
+          <div style={cardHeaderStyle}>
+            <div style={iconBoxStyle(colors.primary)}>
+              <Wallet size={20} color={colors.primary} />
+            </div>
+            <div>
+              <h4 style={{ margin: 0, color: colors.textPrimary }}>Deposit Ledger</h4>
+              <p style={cardSubtitleStyle}>
+                {depositsLoaded
+                  ? `${deposits.length} deposit${deposits.length === 1 ? '' : 's'} recorded`
+                  : 'Loading deposits…'}
+              </p>
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: spacing[4], marginBottom: spacing[4] }}>
+            <div style={{ textAlign: 'center', flex: 1 }}>
+              <div style={bigNumberStyle(colors.primary)}>{depositMoney(heldDeposits.total)}</div>
+              <div style={smallLabelStyle}>Held</div>
+            </div>
+            <div style={{ textAlign: 'center', flex: 1 }}>
+              <div style={bigNumberStyle(colors.warning)}>{heldDeposits.awaitingSettlement}</div>
+              <div style={smallLabelStyle}>To Settle</div>
+            </div>
+          </div>
+          <div style={buttonRowStyle}>
+            <Button
+              variant="secondary"
+              style={{ flex: 1 }}
+              onClick={() => setCurrentView(VIEWS.DEPOSITS_REPORT)}
+              icon={Eye}
+            >
+              View
+            </Button>
+            <Button
+              variant="secondary"
+              style={{ flex: 1 }}
+              onClick={exportCSV(() => csvForDeposits(deposits, inventory))}
+              icon={Download}
+              disabled={!depositsLoaded}
+            >
+              Export
+            </Button>
+          </div>
+        </Card>
       </div>
     </>
   );
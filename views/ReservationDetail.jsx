@@ -17,11 +17,30 @@ import {
   Package,
   LogOut,
   ClipboardList,
+  Receipt,
+  CheckCircle,
+  Bookmark,
 } from 'lucide-react';
+import {
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_LABELS,
+  RESERVATION_STATUS_TRANSITIONS,
+  RECURRENCE_FREQUENCY_LABELS,
+} from '../constants.js';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
-import { formatDate, getStatusColor, getTodayISO, getStatusLabel } from '../utils';
+import {
+  formatDate,
+  formatDateTime,
+  formatTime,
+  getStatusColor,
+  getTodayISO,
+  getStatusLabel,
+  getReservationStageColor,
+  reservationStage,
+} from '../utils';
 import { Badge, Card, CardHeader, Button } from '../components/ui.jsx';
 import NotesSection from '../components/NotesSection.jsx';
+import ReservationManifest from '../components/ReservationManifest.jsx';
 import { usePermissions } from '../contexts/PermissionsContext.js';
 
 // Map widget with embedded OpenStreetMap
@@ -128,6 +147,64 @@ const MapWidget = memo(function MapWidget({ location }) {
   );
 });
 
+// The stages a job moves through, in order; cancelled sits outside the track
+const STAGE_TRACK = [
+  RESERVATION_STATUS.QUOTE,
+  RESERVATION_STATUS.HOLD,
+  RESERVATION_STATUS.CONFIRMED,
+  RESERVATION_STATUS.OUT,
+  RESERVATION_STATUS.RETURNED,
+];
+
+// Button for each hand-made move, by target stage
+const STAGE_ACTIONS = {
+  [RESERVATION_STATUS.CONFIRMED]: { label: 'Confirm', icon: CheckCircle },
+  [RESERVATION_STATUS.HOLD]: { label: 'Place Hold', icon: Bookmark },
+  [RESERVATION_STATUS.QUOTE]: { label: 'Back to Quote', icon: FileText },
+};
+
+const StageTrack = memo(function StageTrack({ stage }) {
+  const current = STAGE_TRACK.indexOf(stage);
+  return (
+    <ol
+      aria-label="Reservation stage"
+      style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: spacing[1],
+        listStyle: 'none',
+        margin: `0 0 ${spacing[4]}px`,
+        padding: 0,
+      }}
+    >
+      {STAGE_TRACK.map((s, i) => {
+        const color = getReservationStageColor(s);
+        const isCurrent = i === current;
+        return (
+          <li
+            key={s}
+            aria-current={isCurrent ? 'step' : undefined}
+            style={{
+              flex: '1 1 0',
+              minWidth: 70,
+              textAlign: 'center',
+              padding: `${spacing[1]}px ${spacing[2]}px`,
+              borderRadius: borderRadius.md,
+              fontSize: typography.fontSize.xs,
+              fontWeight: isCurrent ? typography.fontWeight.semibold : typography.fontWeight.normal,
+              color: i <= current ? colors.textPrimary : colors.textMuted,
+              background: isCurrent ? withOpacity(color, 25) : withOpacity(colors.primary, 6),
+              borderBottom: `2px solid ${i <= current ? color : 'transparent'}`,
+            }}
+          >
+            {RESERVATION_STATUS_LABELS[s]}
+          </li>
+        );
+      })}
+    </ol>
+  );
+});
+
 function ReservationDetail({
   reservation,
   item,
@@ -141,12 +218,26 @@ function ReservationDetail({
   onViewItem,
   onCheckOutItems,
   onCreatePackList,
+  onCreateQuote,
+  stage: stageProp,
+  holdExpiresAt: holdExpiresAtProp,
+  onChangeStage,
+  groupRows,
+  inventory,
+  dataContext,
+  onCheckInReturned,
 }) {
   const { canEdit } = usePermissions();
   const canEditSchedule = canEdit('schedule');
 
   if (!reservation || !item) return null;
 
+  // The caller derives the stage from the whole group; a lone row speaks
+  // for itself
+  const stage = stageProp || reservationStage(reservation);
+  const holdExpiresAt = holdExpiresAtProp ?? reservation.holdExpiresAt;
+  const stageMoves = onChangeStage ? RESERVATION_STATUS_TRANSITIONS[stage] || [] : [];
+
   // Get all items in this reservation (for multi-item reservations)
   const items = reservation.items || [item];
   const itemCount = reservation.itemCount || 1;
@@ -188,7 +279,21 @@ function ReservationDetail({
               ) : (
                 <Badge text={item.id} color={colors.primary} />
               )}
+              <Badge
+                text={RESERVATION_STATUS_LABELS[stage] || stage}
+                color={getReservationStageColor(stage)}
+              />
               <Badge text={reservation.projectType || 'Project'} color={colors.accent2} />
+              {reservation.seriesId && (
+                <Badge
+                  text={
+                    RECURRENCE_FREQUENCY_LABELS[reservation.recurrence?.frequency]
+                      ? `Repeats ${RECURRENCE_FREQUENCY_LABELS[reservation.recurrence.frequency].toLowerCase()}`
+                      : 'Repeating'
+                  }
+                  color={colors.accent1}
+                />
+              )}
               {isOverdue && <Badge text="OVERDUE" color={colors.danger} />}
             </div>
             {/* h2 like every other view's page title — the sidebar brand is
@@ -206,11 +311,37 @@ function ReservationDetail({
             <p style={{ color: colors.textSecondary, margin: `0 0 ${spacing[4]}px` }}>
               {itemCount > 1 ? `${itemCount} items reserved` : `${item.name} - ${item.brand}`}
             </p>
+            <StageTrack stage={stage} />
+            {stage === RESERVATION_STATUS.HOLD && (
+              <p
+                style={{
+                  fontSize: typography.fontSize.sm,
+                  color: colors.textSecondary,
+                  margin: `0 0 ${spacing[4]}px`,
+                }}
+              >
+                {holdExpiresAt
+                  ? `Held until ${formatDateTime(holdExpiresAt)} — lapses unless confirmed.`
+                  : 'Held until someone confirms or cancels it.'}
+                {reservation.requestedViaPortal &&
+                  ' Requested by the client through the request portal.'}
+              </p>
+            )}
             <div style={{ display: 'flex', gap: spacing[3], flexWrap: 'wrap' }}>
               {/* The reservation is the job — acting on it (check out the
                   gear, build the pack list) belongs here, not scattered
                   across three views */}
-              {onCheckOutItems && (
+              {stageMoves.map((next) => (
+                <Button
+                  key={next}
+                  variant={next === RESERVATION_STATUS.CONFIRMED ? 'primary' : 'secondary'}
+                  onClick={() => onChangeStage(next)}
+                  icon={STAGE_ACTIONS[next].icon}
+                >
+                  {STAGE_ACTIONS[next].label}
+                </Button>
+              ))}
+              {onCheckOutItems && stage !== RESERVATION_STATUS.RETURNED && (
                 <Button onClick={onCheckOutItems} icon={LogOut}>
                   Check Out Items
                 </Button>
@@ -220,6 +351,11 @@ function ReservationDetail({
                   Create Pack List
                 </Button>
               )}
+              {onCreateQuote && (
+                <Button variant="secondary" onClick={onCreateQuote} icon={Receipt}>
+                  Create Quote
+                </Button>
+              )}
               {canEditSchedule && (
                 <>
                   <Button variant="secondary" onClick={onEdit} icon={Edit}>
@@ -233,6 +369,18 @@ function ReservationDetail({
             </div>
           </Card>
 
+          {/* Reserved vs packed vs out vs back — nothing to reconcile on a quote */}
+          {dataContext && stage !== RESERVATION_STATUS.QUOTE && (
+            <ReservationManifest
+              reservation={reservation}
+              rows={groupRows || [{ itemId: item.id, row: reservation }]}
+              inventory={inventory}
+              dataContext={dataContext}
+              onCheckIn={onCheckInReturned}
+              onViewItem={onViewItem}
+            />
+          )}
+
           {/* Schedule & Location */}
           <Card style={{ marginBottom: spacing[5] }}>
             <h3
@@ -280,6 +428,7 @@ function ReservationDetail({
                   }}
                 >
                   {formatDate(reservation.start)}
+                  {reservation.startTime && `, ${formatTime(reservation.startTime)}`}
                 </div>
               </div>
               <div
@@ -307,6 +456,7 @@ function ReservationDetail({
                   }}
                 >
                   {formatDate(reservation.end || reservation.dueBack)}
+                  {reservation.endTime && `, ${formatTime(reservation.endTime)}`}
                   {isOverdue && ' (OVERDUE)'}
                 </div>
               </div>
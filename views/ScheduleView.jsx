@@ -2,7 +2,7 @@
 // Schedule View Component
 // ============================================================================
 
-import { memo, useMemo, useCallback, useContext, useState } from 'react';
+import { memo, useMemo, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import {
   ArrowLeft,
   ArrowRight,
@@ -14,17 +14,33 @@ import {
   Package,
   Loader,
   User,
+  GanttChart,
 } from 'lucide-react';
-import { SCHEDULE_MODES, SCHEDULE_PERIODS } from '../constants.js';
+import {
+  SCHEDULE_MODES,
+  SCHEDULE_PERIODS,
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_LABELS,
+} from '../constants.js';
 import { colors, styles, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import {
   formatDate,
   parseLocalDate,
   groupReservationsForSchedule,
   stableColorIndex,
+  isQuantityTracked,
+  getOnHandQuantity,
+  getPooledBookedQuantity,
+  getReservationStageColor,
+  getTurnaroundMinutes,
+  formatTime,
+  dayTimeline,
+  itemTimelineRows,
+  flattenLocations,
 } from '../utils';
 import { Badge, Card, Button, PageHeader } from '../components/ui.jsx';
 import { DatePicker } from '../components/DatePicker.jsx';
+import { Select } from '../components/Select.jsx';
 import { useMediaQuery } from '../hooks/useMediaQuery.js';
 import AuthContext from '../contexts/AuthContext.js';
 import { useData } from '../contexts/DataContext.js';
@@ -46,6 +62,38 @@ function shortDateRange(start, end) {
 
 const DAY_HEADERS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+// Bars keep their per-reservation colour and show the stage in the fill:
+// holds are hatched, quotes are a dashed outline over a faint tint, and
+// returned bookings fade back so what is still ahead stands out.
+function stageFill(stage, color, percent) {
+  switch (stage) {
+    case RESERVATION_STATUS.HOLD:
+      return {
+        background: `repeating-linear-gradient(45deg, ${withOpacity(color, percent)} 0 6px, ${withOpacity(color, Math.round(percent / 3))} 6px 12px)`,
+      };
+    case RESERVATION_STATUS.QUOTE:
+      return {
+        background: withOpacity(color, Math.round(percent / 3)),
+        outline: `1px dashed ${color}`,
+        outlineOffset: -1,
+      };
+    case RESERVATION_STATUS.RETURNED:
+      return { background: withOpacity(color, percent), opacity: 0.55 };
+    default:
+      return { background: withOpacity(color, percent) };
+  }
+}
+
+function StageBadge({ stage, size }) {
+  return (
+    <Badge
+      text={RESERVATION_STATUS_LABELS[stage] || RESERVATION_STATUS_LABELS.confirmed}
+      color={getReservationStageColor(stage)}
+      size={size}
+    />
+  );
+}
+
 // Distinct palette for differentiating reservations on the calendar.
 // Uses a mix of theme accent, status, and semantic colors for maximum contrast.
 const EVENT_COLORS = [
@@ -59,6 +107,112 @@ const EVENT_COLORS = [
   colors.reserved,
 ];
 
+// Day or date-and-time for one end of a booking
+function bookingEnd(date, time) {
+  return time ? `${formatDate(date)}, ${formatTime(time)}` : formatDate(date);
+}
+
+// Minutes past midnight on the hour grid as a clock time
+function clockLabel(minutes) {
+  return formatTime(`${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`);
+}
+
+const HOUR_H = 48;
+const HOUR_GUTTER = 64;
+
+// Timed bookings on the day view's hour grid, placed by their pickup and
+// return times. The grid covers at least 7am–8pm and stretches to fit
+// earlier or later blocks. A block running past either edge of the day says
+// so instead of showing midnight.
+const DayHourGrid = memo(function DayHourGrid({ blocks, lanes, onViewReservation }) {
+  const firstHour = Math.min(7, ...blocks.map((b) => Math.floor(b.from / 60)));
+  const lastHour = Math.max(20, ...blocks.map((b) => Math.ceil(b.to / 60)));
+  const hours = [...Array(lastHour - firstHour)].map((_, i) => firstHour + i);
+  return (
+    <div
+      style={{
+        position: 'relative',
+        height: hours.length * HOUR_H,
+        marginLeft: HOUR_GUTTER,
+      }}
+    >
+      {hours.map((h) => (
+        <div
+          key={h}
+          style={{
+            position: 'absolute',
+            top: (h - firstHour) * HOUR_H,
+            left: -HOUR_GUTTER,
+            right: 0,
+            borderTop: `1px solid ${colors.borderLight}`,
+          }}
+        >
+          <span
+            style={{
+              position: 'absolute',
+              top: 2,
+              left: 0,
+              width: HOUR_GUTTER - 8,
+              textAlign: 'right',
+              fontSize: typography.fontSize.xs,
+              color: colors.textMuted,
+            }}
+          >
+            {clockLabel(h * 60)}
+          </span>
+        </div>
+      ))}
+      {blocks.map(({ ev, from, to, lane }) => {
+        const evColor = getEventColor(ev.groupKey);
+        const label =
+          ev.project ||
+          (ev.itemCount > 1 ? `${ev.itemCount} items` : ev.items[0]?.name) ||
+          'Reservation';
+        const range = `${from > 0 ? clockLabel(from) : 'Earlier'} \u2013 ${
+          to < 24 * 60 ? clockLabel(to) : 'later'
+        }`;
+        return (
+          <div
+            key={ev.groupKey}
+            onClick={() => onViewReservation(ev, ev.items[0])}
+            title={`${label} \u00b7 ${RESERVATION_STATUS_LABELS[ev.status] || ''} (${range})`}
+            style={{
+              position: 'absolute',
+              top: ((from - firstHour * 60) / 60) * HOUR_H,
+              height: Math.max(22, ((to - from) / 60) * HOUR_H - 2),
+              left: `calc(${(lane / lanes) * 100}% + 2px)`,
+              width: `calc(${100 / lanes}% - 4px)`,
+              ...stageFill(ev.status, evColor, 20),
+              borderLeft: `3px solid ${evColor}`,
+              borderRadius: borderRadius.sm,
+              padding: `2px ${spacing[2]}px`,
+              overflow: 'hidden',
+              cursor: 'pointer',
+              zIndex: 5,
+            }}
+          >
+            <div
+              style={{
+                fontSize: typography.fontSize.xs,
+                fontWeight: typography.fontWeight.semibold,
+                color: colors.textPrimary,
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+              }}
+            >
+              {label}
+            </div>
+            <div style={{ fontSize: 10, color: colors.textMuted, whiteSpace: 'nowrap' }}>
+              {range}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
 // Color keyed to the reservation's stable group key — not its index within
 // the visible period, which made the same reservation change color whenever
 // the user navigated to a different week or month
@@ -66,6 +220,388 @@ function getEventColor(groupKey) {
   return EVENT_COLORS[stableColorIndex(groupKey, EVENT_COLORS.length)];
 }
 
+const TIMELINE_NAME_W = 200;
+const TIMELINE_DAY_MIN_W = 28;
+const TIMELINE_BAR_H = 20;
+const ALL = '';
+
+// A timeline bar's colour: reservations match their calendar colour (same
+// key as groupReservationsForSchedule), the rest by what holds the item
+function timelineBarColor(bar) {
+  if (bar.kind === 'checkout') return bar.overdue ? colors.danger : colors.checkedOut;
+  if (bar.kind === 'maintenance') return colors.needsAttention;
+  const r = bar.reservation;
+  return getEventColor(
+    r.groupId ? `g:${r.groupId}` : `${r.project || 'unnamed'}_${r.start}_${r.end}`,
+  );
+}
+
+function timelineBarTitle(bar) {
+  const range = shortDateRange(bar.start, bar.end);
+  if (bar.kind === 'checkout') {
+    const due = bar.due
+      ? `${bar.overdue ? 'overdue, ' : ''}due ${formatDate(bar.due)}`
+      : 'no due date';
+    return `${bar.label} · Checked out (${due})`;
+  }
+  if (bar.kind === 'maintenance') return `${bar.label} · Maintenance (${range})`;
+  return `${bar.label} · ${RESERVATION_STATUS_LABELS[bar.stage] || ''} (${range})`;
+}
+
+const TIMELINE_LEGEND = [
+  { label: 'Free', color: colors.available },
+  { label: 'Reserved', color: colors.primary },
+  { label: 'Checked out', color: colors.checkedOut },
+  { label: 'Overdue', color: colors.danger },
+  { label: 'Maintenance', color: colors.needsAttention },
+];
+
+// Resource timeline: one row per item across the period with its bookings,
+// checkout and maintenance as bars and its free days tinted. Dragging across
+// a free run starts a reservation for that item and those days; the drag
+// stops at the run's edges so it can't reach across a booking.
+const AvailabilityTimeline = memo(function AvailabilityTimeline({
+  items,
+  days,
+  today,
+  categorySettings,
+  locations,
+  packages,
+  onViewItem,
+  onViewReservation,
+  onCreateReservation,
+}) {
+  const [category, setCategory] = useState(ALL);
+  const [location, setLocation] = useState(ALL);
+  const [packageId, setPackageId] = useState(ALL);
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const categoryOptions = useMemo(
+    () => [
+      { value: ALL, label: 'All categories' },
+      ...[...new Set(items.map((i) => i.category).filter(Boolean))]
+        .sort()
+        .map((c) => ({ value: c, label: c })),
+    ],
+    [items],
+  );
+  const locationOptions = useMemo(
+    () => [
+      { value: ALL, label: 'All locations' },
+      ...flattenLocations(locations || []).map((l) => ({ value: l.fullPath, label: l.fullPath })),
+    ],
+    [locations],
+  );
+  const packageOptions = useMemo(
+    () => [
+      { value: ALL, label: 'All packages' },
+      ...(packages || []).map((p) => ({ value: p.id, label: p.name })),
+    ],
+    [packages],
+  );
+
+  const rows = useMemo(() => {
+    const pkg = packageId ? (packages || []).find((p) => p.id === packageId) : null;
+    const shown = items.filter(
+      (i) =>
+        (!category || i.category === category) &&
+        (!location || i.location === location || i.location?.startsWith(`${location} > `)) &&
+        (!pkg || (pkg.items || []).includes(i.id)),
+    );
+    return itemTimelineRows(shown, days[0], days[days.length - 1], { categorySettings, today });
+  }, [items, category, location, packageId, packages, days, categorySettings, today]);
+
+  const dayIndex = useMemo(() => new Map(days.map((d, i) => [d, i])), [days]);
+  const clampIndex = (day, fallback) => dayIndex.get(day) ?? fallback;
+
+  // The drag finishes wherever the pointer is let go, including off the grid
+  useEffect(() => {
+    if (!drag) return undefined;
+    const finish = () => {
+      const current = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      if (!current) return;
+      const lo = Math.min(current.anchor, current.current);
+      const hi = Math.max(current.anchor, current.current);
+      onCreateReservation?.({ itemId: current.itemId, start: days[lo], end: days[hi] });
+    };
+    window.addEventListener('pointerup', finish);
+    return () => window.removeEventListener('pointerup', finish);
+  }, [drag, days, onCreateReservation]);
+
+  const startDrag = (e, itemId, index, run) => {
+    if (e.button !== undefined && e.button !== 0) return;
+    // Touch captures the pointer to the first cell; let the others see it
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+    const next = { itemId, anchor: index, current: index, run };
+    dragRef.current = next;
+    setDrag(next);
+  };
+  const extendDrag = (itemId, index) => {
+    const current = dragRef.current;
+    if (!current || current.itemId !== itemId) return;
+    const next = {
+      ...current,
+      current: Math.min(current.run.hi, Math.max(current.run.lo, index)),
+    };
+    dragRef.current = next;
+    setDrag(next);
+  };
+
+  const selectStyle = { minWidth: 170 };
+  const pct = (n) => `${(n / days.length) * 100}%`;
+
+  return (
+    <Card padding={false}>
+      <div
+        style={{
+          display: 'flex',
+          gap: spacing[2],
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          padding: spacing[4],
+          borderBottom: `1px solid ${colors.borderLight}`,
+        }}
+      >
+        <div style={selectStyle}>
+          <Select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            options={categoryOptions}
+            aria-label="Filter by category"
+          />
+        </div>
+        <div style={selectStyle}>
+          <Select
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            options={locationOptions}
+            aria-label="Filter by location"
+          />
+        </div>
+        <div style={selectStyle}>
+          <Select
+            value={packageId}
+            onChange={(e) => setPackageId(e.target.value)}
+            options={packageOptions}
+            aria-label="Filter by package"
+          />
+        </div>
+        <div
+          style={{
+            display: 'flex',
+            gap: spacing[3],
+            flexWrap: 'wrap',
+            marginLeft: 'auto',
+            fontSize: typography.fontSize.xs,
+            color: colors.textMuted,
+          }}
+        >
+          {TIMELINE_LEGEND.map(({ label, color }) => (
+            <span key={label} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+              <span
+                style={{
+                  width: 10,
+                  height: 10,
+                  borderRadius: 2,
+                  background: withOpacity(color, label === 'Free' ? 25 : 60),
+                }}
+              />
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ padding: spacing[8], textAlign: 'center', color: colors.textMuted }}>
+          No items match these filters
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <div
+            style={{
+              minWidth: TIMELINE_NAME_W + days.length * TIMELINE_DAY_MIN_W,
+              userSelect: 'none',
+            }}
+          >
+            {/* Day header */}
+            <div style={{ display: 'flex', borderBottom: `1px solid ${colors.borderLight}` }}>
+              <div
+                style={{
+                  width: TIMELINE_NAME_W,
+                  flexShrink: 0,
+                  position: 'sticky',
+                  left: 0,
+                  background: colors.bgMedium,
+                  zIndex: 2,
+                }}
+              />
+              {days.map((day) => {
+                const d = parseLocalDate(day);
+                return (
+                  <div
+                    key={day}
+                    style={{
+                      flex: 1,
+                      textAlign: 'center',
+                      padding: `${spacing[1]}px 0`,
+                      fontSize: 10,
+                      color: day === today ? colors.primary : colors.textMuted,
+                      fontWeight:
+                        day === today ? typography.fontWeight.bold : typography.fontWeight.normal,
+                    }}
+                  >
+                    {days.length <= 7 && <div>{DAY_HEADERS[d.getDay()]}</div>}
+                    {d.getDate()}
+                  </div>
+                );
+              })}
+            </div>
+
+            {rows.map(({ item, bars, free }) => {
+              // Bars that share days go on separate lanes
+              const laneEnds = [];
+              const placed = bars.map((bar) => {
+                const lo = clampIndex(bar.start, 0);
+                const hi = clampIndex(bar.end, days.length - 1);
+                let lane = laneEnds.findIndex((end) => end < lo);
+                if (lane === -1) lane = laneEnds.length;
+                laneEnds[lane] = hi;
+                return { bar, lo, hi, lane };
+              });
+              const height = Math.max(1, laneEnds.length) * (TIMELINE_BAR_H + 4) + 8;
+              const runs = free.map((run) => ({
+                lo: clampIndex(run.start, 0),
+                hi: clampIndex(run.end, days.length - 1),
+              }));
+              const runAt = (i) => runs.find((run) => run.lo <= i && i <= run.hi);
+              const dragging = drag?.itemId === item.id ? drag : null;
+              return (
+                <div
+                  key={item.id}
+                  style={{ display: 'flex', borderBottom: `1px solid ${colors.borderLight}` }}
+                >
+                  <button
+                    type="button"
+                    onClick={() => onViewItem?.(item.id)}
+                    title={item.name}
+                    style={{
+                      width: TIMELINE_NAME_W,
+                      flexShrink: 0,
+                      position: 'sticky',
+                      left: 0,
+                      zIndex: 2,
+                      background: colors.bgMedium,
+                      border: 'none',
+                      borderRight: `1px solid ${colors.borderLight}`,
+                      padding: `0 ${spacing[3]}px`,
+                      textAlign: 'left',
+                      cursor: onViewItem ? 'pointer' : 'default',
+                      color: colors.textPrimary,
+                      fontSize: typography.fontSize.sm,
+                      whiteSpace: 'nowrap',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                    }}
+                  >
+                    {item.name}
+                    <span style={{ color: colors.textMuted, marginLeft: spacing[2], fontSize: 11 }}>
+                      {item.id}
+                    </span>
+                  </button>
+                  <div style={{ position: 'relative', flex: 1, height }}>
+                    {days.map((day, i) => {
+                      const run = runAt(i);
+                      const selected =
+                        dragging &&
+                        i >= Math.min(dragging.anchor, dragging.current) &&
+                        i <= Math.max(dragging.anchor, dragging.current);
+                      return (
+                        <div
+                          key={day}
+                          aria-label={
+                            run && onCreateReservation
+                              ? `Reserve ${item.name} on ${formatDate(day)}`
+                              : undefined
+                          }
+                          onPointerDown={
+                            run && onCreateReservation
+                              ? (e) => startDrag(e, item.id, i, run)
+                              : undefined
+                          }
+                          onPointerEnter={() => extendDrag(item.id, i)}
+                          style={{
+                            position: 'absolute',
+                            top: 0,
+                            bottom: 0,
+                            left: pct(i),
+                            width: pct(1),
+                            borderLeft: i > 0 ? `1px solid ${colors.borderLight}` : 'none',
+                            background: selected
+                              ? withOpacity(colors.primary, 25)
+                              : run
+                                ? withOpacity(colors.available, 10)
+                                : 'transparent',
+                            cursor: run && onCreateReservation ? 'copy' : 'default',
+                          }}
+                        />
+                      );
+                    })}
+                    {placed.map(({ bar, lo, hi, lane }) => {
+                      const color = timelineBarColor(bar);
+                      const fill =
+                        bar.kind === 'reservation'
+                          ? stageFill(bar.stage, color, 45)
+                          : { background: withOpacity(color, 45) };
+                      return (
+                        <button
+                          key={bar.key}
+                          type="button"
+                          title={timelineBarTitle(bar)}
+                          onClick={() =>
+                            bar.kind === 'reservation'
+                              ? onViewReservation(bar.reservation, item)
+                              : onViewItem?.(item.id)
+                          }
+                          style={{
+                            position: 'absolute',
+                            top: 4 + lane * (TIMELINE_BAR_H + 4),
+                            height: TIMELINE_BAR_H,
+                            left: `calc(${pct(lo)} + 2px)`,
+                            width: `calc(${pct(hi - lo + 1)} - 4px)`,
+                            ...fill,
+                            border: 'none',
+                            borderLeft: bar.start >= days[0] ? `3px solid ${color}` : 'none',
+                            borderRadius: borderRadius.sm,
+                            padding: `0 ${spacing[1]}px`,
+                            fontSize: 11,
+                            color: colors.textPrimary,
+                            textAlign: 'left',
+                            whiteSpace: 'nowrap',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            cursor: 'pointer',
+                            zIndex: 1,
+                          }}
+                        >
+                          {bar.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+});
+
 function ScheduleView({
   inventory,
   scheduleView,
@@ -74,11 +610,11 @@ function ScheduleView({
   setScheduleDate,
   scheduleMode,
   setScheduleMode,
-  onViewItem: _onViewItem,
+  onViewItem,
   onViewReservation,
   onAddReservation,
 }) {
-  const { tier2Loaded } = useData();
+  const { tier2Loaded, categorySettings, locations, packages } = useData();
   const { canEdit } = usePermissions();
   const canEditSchedule = canEdit('schedule');
 
@@ -117,6 +653,28 @@ function ScheduleView({
   // group_id, with legacy project+dates fallback)
   const groupedReservations = useMemo(() => groupReservationsForSchedule(inventory), [inventory]);
 
+  // Pooled stock (twenty C-stands on one row) books by units, so next to
+  // each of its reservations show how much of the pool those dates claim
+  const pooledLoad = useCallback(
+    (ev) =>
+      ev.items
+        .filter((itm) => isQuantityTracked(itm, categorySettings))
+        .map((itm) => {
+          const booked = getPooledBookedQuantity(itm, ev.start, ev.end, null, {
+            startTime: ev.startTime,
+            endTime: ev.endTime,
+            bufferMinutes: getTurnaroundMinutes(itm, categorySettings),
+          });
+          const onHand = getOnHandQuantity(itm);
+          return {
+            id: itm.id,
+            text: `${ev.itemCount > 1 ? `${itm.name}: ` : ''}${booked} of ${onHand} booked`,
+            color: booked > onHand ? colors.danger : colors.accent1,
+          };
+        }),
+    [categorySettings],
+  );
+
   // Get dates for current view
   const scheduleDates = useMemo(() => {
     const base = parseLocalDate(scheduleDate);
@@ -167,6 +725,23 @@ function ScheduleView({
   );
 
   const todayStr = formatDateStr(new Date());
+
+  // The timeline runs over the period itself — a month is its own days, not
+  // the calendar's six-week grid
+  const timelineDays = useMemo(() => {
+    if (scheduleMode !== SCHEDULE_MODES.TIMELINE) return [];
+    if (view !== SCHEDULE_PERIODS.MONTH) return scheduleDates.map(formatDateStr);
+    const base = parseLocalDate(scheduleDate);
+    const count = new Date(base.getFullYear(), base.getMonth() + 1, 0).getDate();
+    return [...Array(count)].map((_, i) =>
+      formatDateStr(new Date(base.getFullYear(), base.getMonth(), i + 1)),
+    );
+  }, [scheduleMode, view, scheduleDates, scheduleDate, formatDateStr]);
+
+  const createFromTimeline = useCallback(
+    ({ itemId, start, end }) => onAddReservation?.({ itemIds: [itemId], itemId, start, end }),
+    [onAddReservation],
+  );
   const isMonth = view === SCHEDULE_PERIODS.MONTH;
   const isWeek = view === SCHEDULE_PERIODS.WEEK;
   const isDay = view === SCHEDULE_PERIODS.DAY;
@@ -293,15 +868,19 @@ function ScheduleView({
         style={{
           display: 'flex',
           gap: spacing[3],
-          background: withOpacity(colors.primary, 8),
+          ...stageFill(ev.status, colors.primary, 8),
           borderLeft: `3px solid ${colors.primary}`,
           borderRadius: borderRadius.md,
           padding: spacing[3],
           cursor: 'pointer',
           transition: 'background 120ms ease',
         }}
-        onMouseEnter={(e) => (e.currentTarget.style.background = withOpacity(colors.primary, 16))}
-        onMouseLeave={(e) => (e.currentTarget.style.background = withOpacity(colors.primary, 8))}
+        onMouseEnter={(e) =>
+          (e.currentTarget.style.background = stageFill(ev.status, colors.primary, 16).background)
+        }
+        onMouseLeave={(e) =>
+          (e.currentTarget.style.background = stageFill(ev.status, colors.primary, 8).background)
+        }
       >
         <div style={{ flexShrink: 0 }}>
           {ev.items[0]?.image ? (
@@ -346,8 +925,12 @@ function ScheduleView({
             >
               {ev.project || 'Reservation'}
             </span>
+            <StageBadge stage={ev.status} size="xs" />
             {ev.projectType && <Badge text={ev.projectType} color={colors.accent2} size="xs" />}
             {isMulti && <Badge text={`${ev.itemCount} items`} color={colors.primary} size="xs" />}
+            {pooledLoad(ev).map((load) => (
+              <Badge key={load.id} text={load.text} color={load.color} size="xs" />
+            ))}
           </div>
           <div
             style={{
@@ -371,7 +954,7 @@ function ScheduleView({
           >
             <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
               <Clock size={11} style={{ color: colors.primary }} />
-              {formatDate(ev.start)} &ndash; {formatDate(ev.end)}
+              {bookingEnd(ev.start, ev.startTime)} &ndash; {bookingEnd(ev.end, ev.endTime)}
             </span>
             {ev.user && (
               <span style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
@@ -397,7 +980,7 @@ function ScheduleView({
           The controls cluster used to live in PageHeader's action slot and
           wrapped OVER the "Schedule" title at narrow widths. All control
           labels/titles are unchanged (E2E clicks 'New', 'day'/'week'/'month',
-          'List View'/'Calendar View'). */}
+          'List View'/'Calendar View'/'Timeline View'). */}
       <PageHeader title="Schedule" />
       <div
         style={{
@@ -409,7 +992,11 @@ function ScheduleView({
         }}
       >
         {canEditSchedule && onAddReservation && (
-          <Button onClick={onAddReservation} icon={Plus} style={{ marginRight: spacing[2] }}>
+          <Button
+            onClick={() => onAddReservation()}
+            icon={Plus}
+            style={{ marginRight: spacing[2] }}
+          >
             New
           </Button>
         )}
@@ -455,6 +1042,24 @@ function ScheduleView({
           >
             <Calendar size={16} />
           </button>
+          <button
+            onClick={() => setScheduleMode(SCHEDULE_MODES.TIMELINE)}
+            title="Timeline View"
+            aria-pressed={scheduleMode === SCHEDULE_MODES.TIMELINE}
+            style={{
+              ...styles.btnSec,
+              border: 'none',
+              background:
+                scheduleMode === SCHEDULE_MODES.TIMELINE
+                  ? `${withOpacity(colors.primary, 30)}`
+                  : 'transparent',
+              color:
+                scheduleMode === SCHEDULE_MODES.TIMELINE ? colors.primary : colors.textSecondary,
+              padding: '12px 14px',
+            }}
+          >
+            <GanttChart size={16} />
+          </button>
         </div>
         <div
           style={{
@@ -563,6 +1168,7 @@ function ScheduleView({
                     padding: `${spacing[4]}px ${spacing[4]}px`,
                     borderBottom: `1px solid ${colors.borderLight}`,
                     cursor: 'pointer',
+                    opacity: r.status === RESERVATION_STATUS.RETURNED ? 0.55 : undefined,
                   }}
                 >
                   <div style={{ position: 'relative', width: 50, height: 50, flexShrink: 0 }}>
@@ -622,7 +1228,11 @@ function ScheduleView({
                       ) : (
                         <Badge text={r.items[0]?.id || 'N/A'} color={colors.primary} />
                       )}
+                      <StageBadge stage={r.status} />
                       <Badge text={r.projectType || 'Project'} color={colors.accent2} />
+                      {pooledLoad(r).map((load) => (
+                        <Badge key={load.id} text={load.text} color={load.color} />
+                      ))}
                     </div>
                     <div
                       style={{
@@ -651,7 +1261,7 @@ function ScheduleView({
                       }}
                     >
                       <Clock size={12} />
-                      {formatDate(r.start)} - {formatDate(r.end)}
+                      {bookingEnd(r.start, r.startTime)} - {bookingEnd(r.end, r.endTime)}
                     </div>
                     {r.location && (
                       <div
@@ -819,16 +1429,14 @@ function ScheduleView({
                           }}
                           onMouseEnter={() => setHoveredEvIdx(seg.evIdx)}
                           onMouseLeave={() => setHoveredEvIdx(null)}
-                          title={`${label} (${shortDateRange(ev.start, ev.end)})`}
+                          title={`${label} \u00b7 ${RESERVATION_STATUS_LABELS[ev.status] || ''} (${shortDateRange(ev.start, ev.end)})`}
                           style={{
                             position: 'absolute',
                             top,
                             left: `calc(${leftPct}% + 2px)`,
                             width: `calc(${widthPct}% - 4px)`,
                             height: BAR_H,
-                            background: isHovered
-                              ? withOpacity(evColor, 38)
-                              : withOpacity(evColor, 20),
+                            ...stageFill(ev.status, evColor, isHovered ? 38 : 20),
                             borderLeft: seg.isStart ? `3px solid ${evColor}` : 'none',
                             borderRadius:
                               seg.isStart && seg.isEnd
@@ -1008,14 +1616,14 @@ function ScheduleView({
                       onClick={() => onViewReservation(ev, ev.items[0])}
                       onMouseEnter={() => setHoveredEvIdx(item.evIdx)}
                       onMouseLeave={() => setHoveredEvIdx(null)}
-                      title={`${label} \u2013 ${shortDateRange(ev.start, ev.end)}`}
+                      title={`${label} \u00b7 ${RESERVATION_STATUS_LABELS[ev.status] || ''} \u2013 ${shortDateRange(ev.start, ev.end)}`}
                       style={{
                         position: 'absolute',
                         top,
                         left: `calc(${leftPct}% + 3px)`,
                         width: `calc(${widthPct}% - 6px)`,
                         height: BAR_H,
-                        background: isHovered ? withOpacity(evColor, 30) : withOpacity(evColor, 15),
+                        ...stageFill(ev.status, evColor, isHovered ? 30 : 15),
                         borderLeft: item.isStart ? `3px solid ${evColor}` : 'none',
                         borderRadius:
                           item.isStart && item.isEnd
@@ -1108,6 +1716,7 @@ function ScheduleView({
           const ds = formatDateStr(dt);
           const isToday = ds === todayStr;
           const events = groupedReservations.filter((r) => r.start <= ds && r.end >= ds);
+          const timeline = dayTimeline(events, ds);
           return (
             <Card
               padding={false}
@@ -1187,12 +1796,55 @@ function ScheduleView({
                     )}
                   </div>
                 ) : (
-                  events.map((ev) => renderDayEventCard(ev))
+                  <>
+                    {timeline.allDay.map((ev) => renderDayEventCard(ev))}
+                    {timeline.timed.length > 0 && (
+                      <DayHourGrid
+                        blocks={timeline.timed}
+                        lanes={timeline.lanes}
+                        onViewReservation={onViewReservation}
+                      />
+                    )}
+                  </>
                 )}
               </div>
             </Card>
           );
         })()}
+
+      {/* ================================================================== */}
+      {/* Timeline View — one row per item                                   */}
+      {/* ================================================================== */}
+      {scheduleMode === SCHEDULE_MODES.TIMELINE &&
+        (tier2Loaded ? (
+          <AvailabilityTimeline
+            items={inventory}
+            days={timelineDays}
+            today={todayStr}
+            categorySettings={categorySettings}
+            locations={locations}
+            packages={packages}
+            onViewItem={onViewItem}
+            onViewReservation={onViewReservation}
+            onCreateReservation={canEditSchedule && onAddReservation ? createFromTimeline : null}
+          />
+        ) : (
+          // Free days mean nothing until the reservations are in
+          <Card>
+            <div
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: colors.textMuted,
+                fontSize: typography.fontSize.sm,
+              }}
+            >
+              <Loader size={14} style={{ animation: 'spin 1s linear infinite', marginRight: 6 }} />{' '}
+              Loading...
+            </div>
+          </Card>
+        ))}
     </>
   );
 }
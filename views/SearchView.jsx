@@ -19,7 +19,7 @@ import {
   ClipboardList,
   CalendarDays,
 } from 'lucide-react';
-import { STATUS_LABELS } from '../constants.js';
+import { STATUS_LABELS, RESERVATION_STATUS_LABELS } from '../constants.js';
 import { colors, spacing, borderRadius, typography, withOpacity } from '../theme.js';
 import {
   getStatusColor,
@@ -27,6 +27,7 @@ import {
   rankBySearchRelevance,
   matchesStatusSelection,
   groupReservationsForSchedule,
+  getReservationStageColor,
   formatDate,
 } from '../utils';
 import {
@@ -741,8 +742,8 @@ function SearchView({
                     </div>
                     {group.status && (
                       <Badge
-                        text={group.status}
-                        color={group.status === 'confirmed' ? colors.available : colors.primary}
+                        text={RESERVATION_STATUS_LABELS[group.status] || group.status}
+                        color={getReservationStageColor(group.status)}
                       />
                     )}
                   </ResultRow>